@@ -0,0 +1,595 @@
+/**
+ * Archive content extraction
+ * Walks ZIP/TAR/GZ/BZ2 archives inside a bounded, sandboxed temp directory and pulls
+ * text from supported inner documents through the documentExtractors pipeline.
+ * @module analysis/archiveExtractor
+ */
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const { SUPPORTED_TEXT_EXTENSIONS } = require('../../shared/constants');
+const { withTimeout } = require('../../shared/promiseUtils');
+const { createLogger } = require('../../shared/logger');
+const {
+  extractTextFromPdf,
+  extractTextFromDoc,
+  extractTextFromDocx,
+  extractTextFromCsv,
+  extractTextFromXlsx,
+  extractTextFromPptx,
+  extractTextFromXls,
+  extractTextFromPpt,
+  extractTextFromOdfZip,
+  extractTextFromEpub,
+  extractTextFromEml,
+  extractTextFromMsg,
+  extractTextFromKml,
+  extractTextFromKmz,
+  extractPlainTextFromRtf,
+  extractPlainTextFromXml,
+  extractPlainTextFromHtml
+} = require('./documentExtractors');
+
+const logger = createLogger('ArchiveExtractor');
+
+/**
+ * Hard bounds for archive walking. These protect against zip bombs and keep a
+ * single archive from monopolizing the analysis queue.
+ */
+const ARCHIVE_LIMITS = {
+  MAX_ENTRIES: 2000, // Entries inspected while listing
+  MAX_EXTRACTED_FILES: 25, // Inner documents pulled through the extractors
+  MAX_ENTRY_BYTES: 25 * 1024 * 1024, // 25MB uncompressed per inner document
+  MAX_EXTRACT_TOTAL_BYTES: 100 * 1024 * 1024, // 100MB uncompressed across extracted documents
+  MAX_SCAN_BYTES: 512 * 1024 * 1024, // 512MB decompressed while streaming tar/gz/bz2
+  MAX_COMPRESSION_RATIO: 100, // Per-entry (zip) or per-stream (gz/bz2) ratio ceiling
+  RATIO_CHECK_MIN_BYTES: 1024 * 1024, // Ratios are only meaningful past 1MB
+  MAX_TEXT_PER_ENTRY: 8000,
+  MAX_COMBINED_TEXT: 60000,
+  MAX_LISTED_ENTRIES: 50, // Entries kept on the analysis result
+  ENTRY_TIMEOUT_MS: 60000,
+  EXCERPT_LENGTH: 200
+};
+
+// Formats we cannot open without bundling external binaries (unrar, 7z)
+const LISTING_ONLY_FORMATS = new Set(['.rar', '.7z']);
+
+const COMPRESSION_BY_FORMAT = {
+  'tar.gz': 'gzip',
+  gz: 'gzip',
+  'tar.bz2': 'bzip2',
+  bz2: 'bzip2'
+};
+
+const TEXT_LIKE_EXTENSIONS = new Set(SUPPORTED_TEXT_EXTENSIONS);
+
+const readUtf8 = (filePath) => fs.readFile(filePath, 'utf8');
+
+const ENTRY_EXTRACTORS = {
+  '.pdf': (filePath, name) => extractTextFromPdf(filePath, name),
+  '.doc': extractTextFromDoc,
+  '.docx': extractTextFromDocx,
+  '.xlsx': extractTextFromXlsx,
+  '.pptx': extractTextFromPptx,
+  '.xls': extractTextFromXls,
+  '.ppt': extractTextFromPpt,
+  '.odt': extractTextFromOdfZip,
+  '.ods': extractTextFromOdfZip,
+  '.odp': extractTextFromOdfZip,
+  '.epub': extractTextFromEpub,
+  '.eml': extractTextFromEml,
+  '.msg': extractTextFromMsg,
+  '.kml': extractTextFromKml,
+  '.kmz': extractTextFromKmz,
+  '.csv': extractTextFromCsv,
+  '.rtf': async (filePath) => extractPlainTextFromRtf(await readUtf8(filePath)),
+  '.xml': async (filePath) => extractPlainTextFromXml(await readUtf8(filePath)),
+  '.html': async (filePath) => extractPlainTextFromHtml(await readUtf8(filePath)),
+  '.htm': async (filePath) => extractPlainTextFromHtml(await readUtf8(filePath))
+};
+
+function getEntryExtractor(ext) {
+  if (ENTRY_EXTRACTORS[ext]) return ENTRY_EXTRACTORS[ext];
+  if (TEXT_LIKE_EXTENSIONS.has(ext)) return readUtf8;
+  return null;
+}
+
+/**
+ * Reject entry names that would escape the archive root when extracted.
+ * @param {string} entryName
+ * @returns {boolean}
+ */
+function isSafeEntryPath(entryName) {
+  if (typeof entryName !== 'string' || !entryName) return false;
+  if (entryName.includes('\0')) return false;
+  const normalized = entryName.replace(/\\/g, '/');
+  if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) return false;
+  return !normalized.split('/').some((segment) => segment === '..');
+}
+
+function detectArchiveFormat(filePath) {
+  const lower = path.basename(filePath).toLowerCase();
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz';
+  if (lower.endsWith('.tar.bz2') || lower.endsWith('.tbz2')) return 'tar.bz2';
+  const ext = path.extname(lower);
+  if (ext === '.zip') return 'zip';
+  if (ext === '.tar') return 'tar';
+  if (ext === '.gz') return 'gz';
+  if (ext === '.bz2') return 'bz2';
+  return ext.substring(1);
+}
+
+function deriveKeywordsFromFilenames(names) {
+  const exts = {};
+  const tokens = new Set();
+  names.forEach((n) => {
+    const parts = n.split('/');
+    const b = parts.length > 0 ? parts[parts.length - 1] : '';
+    if (!b) return; // Skip empty filenames
+    const extParts = b.split('.');
+    const e = extParts.length > 1 ? extParts[extParts.length - 1].toLowerCase() : '';
+    if (e) exts[e] = (exts[e] || 0) + 1;
+    b.replace(/[^a-zA-Z0-9]+/g, ' ')
+      .toLowerCase()
+      .split(' ')
+      .forEach((w) => {
+        if (w && w.length > 2 && w.length < 20) tokens.add(w);
+      });
+  });
+  const topExts = Object.entries(exts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([k]) => k);
+  return [...topExts, ...Array.from(tokens)].slice(0, 15);
+}
+
+function isRatioSuspicious(uncompressed, compressed) {
+  if (uncompressed < ARCHIVE_LIMITS.RATIO_CHECK_MIN_BYTES) return false;
+  if (!compressed) return true;
+  return uncompressed / compressed > ARCHIVE_LIMITS.MAX_COMPRESSION_RATIO;
+}
+
+/**
+ * Decompress a zip entry without trusting its declared size.
+ * adm-zip's getData() inflates unbounded, so stored/deflated data is handled here
+ * with an explicit output ceiling; inflating stops as soon as it is passed.
+ * @throws {Error} ARCHIVE_ENTRY_LIMIT when the entry holds more than maxBytes
+ */
+function readZipEntryBounded(entry, maxBytes) {
+  const compressed = entry.getCompressedData();
+  if (entry.header.method === 0) {
+    if (compressed.length > maxBytes) throw new Error('ARCHIVE_ENTRY_LIMIT');
+    return compressed;
+  }
+  if (entry.header.method === 8) {
+    try {
+      return zlib.inflateRawSync(compressed, { maxOutputLength: maxBytes });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error('ARCHIVE_ENTRY_LIMIT', { cause: error });
+      }
+      logger.debug('[ARCHIVE] Zip entry failed to inflate', {
+        entry: entry.entryName,
+        error: error.message
+      });
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect entries from a zip file. Buffers are read lazily and bounded.
+ */
+function listZipEntries(filePath, state) {
+  const AdmZip = require('adm-zip');
+  const zip = new AdmZip(filePath);
+  const entries = [];
+  for (const entry of zip.getEntries()) {
+    if (entries.length >= ARCHIVE_LIMITS.MAX_ENTRIES) {
+      state.truncated = true;
+      break;
+    }
+    if (entry.isDirectory) continue;
+    const size = Number(entry.header.size) || 0;
+    const compressedSize = Number(entry.header.compressedSize) || 0;
+    entries.push({
+      path: entry.entryName,
+      size,
+      encrypted: Boolean(entry.header.encrypted),
+      suspicious: isRatioSuspicious(size, compressedSize),
+      read: (maxBytes) => readZipEntryBounded(entry, maxBytes)
+    });
+  }
+  return entries;
+}
+
+/**
+ * Byte counter that aborts the stream once the decompressed scan budget is spent.
+ */
+function createScanLimiter(state, compressedSize) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      seen += chunk.length;
+      if (seen > ARCHIVE_LIMITS.MAX_SCAN_BYTES) {
+        state.truncated = true;
+        callback(new Error('ARCHIVE_SCAN_LIMIT'));
+        return;
+      }
+      if (compressedSize && isRatioSuspicious(seen, compressedSize)) {
+        state.bombSuspected = true;
+        callback(new Error('ARCHIVE_RATIO_LIMIT'));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+function isLimitError(error) {
+  return error?.message === 'ARCHIVE_SCAN_LIMIT' || error?.message === 'ARCHIVE_RATIO_LIMIT';
+}
+
+/**
+ * Streaming decompressor for a compression name. bzip2 has no zlib binding,
+ * so it goes through the pure-JS unbzip2-stream, which decodes one block
+ * (at most 900KB) at a time and stays under the scan limiter's bounds.
+ * @param {'gzip'|'bzip2'} compression
+ */
+function createDecompressor(compression) {
+  if (compression === 'bzip2') {
+    const bz2 = require('unbzip2-stream');
+    return bz2();
+  }
+  return zlib.createGunzip();
+}
+
+/**
+ * Stream a (optionally gzip or bzip2 compressed) tar file once, listing
+ * entries and buffering the candidate documents we intend to extract.
+ */
+async function listTarEntries(filePath, { compression, compressedSize }, state) {
+  const tar = require('tar');
+  const entries = [];
+  let bufferedBytes = 0;
+  let bufferedCount = 0;
+
+  const parser = new tar.Parser({
+    onReadEntry: (entry) => {
+      if (entry.type !== 'File' && entry.type !== 'OldFile' && entry.type !== 'ContiguousFile') {
+        entry.resume();
+        return;
+      }
+      if (entries.length >= ARCHIVE_LIMITS.MAX_ENTRIES) {
+        state.truncated = true;
+        entry.resume();
+        return;
+      }
+      const record = { path: entry.path, size: Number(entry.size) || 0, data: null };
+      record.read = () => record.data;
+      entries.push(record);
+
+      const wanted =
+        isSafeEntryPath(record.path) &&
+        getEntryExtractor(path.extname(record.path).toLowerCase()) &&
+        record.size <= ARCHIVE_LIMITS.MAX_ENTRY_BYTES &&
+        bufferedBytes + record.size <= ARCHIVE_LIMITS.MAX_EXTRACT_TOTAL_BYTES &&
+        bufferedCount < ARCHIVE_LIMITS.MAX_EXTRACTED_FILES;
+      if (!wanted) {
+        entry.resume();
+        return;
+      }
+      bufferedBytes += record.size;
+      bufferedCount++;
+      const chunks = [];
+      entry.on('data', (chunk) => chunks.push(chunk));
+      entry.on('end', () => {
+        record.data = Buffer.concat(chunks);
+      });
+    }
+  });
+
+  const stages = [createReadStream(filePath)];
+  if (compression) stages.push(createDecompressor(compression));
+  stages.push(createScanLimiter(state, compression ? compressedSize : 0), parser);
+
+  try {
+    await pipeline(...stages);
+  } catch (error) {
+    if (!isLimitError(error)) throw error;
+    logger.warn('[ARCHIVE] Stopped scanning archive at safety limit', {
+      filePath,
+      reason: error.message
+    });
+  }
+  return entries;
+}
+
+/**
+ * Decompress a single-file .gz or .bz2 stream (not a tarball) with the same bounds.
+ */
+async function listCompressedEntry(filePath, { compression, compressedSize }, state) {
+  const innerName = path.basename(filePath).replace(/\.(gz|bz2)$/i, '');
+  const chunks = [];
+  let total = 0;
+  const collector = new Transform({
+    transform(chunk, _encoding, callback) {
+      total += chunk.length;
+      if (total > ARCHIVE_LIMITS.MAX_ENTRY_BYTES) {
+        state.truncated = true;
+        callback(new Error('ARCHIVE_SCAN_LIMIT'));
+        return;
+      }
+      chunks.push(chunk);
+      callback();
+    }
+  });
+
+  try {
+    await pipeline(
+      createReadStream(filePath),
+      createDecompressor(compression),
+      createScanLimiter(state, compressedSize),
+      collector
+    );
+  } catch (error) {
+    if (!isLimitError(error)) throw error;
+    return [{ path: innerName, size: total, suspicious: true, read: () => null }];
+  }
+
+  const data = Buffer.concat(chunks);
+  return [{ path: innerName, size: data.length, read: () => data }];
+}
+
+function toExcerpt(text) {
+  return text.replace(/\s+/g, ' ').trim().slice(0, ARCHIVE_LIMITS.EXCERPT_LENGTH);
+}
+
+/**
+ * Read an entry's bytes, holding it to maxBytes whatever its header declares.
+ * Zip entries stop inflating at the bound; tar and gz entries were already
+ * buffered under the scan limits and are checked against it here.
+ * @returns {{ data: Buffer|null, overLimit: boolean }}
+ */
+function readEntryBounded(entry, maxBytes) {
+  let data;
+  try {
+    data = entry.read(maxBytes);
+  } catch (error) {
+    if (error.message !== 'ARCHIVE_ENTRY_LIMIT') throw error;
+    return { data: null, overLimit: true };
+  }
+  if (data && data.length > maxBytes) return { data: null, overLimit: true };
+  return { data, overLimit: false };
+}
+
+/**
+ * Write the entry to a flat, index-named file inside the sandbox and run the
+ * matching extractor. Entry names are never used as filesystem paths.
+ */
+async function extractEntryText(entry, buffer, index, sandboxDir) {
+  const ext = path.extname(entry.path).toLowerCase();
+  const extractor = getEntryExtractor(ext);
+  if (!extractor) return '';
+  if (!buffer || buffer.length === 0) return '';
+
+  const tempPath = path.join(sandboxDir, `entry-${index}${ext}`);
+  await fs.writeFile(tempPath, buffer);
+  try {
+    const text = await withTimeout(
+      Promise.resolve(extractor(tempPath, path.basename(entry.path))),
+      ARCHIVE_LIMITS.ENTRY_TIMEOUT_MS,
+      `Archive entry extraction for ${entry.path}`
+    );
+    return typeof text === 'string' ? text : '';
+  } finally {
+    await fs.unlink(tempPath).catch(() => {});
+  }
+}
+
+function buildCombinedText(fileName, totalEntries, documents) {
+  const header = `Archive ${fileName} contains ${totalEntries} files. Extracted documents: ${documents
+    .map((d) => d.path)
+    .join(', ')}`;
+  let combined = header;
+  for (const doc of documents) {
+    const section = `\n\n--- ${doc.path} ---\n${doc.text.slice(0, ARCHIVE_LIMITS.MAX_TEXT_PER_ENTRY)}`;
+    if (combined.length + section.length > ARCHIVE_LIMITS.MAX_COMBINED_TEXT) {
+      combined += section.slice(0, ARCHIVE_LIMITS.MAX_COMBINED_TEXT - combined.length);
+      break;
+    }
+    combined += section;
+  }
+  return combined;
+}
+
+/**
+ * Walk an archive and extract text from its supported inner documents.
+ *
+ * Returns a summary, rolled-up keywords and (when any inner document yielded
+ * text) a combined text block suitable for the normal LLM analysis path.
+ * Never throws for malformed or hostile archives; failures degrade to a
+ * metadata-only summary.
+ *
+ * @param {string} filePath - Path to the archive
+ * @returns {Promise<{format: string, summary: string, keywords: string[], combinedText: string, contents: Object}>}
+ */
+async function extractArchiveContents(filePath) {
+  const format = detectArchiveFormat(filePath);
+  const fileName = path.basename(filePath);
+  const label = format.toUpperCase();
+  const state = { truncated: false, bombSuspected: false };
+  const skipped = { unsafe: 0, oversized: 0, unsupported: 0, encrypted: 0, limit: 0, failed: 0 };
+  const result = {
+    format,
+    summary: `${label} archive`,
+    keywords: [],
+    combinedText: '',
+    contents: null
+  };
+
+  if (LISTING_ONLY_FORMATS.has(`.${format}`)) {
+    result.summary = `${label} archive (content extraction not supported for this format)`;
+    return result;
+  }
+
+  let entries;
+  try {
+    const compressedSize = (await fs.stat(filePath)).size;
+    if (format === 'zip') {
+      entries = listZipEntries(filePath, state);
+    } else if (format === 'tar' || format === 'tar.gz' || format === 'tar.bz2') {
+      entries = await listTarEntries(
+        filePath,
+        { compression: COMPRESSION_BY_FORMAT[format], compressedSize },
+        state
+      );
+    } else if (format === 'gz' || format === 'bz2') {
+      entries = await listCompressedEntry(
+        filePath,
+        { compression: COMPRESSION_BY_FORMAT[format], compressedSize },
+        state
+      );
+    } else {
+      return result;
+    }
+  } catch (error) {
+    logger.warn('[ARCHIVE] Failed to read archive', { filePath, error: error.message });
+    result.summary = `${label} archive (content listing unavailable)`;
+    return result;
+  }
+
+  const names = entries.map((e) => e.path);
+  result.keywords = deriveKeywordsFromFilenames(names.slice(0, ARCHIVE_LIMITS.MAX_LISTED_ENTRIES));
+
+  const documents = [];
+  const listed = [];
+  let extractedBytes = 0;
+  let sandboxDir = null;
+
+  try {
+    for (const entry of entries) {
+      const ext = path.extname(entry.path).toLowerCase();
+      const record = { path: entry.path, extension: ext, size: entry.size, extracted: false };
+      if (listed.length < ARCHIVE_LIMITS.MAX_LISTED_ENTRIES) listed.push(record);
+
+      if (!isSafeEntryPath(entry.path)) {
+        skipped.unsafe++;
+        continue;
+      }
+      if (!getEntryExtractor(ext)) {
+        skipped.unsupported++;
+        continue;
+      }
+      if (entry.encrypted) {
+        skipped.encrypted++;
+        continue;
+      }
+      if (entry.suspicious || entry.size > ARCHIVE_LIMITS.MAX_ENTRY_BYTES) {
+        skipped.oversized++;
+        continue;
+      }
+      if (
+        documents.length >= ARCHIVE_LIMITS.MAX_EXTRACTED_FILES ||
+        extractedBytes >= ARCHIVE_LIMITS.MAX_EXTRACT_TOTAL_BYTES ||
+        extractedBytes + entry.size > ARCHIVE_LIMITS.MAX_EXTRACT_TOTAL_BYTES
+      ) {
+        skipped.limit++;
+        continue;
+      }
+
+      // Headers can understate sizes, so the budget is charged with the bytes
+      // actually decompressed; an entry that overruns it ends extraction
+      const remaining = ARCHIVE_LIMITS.MAX_EXTRACT_TOTAL_BYTES - extractedBytes;
+      const bound = Math.min(ARCHIVE_LIMITS.MAX_ENTRY_BYTES, remaining);
+      let data;
+      try {
+        const read = readEntryBounded(entry, bound);
+        if (read.overLimit) {
+          extractedBytes += bound;
+          if (bound < ARCHIVE_LIMITS.MAX_ENTRY_BYTES) skipped.limit++;
+          else skipped.oversized++;
+          continue;
+        }
+        data = read.data;
+      } catch (error) {
+        skipped.failed++;
+        logger.debug('[ARCHIVE] Inner document could not be read', {
+          filePath,
+          entry: entry.path,
+          error: error.message
+        });
+        continue;
+      }
+      extractedBytes += data ? data.length : 0;
+
+      if (!sandboxDir) {
+        sandboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stratosort-archive-'));
+      }
+      try {
+        const text = await extractEntryText(entry, data, documents.length, sandboxDir);
+        if (text && text.trim()) {
+          documents.push({ path: entry.path, text });
+          record.extracted = true;
+          record.excerpt = toExcerpt(text);
+          record.keywords = deriveKeywordsFromFilenames([entry.path]).slice(0, 5);
+        } else {
+          skipped.failed++;
+        }
+      } catch (error) {
+        skipped.failed++;
+        logger.debug('[ARCHIVE] Inner document extraction failed', {
+          filePath,
+          entry: entry.path,
+          error: error.message
+        });
+      }
+    }
+  } finally {
+    if (sandboxDir) {
+      await fs.rm(sandboxDir, { recursive: true, force: true }).catch((error) => {
+        logger.debug('[ARCHIVE] Failed to remove sandbox directory', {
+          sandboxDir,
+          error: error.message
+        });
+      });
+    }
+  }
+
+  result.summary = `${label} archive with ${entries.length}${state.truncated ? '+' : ''} entries${
+    documents.length > 0 ? ` (${documents.length} documents extracted)` : ''
+  }`;
+  if (documents.length > 0) {
+    result.combinedText = buildCombinedText(fileName, entries.length, documents);
+  }
+  result.contents = {
+    format,
+    totalEntries: entries.length,
+    extractedCount: documents.length,
+    truncated: state.truncated,
+    bombSuspected: state.bombSuspected,
+    skipped,
+    entries: listed
+  };
+
+  if (state.bombSuspected) {
+    logger.warn('[ARCHIVE] Suspicious compression ratio, archive only partially inspected', {
+      filePath
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  extractArchiveContents,
+  deriveKeywordsFromFilenames,
+  isSafeEntryPath,
+  ARCHIVE_LIMITS
+};
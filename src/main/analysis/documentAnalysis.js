@@ -6,6 +6,7 @@ const {
   SUPPORTED_DOCUMENT_EXTENSIONS,
   SUPPORTED_ARCHIVE_EXTENSIONS,
   SUPPORTED_VIDEO_EXTENSIONS,
+  SUPPORTED_AUDIO_EXTENSIONS,
   AI_DEFAULTS,
   DEFAULT_AI_MODELS
 } = require('../../shared/constants');
@@ -39,6 +40,9 @@ const {
 const { analyzeTextWithLlama, normalizeCategoryToSmartFolders } = require('./documentLlm');
 const { normalizeAnalysisResult } = require('./utils');
 const { normalizeExtractedTextForStorage } = require('./analysisTextUtils');
+const { detectLanguage } = require('../utils/languageDetection');
+const { getOutputLanguageKey } = require('../../shared/outputLanguage');
+const { getOutputLanguagePreference } = require('./outputLanguageSettings');
 const {
   getIntelligentCategory,
   getIntelligentKeywords,
@@ -52,6 +56,10 @@ const {
   getServices
 } = require('./semanticFolderMatcher');
 const { LRUCache } = require('../../shared/LRUCache');
+const { extractArchiveContents } = require('./archiveExtractor');
+const { getInstance: getTranscriptionService } = require('../services/TranscriptionService');
+const { analyzeVideoFile } = require('./videoAnalysis');
+const { getInstance: getFileAccessPolicy } = require('../services/FileAccessPolicy');
 
 // Cache configuration constants
 const CACHE_CONFIG = {
@@ -155,6 +163,22 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
   const bypassCache = Boolean(options?.bypassCache);
   const fileExtension = path.extname(filePath).toLowerCase();
   const fileName = path.basename(filePath);
+
+  // Privacy zones: organize by name and extension only, never read the content.
+  // Checked before the cache so results from before the zone existed are not reused.
+  if (await getFileAccessPolicy().isPrivate(filePath)) {
+    logger.info('File is in a privacy zone, skipping content analysis', { path: filePath });
+    return createFallbackAnalysis({
+      fileName,
+      fileExtension,
+      reason: 'privacy zone',
+      smartFolders,
+      confidence: 60,
+      type: 'document',
+      options: { extractionMethod: 'privacy_zone' }
+    });
+  }
+
   const smartFolderSig = Array.isArray(smartFolders)
     ? smartFolders
         .map((f) => {
@@ -192,12 +216,15 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
     });
   }
 
+  // A different output language must not be served from the cache
+  const outputLanguageKey = getOutputLanguageKey(await getOutputLanguagePreference());
+
   // Step 1: Attempt to compute file signature and check cache (non-fatal if fails)
   let fileSignature = null;
   let fileStats = null;
   try {
     fileStats = await fs.stat(filePath);
-    fileSignature = `${ANALYSIS_SIGNATURE_VERSION}|${modelName}|${smartFolderSig}|${filePath}|${fileStats.size}|${fileStats.mtimeMs}`;
+    fileSignature = `${ANALYSIS_SIGNATURE_VERSION}|${modelName}|${smartFolderSig}|${outputLanguageKey}|${filePath}|${fileStats.size}|${fileStats.mtimeMs}`;
     if (!bypassCache) {
       const cachedResult = getFileCache(fileSignature);
       if (cachedResult) {
@@ -236,23 +263,18 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
     return today;
   })();
 
-  // FAST SEMANTIC LABELING (Short-circuit)
-  // Skip AI analysis for video files and use extension-based fallback immediately
+  // Videos: keyframes + subtitles + container metadata (extension fallback without ffmpeg)
   if ((SUPPORTED_VIDEO_EXTENSIONS || []).includes(fileExtension)) {
-    const intelligentCategory = getIntelligentCategory(fileName, fileExtension, smartFolders);
-    const intelligentKeywords = getIntelligentKeywords(fileName, fileExtension);
-    const safeCategory = intelligentCategory || 'video';
-
-    return {
-      purpose: 'Video file',
-      project: path.basename(fileName, fileExtension),
-      category: safeCategory,
-      date: fileDate,
-      keywords: intelligentKeywords,
-      confidence: 80, // High confidence for known types
-      suggestedName: safeSuggestedName(fileName, fileExtension),
-      extractionMethod: 'extension_short_circuit'
-    };
+    const videoResult = await analyzeVideoFile(filePath, smartFolders, {
+      fileDate,
+      fileSize: fileStats?.size,
+      bypassCache
+    });
+    // Don't pin the extension fallback in cache; installing ffmpeg should take effect
+    if (fileSignature && videoResult.extractionMethod !== 'extension_short_circuit') {
+      await setFileCacheIfUnchanged(fileSignature, filePath, fileStats, videoResult);
+    }
+    return videoResult;
   }
 
   // Step 2: Main content extraction and analysis (errors handled separately)
@@ -260,6 +282,8 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
     let extractedText = null;
     let pdfNoTextFallback = false;
     let pdfOriginalError = null;
+    let archiveInfo = null;
+    let transcript = null;
 
     if (fileExtension === '.pdf') {
       try {
@@ -491,24 +515,50 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
         }
       }
     } else if (SUPPORTED_ARCHIVE_EXTENSIONS.includes(fileExtension)) {
-      // Archive metadata inspection (best-effort)
-      const archiveInfo = await tryExtractArchiveMetadata(filePath);
-      const keywords =
-        archiveInfo.keywords?.slice(0, TRUNCATION.KEYWORDS_MAX) ||
-        getIntelligentKeywords(fileName, fileExtension);
-
-      const category = normalizeCategoryToSmartFolders('archive', smartFolders);
-
-      return {
-        purpose: archiveInfo.summary || 'Archive file',
-        project: path.basename(fileName, fileExtension),
-        category,
-        date: fileDate,
-        keywords,
-        confidence: 70,
-        suggestedName: safeSuggestedName(fileName, fileExtension),
-        extractionMethod: 'archive'
-      };
+      // Walk the archive and pull supported inner documents (bounded + sandboxed)
+      archiveInfo = await tryExtractArchiveMetadata(filePath);
+      if (archiveInfo.combinedText) {
+        extractedText = archiveInfo.combinedText;
+      } else {
+        // Nothing extractable inside: fall back to listing-based metadata
+        const keywords = archiveInfo.keywords?.length
+          ? archiveInfo.keywords.slice(0, TRUNCATION.KEYWORDS_MAX)
+          : getIntelligentKeywords(fileName, fileExtension);
+
+        const category = normalizeCategoryToSmartFolders('archive', smartFolders);
+
+        return {
+          purpose: archiveInfo.summary || 'Archive file',
+          project: path.basename(fileName, fileExtension),
+          category,
+          date: fileDate,
+          keywords,
+          confidence: 70,
+          suggestedName: safeSuggestedName(fileName, fileExtension),
+          extractionMethod: 'archive',
+          ...(archiveInfo.contents ? { archiveContents: archiveInfo.contents } : {})
+        };
+      }
+    } else if ((SUPPORTED_AUDIO_EXTENSIONS || []).includes(fileExtension)) {
+      // Local speech-to-text; the transcript is analyzed like any other document text
+      try {
+        transcript = await getTranscriptionService().transcribe(filePath);
+        extractedText = transcript.text;
+      } catch (sttError) {
+        logger.warn('[AUDIO] Transcription failed, using filename fallback', {
+          fileName,
+          error: sttError.message
+        });
+        return createFallbackAnalysis({
+          fileName,
+          fileExtension,
+          reason: 'Audio transcription unavailable',
+          smartFolders,
+          confidence: 60,
+          type: 'document',
+          options: { extractionMethod: 'filename', date: fileDate, error: sttError.message }
+        });
+      }
     } else {
       // No content parser available - use filename-based fallback
       logger.warn(`[FILENAME-FALLBACK] No content parser`, {
@@ -583,9 +633,12 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
 
       // Folders are only relevant if they change the prompt structure, but analyzeTextWithLlama uses
       // folders in the prompt. So we SHOULD include folders. But model is in contentHash.
+      // Whisper reports the spoken language; otherwise detect it from the text (ISO 639-1)
+      const language = transcript?.language || detectLanguage(extractedText)?.iso || null;
       const analysisFn = () =>
         analyzeTextWithLlama(extractedText, fileName, smartFolders, fileDate, namingContext, {
-          bypassCache
+          bypassCache,
+          language
         });
 
       // Skip in-flight deduplication during forced reanalysis — we explicitly want fresh results
@@ -597,6 +650,7 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
           contentHash,
           fileName,
           task: 'analyzeTextWithLlama',
+          outputLanguage: outputLanguageKey,
           folders: Array.isArray(smartFolders)
             ? smartFolders.map((f) => f?.name || '').join(',')
             : ''
@@ -629,6 +683,19 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
       // Large documents can be 2MB+, holding this in memory during subsequent async
       // operations wastes memory. Capture what we need and null the reference.
       const extractedTextLength = extractedText?.length || 0;
+      const extractionMethod = transcript
+        ? 'transcription'
+        : archiveInfo
+          ? 'archive_content'
+          : 'content';
+      const transcription = transcript
+        ? {
+            language: transcript.language,
+            durationSec: transcript.durationSec,
+            model: transcript.model,
+            segmentCount: transcript.segments?.length || 0
+          }
+        : null;
       const extractedTextPreview = extractedText?.substring(0, 500) || '';
       const extractedTextForStorage = normalizeExtractedTextForStorage(extractedText);
       extractedText = null;
@@ -646,13 +713,16 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
           date: analysis.date,
           keywords: analysis.keywords,
           contentChars: extractedTextLength,
-          extractionMethod: 'content'
+          extractionMethod
         });
         const normalized = normalizeAnalysisResult(
           {
             ...analysis,
+            ...(archiveInfo ? mergeArchiveRollup(analysis, archiveInfo) : {}),
+            ...(transcription ? { transcription } : {}),
+            ...(language ? { language } : {}),
             contentLength: extractedTextLength,
-            extractionMethod: 'content',
+            extractionMethod,
             extractedText: extractedTextForStorage
           },
           { category: 'document', keywords: [], confidence: 0 }
@@ -694,7 +764,10 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
           confidence: 60,
           error: analysis?.error || 'AI analysis failed for document content.',
           contentLength: extractedTextLength,
-          extractionMethod: 'content'
+          extractionMethod,
+          ...(archiveInfo?.contents ? { archiveContents: archiveInfo.contents } : {}),
+          ...(transcription ? { transcription } : {}),
+          ...(language ? { language } : {})
         },
         { category: 'document', keywords: [], confidence: 60 }
       );
@@ -764,52 +837,39 @@ async function analyzeDocumentFile(filePath, smartFolders = [], options = {}) {
 
 // Text normalization helpers moved to documentExtractors
 
-// Best-effort archive metadata extraction (ZIP only without external deps)
+// Best-effort archive inspection; inner documents are extracted via archiveExtractor
 async function tryExtractArchiveMetadata(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const info = { keywords: [], summary: '' };
-  if (ext === '.zip') {
-    try {
-      const AdmZip = require('adm-zip');
-      const zip = new AdmZip(filePath);
-      const entries = zip.getEntries().slice(0, 50);
-      const names = entries.map((e) => e.entryName);
-      info.keywords = deriveKeywordsFromFilenames(names);
-      info.summary = `ZIP archive with ${zip.getEntries().length} entries`;
-      return info;
-    } catch {
-      info.summary = 'ZIP archive (content listing unavailable)';
-      info.keywords = [];
-      return info;
-    }
+  try {
+    return await extractArchiveContents(filePath);
+  } catch (error) {
+    logger.warn('[ARCHIVE] Archive inspection failed', { path: filePath, error: error.message });
+    const ext = path.extname(filePath).toLowerCase();
+    return {
+      summary: `${ext.substring(1).toUpperCase()} archive (content listing unavailable)`,
+      keywords: [],
+      combinedText: '',
+      contents: null
+    };
   }
-  info.summary = `${ext.substring(1).toUpperCase()} archive`;
-  info.keywords = [];
-  return info;
 }
 
-function deriveKeywordsFromFilenames(names) {
-  const exts = {};
-  const tokens = new Set();
-  names.forEach((n) => {
-    const parts = n.split('/');
-    const b = parts.length > 0 ? parts[parts.length - 1] : '';
-    if (!b) return; // Skip empty filenames
-    const extParts = b.split('.');
-    const e = extParts.length > 1 ? extParts[extParts.length - 1].toLowerCase() : '';
-    if (e) exts[e] = (exts[e] || 0) + 1;
-    b.replace(/[^a-zA-Z0-9]+/g, ' ')
-      .toLowerCase()
-      .split(' ')
-      .forEach((w) => {
-        if (w && w.length > 2 && w.length < 20) tokens.add(w);
-      });
-  });
-  const topExts = Object.entries(exts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 3)
-    .map(([k]) => k);
-  return [...topExts, ...Array.from(tokens)].slice(0, 15);
+/**
+ * Fold the archive listing into the LLM result so inner-document keywords and
+ * the entry manifest survive into history and embeddings.
+ */
+function mergeArchiveRollup(analysis, archiveInfo) {
+  const entryKeywords = (archiveInfo.contents?.entries || []).flatMap((e) => e.keywords || []);
+  const keywords = Array.from(
+    new Set([
+      ...(Array.isArray(analysis?.keywords) ? analysis.keywords : []),
+      ...(archiveInfo.keywords || []),
+      ...entryKeywords
+    ])
+  ).slice(0, TRUNCATION.KEYWORDS_EXTENDED);
+  return {
+    keywords,
+    archiveContents: archiveInfo.contents
+  };
 }
 
 // Fallback helpers removed; sourced from fallbackUtils
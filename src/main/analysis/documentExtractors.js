@@ -113,6 +113,7 @@ try {
 }
 const { parse: parseCsv } = require('csv-parse/sync');
 const { isTesseractAvailable, recognizeIfAvailable } = require('../utils/tesseractUtils');
+const { narrowOcrLanguages } = require('../utils/languageDetection');
 // Streaming thresholds for large file handling
 const STREAM_THRESHOLD = 50 * 1024 * 1024; // 50MB - use streaming for files larger than this
 const MAX_CONTENT_LENGTH = 2 * 1024 * 1024; // 2MB of text max for LLM
@@ -549,7 +550,6 @@ async function ocrPdfIfNeeded(filePath) {
         error: metaError.message
       });
       const fallbackText = await ocrPdfWithCanvasRenderer(pdfBuffer, {
-        lang: 'eng',
         oem: 1,
         psm: 3
       });
@@ -579,7 +579,6 @@ async function ocrPdfIfNeeded(filePath) {
         error: renderError.message
       });
       const fallbackText = await ocrPdfWithCanvasRenderer(pdfBuffer, {
-        lang: 'eng',
         oem: 1,
         psm: 3
       });
@@ -593,7 +592,6 @@ async function ocrPdfIfNeeded(filePath) {
     pdfBuffer = null;
 
     const ocrResult = await recognizeIfAvailable(null, rasterPng, {
-      lang: 'eng',
       oem: 1,
       psm: 3
     });
@@ -661,6 +659,8 @@ async function ocrPdfWithCanvasRenderer(pdfBuffer, options = {}) {
   const SCALE = 1.5;
 
   let combinedText = '';
+  // The first page runs with every preferred language; later pages use the detected one
+  let languages = options.languages;
   try {
     for (let pageNumber = 1; pageNumber <= MAX_PAGES; pageNumber += 1) {
       try {
@@ -670,9 +670,10 @@ async function ocrPdfWithCanvasRenderer(pdfBuffer, options = {}) {
           scale: SCALE
         });
         const imageBuffer = Buffer.from(rendered);
-        const ocrResult = await recognizeIfAvailable(null, imageBuffer, options);
+        const ocrResult = await recognizeIfAvailable(null, imageBuffer, { ...options, languages });
         if (ocrResult.success && ocrResult.text && ocrResult.text.trim()) {
           combinedText += `${ocrResult.text.trim()}\n\n`;
+          languages = narrowOcrLanguages(ocrResult);
         }
       } catch (error) {
         logger.debug('[OCR] PDF page render failed', {
@@ -740,6 +741,7 @@ async function extractImagesFromOfficeArchiveAndOcr(filePath, mediaPathPrefix) {
     const zipEntries = zip.getEntries();
     let ocrText = '';
     let processedImages = 0;
+    let languages;
 
     // Filter for image files in the specified media folder (e.g. 'word/media/' or 'ppt/media/')
     const imageEntries = zipEntries.filter(
@@ -789,9 +791,9 @@ async function extractImagesFromOfficeArchiveAndOcr(filePath, mediaPathPrefix) {
         });
       }
       const ocrResult = await recognizeIfAvailable(null, ocrBuffer, {
-        lang: 'eng',
         oem: 1,
-        psm: 3
+        psm: 3,
+        languages
       });
       if (!ocrResult.success) {
         logger.debug('[OFFICE-OCR] OCR failed for image', {
@@ -803,6 +805,7 @@ async function extractImagesFromOfficeArchiveAndOcr(filePath, mediaPathPrefix) {
       if (ocrResult.success && ocrResult.text && ocrResult.text.trim()) {
         ocrText += `${ocrResult.text.trim()}\n\n`;
         processedImages++;
+        languages = narrowOcrLanguages(ocrResult);
       }
     }
 
@@ -11,6 +11,14 @@ const { selectRepresentativeContent, extractDocumentOutline } = require('./conte
 const FolderMatchingService = require('../services/FolderMatchingService');
 const { getInstance: getAnalysisCache } = require('../services/AnalysisCacheService');
 const { ANALYSIS_SCHEMA_PROMPT } = require('../../shared/analysisSchema');
+const { getLanguageName } = require('../../shared/ocrLanguages');
+const {
+  getOutputLanguageKey,
+  buildAnalysisLanguageInstruction
+} = require('../../shared/outputLanguage');
+const { getOutputLanguagePreference } = require('./outputLanguageSettings');
+const { extractFinancialFields } = require('./financialExtraction');
+const { normalizeKeyDates } = require('../../shared/documentDates');
 
 const logger = createLogger('DocumentLLM');
 const AppConfig = {
@@ -214,7 +222,9 @@ async function analyzeTextWithLlama(
     const namingContextKey = Array.isArray(namingContext)
       ? namingContext.slice(0, 5).join('|')
       : '';
-    const cacheSeed = `${originalFileName || ''}|${fileDate || ''}|${namingContextKey}|${truncated}`;
+    const outputLanguage = options?.outputLanguage || (await getOutputLanguagePreference());
+    const outputLanguageKey = getOutputLanguageKey(outputLanguage);
+    const cacheSeed = `${originalFileName || ''}|${fileDate || ''}|${namingContextKey}|${outputLanguageKey}|${truncated}`;
     const cacheKey = cacheService.generateKey(cacheSeed, modelToUse, smartFolders);
     if (!bypassCache) {
       const cachedResult = cacheService.get(cacheKey);
@@ -248,6 +258,11 @@ async function analyzeTextWithLlama(
     }
 
     const fileDateContext = fileDate ? `\nDocument File Date: ${fileDate}` : '';
+    const languageName = getLanguageName(options?.language);
+    const languageContext = languageName
+      ? `\nDocument Language: ${languageName}. Read the content as ${languageName}; scanned text may contain OCR errors typical for this language.`
+      : '';
+    const outputLanguageStr = buildAnalysisLanguageInstruction(outputLanguage, options?.language);
 
     // Build naming context string if available
     let namingContextStr = '';
@@ -261,7 +276,7 @@ async function analyzeTextWithLlama(
 
     const buildAnalysisPrompt =
       () => `You are an expert document analyzer. Analyze the TEXT CONTENT below and extract structured information.
-${fileDateContext}${folderCategoriesStr}${namingContextStr}
+${fileDateContext}${languageContext}${folderCategoriesStr}${namingContextStr}${outputLanguageStr}
 
 FILENAME CONTEXT: The original filename is "${originalFileName}". Use this as a HINT for the document's purpose, but verify against the actual content.
 
@@ -299,6 +314,7 @@ ${truncated}
       contentLength: truncated.length, // Additional uniqueness for truncated content
       text: truncated,
       model: modelToUse,
+      outputLanguage: outputLanguageKey,
       folders: smartFolders
         .map((f) => f?.name || '')
         .filter(Boolean)
@@ -551,6 +567,7 @@ ${truncated}
           const result = {
             rawText: textContent.substring(0, 2000),
             date: parsedJson.date || undefined,
+            keyDates: normalizeKeyDates(parsedJson.keyDates) || undefined,
             // Semantic fields for folder matching - these drive organization decisions
             summary: typeof parsedJson.summary === 'string' ? parsedJson.summary : undefined,
             reasoning: typeof parsedJson.reasoning === 'string' ? parsedJson.reasoning : undefined,
@@ -610,6 +627,14 @@ ${truncated}
             }
           });
 
+          // Invoices, receipts and statements get typed fields in a second pass
+          const financial = await extractFinancialFields(textContent, {
+            documentType: result.type,
+            fileName: originalFileName,
+            language: options?.language
+          });
+          if (financial) result.financial = financial;
+
           cacheService.set(cacheKey, result);
           return result;
         } catch (e) {
@@ -0,0 +1,50 @@
+/**
+ * Output language preference from user settings
+ * Cached like analysisLimits so the analysis pipeline does not load settings per file
+ * @module analysis/outputLanguageSettings
+ */
+
+const { createLogger } = require('../../shared/logger');
+const { resolveOutputLanguage } = require('../../shared/outputLanguage');
+
+const logger = createLogger('OutputLanguageSettings');
+
+const CACHE_TTL_MS = 5000;
+let cachedPreference = null;
+let cacheTimestamp = 0;
+
+/**
+ * @returns {Promise<{ mode: string, target: string, targetName: string }>}
+ */
+async function getOutputLanguagePreference() {
+  const now = Date.now();
+  if (cachedPreference && now - cacheTimestamp < CACHE_TTL_MS) {
+    return cachedPreference;
+  }
+  try {
+    const SettingsService = require('../services/SettingsService');
+    const service = SettingsService.getInstance();
+    if (!service?.load) {
+      return resolveOutputLanguage();
+    }
+    cachedPreference = resolveOutputLanguage(await service.load());
+    cacheTimestamp = now;
+    return cachedPreference;
+  } catch (error) {
+    logger.debug('[OutputLanguage] Failed to load from settings, using default:', error?.message);
+    return resolveOutputLanguage();
+  }
+}
+
+/**
+ * Invalidate cache (call when settings are saved)
+ */
+function invalidateCache() {
+  cachedPreference = null;
+  cacheTimestamp = 0;
+}
+
+module.exports = {
+  getOutputLanguagePreference,
+  invalidateCache
+};
@@ -0,0 +1,223 @@
+/**
+ * Photo Metadata
+ *
+ * Reads EXIF and XMP from an image (capture time, camera, lens, orientation,
+ * GPS) and resolves GPS coordinates to a place name offline. Stored on the
+ * analysis as `photo` and used by the `{place}`, `{country}`, `{camera}` and
+ * `{event}` organize template tokens.
+ *
+ * @module analysis/photoMetadata
+ */
+
+const { createLogger } = require('../../shared/logger');
+const { reverseGeocode } = require('../utils/reverseGeocode');
+
+const logger = createLogger('PhotoMetadata');
+
+let sharpModule;
+let sharpLoadAttempted = false;
+
+function getSharp() {
+  if (sharpLoadAttempted) return sharpModule;
+  sharpLoadAttempted = true;
+  try {
+    sharpModule = require('sharp');
+  } catch (error) {
+    sharpModule = null;
+    logger.warn('[PHOTO] sharp module unavailable; photo metadata disabled', {
+      error: error?.message
+    });
+  }
+  return sharpModule;
+}
+
+const LOCAL_DATE_TIME = /^(\d{4})[-:](\d{2})[-:](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+const CORPORATE_SUFFIX =
+  /[\s,]+(corporation|corp\.?|co\.?,?\s*ltd\.?|company|inc\.?|imaging|optical|electronics)\b.*$/i;
+
+// EXIF strings are often NUL-padded to a fixed width
+// eslint-disable-next-line no-control-regex
+const NUL_PADDING = /\u0000/g;
+
+const cleanText = (value) =>
+  typeof value === 'string' ? value.replace(NUL_PADDING, '').trim() || null : null;
+
+/**
+ * Wall-clock capture time as `YYYY-MM-DDTHH:mm:ss` (no zone). exif-reader
+ * returns EXIF times as UTC dates holding the camera's local clock.
+ */
+function toCaptureTime(value) {
+  if (value instanceof Date) {
+    return Number.isFinite(value.getTime()) ? value.toISOString().slice(0, 19) : null;
+  }
+  const match = LOCAL_DATE_TIME.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+}
+
+function normalizeMake(make) {
+  const cleaned = cleanText(make)?.replace(CORPORATE_SUFFIX, '').trim();
+  if (!cleaned) return null;
+  // "NIKON" -> "Nikon", but keep short acronyms such as "LG" or "DJI"
+  return cleaned === cleaned.toUpperCase() && cleaned.length > 3
+    ? cleaned.charAt(0) + cleaned.slice(1).toLowerCase()
+    : cleaned;
+}
+
+/**
+ * Display name for a camera: the model, prefixed with the make unless the
+ * model already names it ("Canon EOS R6", "Apple iPhone 15 Pro").
+ */
+function formatCameraName(make, model) {
+  const cleanMake = normalizeMake(make);
+  const cleanModel = cleanText(model);
+  if (!cleanModel) return cleanMake;
+  if (!cleanMake || cleanModel.toLowerCase().startsWith(cleanMake.toLowerCase())) {
+    return cleanModel;
+  }
+  return `${cleanMake} ${cleanModel}`;
+}
+
+const roundCoordinate = (value) => Math.round(value * 1e6) / 1e6;
+
+function fromDegreesMinutesSeconds(parts, ref) {
+  if (!Array.isArray(parts) || parts.length === 0) return null;
+  const [degrees = 0, minutes = 0, seconds = 0] = parts.map(Number);
+  const value = degrees + minutes / 60 + seconds / 3600;
+  if (!Number.isFinite(value)) return null;
+  return roundCoordinate(/^[SW]/i.test(String(ref || '')) ? -value : value);
+}
+
+// XMP writes coordinates as "38,42.5N" or "38,42,30N"
+function fromXmpCoordinate(text) {
+  const match = /^(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?(?:,(\d+(?:\.\d+)?))?([NSEW])$/i.exec(
+    String(text || '').trim()
+  );
+  if (!match) return null;
+  return fromDegreesMinutesSeconds([match[1], match[2] || 0, match[3] || 0], match[4]);
+}
+
+function readXmpValue(xmp, name) {
+  const escaped = name.replace(':', '\\:');
+  const match =
+    new RegExp(`${escaped}="([^"]*)"`).exec(xmp) ||
+    new RegExp(`<${escaped}>(?:\\s*<rdf:Alt>\\s*<rdf:li[^>]*>)?([^<]*)<`).exec(xmp);
+  return match ? cleanText(match[1]) : null;
+}
+
+function readExif(exifBuffer) {
+  if (!exifBuffer) return {};
+  try {
+    const exif = require('exif-reader')(exifBuffer);
+    const image = exif?.Image || {};
+    const photo = exif?.Photo || {};
+    const gps = exif?.GPSInfo || {};
+    const latitude = fromDegreesMinutesSeconds(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = fromDegreesMinutesSeconds(gps.GPSLongitude, gps.GPSLongitudeRef);
+    return {
+      capturedAt: toCaptureTime(
+        photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime
+      ),
+      make: cleanText(image.Make),
+      model: cleanText(image.Model),
+      lens: cleanText(photo.LensModel),
+      orientation: Number.isInteger(image.Orientation) ? image.Orientation : null,
+      latitude,
+      longitude,
+      altitude:
+        typeof gps.GPSAltitude === 'number' && Number.isFinite(gps.GPSAltitude)
+          ? Math.round((gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude) * 10) / 10
+          : null
+    };
+  } catch (error) {
+    logger.debug('[PHOTO] EXIF parse failed', { error: error.message });
+    return {};
+  }
+}
+
+function readXmp(xmpBuffer) {
+  if (!xmpBuffer) return {};
+  const xmp = xmpBuffer.toString('utf8');
+  return {
+    capturedAt: toCaptureTime(
+      readXmpValue(xmp, 'exif:DateTimeOriginal') ||
+        readXmpValue(xmp, 'photoshop:DateCreated') ||
+        readXmpValue(xmp, 'xmp:CreateDate')
+    ),
+    make: readXmpValue(xmp, 'tiff:Make'),
+    model: readXmpValue(xmp, 'tiff:Model'),
+    lens: readXmpValue(xmp, 'exifEX:LensModel') || readXmpValue(xmp, 'aux:Lens'),
+    latitude: fromXmpCoordinate(readXmpValue(xmp, 'exif:GPSLatitude')),
+    longitude: fromXmpCoordinate(readXmpValue(xmp, 'exif:GPSLongitude')),
+    city: readXmpValue(xmp, 'photoshop:City'),
+    country: readXmpValue(xmp, 'photoshop:Country')
+  };
+}
+
+/**
+ * Extract photo metadata from an image.
+ *
+ * @param {Buffer} imageBuffer - Encoded image bytes (before any preprocessing)
+ * @returns {Promise<{ capturedAt: string|null, camera: string|null, cameraMake: string|null,
+ *   cameraModel: string|null, lens: string|null, orientation: number|null,
+ *   gps: { latitude: number, longitude: number, altitude: number|null }|null,
+ *   place: { city: string|null, country: string|null, countryCode: string|null }|null }|null>}
+ *   Null when the image carries no EXIF or XMP metadata
+ */
+async function extractPhotoMetadata(imageBuffer) {
+  const sharp = getSharp();
+  if (!sharp || !imageBuffer) return null;
+  let meta;
+  try {
+    meta = await sharp(imageBuffer).metadata();
+  } catch (error) {
+    logger.debug('[PHOTO] Metadata read failed', { error: error.message });
+    return null;
+  }
+  if (!meta?.exif && !meta?.xmp) return null;
+
+  // EXIF wins where both are present; XMP fills gaps (and carries edited place names)
+  const exif = readExif(meta.exif);
+  const xmp = readXmp(meta.xmp);
+  const pick = (key) => exif[key] ?? xmp[key] ?? null;
+
+  const latitude = pick('latitude');
+  const longitude = pick('longitude');
+  const gps =
+    latitude !== null && longitude !== null
+      ? { latitude, longitude, altitude: exif.altitude ?? null }
+      : null;
+  const geocoded = gps ? reverseGeocode(latitude, longitude) : null;
+  const place =
+    xmp.city || geocoded
+      ? {
+          city: xmp.city || geocoded?.city || null,
+          country: xmp.country || geocoded?.country || null,
+          countryCode: geocoded?.countryCode || null
+        }
+      : null;
+
+  const make = pick('make');
+  const model = pick('model');
+  const photo = {
+    capturedAt: pick('capturedAt'),
+    camera: formatCameraName(make, model),
+    cameraMake: normalizeMake(make),
+    cameraModel: model,
+    lens: pick('lens'),
+    orientation: meta.orientation || exif.orientation || null,
+    gps,
+    place
+  };
+
+  const hasData = Object.values(photo).some((value) => value !== null);
+  return hasData ? photo : null;
+}
+
+module.exports = {
+  extractPhotoMetadata,
+  formatCameraName,
+  toCaptureTime
+};
@@ -29,6 +29,7 @@ const { analysisQueue } = require('./embeddingQueue/stageQueues');
 const embeddingQueueManager = require('./embeddingQueue/queueManager');
 const { withTimeout } = require('../../shared/promiseUtils');
 const { shouldEmbed } = require('../services/embedding/embeddingGate');
+const { matchFileToRule } = require('../services/autoOrganize/ruleMatching');
 
 const logger = createLogger('SemanticFolderMatcher');
 const SMART_FOLDER_UPSERT_CACHE_MS = 30000;
@@ -103,6 +104,7 @@ function validateMatcher(matcher) {
  * Unified semantic folder matching for documents and images
  *
  * This function:
+ * 0. Applies user-defined smart folder rules (a match pins the category)
  * 1. Initializes vector DB and FolderMatchingService if needed
  * 2. Upserts smart folder embeddings
  * 3. Generates embedding for the file's content summary
@@ -154,6 +156,31 @@ async function applySemanticFolderMatching(params) {
     return analysis;
   }
 
+  // Deterministic smart folder rules take precedence over any embedding match
+  try {
+    const ruleMatch = await matchFileToRule(
+      { path: filePath, name: fileName, size: fileSize, analysis },
+      smartFolders
+    );
+    if (ruleMatch) {
+      logger.info('[FolderMatcher] Smart folder rule matched', {
+        type,
+        llmCategory: analysis.category,
+        ...ruleMatch.matchedRule
+      });
+      if (analysis.category !== ruleMatch.folder.name) {
+        analysis.llmOriginalCategory = analysis.category;
+      }
+      analysis.category = ruleMatch.folder.name;
+      analysis.categorySource = 'rule';
+      analysis.suggestedFolder = ruleMatch.folder.name;
+      analysis.destinationFolder = ruleMatch.folder.path;
+      analysis.matchedRule = ruleMatch.matchedRule;
+    }
+  } catch (ruleError) {
+    logger.warn('[FolderMatcher] Rule evaluation failed:', ruleError.message);
+  }
+
   // Get services with lazy initialization
   const { vectorDb, matcher } = getServices();
 
@@ -344,7 +371,14 @@ async function applySemanticFolderMatching(params) {
         const shouldOverride =
           top.score >= THRESHOLDS.FOLDER_MATCH_CONFIDENCE && top.score > effectiveLlmConfidence;
 
-        if (shouldOverride) {
+        if (analysis.categorySource === 'rule') {
+          logger.debug('[FolderMatcher] Rule-selected category kept over embedding match', {
+            type,
+            ruleCategory: analysis.category,
+            embeddingCategory: top.name,
+            embeddingScore: top.score
+          });
+        } else if (shouldOverride) {
           logger.info('[FolderMatcher] Embedding override - folder match exceeds LLM confidence', {
             type,
             llmCategory: analysis.category,
@@ -389,7 +423,7 @@ async function applySemanticFolderMatching(params) {
         : 0;
 
     const overrideCategory =
-      analysis.categorySource === 'embedding_override' &&
+      (analysis.categorySource === 'embedding_override' || analysis.categorySource === 'rule') &&
       typeof analysis.category === 'string' &&
       analysis.category.trim().length > 0
         ? analysis.category
@@ -445,7 +479,8 @@ async function applySemanticFolderMatching(params) {
       // - 'smart_folders_only': only embed files in a configured smart folder
       const gate = await shouldEmbed({
         stage: 'analysis',
-        isInSmartFolder: !!resolvedSmartFolder
+        isInSmartFolder: !!resolvedSmartFolder,
+        filePath
       });
       if (gate.shouldEmbed) {
         const queueCapacity =
@@ -0,0 +1,450 @@
+/**
+ * Video Analysis
+ *
+ * Analyzes video files by combining three signals:
+ * - container metadata (duration, creation date, title, chapters) via ffprobe
+ * - embedded text subtitle tracks converted to plain text via ffmpeg
+ * - a contact sheet of sampled keyframes sent through the vision model
+ *
+ * ffmpeg/ffprobe are optional. Without them, or when nothing could be
+ * analyzed, the extension-based fallback is returned so videos still organize.
+ *
+ * @module analysis/videoAnalysis
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../shared/logger');
+const { asyncSpawn } = require('../utils/asyncSpawnUtils');
+const { resolveMediaTool } = require('../utils/mediaTools');
+const { analyzeImageWithLlama } = require('./imageAnalysis');
+const { analyzeTextWithLlama } = require('./documentLlm');
+const { normalizeAnalysisResult } = require('./utils');
+const { normalizeExtractedTextForStorage } = require('./analysisTextUtils');
+const {
+  getIntelligentCategory,
+  getIntelligentKeywords,
+  safeSuggestedName
+} = require('./fallbackUtils');
+const { applySemanticFolderMatching } = require('./semanticFolderMatcher');
+
+const logger = createLogger('VideoAnalysis');
+
+const VIDEO_LIMITS = {
+  KEYFRAME_COUNT: 4,
+  KEYFRAME_WIDTH: 512,
+  MAX_SUBTITLE_TRACKS: 2,
+  MAX_SUBTITLE_CHARS: 20000,
+  MIN_SUBTITLE_CHARS_FOR_TEXT_ANALYSIS: 200,
+  PROBE_TIMEOUT_MS: 30000,
+  FRAME_TIMEOUT_MS: 30000,
+  SUBTITLE_TIMEOUT_MS: 60000
+};
+
+// Image-based subtitle codecs cannot be converted to text without OCR
+const BITMAP_SUBTITLE_CODECS = new Set([
+  'hdmv_pgs_subtitle',
+  'dvd_subtitle',
+  'dvb_subtitle',
+  'xsub'
+]);
+
+// Tag keys vary by muxer (QuickTime, MP4, Matroska); compared case-insensitively
+const CREATION_TAG_KEYS = ['com.apple.quicktime.creationdate', 'creation_time', 'date'];
+
+function getTag(tags, key) {
+  if (!tags || typeof tags !== 'object') return null;
+  const match = Object.keys(tags).find((k) => k.toLowerCase() === key);
+  const value = match ? String(tags[match]).trim() : '';
+  return value || null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime()) || parsed.getUTCFullYear() < 1971) return null;
+  return parsed.toISOString().split('T')[0];
+}
+
+/**
+ * Reduce ffprobe JSON output to the fields used for analysis.
+ * @param {Object} json - `ffprobe -print_format json -show_format -show_streams -show_chapters`
+ * @returns {Object} Video metadata
+ */
+function parseProbeOutput(json) {
+  const streams = Array.isArray(json?.streams) ? json.streams : [];
+  const format = json?.format || {};
+  const videoStream = streams.find(
+    (s) => s?.codec_type === 'video' && !s?.disposition?.attached_pic
+  );
+
+  const creationDate =
+    CREATION_TAG_KEYS.map((key) => toIsoDate(getTag(format.tags, key))).find(Boolean) ||
+    toIsoDate(getTag(videoStream?.tags, 'creation_time'));
+
+  const subtitleStreams = streams
+    .filter((s) => s?.codec_type === 'subtitle')
+    .map((s) => ({
+      index: s.index,
+      codec: s.codec_name || 'unknown',
+      language: getTag(s.tags, 'language'),
+      title: getTag(s.tags, 'title'),
+      textBased: !BITMAP_SUBTITLE_CODECS.has(s.codec_name)
+    }));
+
+  const duration = Number(format.duration ?? videoStream?.duration);
+
+  return {
+    durationSec: Number.isFinite(duration) && duration > 0 ? Math.round(duration * 10) / 10 : null,
+    width: Number(videoStream?.width) || null,
+    height: Number(videoStream?.height) || null,
+    codec: videoStream?.codec_name || null,
+    hasVideo: Boolean(videoStream),
+    hasAudio: streams.some((s) => s?.codec_type === 'audio'),
+    title: getTag(format.tags, 'title'),
+    comment: getTag(format.tags, 'comment') || getTag(format.tags, 'description'),
+    creationDate,
+    subtitleStreams,
+    dataStreams: streams.filter((s) => s?.codec_type === 'data').length,
+    chapters: (Array.isArray(json?.chapters) ? json.chapters : [])
+      .map((c) => getTag(c?.tags, 'title'))
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Convert SRT/WebVTT/ASS-as-SRT output to plain text lines.
+ * @param {string} srt
+ * @returns {string}
+ */
+function subtitlesToText(srt) {
+  const lines = String(srt || '')
+    .replace(/\r/g, '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !/^\d+$/.test(line) && !line.includes('-->'))
+    .map((line) =>
+      line
+        .replace(/<[^>]+>/g, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .trim()
+    )
+    .filter(Boolean);
+
+  // Subtitles often repeat a line across consecutive cues
+  const deduped = lines.filter((line, i) => line !== lines[i - 1]);
+  return deduped.join('\n');
+}
+
+async function probeVideo(ffprobe, filePath) {
+  const result = await asyncSpawn(
+    ffprobe,
+    [
+      '-v',
+      'error',
+      '-print_format',
+      'json',
+      '-show_format',
+      '-show_streams',
+      '-show_chapters',
+      filePath
+    ],
+    { timeout: VIDEO_LIMITS.PROBE_TIMEOUT_MS, windowsHide: true }
+  );
+  if (result.status !== 0) {
+    throw new Error(`ffprobe failed: ${result.error?.message || result.stderr.slice(-200)}`);
+  }
+  return parseProbeOutput(JSON.parse(result.stdout || '{}'));
+}
+
+async function extractSubtitleText(ffmpeg, filePath, subtitleStreams, workDir) {
+  const textTracks = subtitleStreams
+    .filter((s) => s.textBased)
+    .slice(0, VIDEO_LIMITS.MAX_SUBTITLE_TRACKS);
+  const parts = [];
+
+  for (const track of textTracks) {
+    const outPath = path.join(workDir, `subs-${track.index}.srt`);
+    const result = await asyncSpawn(
+      ffmpeg,
+      ['-v', 'error', '-y', '-i', filePath, '-map', `0:${track.index}`, '-f', 'srt', outPath],
+      { timeout: VIDEO_LIMITS.SUBTITLE_TIMEOUT_MS, windowsHide: true }
+    );
+    if (result.status !== 0) {
+      logger.debug('[VIDEO] Subtitle track extraction failed', {
+        track: track.index,
+        error: result.error?.message || result.stderr.slice(-200)
+      });
+      continue;
+    }
+    const text = subtitlesToText(await fs.readFile(outPath, 'utf8').catch(() => ''));
+    if (text) parts.push(text);
+  }
+
+  return parts.join('\n\n').slice(0, VIDEO_LIMITS.MAX_SUBTITLE_CHARS);
+}
+
+function getKeyframeTimestamps(durationSec) {
+  if (!durationSec) return [0];
+  const count = VIDEO_LIMITS.KEYFRAME_COUNT;
+  // Evenly spaced, skipping the very start/end where intros and black frames live
+  return Array.from({ length: count }, (_, i) =>
+    Number((((i + 0.5) / count) * durationSec).toFixed(2))
+  );
+}
+
+/**
+ * Grab keyframes and tile them into a single image for one vision call.
+ * @returns {Promise<{buffer: Buffer, frameCount: number}|null>}
+ */
+async function buildKeyframeSheet(ffmpeg, filePath, durationSec, workDir) {
+  const framePaths = [];
+  for (const [i, timestamp] of getKeyframeTimestamps(durationSec).entries()) {
+    const framePath = path.join(workDir, `frame-${i + 1}.jpg`);
+    const result = await asyncSpawn(
+      ffmpeg,
+      [
+        '-v',
+        'error',
+        '-y',
+        '-ss',
+        String(timestamp),
+        '-i',
+        filePath,
+        '-frames:v',
+        '1',
+        '-vf',
+        `scale=${VIDEO_LIMITS.KEYFRAME_WIDTH}:-2`,
+        '-q:v',
+        '4',
+        framePath
+      ],
+      { timeout: VIDEO_LIMITS.FRAME_TIMEOUT_MS, windowsHide: true }
+    );
+    if (result.status === 0) framePaths.push(framePath);
+  }
+
+  if (framePaths.length === 0) return null;
+  if (framePaths.length === 1) {
+    return { buffer: await fs.readFile(framePaths[0]), frameCount: 1 };
+  }
+
+  // Renumber so the image2 demuxer sees a contiguous sequence even if a seek failed
+  for (const [i, framePath] of framePaths.entries()) {
+    const target = path.join(workDir, `sheet-${i + 1}.jpg`);
+    await fs.rename(framePath, target);
+  }
+  const layout = framePaths.length === 4 ? '2x2' : `${framePaths.length}x1`;
+  const sheetPath = path.join(workDir, 'sheet.jpg');
+  const result = await asyncSpawn(
+    ffmpeg,
+    [
+      '-v',
+      'error',
+      '-y',
+      '-start_number',
+      '1',
+      '-i',
+      path.join(workDir, 'sheet-%d.jpg'),
+      '-vf',
+      `tile=${layout}`,
+      '-frames:v',
+      '1',
+      sheetPath
+    ],
+    { timeout: VIDEO_LIMITS.FRAME_TIMEOUT_MS, windowsHide: true }
+  );
+  if (result.status !== 0) {
+    // Fall back to the middle frame rather than losing visual analysis entirely
+    const middle = path.join(workDir, `sheet-${Math.ceil(framePaths.length / 2)}.jpg`);
+    return { buffer: await fs.readFile(middle), frameCount: 1 };
+  }
+  return { buffer: await fs.readFile(sheetPath), frameCount: framePaths.length };
+}
+
+function buildMetadataText(fileName, metadata) {
+  const lines = [`Video: ${fileName}`];
+  if (metadata.title) lines.push(`Title: ${metadata.title}`);
+  if (metadata.comment) lines.push(`Description: ${metadata.comment}`);
+  if (metadata.creationDate) lines.push(`Recorded: ${metadata.creationDate}`);
+  if (metadata.durationSec) lines.push(`Duration: ${Math.round(metadata.durationSec)} seconds`);
+  if (metadata.chapters.length > 0) lines.push(`Chapters: ${metadata.chapters.join('; ')}`);
+  return lines.join('\n');
+}
+
+/**
+ * Extension-based result used when no media tooling is installed or analysis failed.
+ */
+function createVideoFallback(fileName, fileExtension, smartFolders, fileDate, extra = {}) {
+  return {
+    purpose: 'Video file',
+    project: path.basename(fileName, fileExtension),
+    category: getIntelligentCategory(fileName, fileExtension, smartFolders) || 'video',
+    date: fileDate,
+    keywords: getIntelligentKeywords(fileName, fileExtension),
+    confidence: 80, // High confidence for known types
+    suggestedName: safeSuggestedName(fileName, fileExtension),
+    extractionMethod: 'extension_short_circuit',
+    ...extra
+  };
+}
+
+/**
+ * Analyze a video file.
+ *
+ * @param {string} filePath - Path to the video
+ * @param {Array} smartFolders - Smart folder configurations
+ * @param {Object} [options]
+ * @param {string} [options.fileDate] - File mtime date (YYYY-MM-DD) used when no creation date
+ * @param {number} [options.fileSize]
+ * @param {boolean} [options.bypassCache]
+ * @returns {Promise<Object>} ExtendedAnalysisResult with a `video` metadata block
+ */
+async function analyzeVideoFile(filePath, smartFolders = [], options = {}) {
+  const fileName = path.basename(filePath);
+  const fileExtension = path.extname(filePath).toLowerCase();
+  const fileDate = options.fileDate || new Date().toISOString().split('T')[0];
+
+  const ffprobe = resolveMediaTool('ffprobe');
+  const ffmpeg = resolveMediaTool('ffmpeg');
+  if (!ffprobe || !ffmpeg) {
+    logger.debug('[VIDEO] ffmpeg/ffprobe not found, using extension fallback', { fileName });
+    return createVideoFallback(fileName, fileExtension, smartFolders, fileDate);
+  }
+
+  let workDir = null;
+  try {
+    const metadata = await probeVideo(ffprobe, filePath);
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stratosort-video-'));
+
+    const subtitleText = await extractSubtitleText(
+      ffmpeg,
+      filePath,
+      metadata.subtitleStreams,
+      workDir
+    );
+    const metadataText = buildMetadataText(fileName, metadata);
+    const contextText = subtitleText
+      ? `${metadataText}\nSubtitles:\n${subtitleText}`
+      : metadataText;
+    const sheet = metadata.hasVideo
+      ? await buildKeyframeSheet(ffmpeg, filePath, metadata.durationSec, workDir)
+      : null;
+
+    let analysis = null;
+    let extractionMethod = 'video_keyframes';
+    if (sheet) {
+      analysis = await analyzeImageWithLlama(
+        sheet.buffer.toString('base64'),
+        fileName,
+        smartFolders,
+        contextText,
+        [],
+        { mediaKind: 'video', bypassCache: options.bypassCache }
+      );
+    }
+    if (
+      (!analysis || analysis.error) &&
+      subtitleText.length >= VIDEO_LIMITS.MIN_SUBTITLE_CHARS_FOR_TEXT_ANALYSIS
+    ) {
+      // Vision unavailable or failed: subtitles alone usually describe the content well
+      extractionMethod = 'video_subtitles';
+      analysis = await analyzeTextWithLlama(
+        contextText,
+        fileName,
+        smartFolders,
+        metadata.creationDate || fileDate,
+        [],
+        { bypassCache: options.bypassCache }
+      );
+    }
+
+    const video = {
+      durationSec: metadata.durationSec,
+      width: metadata.width,
+      height: metadata.height,
+      codec: metadata.codec,
+      hasAudio: metadata.hasAudio,
+      title: metadata.title,
+      creationDate: metadata.creationDate,
+      chapters: metadata.chapters.length,
+      subtitleTracks: metadata.subtitleStreams.length,
+      subtitleLanguages: [
+        ...new Set(metadata.subtitleStreams.map((s) => s.language).filter(Boolean))
+      ],
+      metadataTracks: metadata.dataStreams,
+      keyframeCount: sheet?.frameCount || 0
+    };
+    const extractedText = normalizeExtractedTextForStorage(contextText);
+
+    if (!analysis || analysis.error) {
+      logger.info('[VIDEO] No AI analysis available, using metadata fallback', {
+        fileName,
+        error: analysis?.error
+      });
+      return createVideoFallback(fileName, fileExtension, smartFolders, fileDate, {
+        date: metadata.creationDate || fileDate,
+        ...(metadata.title ? { purpose: `Video: ${metadata.title}` } : {}),
+        extractionMethod: 'video_metadata',
+        extractedText,
+        video
+      });
+    }
+
+    try {
+      await applySemanticFolderMatching({
+        analysis,
+        filePath,
+        fileName,
+        fileExtension,
+        fileSize: options.fileSize,
+        smartFolders,
+        extractedText: contextText,
+        type: 'document'
+      });
+    } catch (error) {
+      logger.warn('[VIDEO] Folder matching failed (non-fatal)', { error: error.message });
+    }
+
+    logger.info('[VIDEO] Video analyzed', {
+      fileName,
+      category: analysis.category,
+      extractionMethod,
+      keyframes: video.keyframeCount,
+      subtitleChars: subtitleText.length
+    });
+
+    return normalizeAnalysisResult(
+      {
+        ...analysis,
+        // Container creation time beats anything inferred from frames
+        date: metadata.creationDate || analysis.date || fileDate,
+        contentLength: contextText.length,
+        extractionMethod,
+        extractedText,
+        video
+      },
+      { category: 'video', keywords: [], confidence: 0 }
+    );
+  } catch (error) {
+    logger.warn('[VIDEO] Video analysis failed, using extension fallback', {
+      fileName,
+      error: error.message
+    });
+    return createVideoFallback(fileName, fileExtension, smartFolders, fileDate, {
+      fallbackReason: error.message
+    });
+  } finally {
+    if (workDir) {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  analyzeVideoFile,
+  parseProbeOutput,
+  subtitlesToText,
+  VIDEO_LIMITS
+};
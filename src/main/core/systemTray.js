@@ -7,7 +7,7 @@
  * @module core/systemTray
  */
 
-const { app, BrowserWindow, Menu, Tray, nativeImage, globalShortcut } = require('electron');
+const { app, BrowserWindow, Menu, Tray, nativeImage, globalShortcut, shell } = require('electron');
 const fs = require('fs');
 const path = require('path');
 const { isWindows, isMacOS } = require('../../shared/platformUtils');
@@ -60,6 +60,7 @@ let tray = null;
 let trayConfig = {
   getDownloadWatcher: null,
   getSettingsService: null,
+  getUpcomingReminders: null,
   handleSettingsChanged: null,
   createWindow: null,
   setIsQuitting: null
@@ -67,6 +68,7 @@ let trayConfig = {
 
 // Global shortcut for semantic search
 const SEARCH_SHORTCUT = isWindows ? 'Ctrl+Shift+F' : 'Cmd+Shift+F';
+const MAX_TRAY_REMINDERS = 5;
 
 /**
  * Initialize tray configuration
@@ -183,6 +185,32 @@ function unregisterGlobalShortcuts() {
   }
 }
 
+/**
+ * Menu items for deadlines that are overdue or due within the week
+ * @returns {Array<Object>} Menu template entries (empty when nothing is upcoming)
+ */
+function buildReminderMenuItems() {
+  let reminders = [];
+  try {
+    reminders = trayConfig.getUpcomingReminders?.() || [];
+  } catch (error) {
+    logger.debug('[TRAY] Failed to read upcoming reminders:', error.message);
+  }
+  if (reminders.length === 0) return [];
+
+  const items = reminders.slice(0, MAX_TRAY_REMINDERS).map((reminder) => ({
+    label: `${reminder.fileName} - ${reminder.description}`,
+    click: () => shell.showItemInFolder(reminder.filePath)
+  }));
+  if (reminders.length > MAX_TRAY_REMINDERS) {
+    items.push({ label: `${reminders.length - MAX_TRAY_REMINDERS} more...`, enabled: false });
+  }
+  return [
+    { label: `Upcoming Deadlines (${reminders.length})`, submenu: items },
+    { type: 'separator' }
+  ];
+}
+
 /**
  * Update the tray context menu
  */
@@ -190,6 +218,7 @@ function updateTrayMenu() {
   if (!tray) return;
 
   const downloadWatcher = trayConfig.getDownloadWatcher?.();
+  const reminderItems = buildReminderMenuItems();
 
   const contextMenu = Menu.buildFromTemplate([
     {
@@ -211,6 +240,7 @@ function updateTrayMenu() {
       click: openSemanticSearch
     },
     { type: 'separator' },
+    ...reminderItems,
     {
       label: downloadWatcher ? 'Pause Auto-Sort' : 'Resume Auto-Sort',
       click: async () => {
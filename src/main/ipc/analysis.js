@@ -13,6 +13,7 @@ const {
   getFolderCategories
 } = require('./analysisUtils');
 const BatchAnalysisService = require('../services/BatchAnalysisService');
+const { getInstance: getFileAccessPolicy } = require('../services/FileAccessPolicy');
 const { sendOperationProgress } = require('./files/batchProgressReporter');
 
 let batchAnalysisService = null;
@@ -122,12 +123,21 @@ function registerAnalysisIpc(servicesOrParams) {
     return validation.normalizedPath;
   }
 
+  async function assertNotExcluded(filePath) {
+    if (await getFileAccessPolicy().isExcluded(filePath)) {
+      throw new Error(
+        'File is excluded from analysis by a .stratoignore file or exclusion setting'
+      );
+    }
+  }
+
   /**
    * Core document analysis logic - shared between with-zod and without-zod handlers
    */
   async function performDocumentAnalysis(filePath) {
     const serviceIntegration = getServiceIntegration?.();
     const cleanPath = await validateAnalysisPath(filePath);
+    await assertNotExcluded(cleanPath);
 
     const startTime = performance.now();
     logger.info(`${LOG_PREFIX} Starting document analysis for: ${cleanPath}`);
@@ -205,6 +215,7 @@ function registerAnalysisIpc(servicesOrParams) {
   async function performImageAnalysis(filePath) {
     const serviceIntegration = getServiceIntegration?.();
     const cleanPath = await validateAnalysisPath(filePath);
+    await assertNotExcluded(cleanPath);
 
     const startTime = performance.now();
     logger.info(`${IMAGE_LOG_PREFIX} Starting image analysis for: ${cleanPath}`);
@@ -510,9 +521,14 @@ function registerAnalysisIpc(servicesOrParams) {
 
   async function runOcr(filePath) {
     const cleanPath = await validateAnalysisPath(filePath);
+    if (await getFileAccessPolicy().getRestriction(cleanPath)) {
+      return {
+        success: false,
+        error: 'Text extraction is disabled for this file by privacy settings'
+      };
+    }
     const start = performance.now();
     const ocrResult = await recognizeIfAvailable(null, cleanPath, {
-      lang: 'eng',
       oem: 1,
       psm: 3
     });
@@ -524,7 +540,11 @@ function registerAnalysisIpc(servicesOrParams) {
     }
     const duration = performance.now() - start;
     systemAnalytics.recordProcessingTime(duration);
-    return { success: true, text: ocrResult.text };
+    return {
+      success: true,
+      text: ocrResult.text,
+      ...(ocrResult.language ? { language: ocrResult.language.iso } : {})
+    };
   }
 
   const extractImageTextHandler = createHandler({
@@ -10,6 +10,9 @@ const { schemas } = require('./validationSchemas');
 const { normalizeText } = require('../../shared/normalization');
 const { getSemanticFileId } = require('../../shared/fileIdUtils');
 const { container: diContainer, ServiceIds } = require('../services/ServiceContainer');
+const { toFinancialCsv, toLedger } = require('../services/analysisHistory/financialExport');
+const { findSimilarImages } = require('../services/analysisHistory/similarImages');
+const { getTimeline } = require('../services/analysisHistory/timeline');
 
 // This limits the maximum number of history entries that can be retrieved at once
 const MAX_HISTORY_EXPORT_LIMIT = 50000;
@@ -163,6 +166,34 @@ function registerAnalysisHistoryIpc(servicesOrParams) {
     })
   );
 
+  // Get known categories and tags (search autocomplete values)
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.ANALYSIS_HISTORY.GET_FACETS,
+    createHandler({
+      logger,
+      context,
+      serviceName: 'analysisHistory',
+      getService: getHistoryService,
+      fallbackResponse: { categories: [], tags: [] },
+      handler: async (event, service) => {
+        try {
+          const [categories, tags] = await Promise.all([
+            service.getCategories(),
+            service.getTags()
+          ]);
+          return {
+            categories: Array.isArray(categories) ? categories : [],
+            tags: Array.isArray(tags) ? tags : []
+          };
+        } catch (error) {
+          logger.error('Failed to get analysis history facets:', error);
+          return { categories: [], tags: [] };
+        }
+      }
+    })
+  );
+
   // Set per-file embedding policy (embed / skip / web_only)
   safeHandle(
     ipcMain,
@@ -305,6 +336,25 @@ function registerAnalysisHistoryIpc(servicesOrParams) {
             };
           }
 
+          // Invoice/receipt/statement fields only, one record per file
+          if (format === 'financial-csv') {
+            return {
+              success: true,
+              data: toFinancialCsv(history),
+              mime: 'text/csv',
+              filename: 'financial-records.csv'
+            };
+          }
+
+          if (format === 'ledger') {
+            return {
+              success: true,
+              data: toLedger(history),
+              mime: 'text/plain',
+              filename: 'financial-records.ledger'
+            };
+          }
+
           // Default: return raw data
           return { success: true, data: history };
         } catch (error) {
@@ -314,6 +364,50 @@ function registerAnalysisHistoryIpc(servicesOrParams) {
       }
     })
   );
+
+  // Group visually identical and near-identical photos by perceptual hash
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.ANALYSIS_HISTORY.FIND_SIMILAR_IMAGES,
+    createHandler({
+      logger,
+      context,
+      schema: schemas?.similarImagesOptions,
+      serviceName: 'analysisHistory',
+      getService: getHistoryService,
+      fallbackResponse: { success: false, error: 'Service unavailable', groups: [] },
+      handler: async (event, options = {}, service) => {
+        try {
+          return await findSimilarImages(service, options || {});
+        } catch (error) {
+          logger.error('Failed to find similar images:', error);
+          return { ...createErrorResponse(error), groups: [] };
+        }
+      }
+    })
+  );
+
+  // Files by document date for the timeline view
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.ANALYSIS_HISTORY.GET_TIMELINE,
+    createHandler({
+      logger,
+      context,
+      schema: schemas?.timelineOptions,
+      serviceName: 'analysisHistory',
+      getService: getHistoryService,
+      fallbackResponse: { success: false, error: 'Service unavailable', items: [] },
+      handler: async (event, options = {}, service) => {
+        try {
+          return await getTimeline(service, options || {});
+        } catch (error) {
+          logger.error('Failed to build timeline:', error);
+          return { ...createErrorResponse(error), items: [] };
+        }
+      }
+    })
+  );
 }
 
 module.exports = registerAnalysisHistoryIpc;
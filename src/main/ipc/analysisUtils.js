@@ -16,6 +16,8 @@ const {
   normalizeOptionalText,
   normalizeKeywords
 } = require('../../shared/normalization');
+const { normalizeFinancialData } = require('../../shared/financialData');
+const { normalizeKeyDates } = require('../../shared/documentDates');
 
 // Lazy-loaded to avoid pulling in the heavy FolderMatchingService -> LlamaService
 // -> VisionService chain at module-load time (breaks test mocks that mock fs).
@@ -258,16 +260,24 @@ async function recordAnalysisResult({
       documentDate: normalizeOptionalText(result.documentDate || result.date || null, {
         maxLength: 50
       }),
+      // ISO 639-1 code of the detected text language, used by the lang: search filter
+      language: normalizeOptionalText(result.language || null, { maxLength: 16 }),
       // Key entities for conversation (people, organizations, dates mentioned)
       keyEntities: Array.isArray(result.keyEntities)
         ? result.keyEntities.slice(0, 20).map((e) => normalizeText(e, { maxLength: 100 }))
         : [],
       // Store extraction method for debugging
       extractionMethod: normalizeOptionalText(result.extractionMethod || null, { maxLength: 50 }),
+      // Invoice/receipt/statement fields (null for other documents)
+      financial: normalizeFinancialData(result.financial),
+      // Typed deadlines for reminders; an invoice's due date counts even if the model missed it
+      keyDates: normalizeKeyDates(result.keyDates, { due: result.financial?.dueDate }),
       // Image-specific fields
       content_type: normalizeOptionalText(result.content_type || null, { maxLength: 100 }),
       has_text: typeof result.has_text === 'boolean' ? result.has_text : null,
-      colors: Array.isArray(result.colors) ? result.colors.slice(0, 10) : null
+      colors: Array.isArray(result.colors) ? result.colors.slice(0, 10) : null,
+      perceptualHash: result.perceptualHash?.pHash ? result.perceptualHash : null,
+      photo: result.photo && typeof result.photo === 'object' ? result.photo : null
     };
 
     await analysisHistory.recordAnalysis(fileInfo, normalized);
@@ -1,7 +1,10 @@
-const { registerHandlers } = require('./ipcWrappers');
+const { registerHandlers, safeSend } = require('./ipcWrappers');
 const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
 const { schemas } = require('./validationSchemas');
 const ChatService = require('../services/ChatService');
+const { ChatActionService } = require('../services/ChatActionService');
+const { ReportService } = require('../services/reports');
+const { handleBatchOrganize } = require('./files/batchOrganizeHandler');
 const { container, ServiceIds } = require('../services/ServiceContainer');
 
 function registerChatIpc(servicesOrParams) {
@@ -56,6 +59,43 @@ function registerChatIpc(servicesOrParams) {
       return null;
     }
 
+    // Plans file actions requested in chat; moves go through batch organize
+    const chatActionService = new ChatActionService({
+      llamaService,
+      analysisHistoryService: safeResolve(ServiceIds.ANALYSIS_HISTORY),
+      vectorDbService,
+      settingsService,
+      undoRedoService: safeResolve(ServiceIds.UNDO_REDO),
+      getCustomFolders: context.get('getCustomFolders'),
+      saveCustomFolders: context.get('saveCustomFolders'),
+      organizeFiles: (operations, { recordUndoAction, confirmedBundles }) =>
+        handleBatchOrganize({
+          operation: { type: 'batch_organize', operations, confirmedBundles },
+          logger,
+          getServiceIntegration,
+          getMainWindow: context.get('getMainWindow'),
+          recordUndoAction
+        })
+    });
+
+    // Reports are saved to a folder and queued for analysis like any new file
+    const reportService = new ReportService({
+      llamaService,
+      analysisHistoryService: safeResolve(ServiceIds.ANALYSIS_HISTORY),
+      clusteringService: safeResolve(ServiceIds.CLUSTERING),
+      searchService,
+      settingsService,
+      analyzeFile: async (filePath) => {
+        const smartFolderWatcher = getServiceIntegration?.()?.smartFolderWatcher;
+        if (!smartFolderWatcher)
+          return { queued: false, error: 'Smart folder watcher not available' };
+        if (!smartFolderWatcher.isRunning && !(await smartFolderWatcher.start())) {
+          return { queued: false, error: 'Failed to start smart folder watcher' };
+        }
+        return smartFolderWatcher.reanalyzeFile(filePath, { force: true, applyNaming: false });
+      }
+    });
+
     try {
       chatService = new ChatService({
         searchService,
@@ -63,7 +103,12 @@ function registerChatIpc(servicesOrParams) {
         embeddingService,
         llamaService,
         settingsService,
-        chatHistoryStore
+        chatHistoryStore,
+        chatActionService,
+        reportService,
+        // Link following for deep-mode research
+        relationshipIndexService: safeResolve(ServiceIds.RELATIONSHIP_INDEX),
+        folderMatchingService: safeResolve(ServiceIds.FOLDER_MATCHING)
       });
     } catch (error) {
       logger.error('[Chat] Failed to initialize ChatService', {
@@ -210,6 +255,42 @@ function registerChatIpc(servicesOrParams) {
           if (!markdown) return { success: false, error: 'Conversation not found' };
           return { success: true, markdown };
         }
+      },
+      [IPC_CHANNELS.CHAT.EXECUTE_PLAN]: {
+        schema: schemas.chatExecutePlan,
+        serviceName: 'chat',
+        getService: getChatServiceSafe,
+        fallbackResponse: { success: false, error: 'Chat service unavailable' },
+        handler: async (event, { planId, excludePaths, confirmedBundles } = {}, service) => {
+          const result = await service.executeActionPlan(planId, {
+            excludePaths,
+            confirmedBundles
+          });
+          // The plan is now the newest undo action
+          if (result?.actionId && event?.sender && !event.sender.isDestroyed()) {
+            safeSend(event.sender, IPC_CHANNELS.UNDO_REDO.STATE_CHANGED, {
+              action: 'execute',
+              result
+            });
+          }
+          return result;
+        }
+      },
+      [IPC_CHANNELS.CHAT.WRITE_REPORT]: {
+        schema: schemas.chatWriteReport,
+        serviceName: 'chat',
+        getService: getChatServiceSafe,
+        fallbackResponse: { success: false, error: 'Chat service unavailable' },
+        handler: async (event, payload = {}, service) => service.writeReport(payload)
+      },
+      [IPC_CHANNELS.CHAT.DISCARD_PLAN]: {
+        schema: schemas.chatPlanId,
+        serviceName: 'chat',
+        getService: getChatServiceSafe,
+        fallbackResponse: { success: false, error: 'Chat service unavailable' },
+        handler: async (event, { planId } = {}, service) => ({
+          success: service.discardActionPlan(planId)
+        })
       }
     }
   });
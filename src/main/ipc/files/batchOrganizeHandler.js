@@ -24,6 +24,9 @@ const { executeRollback } = require('./batchRollback');
 const { sendOperationProgress, sendChunkedResults } = require('./batchProgressReporter');
 const { getInstance: getFileOperationTracker } = require('../../../shared/fileOperationTracker');
 const { syncEmbeddingForMove, removeEmbeddingsForPathBestEffort } = require('./embeddingSync');
+const { ensureDirectoryTracked } = require('../../utils/asyncFileOps');
+const { getInstance: getOrganizeJournal } = require('../../services/OrganizeJournal');
+const { planBundleMoves, getBundleMemberMoves } = require('../../utils/projectBundles');
 const {
   computeFileChecksum,
   handleDuplicateMove,
@@ -73,6 +76,26 @@ const pLimit = (concurrency) => {
 
 // Use shared delay() from promiseUtils (supports .unref() for clean shutdown)
 
+/**
+ * Write to the organize journal without letting journal failures block the batch.
+ * Like the AtomicFileOperations transaction journal this is best-effort: a batch
+ * still runs when the journal cannot be written, it just can't be recovered.
+ *
+ * @param {Object} log - Logger instance
+ * @param {string} batchId - Batch being journaled
+ * @param {(journal: Object) => Promise<void>} write - Journal call to make
+ */
+async function writeJournal(log, batchId, write) {
+  try {
+    await write(getOrganizeJournal());
+  } catch (error) {
+    log.warn('[FILE-OPS] Organize journal write failed (non-fatal)', {
+      batchId,
+      error: error?.message
+    });
+  }
+}
+
 /**
  * Verify move operation completed correctly.
  * Checks that destination exists and source is gone.
@@ -153,14 +176,24 @@ async function verifyMoveCompletion(source, destination, log) {
  *
  * @param {Object} params - Handler parameters
  * @param {Object} params.operation - Batch operation configuration
+ * @param {string[]} [params.operation.confirmedBundles] - Roots of bundles the user chose to
+ *   move whole although not all of their files were selected
  * @param {Object} params.logger - Logger instance
  * @param {Function} params.getServiceIntegration - Service integration getter
  * @param {Function} params.getMainWindow - Main window getter
+ * @param {Function} [params.recordUndoAction] - Receives the undo action instead of the
+ *   undo service, for callers that record the moves as part of a larger action
  * @returns {Promise<Object>} Batch operation result
  */
 async function handleBatchOrganize(params) {
   return withCorrelationId(async () => {
-    const { operation, logger: handlerLogger, getServiceIntegration, getMainWindow } = params;
+    const {
+      operation,
+      logger: handlerLogger,
+      getServiceIntegration,
+      getMainWindow,
+      recordUndoAction
+    } = params;
 
     const log = handlerLogger || logger;
 
@@ -187,6 +220,8 @@ async function handleBatchOrganize(params) {
       // Initialize tracking variables
       const results = [];
       const completedOperations = [];
+      // Directories created for destinations (e.g. smart folder subpaths) so undo can remove them
+      const createdDirectories = [];
       let successCount = 0;
       let failCount = 0;
       let skippedCount = 0;
@@ -200,6 +235,12 @@ async function handleBatchOrganize(params) {
       const abortController = new AbortController();
 
       try {
+        // Project folders and multi-file formats move as one unit
+        operation.operations = await groupBundleOperations(operation.operations, log, {
+          boundaries: getBundleBoundaryFolders(getServiceIntegration),
+          confirmed: operation.confirmedBundles
+        });
+
         const svc = getServiceIntegration();
         let batch;
         if (svc?.processingState?.createOrLoadOrganizeBatch) {
@@ -239,6 +280,9 @@ async function handleBatchOrganize(params) {
           totalOperations
         });
 
+        // Journal the plan before touching any file so an interrupted batch can be recovered
+        await writeJournal(log, batchId, (journal) => journal.begin(batchId, batch.operations));
+
         const limit = pLimit(BATCH?.MAX_CONCURRENT_FILES || 5); // Process files concurrently
 
         const processOperation = async (i) => {
@@ -343,7 +387,9 @@ async function handleBatchOrganize(params) {
 
             // Ensure destination directory exists
             const destDir = path.dirname(op.destination);
-            await fs.mkdir(destDir, { recursive: true });
+            createdDirectories.push(...(await ensureDirectoryTracked(destDir)));
+
+            await writeJournal(log, batchId, (journal) => journal.recordIntent(batchId, i, op));
 
             // Handle file move with collision handling
             // TOCTOU fix: removed verifySourceFile pre-check, handle ENOENT from move directly
@@ -351,7 +397,9 @@ async function handleBatchOrganize(params) {
             try {
               // Use timeout for file operations to prevent hangs
               moveResult = await withTimeout(
-                performFileMove(op, log, computeFileChecksum),
+                op.bundle?.kind === 'directory'
+                  ? performBundleMove(op, log)
+                  : performFileMove(op, log, computeFileChecksum),
                 TIMEOUTS.FILE_COPY,
                 `File move ${path.basename(op.source)}`
               );
@@ -359,6 +407,9 @@ async function handleBatchOrganize(params) {
               if (moveError.code === 'ENOENT') {
                 // Source file disappeared between batch start and this operation
                 log.debug('[FILE-OPS] Source file no longer exists, skipping:', op.source);
+                await writeJournal(log, batchId, (journal) =>
+                  journal.recordAbort(batchId, i, 'Source file no longer exists')
+                );
                 results.push({
                   success: false,
                   source: op.source,
@@ -376,6 +427,12 @@ async function handleBatchOrganize(params) {
             if (moveResult && moveResult.skipped) {
               skippedCount++;
               const resolvedDestination = moveResult.destination || op.destination;
+              await writeJournal(log, batchId, (journal) =>
+                journal.recordCommit(batchId, i, {
+                  destination: resolvedDestination,
+                  skipped: true
+                })
+              );
               results.push({
                 success: true,
                 source: op.source,
@@ -411,6 +468,9 @@ async function handleBatchOrganize(params) {
             }
 
             op.destination = moveResult.destination;
+            await writeJournal(log, batchId, (journal) =>
+              journal.recordCommit(batchId, i, { destination: op.destination })
+            );
 
             // This prevents "ghost" files or duplicates appearing in the UI
             try {
@@ -457,6 +517,9 @@ async function handleBatchOrganize(params) {
               destination: op.destination,
               operation: op.type || 'move'
             };
+            if (op.bundle) {
+              result.bundle = op.bundle;
+            }
             // Surface semantic duplicate warning if detected during pre-move check
             if (op._semanticDuplicate) {
               result.semanticDuplicate = op._semanticDuplicate;
@@ -486,6 +549,10 @@ async function handleBatchOrganize(params) {
               i,
               errorMessage
             );
+            // Ignored on replay if the move was already committed
+            await writeJournal(log, batchId, (journal) =>
+              journal.recordAbort(batchId, i, errorMessage)
+            );
 
             // Determine if critical error
             const isCriticalError = isCriticalFileError(error);
@@ -526,14 +593,18 @@ async function handleBatchOrganize(params) {
 
         // Execute rollback if needed
         if (shouldRollback && completedOperations.length > 0) {
-          return await executeRollback(
+          const rollbackResult = await executeRollback(
             completedOperations,
             results,
             failCount,
             rollbackReason,
             batchId,
-            log
+            log,
+            { createdDirectories, undoRedo: getServiceIntegration()?.undoRedo }
           );
+          // Anything the rollback could not restore is listed in its recovery manifest
+          await writeJournal(log, batchId, (journal) => journal.complete(batchId));
+          return rollbackResult;
         }
 
         await getServiceIntegration()?.processingState?.completeOrganizeBatch?.(batchId);
@@ -546,9 +617,17 @@ async function handleBatchOrganize(params) {
             successCount,
             batchId,
             getServiceIntegration,
-            log
+            log,
+            createdDirectories,
+            recordUndoAction
           );
         }
+
+        // Disk and database now agree; the batch no longer needs recovery
+        await writeJournal(log, batchId, (journal) => journal.complete(batchId));
+
+        // Report bundle members individually so callers can follow each file
+        results.splice(0, results.length, ...expandBundleResults(results));
       } catch (error) {
         const batchErrorMessage = error?.message || String(error || 'Unknown error');
         // Log the error - don't silently swallow it
@@ -809,6 +888,140 @@ async function performUUIDFallback(op, baseName, ext, log, checksumFn) {
   throw new Error('Failed to create unique destination after UUID attempts');
 }
 
+/**
+ * Smart folders and watched folders bound bundle detection: neither they nor
+ * anything above them is ever moved as a project folder.
+ *
+ * @param {Function} getServiceIntegration
+ * @returns {string[]}
+ */
+function getBundleBoundaryFolders(getServiceIntegration) {
+  const watcher = getServiceIntegration?.()?.smartFolderWatcher;
+  const folders = Array.from(watcher?.watchedPaths || []);
+  try {
+    const smartFolders = watcher?.getSmartFolders?.();
+    if (Array.isArray(smartFolders)) folders.push(...smartFolders.map((folder) => folder?.path));
+  } catch (error) {
+    logger.debug('[FILE-OPS] Could not read smart folders for bundle boundaries', {
+      error: error?.message
+    });
+  }
+  return folders.filter((folder) => typeof folder === 'string' && folder);
+}
+
+/**
+ * Rewrite per-file moves so project bundles stay together: files inside a
+ * bundle folder become one folder move and multi-file formats move with
+ * their companions. Bundles that would carry unselected files along are only
+ * grouped when listed in `options.confirmed`. Detection failures leave the
+ * operations unchanged.
+ *
+ * @param {Array<Object>} operations - Batch operations
+ * @param {Object} log - Logger instance
+ * @param {Object} [options] - Passed to planBundleMoves (`boundaries`, `confirmed`)
+ * @returns {Promise<Array<Object>>}
+ */
+async function groupBundleOperations(operations, log, options = {}) {
+  try {
+    const { operations: grouped, bundles, partial } = await planBundleMoves(operations, options);
+    if (partial.length > 0) {
+      log.info('[FILE-OPS] Organizing files of unconfirmed bundles individually', {
+        bundles: partial.map((bundle) => bundle.root)
+      });
+    }
+    if (bundles.length === 0) return operations;
+    log.info('[FILE-OPS] Grouped project bundles', {
+      bundles: bundles.length,
+      operationsBefore: operations.length,
+      operationsAfter: grouped.length
+    });
+    return grouped;
+  } catch (error) {
+    log.warn('[FILE-OPS] Bundle detection failed, organizing files individually', {
+      error: error?.message
+    });
+    return operations;
+  }
+}
+
+/**
+ * Preview which moves of a batch would carry a project bundle, so the user can
+ * review them and confirm bundles that also hold files they did not select.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.operations - Batch operations
+ * @param {Function} params.getServiceIntegration
+ * @returns {Promise<{ success: boolean, bundles?: Array<Object>, partial?: Array<Object>, error?: string }>}
+ */
+async function previewBundleMoves({ operations, getServiceIntegration }) {
+  try {
+    const { bundles, partial } = await planBundleMoves(operations, {
+      boundaries: getBundleBoundaryFolders(getServiceIntegration)
+    });
+    return { success: true, bundles, partial };
+  } catch (error) {
+    logger.warn('[FILE-OPS] Bundle preview failed', { error: error?.message });
+    return { success: false, error: error?.message || 'Bundle preview failed' };
+  }
+}
+
+/**
+ * Move a bundle folder as a whole. Unlike single files there is no duplicate
+ * check; an existing folder at the destination gets a numbered name instead
+ * of being merged into.
+ */
+async function performBundleMove(op, log) {
+  const relative = path.relative(op.source, op.destination);
+  if (!relative || (!relative.startsWith('..') && !path.isAbsolute(relative))) {
+    throw new Error(`Cannot move folder into itself: ${op.source}`);
+  }
+
+  // Keep package extensions (.app, .bundle) at the end of numbered names
+  const ext = op.bundle.type === 'package' ? path.extname(op.destination) : '';
+  const baseName = ext.length > 0 ? op.destination.slice(0, -ext.length) : op.destination;
+
+  for (let counter = 0; counter < MAX_NUMERIC_RETRIES; counter++) {
+    const candidate = counter === 0 ? op.destination : `${baseName}_${counter}${ext}`;
+    const exists = await fs.lstat(candidate).then(
+      () => true,
+      () => false
+    );
+    if (exists) continue;
+    try {
+      await renameWithRetry(op.source, candidate, log);
+      return { destination: candidate };
+    } catch (renameError) {
+      // Renaming onto a non-empty folder fails with ENOTEMPTY on POSIX
+      if (renameError.code === 'EEXIST' || renameError.code === 'ENOTEMPTY') continue;
+      if (renameError.code !== 'EXDEV') throw renameError;
+      await crossDeviceMove(op.source, candidate, { verify: true });
+      return { destination: candidate };
+    }
+  }
+  throw new Error(`Failed to find a free destination for folder ${path.basename(op.source)}`);
+}
+
+/**
+ * Expand successful folder moves into one result per organized member file.
+ * @param {Array<Object>} results - Per-operation results
+ * @returns {Array<Object>}
+ */
+function expandBundleResults(results) {
+  return results.flatMap((result) => {
+    if (!result?.success || result.skipped || result.bundle?.kind !== 'directory') {
+      return [result];
+    }
+    const { members, ...bundle } = result.bundle;
+    const bundleInfo = { ...bundle, source: result.source, destination: result.destination };
+    return getBundleMemberMoves(result.source, result.destination, members).map((move) => ({
+      ...result,
+      source: move.oldPath,
+      destination: move.newPath,
+      bundle: bundleInfo
+    }));
+  });
+}
+
 /**
  * Get FilePathCoordinator from ServiceContainer if available
  * @returns {Object|null} FilePathCoordinator instance or null
@@ -829,6 +1042,7 @@ function getFilePathCoordinator() {
  * Record undo action and update database paths
  * Uses FilePathCoordinator when available for atomic batch updates.
  * Falls back to direct service calls if coordinator is unavailable.
+ * `recordUndoAction`, when given, receives the undo action in place of the undo service.
  */
 async function recordUndoAndUpdateDatabase(
   batch,
@@ -836,7 +1050,9 @@ async function recordUndoAndUpdateDatabase(
   successCount,
   batchId,
   getServiceIntegration,
-  log
+  log,
+  createdDirectories = [],
+  recordUndoAction = null
 ) {
   // files still at their original location, not at the destination
   const undoOps = Array.isArray(results)
@@ -845,16 +1061,26 @@ async function recordUndoAndUpdateDatabase(
         .map((r) => ({
           type: 'move',
           originalPath: r.source,
-          newPath: r.destination
+          newPath: r.destination,
+          // Bundle folders move as one; undo/redo re-points each indexed member file
+          ...(r.bundle?.kind === 'directory' ? { bundleMembers: r.bundle.members || [] } : {})
         }))
     : [];
 
   if (undoOps.length > 0) {
     try {
-      const svc = typeof getServiceIntegration === 'function' ? getServiceIntegration() : null;
-      await svc?.undoRedo?.recordAction?.(ACTION_TYPES.BATCH_OPERATION, {
-        operations: undoOps
-      });
+      const undoData = {
+        operations: undoOps,
+        ...(createdDirectories.length > 0
+          ? { createdDirectories: Array.from(new Set(createdDirectories)) }
+          : {})
+      };
+      if (typeof recordUndoAction === 'function') {
+        await recordUndoAction(ACTION_TYPES.BATCH_OPERATION, undoData);
+      } else {
+        const svc = typeof getServiceIntegration === 'function' ? getServiceIntegration() : null;
+        await svc?.undoRedo?.recordAction?.(ACTION_TYPES.BATCH_OPERATION, undoData);
+      }
     } catch (error) {
       // Non-fatal: file moves already completed; undo recording is best-effort.
       log.warn('[FILE-OPS] Failed to record batch undo action (non-fatal)', {
@@ -870,156 +1096,173 @@ async function recordUndoAndUpdateDatabase(
     const successfulResults = results.filter(
       (r) => r.success && r.source && r.destination && !r.skipped
     );
-    const pathChanges = successfulResults.map((r) => ({
-      oldPath: r.source,
-      newPath: r.destination
-    }));
+    const pathChanges = successfulResults.flatMap((r) =>
+      r.bundle?.kind === 'directory'
+        ? getBundleMemberMoves(r.source, r.destination, r.bundle.members)
+        : [{ oldPath: r.source, newPath: r.destination }]
+    );
 
-    // Try to use FilePathCoordinator for atomic batch updates
-    const coordinator = getFilePathCoordinator();
-    if (coordinator && pathChanges.length > 0) {
-      log.debug('[FILE-OPS] Using FilePathCoordinator for batch path updates', {
-        batchId,
-        count: pathChanges.length
-      });
+    await syncMovedPaths(pathChanges, batchId, log);
+  }
 
-      try {
-        const result = await coordinator.batchPathUpdate(pathChanges, { type: 'move' });
+  log.debug('[FILE-OPS] Undo/DB update complete', {
+    batchId,
+    successCount,
+    updatedPaths: results.filter((r) => r.success && r.source && r.destination).length
+  });
+}
 
-        if (!result.success) {
-          log.warn('[FILE-OPS] FilePathCoordinator batch update had errors', {
-            batchId,
-            errors: result.errors.map((e) => e.system).join(', ')
-          });
-        } else {
-          log.debug('[FILE-OPS] FilePathCoordinator batch update complete', {
-            batchId,
-            summary: result.summary
-          });
-        }
-      } catch (coordError) {
-        log.warn('[FILE-OPS] FilePathCoordinator batch update failed', {
+/**
+ * Bring path-dependent systems (vector DB, analysis history, embeddings, BM25 index)
+ * in line with files that moved on disk.
+ *
+ * @param {Array<{oldPath: string, newPath: string}>} pathChanges - Moves that happened
+ * @param {string} batchId - Batch identifier for logging
+ * @param {Object} log - Logger instance
+ */
+async function syncMovedPaths(pathChanges, batchId, log) {
+  // Try to use FilePathCoordinator for atomic batch updates
+  const coordinator = getFilePathCoordinator();
+  if (coordinator && pathChanges.length > 0) {
+    log.debug('[FILE-OPS] Using FilePathCoordinator for batch path updates', {
+      batchId,
+      count: pathChanges.length
+    });
+
+    try {
+      const result = await coordinator.batchPathUpdate(pathChanges, { type: 'move' });
+
+      if (!result.success) {
+        log.warn('[FILE-OPS] FilePathCoordinator batch update had errors', {
+          batchId,
+          errors: result.errors.map((e) => e.system).join(', ')
+        });
+      } else {
+        log.debug('[FILE-OPS] FilePathCoordinator batch update complete', {
           batchId,
-          error: coordError.message
+          summary: result.summary
         });
-        // Fallback removed: FilePathCoordinator is the single source of truth.
-        // If it fails, we log the error but do not attempt divergent updates.
       }
-    } else if (pathChanges.length > 0) {
-      // Coordinator unavailable
-      log.warn('[FILE-OPS] FilePathCoordinator unavailable for batch path updates', {
-        batchId
+    } catch (coordError) {
+      log.warn('[FILE-OPS] FilePathCoordinator batch update failed', {
+        batchId,
+        error: coordError.message
       });
+      // Fallback removed: FilePathCoordinator is the single source of truth.
+      // If it fails, we log the error but do not attempt divergent updates.
     }
+  } else if (pathChanges.length > 0) {
+    // Coordinator unavailable
+    log.warn('[FILE-OPS] FilePathCoordinator unavailable for batch path updates', {
+      batchId
+    });
+  }
 
-    // Sync embeddings based on final smart folder destinations.
-    // Uses setImmediate to yield before heavy work, but awaits completion to
-    // ensure embeddings are consistent before the batch result is returned.
-    // Includes retry for individual failures to prevent transient errors from
-    // leaving embeddings in an inconsistent state.
-    if (pathChanges.length > 0) {
-      await new Promise((resolve) => setImmediate(resolve)); // Yield to event loop
-      const syncBatchSize = 2;
-      const syncResults = { synced: 0, failed: 0, errors: [] };
-      try {
-        await batchProcess(
-          pathChanges,
-          async (change) => {
-            const MAX_SYNC_RETRIES = 2;
-            for (let attempt = 0; attempt <= MAX_SYNC_RETRIES; attempt++) {
-              try {
-                await syncEmbeddingForMove({
-                  sourcePath: change.oldPath,
-                  destPath: change.newPath,
-                  operation: 'move',
-                  log
+  // Sync embeddings based on final smart folder destinations.
+  // Uses setImmediate to yield before heavy work, but awaits completion to
+  // ensure embeddings are consistent before the batch result is returned.
+  // Includes retry for individual failures to prevent transient errors from
+  // leaving embeddings in an inconsistent state.
+  if (pathChanges.length > 0) {
+    await new Promise((resolve) => setImmediate(resolve)); // Yield to event loop
+    const syncBatchSize = 2;
+    const syncResults = { synced: 0, failed: 0, errors: [] };
+    try {
+      await batchProcess(
+        pathChanges,
+        async (change) => {
+          const MAX_SYNC_RETRIES = 2;
+          for (let attempt = 0; attempt <= MAX_SYNC_RETRIES; attempt++) {
+            try {
+              await syncEmbeddingForMove({
+                sourcePath: change.oldPath,
+                destPath: change.newPath,
+                operation: 'move',
+                log
+              });
+              syncResults.synced++;
+              return;
+            } catch (syncErr) {
+              if (attempt < MAX_SYNC_RETRIES) {
+                log.debug('[FILE-OPS] Embedding sync retry', {
+                  attempt: attempt + 1,
+                  file: path.basename(change.newPath),
+                  error: syncErr.message
+                });
+                await delay(200 * (attempt + 1));
+              } else {
+                syncResults.failed++;
+                syncResults.errors.push({
+                  file: path.basename(change.newPath),
+                  error: syncErr.message
                 });
-                syncResults.synced++;
-                return;
-              } catch (syncErr) {
-                if (attempt < MAX_SYNC_RETRIES) {
-                  log.debug('[FILE-OPS] Embedding sync retry', {
-                    attempt: attempt + 1,
-                    file: path.basename(change.newPath),
-                    error: syncErr.message
-                  });
-                  await delay(200 * (attempt + 1));
-                } else {
-                  syncResults.failed++;
-                  syncResults.errors.push({
-                    file: path.basename(change.newPath),
-                    error: syncErr.message
-                  });
-                }
               }
             }
-          },
-          syncBatchSize
-        );
-      } catch (batchSyncErr) {
-        log.warn('[FILE-OPS] Batch embedding sync had failures', {
-          batchId,
-          error: batchSyncErr.message,
-          ...syncResults
-        });
-      }
+          }
+        },
+        syncBatchSize
+      );
+    } catch (batchSyncErr) {
+      log.warn('[FILE-OPS] Batch embedding sync had failures', {
+        batchId,
+        error: batchSyncErr.message,
+        ...syncResults
+      });
+    }
 
-      if (syncResults.failed > 0) {
-        log.warn('[FILE-OPS] Some embedding syncs failed after retries', {
-          batchId,
-          synced: syncResults.synced,
-          failed: syncResults.failed,
-          errors: syncResults.errors.slice(0, 5) // Limit logged errors
-        });
-      } else if (syncResults.synced > 0) {
-        log.debug('[FILE-OPS] Batch embedding sync complete', {
-          batchId,
-          synced: syncResults.synced
-        });
-      }
+    if (syncResults.failed > 0) {
+      log.warn('[FILE-OPS] Some embedding syncs failed after retries', {
+        batchId,
+        synced: syncResults.synced,
+        failed: syncResults.failed,
+        errors: syncResults.errors.slice(0, 5) // Limit logged errors
+      });
+    } else if (syncResults.synced > 0) {
+      log.debug('[FILE-OPS] Batch embedding sync complete', {
+        batchId,
+        synced: syncResults.synced
+      });
     }
+  }
 
-    // This ensures search results show new paths immediately (not after 15 min)
-    if (successCount > 0) {
-      try {
-        const { getSearchServiceInstance } = require('../semantic');
-        const searchService = getSearchServiceInstance?.();
-        if (searchService?.invalidateAndRebuild) {
-          const rebuildPromise = searchService.invalidateAndRebuild({
-            immediate: true,
-            reason: 'batch-organize'
-          });
-
-          // Wait for rebuild but with timeout to prevent blocking UI
-          await withTimeout(
-            rebuildPromise,
-            TIMEOUTS.SEARCH_INDEX_REBUILD,
-            'BM25 rebuild after batch'
-          ).catch((rebuildErr) => {
-            log.warn('[FILE-OPS] BM25 rebuild failed or timed out after batch', {
-              error: rebuildErr?.message,
-              batchId
-            });
-          });
-        }
-      } catch (invalidateErr) {
-        log.warn('[FILE-OPS] Failed to trigger search index rebuild after batch', {
-          error: invalidateErr.message,
+  // This ensures search results show new paths immediately (not after 15 min).
+  // Runs even without path changes: skipped duplicates still removed their sources.
+  try {
+    const { getSearchServiceInstance } = require('../semantic');
+    const searchService = getSearchServiceInstance?.();
+    if (searchService?.invalidateAndRebuild) {
+      const rebuildPromise = searchService.invalidateAndRebuild({
+        immediate: true,
+        reason: 'batch-organize'
+      });
+
+      // Wait for rebuild but with timeout to prevent blocking UI
+      await withTimeout(
+        rebuildPromise,
+        TIMEOUTS.SEARCH_INDEX_REBUILD,
+        'BM25 rebuild after batch'
+      ).catch((rebuildErr) => {
+        log.warn('[FILE-OPS] BM25 rebuild failed or timed out after batch', {
+          error: rebuildErr?.message,
           batchId
         });
-      }
+      });
     }
+  } catch (invalidateErr) {
+    log.warn('[FILE-OPS] Failed to trigger search index rebuild after batch', {
+      error: invalidateErr.message,
+      batchId
+    });
   }
-
-  log.debug('[FILE-OPS] Undo/DB update complete', {
-    batchId,
-    successCount,
-    updatedPaths: results.filter((r) => r.success && r.source && r.destination).length
-  });
 }
 
 module.exports = {
   handleBatchOrganize,
+  previewBundleMoves,
+  performFileMove,
+  performBundleMove,
+  recordUndoAndUpdateDatabase,
+  syncMovedPaths,
   computeFileChecksum,
   MAX_BATCH_SIZE,
   MAX_TOTAL_BATCH_TIME
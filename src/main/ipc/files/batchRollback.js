@@ -21,6 +21,10 @@ async function writeFileAtomic(filePath, data) {
 
 /**
  * Execute rollback of completed operations
+ *
+ * @param {Object} [cleanup]
+ * @param {string[]} [cleanup.createdDirectories] - Destination directories the batch created
+ * @param {Object} [cleanup.undoRedo] - UndoRedoService; removes those directories the way undo does
  */
 async function executeRollback(
   completedOperations,
@@ -28,7 +32,8 @@ async function executeRollback(
   failCount,
   rollbackReason,
   batchId,
-  log
+  log,
+  { createdDirectories = [], undoRedo = null } = {}
 ) {
   log.warn(`[FILE-OPS] Executing rollback for batch ${batchId}`, {
     batchId,
@@ -94,6 +99,15 @@ async function executeRollback(
     }
   }
 
+  // Only directories left empty by the restore are removed
+  if (createdDirectories.length > 0 && typeof undoRedo?.removeCreatedDirectories === 'function') {
+    try {
+      await undoRedo.removeCreatedDirectories(createdDirectories);
+    } catch (err) {
+      log.warn(`[FILE-OPS] Failed to remove directories created by the batch: ${err.message}`);
+    }
+  }
+
   // Update recovery manifest status
   if (recoveryPath) {
     try {
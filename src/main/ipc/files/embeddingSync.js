@@ -7,6 +7,7 @@ const { getAllIdVariants } = require('../../utils/fileIdUtils');
 const { organizeQueue } = require('../../analysis/embeddingQueue/stageQueues');
 const embeddingQueueManager = require('../../analysis/embeddingQueue/queueManager');
 const { shouldEmbed } = require('../../services/embedding/embeddingGate');
+const { getInstance: getFileAccessPolicy } = require('../../services/FileAccessPolicy');
 
 const logger =
   typeof createLogger === 'function' ? createLogger('IPC:Files:EmbeddingSync') : baseLogger;
@@ -189,6 +190,18 @@ async function syncEmbeddingForMove({
   if (!destPath) return { action: 'skipped', reason: 'missing-dest' };
 
   const services = resolveServices();
+
+  // A file moved into an excluded location or privacy zone must not stay searchable
+  // by content, so drop its embeddings instead of re-pointing them.
+  const restriction = await getFileAccessPolicy().getRestriction(destPath);
+  if (restriction) {
+    await removeEmbeddingsForPath(destPath, services, log);
+    if (operation !== 'copy' && sourcePath && sourcePath !== destPath) {
+      await removeEmbeddingsForPath(sourcePath, services, log);
+    }
+    return { action: 'removed', reason: restriction };
+  }
+
   const smartFolder = getSmartFolderForPath(destPath, services, smartFolders);
 
   // When destination is NOT in a smart folder, behavior depends on the
@@ -272,7 +285,7 @@ async function syncEmbeddingForMove({
   // We intentionally keep this enabled for both 'during_analysis' and 'after_organize'
   // to ensure files that only become eligible after the move still get embedded.
   const policyOverride = entry?.embedding?.policy || null;
-  const gate = await shouldEmbed({ stage: 'final', policyOverride });
+  const gate = await shouldEmbed({ stage: 'final', policyOverride, filePath: destPath });
   if (!gate.shouldEmbed) {
     // Persist skipped state for observability.
     try {
@@ -11,7 +11,7 @@ const fs = require('fs').promises;
 const { ACTION_TYPES, IPC_EVENTS } = require('../../../shared/constants');
 const { createHandler, safeHandle, safeSend, z } = require('../ipcWrappers');
 const { logger: baseLogger, createLogger } = require('../../../shared/logger');
-const { handleBatchOrganize } = require('./batchOrganizeHandler');
+const { handleBatchOrganize, previewBundleMoves } = require('./batchOrganizeHandler');
 const { schemas } = require('../validationSchemas');
 const { validateFileOperationPath } = require('../../../shared/pathSanitization');
 const {
@@ -746,6 +746,19 @@ function registerFileOperationHandlers(servicesOrParams) {
 
   safeHandle(ipcMain, IPC_CHANNELS.FILES.PERFORM_OPERATION, performOperationHandler);
 
+  // Bundle moves of a planned batch, shown for review before it runs
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.FILES.PREVIEW_BUNDLES,
+    createHandler({
+      logger: log,
+      context: 'FileOps',
+      schema: schemas?.batchOrganize || null,
+      handler: async (event, { operations } = {}) =>
+        previewBundleMoves({ operations, getServiceIntegration })
+    })
+  );
+
   // Delete file handler
   safeHandle(
     ipcMain,
@@ -38,7 +38,7 @@ function registerFilesIpc(servicesOrParams) {
   // Register file selection handlers (SELECT dialog)
   registerFileSelectionHandlers(container);
 
-  // Register file operation handlers (PERFORM_OPERATION, DELETE_FILE, COPY_FILE)
+  // Register file operation handlers (PERFORM_OPERATION, PREVIEW_BUNDLES, DELETE_FILE, COPY_FILE)
   registerFileOperationHandlers(container);
 
   // Register folder handlers (OPEN_FOLDER, DELETE_FOLDER)
@@ -47,7 +47,7 @@ function registerFilesIpc(servicesOrParams) {
   // Register shell handlers (OPEN_FILE, REVEAL_FILE)
   registerShellHandlers(container);
 
-  // Register tagging handlers (ADD_TAGS)
+  // Register tagging handlers (ADD_TAGS, WRITE_METADATA)
   registerTaggingHandlers(container);
 }
 
@@ -1,7 +1,8 @@
 /**
  * Tagging Handlers
  *
- * Handlers for file tagging operations.
+ * Handlers for file tagging operations and for writing analysis metadata
+ * (tags, category, summary) back into the files themselves.
  *
  * @module ipc/files/taggingHandlers
  */
@@ -30,7 +31,8 @@ function registerTaggingHandlers(container) {
     try {
       return {
         analysisHistory: integration.analysisHistory,
-        orama: activeContainer.resolve(ServiceIds.ORAMA_VECTOR)
+        orama: activeContainer.resolve(ServiceIds.ORAMA_VECTOR),
+        metadataWriter: activeContainer.tryResolve?.(ServiceIds.METADATA_WRITER) || null
       };
     } catch (e) {
       logger.error('Failed to resolve services for tagging', e);
@@ -57,9 +59,10 @@ function registerTaggingHandlers(container) {
         const services = getServices();
         if (!services) throw new Error('Services not available');
 
-        const { analysisHistory, orama } = services;
+        const { analysisHistory, orama, metadataWriter } = services;
         let successCount = 0;
         const errors = [];
+        const taggedPaths = [];
 
         for (const id of fileIds) {
           try {
@@ -82,6 +85,7 @@ function registerTaggingHandlers(container) {
             // 3. Update Analysis History (warn if filePath missing to flag data inconsistency)
             if (filePath) {
               await analysisHistory.updateTags(filePath, newTags);
+              taggedPaths.push(filePath);
             } else {
               logger.warn('[Tagging] Document missing filePath, analysis history not updated', {
                 id
@@ -94,6 +98,11 @@ function registerTaggingHandlers(container) {
           }
         }
 
+        if (metadataWriter && taggedPaths.length > 0) {
+          // Best effort and off the response path: only runs for formats enabled in settings
+          writeTagsToFiles(metadataWriter, taggedPaths);
+        }
+
         return {
           success: successCount > 0,
           updated: successCount,
@@ -102,6 +111,40 @@ function registerTaggingHandlers(container) {
       }
     })
   );
+
+  const writeMetadataSchema = z
+    ? z.array(z.string().min(1, 'File path must be non-empty').max(4096)).min(1).max(1000)
+    : null;
+
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.FILES.WRITE_METADATA,
+    createHandler({
+      logger,
+      context: 'Tagging',
+      schema: writeMetadataSchema,
+      // The validation wrapper spreads a validated array payload into arguments
+      handler: async (event, ...filePaths) => {
+        const services = getServices();
+        if (!services?.metadataWriter) throw new Error('Metadata writer not available');
+        return services.metadataWriter.writeMetadata(filePaths);
+      }
+    })
+  );
+}
+
+/**
+ * Write updated tags into the files when any metadata format is enabled
+ * @param {Object} metadataWriter
+ * @param {string[]} filePaths
+ */
+function writeTagsToFiles(metadataWriter, filePaths) {
+  metadataWriter
+    .getEnabledTargets()
+    .then((targets) => (targets.length > 0 ? metadataWriter.writeMetadata(filePaths) : null))
+    .catch((error) => {
+      logger.warn('[Tagging] Failed to write tags to file metadata', { error: error.message });
+    });
 }
 
 module.exports = { registerTaggingHandlers };
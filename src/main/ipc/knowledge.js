@@ -2,6 +2,7 @@ const { registerHandlers } = require('./ipcWrappers');
 const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
 const { schemas } = require('./validationSchemas');
 const RelationshipIndexService = require('../services/RelationshipIndexService');
+const EntityIndexService = require('../services/EntityIndexService');
 const { container, ServiceIds } = require('../services/ServiceContainer');
 
 function registerKnowledgeIpc(servicesOrParams) {
@@ -53,6 +54,58 @@ function registerKnowledgeIpc(servicesOrParams) {
     return _cachedFallbackService;
   };
 
+  const getSavedSearchService = () => {
+    try {
+      if (container?.has?.(ServiceIds.SAVED_SEARCH)) {
+        return container.resolve(ServiceIds.SAVED_SEARCH);
+      }
+    } catch (error) {
+      logger.debug('[Knowledge IPC] SavedSearchService not in container', {
+        error: error?.message || String(error)
+      });
+    }
+    return null;
+  };
+  const savedSearchUnavailable = { success: false, error: 'Saved searches are unavailable' };
+
+  const getReminderService = () => {
+    try {
+      if (container?.has?.(ServiceIds.REMINDERS)) {
+        return container.resolve(ServiceIds.REMINDERS);
+      }
+    } catch (error) {
+      logger.debug('[Knowledge IPC] ReminderService not in container', {
+        error: error?.message || String(error)
+      });
+    }
+    return null;
+  };
+
+  let _cachedFallbackEntityService = null;
+  const getEntityService = () => {
+    try {
+      if (container?.has?.(ServiceIds.ENTITY_INDEX)) {
+        return container.resolve(ServiceIds.ENTITY_INDEX);
+      }
+    } catch (error) {
+      logger.debug('[Knowledge IPC] EntityIndexService not in container', {
+        error: error?.message || String(error)
+      });
+    }
+
+    const integration = getServiceIntegration && getServiceIntegration();
+    if (integration?.entityIndex) {
+      return integration.entityIndex;
+    }
+
+    const analysisHistoryService = integration?.analysisHistory;
+    if (!analysisHistoryService) return null;
+    if (!_cachedFallbackEntityService) {
+      _cachedFallbackEntityService = new EntityIndexService({ analysisHistoryService });
+    }
+    return _cachedFallbackEntityService;
+  };
+
   registerHandlers({
     ipcMain,
     logger,
@@ -79,6 +132,79 @@ function registerKnowledgeIpc(servicesOrParams) {
           if (!response || typeof response !== 'object') return emptyStats;
           return response;
         }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.LIST_SAVED_SEARCHES]: {
+        handler: async () => {
+          const service = getSavedSearchService();
+          if (!service) return { success: true, searches: [] };
+          return { success: true, searches: await service.list() };
+        }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.SAVE_SAVED_SEARCH]: {
+        schema: schemas.savedSearch,
+        handler: async (event, search) => {
+          const service = getSavedSearchService();
+          return service ? service.save(search) : savedSearchUnavailable;
+        }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.DELETE_SAVED_SEARCH]: {
+        schema: schemas.savedSearchId,
+        handler: async (event, { id }) => {
+          const service = getSavedSearchService();
+          return service ? service.delete(id) : savedSearchUnavailable;
+        }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.RUN_SAVED_SEARCH]: {
+        schema: schemas.savedSearchId,
+        handler: async (event, { id }) => {
+          const service = getSavedSearchService();
+          return service ? service.run(id) : { ...savedSearchUnavailable, results: [] };
+        }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.LIST_REMINDERS]: {
+        schema: schemas.reminderList,
+        handler: async (event, options) => {
+          const service = getReminderService();
+          if (!service) return { success: true, reminders: [] };
+          return {
+            success: true,
+            reminders: await service.list({ includeDismissed: options?.includeDismissed === true })
+          };
+        }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.UPDATE_REMINDER]: {
+        schema: schemas.reminderUpdate,
+        handler: async (event, { id, dismissed }) => {
+          const service = getReminderService();
+          return service
+            ? service.update(id, { dismissed })
+            : { success: false, error: 'Reminders are unavailable' };
+        }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.LIST_ENTITIES]: {
+        schema: schemas.entityList,
+        handler: async (event, options) => {
+          const service = getEntityService();
+          if (!service) return { success: true, entities: [], total: 0 };
+          return service.listEntities(options);
+        }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.GET_ENTITY]: {
+        schema: schemas.entityGet,
+        handler: async (event, { id, maxDocuments }) => {
+          const service = getEntityService();
+          return service
+            ? service.getEntity(id, { maxDocuments })
+            : { success: false, error: 'Entity index is unavailable' };
+        }
+      },
+      [IPC_CHANNELS.KNOWLEDGE.GET_FILE_ENTITIES]: {
+        schema: schemas.fileEntities,
+        handler: async (event, { fileIds, minFiles, limit }) => {
+          const service = getEntityService();
+          if (!service) return { success: true, entities: [] };
+          return service.getEntitiesForFiles(fileIds, { minFiles, limit });
+        }
       }
     }
   });
@@ -14,6 +14,7 @@ const { ensureResolvedModelsPath } = require('../services/modelPathResolver');
 const { TIMEOUTS } = require('../../shared/performanceConstants');
 const { AI_DEFAULTS, IPC_EVENTS } = require('../../shared/constants');
 const { withTimeout } = require('../../shared/promiseUtils');
+const { isOcrLanguage } = require('../../shared/ocrLanguages');
 
 /**
  * Register Llama IPC handlers
@@ -33,6 +34,7 @@ function registerLlamaIpc(servicesOrParams) {
   // Lazy load LlamaService to avoid circular dependencies
   let llamaService = null;
   let modelDownloadManager = null;
+  let ocrLanguageService = null;
 
   function getLlamaService() {
     if (!llamaService) {
@@ -56,9 +58,21 @@ function registerLlamaIpc(servicesOrParams) {
     return modelDownloadManager;
   }
 
+  function getOcrLanguageService() {
+    if (!ocrLanguageService) {
+      if (!serviceContainer.has(ServiceIds.OCR_LANGUAGE_SERVICE)) {
+        const { registerWithContainer } = require('../services/OcrLanguageService');
+        registerWithContainer(serviceContainer, ServiceIds.OCR_LANGUAGE_SERVICE);
+      }
+      ocrLanguageService = serviceContainer.resolve(ServiceIds.OCR_LANGUAGE_SERVICE);
+    }
+    return ocrLanguageService;
+  }
+
   const context = 'Llama';
   const schemaVoid = z ? z.void() : null;
   const schemaModelName = z ? z.string().min(1) : null;
+  const schemaOcrLanguage = z ? z.string().min(1).max(16) : null;
   // Restrict update-config to known config fields instead of allowing arbitrary passthrough
   const ALLOWED_CONFIG_FIELDS = new Set([
     'textModel',
@@ -509,6 +523,102 @@ function registerLlamaIpc(servicesOrParams) {
       }
     })
   );
+
+  // List OCR language packs with install state
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.LLAMA.GET_OCR_LANGUAGES,
+    createHandler({
+      logger,
+      context,
+      schema: schemaVoid,
+      handler: async () => {
+        try {
+          const service = getOcrLanguageService();
+          const languages = await service.listLanguages();
+          return { success: true, languages };
+        } catch (error) {
+          logger.error('[IPC:Llama] Get OCR languages failed:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    })
+  );
+
+  // Download OCR language pack (non-blocking, like DOWNLOAD_MODEL)
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.LLAMA.DOWNLOAD_OCR_LANGUAGE,
+    createHandler({
+      logger,
+      context,
+      schema: schemaOcrLanguage,
+      handler: async (_event, code) => {
+        try {
+          if (!isOcrLanguage(code)) {
+            return { success: false, error: 'Unknown OCR language' };
+          }
+          const service = getOcrLanguageService();
+          if (service.isDownloading(code)) {
+            return { success: true, alreadyInProgress: true };
+          }
+          const win = typeof getMainWindow === 'function' ? getMainWindow() : null;
+          const send = (payload) => {
+            if (win && !win.isDestroyed()) {
+              safeSend(win.webContents, IPC_EVENTS.OPERATION_PROGRESS, payload);
+            }
+          };
+
+          service
+            .downloadLanguage(code, {
+              onProgress: (progress) =>
+                send({ type: 'ocr-language-download', language: code, progress })
+            })
+            .then(() => {
+              logger.info('[IPC:Llama] OCR language download completed', { language: code });
+              send({ type: 'ocr-language-download-complete', language: code, success: true });
+            })
+            .catch((error) => {
+              logger.error('[IPC:Llama] OCR language download failed:', error);
+              send({
+                type: 'ocr-language-download-error',
+                language: code,
+                error: error?.message || 'Download failed'
+              });
+            });
+
+          return { success: true, started: true };
+        } catch (error) {
+          logger.error('[IPC:Llama] OCR language download failed:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    })
+  );
+
+  // Delete OCR language pack
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.LLAMA.DELETE_OCR_LANGUAGE,
+    createHandler({
+      logger,
+      context,
+      schema: schemaOcrLanguage,
+      handler: async (_event, code) => {
+        try {
+          if (!isOcrLanguage(code)) {
+            return { success: false, error: 'Unknown OCR language' };
+          }
+          const service = getOcrLanguageService();
+          service.cancelDownload(code);
+          return await service.deleteLanguage(code);
+        } catch (error) {
+          logger.error('[IPC:Llama] OCR language delete failed:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    })
+  );
 }
 
 module.exports = { registerLlamaIpc };
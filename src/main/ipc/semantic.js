@@ -29,7 +29,8 @@ const { validateFileOperationPath } = require('../../shared/pathSanitization');
 const { categorizeModel } = require('../../shared/modelCategorization');
 const { chunkText } = require('../utils/textChunking');
 const { normalizeText } = require('../../shared/normalization');
-const { getFileEmbeddingId } = require('../utils/fileIdUtils');
+const { getFileEmbeddingId, extractPathFromId } = require('../utils/fileIdUtils');
+const { getInstance: getFileAccessPolicy } = require('../services/FileAccessPolicy');
 const { enrichFolderTextForEmbedding } = require('../analysis/semanticExtensionMap');
 const {
   readEmbeddingIndexMetadata,
@@ -47,6 +48,59 @@ const isDimensionMismatchError = (error) => {
   );
 };
 
+/**
+ * File path of a semantic result: from its metadata, or decoded from its ID
+ * @param {Object|string} item - Result object or embedding ID
+ * @returns {string|null}
+ */
+const getSemanticResultPath = (item) => {
+  if (typeof item === 'string') return extractPathFromId(item);
+  return (
+    item?.metadata?.path ||
+    item?.metadata?.filePath ||
+    item?.path ||
+    item?.filePath ||
+    extractPathFromId(item?.id)
+  );
+};
+
+/**
+ * Drop results for excluded and privacy-zone files. Embeddings indexed before
+ * a zone or exclusion was added stay in the vector DB, so every similarity
+ * result has to pass the access policy on the way out.
+ * @param {Array<Object|string>} items - Results or embedding IDs
+ * @returns {Promise<Array<Object|string>>}
+ */
+async function filterAccessibleResults(items) {
+  if (!Array.isArray(items) || items.length === 0) return [];
+  const { items: allowed } = await getFileAccessPolicy().filterItems(items, {
+    getPath: getSemanticResultPath,
+    dropPrivate: true
+  });
+  return allowed;
+}
+
+/**
+ * Apply the access policy to the members of result groups, dropping groups
+ * that no longer have two members
+ * @param {Object[]} groups - Groups with a `members` array
+ * @returns {Promise<Object[]>}
+ */
+async function filterAccessibleGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+  const filtered = [];
+  for (const group of groups) {
+    const members = await filterAccessibleResults(group.members);
+    if (members.length < 2) continue;
+    filtered.push(
+      members.length === group.members.length
+        ? group
+        : { ...group, members, memberCount: members.length }
+    );
+  }
+  return filtered;
+}
+
 /**
  * Verify embedding model is available locally
  * @param {Object} logger - Logger instance
@@ -1015,6 +1069,11 @@ function registerEmbeddingsIpc(servicesOrParams) {
                 continue;
               }
 
+              // Excluded and privacy-zone files are never embedded
+              if (await getFileAccessPolicy().getRestriction(filePath)) {
+                continue;
+              }
+
               // Skip duplicates (keep the most recent history entry; getRecentAnalysis is expected to be ordered).
               if (filePayloadsById.has(fileId)) {
                 continue;
@@ -1430,6 +1489,11 @@ function registerEmbeddingsIpc(servicesOrParams) {
                     continue;
                   }
 
+                  // Excluded and privacy-zone files are never embedded
+                  if (await getFileAccessPolicy().getRestriction(filePath)) {
+                    continue;
+                  }
+
                   const displayName =
                     organization.newName || entry.fileName || path.basename(filePath);
                   const ext = (path.extname(filePath) || '').toLowerCase();
@@ -1958,6 +2022,11 @@ function registerEmbeddingsIpc(servicesOrParams) {
             };
           }
 
+          // A restricted seed would expose its content through its neighbours
+          if ((await filterAccessibleResults([fileId])).length === 0) {
+            return { success: true, results: [] };
+          }
+
           // Create timeout promise
           let timeoutId;
           const timeoutPromise = new Promise((_, reject) => {
@@ -1978,7 +2047,7 @@ function registerEmbeddingsIpc(servicesOrParams) {
             if (timeoutId) clearTimeout(timeoutId);
           }
 
-          return { success: true, results: similarFiles };
+          return { success: true, results: await filterAccessibleResults(similarFiles) };
         } catch (e) {
           const requiresRebuild = isDimensionMismatchError(e);
           logger.error('[EMBEDDINGS] Find similar failed:', {
@@ -2499,8 +2568,22 @@ function registerEmbeddingsIpc(servicesOrParams) {
             decayFactor: options.decay ?? options.decayFactor
           };
 
-          const results = await getFolderMatcher().findMultiHopNeighbors(validIds, mappedOptions);
-          return { success: true, results };
+          const seeds = await filterAccessibleResults(validIds);
+          if (seeds.length === 0) {
+            return { success: true, results: [] };
+          }
+
+          const results = await getFolderMatcher().findMultiHopNeighbors(seeds, mappedOptions);
+          const allowed = await filterAccessibleResults(results);
+          // Also drop neighbours that were only reached through a restricted file
+          const allowedIds = new Set([...seeds, ...allowed.map((result) => result.id)]);
+          return {
+            success: true,
+            results: allowed.filter(
+              (result) =>
+                !Array.isArray(result.path) || result.path.every((id) => allowedIds.has(id))
+            )
+          };
         } catch (e) {
           logger.error('[EMBEDDINGS] Multi-hop expansion failed:', e);
           return { success: false, error: e.message };
@@ -2595,7 +2678,15 @@ function registerEmbeddingsIpc(servicesOrParams) {
       handler: async () => {
         try {
           const service = await getClusteringService();
-          const clusters = service.getClustersForGraph();
+          const clusters = await Promise.all(
+            service.getClustersForGraph().map(async (cluster) => {
+              if (!Array.isArray(cluster.memberIds)) return cluster;
+              const memberIds = await filterAccessibleResults(cluster.memberIds);
+              return memberIds.length === cluster.memberIds.length
+                ? cluster
+                : { ...cluster, memberIds, memberCount: memberIds.length };
+            })
+          );
           const crossClusterEdges = service.findCrossClusterEdges(
             THRESHOLDS.SIMILARITY_EDGE_DEFAULT
           );
@@ -2665,7 +2756,7 @@ function registerEmbeddingsIpc(servicesOrParams) {
 
           const service = await getClusteringService();
           // Now async - fetches fresh metadata from vector DB
-          const members = await service.getClusterMembers(clusterId);
+          const members = await filterAccessibleResults(await service.getClusterMembers(clusterId));
 
           return {
             success: true,
@@ -2729,9 +2820,11 @@ function registerEmbeddingsIpc(servicesOrParams) {
           }
 
           // Filter and limit fileIds
-          const validIds = fileIds
-            .filter((id) => typeof id === 'string' && id.length > 0 && id.length < 2048)
-            .slice(0, 500); // Limit to 500 files for performance
+          const validIds = await filterAccessibleResults(
+            fileIds
+              .filter((id) => typeof id === 'string' && id.length > 0 && id.length < 2048)
+              .slice(0, 500) // Limit to 500 files for performance
+          );
 
           if (validIds.length < 2) {
             return { success: true, edges: [] };
@@ -2924,8 +3017,14 @@ function registerEmbeddingsIpc(servicesOrParams) {
             threshold: numThreshold,
             maxResults: numMaxResults
           });
+          if (!result?.success) return result;
 
-          return result;
+          const groups = await filterAccessibleGroups(result.groups);
+          return {
+            ...result,
+            groups,
+            totalDuplicates: groups.reduce((sum, group) => sum + group.memberCount, 0)
+          };
         } catch (e) {
           logger.error('[EMBEDDINGS] Find duplicates failed:', e);
           return {
@@ -2940,6 +3039,66 @@ function registerEmbeddingsIpc(servicesOrParams) {
     })
   );
 
+  /**
+   * Find version chains (report_v1, report_v2_final, report (3))
+   * Groups files by filename version markers, confirmed by embedding similarity
+   */
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.EMBEDDINGS.FIND_VERSION_CHAINS,
+    createHandler({
+      logger,
+      context,
+      schema: schemaObjectOptional,
+      handler: async (event, { minSimilarity = 0.75, maxResults = 50 } = {}) => {
+        try {
+          const numMinSimilarity = Number(minSimilarity);
+          if (isNaN(numMinSimilarity) || numMinSimilarity < 0 || numMinSimilarity > 1) {
+            return {
+              success: false,
+              error: 'minSimilarity must be a number between 0 and 1',
+              groups: [],
+              totalVersions: 0
+            };
+          }
+
+          const numMaxResults = Number(maxResults);
+          if (!Number.isInteger(numMaxResults) || numMaxResults < 1 || numMaxResults > 200) {
+            return {
+              success: false,
+              error: 'maxResults must be an integer between 1 and 200',
+              groups: [],
+              totalVersions: 0
+            };
+          }
+
+          const service = await getClusteringService();
+          const result = await service.findVersionChains({
+            minSimilarity: numMinSimilarity,
+            maxResults: numMaxResults
+          });
+          if (!result?.success) return result;
+
+          const groups = await filterAccessibleGroups(result.groups);
+          return {
+            ...result,
+            groups,
+            totalVersions: groups.reduce((sum, group) => sum + group.memberCount, 0)
+          };
+        } catch (e) {
+          logger.error('[EMBEDDINGS] Find version chains failed:', e);
+          return {
+            success: false,
+            error: `Failed to find version chains: ${e.message}`,
+            operation: 'FIND_VERSION_CHAINS',
+            groups: [],
+            totalVersions: 0
+          };
+        }
+      }
+    })
+  );
+
   // Cleanup on app quit - FIX #15: Use once() to prevent multiple listener registration
   const { app } = require('electron');
   app.once('before-quit', async () => {
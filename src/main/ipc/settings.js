@@ -237,6 +237,11 @@ function validateImportedSettings(settings, logger) {
     'launchOnStartup',
     'autoOrganize',
     'autoChunkOnAnalysis',
+    'writeMetadataSidecar',
+    'writeMetadataImages',
+    'writeMetadataPdf',
+    'writeMetadataOffice',
+    'writeMetadataXattr',
     'backgroundMode',
     'notifications',
     'notifyOnAutoAnalysis',
@@ -404,6 +409,17 @@ async function handleSettingsSaveCore(settings, deps) {
       logger.debug('[SETTINGS] Could not invalidate analysis limits cache:', limitErr?.message);
     }
 
+    // Invalidate output language cache so the next analysis uses the new language
+    try {
+      const { invalidateCache } = require('../analysis/outputLanguageSettings');
+      if (typeof invalidateCache === 'function') {
+        invalidateCache();
+        logger.debug('[SETTINGS] Output language cache invalidated');
+      }
+    } catch (languageErr) {
+      logger.debug('[SETTINGS] Could not invalidate output language cache:', languageErr?.message);
+    }
+
     // Enhanced settings propagation with error logging
     let propagationSuccess = true;
     try {
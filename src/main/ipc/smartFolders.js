@@ -26,6 +26,11 @@ const { validateFileOperationPathSync } = require('../../shared/pathSanitization
 const { ERROR_CODES } = require('../../shared/errorHandlingUtils');
 
 const { isUNCPath } = require('../../shared/crossPlatformUtils');
+const { sanitizeRules } = require('../../shared/smartFolderRules');
+const { validateSubpathTemplate } = require('../../shared/pathTemplates');
+const { validateNamingTemplate } = require('../../shared/namingTemplates');
+const { buildFolderDescriptionLanguageInstruction } = require('../../shared/outputLanguage');
+const { getOutputLanguagePreference } = require('../analysis/outputLanguageSettings');
 
 /**
  * Compare filesystem paths with platform-aware case sensitivity.
@@ -57,6 +62,44 @@ function getFolderEmbeddingId(folder, folderMatcher) {
   return null;
 }
 
+/**
+ * Validate and normalize a folder's routing rules, subpath template and
+ * naming template in place.
+ * @param {Object} folder
+ * @returns {string|null} Error message when a rule or a template is invalid
+ */
+function normalizeFolderRouting(folder) {
+  if (!folder) return null;
+  const label = folder.name || 'smart folder';
+  if (folder.rules !== undefined) {
+    const { rules, errors } = sanitizeRules(folder.rules);
+    if (errors.length > 0) {
+      return `Invalid rules for "${label}": ${errors.join('; ')}`;
+    }
+    folder.rules = rules;
+  }
+  if (folder.subpathTemplate !== undefined) {
+    const template =
+      typeof folder.subpathTemplate === 'string' ? folder.subpathTemplate.trim() : '';
+    const { valid, errors } = validateSubpathTemplate(folder.subpathTemplate);
+    if (!valid) {
+      return `Invalid subpath template for "${label}": ${errors.join('; ')}`;
+    }
+    folder.subpathTemplate = template;
+  }
+  if (folder.namingTemplate !== undefined) {
+    const template = typeof folder.namingTemplate === 'string' ? folder.namingTemplate.trim() : '';
+    if (template) {
+      const { valid, errors } = validateNamingTemplate(template);
+      if (!valid) {
+        return `Invalid naming template for "${label}": ${errors.join('; ')}`;
+      }
+    }
+    folder.namingTemplate = template;
+  }
+  return null;
+}
+
 function getDescriptionFallback(folderName) {
   const cleanedFolderName =
     typeof folderName === 'string' && folderName.trim() ? folderName.trim() : 'this folder';
@@ -544,6 +587,14 @@ Rules:
           }
 
           for (const folder of folders) {
+            const routingError = normalizeFolderRouting(folder);
+            if (routingError) {
+              return {
+                success: false,
+                error: routingError,
+                errorCode: ERROR_CODES.INVALID_INPUT
+              };
+            }
             if (folder.path) {
               try {
                 folder.path = sanitizeFolderPath(folder.path);
@@ -649,6 +700,14 @@ Rules:
           }
 
           for (const folder of folders) {
+            const routingError = normalizeFolderRouting(folder);
+            if (routingError) {
+              return {
+                success: false,
+                error: routingError,
+                errorCode: ERROR_CODES.INVALID_INPUT
+              };
+            }
             if (folder.path) {
               try {
                 folder.path = sanitizeFolderPath(folder.path);
@@ -745,6 +804,13 @@ Rules:
               error: 'Folder not found',
               errorCode: ERROR_CODES.FOLDER_NOT_FOUND
             };
+          const routingError = normalizeFolderRouting(updatedFolder);
+          if (routingError)
+            return {
+              success: false,
+              error: routingError,
+              errorCode: ERROR_CODES.INVALID_INPUT
+            };
           if (updatedFolder.name) {
             if (updatedFolder.name.includes(' > ')) {
               updatedFolder.name = updatedFolder.name.split(' > ')[0].trim();
@@ -1003,10 +1069,14 @@ Rules:
           }
 
           // Generate description using LLM
+          const languageInstruction = buildFolderDescriptionLanguageInstruction(
+            await getOutputLanguagePreference()
+          );
           const prompt = `You are helping organize files on a computer. Generate a brief, helpful description (1-2 sentences) for a folder called "${folderName}".
 The description should explain what types of files belong in this folder to help an AI system match files to folders.
 Use only the folder name as context and avoid making up company- or project-specific details.
 Return plain text only (no markdown, no quotes, no bullet points).
+${languageInstruction}
 
 Example for "Work Documents": "Contains professional documents, reports, and work-related files such as meeting notes, project plans, and business correspondence."
 
@@ -1113,6 +1183,14 @@ Now generate a description for "${folderName}":`;
               errorCode: ERROR_CODES.INVALID_FOLDER_NAME_CHARS
             };
 
+          const routingError = normalizeFolderRouting(folder);
+          if (routingError)
+            return {
+              success: false,
+              error: routingError,
+              errorCode: ERROR_CODES.INVALID_INPUT
+            };
+
           const customFolders = getCustomFolders();
 
           // CRITICAL SECURITY FIX: Sanitize path before any operations
@@ -1197,7 +1275,10 @@ Now generate a description for "${folderName}":`;
             relatedFolders: [],
             confidenceScore: 0.8,
             usageCount: 0,
-            lastUsed: null
+            lastUsed: null,
+            ...(Array.isArray(folder.rules) ? { rules: folder.rules } : {}),
+            ...(folder.subpathTemplate ? { subpathTemplate: folder.subpathTemplate } : {}),
+            ...(folder.namingTemplate ? { namingTemplate: folder.namingTemplate } : {})
           };
 
           const runBackgroundLlmEnhancement = () => {
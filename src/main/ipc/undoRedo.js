@@ -6,6 +6,7 @@
  */
 const { IpcServiceContext, createFromLegacyParams } = require('./IpcServiceContext');
 const { createHandler, safeHandle, safeSend } = require('./ipcWrappers');
+const { schemas } = require('./validationSchemas');
 
 function registerUndoRedoIpc(servicesOrParams) {
   let container;
@@ -138,6 +139,57 @@ function registerUndoRedoIpc(servicesOrParams) {
     })
   );
 
+  // Preview reversing one past action (or some of its files) without undoing later actions
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.UNDO_REDO.PREVIEW_SELECTIVE_UNDO,
+    createHandler({
+      logger,
+      context,
+      schema: schemas?.selectiveUndo,
+      serviceName: 'undoRedo',
+      getService: getUndoRedoService,
+      fallbackResponse: { success: false, error: 'Undo service unavailable' },
+      handler: async (event, { actionId, operationIndexes }, service) => {
+        try {
+          return await service.previewSelectiveUndo(actionId, { operationIndexes });
+        } catch (error) {
+          logger.error('Failed to preview selective undo:', error);
+          return { success: false, error: error.message };
+        }
+      }
+    })
+  );
+
+  // Reverse one past action (or some of its files)
+  safeHandle(
+    ipcMain,
+    IPC_CHANNELS.UNDO_REDO.SELECTIVE_UNDO,
+    createHandler({
+      logger,
+      context,
+      schema: schemas?.selectiveUndo,
+      serviceName: 'undoRedo',
+      getService: getUndoRedoService,
+      fallbackResponse: { success: false, message: 'Undo service unavailable' },
+      handler: async (event, { actionId, operationIndexes }, service) => {
+        try {
+          const result = await service.selectiveUndo(actionId, { operationIndexes });
+          if (result?.success && event?.sender && !event.sender.isDestroyed()) {
+            safeSend(event.sender, IPC_CHANNELS.UNDO_REDO.STATE_CHANGED, {
+              action: 'selective-undo',
+              result
+            });
+          }
+          return result;
+        } catch (error) {
+          logger.error('Failed to execute selective undo:', error);
+          return { success: false, message: error.message };
+        }
+      }
+    })
+  );
+
   // Clear action history
   safeHandle(
     ipcMain,
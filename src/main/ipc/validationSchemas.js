@@ -7,6 +7,7 @@
 
 const { URL_PATTERN } = require('../../shared/settingsValidation');
 const { CHAT_PERSONAS } = require('../../shared/chatPersonas');
+const { OUTPUT_LANGUAGE_MODES, OUTPUT_LANGUAGE_CODES } = require('../../shared/outputLanguage');
 const {
   LOGGING_LEVELS,
   NUMERIC_LIMITS,
@@ -307,6 +308,10 @@ if (!z) {
       textModel: modelNameSchema,
       visionModel: modelNameSchema,
       embeddingModel: modelNameSchema,
+      audioModel: modelNameSchema,
+      ocrLanguages: z.array(z.string().max(16)).min(1).max(4).nullish(),
+      outputLanguageMode: z.enum(OUTPUT_LANGUAGE_MODES).nullish(),
+      outputLanguage: z.enum(OUTPUT_LANGUAGE_CODES).nullish(),
       // Embedding workflow controls
       embeddingTiming: z.enum(['during_analysis', 'after_organize', 'manual']).nullish(),
       defaultEmbeddingPolicy: z.enum(['embed', 'skip', 'web_only']).nullish(),
@@ -318,6 +323,13 @@ if (!z) {
       autoOrganize: z.boolean().nullish(),
       backgroundMode: z.boolean().nullish(),
       autoChunkOnAnalysis: z.boolean().nullish(),
+      writeMetadataSidecar: z.boolean().nullish(),
+      writeMetadataImages: z.boolean().nullish(),
+      writeMetadataPdf: z.boolean().nullish(),
+      writeMetadataOffice: z.boolean().nullish(),
+      writeMetadataXattr: z.boolean().nullish(),
+      exclusionPatterns: z.array(z.string().max(500)).max(200).nullish(),
+      privacyZones: z.array(z.string().max(1000)).max(100).nullish(),
       autoUpdateCheck: z.boolean().nullish(),
       telemetryEnabled: z.boolean().nullish(),
 
@@ -354,6 +366,7 @@ if (!z) {
 
       // Naming convention settings
       namingConvention: z.enum(NAMING_CONVENTIONS).nullish(),
+      namingTemplate: z.string().max(200).nullish(),
       dateFormat: z.string().nullish(),
       caseConvention: z.enum(CASE_CONVENTIONS).nullish(),
       separator: z.string().regex(SEPARATOR_PATTERN).nullish(),
@@ -417,6 +430,26 @@ if (!z) {
 
   // ===== Smart Folder Schemas =====
 
+  /**
+   * Smart folder routing rule (field/operator semantics are validated by
+   * shared/smartFolderRules when rules are saved)
+   */
+  const smartFolderRuleSchema = z.object({
+    id: z.string().max(100).optional(),
+    name: z.string().max(200).optional(),
+    enabled: z.boolean().optional(),
+    match: z.enum(['all', 'any']).optional(),
+    conditions: z
+      .array(
+        z.object({
+          field: z.string().min(1).max(50),
+          operator: z.string().min(1).max(50),
+          value: z.union([z.string().max(500), z.number()])
+        })
+      )
+      .max(20)
+  });
+
   /**
    * Smart folder object validation
    */
@@ -427,7 +460,12 @@ if (!z) {
     description: z.string().max(1000).optional(),
     keywords: z.array(z.string()).optional(),
     category: z.string().optional(),
-    isDefault: z.boolean().optional()
+    isDefault: z.boolean().optional(),
+    rules: z.array(smartFolderRuleSchema).max(50).optional(),
+    // Subpath template resolved per file, e.g. "{entity}/{year}" (see shared/pathTemplates)
+    subpathTemplate: z.string().max(256).optional(),
+    // Filename template overriding the global naming convention (see shared/namingTemplates)
+    namingTemplate: z.string().max(200).optional()
   });
 
   /**
@@ -461,7 +499,9 @@ if (!z) {
             type: z.string().optional()
           })
         )
-        .optional()
+        .optional(),
+      // Roots of project bundles the user chose to move whole
+      confirmedBundles: z.array(z.string().min(1).max(8192)).max(1000).optional()
     })
     .superRefine((value, ctx) => {
       if (value.type === 'batch_organize') {
@@ -542,6 +582,29 @@ if (!z) {
     all: z.boolean().optional()
   });
 
+  /**
+   * Similar image (photo duplicate) search options
+   */
+  const similarImagesOptionsSchema = z
+    .object({
+      maxDistance: z.number().int().min(0).max(32).optional(),
+      maxResults: z.number().int().min(1).max(200).optional()
+    })
+    .optional();
+
+  /**
+   * Timeline filters
+   */
+  const timelineOptionsSchema = z
+    .object({
+      smartFolder: z.string().max(500).optional(),
+      entity: z.string().max(300).optional(),
+      tag: z.string().max(200).optional(),
+      query: z.string().max(1000).optional(),
+      limit: z.number().int().min(1).max(20000).optional()
+    })
+    .optional();
+
   // ===== Organization Schemas =====
 
   /**
@@ -729,6 +792,68 @@ if (!z) {
    */
   const relationshipStatsSchema = z.object({}).optional().default({});
 
+  /**
+   * Saved search (create/update); service-side checks enforce the exact limits
+   */
+  const savedSearchSchema = z.object({
+    id: z.string().min(1).max(128).optional(),
+    name: z.string().min(1).max(100),
+    query: z.string().min(2).max(1000),
+    notify: z.boolean().optional(),
+    options: z
+      .object({
+        topK: z.number().int().min(1).max(200).optional(),
+        mode: z.enum(['hybrid', 'vector', 'bm25']).optional(),
+        minScore: z.number().min(0).max(1).nullable().optional(),
+        rerank: z.boolean().optional(),
+        rerankTopN: z.number().int().min(1).max(50).optional(),
+        correctSpelling: z.boolean().optional(),
+        expandSynonyms: z.boolean().optional()
+      })
+      .optional()
+  });
+
+  const savedSearchIdSchema = z.object({
+    id: z.string().min(1).max(128)
+  });
+
+  /**
+   * Deadline reminders
+   */
+  const reminderListSchema = z
+    .object({
+      includeDismissed: z.boolean().optional()
+    })
+    .optional();
+
+  const reminderUpdateSchema = z.object({
+    id: z.string().min(1).max(128),
+    dismissed: z.boolean()
+  });
+
+  /**
+   * Entity index
+   */
+  const entityListSchema = z
+    .object({
+      query: z.string().max(200).optional(),
+      type: z.enum(['person', 'org', 'place', 'product', 'other']).optional(),
+      limit: z.number().int().min(1).max(200).optional()
+    })
+    .optional()
+    .default({});
+
+  const entityGetSchema = z.object({
+    id: z.string().min(1).max(300),
+    maxDocuments: z.number().int().min(1).max(1000).optional()
+  });
+
+  const fileEntitiesSchema = z.object({
+    fileIds: z.array(z.string().min(1).max(2048)).max(500, 'Maximum 500 file IDs for performance'),
+    minFiles: z.number().int().min(1).max(50).optional(),
+    limit: z.number().int().min(1).max(100).optional()
+  });
+
   /**
    * Chat query parameters
    */
@@ -808,6 +933,40 @@ if (!z) {
     id: z.string().min(1, 'Conversation ID is required').max(256)
   });
 
+  /**
+   * Chat action plan parameters
+   */
+  const chatPlanIdSchema = z.object({
+    planId: z.string().min(1, 'Plan ID is required').max(128)
+  });
+
+  const chatExecutePlanSchema = chatPlanIdSchema.extend({
+    excludePaths: z.array(z.string().min(1).max(8192)).max(1000).optional(),
+    confirmedBundles: z.array(z.string().min(1).max(8192)).max(1000).optional()
+  });
+
+  /**
+   * Report parameters: a document scope, the output folder and format
+   */
+  const reportScopeItemSchema = z.object({
+    path: z.string().min(1).max(8192),
+    name: z.string().max(1024).optional()
+  });
+
+  const chatWriteReportSchema = z.object({
+    scope: z.object({
+      type: z.enum(['selection', 'cluster', 'search']),
+      items: z.array(reportScopeItemSchema).max(1000).optional(),
+      clusterId: z.union([z.string().max(256), z.number().int()]).optional(),
+      label: z.string().max(200).optional(),
+      query: z.string().max(500).optional()
+    }),
+    outputDir: z.string().min(1, 'Output folder is required').max(8192),
+    format: z.enum(['markdown', 'html', 'docx', 'pdf']).optional(),
+    title: z.string().max(200).optional(),
+    focus: z.string().max(2000).optional()
+  });
+
   /**
    * Chat conversation search parameter
    */
@@ -842,6 +1001,14 @@ if (!z) {
    */
   const historyLimitSchema = z.number().int().min(1).max(500).optional();
 
+  /**
+   * Selective undo of one past action, optionally limited to some of its files
+   */
+  const selectiveUndoSchema = z.object({
+    actionId: z.string().min(1, 'Action ID is required').max(200),
+    operationIndexes: z.array(z.number().int().min(0)).max(10000).optional()
+  });
+
   // ===== Organization Extended Schemas =====
 
   /**
@@ -912,7 +1079,10 @@ if (!z) {
   /**
    * Analysis history export format
    */
-  const analysisExportFormatSchema = z.enum(['json', 'csv']).optional().default('json');
+  const analysisExportFormatSchema = z
+    .enum(['json', 'csv', 'financial-csv', 'ledger'])
+    .optional()
+    .default('json');
 
   // ===== Backup Schemas =====
 
@@ -950,6 +1120,8 @@ if (!z) {
     pagination: paginationSchema,
     searchQuery: searchQuerySchema,
     historyOptions: historyOptionsSchema,
+    similarImagesOptions: similarImagesOptionsSchema,
+    timelineOptions: timelineOptionsSchema,
 
     // Organization
     autoOrganize: autoOrganizeSchema,
@@ -975,6 +1147,13 @@ if (!z) {
     findDuplicates: findDuplicatesSchema,
     relationshipEdges: relationshipEdgesSchema,
     relationshipStats: relationshipStatsSchema,
+    savedSearch: savedSearchSchema,
+    savedSearchId: savedSearchIdSchema,
+    reminderList: reminderListSchema,
+    reminderUpdate: reminderUpdateSchema,
+    entityList: entityListSchema,
+    entityGet: entityGetSchema,
+    fileEntities: fileEntitiesSchema,
 
     // Chat
     chatQuery: chatQuerySchema,
@@ -982,6 +1161,9 @@ if (!z) {
     chatCancel: chatCancelSchema,
     chatListConversations: chatListConversationsSchema,
     chatConversationId: chatConversationIdSchema,
+    chatPlanId: chatPlanIdSchema,
+    chatExecutePlan: chatExecutePlanSchema,
+    chatWriteReport: chatWriteReportSchema,
     chatSearchConversations: chatSearchConversationsSchema,
 
     // System
@@ -990,6 +1172,7 @@ if (!z) {
 
     // Undo/Redo
     historyLimit: historyLimitSchema,
+    selectiveUndo: selectiveUndoSchema,
 
     // Organization (extended)
     processNew: processNewSchema,
@@ -14,6 +14,7 @@ const { get: getConfig } = require('../../shared/config/index');
 const { getInstance: getLlamaService } = require('./LlamaService');
 const { getRecommendedConcurrency } = require('./PerformanceService');
 const { getInstance: getModelAccessCoordinator } = require('./ModelAccessCoordinator');
+const { getInstance: getFileAccessPolicy } = require('./FileAccessPolicy');
 
 const { getFileTypeCategory } = require('./autoOrganize/fileTypeUtils');
 
@@ -202,7 +203,8 @@ class BatchAnalysisService {
    * @param {Array} filePaths - Array of file paths to analyze
    * @param {Array} smartFolders - Smart folders for categorization
    * @param {Object} options - Processing options
-   * @returns {Promise<Object>} Results with success/error details
+   * @returns {Promise<Object>} Results with success/error details; `excluded` lists
+   *   files skipped because of .stratoignore files or exclusion settings
    */
   async analyzeFiles(filePaths, smartFolders = [], options = {}) {
     const {
@@ -229,12 +231,21 @@ class BatchAnalysisService {
       ? requestedConcurrency
       : await this._getAdaptiveConcurrency(requestedConcurrency);
 
+    let excluded = [];
+    if (Array.isArray(filePaths) && filePaths.length > 0) {
+      ({ allowed: filePaths, excluded } = await getFileAccessPolicy().partitionExcluded(filePaths));
+      if (excluded.length > 0) {
+        logger.info('[BATCH-ANALYSIS] Skipping excluded files', { count: excluded.length });
+      }
+    }
+
     if (!Array.isArray(filePaths) || filePaths.length === 0) {
       return {
         success: true,
         results: [],
         errors: [],
-        total: 0
+        total: 0,
+        ...(excluded.length > 0 && { excluded })
       };
     }
 
@@ -390,7 +401,7 @@ class BatchAnalysisService {
         .filter(Boolean);
       const successful = orderedResults.filter((result) => result.success).length;
 
-      return await this._finalizeBatch({
+      const batchResult = await this._finalizeBatch({
         filePaths,
         startTime,
         onProgress,
@@ -404,6 +415,7 @@ class BatchAnalysisService {
         requestedConcurrency,
         sectionStats
       });
+      return excluded.length > 0 ? { ...batchResult, excluded } : batchResult;
     } finally {
       if (embeddingProgressUnsubscribe) {
         embeddingProgressUnsubscribe();
@@ -0,0 +1,690 @@
+/**
+ * ChatActionService - File actions requested in chat
+ *
+ * Turns requests like "move all my 2023 tax PDFs into Taxes/2023 and rename
+ * them by entity" into an action plan built from the existing operations:
+ * batch organize (moves and renames), tagging and smart folder creation.
+ * The model only reads the request; which files match is decided here from
+ * the analysis history, so the plan lists every change before anything runs.
+ *
+ * Plans are kept in memory until the user confirms one in chat. Running a
+ * plan records every step as a single ACTION_PLAN undo action.
+ *
+ * Moves that would carry a project folder or multi-file format are listed in
+ * the plan's `bundles`; a bundle that also holds files outside the plan only
+ * moves whole when the user ticks it in the review.
+ *
+ * @module services/ChatActionService
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../../shared/logger');
+const { ACTION_TYPES } = require('../../shared/constants');
+const { normalizePathForIndex } = require('../../shared/pathSanitization');
+const { getSemanticFileId } = require('../../shared/fileIdUtils');
+const { renderNamingTemplate, validateNamingTemplate } = require('../../shared/namingTemplates');
+const { resolveSubpathTemplate, sanitizePathSegment } = require('../../shared/pathTemplates');
+const { extractAndParseJSON } = require('../utils/jsonRepair');
+const { normalizeEntityKey } = require('../utils/entityNames');
+const { resolveTimelineDate } = require('./analysisHistory/timeline');
+const { planBundleMoves, getBundleMemberMoves } = require('../utils/projectBundles');
+
+const logger = createLogger('ChatActionService');
+
+const DEFAULTS = {
+  maxFiles: 500,
+  maxTags: 20,
+  maxPlans: 20,
+  planTtlMs: 30 * 60 * 1000,
+  queryResultLimit: 5000
+};
+
+const STEP_ACTIONS = new Set(['move', 'rename', 'tag', 'create_smart_folder']);
+
+const cleanText = (value, max = 200) =>
+  typeof value === 'string' ? value.trim().slice(0, max) : '';
+
+const currentPathOf = (entry) => entry?.organization?.actual || entry?.originalPath || null;
+
+const smartFolderName = (organization) => {
+  const folder = organization?.smartFolder;
+  if (typeof folder === 'string') return folder.trim() || null;
+  return typeof folder?.name === 'string' ? folder.name : null;
+};
+
+const toFileId = (filePath) => {
+  const normalized = normalizePathForIndex(filePath);
+  return normalized ? getSemanticFileId(normalized) : null;
+};
+
+/**
+ * Normalize the model's reading of a request into filter + steps.
+ * Unknown actions and malformed fields are dropped.
+ * @param {Object} raw - Parsed model output
+ * @returns {{summary: string, filter: Object, steps: Array<Object>}}
+ */
+function normalizeIntent(raw) {
+  const intent = raw && typeof raw === 'object' ? raw : {};
+  const rawFilter = intent.filter && typeof intent.filter === 'object' ? intent.filter : {};
+  const year = Number(rawFilter.year);
+  const filter = {
+    query: cleanText(rawFilter.query) || null,
+    extensions: (Array.isArray(rawFilter.extensions) ? rawFilter.extensions : [])
+      .map((ext) => cleanText(ext, 16).toLowerCase().replace(/^\./, ''))
+      .filter(Boolean),
+    year: Number.isInteger(year) && year > 1900 && year < 3000 ? year : null,
+    category: cleanText(rawFilter.category) || null,
+    tag: cleanText(rawFilter.tag) || null,
+    entity: cleanText(rawFilter.entity) || null,
+    smartFolder: cleanText(rawFilter.smartFolder) || null
+  };
+
+  const steps = [];
+  for (const step of Array.isArray(intent.steps) ? intent.steps : []) {
+    const action = cleanText(step?.action, 40).toLowerCase();
+    if (!STEP_ACTIONS.has(action)) continue;
+    if (action === 'move') {
+      const folder = cleanText(step.folder, 500);
+      if (folder) steps.push({ action, folder, subpath: cleanText(step.subpath, 200) || null });
+    } else if (action === 'rename') {
+      const template = cleanText(step.template);
+      if (template) steps.push({ action, template });
+    } else if (action === 'tag') {
+      const tags = Array.from(
+        new Set((Array.isArray(step.tags) ? step.tags : []).map((t) => cleanText(t, 100)))
+      )
+        .filter(Boolean)
+        .slice(0, DEFAULTS.maxTags);
+      if (tags.length > 0) steps.push({ action, tags });
+    } else {
+      const name = cleanText(step.name, 100);
+      if (name) steps.push({ action, name });
+    }
+  }
+
+  return { summary: cleanText(intent.summary, 500), filter, steps };
+}
+
+class ChatActionService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.llamaService - Reads the request (analyzeText)
+   * @param {Object} deps.analysisHistoryService - Source of the files a plan can touch
+   * @param {Object} [deps.vectorDbService] - Receives tag updates
+   * @param {Object} [deps.settingsService] - Default location for new smart folders
+   * @param {Object} [deps.undoRedoService] - Records the ACTION_PLAN undo action
+   * @param {Function} deps.getCustomFolders - Current smart folders
+   * @param {Function} deps.saveCustomFolders - Persists smart folders
+   * @param {Function} deps.organizeFiles - `(operations, {recordUndoAction}) => batch result`
+   */
+  constructor({
+    llamaService,
+    analysisHistoryService,
+    vectorDbService,
+    settingsService,
+    undoRedoService,
+    getCustomFolders,
+    saveCustomFolders,
+    organizeFiles
+  }) {
+    this.llamaService = llamaService;
+    this.analysisHistoryService = analysisHistoryService;
+    this.vectorDbService = vectorDbService;
+    this.settingsService = settingsService;
+    this.undoRedoService = undoRedoService;
+    this.getCustomFolders = getCustomFolders;
+    this.saveCustomFolders = saveCustomFolders;
+    this.organizeFiles = organizeFiles;
+    this.plans = new Map();
+  }
+
+  /**
+   * Build an action plan for a chat request. Nothing is changed on disk.
+   *
+   * @param {Object} params
+   * @param {string} params.request - The user's message
+   * @param {Array<{path: string}>} [params.documentScopeItems] - When given, only these files are considered
+   * @returns {Promise<{success: boolean, plan?: Object, error?: string, errorCode?: string}>}
+   *   `errorCode` is `NO_ACTIONS` when the request does not ask for a file action
+   */
+  async planActions({ request, documentScopeItems = [] }) {
+    if (!this.llamaService || !this.analysisHistoryService) {
+      return { success: false, error: 'File actions are not available right now.' };
+    }
+
+    const folders = this._getFolders();
+    const intent = await this._readIntent(request, folders);
+    if (!intent) {
+      return { success: false, error: 'I could not work out which file actions you meant.' };
+    }
+    if (intent.steps.length === 0) {
+      return { success: false, errorCode: 'NO_ACTIONS', error: 'No file actions requested.' };
+    }
+
+    const scopePaths = new Set(
+      (Array.isArray(documentScopeItems) ? documentScopeItems : [])
+        .map((item) => item?.path)
+        .filter((p) => typeof p === 'string' && p)
+    );
+    const touchesFiles = intent.steps.some((step) => step.action !== 'create_smart_folder');
+    const hasFilter = Object.values(intent.filter).some((v) =>
+      Array.isArray(v) ? v.length > 0 : v !== null
+    );
+    if (touchesFiles && !hasFilter && scopePaths.size === 0) {
+      return {
+        success: false,
+        error:
+          'Tell me which files to change (for example "2023 tax PDFs"), or add files to the document scope first.'
+      };
+    }
+
+    const { entries, total } = touchesFiles
+      ? await this._matchFiles(intent.filter, scopePaths)
+      : { entries: [], total: 0 };
+    if (touchesFiles && entries.length === 0) {
+      return { success: false, error: 'No analyzed files match that request.' };
+    }
+
+    const plan = await this._buildPlan(request, intent, entries, folders);
+    plan.total = total;
+    plan.truncated = total > entries.length;
+    if (plan.truncated) {
+      plan.warnings.push(
+        `Only the first ${entries.length} of ${total} matching files are included.`
+      );
+    }
+    if (plan.changes.length === 0 && plan.folders.length === 0) {
+      return { success: false, error: 'Those files already match what you asked for.' };
+    }
+
+    this._storePlan(plan);
+    logger.info('[ChatActionService] Plan ready', {
+      planId: plan.id,
+      steps: plan.steps.length,
+      changes: plan.changes.length
+    });
+    return { success: true, plan };
+  }
+
+  /**
+   * Run a plan the user confirmed. A plan runs at most once.
+   *
+   * @param {string} planId
+   * @param {Object} [options]
+   * @param {string[]} [options.excludePaths] - Files the user unticked in the review
+   * @param {string[]} [options.confirmedBundles] - Roots of partial bundles the user chose
+   *   to move whole
+   * @returns {Promise<Object>} Counts per step and the undo action id
+   */
+  async executePlan(planId, { excludePaths = [], confirmedBundles = [] } = {}) {
+    this._pruneExpired();
+    const plan = this.plans.get(planId);
+    if (!plan) {
+      return {
+        success: false,
+        error: 'This plan has expired or was already run. Ask again for a fresh plan.'
+      };
+    }
+    this.plans.delete(planId);
+
+    const excluded = new Set(excludePaths);
+    const changes = plan.changes.filter((change) => !excluded.has(change.path));
+    if (changes.length === 0 && !plan.folders.some((folder) => folder.requested)) {
+      return { success: false, error: 'No files were selected.' };
+    }
+
+    const createdDirectories = [];
+    const smartFolders = await this._createSmartFolders(plan, changes, createdDirectories);
+
+    let organizeUndo = null;
+    let result = null;
+    const moves = changes
+      .filter((change) => change.newPath && change.newPath !== change.path)
+      .map((change) => ({ source: change.path, destination: change.newPath }));
+    if (moves.length > 0) {
+      const confirmed = new Set(confirmedBundles);
+      result = await this.organizeFiles(moves, {
+        recordUndoAction: async (type, data) => {
+          organizeUndo = data;
+        },
+        confirmedBundles: (plan.bundles || [])
+          .filter((bundle) => bundle.partial && confirmed.has(bundle.root))
+          .map((bundle) => bundle.root)
+      });
+    }
+
+    // A bundle folder move stands for each of its member files
+    const finalPaths = new Map();
+    for (const op of organizeUndo?.operations || []) {
+      const fileMoves = Array.isArray(op.bundleMembers)
+        ? getBundleMemberMoves(op.originalPath, op.newPath, op.bundleMembers)
+        : [{ oldPath: op.originalPath, newPath: op.newPath }];
+      fileMoves.forEach(({ oldPath, newPath }) => finalPaths.set(oldPath, newPath));
+    }
+    const moved = moves.filter((move) => finalPaths.has(move.source)).length;
+    const failed = moves.length - moved;
+    if (moves.length > 0 && !result?.success && moved === 0) {
+      logger.warn('[ChatActionService] Organize step failed', { error: result?.error });
+    }
+    const tagChanges = await this._applyTags(changes, finalPaths);
+
+    const undoData = {
+      description: plan.summary,
+      operations: organizeUndo?.operations || [],
+      createdDirectories: [...createdDirectories, ...(organizeUndo?.createdDirectories || [])],
+      tagChanges,
+      smartFolders
+    };
+    let actionId = null;
+    if (undoData.operations.length > 0 || tagChanges.length > 0 || smartFolders.length > 0) {
+      try {
+        actionId = await this.undoRedoService?.recordAction(ACTION_TYPES.ACTION_PLAN, undoData);
+      } catch (error) {
+        logger.warn('[ChatActionService] Failed to record plan undo action', {
+          error: error?.message
+        });
+      }
+    }
+
+    const success = moved > 0 || tagChanges.length > 0 || smartFolders.length > 0;
+    logger.info('[ChatActionService] Plan executed', {
+      planId,
+      moved,
+      failed,
+      tagged: tagChanges.length,
+      smartFoldersCreated: smartFolders.length
+    });
+    return {
+      success,
+      ...(success ? {} : { error: 'None of the changes could be applied.' }),
+      moved,
+      failed,
+      tagged: tagChanges.length,
+      smartFoldersCreated: smartFolders.length,
+      actionId
+    };
+  }
+
+  /**
+   * Forget a plan without running it.
+   * @param {string} planId
+   * @returns {boolean} Whether the plan existed
+   */
+  discardPlan(planId) {
+    return this.plans.delete(planId);
+  }
+
+  _getFolders() {
+    try {
+      const folders = typeof this.getCustomFolders === 'function' ? this.getCustomFolders() : [];
+      return Array.isArray(folders) ? folders.filter((f) => f && f.name && f.path) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async _readIntent(request, folders) {
+    const folderNames = folders.map((f) => f.name).slice(0, 50);
+    const prompt = `You turn a request about the user's files into a file action plan. Do not answer the request; only describe it.
+
+Existing smart folders: ${folderNames.length > 0 ? folderNames.join(', ') : '(none)'}
+
+Request: "${request}"
+
+Return JSON with:
+- "summary": one sentence describing what will happen
+- "filter": which files the request is about. Fields (use null or [] when not mentioned): "query" (keywords describing the files, e.g. "tax"), "extensions" (e.g. ["pdf"]), "year" (number), "category", "tag", "entity", "smartFolder"
+- "steps": in order, any of
+  {"action":"create_smart_folder","name":"..."}
+  {"action":"move","folder":"Smart folder name, optionally followed by /subfolders","subpath":"optional template such as {year}"}
+  {"action":"rename","template":"naming template using {subject} {entity} {type} {category} {project} {date:YYYY-MM-DD} {original} {counter}"}
+  {"action":"tag","tags":["..."]}
+Use "steps": [] when the request does not ask to move, rename, tag or create smart folders.
+
+Example for "move all my 2023 tax PDFs into Taxes/2023 and rename them by entity":
+{"summary":"Move 2023 tax PDFs into Taxes/2023 and name them after the issuing entity","filter":{"query":"tax","extensions":["pdf"],"year":2023,"category":null,"tag":null,"entity":null,"smartFolder":null},"steps":[{"action":"move","folder":"Taxes/2023","subpath":null},{"action":"rename","template":"{entity}_{date:YYYY-MM-DD}"}]}
+
+Now respond as JSON:`;
+
+    try {
+      const result = await this.llamaService.analyzeText(prompt, { format: 'json' });
+      if (!result?.success) {
+        logger.warn('[ChatActionService] Intent request failed', { error: result?.error });
+        return null;
+      }
+      const parsed = extractAndParseJSON(result.response, null);
+      return parsed ? normalizeIntent(parsed) : null;
+    } catch (error) {
+      logger.warn('[ChatActionService] Could not read intent', { error: error?.message });
+      return null;
+    }
+  }
+
+  async _matchFiles(filter, scopePaths) {
+    const history = this.analysisHistoryService;
+    await history.initialize();
+    const entries = Object.values(history.analysisHistory?.entries || {});
+
+    let queryIds = null;
+    if (filter.query) {
+      const results = await history.searchAnalysis(filter.query, {
+        limit: DEFAULTS.queryResultLimit,
+        semantic: false
+      });
+      queryIds = new Set((results || []).map((result) => result.id));
+    }
+
+    const entityKey = filter.entity ? normalizeEntityKey(filter.entity) : null;
+    const lower = (value) => String(value || '').toLowerCase();
+
+    // Newest entry per file
+    const byPath = new Map();
+    for (const entry of entries) {
+      const currentPath = currentPathOf(entry);
+      if (typeof currentPath !== 'string' || !currentPath) continue;
+      const previous = byPath.get(currentPath);
+      if (previous && String(previous.timestamp) >= String(entry.timestamp)) continue;
+      byPath.set(currentPath, entry);
+    }
+
+    const matches = [];
+    for (const [currentPath, entry] of byPath) {
+      if (scopePaths.size > 0 && !scopePaths.has(currentPath)) continue;
+      if (queryIds && !queryIds.has(entry.id)) continue;
+      const analysis = entry.analysis || {};
+      if (filter.extensions.length > 0) {
+        const ext = path.extname(currentPath).slice(1).toLowerCase();
+        if (!filter.extensions.includes(ext)) continue;
+      }
+      if (filter.year && resolveTimelineDate(entry)?.date.slice(0, 4) !== String(filter.year)) {
+        continue;
+      }
+      if (filter.category && lower(analysis.category) !== lower(filter.category)) continue;
+      if (
+        filter.tag &&
+        !(Array.isArray(analysis.tags) ? analysis.tags : []).some(
+          (t) => lower(t).trim() === lower(filter.tag)
+        )
+      ) {
+        continue;
+      }
+      if (entityKey) {
+        const names = [
+          analysis.entity,
+          ...(Array.isArray(analysis.keyEntities) ? analysis.keyEntities : [])
+        ];
+        if (
+          !names.some((name) => typeof name === 'string' && normalizeEntityKey(name) === entityKey)
+        )
+          continue;
+      }
+      if (
+        filter.smartFolder &&
+        lower(smartFolderName(entry.organization)) !== lower(filter.smartFolder)
+      ) {
+        continue;
+      }
+      matches.push({ path: currentPath, entry });
+    }
+
+    matches.sort((a, b) => a.path.localeCompare(b.path));
+    return { entries: matches.slice(0, DEFAULTS.maxFiles), total: matches.length };
+  }
+
+  async _getNewFolderLocation(folders) {
+    try {
+      const settings = await this.settingsService?.load?.();
+      const location = settings?.defaultSmartFolderLocation;
+      if (typeof location === 'string' && path.isAbsolute(location)) return location;
+    } catch (error) {
+      logger.debug('[ChatActionService] Could not load settings', { error: error?.message });
+    }
+    // Next to the existing smart folders
+    return folders.length > 0 ? path.dirname(folders[0].path) : null;
+  }
+
+  async _buildPlan(request, intent, matches, folders) {
+    const warnings = [];
+    const folderByName = new Map(folders.map((f) => [f.name.toLowerCase(), f]));
+    const newFolders = new Map();
+    let location;
+
+    const resolveFolder = async (name, requested = false) => {
+      const key = name.toLowerCase();
+      if (folderByName.has(key)) return folderByName.get(key).path;
+      if (newFolders.has(key)) {
+        newFolders.get(key).requested ||= requested;
+        return newFolders.get(key).path;
+      }
+      if (location === undefined) location = await this._getNewFolderLocation(folders);
+      const segment = sanitizePathSegment(name);
+      if (!location || !segment) {
+        warnings.push(`Could not place the new smart folder "${name}".`);
+        return null;
+      }
+      const folder = { name: segment, path: path.join(location, segment), requested };
+      newFolders.set(key, folder);
+      return folder.path;
+    };
+
+    const steps = [];
+    let move = null;
+    let rename = null;
+    const tags = [];
+    for (const step of intent.steps) {
+      if (step.action === 'create_smart_folder') {
+        if (folderByName.has(step.name.toLowerCase())) {
+          warnings.push(`Smart folder "${step.name}" already exists.`);
+          continue;
+        }
+        await resolveFolder(step.name, true);
+      } else if (step.action === 'move') {
+        const [name, ...rest] = step.folder.split(/[\\/]+/).filter(Boolean);
+        const base = name ? await resolveFolder(name) : null;
+        if (!base) continue;
+        const subpath = [...rest, ...(step.subpath ? [step.subpath] : [])].join('/');
+        move = { folder: name, base, subpath };
+        steps.push({ action: 'move', folder: step.folder, subpath: step.subpath });
+      } else if (step.action === 'rename') {
+        if (!validateNamingTemplate(step.template).valid) {
+          warnings.push(`"${step.template}" is not a valid naming template.`);
+          continue;
+        }
+        rename = step;
+        steps.push(step);
+      } else {
+        tags.push(...step.tags.filter((t) => !tags.includes(t)));
+      }
+    }
+    if (tags.length > 0) steps.push({ action: 'tag', tags });
+    for (const folder of newFolders.values()) {
+      steps.unshift({ action: 'create_smart_folder', name: folder.name, path: folder.path });
+    }
+
+    const changes = [];
+    const claimed = new Set();
+    matches.forEach(({ path: filePath, entry }, index) => {
+      const analysis = entry.analysis || {};
+      const fileName = path.basename(filePath);
+      const ext = path.extname(fileName);
+
+      let targetDir = path.dirname(filePath);
+      if (move) {
+        const segments = move.subpath
+          ? resolveSubpathTemplate(move.subpath, {
+              analysis,
+              fileName,
+              modified: entry.lastModified
+            })
+          : [];
+        targetDir = path.join(move.base, ...segments);
+      }
+      let baseName = fileName.slice(0, fileName.length - ext.length);
+      if (rename) {
+        baseName =
+          renderNamingTemplate(rename.template, {
+            originalFileName: fileName,
+            analysis,
+            fileTimestamps: { modified: entry.lastModified },
+            counter: index + 1
+          }) || baseName;
+      }
+
+      // Two files renamed alike in one folder get numbered
+      let newPath = path.join(targetDir, `${baseName}${ext}`);
+      for (let n = 2; claimed.has(newPath.toLowerCase()) && newPath !== filePath; n += 1) {
+        newPath = path.join(targetDir, `${baseName}_${n}${ext}`);
+      }
+      claimed.add(newPath.toLowerCase());
+
+      const currentTags = Array.isArray(analysis.tags) ? analysis.tags : [];
+      const addTags = tags.filter((t) => !currentTags.includes(t));
+      const moves = newPath !== filePath;
+      if (!moves && addTags.length === 0) return;
+      changes.push({
+        path: filePath,
+        name: fileName,
+        newPath: moves ? newPath : null,
+        addTags
+      });
+    });
+
+    return {
+      id: `plan-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+      request,
+      summary:
+        intent.summary ||
+        (changes.length > 0
+          ? `Change ${changes.length} file${changes.length === 1 ? '' : 's'}`
+          : `Create ${newFolders.size} smart folder${newFolders.size === 1 ? '' : 's'}`),
+      createdAt: new Date().toISOString(),
+      steps,
+      folders: Array.from(newFolders.values()),
+      changes,
+      bundles: await this._planBundles(changes, folders),
+      warnings
+    };
+  }
+
+  /**
+   * Project folders and multi-file formats among the planned moves, with where
+   * they go. `partial` bundles also hold files outside the plan.
+   */
+  async _planBundles(changes, folders) {
+    const moves = changes
+      .filter((change) => change.newPath)
+      .map((change) => ({ source: change.path, destination: change.newPath }));
+    if (moves.length === 0) return [];
+    try {
+      const { bundles, partial } = await planBundleMoves(moves, {
+        boundaries: folders.map((folder) => folder.path)
+      });
+      return [
+        ...bundles.map((bundle) => ({ ...bundle, partial: false })),
+        ...partial.map((bundle) => ({ ...bundle, partial: true }))
+      ];
+    } catch (error) {
+      logger.debug('[ChatActionService] Could not detect bundles', { error: error?.message });
+      return [];
+    }
+  }
+
+  _storePlan(plan) {
+    this._pruneExpired();
+    plan.expiresAt = new Date(Date.now() + DEFAULTS.planTtlMs).toISOString();
+    this.plans.set(plan.id, plan);
+    while (this.plans.size > DEFAULTS.maxPlans) {
+      this.plans.delete(this.plans.keys().next().value);
+    }
+  }
+
+  _pruneExpired() {
+    const now = Date.now();
+    for (const [id, plan] of this.plans) {
+      if (Date.parse(plan.expiresAt) <= now) this.plans.delete(id);
+    }
+  }
+
+  async _createSmartFolders(plan, changes, createdDirectories) {
+    const created = [];
+    const folders = typeof this.getCustomFolders === 'function' ? this.getCustomFolders() : null;
+    if (!Array.isArray(folders)) return created;
+
+    for (const folder of plan.folders) {
+      // Folders only needed as move targets are skipped when all their files were unticked
+      const used = changes.some((c) => c.newPath && c.newPath.startsWith(folder.path + path.sep));
+      if (!used && !folder.requested) continue;
+      if (folders.some((f) => f.name?.toLowerCase() === folder.name.toLowerCase())) continue;
+
+      try {
+        try {
+          await fs.stat(folder.path);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          await fs.mkdir(folder.path, { recursive: true });
+          createdDirectories.push(folder.path);
+        }
+        const smartFolder = {
+          id: `sf-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+          name: folder.name,
+          path: folder.path,
+          description: `Smart folder for ${folder.name}`,
+          keywords: [],
+          category: 'general',
+          isDefault: false,
+          createdAt: new Date().toISOString(),
+          semanticTags: [],
+          relatedFolders: [],
+          confidenceScore: 0.8,
+          usageCount: 0,
+          lastUsed: null
+        };
+        folders.push(smartFolder);
+        await this.saveCustomFolders(folders);
+        created.push(smartFolder);
+      } catch (error) {
+        logger.warn('[ChatActionService] Could not create smart folder', {
+          name: folder.name,
+          error: error?.message
+        });
+      }
+    }
+    return created;
+  }
+
+  _currentTags(...filePaths) {
+    const wanted = new Set(filePaths.filter(Boolean));
+    let newest = null;
+    for (const entry of Object.values(this.analysisHistoryService.analysisHistory?.entries || {})) {
+      if (!wanted.has(entry?.originalPath) && !wanted.has(entry?.organization?.actual)) continue;
+      if (!newest || String(entry.timestamp) > String(newest.timestamp)) newest = entry;
+    }
+    return Array.isArray(newest?.analysis?.tags) ? newest.analysis.tags : [];
+  }
+
+  async _applyTags(changes, finalPaths) {
+    const tagChanges = [];
+    for (const change of changes) {
+      if (!change.addTags?.length) continue;
+      const filePath = finalPaths.get(change.path) || change.path;
+      try {
+        // History may still list the file under its old path right after the move
+        const previousTags = this._currentTags(filePath, change.path);
+        const tags = Array.from(new Set([...previousTags, ...change.addTags]));
+        await this.analysisHistoryService.updateTags(filePath, tags);
+        const fileId = toFileId(filePath);
+        if (fileId && this.vectorDbService?.updateDocumentTags) {
+          await this.vectorDbService.updateDocumentTags(fileId, tags);
+        }
+        tagChanges.push({ filePath, fileId, previousTags, tags });
+      } catch (error) {
+        logger.warn('[ChatActionService] Could not tag file', { filePath, error: error?.message });
+      }
+    }
+    return tagChanges;
+  }
+}
+
+module.exports = { ChatActionService, normalizeIntent };
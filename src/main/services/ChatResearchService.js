@@ -0,0 +1,325 @@
+/**
+ * ChatResearchService - Iterative retrieval for deep chat mode
+ *
+ * A research question across hundreds of files rarely lands in one search.
+ * The question is split into sub-queries, each retrieved on its own, and the
+ * best new sources are used as seeds to follow relationship-index neighbors
+ * and multi-hop similarity links. Rounds continue with follow-up queries for
+ * what the evidence does not cover yet, and stop once a round adds too
+ * little new evidence.
+ *
+ * Every search and link hop is recorded in a research trace that the chat
+ * answer shows next to its citations.
+ *
+ * @module services/ChatResearchService
+ */
+
+const { createLogger } = require('../../shared/logger');
+const { extractAndParseJSON } = require('../utils/jsonRepair');
+
+const logger = createLogger('ChatResearchService');
+
+const DEFAULTS = {
+  maxSubQueries: 4,
+  maxFollowUps: 2,
+  maxRounds: 3,
+  // A round that adds fewer new sources than this ends the research
+  minNewSources: 1,
+  maxEvidence: 40,
+  maxSources: 16,
+  maxSeeds: 5,
+  maxLinkCandidates: 20,
+  multiHop: { maxHops: 2, topKPerHop: 3 }
+};
+
+const cleanQuery = (value) =>
+  typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, 200) : '';
+
+class ChatResearchService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.llamaService - Plans sub-queries (analyzeText)
+   * @param {Function} deps.retrieveSources - `(query, options) => {sources, meta}`, the chat
+   *   single-pass retrieval
+   * @param {Object} [deps.relationshipIndexService] - Concept-overlap neighbors
+   * @param {Object} [deps.folderMatchingService] - Multi-hop similarity neighbors
+   */
+  constructor({ llamaService, retrieveSources, relationshipIndexService, folderMatchingService }) {
+    this.llamaService = llamaService;
+    this.retrieveSources = retrieveSources;
+    this.relationshipIndexService = relationshipIndexService || null;
+    this.folderMatchingService = folderMatchingService || null;
+  }
+
+  /**
+   * Collect evidence for a question over several retrieval rounds.
+   *
+   * @param {Object} params
+   * @param {string} params.query - The user's question
+   * @param {string} [params.history] - Conversation so far, for planning
+   * @param {Object} params.retrievalOptions - Options for each retrieval pass
+   * @param {boolean} [params.followLinks=true] - Follow related-document links
+   *   (off when the answer must stay inside the selected documents)
+   * @param {Function} [params.onStep] - Progress callback, called with `{type: 'search', query}`
+   *   before each search and `{type: 'links', candidates}` before linked documents are scored
+   * @returns {Promise<{sources: Array<Object>, meta: Object, trace: Array<Object>}>}
+   */
+  async research({ query, history = '', retrievalOptions, followLinks = true, onStep }) {
+    const trace = [];
+    const record = (step) => trace.push(step);
+    const notify = (progress) => {
+      if (typeof onStep === 'function') onStep(progress);
+    };
+
+    const evidence = new Map();
+    const asked = new Set();
+    let retrievalMeta = null;
+    let droppedLowRelevance = 0;
+    let rounds = 0;
+
+    const canFollowLinks =
+      followLinks && Boolean(this.relationshipIndexService || this.folderMatchingService);
+    let pending = await this._planSubQueries(query, history);
+    record({ type: 'plan', queries: pending });
+
+    while (pending.length > 0) {
+      rounds += 1;
+      const before = evidence.size;
+      const roundNew = [];
+
+      for (const subQuery of pending) {
+        asked.add(subQuery.toLowerCase());
+        notify({ type: 'search', query: subQuery });
+        const result = await this.retrieveSources(subQuery, {
+          ...retrievalOptions,
+          // The shared embedding belongs to the original question only
+          precomputedEmbedding: subQuery === query ? retrievalOptions.precomputedEmbedding : null
+        });
+        if (!retrievalMeta || retrievalMeta.retrievalAvailable === false) {
+          retrievalMeta = result.meta || {};
+        }
+        droppedLowRelevance += Number(result.meta?.droppedLowRelevance || 0);
+        const added = this._collect(evidence, result.sources, { foundFor: subQuery });
+        roundNew.push(...added);
+        record({
+          type: 'search',
+          query: subQuery,
+          found: result.sources?.length || 0,
+          added: added.length
+        });
+        if (evidence.size >= DEFAULTS.maxEvidence) break;
+      }
+
+      if (canFollowLinks && roundNew.length > 0 && evidence.size < DEFAULTS.maxEvidence) {
+        record(await this._followLinks(query, roundNew, retrievalOptions, evidence, notify));
+      }
+
+      const gained = evidence.size - before;
+      if (gained < DEFAULTS.minNewSources) {
+        record({ type: 'stop', reason: 'no_new_evidence' });
+        break;
+      }
+      if (evidence.size >= DEFAULTS.maxEvidence) {
+        record({ type: 'stop', reason: 'evidence_limit' });
+        break;
+      }
+      if (rounds >= DEFAULTS.maxRounds) {
+        record({ type: 'stop', reason: 'round_limit' });
+        break;
+      }
+
+      pending = (await this._planFollowUps(query, trace, evidence)).filter(
+        (q) => !asked.has(q.toLowerCase())
+      );
+      if (pending.length === 0) {
+        record({ type: 'stop', reason: 'covered' });
+      } else {
+        record({ type: 'plan', queries: pending });
+      }
+    }
+
+    const sources = Array.from(evidence.values())
+      .sort((a, b) => (b.semanticScore || 0) - (a.semanticScore || 0))
+      .slice(0, DEFAULTS.maxSources)
+      .map((source, index) => ({ ...source, id: `doc-${index + 1}` }));
+
+    logger.info('[ChatResearchService] Research finished', {
+      rounds,
+      searches: trace.filter((step) => step.type === 'search').length,
+      evidence: evidence.size,
+      sources: sources.length
+    });
+
+    return {
+      sources,
+      trace,
+      meta: {
+        ...(retrievalMeta || { retrievalAvailable: false }),
+        resultCount: sources.length,
+        totalRetrieved: evidence.size,
+        droppedLowRelevance,
+        research: { rounds, evidenceCount: evidence.size }
+      }
+    };
+  }
+
+  /**
+   * Add unseen sources to the evidence pool, remembering which sub-query or
+   * link found each one.
+   * @returns {Array<Object>} Sources that were new
+   */
+  _collect(evidence, sources, { foundFor = null, via = 'search' } = {}) {
+    const added = [];
+    for (const source of Array.isArray(sources) ? sources : []) {
+      const key = source?.fileId || source?.path;
+      if (!key) continue;
+      const existing = evidence.get(key);
+      if (existing) {
+        if (foundFor && !existing.foundFor.includes(foundFor)) existing.foundFor.push(foundFor);
+        if ((source.semanticScore || 0) > (existing.semanticScore || 0)) {
+          existing.semanticScore = source.semanticScore;
+          existing.snippet = source.snippet || existing.snippet;
+        }
+        continue;
+      }
+      const entry = { ...source, foundFor: foundFor ? [foundFor] : [], via };
+      evidence.set(key, entry);
+      added.push(entry);
+    }
+    return added;
+  }
+
+  /**
+   * Follow relationship-index neighbors and multi-hop similarity links from
+   * the best new sources. Candidates are scored against the question like
+   * pinned context files, so unrelated neighbors fall under the relevance gate.
+   */
+  async _followLinks(query, roundNew, retrievalOptions, evidence, notify = () => {}) {
+    const seeds = roundNew
+      .slice()
+      .sort((a, b) => (b.semanticScore || 0) - (a.semanticScore || 0))
+      .slice(0, DEFAULTS.maxSeeds)
+      .map((source) => source.fileId)
+      .filter(Boolean);
+    const step = { type: 'links', seeds: seeds.length, candidates: 0, added: 0 };
+    if (seeds.length === 0) return step;
+
+    const candidates = new Set();
+    const consider = (id) => {
+      if (typeof id === 'string' && id && !evidence.has(id) && !seeds.includes(id)) {
+        candidates.add(id);
+      }
+    };
+
+    if (typeof this.relationshipIndexService?.getNeighborEdges === 'function') {
+      try {
+        const related = await this.relationshipIndexService.getNeighborEdges(seeds, {
+          maxNeighbors: DEFAULTS.maxLinkCandidates
+        });
+        (related?.neighbors || []).forEach(consider);
+      } catch (error) {
+        logger.debug('[ChatResearchService] Relationship neighbors failed', {
+          error: error?.message
+        });
+      }
+    }
+    if (typeof this.folderMatchingService?.findMultiHopNeighbors === 'function') {
+      try {
+        const hops = await this.folderMatchingService.findMultiHopNeighbors(
+          seeds,
+          DEFAULTS.multiHop
+        );
+        (Array.isArray(hops) ? hops : [])
+          .slice()
+          .sort((a, b) => (b.score || 0) - (a.score || 0))
+          .forEach((hop) => consider(hop?.id));
+      } catch (error) {
+        logger.debug('[ChatResearchService] Multi-hop expansion failed', {
+          error: error?.message
+        });
+      }
+    }
+
+    const candidateIds = Array.from(candidates).slice(0, DEFAULTS.maxLinkCandidates);
+    step.candidates = candidateIds.length;
+    if (candidateIds.length === 0) return step;
+    notify({ type: 'links', candidates: candidateIds.length });
+
+    const linked = await this.retrieveSources(query, {
+      ...retrievalOptions,
+      topK: Math.min(candidateIds.length, retrievalOptions.topK || candidateIds.length),
+      contextFileIds: candidateIds
+    });
+    // Retrieval pads context files with regular search hits; keep only the links
+    const candidateSet = new Set(candidateIds);
+    const reached = (linked?.sources || []).filter((source) => candidateSet.has(source.fileId));
+    step.added = this._collect(evidence, reached, { via: 'link' }).length;
+    return step;
+  }
+
+  async _planSubQueries(query, history) {
+    const prompt = `You are planning research over the user's local documents.
+${history ? `\nConversation so far:\n${history}\n` : ''}
+Question: "${query}"
+
+Break the question into 2-${DEFAULTS.maxSubQueries} short search queries that together cover it. Each query should target one aspect: a topic, person or organization, time period or document type. Use words likely to appear in the documents.
+
+Return ONLY JSON: {"subQueries": ["...", "..."]}`;
+    const planned = await this._askForQueries(prompt);
+    return this._dedupe([query, ...planned]).slice(0, DEFAULTS.maxSubQueries);
+  }
+
+  async _planFollowUps(query, trace, evidence) {
+    const searches = trace
+      .filter((step) => step.type === 'search')
+      .map((step) => `- "${step.query}" (${step.found} sources)`)
+      .join('\n');
+    const found = Array.from(evidence.values())
+      .slice(0, 20)
+      .map((source) => {
+        const about = cleanQuery(source.summary || source.snippet || source.subject || '');
+        return `- ${source.name}${about ? `: ${about}` : ''}`;
+      })
+      .join('\n');
+    const prompt = `You are researching the user's local documents.
+
+Question: "${query}"
+
+Searches so far:
+${searches || '(none)'}
+
+Evidence found:
+${found || '(none)'}
+
+List up to ${DEFAULTS.maxFollowUps} new search queries for parts of the question the evidence does not cover yet. Return an empty list when the evidence already covers the question.
+
+Return ONLY JSON: {"subQueries": []}`;
+    const followUps = await this._askForQueries(prompt);
+    return this._dedupe(followUps).slice(0, DEFAULTS.maxFollowUps);
+  }
+
+  async _askForQueries(prompt) {
+    if (typeof this.llamaService?.analyzeText !== 'function') return [];
+    try {
+      const result = await this.llamaService.analyzeText(prompt, { format: 'json' });
+      if (!result?.success) return [];
+      const parsed = extractAndParseJSON(result.response, null);
+      return Array.isArray(parsed?.subQueries) ? parsed.subQueries.map(cleanQuery) : [];
+    } catch (error) {
+      logger.debug('[ChatResearchService] Query planning failed', { error: error?.message });
+      return [];
+    }
+  }
+
+  _dedupe(queries) {
+    const seen = new Set();
+    return queries.filter((q) => {
+      const key = cleanQuery(q).toLowerCase();
+      if (key.length < 2 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = { ChatResearchService };
@@ -2,6 +2,13 @@ const { createLogger } = require('../../shared/logger');
 const { cosineSimilarity, padOrTruncateVector } = require('../../shared/vectorMath');
 const { extractAndParseJSON } = require('../utils/jsonRepair');
 const { getChatPersonaOrDefault } = require('../../shared/chatPersonas');
+const {
+  resolveOutputLanguage,
+  buildChatLanguageInstruction
+} = require('../../shared/outputLanguage');
+const { getInstance: getFileAccessPolicy } = require('./FileAccessPolicy');
+const { ChatResearchService } = require('./ChatResearchService');
+const { detectContradictions } = require('../../shared/contradictions');
 
 const logger = createLogger('ChatService');
 const DEFAULTS = {
@@ -53,7 +60,11 @@ class ChatService {
     embeddingService,
     llamaService,
     settingsService,
-    chatHistoryStore
+    chatHistoryStore,
+    chatActionService,
+    reportService,
+    relationshipIndexService,
+    folderMatchingService
   }) {
     this.searchService = searchService;
     this.vectorDbService = vectorDbService;
@@ -61,6 +72,15 @@ class ChatService {
     this.llamaService = llamaService;
     this.settingsService = settingsService;
     this.chatHistoryStore = chatHistoryStore;
+    this.chatActionService = chatActionService || null;
+    this.reportService = reportService || null;
+    // Deep mode researches a question over several retrieval passes
+    this.researchService = new ChatResearchService({
+      llamaService,
+      retrieveSources: (query, options) => this._retrieveSources(query, options),
+      relationshipIndexService,
+      folderMatchingService
+    });
     this.sessions = new Map(); // Keep for legacy/fallback or cache
     this.activeStreamControllers = new Map(); // request/session keyed AbortControllers
   }
@@ -182,6 +202,11 @@ Now respond as JSON:`;
       // Fall through to normal flow if something fails
     }
 
+    if (this._isActionRequest(cleanQuery)) {
+      const planned = await this._proposeActionPlan({ sessionId, cleanQuery });
+      if (planned) return { success: true, ...planned };
+    }
+
     const {
       retrieval,
       prompt,
@@ -432,6 +457,23 @@ Now respond as JSON:`;
         }
         return;
       }
+
+      if (this._isActionRequest(cleanQuery)) {
+        if (onEvent) onEvent({ type: 'status', text: 'Planning file actions...' });
+        const planned = await this._proposeActionPlan({
+          sessionId,
+          cleanQuery,
+          documentScopeItems
+        });
+        if (planned) {
+          const text = planned.response.modelAnswer.map((a) => a.text).join('\n\n');
+          if (onEvent) {
+            onEvent({ type: 'chunk', text });
+            onEvent({ type: 'done', ...planned });
+          }
+          return;
+        }
+      }
       if (onEvent) onEvent({ type: 'status', text: 'Searching documents...' });
 
       const {
@@ -453,7 +495,8 @@ Now respond as JSON:`;
         chunkWeight,
         contextFileIds,
         strictScope,
-        responseMode
+        responseMode,
+        onEvent
       });
       memory._documentScope = documentScopeItems || [];
 
@@ -632,7 +675,8 @@ Now respond as JSON:`;
     chunkWeight,
     contextFileIds,
     strictScope = false,
-    responseMode
+    responseMode,
+    onEvent
   }) {
     logger.info('[ChatService] Retrieval started', {
       sessionId: sessionId || 'default',
@@ -688,8 +732,7 @@ Now respond as JSON:`;
         ? chunkWeight
         : modeConfig.chunkWeight;
     const effectiveRerank = Boolean(modeConfig.rerank || needsBroadRetrieval);
-
-    const retrieval = await this._retrieveSources(cleanQuery, {
+    const retrievalOptions = {
       topK: effectiveTopK,
       mode,
       chunkTopK: effectiveChunkTopK,
@@ -699,7 +742,31 @@ Now respond as JSON:`;
       correctSpelling: modeConfig.correctSpelling,
       rerank: effectiveRerank,
       precomputedEmbedding
-    });
+    };
+
+    // Only an explicit deep request runs multi-step research; intents that
+    // escalate to deep on their own keep the single broad pass
+    const researchIntent = responseMode === 'deep';
+    let retrieval;
+    if (researchIntent) {
+      const research = await this.researchService.research({
+        query: cleanQuery,
+        history,
+        retrievalOptions,
+        // Links lead outside the selected documents
+        followLinks: !strictScope,
+        onStep: (step) => {
+          const text = this._describeResearchStep(step);
+          if (text && onEvent) onEvent({ type: 'status', text });
+        }
+      });
+      retrieval = {
+        sources: research.sources,
+        meta: { ...research.meta, researchTrace: research.trace }
+      };
+    } else {
+      retrieval = await this._retrieveSources(cleanQuery, retrievalOptions);
+    }
 
     logger.debug('[ChatService] Retrieval completed', {
       resultCount: retrieval?.sources?.length || 0,
@@ -711,16 +778,19 @@ Now respond as JSON:`;
     const contradictions = this._detectContradictions(retrieval.sources);
 
     const persona = await this._getPersona();
+    const outputLanguage = await this._getOutputLanguage();
     const prompt = this._buildPrompt({
       query: cleanQuery,
       history,
       sources: retrieval.sources,
       persona,
+      outputLanguage,
       intent: {
         holisticIntent,
         correctionIntent,
         comparisonIntent,
-        gapAnalysisIntent
+        gapAnalysisIntent,
+        researchIntent
       },
       strictScope,
       contradictions
@@ -1017,59 +1087,7 @@ Now respond as JSON:`;
   }
 
   _detectContradictions(sources) {
-    if (!sources || sources.length < 2) return [];
-
-    const contradictions = [];
-
-    for (let i = 0; i < sources.length - 1; i++) {
-      for (let j = i + 1; j < sources.length; j++) {
-        const a = sources[i];
-        const b = sources[j];
-
-        // Check for shared entities/tags that might indicate topical overlap
-        const aTags = new Set([
-          ...(a.tags || []).map((t) => t.toLowerCase()),
-          ...(a.entity ? [a.entity.toLowerCase()] : []),
-          ...(a.category ? [a.category.toLowerCase()] : [])
-        ]);
-        const bTags = new Set([
-          ...(b.tags || []).map((t) => t.toLowerCase()),
-          ...(b.entity ? [b.entity.toLowerCase()] : []),
-          ...(b.category ? [b.category.toLowerCase()] : [])
-        ]);
-
-        const sharedTopics = [...aTags].filter((t) => bTags.has(t));
-        if (sharedTopics.length === 0) continue;
-
-        // Check for date divergence (different dates suggest potential evolution/contradiction)
-        const aDate = a.documentDate || '';
-        const bDate = b.documentDate || '';
-        const hasDifferentDates = aDate && bDate && aDate !== bDate;
-
-        // Only flag as potential contradiction if there's topical overlap
-        // AND some signal of divergence (different dates, different entities, etc.)
-        if (hasDifferentDates || (a.entity && b.entity && a.entity !== b.entity)) {
-          contradictions.push({
-            docA: {
-              id: a.id,
-              name: a.name,
-              date: aDate,
-              snippet: (a.snippet || a.summary || '').slice(0, 200)
-            },
-            docB: {
-              id: b.id,
-              name: b.name,
-              date: bDate,
-              snippet: (b.snippet || b.summary || '').slice(0, 200)
-            },
-            sharedTopics,
-            reason: hasDifferentDates ? 'different_dates' : 'different_entities'
-          });
-        }
-      }
-    }
-
-    return contradictions.slice(0, 5);
+    return detectContradictions(sources);
   }
 
   _isHolisticSynthesisQuery(query) {
@@ -1099,6 +1117,86 @@ Now respond as JSON:`;
     );
   }
 
+  _isActionRequest(query) {
+    if (!this.chatActionService) return false;
+    const q = String(query || '')
+      .toLowerCase()
+      .trim();
+    if (!q || q.endsWith('?')) return false;
+    return (
+      /^(?:please\s+|(?:can|could|would) you\s+)?(?:move|rename|tag|organi[sz]e|sort)\b/.test(q) ||
+      /\b(?:create|make|add)\s+(?:a\s+|new\s+)*smart folders?\b/.test(q)
+    );
+  }
+
+  /**
+   * Answer a file action request with a plan the user can review and run.
+   * Returns null when the request turns out not to ask for file actions,
+   * so the caller can answer it as a normal question.
+   * @private
+   */
+  async _proposeActionPlan({ sessionId, cleanQuery, documentScopeItems = [] }) {
+    const result = await this.chatActionService.planActions({
+      request: cleanQuery,
+      documentScopeItems
+    });
+    if (!result?.success && result?.errorCode === 'NO_ACTIONS') return null;
+
+    const plan = result?.success ? result.plan : null;
+    const text = plan
+      ? `${plan.summary}. Review the changes below and confirm to run them; the whole plan can be undone in one step.`
+      : result?.error || 'I could not plan those file actions.';
+    const response = { documentAnswer: [], modelAnswer: [{ text }], followUps: [] };
+    const meta = { retrievalSkipped: true, actionPlan: plan };
+
+    const memory = await this._getSessionMemory(sessionId);
+    memory._documentScope = documentScopeItems || [];
+    await this._saveMemoryTurn(memory, cleanQuery, {
+      text,
+      documentAnswer: [],
+      modelAnswer: response.modelAnswer,
+      sources: [],
+      followUps: [],
+      meta
+    });
+    return { response, sources: [], meta };
+  }
+
+  /**
+   * Run an action plan the user confirmed in chat.
+   * @param {string} planId
+   * @param {Object} [options] - See ChatActionService.executePlan
+   */
+  async executeActionPlan(planId, options = {}) {
+    if (!this.chatActionService) {
+      return { success: false, error: 'File actions are not available' };
+    }
+    return this.chatActionService.executePlan(planId, options);
+  }
+
+  discardActionPlan(planId) {
+    return this.chatActionService ? this.chatActionService.discardPlan(planId) : false;
+  }
+
+  /**
+   * Write a report over a chat scope, cluster or search result set.
+   * @param {Object} params - See ReportService.writeReport
+   */
+  async writeReport(params) {
+    if (!this.reportService) {
+      return { success: false, error: 'Reports are not available' };
+    }
+    return this.reportService.writeReport(params);
+  }
+
+  _describeResearchStep(step) {
+    if (step?.type === 'search') return `Researching "${step.query}"...`;
+    if (step?.type === 'links') {
+      return `Following links to ${step.candidates} related document${step.candidates === 1 ? '' : 's'}...`;
+    }
+    return null;
+  }
+
   async _retrieveSources(
     query,
     {
@@ -1244,6 +1342,17 @@ Now respond as JSON:`;
       meta.contextBoosted = true;
     }
 
+    // Excluded and privacy-zone files never reach the model, including files
+    // the user pinned as context
+    const accessFiltered = await getFileAccessPolicy().filterItems(finalResults, {
+      getPath: (result) => result?.metadata?.path,
+      dropPrivate: true
+    });
+    if (accessFiltered.items.length < finalResults.length) {
+      meta.restrictedSourcesDropped = finalResults.length - accessFiltered.items.length;
+      finalResults = accessFiltered.items;
+    }
+
     // Enrich ALL results (including context-boosted files that bypass the search
     // pipeline) with the full analysis metadata from the documentMap. This ensures
     // the LLM prompt gets summary, purpose, entity, extractedText, etc. — not just
@@ -1483,11 +1592,23 @@ Now respond as JSON:`;
     return getChatPersonaOrDefault();
   }
 
+  async _getOutputLanguage() {
+    try {
+      if (this.settingsService?.load) {
+        return resolveOutputLanguage(await this.settingsService.load());
+      }
+    } catch (error) {
+      logger.debug('[ChatService] Failed to load output language setting:', error.message);
+    }
+    return resolveOutputLanguage();
+  }
+
   _buildPrompt({
     query,
     history,
     sources,
     persona,
+    outputLanguage = null,
     intent = {},
     strictScope = false,
     contradictions = []
@@ -1512,6 +1633,9 @@ Now respond as JSON:`;
         if (s.purpose) lines.push(`Purpose: ${s.purpose}`);
         if (s.snippet) lines.push(`Summary: ${s.snippet}`);
         if (s.tags?.length > 0) lines.push(`Tags: ${s.tags.join(', ')}`);
+        // Deep research: which sub-question surfaced the source
+        if (s.foundFor?.length > 0) lines.push(`Found for: ${s.foundFor.join('; ')}`);
+        if (s.via === 'link') lines.push('Found via: link from a related document');
         // Image-specific context
         if (s.isImage) {
           if (s.contentType) lines.push(`Content type: ${s.contentType}`);
@@ -1536,6 +1660,7 @@ Now respond as JSON:`;
     const correctionIntent = Boolean(intent?.correctionIntent);
     const comparisonIntent = Boolean(intent?.comparisonIntent);
     const gapAnalysisIntent = Boolean(intent?.gapAnalysisIntent);
+    const researchIntent = Boolean(intent?.researchIntent);
 
     const contradictionContext =
       contradictions.length > 0
@@ -1574,6 +1699,14 @@ Holistic constraints:
 - If 3+ sources are available, use evidence from at least 3 distinct sources.
 - For profile-style requests, summarize observable patterns (work style, topics, preferences) and avoid medical/clinical diagnosis.
 - If evidence is weak/conflicting, say that explicitly and lower certainty.
+`.trim()
+      : '';
+    const researchRules = researchIntent
+      ? `
+Research constraints:
+- The sources were gathered by several searches, one per part of the question. Address every part the sources cover.
+- Make each documentAnswer item a single claim, with inline [doc-N] markers and a "citations" list naming every source that supports that claim.
+- State plainly which parts of the question the sources do not answer.
 `.trim()
       : '';
     const correctionRules = correctionIntent
@@ -1623,7 +1756,9 @@ Rules:
 7. Be concise. One clear paragraph is better than multiple fragmented bullet sections.
 8. Generate 1-3 natural follow-up questions grounded in what you know about the user's documents. Avoid generic questions like "Can you provide more context?" — instead suggest specific things they might search for.
 9. If the query is casual or about your capabilities, respond warmly in 'modelAnswer' and leave 'documentAnswer' empty.
+10. ${buildChatLanguageInstruction(outputLanguage || resolveOutputLanguage())}
 ${synthesisRules}
+${researchRules}
 ${correctionRules}
 ${comparisonRules}
 ${gapAnalysisRules}
@@ -18,6 +18,7 @@ const {
 const { getTextModel } = require('../llamaUtils');
 const { AI_DEFAULTS } = require('../../shared/constants');
 const { FILE_TYPE_CATEGORIES } = require('./autoOrganize/fileTypeUtils');
+const { detectVersionChains, getVersionChainKey } = require('../../shared/versionChains');
 
 const logger = createLogger('ClusteringService');
 const fsPromises = fs.promises;
@@ -1870,6 +1871,96 @@ Examples of good names: "Q4 Financial Reports", "Employee Onboarding Materials",
     }
   }
 
+  /**
+   * Find version chains (report_v1, report_v2_final, report (3)) across the
+   * indexed collection. Candidates are grouped by filename pattern, members
+   * whose embedding drifts too far from the latest version are dropped, and
+   * each chain is ordered newest first by version marker and mtime.
+   *
+   * @param {Object} options - Search options
+   * @param {number} options.minSimilarity - Minimum embedding similarity to the latest version (default: 0.75)
+   * @param {number} options.maxResults - Maximum chains to return (default: 50)
+   * @returns {Promise<Object>} Object with version chains as `groups`
+   */
+  async findVersionChains(options = {}) {
+    const { minSimilarity = 0.75, maxResults = 50 } = options;
+
+    try {
+      await this.vectorDb.initialize();
+
+      const stats = await this.vectorDb.getStats();
+      const fileCount = stats?.files || 0;
+      if (fileCount < 2) {
+        return { success: true, groups: [], totalVersions: 0 };
+      }
+
+      const result = await this.vectorDb.peekFiles(Math.min(fileCount, 1000));
+      const candidates = new Map();
+      for (let i = 0; i < (result.ids || []).length; i++) {
+        const metadata = normalizeIndexedMetadata(result.metadatas?.[i], result.ids[i]);
+        const filePath = metadata.path;
+        if (!filePath) continue;
+        const name = metadata.name;
+        const key = getVersionChainKey(name);
+        if (!candidates.has(key)) candidates.set(key, []);
+        candidates.get(key).push({
+          id: result.ids[i],
+          path: filePath,
+          name,
+          vector: result.embeddings?.[i],
+          metadata
+        });
+      }
+
+      // Only stat files that share a family with at least one other file
+      const files = [];
+      for (const members of candidates.values()) {
+        if (members.length < 2) continue;
+        for (const member of members) {
+          try {
+            const fileStats = await fsPromises.stat(member.path);
+            files.push({ ...member, size: fileStats.size, modified: fileStats.mtimeMs });
+          } catch {
+            // File moved or deleted since it was indexed
+          }
+        }
+      }
+
+      const chains = detectVersionChains(files, {
+        minSimilarity,
+        getSimilarity: (a, b) =>
+          a.vector?.length > 0 && a.vector.length === b.vector?.length
+            ? cosineSimilarity(a.vector, b.vector)
+            : null
+      })
+        .slice(0, maxResults)
+        .map((chain) => ({
+          ...chain,
+          members: chain.members.map(({ vector: _vector, metadata, ...member }) => ({
+            ...metadata,
+            ...member
+          })),
+          memberCount: chain.members.length
+        }));
+
+      const totalVersions = chains.reduce((sum, chain) => sum + chain.memberCount, 0);
+      logger.info('[ClusteringService] Found version chains', {
+        chainCount: chains.length,
+        totalVersions
+      });
+
+      return { success: true, groups: chains, totalVersions };
+    } catch (error) {
+      logger.error('[ClusteringService] Failed to find version chains:', error);
+      return {
+        success: false,
+        error: error.message,
+        groups: [],
+        totalVersions: 0
+      };
+    }
+  }
+
   /**
    * Cleanup resources on shutdown
    * Clears all cached data and pending operations
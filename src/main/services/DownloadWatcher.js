@@ -18,14 +18,18 @@ const { recordAnalysisResult } = require('../ipc/analysisUtils');
 const { deriveWatcherConfidencePercent } = require('./confidence/watcherConfidence');
 const { getSemanticFileId, isImagePath } = require('../../shared/fileIdUtils');
 const { findContainingSmartFolder } = require('../../shared/folderUtils');
+const { buildRuleContext, findMatchingRule } = require('../../shared/smartFolderRules');
 const { getCanonicalFileId } = require('../../shared/pathSanitization');
 const { getInstance: getFileOperationTracker } = require('../../shared/fileOperationTracker');
+const { getInstance: getFileAccessPolicy } = require('./FileAccessPolicy');
 const { isUNCPath } = require('../../shared/crossPlatformUtils');
 const { isTemporaryFile, RETRY, DEBOUNCE } = require('../../shared/performanceConstants');
 const { delay } = require('../../shared/promiseUtils');
 const { shouldEmbed } = require('./embedding/embeddingGate');
 const { computeFileChecksum, handleDuplicateMove } = require('../utils/fileDedup');
 const { removeEmbeddingsForPathBestEffort } = require('../ipc/files/embeddingSync');
+const { ensureDirectoryTracked } = require('../utils/asyncFileOps');
+const { detectBundleDirectory, collectBundleFiles } = require('../utils/projectBundles');
 
 const logger = typeof createLogger === 'function' ? createLogger('DownloadWatcher') : baseLogger;
 if (typeof createLogger !== 'function' && logger?.setContext) {
@@ -63,6 +67,7 @@ class DownloadWatcher {
     this.processingFiles = new Set(); // Track files being processed to avoid duplicates
     this.debounceTimers = new Map(); // Debounce timers for each file
     this.debounceDelay = 500; // 500ms debounce for rapid events
+    this.bundleSettleDelay = 5000; // Folders (extracted archives, clones) fill up over time
     this.restartTimer = null; // Track restart timer for cleanup
     this._stopped = false;
   }
@@ -187,6 +192,13 @@ class DownloadWatcher {
         this._debouncedHandleFile(filePath);
       });
 
+      // Project folders dropped into Downloads are organized as one unit
+      this.watcher.on('addDir', (dirPath) => {
+        if (path.resolve(dirPath) !== path.resolve(downloadsPath)) {
+          this._debouncedHandleBundle(dirPath);
+        }
+      });
+
       // Handle deleted files (external deletion via File Explorer)
       this.watcher.on('unlink', (filePath) => {
         this._handleFileDeletion(filePath);
@@ -290,6 +302,11 @@ class DownloadWatcher {
         return;
       }
 
+      if (await getFileAccessPolicy().isExcluded(filePath)) {
+        logger.debug('[DOWNLOAD-WATCHER] Skipping excluded file:', filePath);
+        return;
+      }
+
       try {
         this.processingFiles.add(filePath);
         await this.handleFile(filePath);
@@ -308,6 +325,194 @@ class DownloadWatcher {
     this.debounceTimers.set(filePath, timer);
   }
 
+  /**
+   * Wait for a new folder to stop changing, then organize it if it is a
+   * project bundle (git repo, Node/Python/LaTeX project, photo export, app
+   * bundle). Ordinary folders are left alone.
+   * @param {string} dirPath - Path to the folder
+   * @param {string|null} [previousSignature] - Contents seen at the last check
+   */
+  _debouncedHandleBundle(dirPath, previousSignature = null) {
+    if (this.debounceTimers.has(dirPath)) {
+      clearTimeout(this.debounceTimers.get(dirPath));
+    }
+
+    const timer = setTimeout(async () => {
+      this.debounceTimers.delete(dirPath);
+      if (this._stopped || this.processingFiles.has(dirPath)) return;
+
+      try {
+        const signature = await this._getDirectorySignature(dirPath);
+        if (signature === null) {
+          logger.debug('[DOWNLOAD-WATCHER] Folder disappeared during debounce:', dirPath);
+          return;
+        }
+        if (signature !== previousSignature) {
+          this._debouncedHandleBundle(dirPath, signature);
+          return;
+        }
+
+        if (getFileOperationTracker().wasRecentlyOperated(dirPath)) return;
+        if (await getFileAccessPolicy().isExcluded(dirPath)) {
+          logger.debug('[DOWNLOAD-WATCHER] Skipping excluded folder:', dirPath);
+          return;
+        }
+
+        const bundle = await detectBundleDirectory(dirPath);
+        if (!bundle) {
+          logger.debug('[DOWNLOAD-WATCHER] Folder is not a project bundle, leaving it:', dirPath);
+          return;
+        }
+
+        this.processingFiles.add(dirPath);
+        await this.handleBundle(dirPath, bundle);
+      } catch (e) {
+        logger.error('[DOWNLOAD-WATCHER] Failed processing folder', {
+          dirPath,
+          ...this._formatErrorInfo(e)
+        });
+      } finally {
+        this.processingFiles.delete(dirPath);
+      }
+    }, this.bundleSettleDelay);
+
+    timer.unref();
+    this.debounceTimers.set(dirPath, timer);
+  }
+
+  /**
+   * Cheap fingerprint of a folder's contents (file count and total size).
+   * @param {string} dirPath
+   * @returns {Promise<string|null>} Null when the folder no longer exists
+   */
+  async _getDirectorySignature(dirPath) {
+    try {
+      await fs.stat(dirPath);
+    } catch (statError) {
+      if (isNotFoundError(statError)) return null;
+      throw statError;
+    }
+    const files = await collectBundleFiles(dirPath, { limit: 1000 });
+    let bytes = 0;
+    for (const filePath of files) {
+      bytes += await fs.stat(filePath).then(
+        (stats) => stats.size,
+        () => 0
+      );
+    }
+    return `${files.length}:${bytes}`;
+  }
+
+  /**
+   * Organize a project bundle folder as a single unit. The bundle is analyzed
+   * from a few sampled members and keeps its folder name.
+   * @param {string} dirPath - Bundle folder
+   * @param {Object} bundle - From detectBundleDirectory
+   */
+  async handleBundle(dirPath, bundle) {
+    if (this._stopped || !this.autoOrganizeService || !this.settingsService) return;
+
+    const folders = this.getCustomFolders().filter((f) => f && f.path);
+    const settings = await this.settingsService.load();
+    const result = await this.autoOrganizeService.processNewFile(dirPath, folders, {
+      autoOrganizeEnabled: settings.autoOrganize,
+      confidenceThreshold: settings.confidenceThreshold ?? 0.75,
+      defaultLocation: settings.defaultSmartFolderLocation || 'Documents',
+      bundle
+    });
+
+    const bundleName = path.basename(dirPath);
+    if (!result?.destination) {
+      logger.info('[DOWNLOAD-WATCHER] Bundle not auto-organized (low confidence or disabled)', {
+        dirPath,
+        type: bundle.type
+      });
+      if (this.notificationService && result) {
+        const confidencePercent = deriveWatcherConfidencePercent(result);
+        const thresholdPercent = Math.round((settings.confidenceThreshold || 0.75) * 100);
+        if (confidencePercent < thresholdPercent) {
+          await this.notificationService.notifyLowConfidence(
+            bundleName,
+            confidencePercent,
+            thresholdPercent,
+            result.suggestedFolder || null
+          );
+        }
+      }
+      return;
+    }
+
+    const createdDirectories = await this._ensureDirectoryTracked(path.dirname(result.destination));
+    try {
+      await this._moveBundle(dirPath, result.destination);
+    } catch (moveError) {
+      if (isNotFoundError(moveError)) {
+        logger.debug('[DOWNLOAD-WATCHER] Folder disappeared before move:', dirPath);
+        return;
+      }
+      throw moveError;
+    }
+
+    if (result.undoAction?.data && this.autoOrganizeService?.undoRedo) {
+      try {
+        await this.autoOrganizeService.undoRedo.recordAction(
+          result.undoAction.type,
+          createdDirectories.length > 0
+            ? { ...result.undoAction.data, createdDirectories }
+            : result.undoAction.data
+        );
+      } catch (undoErr) {
+        logger.debug('[DOWNLOAD-WATCHER] Failed to record undo action:', undoErr.message);
+      }
+    }
+
+    const confidencePercent = deriveWatcherConfidencePercent(result);
+    logger.info('[DOWNLOAD-WATCHER] Auto-organized bundle', {
+      type: bundle.type,
+      source: dirPath,
+      destination: result.destination,
+      confidence: confidencePercent
+    });
+    if (this.notificationService) {
+      await this.notificationService.notifyFileOrganized(
+        path.basename(result.destination),
+        path.basename(path.dirname(result.destination)),
+        confidencePercent
+      );
+    }
+  }
+
+  /**
+   * Move a bundle folder, copying across devices when needed. Never merges
+   * into an existing folder.
+   * @param {string} source - Bundle folder
+   * @param {string} destination - New folder path (must not exist)
+   * @throws {FileSystemError} On move failure
+   */
+  async _moveBundle(source, destination) {
+    try {
+      try {
+        await fs.rename(source, destination);
+      } catch (renameError) {
+        if (!isCrossDeviceError(renameError)) throw renameError;
+        await crossDeviceMove(source, destination, { verify: true });
+      }
+    } catch (error) {
+      if (isNotFoundError(error)) throw error;
+      const fsError = error.isFileSystemError
+        ? error
+        : FileSystemError.forOperation('move', error, source);
+      logger.error('[DOWNLOAD-WATCHER] Failed to move bundle:', {
+        source,
+        destination,
+        error: fsError.getUserFriendlyMessage()
+      });
+      throw fsError;
+    }
+    getFileOperationTracker().recordOperation(destination, 'move', 'downloadWatcher');
+    getFileOperationTracker().recordOperation(source, 'move', 'downloadWatcher');
+  }
+
   /**
    * Handle watcher errors with automatic restart capability
    * @param {Error} error - The error that occurred
@@ -432,19 +637,38 @@ class DownloadWatcher {
       await fs.mkdir(dirPath, { recursive: true });
       return true;
     } catch (mkdirError) {
-      const fsError = FileSystemError.forOperation('mkdir', mkdirError, dirPath);
-      logger.error(`[DOWNLOAD-WATCHER] Failed to create ${context} directory:`, {
-        path: dirPath,
-        error: fsError.getUserFriendlyMessage(),
-        code: fsError.code
-      });
-      if (throwOnError) {
-        throw fsError;
-      }
-      return false;
+      return this._handleMkdirError(mkdirError, dirPath, context, throwOnError);
     }
   }
 
+  /**
+   * Ensure a destination directory exists and report which directories were
+   * created (e.g. for a smart folder subpath template) so undo can remove them.
+   * @param {string} dirPath - Path to the directory
+   * @returns {Promise<string[]>} Newly created directories, outermost first
+   * @throws {FileSystemError} If mkdir fails
+   */
+  async _ensureDirectoryTracked(dirPath) {
+    try {
+      return await ensureDirectoryTracked(dirPath);
+    } catch (mkdirError) {
+      return this._handleMkdirError(mkdirError, dirPath, 'destination', true);
+    }
+  }
+
+  _handleMkdirError(mkdirError, dirPath, context, throwOnError) {
+    const fsError = FileSystemError.forOperation('mkdir', mkdirError, dirPath);
+    logger.error(`[DOWNLOAD-WATCHER] Failed to create ${context} directory:`, {
+      path: dirPath,
+      error: fsError.getUserFriendlyMessage(),
+      code: fsError.code
+    });
+    if (throwOnError) {
+      throw fsError;
+    }
+    return false;
+  }
+
   /**
    * Get the current status of the watcher
    * @returns {Object} Status information
@@ -530,7 +754,8 @@ class DownloadWatcher {
         name: f.name,
         description: f.description || '',
         id: f.id,
-        path: f.path
+        path: f.path,
+        rules: f.rules
       }));
 
       try {
@@ -581,7 +806,8 @@ class DownloadWatcher {
             convention: settings.namingConvention,
             separator: settings.separator ?? '-',
             dateFormat: settings.dateFormat || 'YYYY-MM-DD',
-            caseConvention: settings.caseConvention || 'kebab-case'
+            caseConvention: settings.caseConvention || 'kebab-case',
+            template: settings.namingTemplate
           };
 
           // Get file timestamps for naming
@@ -719,19 +945,23 @@ class DownloadWatcher {
           convention: settings.namingConvention || 'subject-date',
           separator: settings.separator ?? '-',
           dateFormat: settings.dateFormat || 'YYYY-MM-DD',
-          caseConvention: settings.caseConvention || 'kebab-case'
+          caseConvention: settings.caseConvention || 'kebab-case',
+          template: settings.namingTemplate
         }
       });
       logger.debug('[DOWNLOAD-WATCHER] Naming settings used for auto-organize', {
         namingConvention: settings.namingConvention,
         separator: settings.separator,
         dateFormat: settings.dateFormat,
-        caseConvention: settings.caseConvention
+        caseConvention: settings.caseConvention,
+        namingTemplate: settings.namingTemplate
       });
 
       if (result && result.destination) {
-        // Create destination directory with error handling
-        await this._ensureDirectory(path.dirname(result.destination), 'destination', true);
+        // Create destination directory (including any templated subpath) with error handling
+        const createdDirectories = await this._ensureDirectoryTracked(
+          path.dirname(result.destination)
+        );
 
         // Move file with atomic error handling (TOCTOU fix: handle ENOENT from move directly)
         try {
@@ -750,7 +980,10 @@ class DownloadWatcher {
             const undoType = result.undoAction?.type;
             const undoData = result.undoAction?.data;
             if (typeof undoType === 'string' && undoData && typeof undoData === 'object') {
-              await this.autoOrganizeService.undoRedo.recordAction(undoType, undoData);
+              await this.autoOrganizeService.undoRedo.recordAction(
+                undoType,
+                createdDirectories.length > 0 ? { ...undoData, createdDirectories } : undoData
+              );
             } else {
               logger.warn('[DOWNLOAD-WATCHER] Invalid undo action payload from auto-organize', {
                 filePath,
@@ -810,13 +1043,18 @@ class DownloadWatcher {
               purpose: analysis.purpose || null,
               reasoning: analysis.reasoning || null,
               documentDate: analysis.date || null,
+              keyDates: analysis.keyDates || null,
+              financial: analysis.financial || null,
+              language: analysis.language || null,
               keyEntities: analysis.keyEntities || [],
               extractionMethod: analysis.extractionMethod || null,
               extractedText: analysis.extractedText || null,
               // Image-specific fields
               content_type: analysis.content_type || null,
               has_text: typeof analysis.has_text === 'boolean' ? analysis.has_text : null,
-              colors: Array.isArray(analysis.colors) ? analysis.colors : null
+              colors: Array.isArray(analysis.colors) ? analysis.colors : null,
+              perceptualHash: analysis.perceptualHash || null,
+              photo: analysis.photo || null
             };
 
             await recordAnalysisResult({
@@ -1076,7 +1314,7 @@ class DownloadWatcher {
     } catch {
       // Non-fatal
     }
-    const gate = await shouldEmbed({ stage: 'final', policyOverride });
+    const gate = await shouldEmbed({ stage: 'final', policyOverride, filePath });
     if (!gate.shouldEmbed) {
       logger.debug('[DOWNLOAD-WATCHER] Skipping embedding by policy/timing gate', {
         timing: gate.timing,
@@ -1278,8 +1516,34 @@ class DownloadWatcher {
     }
   }
 
-  resolveDestinationFolder(result, folders) {
+  /**
+   * Resolve the smart folder an analysis result should be filed into.
+   * User-defined folder rules win over the AI-derived hints that follow.
+   *
+   * @param {Object} result - Analysis result
+   * @param {Array} folders - Smart folders
+   * @param {Object} [file] - File facts for rule evaluation ({ path, size, created, modified })
+   * @returns {Object|null|undefined} Matching smart folder
+   */
+  resolveDestinationFolder(result, folders, file = {}) {
     if (!result) return null;
+    const ruleMatch = findMatchingRule(
+      folders,
+      buildRuleContext({
+        filePath: file.path || result.filePath || result.path,
+        fileName: file.name || result.originalFileName || result.fileName,
+        size: file.size ?? result.fileSize,
+        created: file.created,
+        modified: file.modified,
+        analysis: result
+      })
+    );
+    if (ruleMatch) return ruleMatch.folder;
+    // A rule that fired during analysis still applies if the folder exists
+    if (result.matchedRule?.folderId) {
+      const ruleFolder = folders.find((f) => f.id === result.matchedRule.folderId);
+      if (ruleFolder) return ruleFolder;
+    }
     // Prefer explicit smartFolder id
     if (result.smartFolder && result.smartFolder.id) {
       return folders.find((f) => f.id === result.smartFolder.id);
@@ -0,0 +1,330 @@
+/**
+ * EntityIndexService - People, organizations, places and products
+ *
+ * Builds an index of the named entities extracted during analysis (`entity`
+ * and `keyEntities`) from the analysis history. Spelling variants are merged
+ * into one entity by alias key (see utils/entityNames), each entity gets a
+ * type, and the index records which documents mention it, when, alongside
+ * which other entities and in which projects. The search modal uses it for
+ * entity pages and entity nodes in the knowledge graph.
+ *
+ * The index is held in memory and rebuilt whenever the analysis history
+ * changes.
+ *
+ * @module services/EntityIndexService
+ */
+
+const { createLogger } = require('../../shared/logger');
+const { normalizePathForIndex } = require('../../shared/pathSanitization');
+const { getSemanticFileId } = require('../../shared/fileIdUtils');
+const {
+  ENTITY_TYPES,
+  normalizeEntityKey,
+  classifyEntityName,
+  pickEntityType
+} = require('../utils/entityNames');
+
+const logger = createLogger('EntityIndexService');
+
+const DEFAULTS = {
+  maxEntitiesPerDoc: 20,
+  maxNameLength: 80,
+  listLimit: 20,
+  maxDocuments: 200,
+  maxRelated: 12,
+  maxProjects: 12
+};
+
+const ENTITY_ID_PREFIX = 'entity:';
+
+const toDay = (value) => {
+  if (!value) return null;
+  const match = /^\d{4}-\d{2}-\d{2}/.exec(String(value));
+  if (match) return match[0];
+  const date = new Date(value);
+  return Number.isFinite(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+};
+
+const incrementCount = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+
+// Most frequent value; the longer spelling wins ties ("Acme Corporation" over "Acme")
+const mostFrequent = (counts) => {
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount || (count === bestCount && value.length > best.length)) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+const topCounts = (counts, limit) =>
+  Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, limit);
+
+class EntityIndexService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.analysisHistoryService - Source of analyzed documents
+   */
+  constructor({ analysisHistoryService }) {
+    this.analysisHistoryService = analysisHistoryService;
+    this.index = null;
+
+    // Lock to prevent concurrent builds
+    this._buildPromise = null;
+  }
+
+  _collectMentions(analysis) {
+    const mentions = [];
+    const seen = new Set();
+    const add = (value, isIssuer) => {
+      if (typeof value !== 'string') return;
+      const name = value.trim().replace(/\s+/g, ' ');
+      if (!name || name.length > DEFAULTS.maxNameLength) return;
+      const key = normalizeEntityKey(name);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      mentions.push({ key, name, type: classifyEntityName(name, { isIssuer }) });
+    };
+
+    add(analysis?.entity, true);
+    const keyEntities = Array.isArray(analysis?.keyEntities) ? analysis.keyEntities : [];
+    keyEntities.forEach((value) => add(value, false));
+    return mentions.slice(0, DEFAULTS.maxEntitiesPerDoc);
+  }
+
+  async buildIndex() {
+    if (this._buildPromise) {
+      return this._buildPromise;
+    }
+    this._buildPromise = this._doBuildIndex();
+    try {
+      return await this._buildPromise;
+    } finally {
+      this._buildPromise = null;
+    }
+  }
+
+  async _doBuildIndex() {
+    if (!this.analysisHistoryService) {
+      logger.warn('[EntityIndexService] AnalysisHistoryService unavailable');
+      return { success: false, error: 'AnalysisHistoryService unavailable' };
+    }
+
+    await this.analysisHistoryService.initialize();
+    const history = this.analysisHistoryService.analysisHistory;
+    const entries = history?.entries || {};
+    const entities = new Map();
+    let docCount = 0;
+
+    // Newest entry per file, so a re-analysis replaces what the old one mentioned
+    const byPath = new Map();
+    Object.values(entries).forEach((doc) => {
+      const filePath = doc?.organization?.actual || doc?.originalPath;
+      const normalizedPath = normalizePathForIndex(filePath);
+      if (!normalizedPath) return;
+      const previous = byPath.get(normalizedPath);
+      if (previous && String(previous.doc.timestamp) >= String(doc.timestamp)) return;
+      byPath.set(normalizedPath, { doc, filePath });
+    });
+
+    byPath.forEach(({ doc, filePath }, normalizedPath) => {
+      const analysis = doc.analysis || {};
+      const mentions = this._collectMentions(analysis);
+      if (mentions.length === 0) return;
+      docCount += 1;
+
+      const project = typeof analysis.project === 'string' ? analysis.project.trim() : '';
+      const document = {
+        fileId: getSemanticFileId(normalizedPath),
+        path: filePath,
+        name: doc.organization?.newName || doc.fileName || filePath.split(/[\\/]/).pop(),
+        date: toDay(analysis.documentDate || analysis.date) || toDay(doc.timestamp),
+        category: analysis.category || null,
+        subject: analysis.subject || null,
+        project: project || null
+      };
+
+      mentions.forEach((mention) => {
+        let entity = entities.get(mention.key);
+        if (!entity) {
+          entity = {
+            key: mention.key,
+            names: new Map(),
+            types: [],
+            documents: new Map(),
+            related: new Map(),
+            projects: new Map()
+          };
+          entities.set(mention.key, entity);
+        }
+        entity.documents.set(document.fileId, document);
+        incrementCount(entity.names, mention.name);
+        entity.types.push(mention.type);
+        if (project) incrementCount(entity.projects, project);
+        mentions.forEach((other) => {
+          if (other.key !== mention.key) incrementCount(entity.related, other.key);
+        });
+      });
+    });
+
+    this.index = {
+      sourceUpdatedAt: history?.updatedAt || null,
+      builtAt: new Date().toISOString(),
+      docCount,
+      entities
+    };
+
+    logger.info('[EntityIndexService] Index built', {
+      entityCount: entities.size,
+      docCount
+    });
+    return { success: true, entityCount: entities.size };
+  }
+
+  async _ensureIndex() {
+    const historyUpdatedAt = this.analysisHistoryService?.analysisHistory?.updatedAt || null;
+    if (!this.index || (historyUpdatedAt && this.index.sourceUpdatedAt !== historyUpdatedAt)) {
+      logger.debug('[EntityIndexService] Index stale or missing, rebuilding', {
+        hasIndex: Boolean(this.index),
+        sourceUpdatedAt: historyUpdatedAt
+      });
+      await this.buildIndex();
+    }
+    return this.index?.entities || new Map();
+  }
+
+  _summarize(entity) {
+    const name = mostFrequent(entity.names);
+    const type = pickEntityType(entity.types);
+    const dates = Array.from(entity.documents.values())
+      .map((doc) => doc.date)
+      .filter(Boolean)
+      .sort();
+    return {
+      id: `${ENTITY_ID_PREFIX}${entity.key}`,
+      key: entity.key,
+      name,
+      type,
+      typeLabel: ENTITY_TYPES[type],
+      aliases: topCounts(entity.names, Infinity)
+        .map(([alias]) => alias)
+        .filter((alias) => alias !== name),
+      docCount: entity.documents.size,
+      firstDate: dates[0] || null,
+      lastDate: dates[dates.length - 1] || null
+    };
+  }
+
+  /**
+   * List entities, most-mentioned first.
+   * @param {Object} [options]
+   * @param {string} [options.query] - Matches names and aliases
+   * @param {string} [options.type] - person, org, place, product or other
+   * @param {number} [options.limit=20]
+   * @returns {Promise<{success: boolean, entities: Object[], total: number}>}
+   */
+  async listEntities({ query = '', type, limit = DEFAULTS.listLimit } = {}) {
+    const entities = await this._ensureIndex();
+    const queryKey = query ? normalizeEntityKey(query) || query.trim().toLowerCase() : '';
+
+    const matches = [];
+    for (const entity of entities.values()) {
+      if (queryKey) {
+        const hit =
+          entity.key.includes(queryKey) ||
+          Array.from(entity.names.keys()).some((alias) => alias.toLowerCase().includes(queryKey));
+        if (!hit) continue;
+      }
+      const summary = this._summarize(entity);
+      if (type && summary.type !== type) continue;
+      matches.push(summary);
+    }
+
+    // Exact key matches first, then by how often the entity appears
+    matches.sort(
+      (a, b) =>
+        Number(b.key === queryKey) - Number(a.key === queryKey) ||
+        b.docCount - a.docCount ||
+        a.name.localeCompare(b.name)
+    );
+    return { success: true, entities: matches.slice(0, limit), total: matches.length };
+  }
+
+  /**
+   * Entity page: the entity with its documents (newest first), the entities
+   * it appears with most and the projects it shows up in.
+   * @param {string} id - Entity id (`entity:<key>`) or a name
+   * @param {Object} [options]
+   * @param {number} [options.maxDocuments=200]
+   * @returns {Promise<{success: boolean, entity?: Object, error?: string}>}
+   */
+  async getEntity(id, { maxDocuments = DEFAULTS.maxDocuments } = {}) {
+    const entities = await this._ensureIndex();
+    const key = String(id || '').startsWith(ENTITY_ID_PREFIX)
+      ? id.slice(ENTITY_ID_PREFIX.length)
+      : normalizeEntityKey(id);
+    const entity = key ? entities.get(key) : null;
+    if (!entity) {
+      return { success: false, error: 'Entity not found' };
+    }
+
+    const documents = Array.from(entity.documents.values())
+      .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+      .slice(0, maxDocuments);
+    const relatedEntities = topCounts(entity.related, DEFAULTS.maxRelated)
+      .filter(([relatedKey]) => entities.has(relatedKey))
+      .map(([relatedKey, count]) => {
+        const related = this._summarize(entities.get(relatedKey));
+        return {
+          id: related.id,
+          name: related.name,
+          type: related.type,
+          typeLabel: related.typeLabel,
+          count
+        };
+      });
+    const projects = topCounts(entity.projects, DEFAULTS.maxProjects).map(([name, count]) => ({
+      name,
+      count
+    }));
+
+    return {
+      success: true,
+      entity: { ...this._summarize(entity), documents, relatedEntities, projects }
+    };
+  }
+
+  /**
+   * Entities mentioned by a set of files, for entity nodes in the graph.
+   * @param {string[]} fileIds - Semantic file ids (as used by graph file nodes)
+   * @param {Object} [options]
+   * @param {number} [options.minFiles=1] - Only entities linking at least this many files
+   * @param {number} [options.limit=20]
+   * @returns {Promise<{success: boolean, entities: Array<Object & {fileIds: string[]}>}>}
+   */
+  async getEntitiesForFiles(fileIds, { minFiles = 1, limit = DEFAULTS.listLimit } = {}) {
+    const idSet = new Set(
+      (Array.isArray(fileIds) ? fileIds : []).filter((id) => typeof id === 'string' && id)
+    );
+    if (idSet.size === 0) {
+      return { success: true, entities: [] };
+    }
+    const entities = await this._ensureIndex();
+
+    const matches = [];
+    for (const entity of entities.values()) {
+      const linked = Array.from(entity.documents.keys()).filter((fileId) => idSet.has(fileId));
+      if (linked.length < minFiles) continue;
+      matches.push({ ...this._summarize(entity), fileIds: linked });
+    }
+    matches.sort((a, b) => b.fileIds.length - a.fileIds.length || b.docCount - a.docCount);
+    return { success: true, entities: matches.slice(0, limit) };
+  }
+}
+
+module.exports = EntityIndexService;
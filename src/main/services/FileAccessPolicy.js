@@ -1,14 +1,40 @@
 const path = require('path');
 const fs = require('fs');
 const { createLogger } = require('../../shared/logger');
+const { compileIgnorePatterns, matchIgnoreRules } = require('../../shared/ignorePatterns');
+const { isPathWithinAllowed } = require('../../shared/pathSanitization');
 const logger = createLogger('FileAccessPolicy');
 
+const IGNORE_FILE_NAME = '.stratoignore';
+const IGNORE_FILE_CACHE_TTL_MS = 5000;
+const IGNORE_FILE_CACHE_MAX_ENTRIES = 5000;
+const IS_CASE_INSENSITIVE = process.platform === 'win32' || process.platform === 'darwin';
+
+/**
+ * Restrictions a path can carry:
+ * - excluded: never analyzed, watched, embedded or returned by search/chat
+ *   (`.stratoignore` files and the `exclusionPatterns` setting)
+ * - private:  inside a privacy zone (`privacyZones` setting); may be organized
+ *   by name and extension, but content is never extracted, embedded or sent
+ *   to chat
+ */
+const ACCESS_RESTRICTIONS = Object.freeze({
+  EXCLUDED: 'excluded',
+  PRIVATE: 'private'
+});
+
 /**
  * FileAccessPolicy
  * Centralizes policy logic for file access, sanitization, and safety checks.
  */
 class FileAccessPolicy {
-  constructor() {
+  constructor({ settingsService = null } = {}) {
+    this.settingsService = settingsService;
+    // Parsed .stratoignore rules per directory: dir -> { rules|null, checkedAt }
+    this._ignoreFileCache = new Map();
+    this._globalRulesSource = null;
+    this._globalRules = [];
+
     // Patterns tested against individual path segments (directory names and filename)
     // to avoid false positives from matching substrings in full paths
     this.unsafeSegmentNames = new Set(['node_modules', '.git', '.env']);
@@ -110,6 +136,218 @@ class FileAccessPolicy {
       return false;
     }
   }
+
+  /**
+   * Load the exclusion and privacy settings
+   * @returns {Promise<{exclusionPatterns: string[], privacyZones: string[]}>}
+   * @private
+   */
+  async _loadAccessSettings() {
+    let settings = null;
+    try {
+      let settingsService = this.settingsService;
+      if (!settingsService) {
+        const { container, ServiceIds } = require('./ServiceContainer');
+        settingsService = container.tryResolve(ServiceIds.SETTINGS);
+      }
+      settings = settingsService?.load ? await settingsService.load() : null;
+    } catch (error) {
+      logger.debug('Failed to load access settings (non-fatal)', { error: error?.message });
+    }
+    const toStrings = (value) =>
+      Array.isArray(value) ? value.filter((item) => typeof item === 'string' && item.trim()) : [];
+    return {
+      exclusionPatterns: toStrings(settings?.exclusionPatterns),
+      privacyZones: toStrings(settings?.privacyZones).map((zone) => zone.trim())
+    };
+  }
+
+  /**
+   * Compiled global exclusion rules, recompiled only when the setting changes
+   * @private
+   */
+  _getGlobalRules(patterns) {
+    const source = JSON.stringify(patterns);
+    if (source !== this._globalRulesSource) {
+      this._globalRulesSource = source;
+      this._globalRules = compileIgnorePatterns(patterns, { ignoreCase: IS_CASE_INSENSITIVE });
+    }
+    return this._globalRules;
+  }
+
+  /**
+   * Rules from the .stratoignore file in a directory (null when there is none)
+   * @param {string} dirPath
+   * @returns {Promise<Object[]|null>}
+   * @private
+   */
+  async _getIgnoreFileRules(dirPath) {
+    const now = Date.now();
+    const cached = this._ignoreFileCache.get(dirPath);
+    if (cached && now - cached.checkedAt < IGNORE_FILE_CACHE_TTL_MS) {
+      return cached.rules;
+    }
+
+    let rules = null;
+    try {
+      const text = await fs.promises.readFile(path.join(dirPath, IGNORE_FILE_NAME), 'utf8');
+      rules = compileIgnorePatterns(text, { ignoreCase: IS_CASE_INSENSITIVE });
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        logger.debug('Could not read ignore file', { dirPath, error: error.message });
+      }
+    }
+
+    if (this._ignoreFileCache.size >= IGNORE_FILE_CACHE_MAX_ENTRIES) {
+      this._ignoreFileCache.clear();
+    }
+    this._ignoreFileCache.set(dirPath, { rules, checkedAt: now });
+    return rules;
+  }
+
+  /**
+   * Forget cached .stratoignore contents (all, or one directory)
+   * @param {string} [dirPath]
+   */
+  clearIgnoreCache(dirPath) {
+    if (dirPath) this._ignoreFileCache.delete(path.resolve(dirPath));
+    else this._ignoreFileCache.clear();
+  }
+
+  /**
+   * Whether a path is excluded by the global exclusion patterns or by any
+   * .stratoignore file in one of its parent folders.
+   *
+   * Global patterns are matched against the whole path; a .stratoignore file
+   * applies to everything beneath its folder, and deeper files override
+   * shallower ones. Once a folder is excluded nothing inside it can be
+   * re-included.
+   *
+   * @param {string} filePath
+   * @param {Object} [options]
+   * @param {string[]} [options.exclusionPatterns] - Use instead of the setting
+   * @param {boolean} [options.isDirectory=false]
+   * @returns {Promise<boolean>}
+   */
+  async isExcluded(filePath, options = {}) {
+    if (!filePath || typeof filePath !== 'string') return false;
+    const resolved = path.resolve(filePath);
+    const patterns = Array.isArray(options.exclusionPatterns)
+      ? options.exclusionPatterns
+      : (await this._loadAccessSettings()).exclusionPatterns;
+
+    const root = path.parse(resolved).root;
+    const segments = resolved.slice(root.length).split(path.sep).filter(Boolean);
+    if (segments.length === 0) return false;
+
+    // Layers in precedence order: global patterns, then each ignore file from
+    // the root down. Each layer matches paths relative to its own folder.
+    const layers = [{ depth: 0, rules: this._getGlobalRules(patterns) }];
+    let dirPath = root;
+    for (let depth = 0; depth < segments.length; depth++) {
+      const rules = await this._getIgnoreFileRules(dirPath);
+      if (rules && rules.length > 0) layers.push({ depth, rules });
+      dirPath = path.join(dirPath, segments[depth]);
+    }
+
+    for (let i = 1; i <= segments.length; i++) {
+      const isDirectory = i < segments.length || options.isDirectory === true;
+      let excluded = false;
+      for (const layer of layers) {
+        if (layer.depth >= i) break;
+        const relative = segments.slice(layer.depth, i).join('/');
+        const result = matchIgnoreRules(layer.rules, relative, isDirectory);
+        if (result !== undefined) excluded = result;
+      }
+      if (excluded) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether a path is inside one of the privacy zones
+   * @param {string} filePath
+   * @param {Object} [options]
+   * @param {string[]} [options.privacyZones] - Use instead of the setting
+   * @returns {Promise<boolean>}
+   */
+  async isPrivate(filePath, options = {}) {
+    if (!filePath || typeof filePath !== 'string') return false;
+    const zones = Array.isArray(options.privacyZones)
+      ? options.privacyZones
+      : (await this._loadAccessSettings()).privacyZones;
+    if (zones.length === 0) return false;
+    return isPathWithinAllowed(
+      path.resolve(filePath),
+      zones.map((zone) => path.resolve(zone))
+    );
+  }
+
+  /**
+   * The strongest restriction that applies to a path
+   * @param {string} filePath
+   * @returns {Promise<'excluded'|'private'|null>}
+   */
+  async getRestriction(filePath) {
+    const settings = await this._loadAccessSettings();
+    if (await this.isExcluded(filePath, settings)) return ACCESS_RESTRICTIONS.EXCLUDED;
+    if (await this.isPrivate(filePath, settings)) return ACCESS_RESTRICTIONS.PRIVATE;
+    return null;
+  }
+
+  /**
+   * Split paths into those that may be processed and those that are excluded
+   * @param {string[]} filePaths
+   * @returns {Promise<{allowed: string[], excluded: string[]}>}
+   */
+  async partitionExcluded(filePaths) {
+    const allowed = [];
+    const excluded = [];
+    if (!Array.isArray(filePaths) || filePaths.length === 0) return { allowed, excluded };
+    const settings = await this._loadAccessSettings();
+    for (const filePath of filePaths) {
+      if (await this.isExcluded(filePath, settings)) excluded.push(filePath);
+      else allowed.push(filePath);
+    }
+    return { allowed, excluded };
+  }
+
+  /**
+   * Remove excluded entries from a result list and, optionally, entries in
+   * privacy zones. Entries without a path are kept.
+   * @param {Object[]} items
+   * @param {Object} [options]
+   * @param {Function} [options.getPath] - Extracts the file path from an item
+   * @param {boolean} [options.dropPrivate=false]
+   * @returns {Promise<{items: Object[], excluded: number, private: Object[]}>}
+   *   `private` lists the kept items that are inside a privacy zone
+   */
+  async filterItems(items, { getPath = (item) => item?.path, dropPrivate = false } = {}) {
+    const kept = [];
+    const privateItems = [];
+    let excluded = 0;
+    if (!Array.isArray(items) || items.length === 0) {
+      return { items: kept, excluded, private: privateItems };
+    }
+    const settings = await this._loadAccessSettings();
+    for (const item of items) {
+      const filePath = getPath(item);
+      if (!filePath) {
+        kept.push(item);
+        continue;
+      }
+      if (await this.isExcluded(filePath, settings)) {
+        excluded++;
+        continue;
+      }
+      if (await this.isPrivate(filePath, settings)) {
+        if (dropPrivate) continue;
+        privateItems.push(item);
+      }
+      kept.push(item);
+    }
+    return { items: kept, excluded, private: privateItems };
+  }
 }
 
 // Export singleton
@@ -126,3 +364,5 @@ module.exports = FileAccessPolicy;
 module.exports.getInstance = getInstance;
 module.exports.createInstance = createInstance;
 module.exports.registerWithContainer = registerWithContainer;
+module.exports.ACCESS_RESTRICTIONS = ACCESS_RESTRICTIONS;
+module.exports.IGNORE_FILE_NAME = IGNORE_FILE_NAME;
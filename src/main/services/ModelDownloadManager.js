@@ -14,6 +14,8 @@ const logger = createLogger('ModelDownloadManager');
 const DEFAULT_DOWNLOAD_MAX_RETRIES = 2;
 const RETRY_BASE_DELAY_MS = 500;
 const REQUIRED_SHA256_REGEX = /^[a-f0-9]{64}$/i;
+// whisper.cpp only publishes SHA-1 digests for its ggml weights
+const SHA1_REGEX = /^[a-f0-9]{40}$/i;
 const ALLOWED_MODEL_DOWNLOAD_HOSTS = Object.freeze(['huggingface.co', 'hf.co']);
 
 class ModelDownloadManager {
@@ -57,7 +59,10 @@ class ModelDownloadManager {
     try {
       const modelPath = await this._ensureModelPath();
       const files = await fs.readdir(modelPath);
-      const ggufFiles = files.filter((f) => /\.gguf$/i.test(f));
+      // Audio (whisper.cpp) weights use .bin; only count those the catalog knows about
+      const ggufFiles = files.filter(
+        (f) => /\.gguf$/i.test(f) || (/\.bin$/i.test(f) && getModel(f)?.type === 'audio')
+      );
 
       return Promise.all(
         ggufFiles.map(async (filename) => {
@@ -145,7 +150,8 @@ class ModelDownloadManager {
       throw new Error(`Unknown model: ${filename}`);
     }
     const expectedChecksum = modelInfo.checksum || modelInfo.sha256;
-    if (!this._isValidSha256(expectedChecksum)) {
+    const checksumAlgorithm = modelInfo.checksumAlgorithm === 'sha1' ? 'sha1' : 'sha256';
+    if (!this._isValidChecksum(expectedChecksum, checksumAlgorithm)) {
       throw new Error(`Model checksum missing or invalid for ${filename}`);
     }
     this._validateDownloadUrl(modelInfo.url, filename);
@@ -400,7 +406,11 @@ class ModelDownloadManager {
             }
 
             // Verify checksum (required for all remote model artifacts).
-            const isValid = await this._verifyChecksum(partialPath, expectedChecksum);
+            const isValid = await this._verifyChecksum(
+              partialPath,
+              expectedChecksum,
+              checksumAlgorithm
+            );
             if (!isValid) {
               finalizeFailure(
                 new Error('Download corrupted - checksum mismatch'),
@@ -607,6 +617,13 @@ class ModelDownloadManager {
     return typeof value === 'string' && REQUIRED_SHA256_REGEX.test(value.trim());
   }
 
+  _isValidChecksum(value, algorithm = 'sha256') {
+    if (algorithm === 'sha1') {
+      return typeof value === 'string' && SHA1_REGEX.test(value.trim());
+    }
+    return this._isValidSha256(value);
+  }
+
   _isAllowedDownloadHost(hostname) {
     if (!hostname || typeof hostname !== 'string') return false;
     const host = hostname.toLowerCase();
@@ -634,9 +651,9 @@ class ModelDownloadManager {
     return parsedUrl;
   }
 
-  async _verifyChecksum(filePath, expectedHash) {
+  async _verifyChecksum(filePath, expectedHash, algorithm = 'sha256') {
     return new Promise((resolve, reject) => {
-      const hash = crypto.createHash('sha256');
+      const hash = crypto.createHash(algorithm);
       const stream = require('fs').createReadStream(filePath);
 
       stream.on('data', (chunk) => hash.update(chunk));
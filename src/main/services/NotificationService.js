@@ -336,6 +336,79 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify that a saved search picked up newly analyzed files
+   * @param {string} searchName - Saved search name
+   * @param {number} count - Number of new matches
+   * @param {Object} [data] - Extra payload (savedSearchId, fileIds)
+   */
+  async notifySavedSearchMatches(searchName, count, data = {}) {
+    const settings = await this._getSettings();
+    if (!settings.notifications) return;
+
+    const mode = settings.notificationMode || 'both';
+    const title = 'Saved Search Updated';
+    const body = `${count} new ${count === 1 ? 'file matches' : 'files match'} "${searchName}"`;
+
+    if (this._shouldShowTray(mode)) {
+      this._showTrayNotification(title, body);
+    }
+
+    if (this._shouldShowUi(mode)) {
+      this._sendToUi({
+        type: NotificationType.SAVED_SEARCH_MATCH,
+        title,
+        message: body,
+        severity: NotificationSeverity.INFO,
+        duration: 5000,
+        data: { searchName, count, ...data }
+      });
+    }
+
+    logger.debug('[NotificationService] Saved search notification sent', { searchName, count });
+  }
+
+  /**
+   * Notify about an upcoming (or missed) document deadline
+   * @param {Object} reminder - Reminder ({ id, kind, date, fileName, filePath, documentType })
+   * @param {string} description - When it falls, e.g. "due in 3 days"
+   * @param {number} daysLeft - Days until the date (negative when overdue)
+   */
+  async notifyDeadline(reminder, description, daysLeft) {
+    const settings = await this._getSettings();
+    if (!settings.notifications) return;
+
+    const mode = settings.notificationMode || 'both';
+    const title = reminder.documentType ? `${reminder.documentType} Reminder` : 'Document Reminder';
+    const body = `${reminder.fileName} ${description} (${reminder.date})`;
+
+    if (this._shouldShowTray(mode)) {
+      this._showTrayNotification(title, body, { silent: false });
+    }
+
+    if (this._shouldShowUi(mode)) {
+      this._sendToUi({
+        type: NotificationType.DEADLINE_REMINDER,
+        title,
+        message: body,
+        severity: daysLeft <= 1 ? NotificationSeverity.WARNING : NotificationSeverity.INFO,
+        duration: 8000,
+        data: {
+          reminderId: reminder.id,
+          kind: reminder.kind,
+          date: reminder.date,
+          filePath: reminder.filePath,
+          daysLeft
+        }
+      });
+    }
+
+    logger.debug('[NotificationService] Deadline notification sent', {
+      kind: reminder.kind,
+      daysLeft
+    });
+  }
+
   /**
    * Invalidate cached settings (call when settings change)
    */
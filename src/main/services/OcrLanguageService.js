@@ -0,0 +1,371 @@
+/**
+ * OcrLanguageService - Downloadable OCR language packs
+ *
+ * Language packs are Tesseract `.traineddata` files kept in a `tessdata`
+ * folder inside the models directory, next to the GGUF and Whisper models.
+ * tesseract.js is pointed at that folder as its cache, so installed packs are
+ * used offline and English (which tesseract.js fetches on first use) lands
+ * there too.
+ *
+ * Packs come from the version-pinned `@tesseract.js-data` packages on
+ * jsDelivr, the same files tesseract.js downloads by default. A download is
+ * installed only when its SHA-256 matches OCR_LANGUAGE_SHA256.
+ *
+ * @module services/OcrLanguageService
+ */
+
+const path = require('path');
+const fs = require('fs');
+const https = require('https');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { createLogger } = require('../../shared/logger');
+const { createSingletonHelpers } = require('../../shared/singletonFactory');
+const {
+  OCR_LANGUAGES,
+  OCR_LANGUAGE_SHA256,
+  isOcrLanguage,
+  normalizeOcrLanguages
+} = require('../../shared/ocrLanguages');
+const { ensureResolvedModelsPath } = require('./modelPathResolver');
+
+const logger = createLogger('OcrLanguageService');
+
+const TESSDATA_DIR_NAME = 'tessdata';
+const LANGUAGE_DATA_BASE_URL = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data';
+// Package version the OCR_LANGUAGE_SHA256 digests were taken from
+const LANGUAGE_PACKAGE_VERSION = '1.0.0';
+// LSTM-only integer models; matches tesseract.js's default for OEM 1
+const LANGUAGE_DATA_VERSION = '4.0.0_best_int';
+const ALLOWED_DOWNLOAD_HOSTS = Object.freeze(['cdn.jsdelivr.net']);
+const MAX_DOWNLOAD_BYTES = 64 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const REQUEST_TIMEOUT_MS = 30000;
+// Always usable: tesseract.js fetches it into the cache on first use
+const BUILTIN_LANGUAGE = 'eng';
+
+/**
+ * @param {string} code - Tesseract language code
+ * @returns {string} Download URL for the gzipped traineddata file
+ */
+function getLanguageDownloadUrl(code) {
+  return `${LANGUAGE_DATA_BASE_URL}/${code}@${LANGUAGE_PACKAGE_VERSION}/${LANGUAGE_DATA_VERSION}/${code}.traineddata.gz`;
+}
+
+class OcrLanguageService {
+  constructor({ settingsService = null } = {}) {
+    this._settingsService = settingsService;
+    this._languageDir = null;
+    this._downloads = new Map(); // code -> { abortController, downloadedBytes, totalBytes }
+  }
+
+  /**
+   * Folder holding installed packs (created on first use).
+   * @returns {Promise<string>}
+   */
+  async getLanguageDir() {
+    if (this._languageDir) return this._languageDir;
+    const { modelsPath } = await ensureResolvedModelsPath();
+    const dir = path.join(modelsPath, TESSDATA_DIR_NAME);
+    await fs.promises.mkdir(dir, { recursive: true });
+    this._languageDir = dir;
+    return dir;
+  }
+
+  _packPath(dir, code) {
+    return path.join(dir, `${code}.traineddata`);
+  }
+
+  /**
+   * @returns {Promise<Map<string, number>>} Installed language code -> size in bytes
+   */
+  async _getInstalledPacks() {
+    const installed = new Map();
+    try {
+      const dir = await this.getLanguageDir();
+      const files = await fs.promises.readdir(dir);
+      for (const file of files) {
+        const code = file.endsWith('.traineddata') ? file.slice(0, -'.traineddata'.length) : null;
+        if (!isOcrLanguage(code)) continue;
+        const stats = await fs.promises.stat(path.join(dir, file));
+        if (stats.size > 0) installed.set(code, stats.size);
+      }
+    } catch (error) {
+      logger.debug('[OCR-LANG] Could not list installed language packs', {
+        error: error.message
+      });
+    }
+    return installed;
+  }
+
+  /**
+   * @returns {Promise<string[]>} Installed language codes
+   */
+  async getInstalledLanguages() {
+    return [...(await this._getInstalledPacks()).keys()];
+  }
+
+  /**
+   * Catalog with install and download state, for the settings UI.
+   * @returns {Promise<Array<{code: string, name: string, iso: string, script: string,
+   *   installed: boolean, builtin: boolean, downloadable: boolean, sizeBytes: number|null,
+   *   downloading: boolean}>>}
+   */
+  async listLanguages() {
+    const installed = await this._getInstalledPacks();
+    return Object.entries(OCR_LANGUAGES).map(([code, info]) => ({
+      code,
+      ...info,
+      installed: installed.has(code),
+      builtin: code === BUILTIN_LANGUAGE,
+      downloadable: Boolean(OCR_LANGUAGE_SHA256[code]),
+      sizeBytes: installed.get(code) ?? null,
+      downloading: this._downloads.has(code)
+    }));
+  }
+
+  async _loadPreferredSetting() {
+    try {
+      const settingsService = this._settingsService || require('./SettingsService').getInstance?.();
+      const settings = await settingsService?.load?.();
+      return settings?.ocrLanguages;
+    } catch (error) {
+      logger.debug('[OCR-LANG] Settings unavailable, using default languages', {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * The user's preferred OCR languages that can actually be used: installed
+   * packs plus English.
+   * @returns {Promise<string[]>} Never empty
+   */
+  async getPreferredLanguages() {
+    const preferred = normalizeOcrLanguages(await this._loadPreferredSetting());
+    const installed = await this._getInstalledPacks();
+    const usable = preferred.filter((code) => code === BUILTIN_LANGUAGE || installed.has(code));
+    if (usable.length < preferred.length) {
+      logger.debug('[OCR-LANG] Skipping preferred languages that are not downloaded', {
+        missing: preferred.filter((code) => !usable.includes(code))
+      });
+    }
+    return usable.length > 0 ? usable : [BUILTIN_LANGUAGE];
+  }
+
+  /**
+   * Download and install a language pack.
+   * @param {string} code - Tesseract language code
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - ({ language, downloadedBytes, totalBytes, percent })
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{success: boolean, language: string, path: string, sizeBytes: number}>}
+   */
+  async downloadLanguage(code, { onProgress, signal } = {}) {
+    if (!isOcrLanguage(code)) {
+      throw new Error(`Unknown OCR language: ${code}`);
+    }
+    const expectedSha256 = OCR_LANGUAGE_SHA256[code];
+    if (!expectedSha256) {
+      throw new Error(`No verified language pack is available for ${OCR_LANGUAGES[code].name}`);
+    }
+    if (this._downloads.has(code)) {
+      throw new Error(`Download already in progress: ${code}`);
+    }
+
+    const dir = await this.getLanguageDir();
+    const finalPath = this._packPath(dir, code);
+    const partialPath = `${finalPath}.partial`;
+    const abortController = new AbortController();
+    const onExternalAbort = () => abortController.abort();
+    signal?.addEventListener('abort', onExternalAbort);
+    const state = { abortController, downloadedBytes: 0, totalBytes: 0 };
+    this._downloads.set(code, state);
+
+    try {
+      if (signal?.aborted) throw new Error('Download cancelled');
+      const response = await this._request(getLanguageDownloadUrl(code), abortController.signal);
+      state.totalBytes = parseInt(response.headers['content-length'], 10) || 0;
+      if (state.totalBytes > MAX_DOWNLOAD_BYTES) {
+        response.resume();
+        throw new Error(`Language pack too large: ${state.totalBytes} bytes`);
+      }
+
+      const hash = crypto.createHash('sha256');
+      response.on('data', (chunk) => {
+        hash.update(chunk);
+        state.downloadedBytes += chunk.length;
+        if (state.downloadedBytes > MAX_DOWNLOAD_BYTES) {
+          response.destroy(new Error('Language pack exceeds size limit'));
+          return;
+        }
+        onProgress?.({
+          language: code,
+          downloadedBytes: state.downloadedBytes,
+          totalBytes: state.totalBytes,
+          percent: state.totalBytes
+            ? Math.round((state.downloadedBytes / state.totalBytes) * 100)
+            : 0
+        });
+      });
+
+      try {
+        // Packs are stored decompressed so native tesseract can use the folder too
+        await pipeline(response, zlib.createGunzip(), fs.createWriteStream(partialPath), {
+          signal: abortController.signal
+        });
+      } catch (error) {
+        if (abortController.signal.aborted) {
+          throw new Error('Download cancelled', { cause: error });
+        }
+        if (error.code === 'Z_DATA_ERROR' || error.code === 'Z_BUF_ERROR') {
+          throw new Error('Downloaded language pack is corrupted', { cause: error });
+        }
+        throw error;
+      }
+
+      if (hash.digest('hex') !== expectedSha256) {
+        throw new Error('Downloaded language pack failed checksum verification');
+      }
+      const stats = await fs.promises.stat(partialPath);
+      if (stats.size === 0) throw new Error('Downloaded language pack is empty');
+      await fs.promises.rename(partialPath, finalPath);
+      logger.info('[OCR-LANG] Installed language pack', { language: code, sizeBytes: stats.size });
+      return { success: true, language: code, path: finalPath, sizeBytes: stats.size };
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true }).catch(() => {});
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onExternalAbort);
+      this._downloads.delete(code);
+    }
+  }
+
+  /**
+   * GET a URL on an allowed host, following redirects.
+   * @returns {Promise<import('http').IncomingMessage>} 200 response
+   */
+  _request(rawUrl, signal, redirectCount = 0) {
+    const url = this._validateDownloadUrl(rawUrl);
+    return new Promise((resolve, reject) => {
+      const request = https.get(
+        url,
+        { headers: { 'User-Agent': 'StratoSort/2.0' }, signal },
+        (response) => {
+          const { statusCode } = response;
+          if ([301, 302, 303, 307, 308].includes(statusCode)) {
+            response.resume();
+            if (redirectCount >= MAX_REDIRECTS) {
+              reject(new Error(`Too many redirects (${MAX_REDIRECTS})`));
+              return;
+            }
+            if (!response.headers.location) {
+              reject(new Error('Redirect response missing Location header'));
+              return;
+            }
+            // Async wrapper so a bad or blocked redirect target rejects instead of throwing here
+            Promise.resolve()
+              .then(() =>
+                this._request(
+                  new URL(response.headers.location, url).toString(),
+                  signal,
+                  redirectCount + 1
+                )
+              )
+              .then(resolve, reject);
+            return;
+          }
+          if (statusCode !== 200) {
+            response.resume();
+            reject(new Error(`HTTP ${statusCode}: ${response.statusMessage || 'Request failed'}`));
+            return;
+          }
+          resolve(response);
+        }
+      );
+      request.on('error', (error) =>
+        reject(signal?.aborted ? new Error('Download cancelled') : error)
+      );
+      request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+        request.destroy(new Error('Download timeout'));
+      });
+    });
+  }
+
+  _validateDownloadUrl(rawUrl) {
+    let parsed;
+    try {
+      parsed = new URL(rawUrl);
+    } catch {
+      throw new Error('Invalid language pack URL');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw new Error('Blocked non-HTTPS language pack download');
+    }
+    const host = parsed.hostname.toLowerCase();
+    if (!ALLOWED_DOWNLOAD_HOSTS.includes(host)) {
+      throw new Error(`Blocked download from untrusted host: ${parsed.hostname}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * @param {string} code
+   * @returns {boolean}
+   */
+  isDownloading(code) {
+    return this._downloads.has(code);
+  }
+
+  /**
+   * @param {string} code
+   * @returns {boolean} Whether a download was cancelled
+   */
+  cancelDownload(code) {
+    const download = this._downloads.get(code);
+    if (!download) return false;
+    download.abortController.abort();
+    return true;
+  }
+
+  /**
+   * Remove an installed language pack.
+   * @param {string} code
+   * @returns {Promise<{success: boolean}>}
+   */
+  async deleteLanguage(code) {
+    if (!isOcrLanguage(code)) {
+      throw new Error(`Unknown OCR language: ${code}`);
+    }
+    const dir = await this.getLanguageDir();
+    await fs.promises.rm(this._packPath(dir, code), { force: true });
+    logger.info('[OCR-LANG] Removed language pack', { language: code });
+    return { success: true };
+  }
+
+  shutdown() {
+    for (const download of this._downloads.values()) {
+      download.abortController.abort();
+    }
+  }
+}
+
+const { getInstance, createInstance, registerWithContainer, resetInstance } =
+  createSingletonHelpers({
+    ServiceClass: OcrLanguageService,
+    serviceId: 'OCR_LANGUAGE_SERVICE',
+    serviceName: 'OcrLanguageService',
+    containerPath: './ServiceContainer',
+    shutdownMethod: 'shutdown'
+  });
+
+module.exports = {
+  OcrLanguageService,
+  getInstance,
+  createInstance,
+  registerWithContainer,
+  resetInstance,
+  getLanguageDownloadUrl
+};
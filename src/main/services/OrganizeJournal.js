@@ -0,0 +1,311 @@
+/**
+ * Organize Journal
+ *
+ * Write-ahead journal for batch organize moves. Each batch gets its own
+ * newline-delimited JSON file under userData/organize-journal:
+ *
+ *   begin  - the planned operations, written before any file is touched
+ *   intent - written (and flushed) immediately before a move
+ *   commit - written after the move, with the destination actually used
+ *   abort  - the move failed and the file was left in place
+ *
+ * The file is deleted once the batch and its database path updates finish, so
+ * any journal found at startup belongs to a batch that was interrupted.
+ * inspectBatch() compares the journal with the filesystem to work out where
+ * each file really is, which is what recovery acts on.
+ *
+ * @module services/OrganizeJournal
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { app } = require('electron');
+const { createLogger } = require('../../shared/logger');
+const { LIMITS } = require('../../shared/performanceConstants');
+const { appendJournalRecord, readJournalRecords } = require('../../shared/atomicFileOperations');
+
+const logger = createLogger('OrganizeJournal');
+
+const JOURNAL_DIR_NAME = 'organize-journal';
+const JOURNAL_EXTENSION = '.wal';
+const MAX_COLLISION_SUFFIX = LIMITS?.MAX_NUMERIC_RETRIES || 5000;
+
+/**
+ * Where a journaled operation's file is on disk after an interruption
+ * @readonly
+ * @enum {string}
+ */
+const JOURNAL_OP_STATES = Object.freeze({
+  /** File is at its destination */
+  MOVED: 'moved',
+  /** File is still at its source and the move has not happened */
+  PENDING: 'pending',
+  /** The move failed during the batch; the file was left alone */
+  FAILED: 'failed',
+  /** File is at neither location */
+  MISSING: 'missing'
+});
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    if (error?.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+async function getFileSize(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    return stats.size;
+  } catch {
+    return null;
+  }
+}
+
+class OrganizeJournal {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Journal directory (defaults to userData/organize-journal)
+   */
+  constructor({ directory } = {}) {
+    this._directory = directory || null;
+    // Appends for one batch are chained so concurrent moves never interleave writes
+    this._queues = new Map();
+  }
+
+  getDirectory() {
+    if (!this._directory) {
+      this._directory = path.join(app.getPath('userData'), JOURNAL_DIR_NAME);
+    }
+    return this._directory;
+  }
+
+  getJournalPath(batchId) {
+    return path.join(this.getDirectory(), `${batchId}${JOURNAL_EXTENSION}`);
+  }
+
+  _append(batchId, record) {
+    const previous = this._queues.get(batchId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => appendJournalRecord(this.getJournalPath(batchId), { ...record, at: Date.now() }));
+    this._queues.set(batchId, next);
+    return next;
+  }
+
+  /**
+   * Start a batch journal with the planned operations
+   * @param {string} batchId
+   * @param {Array<{source: string, destination: string}>} operations
+   */
+  async begin(batchId, operations) {
+    await this._append(batchId, {
+      type: 'begin',
+      batchId,
+      startedAt: new Date().toISOString(),
+      operations: operations.map((op) => ({ source: op.source, destination: op.destination }))
+    });
+  }
+
+  /**
+   * Record that a move is about to happen. The source size is stored so recovery
+   * can recognise the file if it landed on a collision-renamed destination.
+   */
+  async recordIntent(batchId, index, { source, destination }) {
+    await this._append(batchId, {
+      type: 'intent',
+      index,
+      source,
+      destination,
+      size: await getFileSize(source)
+    });
+  }
+
+  /**
+   * Record a completed move
+   * @param {Object} result
+   * @param {string} result.destination - Destination actually used
+   * @param {boolean} [result.skipped] - Source was an exact duplicate and was removed
+   */
+  async recordCommit(batchId, index, { destination, skipped = false }) {
+    await this._append(batchId, { type: 'commit', index, destination, skipped });
+  }
+
+  /** Record a move that failed without moving the file */
+  async recordAbort(batchId, index, error) {
+    await this._append(batchId, { type: 'abort', index, error: error || null });
+  }
+
+  /** Delete the journal once the batch is fully settled */
+  async complete(batchId) {
+    await (this._queues.get(batchId) || Promise.resolve()).catch(() => {});
+    this._queues.delete(batchId);
+    try {
+      await fs.unlink(this.getJournalPath(batchId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Replay a journal into per-operation records
+   * @param {string} batchId
+   * @returns {Promise<Object|null>} Null when the journal is missing or has no begin record
+   */
+  async loadBatch(batchId) {
+    const records = await readJournalRecords(this.getJournalPath(batchId));
+    const begin = records.find((r) => r.type === 'begin');
+    if (!begin || !Array.isArray(begin.operations)) return null;
+
+    const operations = begin.operations.map((op, index) => ({
+      index,
+      source: op.source,
+      destination: op.destination,
+      size: null,
+      skipped: false,
+      status: 'planned',
+      error: null
+    }));
+
+    for (const record of records) {
+      const op = operations[record.index];
+      if (!op) continue;
+      if (record.type === 'intent') {
+        // Path validation may have normalised the planned paths
+        op.source = record.source || op.source;
+        op.destination = record.destination || op.destination;
+        op.size = Number.isFinite(record.size) ? record.size : null;
+        op.status = 'intent';
+      } else if (record.type === 'commit') {
+        op.destination = record.destination || op.destination;
+        op.skipped = record.skipped === true;
+        op.status = 'committed';
+      } else if (record.type === 'abort' && op.status === 'intent') {
+        op.status = 'aborted';
+        op.error = record.error || null;
+      }
+    }
+
+    return { batchId, startedAt: begin.startedAt || null, operations };
+  }
+
+  /**
+   * Journals left behind by interrupted batches
+   * @returns {Promise<Object[]>} Replayed batches, oldest first
+   */
+  async listIncomplete() {
+    let files;
+    try {
+      files = await fs.readdir(this.getDirectory());
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const batches = [];
+    for (const file of files.filter((f) => f.endsWith(JOURNAL_EXTENSION))) {
+      const batchId = file.slice(0, -JOURNAL_EXTENSION.length);
+      try {
+        const batch = await this.loadBatch(batchId);
+        if (batch) {
+          batches.push(batch);
+        } else {
+          // Crashed before the begin record was flushed: nothing was moved
+          await this.complete(batchId);
+        }
+      } catch (error) {
+        logger.warn('[OrganizeJournal] Failed to read journal', { batchId, error: error.message });
+      }
+    }
+    return batches.sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt)));
+  }
+
+  /**
+   * Work out where each journaled file is now. Disk state wins over the journal:
+   * a committed move whose file is back at its source counts as pending, and an
+   * intent without a commit counts as moved if the file reached a destination.
+   *
+   * @param {Object} batch - Batch from loadBatch()
+   * @returns {Promise<Array<Object>>} Operations with `state` and `actualDestination`
+   */
+  async inspectBatch(batch) {
+    const inspected = [];
+    for (const op of batch.operations) {
+      const entry = { ...op, state: JOURNAL_OP_STATES.MISSING, actualDestination: null };
+
+      if (op.status === 'aborted') {
+        entry.state = JOURNAL_OP_STATES.FAILED;
+      } else if (op.status === 'committed' && (await pathExists(op.destination))) {
+        entry.state = JOURNAL_OP_STATES.MOVED;
+        entry.actualDestination = op.destination;
+      } else if (await pathExists(op.source)) {
+        entry.state = JOURNAL_OP_STATES.PENDING;
+      } else if (op.status === 'intent') {
+        const found = await this._findMovedFile(op);
+        if (found) {
+          entry.state = JOURNAL_OP_STATES.MOVED;
+          entry.actualDestination = found;
+        }
+      }
+
+      inspected.push(entry);
+    }
+    return inspected;
+  }
+
+  /**
+   * Find a file that was moved but not committed. The batch renames on collision
+   * to name_1.ext, name_2.ext, ...; the source size separates our file from
+   * whatever already occupied those names.
+   */
+  async _findMovedFile(op) {
+    const ext = path.extname(op.destination);
+    const base = ext ? op.destination.slice(0, -ext.length) : op.destination;
+    const candidates = [op.destination];
+    for (let i = 1; i <= MAX_COLLISION_SUFFIX; i++) {
+      const candidate = `${base}_${i}${ext}`;
+      if (!(await pathExists(candidate))) break;
+      candidates.push(candidate);
+    }
+
+    if (op.size === null) {
+      // Without a size only an unambiguous, uncollided destination is trusted
+      return candidates.length === 1 && (await pathExists(op.destination)) ? op.destination : null;
+    }
+    for (const candidate of candidates.reverse()) {
+      if ((await getFileSize(candidate)) === op.size) return candidate;
+    }
+    return null;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get or create the OrganizeJournal singleton
+ * @returns {OrganizeJournal}
+ */
+function getInstance() {
+  if (!instance) {
+    instance = new OrganizeJournal();
+  }
+  return instance;
+}
+
+/**
+ * Reset the singleton (for testing)
+ */
+function resetInstance() {
+  instance = null;
+}
+
+module.exports = {
+  OrganizeJournal,
+  JOURNAL_OP_STATES,
+  getInstance,
+  resetInstance
+};
@@ -1,10 +1,31 @@
 const path = require('path');
 const fs = require('fs').promises;
+const { dialog } = require('electron');
 const { crossDeviceMove } = require('../../shared/atomicFileOperations');
 const { IPC_EVENTS } = require('../../shared/constants');
 const { safeSend } = require('../ipc/ipcWrappers');
 const { computeFileChecksum, handleDuplicateMove } = require('../utils/fileDedup');
 const { removeEmbeddingsForPathBestEffort } = require('../ipc/files/embeddingSync');
+const {
+  performFileMove,
+  recordUndoAndUpdateDatabase,
+  syncMovedPaths
+} = require('../ipc/files/batchOrganizeHandler');
+const { getInstance: getOrganizeJournal, JOURNAL_OP_STATES } = require('./OrganizeJournal');
+
+/**
+ * What to do with a batch that was interrupted mid-way
+ * @readonly
+ * @enum {string}
+ */
+const RECOVERY_CHOICES = Object.freeze({
+  /** Move the remaining files */
+  FORWARD: 'forward',
+  /** Put the moved files back */
+  BACK: 'back',
+  /** Leave the batch as it is and ask again next launch */
+  LATER: 'later'
+});
 
 async function pathExists(filePath, logger, label) {
   try {
@@ -24,15 +45,196 @@ async function pathExists(filePath, logger, label) {
   }
 }
 
+/**
+ * Ask the user whether to finish or undo an interrupted batch
+ * @returns {Promise<string>} One of RECOVERY_CHOICES
+ */
+async function promptRecoveryChoice(inspected, getMainWindow) {
+  const moved = inspected.filter((op) => op.state === JOURNAL_OP_STATES.MOVED).length;
+  const pending = inspected.filter((op) => op.state === JOURNAL_OP_STATES.PENDING).length;
+  const options = {
+    type: 'warning',
+    title: 'Organizing Was Interrupted',
+    message: 'StratoSort closed before it finished organizing your files.',
+    detail:
+      `${moved} of ${inspected.length} files were moved and ${pending} are still in their original location.\n\n` +
+      'Finish organizing to move the remaining files, or undo to put the moved files back.',
+    buttons: ['Finish Organizing', 'Undo Moves', 'Decide Later'],
+    defaultId: 0,
+    cancelId: 2,
+    noLink: true
+  };
+
+  const win = getMainWindow?.();
+  const { response } =
+    win && !win.isDestroyed()
+      ? await dialog.showMessageBox(win, options)
+      : await dialog.showMessageBox(options);
+  return [RECOVERY_CHOICES.FORWARD, RECOVERY_CHOICES.BACK][response] || RECOVERY_CHOICES.LATER;
+}
+
+/**
+ * Move the files an interrupted batch had not reached, then record undo and update
+ * database paths for every file the batch moved (including those moved before the crash,
+ * which never got that far).
+ */
+async function rollForwardBatch(batchId, inspected, serviceIntegration, logger, journal) {
+  const results = [];
+  let failed = 0;
+
+  for (const op of inspected) {
+    if (op.state === JOURNAL_OP_STATES.MOVED) {
+      if (!op.skipped) {
+        results.push({ success: true, source: op.source, destination: op.actualDestination });
+      }
+      continue;
+    }
+    if (op.state !== JOURNAL_OP_STATES.PENDING) continue;
+
+    try {
+      await journal.recordIntent(batchId, op.index, op);
+      await fs.mkdir(path.dirname(op.destination), { recursive: true });
+      const moveResult = await performFileMove(
+        { source: op.source, destination: op.destination },
+        logger,
+        computeFileChecksum
+      );
+      await journal.recordCommit(batchId, op.index, moveResult);
+      if (!moveResult.skipped) {
+        results.push({ success: true, source: op.source, destination: moveResult.destination });
+      }
+    } catch (error) {
+      failed += 1;
+      logger?.warn?.('[RESUME] Failed to finish journaled move:', {
+        source: op.source,
+        error: error.message
+      });
+      await journal.recordAbort(batchId, op.index, error.message).catch(() => {});
+    }
+  }
+
+  if (results.length > 0) {
+    await recordUndoAndUpdateDatabase(
+      null,
+      results,
+      results.length,
+      batchId,
+      () => serviceIntegration,
+      logger
+    );
+  }
+  return { moved: results.length, failed };
+}
+
+/**
+ * Put every file an interrupted batch moved back at its source, then point the
+ * database entries (which may already have been updated) at the original paths.
+ * Exact duplicates the batch deleted cannot be restored and are left alone.
+ */
+async function rollBackBatch(batchId, inspected, logger) {
+  const pathChanges = [];
+  let failed = 0;
+
+  for (const op of inspected) {
+    if (op.state !== JOURNAL_OP_STATES.MOVED || op.skipped) continue;
+    try {
+      if (await pathExists(op.source, logger, 'source')) {
+        throw new Error('Original location is occupied by another file');
+      }
+      await fs.mkdir(path.dirname(op.source), { recursive: true });
+      try {
+        await fs.rename(op.actualDestination, op.source);
+      } catch (renameError) {
+        if (renameError.code !== 'EXDEV') throw renameError;
+        await crossDeviceMove(op.actualDestination, op.source, { verify: true });
+      }
+      pathChanges.push({ oldPath: op.actualDestination, newPath: op.source });
+    } catch (error) {
+      failed += 1;
+      logger?.warn?.('[RESUME] Failed to undo journaled move:', {
+        source: op.source,
+        destination: op.actualDestination,
+        error: error.message
+      });
+    }
+  }
+
+  if (pathChanges.length > 0) {
+    await syncMovedPaths(pathChanges, batchId, logger);
+  }
+  return { restored: pathChanges.length, failed };
+}
+
+/**
+ * Recover batches that left a write-ahead journal behind. Batches where every
+ * file already reached its destination are finished silently; otherwise the user
+ * chooses between rolling forward and rolling back.
+ *
+ * @returns {Promise<Set<string>>} Batch ids handled here (or deferred by the user),
+ *   which the legacy resume below must not touch
+ */
+async function recoverJournaledBatches(serviceIntegration, logger, getMainWindow) {
+  const handled = new Set();
+  const journal = getOrganizeJournal();
+
+  let batches;
+  try {
+    batches = await journal.listIncomplete();
+  } catch (error) {
+    logger?.warn?.('[RESUME] Failed to read organize journals:', error.message);
+    return handled;
+  }
+
+  for (const batch of batches) {
+    handled.add(batch.batchId);
+    try {
+      const inspected = await journal.inspectBatch(batch);
+      const hasPending = inspected.some((op) => op.state === JOURNAL_OP_STATES.PENDING);
+      const choice = hasPending
+        ? await promptRecoveryChoice(inspected, getMainWindow)
+        : RECOVERY_CHOICES.FORWARD;
+
+      if (choice === RECOVERY_CHOICES.LATER) {
+        logger?.info?.('[RESUME] Interrupted batch left for later:', batch.batchId);
+        continue;
+      }
+
+      const outcome =
+        choice === RECOVERY_CHOICES.FORWARD
+          ? await rollForwardBatch(batch.batchId, inspected, serviceIntegration, logger, journal)
+          : await rollBackBatch(batch.batchId, inspected, logger);
+
+      await journal.complete(batch.batchId);
+      await serviceIntegration?.processingState?.completeOrganizeBatch?.(batch.batchId);
+      logger?.info?.('[RESUME] Recovered interrupted batch:', {
+        batchId: batch.batchId,
+        choice,
+        ...outcome
+      });
+    } catch (error) {
+      logger?.warn?.('[RESUME] Failed to recover interrupted batch:', {
+        batchId: batch.batchId,
+        error: error.message
+      });
+    }
+  }
+
+  return handled;
+}
+
 /**
  * Resume incomplete organize batches from a previous session.
- * Coordinates with ProcessingStateService to safely continue operations.
+ * Journaled batches are recovered first; the remaining batches tracked by
+ * ProcessingStateService are continued as before.
  *
  * Dependencies are injected for testability and modularity.
  */
 async function resumeIncompleteBatches(serviceIntegration, logger, getMainWindow) {
   try {
-    const incomplete = serviceIntegration?.processingState?.getIncompleteOrganizeBatches?.() || [];
+    const journaled = await recoverJournaledBatches(serviceIntegration, logger, getMainWindow);
+    const incomplete = (
+      serviceIntegration?.processingState?.getIncompleteOrganizeBatches?.() || []
+    ).filter((batch) => !journaled.has(batch.id));
     if (!incomplete.length) return;
     logger.warn(`[RESUME] Resuming ${incomplete.length} incomplete organize batch(es)`);
 
@@ -196,5 +398,7 @@ async function resumeIncompleteBatches(serviceIntegration, logger, getMainWindow
 }
 
 module.exports = {
-  resumeIncompleteBatches
+  resumeIncompleteBatches,
+  recoverJournaledBatches,
+  RECOVERY_CHOICES
 };
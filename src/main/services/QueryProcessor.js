@@ -17,6 +17,7 @@ const { distance } = require('fastest-levenshtein');
 const { createLogger } = require('../../shared/logger');
 const { LRUCache } = require('../../shared/LRUCache');
 const { getInstance: getCacheInvalidationBus } = require('../../shared/cacheInvalidation');
+const { parseSearchQuery } = require('../../shared/searchQuerySyntax');
 
 const logger = createLogger('QueryProcessor');
 /**
@@ -304,18 +305,39 @@ class QueryProcessor {
   }
 
   /**
-   * Extract potential filters from query (e.g. years)
+   * Parse a query into free text and structured constraints
+   * (`from:`, `type:`, `after:`, `size:`, quoted phrases, `-negation`...).
    *
    * @param {string} query - Search query
-   * @returns {Object} Extracted filters
+   * @returns {Object} Parsed query (see shared/searchQuerySyntax.parseSearchQuery)
+   */
+  parseQuery(query) {
+    return parseSearchQuery(typeof query === 'string' ? query : '');
+  }
+
+  /**
+   * Extract filters from query: field constraints plus a year mentioned in the free text
+   *
+   * @param {string} query - Search query
+   * @returns {Object} Extracted filters (empty when the query has none)
    */
   extractFilters(query) {
     const filters = {};
     if (!query) return filters;
 
+    const parsed = this.parseQuery(query);
+    if (parsed.hasConstraints) {
+      Object.assign(filters, {
+        ...parsed.filters,
+        exclude: parsed.exclude,
+        phrases: parsed.phrases,
+        excludedTerms: parsed.excludedTerms
+      });
+    }
+
     // Extract years (1900-2099)
     // Matches 4 digits bounded by word boundaries
-    const yearMatch = query.match(/\b(19|20)\d{2}\b/g);
+    const yearMatch = parsed.text.match(/\b(19|20)\d{2}\b/g);
     if (yearMatch) {
       // Use the last mentioned year as the primary filter intent
       filters.year = yearMatch[yearMatch.length - 1];
@@ -0,0 +1,422 @@
+/**
+ * ReminderService - Deadline and expiry reminders from document dates
+ *
+ * Turns the typed dates extracted during analysis (`keyDates`: due, expires,
+ * renewal, effective) into reminders, persists them so they survive restarts,
+ * and periodically raises notifications (tray and in-app, through
+ * NotificationService) as each date approaches. Lead times per kind are
+ * defined in shared/documentDates.
+ *
+ * Reminders follow their file: moves and renames reported by
+ * FilePathCoordinator update the stored path, deletions drop the reminder.
+ *
+ * @module services/ReminderService
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const { app, BrowserWindow } = require('electron');
+const { createLogger } = require('../../shared/logger');
+const { atomicWriteFile, loadJsonFile } = require('../../shared/atomicFile');
+const { IPC_EVENTS } = require('../../shared/constants');
+const {
+  KEY_DATE_KINDS,
+  REMINDER_LEAD_DAYS,
+  normalizeKeyDates,
+  daysUntil,
+  describeDaysLeft
+} = require('../../shared/documentDates');
+const {
+  getInstance: getCacheInvalidationBus,
+  InvalidationType
+} = require('../../shared/cacheInvalidation');
+const { safeSend } = require('../ipc/ipcWrappers');
+
+const logger = createLogger('ReminderService');
+
+const STORE_FILENAME = 'reminders.json';
+const STORE_VERSION = 1;
+const MAX_REMINDERS = 2000;
+// Dates only change at midnight; an hourly check keeps notifications timely
+// without keeping the process busy.
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Overdue reminders stay visible for a while, then are dropped
+const OVERDUE_RETENTION_DAYS = 30;
+// Window shown as "upcoming" in the tray menu and navigation badge
+const UPCOMING_DAYS = 7;
+
+const samePath = (a, b) => path.resolve(a) === path.resolve(b);
+
+class ReminderService extends EventEmitter {
+  /**
+   * @param {Object} deps
+   * @param {Object} [deps.notificationService] - NotificationService for deadline alerts
+   * @param {Object} [deps.filePathCoordinator] - Source of move/rename/delete events
+   * @param {string} [deps.filePath] - Storage path (defaults to userData/reminders.json)
+   * @param {number} [deps.checkIntervalMs] - How often due dates are checked
+   * @param {Function} [deps.now] - Clock, for tests
+   */
+  constructor({
+    notificationService = null,
+    filePathCoordinator = null,
+    filePath,
+    checkIntervalMs,
+    now
+  } = {}) {
+    super();
+    this.notificationService = notificationService;
+    this.filePathCoordinator = filePathCoordinator;
+    this._filePath = filePath || null;
+    this._checkIntervalMs = Number.isFinite(checkIntervalMs) ? checkIntervalMs : CHECK_INTERVAL_MS;
+    this._now = typeof now === 'function' ? now : () => new Date();
+    this._reminders = [];
+    this._initPromise = null;
+    this._unsubscribe = null;
+    this._coordinatorListeners = [];
+    this._checkTimer = null;
+    this._checkInFlight = null;
+  }
+
+  _getFilePath() {
+    if (!this._filePath) {
+      this._filePath = path.join(app.getPath('userData'), STORE_FILENAME);
+    }
+    return this._filePath;
+  }
+
+  async initialize() {
+    if (!this._initPromise) {
+      this._initPromise = this._load().then(() => {
+        this._subscribe();
+        this._startTimer();
+        // Catch up on dates that came due while the app was closed
+        this.checkDueReminders().catch((error) => {
+          logger.warn('[ReminderService] Initial check failed', { error: error.message });
+        });
+      });
+    }
+    return this._initPromise;
+  }
+
+  async _load() {
+    const data = await loadJsonFile(this._getFilePath(), {
+      description: 'reminders',
+      backupCorrupt: true
+    });
+    const reminders = Array.isArray(data?.reminders) ? data.reminders : [];
+    this._reminders = reminders.filter(
+      (r) =>
+        r &&
+        typeof r.id === 'string' &&
+        typeof r.filePath === 'string' &&
+        KEY_DATE_KINDS.includes(r.kind) &&
+        daysUntil(r.date) !== null
+    );
+    logger.debug('[ReminderService] Loaded reminders', { count: this._reminders.length });
+  }
+
+  async _persist() {
+    await atomicWriteFile(
+      this._getFilePath(),
+      { version: STORE_VERSION, reminders: this._reminders },
+      { pretty: true }
+    );
+  }
+
+  _subscribe() {
+    try {
+      const bus = getCacheInvalidationBus();
+      this._unsubscribe = bus.subscribe('ReminderService', {
+        onInvalidate: (event) => {
+          if (event.type === InvalidationType.ANALYSIS_COMPLETE) {
+            this.syncFromAnalysis(event.path, event.metadata).catch((error) => {
+              logger.warn('[ReminderService] Failed to update reminders from analysis', {
+                error: error.message
+              });
+            });
+          }
+        }
+      });
+    } catch (error) {
+      logger.warn('[ReminderService] Failed to subscribe to invalidation bus', {
+        error: error.message
+      });
+    }
+
+    const coordinator = this.filePathCoordinator;
+    if (coordinator && typeof coordinator.on === 'function') {
+      const listen = (eventName, handler) => {
+        const wrapped = (event) =>
+          handler(event).catch((error) => {
+            logger.warn('[ReminderService] Failed to follow path change', {
+              event: eventName,
+              error: error.message
+            });
+          });
+        coordinator.on(eventName, wrapped);
+        this._coordinatorListeners.push([eventName, wrapped]);
+      };
+      listen('path-changed', (event) =>
+        event?.type === 'copy'
+          ? Promise.resolve()
+          : this.handlePathChanges([{ oldPath: event?.oldPath, newPath: event?.newPath }])
+      );
+      listen('paths-changed', (event) =>
+        event?.type === 'copy' ? Promise.resolve() : this.handlePathChanges(event?.changes)
+      );
+      listen('file-deleted', (event) => this.handleFileDeleted(event?.path));
+    }
+  }
+
+  _startTimer() {
+    if (this._checkTimer || this._checkIntervalMs <= 0) return;
+    this._checkTimer = setInterval(() => {
+      this.checkDueReminders().catch((error) => {
+        logger.warn('[ReminderService] Reminder check failed', { error: error.message });
+      });
+    }, this._checkIntervalMs);
+    if (typeof this._checkTimer.unref === 'function') this._checkTimer.unref();
+  }
+
+  _withDaysLeft(reminder) {
+    const daysLeft = daysUntil(reminder.date, this._now());
+    return { ...reminder, daysLeft, description: describeDaysLeft(reminder.kind, daysLeft) };
+  }
+
+  /**
+   * Replace the reminders of one file with the dates from its latest analysis.
+   * Dismissed and already-notified state carries over for unchanged dates;
+   * dates already in the past do not create new reminders.
+   *
+   * @param {string} filePath
+   * @param {Object} [metadata] - Analysis metadata ({ keyDates, documentType, entity })
+   * @returns {Promise<boolean>} Whether anything changed
+   */
+  async syncFromAnalysis(filePath, metadata = {}) {
+    await this.initialize();
+    if (typeof filePath !== 'string' || !filePath) return false;
+
+    const keyDates = normalizeKeyDates(metadata?.keyDates);
+    const existing = this._reminders.filter((r) => samePath(r.filePath, filePath));
+    if (!keyDates && existing.length === 0) return false;
+
+    const now = this._now();
+    const next = [];
+    for (const kind of KEY_DATE_KINDS) {
+      const date = keyDates?.[kind];
+      if (!date) continue;
+      const previous = existing.find((r) => r.kind === kind && r.date === date);
+      if (previous) {
+        next.push({
+          ...previous,
+          documentType: metadata.documentType || previous.documentType || null,
+          entity: metadata.entity || previous.entity || null
+        });
+      } else if (daysUntil(date, now) >= 0) {
+        next.push({
+          id: randomUUID(),
+          filePath,
+          fileName: path.basename(filePath),
+          kind,
+          date,
+          documentType: metadata.documentType || null,
+          entity: metadata.entity || null,
+          createdAt: now.toISOString(),
+          notifiedLeadDays: null,
+          dismissed: false
+        });
+      }
+    }
+
+    const unchanged =
+      next.length === existing.length &&
+      next.every((r) => existing.some((e) => e.id === r.id && e.documentType === r.documentType));
+    if (unchanged) return false;
+
+    this._reminders = [
+      ...this._reminders.filter((r) => !samePath(r.filePath, filePath)),
+      ...next
+    ].slice(-MAX_REMINDERS);
+    await this._persist();
+    this._emitUpdate();
+    // A date inside its lead window should not wait for the next hourly check
+    if (next.length > 0) await this.checkDueReminders();
+    return true;
+  }
+
+  /**
+   * Point reminders at a file's new location.
+   * @param {Array<{oldPath: string, newPath: string}>} changes
+   */
+  async handlePathChanges(changes) {
+    await this.initialize();
+    let changed = false;
+    for (const { oldPath, newPath } of Array.isArray(changes) ? changes : []) {
+      if (typeof oldPath !== 'string' || typeof newPath !== 'string') continue;
+      for (const reminder of this._reminders) {
+        if (samePath(reminder.filePath, oldPath)) {
+          reminder.filePath = newPath;
+          reminder.fileName = path.basename(newPath);
+          changed = true;
+        }
+      }
+    }
+    if (changed) {
+      await this._persist();
+      this._emitUpdate();
+    }
+  }
+
+  /**
+   * Drop reminders of a deleted file.
+   * @param {string} filePath
+   */
+  async handleFileDeleted(filePath) {
+    await this.initialize();
+    if (typeof filePath !== 'string') return;
+    const remaining = this._reminders.filter((r) => !samePath(r.filePath, filePath));
+    if (remaining.length === this._reminders.length) return;
+    this._reminders = remaining;
+    await this._persist();
+    this._emitUpdate();
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDismissed=false]
+   * @returns {Promise<Object[]>} Reminders with `daysLeft` and `description`, soonest first
+   */
+  async list({ includeDismissed = false } = {}) {
+    await this.initialize();
+    return this._sorted(includeDismissed);
+  }
+
+  _sorted(includeDismissed) {
+    return this._reminders
+      .filter((r) => includeDismissed || !r.dismissed)
+      .map((r) => this._withDaysLeft(r))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.fileName.localeCompare(b.fileName));
+  }
+
+  /**
+   * Active reminders that are overdue or fall within the next days (sync; used by the tray).
+   * @param {number} [withinDays]
+   * @returns {Object[]}
+   */
+  getUpcoming(withinDays = UPCOMING_DAYS) {
+    return this._sorted(false).filter((r) => r.daysLeft <= withinDays);
+  }
+
+  /**
+   * Dismiss (or restore) a reminder.
+   * @param {string} id
+   * @param {Object} changes
+   * @param {boolean} changes.dismissed
+   * @returns {Promise<{success: boolean, reminder?: Object, error?: string}>}
+   */
+  async update(id, { dismissed } = {}) {
+    await this.initialize();
+    const reminder = this._reminders.find((r) => r.id === id);
+    if (!reminder) return { success: false, error: 'Reminder not found' };
+    if (typeof dismissed === 'boolean') reminder.dismissed = dismissed;
+    await this._persist();
+    this._emitUpdate();
+    return { success: true, reminder: this._withDaysLeft(reminder) };
+  }
+
+  /**
+   * Notify for reminders that entered a new lead window and drop long-overdue ones.
+   * @returns {Promise<Object[]>} Reminders that were notified
+   */
+  async checkDueReminders() {
+    await this.initialize();
+    // Let a running check finish so reminders added meanwhile are not skipped
+    while (this._checkInFlight) {
+      await this._checkInFlight.catch(() => {});
+    }
+
+    this._checkInFlight = (async () => {
+      const now = this._now();
+      const before = this._reminders.length;
+      this._reminders = this._reminders.filter(
+        (r) => daysUntil(r.date, now) >= -OVERDUE_RETENTION_DAYS
+      );
+      let changed = this._reminders.length !== before;
+
+      const notified = [];
+      for (const reminder of this._reminders) {
+        if (reminder.dismissed) continue;
+        const daysLeft = daysUntil(reminder.date, now);
+        const leads = REMINDER_LEAD_DAYS[reminder.kind] || [0];
+        // Most urgent window reached; several missed windows produce one notification
+        const lead = leads.filter((days) => daysLeft <= days).pop();
+        if (lead === undefined) continue;
+        if (reminder.notifiedLeadDays !== null && reminder.notifiedLeadDays <= lead) continue;
+
+        reminder.notifiedLeadDays = lead;
+        changed = true;
+        notified.push(reminder);
+        try {
+          await this.notificationService?.notifyDeadline?.(
+            reminder,
+            describeDaysLeft(reminder.kind, daysLeft),
+            daysLeft
+          );
+        } catch (error) {
+          logger.debug('[ReminderService] Notification failed', { error: error.message });
+        }
+      }
+
+      if (changed) {
+        await this._persist();
+        this._emitUpdate();
+      }
+      return notified;
+    })();
+
+    try {
+      return await this._checkInFlight;
+    } finally {
+      this._checkInFlight = null;
+    }
+  }
+
+  _emitUpdate() {
+    const upcomingCount = this.getUpcoming().length;
+    this.emit('updated', { upcomingCount });
+    try {
+      for (const win of BrowserWindow.getAllWindows()) {
+        if (win && !win.isDestroyed()) {
+          safeSend(win.webContents, IPC_EVENTS.REMINDERS_UPDATED, { upcomingCount });
+        }
+      }
+    } catch (error) {
+      logger.debug('[ReminderService] Failed to broadcast update', { error: error.message });
+    }
+  }
+
+  async shutdown() {
+    if (this._checkTimer) {
+      clearInterval(this._checkTimer);
+      this._checkTimer = null;
+    }
+    if (typeof this._unsubscribe === 'function') {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    for (const [eventName, listener] of this._coordinatorListeners) {
+      this.filePathCoordinator?.removeListener?.(eventName, listener);
+    }
+    this._coordinatorListeners = [];
+    if (this._checkInFlight) {
+      await this._checkInFlight.catch(() => {});
+    }
+    this.removeAllListeners();
+  }
+}
+
+module.exports = {
+  ReminderService,
+  UPCOMING_DAYS
+};
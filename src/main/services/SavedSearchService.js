@@ -0,0 +1,457 @@
+/**
+ * SavedSearchService - Named searches that act as live smart collections
+ *
+ * Persists the query and ranking options of a search from the search modal
+ * under a name. Each saved search remembers which files it has already
+ * returned, so after new files are analyzed it can be re-run in the
+ * background to find new matches, mark them as "new" in the UI and
+ * (optionally) raise a notification.
+ *
+ * Structured filters (`from:`, `type:`, `after:` ...) live inside the query
+ * string and are parsed again on every run, so a saved search never drifts
+ * from what the search box would do with the same text.
+ *
+ * @module services/SavedSearchService
+ */
+
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { app, BrowserWindow } = require('electron');
+const { createLogger } = require('../../shared/logger');
+const { atomicWriteFile, loadJsonFile } = require('../../shared/atomicFile');
+const { IPC_EVENTS } = require('../../shared/constants');
+const { parseSearchQuery } = require('../../shared/searchQuerySyntax');
+const {
+  getInstance: getCacheInvalidationBus,
+  InvalidationType
+} = require('../../shared/cacheInvalidation');
+const { safeSend } = require('../ipc/ipcWrappers');
+
+const logger = createLogger('SavedSearchService');
+
+const STORE_FILENAME = 'saved-searches.json';
+const STORE_VERSION = 1;
+const MAX_SAVED_SEARCHES = 50;
+const MAX_NAME_LENGTH = 100;
+const MAX_QUERY_LENGTH = 1000;
+// Upper bound on remembered result ids per search; oldest ids are dropped first
+const MAX_KNOWN_IDS = 1000;
+// Analysis completes in bursts (batch imports, watchers); wait for the burst to settle
+// and for embeddings to land before re-running every saved search.
+const MATCH_CHECK_DELAY_MS = 15000;
+
+/** Ranking options a saved search may carry, with the search modal's defaults. */
+const DEFAULT_RUN_OPTIONS = Object.freeze({
+  topK: 50,
+  mode: 'hybrid',
+  minScore: null,
+  rerank: true,
+  rerankTopN: 10,
+  correctSpelling: true,
+  expandSynonyms: true
+});
+
+const RUN_MODES = ['hybrid', 'vector', 'bm25'];
+
+/**
+ * Keep only known run options, falling back to defaults for invalid values.
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function normalizeRunOptions(options = {}) {
+  const source = options && typeof options === 'object' ? options : {};
+  const clampInt = (value, min, max, fallback) =>
+    Number.isInteger(value) && value >= min && value <= max ? value : fallback;
+  const bool = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+  return {
+    topK: clampInt(source.topK, 1, 200, DEFAULT_RUN_OPTIONS.topK),
+    mode: RUN_MODES.includes(source.mode) ? source.mode : DEFAULT_RUN_OPTIONS.mode,
+    minScore:
+      typeof source.minScore === 'number' && source.minScore >= 0 && source.minScore <= 1
+        ? source.minScore
+        : DEFAULT_RUN_OPTIONS.minScore,
+    rerank: bool(source.rerank, DEFAULT_RUN_OPTIONS.rerank),
+    rerankTopN: clampInt(source.rerankTopN, 1, 50, DEFAULT_RUN_OPTIONS.rerankTopN),
+    correctSpelling: bool(source.correctSpelling, DEFAULT_RUN_OPTIONS.correctSpelling),
+    expandSynonyms: bool(source.expandSynonyms, DEFAULT_RUN_OPTIONS.expandSynonyms)
+  };
+}
+
+/**
+ * Renderer-facing view of a saved search (omits the remembered id list).
+ * @param {Object} search
+ * @returns {Object}
+ */
+function toPublicSearch(search) {
+  const { knownIds: _knownIds, newMatchIds, ...rest } = search;
+  return {
+    ...rest,
+    filters: parseSearchQuery(search.query).filters,
+    newMatchIds: [...newMatchIds],
+    newMatchCount: newMatchIds.length
+  };
+}
+
+class SavedSearchService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.searchService - SearchService used to run queries
+   * @param {Object} [deps.notificationService] - NotificationService for new-match alerts
+   * @param {string} [deps.filePath] - Storage path (defaults to userData/saved-searches.json)
+   * @param {number} [deps.checkDelayMs] - Debounce before re-running searches after analysis
+   */
+  constructor({ searchService, notificationService = null, filePath, checkDelayMs } = {}) {
+    this.searchService = searchService;
+    this.notificationService = notificationService;
+    this._filePath = filePath || null;
+    this._checkDelayMs = Number.isFinite(checkDelayMs) ? checkDelayMs : MATCH_CHECK_DELAY_MS;
+    this._searches = [];
+    this._initPromise = null;
+    this._unsubscribe = null;
+    this._checkTimer = null;
+    this._checkInFlight = null;
+    this._checkPending = false;
+  }
+
+  _getFilePath() {
+    if (!this._filePath) {
+      this._filePath = path.join(app.getPath('userData'), STORE_FILENAME);
+    }
+    return this._filePath;
+  }
+
+  async initialize() {
+    if (!this._initPromise) {
+      this._initPromise = this._load().then(() => this._subscribe());
+    }
+    return this._initPromise;
+  }
+
+  async _load() {
+    const data = await loadJsonFile(this._getFilePath(), {
+      description: 'saved searches',
+      backupCorrupt: true
+    });
+    const searches = Array.isArray(data?.searches) ? data.searches : [];
+    this._searches = searches
+      .filter((s) => s && typeof s.id === 'string' && typeof s.query === 'string')
+      .map((s) => ({
+        ...s,
+        options: normalizeRunOptions(s.options),
+        notify: s.notify === true,
+        knownIds: Array.isArray(s.knownIds) ? s.knownIds : [],
+        newMatchIds: Array.isArray(s.newMatchIds) ? s.newMatchIds : []
+      }));
+    logger.debug('[SavedSearchService] Loaded saved searches', { count: this._searches.length });
+  }
+
+  async _persist() {
+    await atomicWriteFile(
+      this._getFilePath(),
+      { version: STORE_VERSION, searches: this._searches },
+      { pretty: true }
+    );
+  }
+
+  _subscribe() {
+    try {
+      const bus = getCacheInvalidationBus();
+      this._unsubscribe = bus.subscribe('SavedSearchService', {
+        onInvalidate: (event) => {
+          if (event.type === InvalidationType.ANALYSIS_COMPLETE) {
+            this.scheduleMatchCheck();
+          }
+        }
+      });
+    } catch (error) {
+      logger.warn('[SavedSearchService] Failed to subscribe to invalidation bus', {
+        error: error.message
+      });
+    }
+  }
+
+  _find(id) {
+    return this._searches.find((s) => s.id === id) || null;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Saved searches, most recently updated first
+   */
+  async list() {
+    await this.initialize();
+    return [...this._searches]
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+      .map(toPublicSearch);
+  }
+
+  /**
+   * Create a saved search, or update one when `id` is given.
+   * @param {Object} input
+   * @param {string} [input.id]
+   * @param {string} input.name
+   * @param {string} input.query
+   * @param {Object} [input.options] - Ranking options (see DEFAULT_RUN_OPTIONS)
+   * @param {boolean} [input.notify] - Alert when new files match
+   * @returns {Promise<{success: boolean, search?: Object, error?: string}>}
+   */
+  async save(input = {}) {
+    await this.initialize();
+    const name = String(input.name || '').trim();
+    const query = String(input.query || '').trim();
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { success: false, error: `Name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+    if (query.length < 2 || query.length > MAX_QUERY_LENGTH) {
+      return { success: false, error: `Query must be 2-${MAX_QUERY_LENGTH} characters` };
+    }
+    const existing = input.id ? this._find(input.id) : null;
+    if (input.id && !existing) {
+      return { success: false, error: 'Saved search not found' };
+    }
+    const duplicate = this._searches.find(
+      (s) => s.id !== input.id && s.name.toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+      return { success: false, error: `A saved search named "${name}" already exists` };
+    }
+    if (!existing && this._searches.length >= MAX_SAVED_SEARCHES) {
+      return { success: false, error: `At most ${MAX_SAVED_SEARCHES} saved searches are allowed` };
+    }
+
+    const now = new Date().toISOString();
+    let search;
+    if (existing) {
+      const queryChanged = existing.query !== query;
+      Object.assign(existing, {
+        name,
+        query,
+        options: normalizeRunOptions({ ...existing.options, ...input.options }),
+        notify: typeof input.notify === 'boolean' ? input.notify : existing.notify,
+        updatedAt: now
+      });
+      // A different query is a different collection; start tracking from scratch
+      if (queryChanged) {
+        Object.assign(existing, {
+          knownIds: [],
+          newMatchIds: [],
+          matchCount: 0,
+          lastRunAt: null,
+          lastCheckedAt: null
+        });
+      }
+      search = existing;
+    } else {
+      search = {
+        id: randomUUID(),
+        name,
+        query,
+        options: normalizeRunOptions(input.options),
+        notify: input.notify === true,
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null,
+        lastCheckedAt: null,
+        matchCount: 0,
+        knownIds: [],
+        newMatchIds: []
+      };
+      this._searches.push(search);
+    }
+
+    await this._persist();
+    // Seed the known results so only files analyzed from now on count as new
+    if (search.knownIds.length === 0) {
+      await this._refresh(search, { markSeen: true }).catch((error) => {
+        logger.debug('[SavedSearchService] Initial run failed', { error: error.message });
+      });
+    }
+    return { success: true, search: toPublicSearch(search) };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async delete(id) {
+    await this.initialize();
+    const index = this._searches.findIndex((s) => s.id === id);
+    if (index === -1) return { success: false, error: 'Saved search not found' };
+    this._searches.splice(index, 1);
+    await this._persist();
+    return { success: true };
+  }
+
+  /**
+   * Run a saved search and mark its current results as seen.
+   * @param {string} id
+   * @returns {Promise<Object>} SearchService response plus `savedSearch` and `newMatchIds`
+   */
+  async run(id) {
+    await this.initialize();
+    const search = this._find(id);
+    if (!search) return { success: false, results: [], error: 'Saved search not found' };
+
+    const newMatchIds = [...search.newMatchIds];
+    const response = await this._refresh(search, { markSeen: true });
+    return {
+      ...response,
+      newMatchIds,
+      savedSearch: toPublicSearch(search)
+    };
+  }
+
+  /**
+   * Run a search and fold its result ids into the remembered state.
+   * @private
+   * @param {Object} search
+   * @param {Object} options
+   * @param {boolean} options.markSeen - Clear the "new" markers (the user is looking)
+   * @param {Object} [options.overrides] - Run option overrides
+   * @returns {Promise<Object>} SearchService response
+   */
+  async _refresh(search, { markSeen, overrides = {} }) {
+    if (!this.searchService?.hybridSearch) {
+      return { success: false, results: [], error: 'Search service unavailable' };
+    }
+    const { minScore, ...runOptions } = { ...search.options, ...overrides };
+    const response = await this.searchService.hybridSearch(search.query, {
+      ...runOptions,
+      ...(minScore !== null && { minScore })
+    });
+    if (!response?.success) return response || { success: false, results: [] };
+
+    const resultIds = (response.results || []).map((r) => r?.id).filter(Boolean);
+    const known = new Set(search.knownIds);
+    const freshIds = resultIds.filter((id) => !known.has(id));
+    const now = new Date().toISOString();
+
+    search.knownIds = [...search.knownIds, ...freshIds].slice(-MAX_KNOWN_IDS);
+    search.matchCount = resultIds.length;
+    search.lastCheckedAt = now;
+    if (markSeen) {
+      search.newMatchIds = [];
+      search.lastRunAt = now;
+    } else {
+      search.newMatchIds = Array.from(new Set([...search.newMatchIds, ...freshIds]));
+    }
+    await this._persist();
+    return { ...response, freshIds };
+  }
+
+  /**
+   * Debounced background re-run of every saved search after new analysis.
+   */
+  scheduleMatchCheck() {
+    if (this._searches.length === 0) return;
+    if (this._checkTimer) clearTimeout(this._checkTimer);
+    this._checkTimer = setTimeout(() => {
+      this._checkTimer = null;
+      this.checkForNewMatches().catch((error) => {
+        logger.warn('[SavedSearchService] Match check failed', { error: error.message });
+      });
+    }, this._checkDelayMs);
+    if (typeof this._checkTimer.unref === 'function') this._checkTimer.unref();
+  }
+
+  /**
+   * Re-run every saved search and record files that were not returned before.
+   * @returns {Promise<Array<{id: string, name: string, newIds: string[]}>>} Searches with new matches
+   */
+  async checkForNewMatches() {
+    await this.initialize();
+    if (this._checkInFlight) {
+      this._checkPending = true;
+      return this._checkInFlight;
+    }
+
+    this._checkInFlight = (async () => {
+      // New files are not in the BM25 index yet
+      this.searchService?.invalidateIndex?.({ reason: 'saved-search-check' });
+      const updates = [];
+      for (const search of [...this._searches]) {
+        // Skip searches that have never been run; their first run seeds the baseline
+        if (search.knownIds.length === 0 && !search.lastCheckedAt) continue;
+        try {
+          // Background checks skip the LLM re-ranker; it only reorders the top results
+          const response = await this._refresh(search, {
+            markSeen: false,
+            overrides: { rerank: false }
+          });
+          if (response?.freshIds?.length) {
+            updates.push({ id: search.id, name: search.name, newIds: response.freshIds });
+            if (search.notify) {
+              await this.notificationService
+                ?.notifySavedSearchMatches?.(search.name, response.freshIds.length, {
+                  savedSearchId: search.id,
+                  fileIds: response.freshIds.slice(0, 20)
+                })
+                .catch((error) => {
+                  logger.debug('[SavedSearchService] Notification failed', {
+                    error: error.message
+                  });
+                });
+            }
+          }
+        } catch (error) {
+          logger.warn('[SavedSearchService] Saved search check failed', {
+            name: search.name,
+            error: error.message
+          });
+        }
+      }
+      if (updates.length > 0) this._broadcastUpdate(updates);
+      return updates;
+    })();
+
+    try {
+      return await this._checkInFlight;
+    } finally {
+      this._checkInFlight = null;
+      if (this._checkPending) {
+        this._checkPending = false;
+        this.scheduleMatchCheck();
+      }
+    }
+  }
+
+  _broadcastUpdate(updates) {
+    const payload = {
+      searches: updates.map(({ id, newIds }) => ({
+        id,
+        newMatchCount: this._find(id)?.newMatchIds.length || newIds.length
+      }))
+    };
+    try {
+      for (const win of BrowserWindow.getAllWindows()) {
+        if (win && !win.isDestroyed()) {
+          safeSend(win.webContents, IPC_EVENTS.SAVED_SEARCHES_UPDATED, payload);
+        }
+      }
+    } catch (error) {
+      logger.debug('[SavedSearchService] Failed to broadcast update', { error: error.message });
+    }
+  }
+
+  async shutdown() {
+    if (this._checkTimer) {
+      clearTimeout(this._checkTimer);
+      this._checkTimer = null;
+    }
+    if (typeof this._unsubscribe === 'function') {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    if (this._checkInFlight) {
+      await this._checkInFlight.catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  SavedSearchService,
+  normalizeRunOptions,
+  DEFAULT_RUN_OPTIONS,
+  MAX_SAVED_SEARCHES
+};
@@ -13,15 +13,24 @@
 
 const { create, insertMultiple, search: oramaSearch } = require('@orama/orama');
 const fs = require('fs').promises;
+const path = require('path');
 const { createLogger } = require('../../shared/logger');
 const { THRESHOLDS, TIMEOUTS, SEARCH } = require('../../shared/performanceConstants');
 const { normalizePathForIndex } = require('../../shared/pathSanitization');
 const { validateEmbeddingDimensions, padOrTruncateVector } = require('../../shared/vectorMath');
 const { getSemanticFileId } = require('../../shared/fileIdUtils');
+const {
+  parseSearchQuery,
+  matchesSearchConstraints,
+  expandTypeValue
+} = require('../../shared/searchQuerySyntax');
+const { resolveLanguageCode } = require('../../shared/ocrLanguages');
+const { normalizeCurrency } = require('../../shared/financialData');
 
 // Optional services for enhanced query processing
 const { getInstance: getQueryProcessor } = require('./QueryProcessor');
 const { getInstance: getReRanker } = require('./ReRankerService');
+const { getInstance: getFileAccessPolicy } = require('./FileAccessPolicy');
 
 const logger = createLogger('SearchService');
 /**
@@ -35,6 +44,42 @@ const MIN_RESULT_SCORE = THRESHOLDS.MIN_SIMILARITY_SCORE;
  */
 const VECTOR_SEARCH_TIMEOUT = TIMEOUTS.SEMANTIC_QUERY;
 
+/**
+ * Candidate over-fetch factor when a query has field constraints, so enough
+ * results survive post-filtering to fill topK
+ */
+const CONSTRAINED_CANDIDATE_MULTIPLIER = 4;
+
+// Content-derived fields removed from results inside privacy zones. Entries
+// indexed before a folder became private may still carry them.
+const PRIVATE_CONTENT_FIELDS = [
+  'extractedText',
+  'summary',
+  'purpose',
+  'subject',
+  'reasoning',
+  'entity',
+  'project',
+  'keyEntities',
+  'snippet',
+  'content'
+];
+const PRIVATE_MATCH_DETAIL_FIELDS = ['bestSnippet', 'contextSnippet', 'contextSnippetLength'];
+
+/**
+ * Convert a date value to a YYYYMMDD number for range filtering in the BM25 index
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function toDayNumber(value) {
+  if (!value) return null;
+  const literal = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value).trim());
+  if (literal) return Number(`${literal[1]}${literal[2]}${literal[3]}`);
+  const date = new Date(value);
+  if (!Number.isFinite(date.getTime())) return null;
+  return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+}
+
 /**
  * Default search options (from performanceConstants.SEARCH)
  */
@@ -348,7 +393,16 @@ class SearchService {
           keyEntities: 'string[]',
           documentDate: 'string',
           reasoning: 'string',
-          extractedText: 'string'
+          extractedText: 'string',
+          // Filter-only fields for structured query constraints
+          extension: 'enum',
+          categoryKey: 'enum',
+          tagKeys: 'enum[]',
+          languageKey: 'enum',
+          currencyKey: 'enum',
+          fileSize: 'number',
+          amountCents: 'number',
+          documentDay: 'number'
         }
       });
 
@@ -374,6 +428,13 @@ class SearchService {
 
         const normalizedTags = normalizeList(analysis.tags);
         const normalizedKeyEntities = normalizeList(analysis.keyEntities);
+        const extension = path.extname(currentName || currentPath).toLowerCase();
+        const fileSize = Number.isFinite(doc.fileSize) ? doc.fileSize : null;
+        const documentDay = toDayNumber(analysis.documentDate || analysis.date);
+        const amount = Number.isFinite(analysis.financial?.totalAmount)
+          ? analysis.financial.totalAmount
+          : null;
+        const currency = analysis.financial?.currency || null;
 
         const indexDoc = {
           id: canonicalId,
@@ -389,7 +450,15 @@ class SearchService {
           keyEntities: normalizedKeyEntities,
           documentDate: analysis.documentDate || analysis.date || '',
           reasoning: analysis.reasoning || '',
-          extractedText: this._truncateText(analysis.extractedText, 5000)
+          extractedText: this._truncateText(analysis.extractedText, 5000),
+          extension,
+          tagKeys: normalizedTags.map((tag) => tag.toLowerCase()),
+          ...(analysis.category && { categoryKey: String(analysis.category).toLowerCase() }),
+          ...(analysis.language && { languageKey: String(analysis.language).toLowerCase() }),
+          ...(currency && { currencyKey: currency }),
+          ...(fileSize !== null && { fileSize }),
+          ...(amount !== null && { amountCents: Math.round(amount * 100) }),
+          ...(documentDay !== null && { documentDay })
         };
 
         indexDocs.push(indexDoc);
@@ -402,6 +471,8 @@ class SearchService {
           path: currentPath,
           name: currentName,
           type: doc.mimeType || 'document',
+          extension,
+          size: fileSize,
           subject: analysis.subject,
           summary: analysis.summary,
           tags: normalizedTags,
@@ -411,6 +482,9 @@ class SearchService {
           purpose: analysis.purpose || null,
           documentType: analysis.documentType || analysis.type || null,
           documentDate: analysis.documentDate || analysis.date || null,
+          language: analysis.language || null,
+          amount,
+          currency,
           reasoning: analysis.reasoning || null,
           confidence: analysis.confidence,
           keyEntities: normalizedKeyEntities,
@@ -528,9 +602,12 @@ class SearchService {
    *
    * @param {string} query - Search query
    * @param {number} topK - Number of results to return
+   * @param {Object} [options]
+   * @param {Object} [options.where] - Orama where clause (see _buildBm25Where)
    * @returns {Array} Search results with scores
    */
-  async bm25Search(query, topK = 20) {
+  async bm25Search(query, topK = 20, options = {}) {
+    const { where } = options;
     if (!this.bm25Index) {
       logger.warn('[SearchService] BM25 index not built');
       return [];
@@ -544,6 +621,7 @@ class SearchService {
       const results = await oramaSearch(this.bm25Index, {
         term: trimmedQuery,
         limit: topK,
+        ...(where && { where }),
         boost: {
           fileName: 3,
           subject: 2,
@@ -603,11 +681,161 @@ class SearchService {
 
       return mapped;
     } catch (error) {
+      if (where) {
+        // Constraints are re-checked after retrieval, so an unfiltered search is still correct
+        logger.warn(
+          '[SearchService] BM25 where clause failed, retrying unfiltered:',
+          error.message
+        );
+        return this.bm25Search(query, topK);
+      }
       logger.error('[SearchService] BM25 search failed:', error);
       return [];
     }
   }
 
+  /**
+   * Build an Orama where clause from parsed query constraints.
+   * Only constraints the index can express exactly are pushed down; the rest
+   * are applied by _matchesQueryConstraints after retrieval.
+   *
+   * @param {Object} parsedQuery - Result of parseSearchQuery
+   * @returns {Object|null} Where clause, or null when nothing can be pushed down
+   */
+  _buildBm25Where(parsedQuery) {
+    if (!parsedQuery?.hasConstraints) return null;
+    const { filters, exclude } = parsedQuery;
+    const where = {};
+
+    if (filters.type.length > 0) {
+      where.extension = { in: [...new Set(filters.type.flatMap(expandTypeValue))] };
+    } else if (exclude.type.length > 0) {
+      where.extension = { nin: [...new Set(exclude.type.flatMap(expandTypeValue))] };
+    }
+    if (filters.category.length > 0) {
+      where.categoryKey = { in: filters.category.map((value) => value.toLowerCase()) };
+    }
+    if (filters.tag.length > 0) {
+      where.tagKeys = { containsAll: filters.tag.map((value) => value.toLowerCase()) };
+    }
+    if (filters.lang.length > 0) {
+      where.languageKey = {
+        in: filters.lang.map((value) => resolveLanguageCode(value) || value.toLowerCase())
+      };
+    }
+
+    if (filters.currency.length > 0) {
+      where.currencyKey = {
+        in: filters.currency.map((value) => normalizeCurrency(value) || value.toUpperCase())
+      };
+    }
+
+    const toRangeClause = (range) =>
+      range.min != null && range.max != null
+        ? { between: [range.min, range.max] }
+        : range.min != null
+          ? { gte: range.min }
+          : { lte: range.max };
+    if (filters.size) where.fileSize = toRangeClause(filters.size);
+    // Both sides are in cents
+    if (filters.amount) where.amountCents = toRangeClause(filters.amount);
+
+    const after = filters.after ? toDayNumber(filters.after) : null;
+    const before = filters.before ? toDayNumber(filters.before) : null;
+    if (after !== null && before !== null) {
+      // before is exclusive; day numbers are integers so step back one
+      where.documentDay = { between: [after, before - 1] };
+    } else if (after !== null) {
+      where.documentDay = { gte: after };
+    } else if (before !== null) {
+      where.documentDay = { lt: before };
+    }
+
+    return Object.keys(where).length > 0 ? where : null;
+  }
+
+  /**
+   * Check a search result against parsed query constraints, using the
+   * indexed document when available and the result metadata otherwise.
+   *
+   * @param {Object} result - Search result ({ id, metadata })
+   * @param {Object} parsedQuery - Result of parseSearchQuery
+   * @returns {boolean}
+   */
+  _matchesQueryConstraints(result, parsedQuery) {
+    if (!parsedQuery?.hasConstraints) return true;
+    const doc = this.documentMap.get(result?.id) || result?.metadata || {};
+    const filePath = doc.path || '';
+    const name = doc.name || doc.fileName || path.basename(filePath);
+    const tags = Array.isArray(doc.tags) ? doc.tags : [];
+    const keyEntities = Array.isArray(doc.keyEntities) ? doc.keyEntities : [];
+
+    return matchesSearchConstraints(
+      {
+        text: [
+          name,
+          doc.subject,
+          doc.summary,
+          tags.join(' '),
+          doc.category,
+          doc.entity,
+          doc.project,
+          doc.purpose,
+          doc.documentType,
+          keyEntities.join(' '),
+          doc.extractedText
+        ]
+          .filter(Boolean)
+          .join(' '),
+        path: filePath,
+        extension: doc.extension || path.extname(name),
+        entity: doc.entity,
+        documentType: doc.documentType,
+        category: doc.category,
+        tags,
+        project: doc.project,
+        language: doc.language,
+        amount: doc.amount,
+        currency: doc.currency,
+        date: doc.documentDate,
+        size: doc.size
+      },
+      parsedQuery
+    );
+  }
+
+  /**
+   * List indexed documents matching a query that has constraints but no free
+   * text (e.g. `type:pdf after:2024`), newest document date first.
+   *
+   * @param {Object} parsedQuery - Result of parseSearchQuery
+   * @param {number} topK - Maximum results
+   * @returns {Array} Results shaped like BM25 results
+   */
+  _filterOnlySearch(parsedQuery, topK) {
+    const matches = [];
+    for (const doc of this.documentMap.values()) {
+      if (this._matchesQueryConstraints({ id: doc.id }, parsedQuery)) matches.push(doc);
+    }
+    matches.sort((a, b) => (toDayNumber(b.documentDate) || 0) - (toDayNumber(a.documentDate) || 0));
+
+    return matches.slice(0, topK).map((doc) => ({
+      id: doc.id,
+      score: 1,
+      metadata: {
+        path: doc.path,
+        name: doc.name,
+        type: doc.type,
+        tags: doc.tags || [],
+        category: doc.category || '',
+        subject: doc.subject || '',
+        confidence: doc.confidence || 0
+      },
+      source: 'filter',
+      matchDetails: { matchedTerms: [], matchedFields: [] }
+    }));
+  }
+
   _extractQueryTerms(query) {
     if (!query || typeof query !== 'string') return [];
     return query
@@ -1545,8 +1773,54 @@ class SearchService {
    * @param {string} options.mode - Search mode: 'hybrid', 'vector', 'bm25' (default: 'hybrid')
    * @param {number} options.minScore - Minimum score threshold (default: 0.5)
    * @returns {Promise<{success: boolean, results: Array, mode: string}>}
+   *
+   * Field operators in the query (`from:`, `type:`, `after:`, `size:`, `folder:`,
+   * `tag:`, quoted phrases, `-negation`...) are parsed out: the remaining text
+   * drives retrieval and the constraints filter every result set. A query with
+   * constraints but no text lists matching documents (mode 'filter').
+   *
+   * Results for excluded files are dropped and results inside privacy zones
+   * lose their content fields (see FileAccessPolicy).
    */
   async hybridSearch(query, options = {}) {
+    const response = await this._runHybridSearch(query, options);
+    return this._applyAccessPolicy(response);
+  }
+
+  /**
+   * Drop excluded files from a search response and strip content from
+   * privacy-zone results
+   * @param {Object} response - hybridSearch response
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _applyAccessPolicy(response) {
+    if (!response?.success || !Array.isArray(response.results) || response.results.length === 0) {
+      return response;
+    }
+    const filtered = await getFileAccessPolicy().filterItems(response.results, {
+      getPath: (result) => result?.metadata?.path
+    });
+    if (filtered.excluded === 0 && filtered.private.length === 0) {
+      return response;
+    }
+    const privateResults = new Set(filtered.private);
+    const results = filtered.items.map((result) => {
+      if (!privateResults.has(result)) return result;
+      const metadata = { ...result.metadata };
+      const matchDetails = { ...result.matchDetails };
+      PRIVATE_CONTENT_FIELDS.forEach((field) => delete metadata[field]);
+      PRIVATE_MATCH_DETAIL_FIELDS.forEach((field) => delete matchDetails[field]);
+      return { ...result, metadata, matchDetails, private: true };
+    });
+    return { ...response, results };
+  }
+
+  /**
+   * Hybrid search without the access policy applied
+   * @private
+   */
+  async _runHybridSearch(query, options = {}) {
     const {
       topK = DEFAULT_OPTIONS.topK,
       mode = DEFAULT_OPTIONS.mode,
@@ -1584,9 +1858,42 @@ class SearchService {
 
     logger.info('[SearchService] Search started', { query: query.substring(0, 100), mode, topK });
 
+    const parsedQuery = parseSearchQuery(query);
+    const constraints = parsedQuery.hasConstraints ? parsedQuery : null;
+    const searchText = parsedQuery.text.trim().replace(/\s+/g, ' ');
+    const bm25Where = this._buildBm25Where(constraints);
+    const candidateK = constraints ? topK * CONSTRAINED_CANDIDATE_MULTIPLIER : topK;
+    const runBm25 = (text, limit) =>
+      bm25Where ? this.bm25Search(text, limit, { where: bm25Where }) : this.bm25Search(text, limit);
+    const applyConstraints = (results) =>
+      constraints ? results.filter((r) => this._matchesQueryConstraints(r, constraints)) : results;
+    const constraintMeta = constraints && {
+      filters: constraints.filters,
+      exclude: constraints.exclude,
+      phrases: constraints.phrases,
+      excludedTerms: constraints.excludedTerms,
+      ...(constraints.errors.length > 0 && { errors: constraints.errors })
+    };
+
+    if (searchText.length < 2) {
+      if (!constraints) {
+        return { success: false, results: [], error: 'Query too short' };
+      }
+      if (this.isIndexStale()) {
+        await this.buildBM25Index();
+      }
+      const results = this._filterOnlySearch(constraints, topK);
+      return {
+        success: true,
+        results,
+        mode: 'filter',
+        queryMeta: { original: query, constraints: constraintMeta }
+      };
+    }
+
     // BM25 can use synonym expansion, while vector/chunk search should use
     // spelling-corrected text (without synonym stuffing) for cleaner embeddings.
-    const normalizedQuery = query.trim().replace(/\s+/g, ' ');
+    const normalizedQuery = searchText;
     let semanticQuery = normalizedQuery;
     let queryExpanded = false;
 
@@ -1599,14 +1906,14 @@ class SearchService {
     if (queryProcessor) {
       try {
         // Extract filters (years) to boost relevance
-        const filters = queryProcessor.extractFilters(query);
+        const filters = queryProcessor.extractFilters(normalizedQuery);
         const boostedYear = filters.year ? `${filters.year} ${filters.year}` : '';
         if (filters.year) {
           logger.debug('[SearchService] Detected year filter:', filters.year);
         }
 
         if (expandSynonyms || correctSpelling) {
-          const processed = await queryProcessor.processQuery(query, {
+          const processed = await queryProcessor.processQuery(normalizedQuery, {
             expandSynonyms,
             correctSpelling,
             maxSynonymsPerWord: 3
@@ -1629,7 +1936,8 @@ class SearchService {
             expanded: processed.expanded,
             corrections: processed.corrections,
             synonymsAdded: processed.synonymsAdded?.length || 0,
-            filters
+            filters,
+            ...(constraintMeta && { constraints: constraintMeta })
           };
 
           if (processed.corrections?.length > 0) {
@@ -1640,6 +1948,9 @@ class SearchService {
         logger.debug('[SearchService] Query processing failed, using original:', procErr.message);
       }
     }
+    if (!queryMeta && constraintMeta) {
+      queryMeta = { original: query, constraints: constraintMeta };
+    }
 
     try {
       // Log collection and index status to aid troubleshooting
@@ -1672,22 +1983,25 @@ class SearchService {
       // Handle different search modes
       if (mode === 'bm25') {
         // Use expanded query for BM25 (benefits from synonyms)
-        const results = await this.bm25Search(processedQuery, topK);
-        const filtered = this._filterByScore(results, minScore);
+        const results = applyConstraints(await runBm25(processedQuery, candidateK));
+        const filtered = this._filterByScore(results.slice(0, topK), minScore);
         return { success: true, results: filtered, mode: 'bm25', queryMeta };
       }
 
       if (mode === 'vector') {
-        const results = await this.vectorSearch(semanticQuery, topK);
+        const results = await this.vectorSearch(semanticQuery, candidateK);
         this._enrichResults(results);
-        const filtered = this._filterByScore(results, minScore);
+        const filtered = this._filterByScore(applyConstraints(results).slice(0, topK), minScore);
         return { success: true, results: filtered, mode: 'vector', queryMeta };
       }
 
       // Hybrid mode: combine both search types with timeout protection
       // generating the same query embedding twice (saves one LLM inference call per search)
-      const bm25Promise = this.bm25Search(processedQuery, topK * 2);
-      let precomputedEmbedding = normalizePrecomputedEmbedding(options.precomputedEmbedding);
+      const bm25Promise = runBm25(processedQuery, candidateK * 2).then(applyConstraints);
+      // A caller-supplied embedding was computed from the raw query, operators included
+      let precomputedEmbedding = constraints
+        ? null
+        : normalizePrecomputedEmbedding(options.precomputedEmbedding);
       let embeddingTimedOut = false;
       let embeddingFailureReason = null;
       if (!precomputedEmbedding) {
@@ -1734,9 +2048,9 @@ class SearchService {
         };
       }
 
-      const { results: vectorResults, timedOut } = await this._vectorSearchWithTimeout(
+      const { results: rawVectorResults, timedOut } = await this._vectorSearchWithTimeout(
         semanticQuery,
-        topK * 2,
+        candidateK * 2,
         undefined,
         { precomputedEmbedding }
       );
@@ -1744,9 +2058,9 @@ class SearchService {
         typeof this.vectorDb?.getVectorHealth === 'function'
           ? this.vectorDb.getVectorHealth()
           : null;
-      const chunkResults =
+      const rawChunkResults =
         safeChunkWeight > 0 && resolvedChunkTopK > 0
-          ? await this.chunkSearch(semanticQuery, topK * 2, resolvedChunkTopK, {
+          ? await this.chunkSearch(semanticQuery, candidateK * 2, resolvedChunkTopK, {
               chunkContext,
               chunkContextMaxNeighbors,
               chunkContextMaxFiles,
@@ -1776,8 +2090,10 @@ class SearchService {
       }
 
       // Enrich vector/chunk results with up-to-date metadata from documentMap if available
-      this._enrichResults(vectorResults);
-      this._enrichResults(chunkResults);
+      this._enrichResults(rawVectorResults);
+      this._enrichResults(rawChunkResults);
+      const vectorResults = applyConstraints(rawVectorResults);
+      const chunkResults = applyConstraints(rawChunkResults);
 
       // Log search results for debugging
       logger.debug('[SearchService] Hybrid search results:', {
@@ -1919,7 +2235,8 @@ class SearchService {
         graphExpansionDecay
       });
 
-      fusedResults = graphExpansionResult.results;
+      // Graph expansion can pull in neighbors that do not satisfy the query constraints
+      fusedResults = applyConstraints(graphExpansionResult.results);
 
       // Apply minimum score filter to fused results
       let filteredResults = this._filterByScore(fusedResults.slice(0, topK), minScore);
@@ -1946,7 +2263,9 @@ class SearchService {
           });
 
           const rerankStartTime = Date.now();
-          filteredResults = await reRanker.rerank(query, filteredResults, { topN: rerankTopN });
+          filteredResults = await reRanker.rerank(normalizedQuery, filteredResults, {
+            topN: rerankTopN
+          });
           reranked = true;
 
           logger.debug('[SearchService] Re-ranking complete', {
@@ -1962,7 +2281,7 @@ class SearchService {
 
       // CRITICAL: Vector search returning 0 results when BM25 has results indicates dimension mismatch
       if (
-        vectorResults.length === 0 &&
+        rawVectorResults.length === 0 &&
         bm25Results.length > 0 &&
         vectorHealth?.primaryHealthy === false
       ) {
@@ -1985,7 +2304,7 @@ class SearchService {
       }
 
       // Vector + BM25 both empty: check if embeddings exist but are orphaned or unavailable
-      if (vectorResults.length === 0 && bm25Results.length === 0) {
+      if (rawVectorResults.length === 0 && bm25Results.length === 0 && !constraints) {
         try {
           const stats = await this.vectorDb.getStats();
           const fileCount = stats?.files || 0;
@@ -2023,7 +2342,7 @@ class SearchService {
       }
 
       // Chunk search empty when file embeddings exist indicates chunks weren't built
-      if (chunkResults.length === 0 && vectorResults.length > 0) {
+      if (rawChunkResults.length === 0 && rawVectorResults.length > 0) {
         // Only warn if file collection has entries (otherwise chunk collection being empty is expected)
         try {
           const stats = await this.vectorDb.getStats();
@@ -2062,7 +2381,7 @@ class SearchService {
 
       // Detect if vector search effectively failed (dimension mismatch or other issue)
       const vectorSearchFailed =
-        vectorResults.length === 0 &&
+        rawVectorResults.length === 0 &&
         bm25Results.length > 0 &&
         vectorHealth?.primaryHealthy === false;
 
@@ -2119,7 +2438,10 @@ class SearchService {
 
       // Last resort: try BM25-only on complete failure
       try {
-        const bm25Results = await this.bm25Search(query, topK);
+        const bm25Results = applyConstraints(await runBm25(normalizedQuery, candidateK)).slice(
+          0,
+          topK
+        );
         if (bm25Results.length > 0) {
           logger.info('[SearchService] Falling back to BM25-only after hybrid failure');
           const filtered = this._filterByScore(bm25Results, minScore);
@@ -591,6 +591,8 @@ const ServiceIds = {
   ORAMA_VECTOR: 'oramaVector', // New in-process vector database
   SETTINGS: 'settings',
   SEARCH_SERVICE: 'searchService',
+  SAVED_SEARCH: 'savedSearchService', // Saved searches / smart collections
+  REMINDERS: 'reminderService', // Deadline/expiry reminders from document dates
   DOWNLOAD_WATCHER: 'downloadWatcher',
   FILE_PATH_COORDINATOR: 'filePathCoordinator',
   CACHE_INVALIDATION_BUS: 'cacheInvalidationBus',
@@ -598,6 +600,8 @@ const ServiceIds = {
   // AI/Embedding services
   LLAMA_SERVICE: 'llamaService', // New in-process LLM service
   VISION_SERVICE: 'visionService', // Local multimodal runtime wrapper
+  TRANSCRIPTION_SERVICE: 'transcriptionService', // Local whisper.cpp speech-to-text
+  OCR_LANGUAGE_SERVICE: 'ocrLanguageService', // Downloadable OCR language packs
   PARALLEL_EMBEDDING: 'parallelEmbedding',
   EMBEDDING_CACHE: 'embeddingCache',
   MODEL_MANAGER: 'modelManager',
@@ -610,11 +614,13 @@ const ServiceIds = {
   CLUSTERING: 'clustering',
   LEARNING_FEEDBACK: 'learningFeedback', // Records implicit feedback from file organization
   RELATIONSHIP_INDEX: 'relationshipIndex',
+  ENTITY_INDEX: 'entityIndex', // People, organizations, places and products from analysis
 
   // State services
   ANALYSIS_HISTORY: 'analysisHistory',
   CHAT_HISTORY_STORE: 'chatHistoryStore',
   UNDO_REDO: 'undoRedo',
+  METADATA_WRITER: 'metadataWriter', // Writes analysis tags/summaries back to files
   PROCESSING_STATE: 'processingState',
 
   // New cached services
@@ -641,8 +647,11 @@ const SHUTDOWN_ORDER = [
   ServiceIds.DOWNLOAD_WATCHER,
   // High-level services that use other services
   ServiceIds.FILE_PATH_COORDINATOR, // Coordinator depends on many services
+  ServiceIds.SAVED_SEARCH, // Runs queries through SearchService
+  ServiceIds.REMINDERS, // Listens to FilePathCoordinator events
   ServiceIds.SEARCH_SERVICE,
   ServiceIds.RELATIONSHIP_INDEX,
+  ServiceIds.ENTITY_INDEX,
   ServiceIds.LEARNING_FEEDBACK, // Depends on suggestion service, must shutdown before it
   ServiceIds.AUTO_ORGANIZE,
   ServiceIds.ORGANIZATION_SUGGESTION,
@@ -654,6 +663,8 @@ const SHUTDOWN_ORDER = [
   ServiceIds.EMBEDDING_CACHE,
   ServiceIds.MODEL_MANAGER,
   // New services (node-llama-cpp + Orama)
+  ServiceIds.TRANSCRIPTION_SERVICE,
+  ServiceIds.OCR_LANGUAGE_SERVICE,
   ServiceIds.VISION_SERVICE,
   ServiceIds.LLAMA_SERVICE,
   ServiceIds.ORAMA_VECTOR,
@@ -661,6 +672,7 @@ const SHUTDOWN_ORDER = [
   // Third: State management services
   ServiceIds.CHAT_HISTORY_STORE,
   ServiceIds.PROCESSING_STATE,
+  ServiceIds.METADATA_WRITER, // Records undo actions
   ServiceIds.UNDO_REDO,
   ServiceIds.ANALYSIS_HISTORY,
   ServiceIds.FILE_ACCESS_POLICY,
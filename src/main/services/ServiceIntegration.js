@@ -74,6 +74,9 @@ class ServiceIntegration {
     this.autoOrganizeService = null;
     this.smartFolderWatcher = null;
     this.relationshipIndex = null;
+    this.entityIndex = null;
+    this.savedSearchService = null;
+    this.reminderService = null;
     this.initialized = false;
 
     // (e.g. degraded mode after startup timeout). Handlers like GET_CLUSTERS will then resolve
@@ -169,6 +172,7 @@ class ServiceIntegration {
       this.undoRedo = container.resolve(ServiceIds.UNDO_REDO);
       this.processingState = container.resolve(ServiceIds.PROCESSING_STATE);
       this.relationshipIndex = container.resolve(ServiceIds.RELATIONSHIP_INDEX);
+      this.entityIndex = container.tryResolve(ServiceIds.ENTITY_INDEX);
       this.chatHistoryStore = container.tryResolve(ServiceIds.CHAT_HISTORY_STORE);
 
       // Initialize vector service and folder matching
@@ -342,6 +346,34 @@ class ServiceIntegration {
         logger.warn('[ServiceIntegration] FolderMatchingService skipped - Vector DB not available');
       }
 
+      // Saved searches re-run themselves as new files are analyzed (smart collections)
+      try {
+        this.savedSearchService = container.tryResolve(ServiceIds.SAVED_SEARCH);
+        if (this.savedSearchService) {
+          await this.savedSearchService.initialize();
+          initStatus.initialized.push('savedSearches');
+        }
+      } catch (error) {
+        const errorMsg = error?.message || String(error);
+        initStatus.errors.push({ service: 'savedSearches', error: errorMsg });
+        logger.warn('[ServiceIntegration] SavedSearchService initialization failed:', errorMsg);
+        // Non-fatal - saved searches are unavailable until restart
+      }
+
+      // Deadline reminders load their schedule and catch up on dates missed while closed
+      try {
+        this.reminderService = container.tryResolve(ServiceIds.REMINDERS);
+        if (this.reminderService) {
+          await this.reminderService.initialize();
+          initStatus.initialized.push('reminders');
+        }
+      } catch (error) {
+        const errorMsg = error?.message || String(error);
+        initStatus.errors.push({ service: 'reminders', error: errorMsg });
+        logger.warn('[ServiceIntegration] ReminderService initialization failed:', errorMsg);
+        // Non-fatal - reminders are unavailable until restart
+      }
+
       // Log initialization summary
       logger.info('[ServiceIntegration] Initialization complete', {
         initialized: initStatus.initialized.length,
@@ -448,6 +480,15 @@ class ServiceIntegration {
       });
     }
 
+    if (!container.has(ServiceIds.ENTITY_INDEX)) {
+      container.registerSingleton(ServiceIds.ENTITY_INDEX, (c) => {
+        const EntityIndexService = require('./EntityIndexService');
+        return new EntityIndexService({
+          analysisHistoryService: c.resolve(ServiceIds.ANALYSIS_HISTORY)
+        });
+      });
+    }
+
     // This allows other services to depend on ClusteringService independently
     if (!container.has(ServiceIds.CLUSTERING)) {
       container.registerSingleton(ServiceIds.CLUSTERING, (c) => {
@@ -511,6 +552,18 @@ class ServiceIntegration {
       registerVisionService(container, ServiceIds.VISION_SERVICE);
     }
 
+    if (!container.has(ServiceIds.TRANSCRIPTION_SERVICE)) {
+      const {
+        registerWithContainer: registerTranscriptionService
+      } = require('./TranscriptionService');
+      registerTranscriptionService(container, ServiceIds.TRANSCRIPTION_SERVICE);
+    }
+
+    if (!container.has(ServiceIds.OCR_LANGUAGE_SERVICE)) {
+      const { registerWithContainer: registerOcrLanguageService } = require('./OcrLanguageService');
+      registerOcrLanguageService(container, ServiceIds.OCR_LANGUAGE_SERVICE);
+    }
+
     if (!container.has(ServiceIds.LLAMA_SERVICE)) {
       const { registerWithContainer: registerLlamaService } = require('./LlamaService');
       registerLlamaService(container, ServiceIds.LLAMA_SERVICE);
@@ -648,6 +701,37 @@ class ServiceIntegration {
       });
     }
 
+    if (!container.has(ServiceIds.SAVED_SEARCH)) {
+      container.registerSingleton(ServiceIds.SAVED_SEARCH, (c) => {
+        const { SavedSearchService } = require('./SavedSearchService');
+        return new SavedSearchService({
+          searchService: c.resolve(ServiceIds.SEARCH_SERVICE),
+          notificationService: c.tryResolve(ServiceIds.NOTIFICATION_SERVICE)
+        });
+      });
+    }
+
+    if (!container.has(ServiceIds.METADATA_WRITER)) {
+      container.registerSingleton(ServiceIds.METADATA_WRITER, (c) => {
+        const { MetadataWriterService } = require('./metadataWriter');
+        return new MetadataWriterService({
+          settingsService: c.resolve(ServiceIds.SETTINGS),
+          analysisHistoryService: c.resolve(ServiceIds.ANALYSIS_HISTORY),
+          undoRedoService: c.resolve(ServiceIds.UNDO_REDO)
+        });
+      });
+    }
+
+    if (!container.has(ServiceIds.REMINDERS)) {
+      container.registerSingleton(ServiceIds.REMINDERS, (c) => {
+        const { ReminderService } = require('./ReminderService');
+        return new ReminderService({
+          notificationService: c.tryResolve(ServiceIds.NOTIFICATION_SERVICE),
+          filePathCoordinator: c.tryResolve(ServiceIds.FILE_PATH_COORDINATOR)
+        });
+      });
+    }
+
     // DownloadWatcher monitors downloads folder and needs proper shutdown handling
     if (!container.has(ServiceIds.DOWNLOAD_WATCHER)) {
       container.registerSingleton(ServiceIds.DOWNLOAD_WATCHER, (c) => {
@@ -717,7 +801,10 @@ class ServiceIntegration {
       // Also clear SmartFolderWatcher reference to prevent memory leaks
       this.smartFolderWatcher = null;
       this.relationshipIndex = null;
+      this.entityIndex = null;
       this.chatHistoryStore = null;
+      this.savedSearchService = null;
+      this.reminderService = null;
       this.initialized = false;
 
       logger.info('[ServiceIntegration] All services shut down successfully');
@@ -851,6 +938,21 @@ class ServiceIntegration {
     }
   }
 
+  /**
+   * Give the UndoRedoService access to smart folders, so undoing a chat
+   * action plan can remove the smart folders it created.
+   *
+   * @param {Object} config - Configuration object
+   * @param {Function} config.getCustomFolders - Function to get the live smart folder list
+   * @param {Function} config.saveCustomFolders - Function to persist smart folders
+   */
+  configureUndoRedo({ getCustomFolders, saveCustomFolders }) {
+    if (!this.undoRedo) return;
+    this.undoRedo.getCustomFolders = getCustomFolders;
+    this.undoRedo.saveCustomFolders = saveCustomFolders;
+    logger.info('[ServiceIntegration] UndoRedoService configured');
+  }
+
   /**
    * Run a learning scan on existing smart folder contents
    * This teaches the system from how files are already organized
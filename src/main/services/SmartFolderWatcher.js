@@ -41,6 +41,7 @@ const {
 } = require('../../shared/performanceConstants');
 const { AI_DEFAULTS } = require('../../shared/constants');
 const { getInstance: getFileOperationTracker } = require('../../shared/fileOperationTracker');
+const { getInstance: getFileAccessPolicy } = require('./FileAccessPolicy');
 const { normalizePathForIndex, getCanonicalFileId } = require('../../shared/pathSanitization');
 const { isImagePath } = require('../../shared/fileIdUtils');
 const { isUNCPath } = require('../../shared/crossPlatformUtils');
@@ -1073,6 +1074,13 @@ class SmartFolderWatcher {
       // Verify file still exists and capture stats for reuse below
       const fileStats = await fs.stat(filePath);
 
+      // .stratoignore files and exclusion settings; checked here so every
+      // queue source (events, scans, reanalyze) honors them
+      if (await getFileAccessPolicy().isExcluded(filePath)) {
+        logger.debug('[SMART-FOLDER-WATCHER] Skipping excluded file:', filePath);
+        return;
+      }
+
       logger.info('[SMART-FOLDER-WATCHER] Analyzing file:', filePath, {
         applyNaming: applyNaming !== false,
         isContentUpdate
@@ -1156,7 +1164,8 @@ class SmartFolderWatcher {
               convention: settings.namingConvention || 'keep-original',
               separator: settings.separator ?? '-',
               dateFormat: settings.dateFormat || 'YYYY-MM-DD',
-              caseConvention: settings.caseConvention
+              caseConvention: settings.caseConvention,
+              template: settings.namingTemplate
             };
 
             // Reuse fileStats from existence check above
@@ -1311,12 +1320,17 @@ class SmartFolderWatcher {
               purpose: analysis.purpose || null,
               reasoning: analysis.reasoning || null,
               documentDate: analysis.date || null,
+              keyDates: analysis.keyDates || null,
+              financial: analysis.financial || null,
+              language: analysis.language || null,
               keyEntities: analysis.keyEntities || [],
               extractionMethod: analysis.extractionMethod || null,
               // Image-specific fields
               content_type: isImage ? analysis.content_type || null : null,
               has_text: isImage ? Boolean(analysis.has_text) : null,
-              colors: isImage && Array.isArray(analysis.colors) ? analysis.colors : null
+              colors: isImage && Array.isArray(analysis.colors) ? analysis.colors : null,
+              perceptualHash: analysis.perceptualHash || null,
+              photo: analysis.photo || null
             };
 
             await recordAnalysisResult({
@@ -1463,7 +1477,7 @@ class SmartFolderWatcher {
     } catch {
       // Non-fatal
     }
-    const gate = await shouldEmbed({ stage: 'analysis', policyOverride });
+    const gate = await shouldEmbed({ stage: 'analysis', policyOverride, filePath });
     if (!gate.shouldEmbed) {
       logger.debug('[SMART-FOLDER-WATCHER] Skipping embedding by policy/timing gate', {
         timing: gate.timing,
@@ -0,0 +1,296 @@
+/**
+ * TranscriptionService - Local speech-to-text for audio files
+ *
+ * Runs whisper.cpp in-process through its Node binding against a ggml Whisper
+ * model that lives in the same models directory as the text/vision/embedding
+ * models and is downloaded through ModelDownloadManager. Audio never leaves
+ * the machine.
+ *
+ * @module services/TranscriptionService
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createLogger } = require('../../shared/logger');
+const { createSingletonHelpers } = require('../../shared/singletonFactory');
+const { AI_DEFAULTS } = require('../../shared/constants');
+const { resolveMediaTool } = require('../utils/mediaTools');
+const { asyncSpawn } = require('../utils/asyncSpawnUtils');
+const { resolveModelsPath } = require('./modelPathResolver');
+const { getInstance: getGPUMonitor } = require('./GPUMonitor');
+
+const logger = createLogger('TranscriptionService');
+
+// whisper.cpp decodes these directly; anything else is converted to 16kHz WAV first
+const NATIVE_AUDIO_EXTENSIONS = new Set(['.wav', '.mp3', '.flac', '.ogg']);
+
+const DEFAULT_TRANSCRIBE_TIMEOUT_MS = 30 * 60 * 1000; // Long meeting recordings on CPU
+const CONVERT_TIMEOUT_MS = 5 * 60 * 1000;
+
+let _whisperModule = null;
+let _whisperLoadPromise = null;
+async function loadWhisperModule() {
+  if (_whisperModule) return _whisperModule;
+  // Share one in-flight import between concurrent callers
+  if (!_whisperLoadPromise) {
+    _whisperLoadPromise = import(/* webpackIgnore: true */ '@fugood/whisper.node');
+  }
+  try {
+    _whisperModule = await _whisperLoadPromise;
+    return _whisperModule;
+  } catch (error) {
+    // Clear promise on failure so a future caller can retry
+    _whisperLoadPromise = null;
+    throw error;
+  }
+}
+
+/**
+ * Pick the prebuilt whisper.cpp backend for the detected GPU. The binding
+ * falls back to the CPU/Metal build when the variant package is missing.
+ * @returns {Promise<'default'|'cuda'|'vulkan'>}
+ */
+async function resolveLibVariant() {
+  try {
+    const gpu = await getGPUMonitor().detectGPU();
+    if (gpu?.type === 'cuda' || gpu?.type === 'vulkan') return gpu.type;
+  } catch (error) {
+    logger.debug('[Transcription] GPU detection failed, using default backend', {
+      error: error.message
+    });
+  }
+  return 'default';
+}
+
+/**
+ * Convert a whisper.cpp transcription result into a flat transcript.
+ * @param {Object} result - `{ result, language, segments: [{ text, t0, t1 }] }` with times in ms
+ * @returns {{text: string, language: string|null, segments: Array<{start: number, end: number, text: string}>}}
+ */
+function parseWhisperResult(result) {
+  const rawSegments = Array.isArray(result?.segments) ? result.segments : [];
+  const segments = rawSegments
+    .map((seg) => ({
+      start: Number(seg?.t0) / 1000 || 0,
+      end: Number(seg?.t1) / 1000 || 0,
+      text: String(seg?.text || '').trim()
+    }))
+    .filter((seg) => seg.text && !/^\[(BLANK_AUDIO|MUSIC|NOISE)\]$/i.test(seg.text));
+  return {
+    text: segments
+      .map((seg) => seg.text)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim(),
+    language: typeof result?.language === 'string' && result.language ? result.language : null,
+    segments
+  };
+}
+
+class TranscriptionService {
+  constructor() {
+    this._context = null;
+    this._contextModelPath = null;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Resolve the configured Whisper model, falling back to any other
+   * downloaded Whisper model.
+   * @returns {Promise<string|null>} Absolute model path
+   */
+  async _resolveModel() {
+    let configured = null;
+    try {
+      const SettingsService = require('./SettingsService');
+      const settings = await SettingsService.getInstance()?.load?.();
+      configured = settings?.audioModel || null;
+    } catch (error) {
+      logger.debug('[Transcription] Settings unavailable, using default model', {
+        error: error.message
+      });
+    }
+
+    const { modelsPath } = await resolveModelsPath();
+    const candidates = [configured, AI_DEFAULTS.AUDIO.MODEL, ...AI_DEFAULTS.AUDIO.FALLBACK_MODELS];
+    for (const name of candidates) {
+      if (!name) continue;
+      const candidate = path.join(modelsPath, path.basename(name));
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether transcription can run (runtime + model present).
+   * @returns {Promise<{available: boolean, reason?: string, modelPath?: string}>}
+   */
+  async isAvailable() {
+    try {
+      await loadWhisperModule();
+    } catch (error) {
+      logger.debug('[Transcription] whisper.cpp binding failed to load', {
+        error: error.message
+      });
+      return { available: false, reason: 'whisper runtime not available' };
+    }
+    const modelPath = await this._resolveModel();
+    if (!modelPath) {
+      return { available: false, reason: 'no Whisper model downloaded' };
+    }
+    return { available: true, modelPath };
+  }
+
+  /**
+   * Load (or reuse) the whisper context for a model.
+   * @param {string} modelPath
+   * @returns {Promise<Object>} WhisperContext
+   */
+  async _getContext(modelPath) {
+    if (this._context && this._contextModelPath === modelPath) return this._context;
+    await this._releaseContext();
+
+    const { initWhisper } = await loadWhisperModule();
+    const variant = await resolveLibVariant();
+    this._context = await initWhisper({ filePath: modelPath, useGpu: true }, variant);
+    this._contextModelPath = modelPath;
+    logger.info('[Transcription] Model loaded', { model: path.basename(modelPath), variant });
+    return this._context;
+  }
+
+  async _releaseContext() {
+    const context = this._context;
+    this._context = null;
+    this._contextModelPath = null;
+    if (context) {
+      await context.release().catch((error) => {
+        logger.debug('[Transcription] Context release failed', { error: error.message });
+      });
+    }
+  }
+
+  async _convertToWav(inputPath, workDir) {
+    const ffmpeg = resolveMediaTool('ffmpeg');
+    if (!ffmpeg) {
+      throw new Error(`Cannot decode ${path.extname(inputPath)} audio without ffmpeg`);
+    }
+    const outPath = path.join(workDir, 'input.wav');
+    const result = await asyncSpawn(
+      ffmpeg,
+      ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', outPath],
+      { timeout: CONVERT_TIMEOUT_MS, windowsHide: true }
+    );
+    if (result.status !== 0) {
+      throw new Error(
+        `Audio conversion failed: ${result.error?.message || result.stderr.slice(-200)}`
+      );
+    }
+    return outPath;
+  }
+
+  /**
+   * Transcribe an audio file.
+   * Calls are serialized: whisper saturates the CPU, so parallel runs only slow each other down.
+   *
+   * @param {string} filePath - Audio file path
+   * @param {Object} [options]
+   * @param {string} [options.language='auto'] - ISO code or 'auto' for detection
+   * @param {number} [options.timeoutMs] - Transcription is stopped after this long
+   * @returns {Promise<{text: string, language: string|null, segments: Array, durationSec: number, model: string}>}
+   */
+  transcribe(filePath, options = {}) {
+    const run = this._queue.then(() => this._transcribe(filePath, options));
+    // Keep the queue alive regardless of individual failures
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _transcribe(filePath, options) {
+    const status = await this.isAvailable();
+    if (!status.available) {
+      throw new Error(`Transcription unavailable: ${status.reason}`);
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stratosort-stt-'));
+    try {
+      const ext = path.extname(filePath).toLowerCase();
+      const inputPath = NATIVE_AUDIO_EXTENSIONS.has(ext)
+        ? filePath
+        : await this._convertToWav(filePath, workDir);
+
+      const context = await this._getContext(status.modelPath);
+      const threads = Math.max(1, Math.min(8, (os.cpus()?.length || 2) - 1));
+      const startedAt = Date.now();
+      const { stop, promise } = context.transcribeFile(inputPath, {
+        language: options.language || AI_DEFAULTS.AUDIO.LANGUAGE,
+        maxThreads: threads,
+        duration: AI_DEFAULTS.AUDIO.MAX_DURATION_SEC * 1000,
+        temperature: 0
+      });
+
+      const timeoutMs = options.timeoutMs || DEFAULT_TRANSCRIBE_TIMEOUT_MS;
+      let timer = null;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          stop().catch(() => {});
+          reject(new Error(`Transcription timed out after ${Math.round(timeoutMs / 1000)}s`));
+        }, timeoutMs);
+      });
+
+      let raw;
+      try {
+        raw = await Promise.race([promise, timeout]);
+      } catch (error) {
+        throw new Error(`whisper failed: ${error.message}`, { cause: error });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const parsed = parseWhisperResult(raw);
+      const durationSec = parsed.segments.length
+        ? parsed.segments[parsed.segments.length - 1].end
+        : 0;
+
+      logger.info('[Transcription] Completed', {
+        file: path.basename(filePath),
+        language: parsed.language,
+        segments: parsed.segments.length,
+        chars: parsed.text.length,
+        elapsedMs: Date.now() - startedAt
+      });
+
+      return {
+        ...parsed,
+        durationSec,
+        model: path.basename(status.modelPath)
+      };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async shutdown() {
+    // Let the in-flight transcription finish before freeing the model
+    await this._queue;
+    await this._releaseContext();
+  }
+}
+
+const { getInstance, createInstance, registerWithContainer, resetInstance } =
+  createSingletonHelpers({
+    ServiceClass: TranscriptionService,
+    serviceId: 'TRANSCRIPTION_SERVICE',
+    serviceName: 'TranscriptionService',
+    containerPath: './ServiceContainer',
+    shutdownMethod: 'shutdown'
+  });
+
+module.exports = {
+  TranscriptionService,
+  getInstance,
+  createInstance,
+  registerWithContainer,
+  resetInstance,
+  parseWhisperResult
+};
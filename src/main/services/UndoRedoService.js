@@ -4,6 +4,7 @@ const crypto = require('crypto');
 const { app } = require('electron');
 const { createLogger } = require('../../shared/logger');
 const { buildPathUpdatePairs } = require('../utils/fileIdUtils');
+const { getBundleMemberMoves } = require('../utils/projectBundles');
 const { RETRY } = require('../../shared/performanceConstants');
 const { crossDeviceMove } = require('../../shared/atomicFileOperations');
 const { validateFileOperationPath } = require('../../shared/pathSanitization');
@@ -22,6 +23,15 @@ function getVectorDbService() {
   }
 }
 
+// Lazy-load analysis history; action plans restore tags through it
+function getAnalysisHistoryService() {
+  try {
+    return container.tryResolve(ServiceIds.ANALYSIS_HISTORY);
+  } catch {
+    return null;
+  }
+}
+
 // Use FilePathCoordinator when available for atomic updates
 function getFilePathCoordinator() {
   try {
@@ -34,6 +44,21 @@ function getFilePathCoordinator() {
   return null;
 }
 
+// Lazy-load the metadata writer; it records its own actions through this service
+function getMetadataWriter(undoRedoService) {
+  try {
+    const writer = container.tryResolve(ServiceIds.METADATA_WRITER);
+    if (writer) return writer;
+  } catch {
+    // Fall through to a standalone writer
+  }
+  const { MetadataWriterService } = require('./metadataWriter');
+  return new MetadataWriterService({ undoRedoService });
+}
+
+// Filesystems store mtimes coarsely (FAT: 2s); edits within this window of an action are ignored
+const SELECTIVE_UNDO_MTIME_SLACK_MS = 2000;
+
 // Helper to generate secure random IDs
 const generateSecureId = () =>
   `${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
@@ -66,6 +91,10 @@ class UndoRedoService {
     this._pendingSavePromise = null;
     this._pendingSaveResolve = null;
     this._pendingSaveReject = null;
+
+    // Smart folder accessors, set by ServiceIntegration.configureUndoRedo
+    this.getCustomFolders = null;
+    this.saveCustomFolders = null;
   }
 
   async _validateActionPath(filePath, fieldName = 'path') {
@@ -565,6 +594,415 @@ class UndoRedoService {
     return this.currentIndex < this.actions.length - 1;
   }
 
+  /**
+   * File moves/renames an action performed, in a shape selective undo can reverse.
+   * Other kinds of operations (deletes, folder creation) are not selectively reversible.
+   * @private
+   */
+  _getReversibleOperations(action) {
+    if (action.type === 'FILE_MOVE' || action.type === 'FILE_RENAME') {
+      return [
+        {
+          index: 0,
+          type: action.type === 'FILE_MOVE' ? 'move' : 'rename',
+          originalPath: action.data?.originalPath,
+          newPath: action.data?.newPath
+        }
+      ];
+    }
+    if (
+      (action.type === 'BATCH_ORGANIZE' || action.type === 'BATCH_OPERATION') &&
+      Array.isArray(action.data?.operations)
+    ) {
+      return action.data.operations
+        .map((operation, index) => ({ ...operation, index }))
+        .filter((operation) => operation.type === 'move' || operation.type === 'rename');
+    }
+    return [];
+  }
+
+  /**
+   * Check whether reversing one operation is still safe.
+   * @private
+   * @returns {Promise<Array<{type: string, message: string}>>} Empty when safe
+   */
+  async _detectUndoConflicts(action, actionIndex, operation) {
+    const conflicts = [];
+    const currentPath = operation.newPath;
+
+    // A later (still applied) action that moved this file on again
+    for (let i = actionIndex + 1; i <= this.currentIndex; i++) {
+      const later = this.actions[i];
+      const movedAgain = this._getReversibleOperations(later).find(
+        (op) => op.originalPath === currentPath
+      );
+      if (movedAgain) {
+        conflicts.push({
+          type: 'moved',
+          message: `Moved again by "${later.description}"`,
+          path: movedAgain.newPath
+        });
+        return conflicts;
+      }
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(await this._validateActionPath(currentPath, 'selective-undo-path'));
+    } catch {
+      conflicts.push({ type: 'missing', message: 'File is no longer where it was moved to' });
+      return conflicts;
+    }
+
+    const actionTime = Date.parse(action.timestamp);
+    if (Number.isFinite(actionTime) && stats.mtimeMs > actionTime + SELECTIVE_UNDO_MTIME_SLACK_MS) {
+      conflicts.push({ type: 'modified', message: 'File was modified after it was moved' });
+    }
+
+    if (await this.fileExists(operation.originalPath)) {
+      conflicts.push({
+        type: 'occupied',
+        message: 'Another file now exists at the original location'
+      });
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Preview reversing a single past action, or some files of a batch, without
+   * undoing the actions recorded after it.
+   *
+   * @param {string} actionId - Action to reverse (must not already be undone)
+   * @param {Object} [options]
+   * @param {number[]} [options.operationIndexes] - Batch operations to include (default: all)
+   * @returns {Promise<Object>} `{ success, action, items, readyCount, conflictCount }` where each
+   *   item is `{ index, type, originalPath, newPath, conflicts }`
+   */
+  async previewSelectiveUndo(actionId, { operationIndexes } = {}) {
+    await this.initialize();
+
+    const actionIndex = this.actions.findIndex((a) => a.id === actionId);
+    if (actionIndex === -1) {
+      return { success: false, error: 'Action not found in history' };
+    }
+    if (actionIndex > this.currentIndex) {
+      return { success: false, error: 'Action has already been undone' };
+    }
+
+    const action = this.actions[actionIndex];
+    let operations = this._getReversibleOperations(action);
+    if (operations.length === 0) {
+      return { success: false, error: 'This action cannot be undone selectively' };
+    }
+    if (Array.isArray(operationIndexes)) {
+      const wanted = new Set(operationIndexes);
+      operations = operations.filter((op) => wanted.has(op.index));
+    }
+
+    const items = [];
+    for (const operation of operations) {
+      items.push({
+        index: operation.index,
+        type: operation.type,
+        originalPath: operation.originalPath,
+        newPath: operation.newPath,
+        conflicts: await this._detectUndoConflicts(action, actionIndex, operation)
+      });
+    }
+
+    const conflictCount = items.filter((item) => item.conflicts.length > 0).length;
+    return {
+      success: true,
+      action: {
+        id: action.id,
+        type: action.type,
+        description: action.description,
+        timestamp: action.timestamp,
+        isLatest: actionIndex === this.currentIndex
+      },
+      items,
+      readyCount: items.length - conflictCount,
+      conflictCount
+    };
+  }
+
+  async selectiveUndo(actionId, options = {}) {
+    return this._withMutex(() => this._doSelectiveUndo(actionId, options));
+  }
+
+  /**
+   * Reverse the conflict-free operations from a preview and drop them from the
+   * action so a later full undo does not try to move those files again. The
+   * action is removed from history once nothing is left in it.
+   * @private
+   */
+  async _doSelectiveUndo(actionId, options) {
+    const preview = await this.previewSelectiveUndo(actionId, options);
+    if (!preview.success) return preview;
+
+    const actionIndex = this.actions.findIndex((a) => a.id === actionId);
+    const action = this.actions[actionIndex];
+    const results = [];
+    const pathChanges = [];
+    const reversedIndexes = new Set();
+    const operationsByIndex = new Map(
+      this._getReversibleOperations(action).map((operation) => [operation.index, operation])
+    );
+
+    for (const item of preview.items) {
+      if (item.conflicts.length > 0) {
+        results.push({
+          success: false,
+          skipped: true,
+          source: item.newPath,
+          destination: item.originalPath,
+          conflicts: item.conflicts,
+          error: item.conflicts[0].message
+        });
+        continue;
+      }
+      try {
+        await this.safeMove(item.newPath, item.originalPath);
+        reversedIndexes.add(item.index);
+        pathChanges.push(...this.getOperationPathChanges(operationsByIndex.get(item.index), true));
+        results.push({ success: true, source: item.newPath, destination: item.originalPath });
+      } catch (error) {
+        logger.warn('[UndoRedoService] Operation failed during selective undo', {
+          actionId,
+          path: item.newPath,
+          error: error.message
+        });
+        results.push({
+          success: false,
+          source: item.newPath,
+          destination: item.originalPath,
+          error: error.message
+        });
+      }
+    }
+
+    await this.updateVectorDbPaths(pathChanges);
+
+    if (reversedIndexes.size > 0) {
+      const remaining = Array.isArray(action.data?.operations)
+        ? action.data.operations.filter((_, index) => !reversedIndexes.has(index))
+        : [];
+      if (remaining.length === 0) {
+        this.actions.splice(actionIndex, 1);
+        this.currentIndex--;
+        await this.removeCreatedDirectories(action.data?.createdDirectories);
+      } else {
+        action.data = { ...action.data, operations: remaining };
+        action.description = this.getActionDescription(action.type, action.data);
+      }
+      this._recalculateMemoryEstimate();
+      await this._saveActionsNow();
+    }
+
+    const successCount = results.filter((r) => r.success).length;
+    return {
+      success: successCount > 0,
+      action: preview.action,
+      results,
+      successCount,
+      failCount: results.length - successCount,
+      message:
+        successCount > 0
+          ? `Undid ${successCount} of ${results.length} file${results.length === 1 ? '' : 's'} from: ${preview.action.description}`
+          : 'Nothing was undone'
+    };
+  }
+
+  /**
+   * Remove directories an action created (e.g. smart folder subpaths), deepest first.
+   * Directories that are no longer empty are left alone; failures never fail the undo.
+   * @param {string[]} directories - Directories recorded as created by the action
+   */
+  async removeCreatedDirectories(directories) {
+    if (!Array.isArray(directories) || directories.length === 0) return;
+    const unique = Array.from(new Set(directories.filter((d) => typeof d === 'string' && d)));
+    unique.sort((a, b) => b.length - a.length);
+
+    for (const directory of unique) {
+      try {
+        await fs.rmdir(await this._validateActionPath(directory, 'created-directory'));
+      } catch (error) {
+        if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST' && error.code !== 'ENOENT') {
+          logger.warn('[UndoRedoService] Could not remove created directory', {
+            directory,
+            error: error.message
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Path changes a move or rename causes. A project bundle folder moves as one
+   * operation, but the indexed paths belong to its member files.
+   * @param {Object} operation - `{type, originalPath, newPath, bundleMembers?}`
+   * @param {boolean} [reverse=false] - Describe the undo of the operation
+   * @returns {Array<{oldPath: string, newPath: string}>}
+   */
+  getOperationPathChanges(operation, reverse = false) {
+    if (operation.type !== 'move' && operation.type !== 'rename') return [];
+    const moves = Array.isArray(operation.bundleMembers)
+      ? getBundleMemberMoves(operation.originalPath, operation.newPath, operation.bundleMembers)
+      : [{ oldPath: operation.originalPath, newPath: operation.newPath }];
+    return reverse
+      ? moves.map(({ oldPath, newPath }) => ({ oldPath: newPath, newPath: oldPath }))
+      : moves;
+  }
+
+  /**
+   * Reverse batch file operations, newest first, and point the vector DB back
+   * at the original paths. Failed operations are reported, not thrown.
+   * @param {Object[]} operations - `{type, originalPath, newPath}`
+   * @returns {Promise<Object[]>} Per-operation results
+   */
+  async reverseFileOperations(operations) {
+    const pathChanges = [];
+    const operationResults = [];
+
+    for (const operation of [...operations].reverse()) {
+      try {
+        const result = await this.reverseFileOperation(operation);
+        operationResults.push({
+          ...result,
+          originalPath: operation.originalPath,
+          newPath: operation.newPath,
+          type: operation.type
+        });
+        // Collect path changes for batch vector DB update
+        if (result.success) {
+          pathChanges.push(...this.getOperationPathChanges(operation, true));
+        }
+      } catch (error) {
+        logger.warn('[UndoRedoService] Operation failed during undo', {
+          operation,
+          error: error.message
+        });
+        operationResults.push({
+          success: false,
+          originalPath: operation.originalPath,
+          newPath: operation.newPath,
+          type: operation.type,
+          error: error.message
+        });
+      }
+    }
+    // Batch update vector DB paths for successful operations
+    await this.updateVectorDbPaths(pathChanges);
+    return operationResults;
+  }
+
+  /**
+   * Re-run batch file operations in order and update the vector DB paths.
+   * Failed operations are reported, not thrown.
+   * @param {Object[]} operations - `{type, originalPath, newPath}`
+   * @returns {Promise<Object[]>} Per-operation results
+   */
+  async replayFileOperations(operations) {
+    const pathChanges = [];
+    const operationResults = [];
+
+    for (const operation of operations) {
+      try {
+        await this.executeFileOperation(operation);
+        operationResults.push({
+          success: true,
+          source: operation.originalPath,
+          destination: operation.newPath,
+          type: operation.type
+        });
+        // Collect path changes for batch vector DB update
+        pathChanges.push(...this.getOperationPathChanges(operation));
+      } catch (error) {
+        logger.warn('[UndoRedoService] Operation failed during redo', {
+          operation,
+          error: error.message
+        });
+        operationResults.push({
+          success: false,
+          source: operation.originalPath,
+          destination: operation.newPath,
+          type: operation.type,
+          error: error.message
+        });
+      }
+    }
+    // Batch update vector DB paths for successful operations
+    await this.updateVectorDbPaths(pathChanges);
+    return operationResults;
+  }
+
+  /**
+   * Set tags recorded by an action plan in the analysis history and vector DB.
+   * @param {Object[]} tagChanges - `{filePath, fileId, previousTags, tags}`
+   * @param {'previousTags'|'tags'} field - Which side of the change to apply
+   */
+  async applyTagChanges(tagChanges, field) {
+    if (!Array.isArray(tagChanges) || tagChanges.length === 0) return;
+    const analysisHistory = getAnalysisHistoryService();
+    const vectorDb = getVectorDbService();
+
+    for (const change of tagChanges) {
+      const tags = Array.isArray(change?.[field]) ? change[field] : [];
+      try {
+        await analysisHistory?.updateTags?.(change.filePath, tags);
+        if (change.fileId) await vectorDb?.updateDocumentTags?.(change.fileId, tags);
+      } catch (error) {
+        logger.warn('[UndoRedoService] Could not restore tags', {
+          filePath: change?.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Drop smart folders an action plan created. Their directories are handled
+   * by removeCreatedDirectories.
+   * @param {Object[]} smartFolders - Folder definitions recorded by the plan
+   */
+  async removeSmartFolders(smartFolders) {
+    if (!Array.isArray(smartFolders) || smartFolders.length === 0) return;
+    const folders = typeof this.getCustomFolders === 'function' ? this.getCustomFolders() : null;
+    if (!Array.isArray(folders) || typeof this.saveCustomFolders !== 'function') {
+      logger.warn('[UndoRedoService] Smart folders not configured, leaving them in place');
+      return;
+    }
+    const ids = new Set(smartFolders.map((folder) => folder?.id));
+    const remaining = folders.filter((folder) => !ids.has(folder?.id));
+    if (remaining.length === folders.length) return;
+    folders.splice(0, folders.length, ...remaining);
+    await this.saveCustomFolders(folders);
+  }
+
+  /**
+   * Add back smart folders an action plan created (redo).
+   * @param {Object[]} smartFolders - Folder definitions recorded by the plan
+   */
+  async restoreSmartFolders(smartFolders) {
+    if (!Array.isArray(smartFolders) || smartFolders.length === 0) return;
+    const folders = typeof this.getCustomFolders === 'function' ? this.getCustomFolders() : null;
+    if (!Array.isArray(folders) || typeof this.saveCustomFolders !== 'function') {
+      logger.warn('[UndoRedoService] Smart folders not configured, not restoring them');
+      return;
+    }
+    let added = 0;
+    for (const folder of smartFolders) {
+      if (!folder?.path || folders.some((f) => f?.id === folder.id)) continue;
+      await fs.mkdir(await this._validateActionPath(folder.path, 'smart-folder-path'), {
+        recursive: true
+      });
+      folders.push(folder);
+      added++;
+    }
+    if (added > 0) await this.saveCustomFolders(folders);
+  }
+
   async executeReverseAction(action) {
     switch (action.type) {
       case 'FILE_MOVE':
@@ -572,6 +1010,7 @@ class UndoRedoService {
         await this.safeMove(action.data.newPath, action.data.originalPath);
         // Update vector DB path
         await this.updateVectorDbPath(action.data.newPath, action.data.originalPath);
+        await this.removeCreatedDirectories(action.data.createdDirectories);
         break;
 
       case 'FILE_RENAME':
@@ -649,43 +1088,28 @@ class UndoRedoService {
             : 'Cannot undo batch action with invalid operations data';
           throw new Error(reason);
         }
-        const pathChanges = [];
-        const operationResults = [];
-
-        for (const operation of [...operations].reverse()) {
-          try {
-            const result = await this.reverseFileOperation(operation);
-            operationResults.push({
-              ...result,
-              originalPath: operation.originalPath,
-              newPath: operation.newPath,
-              type: operation.type
-            });
-            // Collect path changes for batch vector DB update
-            if (result.success && (operation.type === 'move' || operation.type === 'rename')) {
-              pathChanges.push({
-                oldPath: operation.newPath,
-                newPath: operation.originalPath
-              });
-            }
-          } catch (error) {
-            logger.warn('[UndoRedoService] Operation failed during undo', {
-              operation,
-              error: error.message
-            });
-            operationResults.push({
-              success: false,
-              originalPath: operation.originalPath,
-              newPath: operation.newPath,
-              type: operation.type,
-              error: error.message
-            });
-          }
-        }
-        // Batch update vector DB paths for successful operations
-        await this.updateVectorDbPaths(pathChanges);
-        // Store results for return
-        action._operationResults = operationResults;
+        action._operationResults = await this.reverseFileOperations(operations);
+        await this.removeCreatedDirectories(action.data.createdDirectories);
+        break;
+      }
+
+      case 'ACTION_PLAN': {
+        // Tags were applied at the files' new locations, so revert them before moving back
+        await this.applyTagChanges(action.data?.tagChanges, 'previousTags');
+        action._operationResults = await this.reverseFileOperations(action.data?.operations || []);
+        await this.removeCreatedDirectories(action.data?.createdDirectories);
+        await this.removeSmartFolders(action.data?.smartFolders);
+        break;
+      }
+
+      case 'METADATA_WRITE': {
+        const results = await this.revertMetadataChanges(action.data?.operations);
+        action._operationResults = results;
+        // Redo must leave alone what undo did not restore
+        const skippedTargets = results
+          .filter((result) => result.skipped)
+          .map(({ filePath, target }) => ({ filePath, target }));
+        action.data = { ...action.data, skippedTargets };
         break;
       }
 
@@ -742,43 +1166,37 @@ class UndoRedoService {
             : 'Cannot redo batch action with invalid operations data';
           throw new Error(reason);
         }
-        const pathChanges = [];
-        const operationResults = [];
-
-        for (const operation of operations) {
-          try {
-            await this.executeFileOperation(operation);
-            operationResults.push({
-              success: true,
-              source: operation.originalPath,
-              destination: operation.newPath,
-              type: operation.type
-            });
-            // Collect path changes for batch vector DB update
-            if (operation.type === 'move' || operation.type === 'rename') {
-              pathChanges.push({
-                oldPath: operation.originalPath,
-                newPath: operation.newPath
-              });
-            }
-          } catch (error) {
-            logger.warn('[UndoRedoService] Operation failed during redo', {
-              operation,
-              error: error.message
-            });
-            operationResults.push({
-              success: false,
-              source: operation.originalPath,
-              destination: operation.newPath,
-              type: operation.type,
-              error: error.message
-            });
-          }
+        action._operationResults = await this.replayFileOperations(operations);
+        break;
+      }
+
+      case 'ACTION_PLAN': {
+        await this.restoreSmartFolders(action.data?.smartFolders);
+        action._operationResults = await this.replayFileOperations(action.data?.operations || []);
+        await this.applyTagChanges(action.data?.tagChanges, 'tags');
+        break;
+      }
+
+      case 'METADATA_WRITE': {
+        // Rewriting creates fresh backups; the old ones were consumed by undo
+        const writer = getMetadataWriter(this);
+        const skippedTargets = action.data?.skippedTargets || [];
+        const files = [];
+        const operations = [];
+        for (const file of action.data?.files || []) {
+          const targets = file.targets.filter(
+            (target) =>
+              !skippedTargets.some(
+                (skipped) => skipped.filePath === file.filePath && skipped.target === target
+              )
+          );
+          if (targets.length === 0) continue;
+          const { changes } = await writer.applyToFile(file.filePath, file.metadata, targets);
+          if (changes.length === 0) continue;
+          files.push({ ...file, targets: changes.map((change) => change.target) });
+          operations.push(...changes);
         }
-        // Batch update vector DB paths for successful operations
-        await this.updateVectorDbPaths(pathChanges);
-        // Store results for return
-        action._operationResults = operationResults;
+        action.data = { ...action.data, files, operations, skippedTargets: [] };
         break;
       }
 
@@ -787,6 +1205,122 @@ class UndoRedoService {
     }
   }
 
+  /**
+   * Undo metadata written by MetadataWriterService, newest change first.
+   * Rewritten files get their backed-up bytes back, created sidecars are
+   * removed and extended attributes get their previous values back. Files
+   * edited since the write are left alone and reported as conflicts.
+   * @param {Object[]} changes
+   * @returns {Promise<Object[]>} Per-change results
+   */
+  async revertMetadataChanges(changes) {
+    if (!Array.isArray(changes)) {
+      throw new Error('Cannot undo metadata write with invalid operations data');
+    }
+    const results = [];
+    for (const change of [...changes].reverse()) {
+      const result = {
+        filePath: change.filePath,
+        targetPath: change.targetPath,
+        target: change.target
+      };
+      if (change.target === 'xattr') {
+        const { restoreExtendedAttributes } = require('./metadataWriter/extendedAttributes');
+        await restoreExtendedAttributes(change.filePath, change.previous);
+      } else if (change.backupPath || change.created) {
+        let stats;
+        try {
+          stats = await fs.stat(
+            await this._validateActionPath(change.targetPath, 'metadata-target')
+          );
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+        if (!stats && change.created) {
+          results.push({ ...result, success: true });
+          continue;
+        }
+        if (!stats) {
+          // Moved or deleted since; restoring would recreate it at the old path
+          logger.warn('[UndoRedoService] Metadata target no longer exists, not restoring', {
+            targetPath: change.targetPath
+          });
+          await this._discardMetadataBackup(change);
+          results.push({
+            ...result,
+            success: false,
+            skipped: true,
+            error: 'File no longer exists'
+          });
+          continue;
+        }
+        const conflict = this._detectMetadataConflict(change, stats);
+        if (conflict) {
+          logger.warn('[UndoRedoService] Metadata target changed since it was written', {
+            targetPath: change.targetPath
+          });
+          await this._discardMetadataBackup(change);
+          results.push({
+            ...result,
+            success: false,
+            skipped: true,
+            conflicts: [conflict],
+            error: conflict.message
+          });
+          continue;
+        }
+        if (change.backupPath) {
+          // Write the original bytes back in place so the file keeps its
+          // permissions, extended attributes and hard links
+          const { overwriteFileContents } = require('./metadataWriter');
+          const backupPath = await this._validateActionPath(change.backupPath, 'metadata-backup');
+          await overwriteFileContents(
+            await this._validateActionPath(change.targetPath, 'metadata-target'),
+            await fs.readFile(backupPath)
+          );
+          await fs.unlink(backupPath).catch(() => {});
+        } else {
+          await fs.unlink(await this._validateActionPath(change.targetPath, 'metadata-sidecar'));
+        }
+      }
+      results.push({ ...result, success: true });
+    }
+    return results;
+  }
+
+  /**
+   * Delete the backup of a metadata change undo did not restore; redo skips
+   * that target, so nothing would ever read it
+   * @private
+   */
+  async _discardMetadataBackup(change) {
+    if (!change.backupPath) return;
+    try {
+      await fs.unlink(await this._validateActionPath(change.backupPath, 'metadata-backup'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('[UndoRedoService] Could not remove metadata backup', {
+          backupPath: change.backupPath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Whether a metadata target was edited after it was written, judged by the
+   * size and mtime recorded at write time (older actions did not record them)
+   * @private
+   * @returns {{type: string, message: string}|null}
+   */
+  _detectMetadataConflict(change, stats) {
+    if (!change.written) return null;
+    if (stats.size !== change.written.size || stats.mtimeMs !== change.written.mtimeMs) {
+      return { type: 'modified', message: 'File was modified after its metadata was written' };
+    }
+    return null;
+  }
+
   async reverseFileOperation(operation) {
     switch (operation.type) {
       case 'move':
@@ -1105,6 +1639,10 @@ class UndoRedoService {
       case 'BATCH_ORGANIZE':
       case 'BATCH_OPERATION':
         return `Organize ${Array.isArray(safe.operations) ? safe.operations.length : 0} files`;
+      case 'METADATA_WRITE':
+        return `Write metadata to ${Array.isArray(safe.files) ? safe.files.length : 0} files`;
+      case 'ACTION_PLAN':
+        return safe.description || 'Chat action plan';
       default:
         return `Unknown action: ${actionType}`;
     }
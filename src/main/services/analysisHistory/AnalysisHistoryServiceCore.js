@@ -15,6 +15,7 @@ const { analysisResultSchema, validateSchema } = require('../../../shared/normal
 const { LIMITS, TIMEOUTS } = require('../../../shared/performanceConstants');
 const { CircuitBreaker } = require('../../utils/CircuitBreaker');
 const { traceHistoryUpdate } = require('../../../shared/pathTraceLogger');
+const { SUPPORTED_IMAGE_EXTENSIONS } = require('../../../shared/constants');
 
 // Import decomposed modules
 const {
@@ -26,7 +27,8 @@ const {
   invalidateCachesOnRemove,
   clearCaches: clearCachesHelper,
   warmCache: warmCacheHelper,
-  subscribeToInvalidationBus
+  subscribeToInvalidationBus,
+  notifyAnalysisComplete
 } = require('./cacheManager');
 
 const {
@@ -521,12 +523,16 @@ class AnalysisHistoryServiceCore {
               keyEntities: safeResults.keyEntities || [],
               dates: safeResults.dates || [],
               amounts: safeResults.amounts || [],
+              financial: safeResults.financial || null,
+              keyDates: safeResults.keyDates || null,
               language: safeResults.language || null,
               sentiment: safeResults.sentiment || null,
               // Image-specific fields
               content_type: safeResults.content_type || null,
               has_text: safeResults.has_text ?? null,
-              colors: safeResults.colors || null
+              colors: safeResults.colors || null,
+              perceptualHash: safeResults.perceptualHash || null,
+              photo: safeResults.photo || null
             },
 
             // Processing metadata
@@ -630,6 +636,7 @@ class AnalysisHistoryServiceCore {
         invalidateCachesOnAdd(this._cache);
         addedEntries.forEach((entry) => updateIncrementalStatsOnAdd(this._cache, entry));
         pendingEntryResolutions.forEach(({ resolve, id }) => resolve(id));
+        notifyAnalysisComplete(addedEntries);
 
         // Cleanup if needed
         await performMaintenanceIfNeeded(
@@ -1059,6 +1066,76 @@ class AnalysisHistoryServiceCore {
     return this.updateEmbeddingStateByPath(filePath, { policy });
   }
 
+  /**
+   * List analyzed images with their perceptual fingerprints, one per current
+   * path (newest entry wins). `fingerprint` is null for images analyzed
+   * before fingerprints were stored.
+   *
+   * @returns {Promise<Array<{entryId: string, path: string, name: string,
+   *   size: number|null, fingerprint: Object|null}>>}
+   */
+  async getImageFingerprints() {
+    await this.initialize();
+    const byPath = new Map();
+    for (const entry of Object.values(this.analysisHistory?.entries || {})) {
+      const fingerprint = entry?.analysis?.perceptualHash || null;
+      const isImage =
+        fingerprint ||
+        SUPPORTED_IMAGE_EXTENSIONS.includes(String(entry?.fileExtension || '').toLowerCase());
+      const currentPath = entry?.organization?.actual || entry?.originalPath;
+      if (!isImage || typeof currentPath !== 'string' || !currentPath) continue;
+
+      const previous = byPath.get(currentPath);
+      if (previous && String(previous.timestamp) >= String(entry.timestamp)) continue;
+      byPath.set(currentPath, {
+        entryId: entry.id,
+        timestamp: entry.timestamp,
+        path: currentPath,
+        name: path.basename(currentPath),
+        size: Number.isFinite(entry.fileSize) ? entry.fileSize : null,
+        fingerprint
+      });
+    }
+    return Array.from(byPath.values(), ({ timestamp: _timestamp, ...image }) => image);
+  }
+
+  /**
+   * Store perceptual fingerprints computed after analysis (backfill for
+   * images analyzed before fingerprints existed).
+   *
+   * @param {Array<{entryId: string, fingerprint: Object}>} updates
+   * @returns {Promise<{updated: number}>}
+   */
+  async setPerceptualHashes(updates) {
+    await this.initialize();
+    this._assertWritable('setPerceptualHashes');
+    if (!Array.isArray(updates) || updates.length === 0) return { updated: 0 };
+
+    const releaseLock = await this._acquireWriteLock('setPerceptualHashes');
+    try {
+      const entries = this.analysisHistory?.entries || {};
+      let updated = 0;
+      for (const { entryId, fingerprint } of updates) {
+        const entry = entries[entryId];
+        if (!entry || !fingerprint?.pHash) continue;
+        if (!entry.analysis) entry.analysis = {};
+        entry.analysis.perceptualHash = fingerprint;
+        updated++;
+      }
+
+      if (updated > 0) {
+        this.analysisHistory.updatedAt = new Date().toISOString();
+        await this.saveHistory();
+        clearCachesHelper(this._cache, this);
+      }
+      return { updated };
+    } finally {
+      if (typeof releaseLock === 'function') {
+        releaseLock();
+      }
+    }
+  }
+
   /**
    * Remove analysis history entries associated with a path.
    * Used to keep BM25/analysis-history-backed search in sync after deletes.
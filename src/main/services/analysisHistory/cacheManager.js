@@ -230,6 +230,32 @@ async function warmCache(cache, getRecentAnalysis, analysisHistory, state) {
   logger.debug('[AnalysisHistoryService] Cache warmed');
 }
 
+/**
+ * Announce newly persisted analysis entries on the cache invalidation bus
+ * (lets saved searches, reminders and other listeners react to new files)
+ *
+ * @param {Array<Object>} entries - Entries that were just saved
+ */
+function notifyAnalysisComplete(entries) {
+  try {
+    const bus = getCacheInvalidationBus();
+    for (const entry of entries) {
+      if (typeof entry?.originalPath !== 'string' || !entry.originalPath) continue;
+      bus.notifyAnalysisComplete(entry.originalPath, {
+        entryId: entry.id,
+        category: entry.analysis?.category,
+        documentType: entry.analysis?.documentType || null,
+        entity: entry.analysis?.entity || null,
+        keyDates: entry.analysis?.keyDates || null
+      });
+    }
+  } catch (error) {
+    logger.debug('[AnalysisHistory-Cache] Failed to publish analysis-complete events', {
+      error: error.message
+    });
+  }
+}
+
 /**
  * Subscribe cache to the cache invalidation bus
  * Ensures analysis history caches are cleared when files are moved/deleted
@@ -328,5 +354,6 @@ module.exports = {
   recalculateIncrementalStats,
   clearCaches,
   warmCache,
-  subscribeToInvalidationBus
+  subscribeToInvalidationBus,
+  notifyAnalysisComplete
 };
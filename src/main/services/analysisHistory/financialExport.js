@@ -0,0 +1,171 @@
+/**
+ * Financial Export
+ *
+ * Formats the typed invoice/receipt/statement fields stored with history
+ * entries (`analysis.financial`) as CSV or as a plain-text accounting
+ * ledger (ledger-cli / hledger journal syntax).
+ *
+ * @module analysisHistory/financialExport
+ */
+
+const { toDateParts, formatDateParts } = require('../../../shared/pathTemplates');
+
+const CSV_HEADERS = [
+  'date',
+  'fileName',
+  'path',
+  'documentType',
+  'profile',
+  'invoiceNumber',
+  'payer',
+  'payee',
+  'totalAmount',
+  'taxAmount',
+  'currency',
+  'dueDate',
+  'lineItems'
+];
+
+// Counter-account per profile: invoices are owed, receipts were paid
+const BALANCING_ACCOUNTS = {
+  invoice: 'Liabilities:Accounts Payable',
+  receipt: 'Assets:Cash'
+};
+
+function toDate(value) {
+  return formatDateParts(toDateParts(value)) || '';
+}
+
+/**
+ * Newest history entry per file that has financial data, oldest document first.
+ * @param {Array<Object>} entries - History entries, newest first
+ * @returns {Array<{ entry: Object, financial: Object, date: string }>}
+ */
+function collectFinancialRecords(entries) {
+  const seen = new Set();
+  const records = [];
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const financial = entry?.analysis?.financial;
+    const key = entry?.organization?.actual || entry?.originalPath;
+    if (!financial || !key || seen.has(key)) continue;
+    seen.add(key);
+    records.push({
+      entry,
+      financial,
+      date: toDate(entry.analysis.documentDate) || toDate(entry.timestamp)
+    });
+  }
+  return records.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  // Keep spreadsheets from evaluating cell content as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function formatLineItem(item) {
+  const quantity =
+    item.quantity != null && item.unitPrice != null
+      ? ` (${item.quantity} x ${item.unitPrice})`
+      : '';
+  const amount = item.amount != null ? ` = ${item.amount}` : '';
+  return `${item.description || 'Item'}${quantity}${amount}`;
+}
+
+/**
+ * @param {Array<Object>} entries - History entries, newest first
+ * @returns {string} CSV with one row per document
+ */
+function toFinancialCsv(entries) {
+  const lines = [CSV_HEADERS.join(',')];
+  for (const { entry, financial, date } of collectFinancialRecords(entries)) {
+    lines.push(
+      [
+        date,
+        entry.organization?.newName || entry.fileName,
+        entry.organization?.actual || entry.originalPath,
+        entry.analysis.documentType,
+        financial.profile,
+        financial.invoiceNumber,
+        financial.payer,
+        financial.payee,
+        financial.totalAmount,
+        financial.taxAmount,
+        financial.currency,
+        financial.dueDate,
+        (financial.lineItems || []).map(formatLineItem).join(' | ')
+      ]
+        .map(csvCell)
+        .join(',')
+    );
+  }
+  return lines.join('\n');
+}
+
+// Ledger treats `;` as a comment and two spaces as the account/amount separator
+const ledgerText = (value) =>
+  String(value || '')
+    .replace(/[;\r\n\t]+/g, ' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+const ledgerAccount = (value) => ledgerText(value).replace(/:/g, '-');
+
+function formatLedgerAmount(amount, currency) {
+  return `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+}
+
+function formatPosting(account, amount, currency) {
+  const amountText = formatLedgerAmount(amount, currency);
+  return `    ${account.padEnd(40)}  ${amountText.padStart(14)}`;
+}
+
+/**
+ * Invoices and receipts become balanced transactions; bank statements and
+ * documents without a total are listed as comments so nothing is dropped silently.
+ *
+ * @param {Array<Object>} entries - History entries, newest first
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {string} Ledger journal
+ */
+function toLedger(entries, { now = new Date() } = {}) {
+  const lines = [`; StratoSort financial export, ${now.toISOString()}`, ''];
+
+  for (const { entry, financial, date } of collectFinancialRecords(entries)) {
+    const filePath = entry.organization?.actual || entry.originalPath;
+    const balancingAccount = BALANCING_ACCOUNTS[financial.profile];
+    if (!balancingAccount || !Number.isFinite(financial.totalAmount)) {
+      const reason = balancingAccount ? 'no total found' : 'bank statement';
+      lines.push(`; skipped ${ledgerText(filePath)} (${reason})`, '');
+      continue;
+    }
+
+    const number = financial.invoiceNumber ? ` (${ledgerText(financial.invoiceNumber)})` : '';
+    const payee =
+      ledgerText(financial.payee) ||
+      ledgerText(entry.analysis.entity) ||
+      ledgerText(entry.fileName);
+    const expenseAccount = `Expenses:${ledgerAccount(entry.analysis.category) || 'Uncategorized'}`;
+    const tax = Number.isFinite(financial.taxAmount) ? financial.taxAmount : 0;
+
+    lines.push(`${date}${number} ${payee}`);
+    lines.push(`    ; file: ${ledgerText(filePath)}`);
+    if (financial.dueDate) lines.push(`    ; due: ${financial.dueDate}`);
+    lines.push(formatPosting(expenseAccount, financial.totalAmount - tax, financial.currency));
+    if (tax) lines.push(formatPosting('Expenses:Tax', tax, financial.currency));
+    lines.push(`    ${balancingAccount}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  collectFinancialRecords,
+  toFinancialCsv,
+  toLedger
+};
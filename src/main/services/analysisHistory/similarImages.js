@@ -0,0 +1,97 @@
+/**
+ * Similar Images
+ *
+ * Groups analyzed photos that look the same (resized copies, re-encoded
+ * JPEGs, burst shots) using the perceptual fingerprints stored with history
+ * entries (`analysis.perceptualHash`). Images analyzed before fingerprints
+ * were stored are fingerprinted on demand and the result is saved back.
+ * Excluded and privacy-zone images are never read or returned.
+ *
+ * @module analysisHistory/similarImages
+ */
+
+const fs = require('fs').promises;
+const { createLogger } = require('../../../shared/logger');
+const { getInstance: getFileAccessPolicy } = require('../FileAccessPolicy');
+const {
+  DEFAULT_MAX_DISTANCE,
+  computeImageFingerprint,
+  groupSimilarImages
+} = require('../../utils/perceptualHash');
+
+const logger = createLogger('AnalysisHistory-SimilarImages');
+
+// Pairwise comparison is quadratic; beyond this the newest images are used
+const MAX_IMAGES = 3000;
+const DEFAULT_BACKFILL_LIMIT = 200;
+const DEFAULT_MAX_RESULTS = 50;
+
+/**
+ * Find groups of visually identical and near-identical images.
+ *
+ * @param {Object} historyService - AnalysisHistoryService
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance] - Largest fingerprint distance (of 64 bits)
+ * @param {number} [options.maxResults=50]
+ * @param {number} [options.backfillLimit=200] - Most images to fingerprint in one call
+ * @returns {Promise<{ success: boolean, groups: Array<Object>, totalImages: number,
+ *   backfilled: number }>}
+ */
+async function findSimilarImages(
+  historyService,
+  {
+    maxDistance = DEFAULT_MAX_DISTANCE,
+    maxResults = DEFAULT_MAX_RESULTS,
+    backfillLimit = DEFAULT_BACKFILL_LIMIT
+  } = {}
+) {
+  const recent = (await historyService.getImageFingerprints()).slice(-MAX_IMAGES);
+  // Entries can predate an exclusion or privacy zone; never fingerprint or list those
+  const { items: images } = await getFileAccessPolicy().filterItems(recent, {
+    dropPrivate: true
+  });
+
+  const present = [];
+  const backfill = [];
+  for (const image of images) {
+    let stats;
+    try {
+      stats = await fs.stat(image.path);
+    } catch {
+      continue; // Moved or deleted since it was analyzed
+    }
+    let { fingerprint } = image;
+    if (!fingerprint && backfill.length < backfillLimit) {
+      fingerprint = await computeImageFingerprint(image.path);
+      if (fingerprint) backfill.push({ entryId: image.entryId, fingerprint });
+    }
+    if (fingerprint) present.push({ ...image, size: stats.size, fingerprint });
+  }
+
+  if (backfill.length > 0) {
+    try {
+      await historyService.setPerceptualHashes(backfill);
+    } catch (error) {
+      logger.warn('[SimilarImages] Failed to store backfilled fingerprints', {
+        error: error.message
+      });
+    }
+  }
+
+  const groups = groupSimilarImages(present, { maxDistance })
+    .slice(0, maxResults)
+    .map((group) => {
+      const members = group.members.map(({ entryId: _entryId, ...member }) => member);
+      return { ...group, members, bestPick: members[0] };
+    });
+
+  logger.info('[SimilarImages] Grouped similar images', {
+    images: present.length,
+    groups: groups.length,
+    backfilled: backfill.length
+  });
+
+  return { success: true, groups, totalImages: present.length, backfilled: backfill.length };
+}
+
+module.exports = { findSimilarImages };
@@ -0,0 +1,192 @@
+/**
+ * Timeline
+ *
+ * Places every analyzed file on a calendar for the timeline view: the
+ * document's own date when analysis found one, otherwise the file's
+ * modification time, otherwise when it was analyzed. The files can be
+ * narrowed by smart folder, entity, tag and a text query; facet counts for
+ * those filters come back with the items. Bucketing by zoom level happens
+ * in the renderer (see shared/timeline).
+ *
+ * @module analysisHistory/timeline
+ */
+
+const path = require('path');
+const { createLogger } = require('../../../shared/logger');
+const { normalizePathForIndex } = require('../../../shared/pathSanitization');
+const { getSemanticFileId } = require('../../../shared/fileIdUtils');
+const { normalizeEntityKey } = require('../../utils/entityNames');
+
+const logger = createLogger('AnalysisHistory-Timeline');
+
+const DEFAULT_LIMIT = 5000;
+const MAX_FACETS = 30;
+const QUERY_RESULT_LIMIT = 5000;
+
+const toDay = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string') {
+    const match = /^\d{4}-\d{2}-\d{2}/.exec(value);
+    if (match) return match[0];
+  }
+  const date = new Date(value);
+  return Number.isFinite(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+};
+
+/**
+ * When a file belongs on the timeline, and where that date came from.
+ * @param {Object} entry - Analysis history entry
+ * @returns {{date: string, dateSource: 'document'|'modified'|'analyzed'}|null}
+ */
+function resolveTimelineDate(entry) {
+  const documentDate = toDay(entry?.analysis?.documentDate || entry?.analysis?.date);
+  if (documentDate) return { date: documentDate, dateSource: 'document' };
+  const modified = toDay(entry?.lastModified);
+  if (modified) return { date: modified, dateSource: 'modified' };
+  const analyzed = toDay(entry?.timestamp);
+  return analyzed ? { date: analyzed, dateSource: 'analyzed' } : null;
+}
+
+const smartFolderName = (organization) => {
+  const folder = organization?.smartFolder;
+  if (typeof folder === 'string') return folder.trim() || null;
+  return typeof folder?.name === 'string' ? folder.name : null;
+};
+
+const entityMentions = (analysis) => {
+  const names = [
+    analysis?.entity,
+    ...(Array.isArray(analysis?.keyEntities) ? analysis.keyEntities : [])
+  ];
+  const mentions = new Map();
+  for (const name of names) {
+    if (typeof name !== 'string') continue;
+    const key = normalizeEntityKey(name);
+    if (key && !mentions.has(key)) mentions.set(key, name.trim());
+  }
+  return mentions;
+};
+
+const countFacet = (counts, key, label) => {
+  const facet = counts.get(key);
+  if (facet) facet.count += 1;
+  else counts.set(key, { value: key, label, count: 1 });
+};
+
+const topFacets = (counts) =>
+  Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, MAX_FACETS);
+
+/**
+ * Timeline items for the analyzed corpus.
+ *
+ * @param {Object} historyService - AnalysisHistoryService
+ * @param {Object} [options]
+ * @param {string} [options.smartFolder] - Smart folder name
+ * @param {string} [options.entity] - Entity id (`entity:<key>`) or name
+ * @param {string} [options.tag]
+ * @param {string} [options.query] - Text matched against names, subjects, summaries and tags
+ * @param {number} [options.limit=5000] - Most items returned (newest kept)
+ * @returns {Promise<{ success: boolean, items: Array<Object>, total: number, truncated: boolean,
+ *   range: {from: string, to: string}|null,
+ *   facets: {smartFolders: Array, tags: Array, entities: Array} }>}
+ */
+async function getTimeline(
+  historyService,
+  { smartFolder, entity, tag, query, limit = DEFAULT_LIMIT } = {}
+) {
+  await historyService.initialize();
+  const entries = Object.values(historyService.analysisHistory?.entries || {});
+
+  let queryIds = null;
+  const trimmedQuery = typeof query === 'string' ? query.trim() : '';
+  if (trimmedQuery) {
+    const results = await historyService.searchAnalysis(trimmedQuery, {
+      limit: QUERY_RESULT_LIMIT,
+      semantic: false
+    });
+    queryIds = new Set((results || []).map((result) => result.id));
+  }
+
+  const entityKey = entity
+    ? String(entity).startsWith('entity:')
+      ? String(entity).slice('entity:'.length)
+      : normalizeEntityKey(entity)
+    : null;
+  const tagKey = tag ? String(tag).trim().toLowerCase() : null;
+  const folderKey = smartFolder ? String(smartFolder).trim().toLowerCase() : null;
+
+  // Newest entry per file
+  const byPath = new Map();
+  for (const entry of entries) {
+    const currentPath = entry?.organization?.actual || entry?.originalPath;
+    if (typeof currentPath !== 'string' || !currentPath) continue;
+    if (queryIds && !queryIds.has(entry.id)) continue;
+    const previous = byPath.get(currentPath);
+    if (previous && String(previous.timestamp) >= String(entry.timestamp)) continue;
+    byPath.set(currentPath, entry);
+  }
+
+  const folderCounts = new Map();
+  const tagCounts = new Map();
+  const entityCounts = new Map();
+  const items = [];
+
+  for (const [currentPath, entry] of byPath) {
+    const when = resolveTimelineDate(entry);
+    if (!when) continue;
+    const analysis = entry.analysis || {};
+    const folder = smartFolderName(entry.organization);
+    const tags = Array.isArray(analysis.tags)
+      ? analysis.tags.filter((t) => typeof t === 'string' && t.trim())
+      : [];
+    const mentions = entityMentions(analysis);
+
+    // Facets describe the query-filtered corpus so filters can be combined
+    if (folder) countFacet(folderCounts, folder.toLowerCase(), folder);
+    tags.forEach((t) => countFacet(tagCounts, t.trim().toLowerCase(), t.trim()));
+    mentions.forEach((label, key) => countFacet(entityCounts, `entity:${key}`, label));
+
+    if (folderKey && folder?.toLowerCase() !== folderKey) continue;
+    if (tagKey && !tags.some((t) => t.trim().toLowerCase() === tagKey)) continue;
+    if (entityKey && !mentions.has(entityKey)) continue;
+
+    const normalizedPath = normalizePathForIndex(currentPath);
+    items.push({
+      id: normalizedPath ? getSemanticFileId(normalizedPath) : entry.id,
+      path: currentPath,
+      name: entry.organization?.newName || path.basename(currentPath),
+      date: when.date,
+      dateSource: when.dateSource,
+      category: analysis.category || null,
+      subject: analysis.subject || null,
+      smartFolder: folder
+    });
+  }
+
+  items.sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+  const total = items.length;
+  const kept = total > limit ? items.slice(total - limit) : items;
+  if (kept.length < total) {
+    logger.debug('[Timeline] Truncated to newest items', { total, limit });
+  }
+
+  return {
+    success: true,
+    items: kept,
+    total,
+    truncated: kept.length < total,
+    range: kept.length > 0 ? { from: kept[0].date, to: kept[kept.length - 1].date } : null,
+    facets: {
+      smartFolders: topFacets(folderCounts),
+      tags: topFacets(tagCounts),
+      entities: topFacets(entityCounts)
+    }
+  };
+}
+
+module.exports = {
+  getTimeline,
+  resolveTimelineDate
+};
@@ -13,13 +13,19 @@ const { DEFAULT_SETTINGS } = require('../../../shared/defaultSettings');
 
 // Import decomposed modules
 const { getFileTypeCategory, sanitizeFile } = require('./fileTypeUtils');
-const { getFallbackDestination, buildDestinationPath } = require('./folderOperations');
+const {
+  getFallbackDestination,
+  buildDestinationPath,
+  attachTemplateTimestamps
+} = require('./folderOperations');
 const { processBatchResults, batchOrganize: batchOrganizeHelper } = require('./batchProcessor');
 const {
+  processFilesByRules,
   processFilesWithoutAnalysis,
   processFilesIndividually,
   processNewFile: processNewFileHelper
 } = require('./fileProcessor');
+const { collapseBundledFiles, applyBundlesToOperations } = require('../../utils/projectBundles');
 
 // Normalize a confidence value into [0, 1], falling back when invalid
 const coerceConfidence = (val, fallback = DEFAULT_SETTINGS.confidenceThreshold) => {
@@ -107,7 +113,7 @@ class AutoOrganizeServiceCore {
    * Automatically organize files based on their analysis
    * Uses batched suggestions for improved performance
    */
-  async organizeFiles(files, smartFolders, options = {}) {
+  async organizeFiles(inputFiles, smartFolders, options = {}) {
     const {
       confidenceThreshold,
       defaultLocation = 'Documents',
@@ -127,6 +133,9 @@ class AutoOrganizeServiceCore {
     const effectiveThreshold =
       requestedThreshold == null ? baseThreshold : Math.max(baseThreshold, requestedThreshold);
 
+    // Project folders and multi-file formats are organized as one unit
+    const { files, bundles } = await this._collapseBundles(inputFiles, smartFolders);
+
     logger.info('[AutoOrganize] Starting automatic organization', {
       fileCount: files.length,
       smartFolderCount: smartFolders.length,
@@ -141,11 +150,22 @@ class AutoOrganizeServiceCore {
       operations: []
     };
 
+    // Subpath templates like "{year}" fall back to file timestamps
+    await attachTemplateTimestamps(files, smartFolders);
+
+    // Deterministic smart folder rules run first; only unmatched files reach AI matching
+    const remainingFiles = await processFilesByRules(
+      files,
+      smartFolders,
+      { defaultLocation, preserveNames },
+      results
+    );
+
     // Separate files with and without analysis
     const filesWithAnalysis = [];
     const filesWithoutAnalysis = [];
 
-    for (const file of files) {
+    for (const file of remainingFiles) {
       if (!file.analysis) {
         filesWithoutAnalysis.push(file);
       } else {
@@ -268,6 +288,8 @@ class AutoOrganizeServiceCore {
       }
     }
 
+    results.operations = applyBundlesToOperations(results.operations, bundles);
+
     // Log summary
     logger.info('[AutoOrganize] Organization complete', {
       organized: results.organized.length,
@@ -281,8 +303,9 @@ class AutoOrganizeServiceCore {
   /**
    * Batch organize with automatic confidence-based filtering
    */
-  async batchOrganize(files, smartFolders, options = {}) {
-    return batchOrganizeHelper(
+  async batchOrganize(inputFiles, smartFolders, options = {}) {
+    const { files, bundles } = await this._collapseBundles(inputFiles, smartFolders);
+    const results = await batchOrganizeHelper(
       files,
       smartFolders,
       options,
@@ -290,6 +313,26 @@ class AutoOrganizeServiceCore {
       this.thresholds,
       this.buildDestinationPath.bind(this)
     );
+    results.operations = applyBundlesToOperations(results.operations, bundles);
+    return results;
+  }
+
+  /**
+   * Replace bundle members with one unit per bundle (best effort). Smart
+   * folders are never part of a bundle.
+   * @private
+   */
+  async _collapseBundles(files, smartFolders = []) {
+    try {
+      return await collapseBundledFiles(files, {
+        boundaries: (Array.isArray(smartFolders) ? smartFolders : []).map((folder) => folder?.path)
+      });
+    } catch (error) {
+      logger.warn('[AutoOrganize] Bundle detection failed, organizing files individually', {
+        error: error.message
+      });
+      return { files, bundles: [] };
+    }
   }
 
   /**
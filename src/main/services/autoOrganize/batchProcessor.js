@@ -14,11 +14,13 @@ const { sanitizeFile } = require('./fileTypeUtils');
 const {
   getFallbackDestination,
   buildDestinationPath,
-  findDefaultFolder
+  findDefaultFolder,
+  attachTemplateTimestamps
 } = require('./folderOperations');
 const { safeSuggestion, resolveSuggestionToSmartFolder } = require('./pathUtils');
 const { makeUniqueFileName } = require('../../../shared/namingConventions');
 const { generateSecureId } = require('./idUtils');
+const { matchFileToRule } = require('./ruleMatching');
 
 const logger = createLogger('AutoOrganize-Batch');
 const CONFIDENCE_THRESHOLDS = {
@@ -236,13 +238,6 @@ async function batchOrganize(
     fileCount: files.length
   });
 
-  // Get batch suggestions
-  const batchSuggestions = await suggestionService.getBatchSuggestions(files, smartFolders);
-
-  if (!batchSuggestions?.success) {
-    throw new Error('Failed to get batch suggestions');
-  }
-
   const results = {
     operations: [],
     groups: [],
@@ -251,6 +246,81 @@ async function batchOrganize(
   };
   const pendingFeedback = [];
 
+  await attachTemplateTimestamps(files, smartFolders);
+
+  // Smart folder rules run before AI suggestions; rule groups are always auto-approved
+  const ruleGroups = new Map();
+  const unmatchedFiles = [];
+  for (const file of files) {
+    let ruleMatch = null;
+    if (file?.path) {
+      try {
+        ruleMatch = await matchFileToRule(file, smartFolders);
+      } catch (ruleError) {
+        logger.warn('[AutoOrganize] Rule evaluation failed in batch:', {
+          file: file.path,
+          error: ruleError.message
+        });
+      }
+    }
+    if (!ruleMatch) {
+      unmatchedFiles.push(file);
+      continue;
+    }
+    const key = `${ruleMatch.matchedRule.folderId}|${ruleMatch.matchedRule.ruleId}`;
+    if (!ruleGroups.has(key)) {
+      ruleGroups.set(key, { match: ruleMatch, files: [] });
+    }
+    ruleGroups.get(key).files.push(file);
+  }
+
+  for (const { match, files: groupFiles } of ruleGroups.values()) {
+    const safeGroup = safeSuggestion(match.suggestion);
+    for (const file of groupFiles) {
+      results.operations.push({
+        type: 'move',
+        source: file.path,
+        destination: buildDestFn(
+          file,
+          {
+            folder: safeGroup.folder,
+            path: safeGroup.path,
+            subpathTemplate: safeGroup.subpathTemplate,
+            namingTemplate: safeGroup.namingTemplate
+          },
+          options.defaultLocation || 'Documents',
+          options.preserveNames
+        )
+      });
+    }
+    results.groups.push({
+      folder: safeGroup.folder,
+      files: groupFiles,
+      confidence: 1,
+      autoApproved: true,
+      partialSuccess: false,
+      matchedRule: match.matchedRule
+    });
+  }
+
+  if (ruleGroups.size > 0 && unmatchedFiles.length === 0) {
+    logger.info('[AutoOrganize] Batch organization complete (all files matched rules)', {
+      operationCount: results.operations.length,
+      groupCount: results.groups.length
+    });
+    return results;
+  }
+
+  // Get batch suggestions
+  const batchSuggestions = await suggestionService.getBatchSuggestions(
+    unmatchedFiles,
+    smartFolders
+  );
+
+  if (!batchSuggestions?.success) {
+    throw new Error('Failed to get batch suggestions');
+  }
+
   // Process groups with error handling
   const groups = Array.isArray(batchSuggestions.groups) ? batchSuggestions.groups : [];
   for (const group of groups) {
@@ -317,7 +387,12 @@ async function batchOrganize(
 
             const destination = buildDestFn(
               file,
-              { folder: folderName, path: folderPath },
+              {
+                folder: folderName,
+                path: folderPath,
+                subpathTemplate: safeGroup.subpathTemplate,
+                namingTemplate: safeGroup.namingTemplate
+              },
               options.defaultLocation || 'Documents',
               options.preserveNames
             );
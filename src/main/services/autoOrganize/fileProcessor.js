@@ -14,9 +14,12 @@ const { generateSuggestedNameFromAnalysis } = require('./namingUtils');
 const {
   findDefaultFolder,
   getFallbackDestination,
-  buildDestinationPath
+  buildDestinationPath,
+  attachTemplateTimestamps
 } = require('./folderOperations');
 const { safeSuggestion, resolveSuggestionToSmartFolder } = require('./pathUtils');
+const { matchFileToRule } = require('./ruleMatching');
+const { analyzeBundle, createBundleFile } = require('../../utils/projectBundles');
 // FIX C-5: Import from shared idUtils to break circular dependency with batchProcessor
 const { generateSecureId } = require('./idUtils');
 
@@ -48,6 +51,118 @@ function getUniqueBatchDestination(initialDestination, plannedDestinations) {
   return destination;
 }
 
+/**
+ * Reserve a destination that is free on disk and not claimed by another
+ * in-flight auto-organize, bumping a numeric suffix on collision.
+ * The reservation auto-expires after 30s in case the caller never moves.
+ * @param {string} initialDestination
+ * @param {string} failureMessage - Error message when no slot is found
+ * @returns {Promise<string>}
+ */
+async function reserveUniqueDestination(initialDestination, failureMessage) {
+  let destination = initialDestination;
+  let attempt = 0;
+  const ext = path.extname(destination);
+  const base = destination.slice(0, destination.length - ext.length);
+  let normalizedDest = normalizeLockPath(destination);
+
+  while (attempt < 50) {
+    // Check disk collision first
+    try {
+      await fs.access(destination);
+      attempt++;
+      destination = `${base}-${attempt + 1}${ext}`;
+      normalizedDest = normalizeLockPath(destination);
+      continue;
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        throw error; // Unexpected FS error
+      }
+    }
+
+    // Check in-memory lock
+    if (destinationLocks.has(normalizedDest)) {
+      attempt++;
+      destination = `${base}-${attempt + 1}${ext}`;
+      normalizedDest = normalizeLockPath(destination);
+      continue;
+    }
+
+    // Found free slot! Lock it.
+    destinationLocks.add(normalizedDest);
+    const timer = setTimeout(() => destinationLocks.delete(normalizedDest), 30000);
+    if (timer && typeof timer.unref === 'function') {
+      timer.unref();
+    }
+    return destination;
+  }
+
+  throw new Error(failureMessage);
+}
+
+/**
+ * Route files whose smart folder rules match, ahead of any AI suggestion.
+ * Matched files are added to results; the rest are returned for normal processing.
+ * @param {Array} files - Files to check
+ * @param {Array} smartFolders - Smart folders (with optional `rules`)
+ * @param {Object} options - Processing options (defaultLocation, preserveNames)
+ * @param {Object} results - Results object to populate
+ * @returns {Promise<Array>} Files that no rule matched
+ */
+async function processFilesByRules(files, smartFolders, options, results) {
+  const { defaultLocation, preserveNames } = options;
+  if (!results._plannedDestinations) {
+    results._plannedDestinations = new Set();
+  }
+
+  const unmatched = [];
+  for (const file of files) {
+    let ruleMatch = null;
+    try {
+      ruleMatch = await matchFileToRule(file, smartFolders);
+    } catch (error) {
+      logger.warn('[AutoOrganize] Rule evaluation failed, using AI matching:', {
+        file: file?.path,
+        error: error.message
+      });
+    }
+    if (!ruleMatch) {
+      unmatched.push(file);
+      continue;
+    }
+
+    let destination = buildDestinationPath(
+      file,
+      safeSuggestion(ruleMatch.suggestion),
+      defaultLocation,
+      preserveNames
+    );
+    destination = getUniqueBatchDestination(destination, results._plannedDestinations);
+
+    results.organized.push({
+      file: sanitizeFile(file),
+      suggestion: ruleMatch.suggestion,
+      destination,
+      confidence: 1,
+      method: 'rule',
+      matchedRule: ruleMatch.matchedRule
+    });
+
+    results.operations.push({
+      type: 'move',
+      source: file.path,
+      destination
+    });
+  }
+
+  if (files.length !== unmatched.length) {
+    logger.info('[AutoOrganize] Files routed by smart folder rules', {
+      count: files.length - unmatched.length
+    });
+  }
+  return unmatched;
+}
+
 /**
  * Process files without analysis (use default folder)
  * @param {Array} files - Files without analysis
@@ -339,7 +454,6 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
     const { analyzeImageFile } = require('../../analysis/imageAnalysis');
     const extension = path.extname(filePath).toLowerCase();
 
-    let analysis;
     // Supported image extensions (includes modern formats)
     const imageExtensions = [
       '.jpg',
@@ -355,13 +469,17 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
       '.heif',
       '.avif'
     ];
-    if (imageExtensions.includes(extension)) {
-      analysis = await analyzeImageFile(filePath, smartFolders);
-    } else {
-      analysis = await analyzeDocumentFile(filePath, smartFolders);
-    }
+    const analyzeFile = (targetPath) =>
+      imageExtensions.includes(path.extname(targetPath).toLowerCase())
+        ? analyzeImageFile(targetPath, smartFolders)
+        : analyzeDocumentFile(targetPath, smartFolders);
 
-    if (!analysis || analysis.error) {
+    // Project bundles get one analysis aggregated from a few sampled members
+    const analysis = options.bundle
+      ? await analyzeBundle(options.bundle, analyzeFile)
+      : await analyzeFile(filePath);
+
+    if (!analysis || analysis.error || analysis.bundle?.sampledFiles === 0) {
       logger.warn('[AutoOrganize] Could not analyze file:', filePath);
       return null;
     }
@@ -378,21 +496,24 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
     }
 
     // Create file object
-    const file = {
-      name: path.win32.basename(filePath),
-      path: filePath,
-      extension,
-      analysis
-    };
-
-    // Apply naming convention if settings are provided
-    if (options.namingSettings) {
+    const file = options.bundle
+      ? createBundleFile(options.bundle, analysis)
+      : {
+          name: path.win32.basename(filePath),
+          path: filePath,
+          extension,
+          analysis
+        };
+
+    // Apply naming convention if settings are provided (bundles keep their name)
+    if (options.namingSettings && !file.isBundle) {
       try {
         const stats = await fs.stat(filePath);
         const fileTimestamps = {
           created: stats.birthtime,
           modified: stats.mtime
         };
+        Object.assign(file, fileTimestamps);
 
         const suggestedName = generateSuggestedNameFromAnalysis({
           originalFileName: file.name,
@@ -410,6 +531,47 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
       }
     }
 
+    if (file.modified == null) {
+      await attachTemplateTimestamps([file], smartFolders);
+    }
+
+    // User-defined rules are deterministic and take precedence over AI suggestions
+    const ruleMatch = await matchFileToRule(file, smartFolders);
+    if (ruleMatch) {
+      const destination = await reserveUniqueDestination(
+        buildDestinationPath(
+          file,
+          safeSuggestion(ruleMatch.suggestion),
+          options.defaultLocation,
+          false
+        ),
+        'Failed to find unique destination for rule-based auto-organize'
+      );
+
+      logger.info('[AutoOrganize] Auto-organizing new file by rule', {
+        file: filePath,
+        destination,
+        rule: ruleMatch.matchedRule.ruleName
+      });
+
+      return {
+        source: filePath,
+        destination,
+        confidence: 1,
+        suggestion: ruleMatch.suggestion,
+        matchedRule: ruleMatch.matchedRule,
+        undoAction: {
+          type: 'FILE_MOVE',
+          data: {
+            originalPath: filePath,
+            newPath: destination
+          },
+          timestamp: Date.now(),
+          description: `Auto-organized ${file.name} (rule: ${ruleMatch.matchedRule.ruleName})`
+        }
+      };
+    }
+
     // Get suggestion
     const suggestion = await suggestionService.getSuggestionsForFile(file, smartFolders, {
       includeAlternatives: false
@@ -420,53 +582,10 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
     // Only auto-organize if confidence is very high and destination resolves to a configured smart folder
     if (suggestion.success && canonicalPrimary && suggestion.confidence >= effectiveThreshold) {
       const safePrimary = safeSuggestion(canonicalPrimary);
-      let destination = buildDestinationPath(file, safePrimary, options.defaultLocation, false);
-
-      // Resolve collisions against disk AND in-memory locks
-      let attempt = 0;
-      const ext = path.extname(destination);
-      const base = destination.slice(0, destination.length - ext.length);
-      let normalizedDest = normalizeLockPath(destination);
-
-      while (attempt < 50) {
-        // Check disk collision first
-        try {
-          await fs.access(destination);
-          // Exists on disk, bump
-          attempt++;
-          destination = `${base}-${attempt + 1}${ext}`;
-          normalizedDest = normalizeLockPath(destination);
-          continue;
-        } catch (error) {
-          if (error?.code !== 'ENOENT') {
-            throw error; // Unexpected FS error
-          }
-        }
-
-        // Check in-memory lock
-        if (destinationLocks.has(normalizedDest)) {
-          // Locked by another process, bump
-          attempt++;
-          destination = `${base}-${attempt + 1}${ext}`;
-          normalizedDest = normalizeLockPath(destination);
-          continue;
-        }
-
-        // Found free slot! Lock it.
-        destinationLocks.add(normalizedDest);
-
-        // Auto-release lock after 30s to prevent leaks if caller crashes or fails to move
-        // The caller is expected to complete the move within this window.
-        const timer = setTimeout(() => destinationLocks.delete(normalizedDest), 30000);
-        if (timer && typeof timer.unref === 'function') {
-          timer.unref();
-        }
-        break;
-      }
-
-      if (attempt >= 50) {
-        throw new Error('Failed to find unique destination for auto-organize operation');
-      }
+      const destination = await reserveUniqueDestination(
+        buildDestinationPath(file, safePrimary, options.defaultLocation, false),
+        'Failed to find unique destination for auto-organize operation'
+      );
 
       logger.info('[AutoOrganize] Auto-organizing new file', {
         file: filePath,
@@ -501,44 +620,10 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
     const defaultFolder = findDefaultFolder(smartFolders);
 
     if (defaultFolder && defaultFolder.path) {
-      let destination = buildDestinationPath(file, defaultFolder, options.defaultLocation, false);
-
-      let attempt = 0;
-      const ext = path.extname(destination);
-      const base = destination.slice(0, destination.length - ext.length);
-      let normalizedDest = normalizeLockPath(destination);
-
-      while (attempt < 50) {
-        try {
-          await fs.access(destination);
-          attempt++;
-          destination = `${base}-${attempt + 1}${ext}`;
-          normalizedDest = normalizeLockPath(destination);
-          continue;
-        } catch (error) {
-          if (error?.code !== 'ENOENT') {
-            throw error;
-          }
-        }
-
-        if (destinationLocks.has(normalizedDest)) {
-          attempt++;
-          destination = `${base}-${attempt + 1}${ext}`;
-          normalizedDest = normalizeLockPath(destination);
-          continue;
-        }
-
-        destinationLocks.add(normalizedDest);
-        const timer = setTimeout(() => destinationLocks.delete(normalizedDest), 30000);
-        if (timer && typeof timer.unref === 'function') {
-          timer.unref();
-        }
-        break;
-      }
-
-      if (attempt >= 50) {
-        throw new Error('Failed to find unique destination for auto-organize fallback');
-      }
+      const destination = await reserveUniqueDestination(
+        buildDestinationPath(file, defaultFolder, options.defaultLocation, false),
+        'Failed to find unique destination for auto-organize fallback'
+      );
 
       logger.info('[AutoOrganize] File confidence below threshold; routing to Uncategorized', {
         file: filePath,
@@ -589,6 +674,7 @@ async function processNewFile(filePath, smartFolders, options, suggestionService
 
 module.exports = {
   generateSecureId,
+  processFilesByRules,
   processFilesWithoutAnalysis,
   processFilesIndividually,
   processNewFile
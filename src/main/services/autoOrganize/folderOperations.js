@@ -13,6 +13,13 @@ const { logger: baseLogger, createLogger } = require('../../../shared/logger');
 const { isPathDangerous, sanitizePath } = require('../../../shared/pathSanitization');
 const { getFileTypeCategory } = require('./fileTypeUtils');
 const { isUNCPath } = require('../../../shared/crossPlatformUtils');
+const {
+  resolveSubpathTemplate,
+  templateNeedsFileTimestamps
+} = require('../../../shared/pathTemplates');
+const { renderNamingTemplate } = require('../../../shared/namingTemplates');
+const { groupPhotoEvents } = require('../../../shared/photoEvents');
+const { enforceFileNameLength } = require('./namingUtils');
 
 const logger =
   typeof createLogger === 'function' ? createLogger('AutoOrganize-Folders') : baseLogger;
@@ -263,10 +270,54 @@ function getAbsoluteDefaultLocation(defaultLocation) {
   }
 }
 
+/**
+ * Attach created/modified timestamps to files that lack them when any smart
+ * folder's subpath or naming template may need them, and `photoEvent` labels
+ * when a subpath template uses `{event}` (photos are clustered across the whole
+ * batch, so call this with every file being organized). Mutates the file objects in place.
+ * @param {Array} files - File objects
+ * @param {Array} smartFolders - Smart folders (with optional `subpathTemplate`/`namingTemplate`)
+ * @returns {Promise<Array>} The same files
+ */
+async function attachTemplateTimestamps(files, smartFolders) {
+  if (!Array.isArray(files) || !Array.isArray(smartFolders)) return files;
+
+  if (smartFolders.some((f) => /\{event\b/i.test(f?.subpathTemplate || ''))) {
+    const events = groupPhotoEvents(files);
+    for (const file of files) {
+      // Keep a label from an earlier whole-batch pass over a later single-file one
+      if (file && !file.photoEvent && events.has(file.path)) {
+        file.photoEvent = events.get(file.path);
+      }
+    }
+  }
+
+  const needsTimestamps = smartFolders.some(
+    (f) => templateNeedsFileTimestamps(f?.subpathTemplate) || Boolean(f?.namingTemplate)
+  );
+  if (!needsTimestamps) return files;
+
+  for (const file of files) {
+    if (!file?.path || (file.created != null && file.modified != null)) continue;
+    try {
+      const stats = await fs.stat(file.path);
+      file.created = file.created ?? stats.birthtime;
+      file.modified = file.modified ?? stats.mtime;
+    } catch (error) {
+      logger.debug('[AutoOrganize] Could not stat file for subpath template', {
+        file: file.path,
+        error: error.message
+      });
+    }
+  }
+  return files;
+}
+
 /**
  * Build destination path for a file
  * @param {Object} file - File object
- * @param {Object} suggestion - Suggestion object
+ * @param {Object} suggestion - Suggestion object (may carry the smart folder's
+ *   `subpathTemplate` and `namingTemplate`)
  * @param {string} defaultLocation - Default location
  * @param {boolean} preserveNames - Whether to preserve original names
  * @returns {string} Destination path
@@ -298,9 +349,35 @@ function buildDestinationPath(file, suggestion, defaultLocation, preserveNames)
     folderPath = path.join(absoluteDefaultLocation, folderPath);
   }
 
-  let fileName = preserveNames ? file.name : file.analysis?.suggestedName || file.name;
+  // Smart folder subpath template, e.g. "{entity}/{year}"
+  if (suggestion.subpathTemplate) {
+    const segments = resolveSubpathTemplate(suggestion.subpathTemplate, {
+      analysis: file.analysis,
+      fileName: file.name,
+      created: file.created,
+      modified: file.modified,
+      event: file.photoEvent
+    });
+    if (segments.length > 0) {
+      folderPath = path.join(folderPath, ...segments);
+    }
+  }
+
+  // Project bundles keep their folder name so paths inside them stay valid
+  const keepName = preserveNames || file.isBundle;
+  let fileName = keepName ? file.name : file.analysis?.suggestedName || file.name;
   const originalExt = path.extname(file.name);
 
+  // Smart folder naming template overrides the global naming convention
+  if (!keepName && suggestion.namingTemplate) {
+    const base = renderNamingTemplate(suggestion.namingTemplate, {
+      originalFileName: file.name,
+      analysis: file.analysis,
+      fileTimestamps: { created: file.created, modified: file.modified }
+    });
+    if (base) fileName = enforceFileNameLength(`${base}${originalExt}`, originalExt || null);
+  }
+
   if (typeof fileName === 'string') {
     fileName = sanitizePath(fileName);
   } else {
@@ -333,5 +410,6 @@ module.exports = {
   findDefaultFolder,
   createDefaultFolder,
   getFallbackDestination,
+  attachTemplateTimestamps,
   buildDestinationPath
 };
@@ -35,20 +35,24 @@ const MAX_FILENAME_LENGTH = LIMITS?.MAX_FILENAME_LENGTH || 255;
  * @param {string} params.settings.separator - Separator character
  * @param {string} params.settings.dateFormat - Date format
  * @param {string} params.settings.caseConvention - Case convention
+ * @param {string} [params.settings.template] - Naming template (convention 'custom')
  * @param {Object} [params.fileTimestamps] - Optional file timestamps
+ * @param {number} [params.counter] - Position in the current batch, for `{counter}`
  * @returns {string} Suggested filename (with extension preserved)
  */
 function generateSuggestedNameFromAnalysis({
   originalFileName,
   analysis,
   settings,
-  fileTimestamps
+  fileTimestamps,
+  counter
 }) {
   const suggestedName = buildSuggestedNameFromAnalysis({
     originalFileName,
     analysis,
     settings,
-    fileTimestamps
+    fileTimestamps,
+    counter
   });
   return enforceFileNameLength(suggestedName);
 }
@@ -97,6 +97,8 @@ function resolveSuggestionToSmartFolder(suggestion, smartFolders = []) {
     path: match.path,
     folderId: match.id || suggestion.folderId,
     description: match.description || suggestion.description,
+    ...(match.subpathTemplate ? { subpathTemplate: match.subpathTemplate } : {}),
+    ...(match.namingTemplate ? { namingTemplate: match.namingTemplate } : {}),
     isSmartFolder: true
   };
 }
@@ -0,0 +1,81 @@
+/**
+ * Rule Matching
+ *
+ * Main-process glue for the user-defined smart folder rules in
+ * shared/smartFolderRules. Rules are deterministic and always run before
+ * suggestion/embedding matching.
+ *
+ * @module autoOrganize/ruleMatching
+ */
+
+const fs = require('fs').promises;
+const { createLogger } = require('../../../shared/logger');
+const {
+  buildRuleContext,
+  findMatchingRule,
+  hasActiveRules,
+  rulesNeedFileStats
+} = require('../../../shared/smartFolderRules');
+const { resolveSuggestionToSmartFolder } = require('./pathUtils');
+
+const logger = createLogger('AutoOrganize-Rules');
+
+/**
+ * Find the smart folder whose rules match a file.
+ * File stats are only read when an enabled rule tests size or file dates
+ * and the caller did not already supply them.
+ *
+ * @param {Object} file - File object ({ path, name, size?, created?, modified?, analysis? })
+ * @param {Array} smartFolders - Smart folders (with optional `rules`)
+ * @returns {Promise<{ folder: Object, rule: Object, matchedRule: Object, suggestion: Object }|null>}
+ */
+async function matchFileToRule(file, smartFolders) {
+  if (!file || !hasActiveRules(smartFolders)) return null;
+
+  let { size, created, modified } = file;
+  if (
+    rulesNeedFileStats(smartFolders) &&
+    file.path &&
+    (size == null || created == null || modified == null)
+  ) {
+    try {
+      const stats = await fs.stat(file.path);
+      size = size ?? stats.size;
+      created = created ?? stats.birthtime;
+      modified = modified ?? stats.mtime;
+    } catch (error) {
+      logger.debug('[Rules] Could not stat file for rule evaluation', {
+        file: file.path,
+        error: error.message
+      });
+    }
+  }
+
+  const context = buildRuleContext({
+    filePath: file.path,
+    fileName: file.name,
+    size,
+    created,
+    modified,
+    analysis: file.analysis
+  });
+  const match = findMatchingRule(smartFolders, context);
+  if (!match) return null;
+
+  // A rule pointing at a folder without a usable path can't route anything
+  const suggestion = resolveSuggestionToSmartFolder(
+    { folderId: match.folder.id, folder: match.folder.name, path: match.folder.path },
+    smartFolders
+  );
+  if (!suggestion) {
+    logger.warn('[Rules] Rule matched a smart folder without a valid path', match.matchedRule);
+    return null;
+  }
+
+  logger.debug('[Rules] Rule matched', { file: file.path, ...match.matchedRule });
+  return { ...match, suggestion: { ...suggestion, matchedRule: match.matchedRule } };
+}
+
+module.exports = {
+  matchFileToRule
+};
@@ -15,8 +15,12 @@
  * - 'embed'
  * - 'skip'
  * - 'web_only' (treated as skip for local embeddings)
+ *
+ * Files that are excluded (.stratoignore / exclusionPatterns) or inside a
+ * privacy zone are never embedded, whatever the settings above say.
  */
 const { container, ServiceIds } = require('../ServiceContainer');
+const { getInstance: getFileAccessPolicy } = require('../FileAccessPolicy');
 const { createLogger } = require('../../../shared/logger');
 const logger = createLogger('EmbeddingGate');
 
@@ -76,10 +80,11 @@ function resolveEffectivePolicy({ defaultPolicy, policyOverride }) {
  * @param {string} [params.embeddingTiming] - optional override
  * @param {string} [params.policyOverride] - optional override
  * @param {boolean} [params.isInSmartFolder] - whether the file resides in a smart folder
- * @returns {Promise<{shouldEmbed: boolean, timing: string, policy: string, scope: string}>}
+ * @param {string} [params.filePath] - the file being embedded; checked against the access policy
+ * @returns {Promise<{shouldEmbed: boolean, timing: string, policy: string, scope: string, restriction?: string}>}
  */
 async function shouldEmbed(params) {
-  const { stage, embeddingTiming, policyOverride, isInSmartFolder } = params || {};
+  const { stage, embeddingTiming, policyOverride, isInSmartFolder, filePath } = params || {};
   const config = await loadEmbeddingConfigFromSettings();
   const timing = normalizeTiming(embeddingTiming || config.timing);
   const scope = normalizeScope(config.scope);
@@ -93,6 +98,21 @@ async function shouldEmbed(params) {
     return { shouldEmbed: false, timing, policy, scope };
   }
 
+  // Access gate: excluded and privacy-zone files
+  if (filePath) {
+    let restriction = null;
+    try {
+      restriction = await getFileAccessPolicy().getRestriction(filePath);
+    } catch (error) {
+      logger.debug('[EmbeddingGate] Access policy check failed (non-fatal)', {
+        error: error?.message
+      });
+    }
+    if (restriction) {
+      return { shouldEmbed: false, timing, policy, scope, restriction };
+    }
+  }
+
   // Scope gate: when set to 'smart_folders_only', skip files outside smart folders.
   // Only apply when the caller provides explicit smart-folder context (isInSmartFolder !== undefined).
   if (scope === 'smart_folders_only' && isInSmartFolder === false) {
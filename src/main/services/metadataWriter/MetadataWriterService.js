@@ -0,0 +1,374 @@
+/**
+ * MetadataWriterService - Writes analysis results back to files
+ *
+ * Persists a file's keywords (tags), category, summary and document date as
+ * portable metadata so other tools (file managers, photo libraries, Office,
+ * desktop search) can see what StratoSort learned about it. Each format is
+ * opt-in through settings:
+ *
+ *   sidecar - `<file>.xmp` next to any file          (writeMetadataSidecar)
+ *   image   - embedded XMP in JPEG/PNG               (writeMetadataImages)
+ *   pdf     - Info dictionary, incremental update    (writeMetadataPdf)
+ *   office  - docProps/core.xml in docx/xlsx/pptx    (writeMetadataOffice)
+ *   xattr   - Linux `user.*` extended attributes     (writeMetadataXattr)
+ *
+ * Every write is recorded as a METADATA_WRITE action in UndoRedoService.
+ * Files that are rewritten are backed up first, so undo restores the exact
+ * original bytes; created sidecars are deleted and attributes are reset to
+ * their previous values.
+ *
+ * @module services/metadataWriter/MetadataWriterService
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('../../../shared/logger');
+const { getInstance: getFileOperationTracker } = require('../../../shared/fileOperationTracker');
+const { mergeXmpPacket } = require('./xmpPacket');
+const { writeImageXmp } = require('./imageXmp');
+const { writePdfInfo } = require('./pdfInfo');
+const { writeOfficeCoreProperties, OFFICE_EXTENSIONS } = require('./officeCoreProperties');
+const { writeExtendedAttributes, isSupported: isXattrSupported } = require('./extendedAttributes');
+
+const logger = createLogger('MetadataWriterService');
+
+const METADATA_TARGETS = Object.freeze({
+  SIDECAR: 'sidecar',
+  IMAGE: 'image',
+  PDF: 'pdf',
+  OFFICE: 'office',
+  XATTR: 'xattr'
+});
+
+/** Setting that enables each target */
+const TARGET_SETTINGS = Object.freeze({
+  [METADATA_TARGETS.SIDECAR]: 'writeMetadataSidecar',
+  [METADATA_TARGETS.IMAGE]: 'writeMetadataImages',
+  [METADATA_TARGETS.PDF]: 'writeMetadataPdf',
+  [METADATA_TARGETS.OFFICE]: 'writeMetadataOffice',
+  [METADATA_TARGETS.XATTR]: 'writeMetadataXattr'
+});
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png']);
+const MAX_KEYWORDS = 50;
+const MAX_SUMMARY_LENGTH = 2000;
+// Rewritten in memory; larger files are skipped rather than buffered
+const MAX_EMBEDDED_FILE_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Embedded writers: (buffer, metadata) => buffer
+ * @private
+ */
+const EMBEDDED_WRITERS = {
+  [METADATA_TARGETS.IMAGE]: writeImageXmp,
+  [METADATA_TARGETS.PDF]: writePdfInfo,
+  [METADATA_TARGETS.OFFICE]: writeOfficeCoreProperties
+};
+
+/**
+ * Whether a target can be written for this file type
+ * @param {string} target
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function targetAppliesTo(target, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  switch (target) {
+    case METADATA_TARGETS.SIDECAR:
+      return ext !== '.xmp';
+    case METADATA_TARGETS.IMAGE:
+      return IMAGE_EXTENSIONS.has(ext);
+    case METADATA_TARGETS.PDF:
+      return ext === '.pdf';
+    case METADATA_TARGETS.OFFICE:
+      return OFFICE_EXTENSIONS.has(ext);
+    case METADATA_TARGETS.XATTR:
+      return isXattrSupported();
+    default:
+      return false;
+  }
+}
+
+/**
+ * Overwrite a file's bytes through its existing inode, creating it if absent.
+ * Replacing the file (temp file + rename) would drop its permissions,
+ * ownership, extended attributes, Finder tags and hard links.
+ * @param {string} filePath
+ * @param {Buffer} contents
+ */
+async function overwriteFileContents(filePath, contents) {
+  const handle = await fs.open(filePath, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+function tracker() {
+  try {
+    return getFileOperationTracker();
+  } catch {
+    return null;
+  }
+}
+
+class MetadataWriterService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.settingsService
+   * @param {Object} deps.analysisHistoryService
+   * @param {Object} deps.undoRedoService
+   */
+  constructor({ settingsService, analysisHistoryService, undoRedoService } = {}) {
+    this.settingsService = settingsService || null;
+    this.analysisHistoryService = analysisHistoryService || null;
+    this.undoRedoService = undoRedoService || null;
+  }
+
+  /**
+   * Targets enabled in settings
+   * @returns {Promise<string[]>}
+   */
+  async getEnabledTargets() {
+    let settings = {};
+    try {
+      settings = (await this.settingsService?.load()) || {};
+    } catch (error) {
+      logger.warn('[MetadataWriter] Could not load settings', { error: error.message });
+    }
+    return Object.entries(TARGET_SETTINGS)
+      .filter(([, key]) => settings[key] === true)
+      .map(([target]) => target);
+  }
+
+  /**
+   * Collect the metadata to write from the file's analysis
+   * @param {string} filePath
+   * @returns {Promise<Object|null>} { keywords, category, summary, documentDate } or null
+   */
+  async buildMetadata(filePath) {
+    const entry = await this.analysisHistoryService?.getAnalysisByPath(filePath);
+    const analysis = entry?.analysis;
+    if (!analysis) return null;
+
+    const keywords = [];
+    const seen = new Set();
+    for (const value of [...(analysis.tags || []), ...(analysis.keywords || [])]) {
+      const keyword = typeof value === 'string' ? value.trim() : '';
+      if (keyword && !seen.has(keyword.toLowerCase())) {
+        seen.add(keyword.toLowerCase());
+        keywords.push(keyword);
+      }
+    }
+    const metadata = {
+      keywords: keywords.slice(0, MAX_KEYWORDS),
+      category: analysis.category || null,
+      summary: analysis.summary ? String(analysis.summary).slice(0, MAX_SUMMARY_LENGTH) : null,
+      documentDate: analysis.documentDate || null
+    };
+    const isEmpty =
+      metadata.keywords.length === 0 &&
+      !metadata.category &&
+      !metadata.summary &&
+      !metadata.documentDate;
+    return isEmpty ? null : metadata;
+  }
+
+  /**
+   * Write metadata for a file to each target. Targets that do not apply to
+   * the file type are ignored; a failing target does not stop the others.
+   *
+   * @param {string} filePath
+   * @param {Object} metadata
+   * @param {string[]} targets
+   * @returns {Promise<{changes: Object[], errors: Object[]}>}
+   */
+  async applyToFile(filePath, metadata, targets) {
+    const changes = [];
+    const errors = [];
+    const operationTracker = tracker();
+    operationTracker?.recordOperation(filePath, 'metadata', 'metadataWriter');
+
+    for (const target of targets) {
+      if (!targetAppliesTo(target, filePath)) continue;
+      try {
+        let change;
+        if (target === METADATA_TARGETS.SIDECAR) {
+          change = await this._writeSidecar(filePath, metadata);
+        } else if (target === METADATA_TARGETS.XATTR) {
+          const previous = await writeExtendedAttributes(filePath, metadata);
+          change = { type: 'metadata', target, filePath, targetPath: filePath, previous };
+        } else {
+          change = await this._writeEmbedded(filePath, metadata, target);
+        }
+        changes.push(change);
+      } catch (error) {
+        logger.warn('[MetadataWriter] Failed to write metadata', {
+          filePath,
+          target,
+          error: error.message
+        });
+        errors.push({ filePath, target, error: error.message });
+      }
+    }
+
+    operationTracker?.recordOperation(filePath, 'metadata', 'metadataWriter');
+    return { changes, errors };
+  }
+
+  /**
+   * Write analysis metadata for several files and record one undo action
+   * @param {string[]} filePaths
+   * @param {Object} [options]
+   * @param {string[]} [options.targets] - Defaults to the targets enabled in settings
+   * @returns {Promise<Object>} { success, written, skipped, errors, actionId }
+   */
+  async writeMetadata(filePaths, { targets } = {}) {
+    const enabled = Array.isArray(targets) ? targets : await this.getEnabledTargets();
+    if (enabled.length === 0) {
+      return {
+        success: false,
+        written: 0,
+        skipped: filePaths.length,
+        errors: [{ error: 'No metadata formats are enabled in settings' }]
+      };
+    }
+    // Loading history also runs backup cleanup; it must not race our new backups
+    await this.undoRedoService?.initialize();
+
+    const files = [];
+    const operations = [];
+    const errors = [];
+    let skipped = 0;
+
+    for (const filePath of filePaths) {
+      const metadata = await this.buildMetadata(filePath);
+      if (!metadata) {
+        skipped++;
+        continue;
+      }
+      const { changes, errors: fileErrors } = await this.applyToFile(filePath, metadata, enabled);
+      errors.push(...fileErrors);
+      if (changes.length === 0) {
+        if (fileErrors.length === 0) skipped++;
+        continue;
+      }
+      files.push({ filePath, metadata, targets: changes.map((change) => change.target) });
+      operations.push(...changes);
+    }
+
+    let actionId = null;
+    if (files.length > 0 && this.undoRedoService) {
+      actionId = await this.undoRedoService.recordAction('METADATA_WRITE', { files, operations });
+    }
+    logger.info('[MetadataWriter] Wrote metadata', {
+      written: files.length,
+      skipped,
+      errors: errors.length
+    });
+
+    return {
+      success: files.length > 0,
+      written: files.length,
+      skipped,
+      errors,
+      actionId
+    };
+  }
+
+  async _writeSidecar(filePath, metadata) {
+    const sidecarPath = `${filePath}.xmp`;
+    let existing = null;
+    try {
+      existing = await fs.readFile(sidecarPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const packet = mergeXmpPacket(existing, metadata);
+    const backupPath =
+      existing === null ? null : await this.undoRedoService.createBackup(sidecarPath);
+    const written = await this._replaceContents(
+      sidecarPath,
+      Buffer.from(packet, 'utf8'),
+      backupPath
+    );
+
+    const change = {
+      type: 'metadata',
+      target: METADATA_TARGETS.SIDECAR,
+      filePath,
+      targetPath: sidecarPath,
+      written
+    };
+    if (backupPath) change.backupPath = backupPath;
+    else change.created = true;
+    return change;
+  }
+
+  async _writeEmbedded(filePath, metadata, target) {
+    const stats = await fs.stat(filePath);
+    if (stats.size > MAX_EMBEDDED_FILE_BYTES) {
+      throw new Error('File is too large to rewrite metadata in place');
+    }
+    const original = await fs.readFile(filePath);
+    // Transform before backing up so unsupported files leave nothing behind
+    const updated = EMBEDDED_WRITERS[target](original, metadata);
+    const backupPath = await this.undoRedoService.createBackup(filePath);
+    const written = await this._replaceContents(filePath, updated, backupPath);
+    return { type: 'metadata', target, filePath, targetPath: filePath, backupPath, written };
+  }
+
+  /**
+   * Rewrite a file in place. The write truncates first, so on failure the
+   * original is put back from its backup, or a newly created file removed.
+   * @param {string} targetPath
+   * @param {Buffer} contents
+   * @param {string|null} backupPath - Backup of the original, null if it did not exist
+   * @returns {Promise<{size: number, mtimeMs: number}>} The written file's stats, so
+   *   undo can tell whether it was edited since
+   * @private
+   */
+  async _replaceContents(targetPath, contents, backupPath) {
+    try {
+      await overwriteFileContents(targetPath, contents);
+      const { size, mtimeMs } = await fs.stat(targetPath);
+      return { size, mtimeMs };
+    } catch (error) {
+      const rollback = backupPath
+        ? fs.readFile(backupPath).then((original) => overwriteFileContents(targetPath, original))
+        : fs.unlink(targetPath);
+      await rollback.catch((rollbackError) => {
+        logger.warn('[MetadataWriter] Could not roll back failed write', {
+          targetPath,
+          error: rollbackError.message
+        });
+      });
+      throw error;
+    }
+  }
+}
+
+let instance = null;
+
+function getInstance(deps) {
+  if (!instance) {
+    instance = new MetadataWriterService(deps);
+  }
+  return instance;
+}
+
+function resetInstance() {
+  instance = null;
+}
+
+module.exports = {
+  MetadataWriterService,
+  getInstance,
+  resetInstance,
+  targetAppliesTo,
+  overwriteFileContents,
+  METADATA_TARGETS,
+  TARGET_SETTINGS
+};
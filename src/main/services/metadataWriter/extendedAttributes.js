@@ -0,0 +1,126 @@
+/**
+ * Linux Extended Attributes
+ *
+ * Writes keywords, summary, category and document date as `user.*` extended
+ * attributes using the names desktop tools already read (xdg tags/comment,
+ * dublincore type/date). Node has no xattr API, so this goes through the
+ * `setfattr`/`getfattr` utilities from the attr package.
+ *
+ * @module services/metadataWriter/extendedAttributes
+ */
+
+const { asyncSpawn } = require('../../utils/asyncSpawnUtils');
+const { toXmpDate } = require('./xmpPacket');
+
+const XATTR_TIMEOUT_MS = 5000;
+
+const ATTRIBUTE_NAMES = Object.freeze({
+  keywords: 'user.xdg.tags',
+  summary: 'user.xdg.comment',
+  category: 'user.dublincore.type',
+  documentDate: 'user.dublincore.date'
+});
+
+function isSupported() {
+  return process.platform === 'linux';
+}
+
+/**
+ * Map metadata to attribute name/value pairs
+ * @param {Object} metadata
+ * @returns {Object<string, string>}
+ */
+function toAttributes(metadata) {
+  const attributes = {};
+  const keywords = Array.isArray(metadata.keywords) ? metadata.keywords : [];
+  if (keywords.length > 0) attributes[ATTRIBUTE_NAMES.keywords] = keywords.join(',');
+  if (metadata.summary) attributes[ATTRIBUTE_NAMES.summary] = String(metadata.summary);
+  if (metadata.category) attributes[ATTRIBUTE_NAMES.category] = String(metadata.category);
+  const date = toXmpDate(metadata.documentDate);
+  if (date) attributes[ATTRIBUTE_NAMES.documentDate] = date;
+  return attributes;
+}
+
+function commandError(result, fallback) {
+  if (result.error?.code === 'ENOENT') {
+    return new Error('setfattr/getfattr not found; install the attr package');
+  }
+  return new Error(result.stderr?.trim() || result.error?.message || fallback);
+}
+
+/**
+ * Read one attribute; null when it is not set
+ * @param {string} filePath
+ * @param {string} name
+ * @returns {Promise<string|null>}
+ */
+async function getAttribute(filePath, name) {
+  const result = await asyncSpawn(
+    'getfattr',
+    ['--absolute-names', '-e', 'hex', '-n', name, filePath],
+    { timeout: XATTR_TIMEOUT_MS }
+  );
+  if (result.status !== 0) {
+    if (/No such attribute/i.test(result.stderr || '')) return null;
+    throw commandError(result, `Failed to read ${name}`);
+  }
+  // Output is "# file: <path>" followed by "<name>=0x<hex>"
+  const hex = result.stdout.match(/=0x([0-9a-f]*)/i)?.[1] || '';
+  return Buffer.from(hex, 'hex').toString('utf8');
+}
+
+/**
+ * Set an attribute, or remove it when value is null
+ * @param {string} filePath
+ * @param {string} name
+ * @param {string|null} value
+ */
+async function setAttribute(filePath, name, value) {
+  const args =
+    value === null
+      ? ['-x', name, filePath]
+      : ['-n', name, '-v', `0x${Buffer.from(value, 'utf8').toString('hex')}`, filePath];
+  const result = await asyncSpawn('setfattr', args, { timeout: XATTR_TIMEOUT_MS });
+  if (result.status !== 0) {
+    if (value === null && /No such attribute/i.test(result.stderr || '')) return;
+    throw commandError(result, `Failed to write ${name}`);
+  }
+}
+
+/**
+ * Write the metadata attributes, returning their previous values for undo
+ * @param {string} filePath
+ * @param {Object} metadata
+ * @returns {Promise<Object<string, string|null>>} Previous value per attribute name
+ */
+async function writeExtendedAttributes(filePath, metadata) {
+  if (!isSupported()) throw new Error('Extended attributes are only written on Linux');
+  const attributes = toAttributes(metadata);
+  const previous = {};
+  for (const name of Object.keys(attributes)) {
+    previous[name] = await getAttribute(filePath, name);
+  }
+  for (const [name, value] of Object.entries(attributes)) {
+    await setAttribute(filePath, name, value);
+  }
+  return previous;
+}
+
+/**
+ * Put back the values returned by writeExtendedAttributes
+ * @param {string} filePath
+ * @param {Object<string, string|null>} previous
+ */
+async function restoreExtendedAttributes(filePath, previous) {
+  for (const [name, value] of Object.entries(previous || {})) {
+    await setAttribute(filePath, name, value);
+  }
+}
+
+module.exports = {
+  writeExtendedAttributes,
+  restoreExtendedAttributes,
+  toAttributes,
+  isSupported,
+  ATTRIBUTE_NAMES
+};
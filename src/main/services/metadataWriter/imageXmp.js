@@ -0,0 +1,200 @@
+/**
+ * Embedded Image XMP
+ *
+ * Reads and replaces the XMP packet inside JPEG (APP1 segment) and PNG
+ * (iTXt chunk "XML:com.adobe.xmp") files. Only the XMP container is
+ * rewritten; image data and every other segment/chunk (including EXIF) is
+ * copied byte for byte, so the image is never re-encoded.
+ *
+ * @module services/metadataWriter/imageXmp
+ */
+
+const zlib = require('zlib');
+const { mergeXmpPacket } = require('./xmpPacket');
+
+const JPEG_XMP_SIGNATURE = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+// APP1 length is a 16-bit field that includes its own two bytes
+const JPEG_MAX_SEGMENT_PAYLOAD = 0xffff - 2;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+let crcTable = null;
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function isJpeg(buffer) {
+  return buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8;
+}
+
+function isPng(buffer) {
+  return buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Walk the JPEG header segments up to the start of scan.
+ * @returns {{ xmp: {start: number, end: number, packet: string}|null, insertAt: number }}
+ */
+function scanJpeg(buffer) {
+  let offset = 2;
+  let insertAt = 2;
+  let xmp = null;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // Start of scan / end of image: no more metadata segments
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) throw new Error('Malformed JPEG segment');
+
+    if (marker === 0xe1) {
+      const payload = buffer.subarray(offset + 4, end);
+      if (payload.subarray(0, JPEG_XMP_SIGNATURE.length).equals(JPEG_XMP_SIGNATURE)) {
+        xmp = {
+          start: offset,
+          end,
+          packet: payload.subarray(JPEG_XMP_SIGNATURE.length).toString('utf8')
+        };
+      }
+    }
+    // XMP conventionally follows the JFIF/EXIF application segments
+    if (marker === 0xe0 || marker === 0xe1) insertAt = end;
+    offset = end;
+  }
+  return { xmp, insertAt };
+}
+
+function writeJpegXmp(buffer, metadata) {
+  const { xmp, insertAt } = scanJpeg(buffer);
+  const packet = Buffer.from(mergeXmpPacket(xmp?.packet || null, metadata), 'utf8');
+  const payloadLength = JPEG_XMP_SIGNATURE.length + packet.length;
+  if (payloadLength > JPEG_MAX_SEGMENT_PAYLOAD) {
+    throw new Error('XMP packet is too large to embed in a JPEG');
+  }
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(payloadLength + 2, 2);
+  const segment = Buffer.concat([header, JPEG_XMP_SIGNATURE, packet]);
+
+  if (xmp) {
+    return Buffer.concat([buffer.subarray(0, xmp.start), segment, buffer.subarray(xmp.end)]);
+  }
+  return Buffer.concat([buffer.subarray(0, insertAt), segment, buffer.subarray(insertAt)]);
+}
+
+/**
+ * Parse an iTXt chunk body; returns the text when it is the XMP keyword.
+ */
+function readPngXmpText(data) {
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd < 0 || data.subarray(0, keywordEnd).toString('latin1') !== PNG_XMP_KEYWORD) {
+    return null;
+  }
+  const compressed = data[keywordEnd + 1] === 1;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = languageEnd < 0 ? -1 : data.indexOf(0, languageEnd + 1);
+  if (translatedEnd < 0) return null;
+  const text = data.subarray(translatedEnd + 1);
+  return compressed ? zlib.inflateSync(text).toString('utf8') : text.toString('utf8');
+}
+
+function buildPngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+function writePngXmp(buffer, metadata) {
+  const chunks = [];
+  let existingPacket = null;
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw new Error('Malformed PNG chunk');
+    const xmpText = type === 'iTXt' ? readPngXmpText(buffer.subarray(offset + 8, end - 4)) : null;
+    if (xmpText !== null) {
+      // Dropped here and written back once, merged
+      existingPacket = existingPacket ?? xmpText;
+    } else {
+      chunks.push({ type, bytes: buffer.subarray(offset, end) });
+    }
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  const packet = mergeXmpPacket(existingPacket, metadata);
+  const body = Buffer.concat([
+    Buffer.from(PNG_XMP_KEYWORD, 'latin1'),
+    // null separator, compression flag, compression method, empty language and translated keyword
+    Buffer.from([0, 0, 0, 0, 0]),
+    Buffer.from(packet, 'utf8')
+  ]);
+  const xmpChunk = buildPngChunk('iTXt', body);
+
+  // Place the packet before the image data so streaming readers see it
+  const firstData = chunks.findIndex((chunk) => chunk.type === 'IDAT' || chunk.type === 'IEND');
+  const insertAt = firstData < 0 ? chunks.length : firstData;
+  const ordered = [
+    ...chunks.slice(0, insertAt).map((c) => c.bytes),
+    xmpChunk,
+    ...chunks.slice(insertAt).map((c) => c.bytes)
+  ];
+  return Buffer.concat([PNG_SIGNATURE, ...ordered]);
+}
+
+/**
+ * Merge StratoSort's properties into the image's embedded XMP
+ * @param {Buffer} buffer - JPEG or PNG file contents
+ * @param {Object} metadata
+ * @returns {Buffer} Updated file contents
+ */
+function writeImageXmp(buffer, metadata) {
+  if (isJpeg(buffer)) return writeJpegXmp(buffer, metadata);
+  if (isPng(buffer)) return writePngXmp(buffer, metadata);
+  throw new Error('Unsupported image format for embedded XMP');
+}
+
+/**
+ * Read the embedded XMP packet, if any
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function readImageXmp(buffer) {
+  if (isJpeg(buffer)) return scanJpeg(buffer).xmp?.packet || null;
+  if (isPng(buffer)) {
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 12 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      if (type === 'iTXt') {
+        const text = readPngXmpText(buffer.subarray(offset + 8, offset + 8 + length));
+        if (text !== null) return text;
+      }
+      if (type === 'IEND') break;
+      offset += 12 + length;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  writeImageXmp,
+  readImageXmp,
+  isJpeg,
+  isPng
+};
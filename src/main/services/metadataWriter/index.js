@@ -0,0 +1,29 @@
+/**
+ * Metadata Writer
+ *
+ * Writes analysis tags, category, summary and document date back to files
+ * as XMP sidecars, embedded image XMP, PDF Info, Office core properties and
+ * Linux extended attributes.
+ *
+ * @module services/metadataWriter
+ */
+
+const {
+  MetadataWriterService,
+  getInstance,
+  resetInstance,
+  targetAppliesTo,
+  overwriteFileContents,
+  METADATA_TARGETS,
+  TARGET_SETTINGS
+} = require('./MetadataWriterService');
+
+module.exports = {
+  MetadataWriterService,
+  getInstance,
+  resetInstance,
+  targetAppliesTo,
+  overwriteFileContents,
+  METADATA_TARGETS,
+  TARGET_SETTINGS
+};
@@ -0,0 +1,77 @@
+/**
+ * Office Core Properties
+ *
+ * Writes keywords, category and summary to docProps/core.xml in Office Open
+ * XML packages (docx, xlsx, pptx and their macro-enabled variants). These are
+ * the fields Word, Excel, PowerPoint and Explorer show as Tags, Category and
+ * Comments. Every other part of the package is copied unchanged.
+ *
+ * @module services/metadataWriter/officeCoreProperties
+ */
+
+const { escapeXml } = require('./xmpPacket');
+
+const OFFICE_EXTENSIONS = new Set(['.docx', '.docm', '.xlsx', '.xlsm', '.pptx', '.pptm']);
+const CORE_PROPERTIES_PATH = 'docProps/core.xml';
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+
+/**
+ * Set (or add) a single element inside cp:coreProperties
+ */
+function setElement(xml, name, value) {
+  const escaped = name.replace(':', '\\:');
+  const element = `<${name}>${escapeXml(value)}</${name}>`;
+  const selfClosing = new RegExp(`<${escaped}\\s*/>`);
+  const paired = new RegExp(`<${escaped}(?:\\s[^>]*)?>[\\s\\S]*?</${escaped}>`);
+  if (paired.test(xml)) return xml.replace(paired, () => element);
+  if (selfClosing.test(xml)) return xml.replace(selfClosing, () => element);
+  return xml.replace(/<\/cp:coreProperties>/, () => `${element}</cp:coreProperties>`);
+}
+
+/**
+ * Update the core properties XML text
+ * @param {string} xml - docProps/core.xml contents
+ * @param {Object} metadata
+ * @returns {string}
+ */
+function updateCoreXml(xml, metadata) {
+  if (!/<\/cp:coreProperties>/.test(xml)) {
+    throw new Error('docProps/core.xml has no cp:coreProperties element');
+  }
+  let updated = xml;
+  const keywords = Array.isArray(metadata.keywords) ? metadata.keywords : [];
+  if (keywords.length > 0) updated = setElement(updated, 'cp:keywords', keywords.join('; '));
+  if (metadata.category) updated = setElement(updated, 'cp:category', metadata.category);
+  if (metadata.summary) {
+    if (!/xmlns:dc=/.test(updated)) {
+      updated = updated.replace(
+        /<cp:coreProperties\b/,
+        `<cp:coreProperties xmlns:dc="${DC_NAMESPACE}"`
+      );
+    }
+    updated = setElement(updated, 'dc:description', metadata.summary);
+  }
+  return updated;
+}
+
+/**
+ * Rewrite docProps/core.xml inside an Office package
+ * @param {Buffer} buffer - Package (zip) contents
+ * @param {Object} metadata
+ * @returns {Buffer} Updated package contents
+ */
+function writeOfficeCoreProperties(buffer, metadata) {
+  const AdmZip = require('adm-zip');
+  const zip = new AdmZip(buffer);
+  const entry = zip.getEntry(CORE_PROPERTIES_PATH);
+  if (!entry) throw new Error('Document has no core properties part');
+  const xml = entry.getData().toString('utf8');
+  zip.updateFile(entry, Buffer.from(updateCoreXml(xml, metadata), 'utf8'));
+  return zip.toBuffer();
+}
+
+module.exports = {
+  writeOfficeCoreProperties,
+  updateCoreXml,
+  OFFICE_EXTENSIONS
+};
@@ -0,0 +1,203 @@
+/**
+ * PDF Info Dictionary
+ *
+ * Writes keywords, summary, category and document date to a PDF's document
+ * information dictionary as an incremental update: the original bytes are
+ * left as they are and a new Info object, cross-reference section and
+ * trailer are appended. Files using cross-reference streams (PDF 1.5+) get a
+ * cross-reference stream in the update, classic files a classic table.
+ *
+ * Keys written: /Keywords, /Subject (summary), /Category and /DocumentDate
+ * (custom keys, allowed by the spec). Existing Info entries such as /Title and
+ * /Author are carried over. Encrypted PDFs are refused.
+ *
+ * @module services/metadataWriter/pdfInfo
+ */
+
+const { toXmpDate } = require('./xmpPacket');
+
+const OWNED_KEYS = ['Keywords', 'Subject', 'Category', 'DocumentDate', 'ModDate'];
+// startxref must be within the last 1024 bytes; allow for trailing garbage
+const TAIL_SCAN_BYTES = 4096;
+
+/**
+ * Encode a PDF text string: literal for printable ASCII, UTF-16BE hex otherwise
+ */
+function pdfString(value) {
+  const text = String(value);
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return `(${text.replace(/[\\()]/g, (ch) => `\\${ch}`)})`;
+  }
+  const utf16 = Buffer.from(`\uFEFF${text}`, 'utf16le').swap16();
+  return `<${utf16.toString('hex').toUpperCase()}>`;
+}
+
+function pdfDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+  );
+}
+
+/**
+ * Return the dictionary text starting at `start` ("<<" ... matching ">>")
+ */
+function readDictionary(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length - 1; i++) {
+    if (text[i] === '(') {
+      // Skip literal strings, which may contain unbalanced brackets
+      let nesting = 1;
+      for (i++; i < text.length && nesting > 0; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === '(') nesting++;
+        else if (text[i] === ')') nesting--;
+      }
+      i--;
+    } else if (text[i] === '<' && text[i + 1] === '<') {
+      depth++;
+      i++;
+    } else if (text[i] === '>' && text[i + 1] === '>') {
+      depth--;
+      i++;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+  throw new Error('Unterminated PDF dictionary');
+}
+
+function readReference(dict, key) {
+  const match = dict.match(new RegExp(`/${key}\\s+(\\d+)\\s+(\\d+)\\s+R`));
+  return match ? { num: Number(match[1]), gen: Number(match[2]) } : null;
+}
+
+/**
+ * Locate the last cross-reference section and its trailer entries
+ */
+function readTrailer(text) {
+  const tail = text.slice(-TAIL_SCAN_BYTES);
+  const startxref = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+  if (!startxref) throw new Error('PDF has no startxref');
+  const xrefOffset = Number(startxref[1]);
+
+  let dict;
+  let usesXrefStream = false;
+  if (text.startsWith('xref', xrefOffset)) {
+    const trailerAt = text.indexOf('trailer', xrefOffset);
+    if (trailerAt < 0) throw new Error('PDF trailer not found');
+    dict = readDictionary(text, text.indexOf('<<', trailerAt));
+  } else {
+    const header = text.slice(xrefOffset, xrefOffset + 64).match(/^\s*(\d+)\s+(\d+)\s+obj/);
+    if (!header) throw new Error('PDF cross-reference section not found');
+    dict = readDictionary(text, text.indexOf('<<', xrefOffset));
+    if (!/\/Type\s*\/XRef/.test(dict)) throw new Error('PDF cross-reference stream not found');
+    usesXrefStream = true;
+  }
+
+  const size = dict.match(/\/Size\s+(\d+)/);
+  const root = readReference(dict, 'Root');
+  if (!size || !root) throw new Error('PDF trailer is missing /Size or /Root');
+  return {
+    xrefOffset,
+    usesXrefStream,
+    size: Number(size[1]),
+    root,
+    info: readReference(dict, 'Info'),
+    id: dict.match(/\/ID\s*(\[[^\]]*\])/)?.[1] || null,
+    encrypted: /\/Encrypt\b/.test(dict)
+  };
+}
+
+/**
+ * Body of the current Info dictionary (without << >>), or '' when there is none
+ */
+function readInfoEntries(text, info) {
+  if (!info) return '';
+  const header = new RegExp(`(?:^|[\\r\\n\\s])${info.num}\\s+${info.gen}\\s+obj\\s*<<`, 'g');
+  const matches = [...text.matchAll(header)];
+  const last = matches.pop();
+  if (!last) {
+    // Inside a compressed object stream; rewriting it would drop /Title, /Author ...
+    throw new Error('PDF Info dictionary is compressed and cannot be updated safely');
+  }
+  const dict = readDictionary(text, last.index + last[0].length - 2);
+  let body = dict.slice(2, -2);
+  for (const key of OWNED_KEYS) {
+    body = body.replace(
+      new RegExp(`/${key}\\s*(\\((?:\\\\.|[^\\\\)])*\\)|<[0-9A-Fa-f\\s]*>)`, 'g'),
+      ''
+    );
+  }
+  return body.trim();
+}
+
+function buildInfoEntries(metadata, now) {
+  const entries = [];
+  const keywords = Array.isArray(metadata.keywords) ? metadata.keywords : [];
+  if (keywords.length > 0) entries.push(`/Keywords ${pdfString(keywords.join(', '))}`);
+  if (metadata.summary) entries.push(`/Subject ${pdfString(metadata.summary)}`);
+  if (metadata.category) entries.push(`/Category ${pdfString(metadata.category)}`);
+  const date = toXmpDate(metadata.documentDate);
+  if (date) entries.push(`/DocumentDate ${pdfString(date)}`);
+  entries.push(`/ModDate ${pdfString(pdfDate(now))}`);
+  return entries.join('\n');
+}
+
+/**
+ * Append an incremental update that replaces the Info dictionary
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} metadata
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Buffer} Updated file contents
+ */
+function writePdfInfo(buffer, metadata, { now = new Date() } = {}) {
+  const text = buffer.toString('latin1');
+  if (!text.startsWith('%PDF-')) throw new Error('Not a PDF file');
+  const trailer = readTrailer(text);
+  if (trailer.encrypted) throw new Error('Encrypted PDFs are not modified');
+
+  const carried = readInfoEntries(text, trailer.info);
+  const infoNum = trailer.size;
+  const infoBody = [carried, buildInfoEntries(metadata, now)].filter(Boolean).join('\n');
+  const separator = buffer[buffer.length - 1] === 0x0a ? '' : '\n';
+  const infoOffset = buffer.length + separator.length;
+  const infoObject = `${infoNum} 0 obj\n<<\n${infoBody}\n>>\nendobj\n`;
+  const trailerEntries =
+    `/Root ${trailer.root.num} ${trailer.root.gen} R /Info ${infoNum} 0 R ` +
+    `/Prev ${trailer.xrefOffset}${trailer.id ? ` /ID ${trailer.id}` : ''}`;
+
+  let update;
+  if (trailer.usesXrefStream) {
+    const xrefNum = infoNum + 1;
+    const xrefOffset = infoOffset + Buffer.byteLength(infoObject, 'latin1');
+    // Type 1 entries: [type (1 byte), offset (4 bytes), generation (2 bytes)]
+    const rows = Buffer.alloc(14);
+    rows.writeUInt8(1, 0);
+    rows.writeUInt32BE(infoOffset, 1);
+    rows.writeUInt8(1, 7);
+    rows.writeUInt32BE(xrefOffset, 8);
+    const streamHeader =
+      `${xrefNum} 0 obj\n<< /Type /XRef /Size ${xrefNum + 1} /W [1 4 2] ` +
+      `/Index [${infoNum} 2] /Length ${rows.length} ${trailerEntries} >>\nstream\n`;
+    update = Buffer.concat([
+      Buffer.from(`${separator}${infoObject}${streamHeader}`, 'latin1'),
+      rows,
+      Buffer.from(`\nendstream\nendobj\nstartxref\n${xrefOffset}\n%%EOF\n`, 'latin1')
+    ]);
+  } else {
+    const xrefOffset = infoOffset + Buffer.byteLength(infoObject, 'latin1');
+    const xref =
+      `xref\n${infoNum} 1\n${String(infoOffset).padStart(10, '0')} 00000 n \n` +
+      `trailer\n<< /Size ${infoNum + 1} ${trailerEntries} >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`;
+    update = Buffer.from(`${separator}${infoObject}${xref}`, 'latin1');
+  }
+  return Buffer.concat([buffer, update]);
+}
+
+module.exports = {
+  writePdfInfo,
+  pdfString
+};
@@ -0,0 +1,140 @@
+/**
+ * XMP Packet
+ *
+ * Builds the XMP packet StratoSort writes to sidecars and embeds in images,
+ * and merges it into a packet that already exists so properties written by
+ * cameras or other tools are kept.
+ *
+ * Properties written:
+ *   dc:subject            - keywords (rdf:Bag)
+ *   dc:description        - summary (rdf:Alt, x-default)
+ *   dc:type               - category (rdf:Bag)
+ *   photoshop:DateCreated - document date (ISO 8601)
+ *
+ * @module services/metadataWriter/xmpPacket
+ */
+
+const XMP_NAMESPACES = Object.freeze({
+  x: 'adobe:ns:meta/',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  photoshop: 'http://ns.adobe.com/photoshop/1.0/'
+});
+
+const OWNED_ELEMENTS = ['dc:subject', 'dc:description', 'dc:type', 'photoshop:DateCreated'];
+
+const PACKET_HEADER = '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>';
+const PACKET_TRAILER = '<?xpacket end="w"?>';
+
+// Control characters are not allowed in XML 1.0 text
+// eslint-disable-next-line no-control-regex
+const XML_INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(XML_INVALID_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reduce a document date to an XMP date (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @param {string} value
+ * @returns {string|null}
+ */
+function toXmpDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const isoPrefix = value.trim().match(/^\d{4}(?:-\d{2}(?:-\d{2})?)?/);
+  if (isoPrefix) return isoPrefix[0];
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? new Date(parsed).toISOString().slice(0, 10) : null;
+}
+
+function buildDescription(metadata) {
+  const lines = [];
+  const keywords = Array.isArray(metadata.keywords) ? metadata.keywords : [];
+  if (keywords.length > 0) {
+    lines.push('   <dc:subject>', '    <rdf:Bag>');
+    for (const keyword of keywords) lines.push(`     <rdf:li>${escapeXml(keyword)}</rdf:li>`);
+    lines.push('    </rdf:Bag>', '   </dc:subject>');
+  }
+  if (metadata.summary) {
+    lines.push(
+      '   <dc:description>',
+      '    <rdf:Alt>',
+      `     <rdf:li xml:lang="x-default">${escapeXml(metadata.summary)}</rdf:li>`,
+      '    </rdf:Alt>',
+      '   </dc:description>'
+    );
+  }
+  if (metadata.category) {
+    lines.push(
+      '   <dc:type>',
+      '    <rdf:Bag>',
+      `     <rdf:li>${escapeXml(metadata.category)}</rdf:li>`,
+      '    </rdf:Bag>',
+      '   </dc:type>'
+    );
+  }
+  const date = toXmpDate(metadata.documentDate);
+  if (date) lines.push(`   <photoshop:DateCreated>${date}</photoshop:DateCreated>`);
+
+  return [
+    '  <rdf:Description rdf:about=""',
+    `    xmlns:dc="${XMP_NAMESPACES.dc}"`,
+    `    xmlns:photoshop="${XMP_NAMESPACES.photoshop}">`,
+    ...lines,
+    '  </rdf:Description>'
+  ].join('\n');
+}
+
+/**
+ * Build a standalone XMP packet
+ * @param {Object} metadata - { keywords, summary, category, documentDate }
+ * @returns {string}
+ */
+function buildXmpPacket(metadata) {
+  return [
+    PACKET_HEADER,
+    `<x:xmpmeta xmlns:x="${XMP_NAMESPACES.x}">`,
+    ` <rdf:RDF xmlns:rdf="${XMP_NAMESPACES.rdf}">`,
+    buildDescription(metadata),
+    ' </rdf:RDF>',
+    '</x:xmpmeta>',
+    PACKET_TRAILER
+  ].join('\n');
+}
+
+/**
+ * Write our properties into an existing packet. Any previous values of the
+ * properties we own are removed and our rdf:Description is appended; every
+ * other property is left untouched. Falls back to a fresh packet when the
+ * existing one has no rdf:RDF element.
+ *
+ * @param {string|null} existing - Existing packet text
+ * @param {Object} metadata
+ * @returns {string}
+ */
+function mergeXmpPacket(existing, metadata) {
+  if (typeof existing !== 'string' || !/<\/rdf:RDF>/.test(existing)) {
+    return buildXmpPacket(metadata);
+  }
+  let merged = existing;
+  for (const element of OWNED_ELEMENTS) {
+    const name = element.replace(':', '\\:');
+    merged = merged
+      .replace(new RegExp(`\\s*<${name}\\b[^>]*/>`, 'g'), '')
+      .replace(new RegExp(`\\s*<${name}\\b[^>]*>[\\s\\S]*?</${name}>`, 'g'), '');
+  }
+  return merged.replace(/<\/rdf:RDF>/, `${buildDescription(metadata)}\n </rdf:RDF>`);
+}
+
+module.exports = {
+  buildXmpPacket,
+  mergeXmpPacket,
+  toXmpDate,
+  escapeXml,
+  XMP_NAMESPACES
+};
@@ -0,0 +1,469 @@
+/**
+ * ReportService - Persistent reports from chat scopes and search results
+ *
+ * Writes a structured report over a set of documents: a selection, a cluster
+ * from ClusteringService or a search result set. The model drafts sections
+ * and comparison points from the documents' analysis; contradictions and the
+ * comparison table are built the same way as in chat. Every claim cites its
+ * sources, and citations link back to the files.
+ *
+ * Reports are saved as Markdown, HTML, Word or PDF into a folder the user
+ * picks, then queued for analysis so they are searchable like any other
+ * document.
+ *
+ * @module services/reports/ReportService
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createLogger } = require('../../../shared/logger');
+const {
+  normalizePathForIndex,
+  validateFileOperationPath
+} = require('../../../shared/pathSanitization');
+const { getSemanticFileId } = require('../../../shared/fileIdUtils');
+const { sanitizePathSegment } = require('../../../shared/pathTemplates');
+const { resolveOutputLanguage } = require('../../../shared/outputLanguage');
+const { parseComparisonData } = require('../../../shared/comparisonData');
+const { detectContradictions } = require('../../../shared/contradictions');
+const { extractAndParseJSON } = require('../../utils/jsonRepair');
+const { getInstance: getFileAccessPolicy } = require('../FileAccessPolicy');
+const { renderMarkdown } = require('./markdown');
+const { renderHtml } = require('./html');
+const { renderDocx } = require('./docx');
+const { renderPdf } = require('./pdf');
+
+const logger = createLogger('ReportService');
+
+const DEFAULTS = {
+  maxSources: 24,
+  maxSections: 8,
+  maxParagraphs: 6,
+  maxComparisonRows: 10,
+  excerptChars: 800,
+  maxTokens: 4096
+};
+
+const REPORT_FORMATS = Object.freeze({
+  markdown: { extension: '.md', render: renderMarkdown },
+  html: { extension: '.html', render: renderHtml },
+  docx: { extension: '.docx', render: renderDocx },
+  pdf: { extension: '.pdf', render: renderPdf }
+});
+
+const SCOPE_TYPES = new Set(['selection', 'cluster', 'search']);
+
+const cleanText = (value, max = 200) =>
+  typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, max) : '';
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const toFileId = (filePath) => {
+  const normalized = normalizePathForIndex(filePath);
+  return normalized ? getSemanticFileId(normalized) : null;
+};
+
+const toFileUrl = (filePath) => {
+  try {
+    return path.isAbsolute(filePath) ? pathToFileURL(filePath).href : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Normalize the model's draft. Citations to unknown sources are dropped.
+ * @param {Object} raw - Parsed model output
+ * @param {Set<string>} sourceIds - Known `doc-N` ids
+ * @returns {{title: string, summary: Object|null, sections: Array<Object>, comparison: Array<Object>}}
+ */
+function normalizeDraft(raw, sourceIds) {
+  const draft = raw && typeof raw === 'object' ? raw : {};
+  const cited = (item) => {
+    const text = cleanText(typeof item === 'string' ? item : item?.text, 4000);
+    const citations = Array.isArray(item?.citations)
+      ? [...new Set(item.citations.filter((id) => sourceIds.has(id)))]
+      : [];
+    return text ? { text, citations } : null;
+  };
+
+  const sections = (Array.isArray(draft.sections) ? draft.sections : [])
+    .map((section) => ({
+      heading: cleanText(section?.heading, 120),
+      paragraphs: (Array.isArray(section?.paragraphs) ? section.paragraphs : [])
+        .map(cited)
+        .filter(Boolean)
+        .slice(0, DEFAULTS.maxParagraphs)
+    }))
+    .filter((section) => section.heading && section.paragraphs.length > 0)
+    .slice(0, DEFAULTS.maxSections);
+
+  const comparison = (Array.isArray(draft.comparison) ? draft.comparison : [])
+    .map((item) => {
+      const row = cited(item);
+      return row ? { ...row, topic: cleanText(item?.topic, 80) || undefined } : null;
+    })
+    .filter((row) => row && row.citations.length > 0)
+    .slice(0, DEFAULTS.maxComparisonRows);
+
+  return {
+    title: cleanText(draft.title, 120),
+    summary: cited(draft.summary),
+    sections,
+    comparison
+  };
+}
+
+class ReportService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.llamaService - Drafts the report (analyzeText)
+   * @param {Object} deps.analysisHistoryService - Analysis of each source file
+   * @param {Object} [deps.clusteringService] - Resolves cluster scopes
+   * @param {Object} [deps.searchService] - Resolves search scopes given only a query
+   * @param {Object} [deps.settingsService] - Output language
+   * @param {Function} [deps.analyzeFile] - `(filePath) => {queued, error}`, queues the saved
+   *   report for analysis and indexing
+   */
+  constructor({
+    llamaService,
+    analysisHistoryService,
+    clusteringService,
+    searchService,
+    settingsService,
+    analyzeFile
+  }) {
+    this.llamaService = llamaService;
+    this.analysisHistoryService = analysisHistoryService || null;
+    this.clusteringService = clusteringService || null;
+    this.searchService = searchService || null;
+    this.settingsService = settingsService || null;
+    this.analyzeFile = typeof analyzeFile === 'function' ? analyzeFile : null;
+  }
+
+  /**
+   * Write a report and save it to a folder.
+   *
+   * @param {Object} params
+   * @param {Object} params.scope - `{type: 'selection', items}`, `{type: 'cluster', clusterId,
+   *   label?, items?}` or `{type: 'search', query, items?}`; items are `{path, name?}`
+   * @param {string} params.outputDir - Folder to save the report in
+   * @param {string} [params.format='markdown'] - markdown, html, docx or pdf
+   * @param {string} [params.title] - Report title (the model suggests one otherwise)
+   * @param {string} [params.focus] - What the report should concentrate on
+   * @returns {Promise<{success: boolean, path?: string, name?: string, format?: string,
+   *   sourceCount?: number, indexed?: boolean, error?: string, errorCode?: string}>}
+   */
+  async writeReport({ scope, outputDir, format = 'markdown', title = '', focus = '' } = {}) {
+    const formatSpec = REPORT_FORMATS[format];
+    if (!formatSpec) {
+      return { success: false, errorCode: 'INVALID_FORMAT', error: `Unknown format: ${format}` };
+    }
+    if (!scope || !SCOPE_TYPES.has(scope.type)) {
+      return {
+        success: false,
+        errorCode: 'INVALID_SCOPE',
+        error: 'Choose documents to report on.'
+      };
+    }
+
+    const folder = await this._validateOutputDir(outputDir);
+    if (!folder.valid) return { success: false, errorCode: 'INVALID_FOLDER', error: folder.error };
+
+    const resolved = await this._resolveScope(scope);
+    const sources = await this._buildSources(resolved.files);
+    if (sources.length === 0) {
+      return {
+        success: false,
+        errorCode: 'NO_SOURCES',
+        error: 'None of these documents can be used in a report.'
+      };
+    }
+
+    const draft = await this._draft({ sources, title, focus, scopeLabel: resolved.label });
+    if (!draft.success) return draft;
+
+    const comparison = parseComparisonData(draft.comparison, sources);
+    const report = {
+      title: cleanText(title, 120) || draft.title || `Report on ${resolved.label}`,
+      generatedAt: new Date().toISOString(),
+      scopeLabel: resolved.label,
+      focus: cleanText(focus, 500),
+      summary: draft.summary,
+      sections: draft.sections,
+      // Same rule as the chat comparison view: a table needs two documents
+      comparison: comparison && comparison.columns.length >= 2 ? comparison : null,
+      contradictions: detectContradictions(sources),
+      sources
+    };
+
+    let filePath;
+    try {
+      const content = await formatSpec.render(report);
+      filePath = await this._save(folder.path, report.title, formatSpec.extension, content);
+    } catch (error) {
+      logger.warn('[ReportService] Failed to write report', { format, error: error?.message });
+      return {
+        success: false,
+        errorCode: 'WRITE_FAILED',
+        error: `Could not save the report: ${error?.message || 'write failed'}`
+      };
+    }
+
+    const indexing = await this._index(filePath);
+    logger.info('[ReportService] Report written', {
+      format,
+      scope: scope.type,
+      sources: sources.length,
+      sections: report.sections.length,
+      indexed: indexing.queued
+    });
+
+    return {
+      success: true,
+      path: filePath,
+      name: path.basename(filePath),
+      format,
+      title: report.title,
+      sourceCount: sources.length,
+      indexed: indexing.queued,
+      ...(indexing.error ? { indexError: indexing.error } : {})
+    };
+  }
+
+  async _validateOutputDir(outputDir) {
+    if (typeof outputDir !== 'string' || !outputDir.trim()) {
+      return { valid: false, error: 'Choose a folder to save the report in.' };
+    }
+    const validation = await validateFileOperationPath(outputDir, {
+      checkSymlinks: true,
+      requireAbsolute: true
+    });
+    if (!validation.valid) return { valid: false, error: validation.error };
+    try {
+      const stats = await fs.stat(validation.normalizedPath);
+      if (!stats.isDirectory()) return { valid: false, error: 'The chosen path is not a folder.' };
+    } catch {
+      return { valid: false, error: 'The chosen folder does not exist.' };
+    }
+    return { valid: true, path: validation.normalizedPath };
+  }
+
+  /**
+   * Resolve a scope to the files it covers and a label for the report.
+   * @returns {Promise<{label: string, files: Array<{path: string, name?: string}>}>}
+   */
+  async _resolveScope(scope) {
+    const items = (Array.isArray(scope.items) ? scope.items : []).filter(
+      (item) => typeof item?.path === 'string' && item.path
+    );
+
+    if (scope.type === 'cluster') {
+      const label = cleanText(scope.label, 80);
+      let files = items;
+      const clusterId = scope.clusterId;
+      if (clusterId !== undefined && clusterId !== null && this.clusteringService) {
+        try {
+          const members = await this.clusteringService.getClusterMembers(clusterId);
+          const memberFiles = (members || [])
+            .map((member) => ({
+              path: member?.metadata?.path || member?.metadata?.filePath,
+              name: member?.metadata?.name || member?.metadata?.fileName
+            }))
+            .filter((file) => file.path);
+          if (memberFiles.length > 0) files = memberFiles;
+        } catch (error) {
+          logger.debug('[ReportService] Cluster members unavailable', { error: error?.message });
+        }
+      }
+      return { label: label ? `the "${label}" cluster` : 'a cluster', files };
+    }
+
+    if (scope.type === 'search') {
+      const query = cleanText(scope.query, 200);
+      let files = items;
+      if (files.length === 0 && query && typeof this.searchService?.hybridSearch === 'function') {
+        try {
+          const results = await this.searchService.hybridSearch(query, {
+            topK: DEFAULTS.maxSources
+          });
+          files = (results?.success ? results.results || [] : [])
+            .map((result) => ({ path: result?.metadata?.path, name: result?.metadata?.name }))
+            .filter((file) => file.path);
+        } catch (error) {
+          logger.debug('[ReportService] Search scope failed', { error: error?.message });
+        }
+      }
+      return { label: query ? `the search "${query}"` : 'search results', files };
+    }
+
+    return { label: plural(items.length, 'selected document'), files: items };
+  }
+
+  /**
+   * Build numbered sources from the analysis history. Excluded and
+   * privacy-zone files are left out, as in chat.
+   */
+  async _buildSources(files) {
+    const seen = new Set();
+    const unique = files.filter((file) => {
+      const key = normalizePathForIndex(file.path);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    const allowed = await getFileAccessPolicy().filterItems(unique, { dropPrivate: true });
+
+    const sources = [];
+    for (const file of allowed.items.slice(0, DEFAULTS.maxSources)) {
+      let entry = null;
+      try {
+        entry = await this.analysisHistoryService?.getAnalysisByPath?.(file.path);
+      } catch (error) {
+        logger.debug('[ReportService] History lookup failed', { error: error?.message });
+      }
+      const analysis = entry?.analysis || {};
+      const number = sources.length + 1;
+      sources.push({
+        id: `doc-${number}`,
+        number,
+        fileId: toFileId(file.path),
+        name: file.name || path.basename(file.path),
+        path: file.path,
+        url: toFileUrl(file.path),
+        summary: analysis.summary || '',
+        snippet: analysis.summary || analysis.purpose || '',
+        documentDate: analysis.documentDate || '',
+        entity: analysis.entity || '',
+        category: analysis.category || '',
+        documentType: analysis.documentType || '',
+        tags: Array.isArray(analysis.tags) ? analysis.tags : [],
+        keyEntities: Array.isArray(analysis.keyEntities) ? analysis.keyEntities : [],
+        extractedText: analysis.extractedText
+          ? String(analysis.extractedText).slice(0, DEFAULTS.excerptChars)
+          : ''
+      });
+    }
+    return sources;
+  }
+
+  async _draft({ sources, title, focus, scopeLabel }) {
+    if (typeof this.llamaService?.analyzeText !== 'function') {
+      return {
+        success: false,
+        errorCode: 'MODEL_UNAVAILABLE',
+        error: 'The AI model is not ready.'
+      };
+    }
+
+    const documents = sources
+      .map((source) => {
+        const lines = [`[${source.id}] ${source.name}`];
+        if (source.documentDate) lines.push(`Date: ${source.documentDate}`);
+        if (source.documentType) lines.push(`Type: ${source.documentType}`);
+        if (source.entity) lines.push(`Entity: ${source.entity}`);
+        if (source.tags.length > 0) lines.push(`Tags: ${source.tags.slice(0, 10).join(', ')}`);
+        if (source.summary) lines.push(`Summary: ${source.summary}`);
+        if (source.extractedText) lines.push(`Excerpt: ${source.extractedText}`);
+        return lines.join('\n');
+      })
+      .join('\n\n---\n\n');
+
+    const prompt = `You are writing a report from the user's local documents (${scopeLabel}).
+${title ? `\nReport title: "${cleanText(title, 120)}"` : ''}${focus ? `\nFocus: ${cleanText(focus, 500)}` : ''}
+
+Documents:
+${documents}
+
+Write a structured report:
+1. "summary": a short overview of what the documents say.
+2. "sections": 2-${DEFAULTS.maxSections} sections with short headings, each with 1-4 paragraphs.
+3. "comparison": when two or more documents cover the same points, one item per point with a short "topic" and a text comparing them; otherwise [].
+4. Use only facts from the documents. Mark each claim inline with its source id, e.g. [doc-2], and list every source a paragraph uses in its "citations".
+5. ${await this._languageInstruction()}
+
+Return ONLY JSON: {"title": "...", "summary": {"text": "...", "citations": ["doc-1"]}, "sections": [{"heading": "...", "paragraphs": [{"text": "...", "citations": ["doc-1"]}]}], "comparison": [{"topic": "...", "text": "...", "citations": ["doc-1", "doc-2"]}]}`;
+
+    let result;
+    try {
+      result = await this.llamaService.analyzeText(prompt, {
+        format: 'json',
+        maxTokens: DEFAULTS.maxTokens,
+        temperature: 0.3
+      });
+    } catch (error) {
+      result = { success: false, error: error?.message };
+    }
+    if (!result?.success) {
+      return {
+        success: false,
+        errorCode: 'DRAFT_FAILED',
+        error: `Could not draft the report: ${result?.error || 'the model did not respond'}`
+      };
+    }
+
+    const draft = normalizeDraft(
+      extractAndParseJSON(result.response, null),
+      new Set(sources.map((source) => source.id))
+    );
+    if (draft.sections.length === 0 && !draft.summary) {
+      return {
+        success: false,
+        errorCode: 'DRAFT_FAILED',
+        error: 'Could not draft the report: the model returned no usable sections'
+      };
+    }
+    return { success: true, ...draft };
+  }
+
+  async _languageInstruction() {
+    let preference = resolveOutputLanguage();
+    try {
+      if (this.settingsService?.load) {
+        preference = resolveOutputLanguage(await this.settingsService.load());
+      }
+    } catch (error) {
+      logger.debug('[ReportService] Failed to load output language setting', {
+        error: error?.message
+      });
+    }
+    return preference.mode === 'document'
+      ? 'Write the report in the language of the documents.'
+      : `Write the report in ${preference.targetName}.`;
+  }
+
+  /**
+   * Save without overwriting: "Title.md", then "Title (2).md", ...
+   */
+  async _save(folderPath, title, extension, content) {
+    const baseName = sanitizePathSegment(title).slice(0, 100) || 'Report';
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    for (let attempt = 1; attempt <= 100; attempt++) {
+      const name = attempt === 1 ? baseName : `${baseName} (${attempt})`;
+      const filePath = path.join(folderPath, `${name}${extension}`);
+      try {
+        await fs.writeFile(filePath, data, { flag: 'wx' });
+        return filePath;
+      } catch (error) {
+        if (error?.code !== 'EEXIST') throw error;
+      }
+    }
+    throw new Error('Too many reports with this title in the folder');
+  }
+
+  async _index(filePath) {
+    if (!this.analyzeFile) return { queued: false, error: 'Analysis is not available' };
+    try {
+      const result = await this.analyzeFile(filePath);
+      return { queued: Boolean(result?.queued), error: result?.queued ? null : result?.error };
+    } catch (error) {
+      logger.warn('[ReportService] Failed to queue report for analysis', {
+        error: error?.message
+      });
+      return { queued: false, error: error?.message || 'Analysis failed' };
+    }
+  }
+}
+
+module.exports = { ReportService, REPORT_FORMATS, normalizeDraft };
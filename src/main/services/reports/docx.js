@@ -0,0 +1,235 @@
+/**
+ * Word Report
+ *
+ * Renders a report as a minimal Office Open XML (.docx) package: headings,
+ * paragraphs, a comparison table and citations as hyperlinks to the source
+ * files. Only the parts Word needs are written (document, styles,
+ * relationships and core properties).
+ *
+ * @module services/reports/docx
+ */
+
+const { extractSegmentsForDoc } = require('../../../shared/comparisonData');
+const { escapeXml } = require('../metadataWriter/xmpPacket');
+const { toSegments, describeReport, describeContradiction } = require('./reportText');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const REL_TYPES = {
+  officeDocument: `${R_NS}/officeDocument`,
+  styles: `${R_NS}/styles`,
+  hyperlink: `${R_NS}/hyperlink`,
+  coreProperties: `${REL_NS}/metadata/core-properties`
+};
+// Table width in twentieths of a point (6.5in of usable page width)
+const TABLE_WIDTH = 9360;
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `${XML_HEADER}<Relationships xmlns="${REL_NS}">
+<Relationship Id="rId1" Type="${REL_TYPES.officeDocument}" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="${REL_TYPES.coreProperties}" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const STYLES = `${XML_HEADER}<w:styles xmlns:w="${W_NS}">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:spacing w:after="80"/></w:pPr><w:rPr><w:b/><w:sz w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="1F3864"/><w:sz w:val="30"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="2563EB"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>
+<w:top w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/><w:left w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/>
+<w:bottom w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/><w:right w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/>
+<w:insideH w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="D1D5DB"/>
+</w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+/**
+ * Collects external hyperlink relationships for word/document.xml
+ */
+class HyperlinkRegistry {
+  constructor() {
+    // rId1 is the styles part
+    this.ids = new Map();
+  }
+
+  idFor(url) {
+    if (!this.ids.has(url)) this.ids.set(url, `rId${this.ids.size + 2}`);
+    return this.ids.get(url);
+  }
+
+  toXml() {
+    const links = Array.from(this.ids.entries())
+      .map(
+        ([url, id]) =>
+          `<Relationship Id="${id}" Type="${REL_TYPES.hyperlink}" Target="${escapeXml(url)}" TargetMode="External"/>`
+      )
+      .join('\n');
+    return `${XML_HEADER}<Relationships xmlns="${REL_NS}">
+<Relationship Id="rId1" Type="${REL_TYPES.styles}" Target="styles.xml"/>
+${links}
+</Relationships>`;
+  }
+}
+
+function run(text, { bold = false, italic = false, color = null, superscript = false } = {}) {
+  if (!text) return '';
+  const props = [
+    bold ? '<w:b/>' : '',
+    italic ? '<w:i/>' : '',
+    color ? `<w:color w:val="${color}"/>` : '',
+    superscript ? '<w:vertAlign w:val="superscript"/>' : ''
+  ].join('');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(
+    text
+  )}</w:t></w:r>`;
+}
+
+function hyperlink(text, url, links, { superscript = false } = {}) {
+  if (!url) return run(text, { superscript });
+  const vertAlign = superscript ? '<w:vertAlign w:val="superscript"/>' : '';
+  return `<w:hyperlink r:id="${links.idFor(url)}"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/>${vertAlign}</w:rPr><w:t xml:space="preserve">${escapeXml(
+    text
+  )}</w:t></w:r></w:hyperlink>`;
+}
+
+const paragraph = (content, style = null) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${content}</w:p>`;
+
+function citedRuns(text, citations, sourcesById, links) {
+  return toSegments(text, citations, sourcesById)
+    .map((segment) =>
+      segment.type === 'cite'
+        ? hyperlink(`[${segment.source.number}]`, segment.source.url, links, { superscript: true })
+        : run(segment.value)
+    )
+    .join('');
+}
+
+function table(headerCells, bodyRows) {
+  const width = Math.floor(TABLE_WIDTH / headerCells.length);
+  const cell = (content) =>
+    `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${paragraph(content)}</w:tc>`;
+  const header = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${headerCells
+    .map((text) => cell(run(text, { bold: true })))
+    .join('')}</w:tr>`;
+  const rows = bodyRows.map((cells) => `<w:tr>${cells.map(cell).join('')}</w:tr>`).join('');
+  const grid = headerCells.map(() => `<w:gridCol w:w="${width}"/>`).join('');
+  return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="${TABLE_WIDTH}" w:type="dxa"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${header}${rows}</w:tbl>`;
+}
+
+function renderBody(report, links) {
+  const sourcesById = new Map(report.sources.map((source) => [source.id, source]));
+  const body = [
+    paragraph(run(report.title), 'Title'),
+    paragraph(run(describeReport(report), { italic: true, color: '6B7280' }))
+  ];
+
+  if (report.focus) body.push(paragraph(run(`Focus: ${report.focus}`, { italic: true })));
+  if (report.summary?.text) {
+    body.push(
+      paragraph(run('Summary'), 'Heading1'),
+      paragraph(citedRuns(report.summary.text, report.summary.citations, sourcesById, links))
+    );
+  }
+  for (const section of report.sections) {
+    body.push(paragraph(run(section.heading), 'Heading1'));
+    for (const item of section.paragraphs) {
+      body.push(paragraph(citedRuns(item.text, item.citations, sourcesById, links)));
+    }
+  }
+
+  if (report.comparison) {
+    const { rows, columns } = report.comparison;
+    body.push(
+      paragraph(run('Comparison'), 'Heading1'),
+      table(
+        ['Topic', ...columns.map((col) => col.name)],
+        rows.map((row) => [
+          run(row.topic, { bold: true }),
+          ...columns.map((col) =>
+            row.citations.includes(col.id)
+              ? citedRuns(extractSegmentsForDoc(row.text, col.id), [col.id], sourcesById, links)
+              : run('Not addressed', { italic: true, color: '9CA3AF' })
+          )
+        ])
+      ),
+      // Word requires a paragraph between a table and the next block
+      paragraph('')
+    );
+  }
+
+  if (report.contradictions.length > 0) {
+    body.push(paragraph(run('Possible contradictions'), 'Heading1'));
+    for (const contradiction of report.contradictions) {
+      body.push(paragraph(run(describeContradiction(contradiction), { bold: true })));
+      for (const doc of [contradiction.docA, contradiction.docB]) {
+        const source = sourcesById.get(doc.id);
+        body.push(
+          paragraph(
+            [
+              hyperlink(doc.name, source?.url, links),
+              run(doc.date ? ` (${doc.date})` : ''),
+              run(doc.snippet ? `: ${doc.snippet}` : '')
+            ].join('')
+          )
+        );
+      }
+    }
+  }
+
+  body.push(paragraph(run('Sources'), 'Heading1'));
+  for (const source of report.sources) {
+    body.push(
+      paragraph(
+        [
+          run(`${source.number}. `),
+          hyperlink(source.name, source.url, links),
+          run(source.documentDate ? ` (${source.documentDate})` : ''),
+          source.path ? run(` ${source.path}`, { color: '6B7280' }) : ''
+        ].join('')
+      )
+    );
+  }
+
+  return body.join('\n');
+}
+
+/**
+ * @param {Object} report - Report model built by ReportService
+ * @returns {Buffer} .docx package contents
+ */
+function renderDocx(report) {
+  const AdmZip = require('adm-zip');
+  const links = new HyperlinkRegistry();
+  const document = `${XML_HEADER}<w:document xmlns:w="${W_NS}" xmlns:r="${R_NS}"><w:body>
+${renderBody(report, links)}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body></w:document>`;
+  const created = new Date(report.generatedAt || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z');
+  const core = `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(report.title)}</dc:title>
+<dc:description>${escapeXml(describeReport(report))}</dc:description>
+<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>
+</cp:coreProperties>`;
+
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from(CONTENT_TYPES, 'utf8'));
+  zip.addFile('_rels/.rels', Buffer.from(PACKAGE_RELS, 'utf8'));
+  zip.addFile('word/document.xml', Buffer.from(document, 'utf8'));
+  zip.addFile('word/styles.xml', Buffer.from(STYLES, 'utf8'));
+  zip.addFile('word/_rels/document.xml.rels', Buffer.from(links.toXml(), 'utf8'));
+  zip.addFile('docProps/core.xml', Buffer.from(core, 'utf8'));
+  return zip.toBuffer();
+}
+
+module.exports = { renderDocx };
@@ -0,0 +1,134 @@
+/**
+ * HTML Report
+ *
+ * Renders a report as a standalone HTML page with inline styles. The same
+ * page is printed to PDF for PDF reports.
+ *
+ * @module services/reports/html
+ */
+
+const { extractSegmentsForDoc } = require('../../../shared/comparisonData');
+const { escapeXml } = require('../metadataWriter/xmpPacket');
+const { toSegments, describeReport, describeContradiction } = require('./reportText');
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; line-height: 1.55; max-width: 860px; margin: 40px auto; padding: 0 24px; }
+  h1 { font-size: 26px; margin-bottom: 4px; }
+  h2 { font-size: 18px; margin-top: 32px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .meta { color: #6b7280; font-size: 13px; margin-top: 0; }
+  .focus { border-left: 3px solid #2563eb; padding-left: 12px; color: #374151; }
+  a.cite { font-size: 11px; vertical-align: super; text-decoration: none; color: #2563eb; margin-left: 1px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f9fafb; }
+  td.missing { color: #9ca3af; font-style: italic; }
+  .contradiction { border: 1px solid #fcd34d; background: #fffbeb; border-radius: 6px; padding: 8px 12px; margin-bottom: 8px; }
+  .contradiction p { margin: 4px 0; font-size: 13px; }
+  ol.sources li { margin-bottom: 4px; }
+  ol.sources .path { color: #6b7280; font-size: 12px; word-break: break-all; }
+`;
+
+function renderText(text, citations, sourcesById) {
+  return toSegments(text, citations, sourcesById)
+    .map((segment) => {
+      if (segment.type !== 'cite') return escapeXml(segment.value);
+      const { number, url, name } = segment.source;
+      const label = `[${number}]`;
+      return url
+        ? `<a class="cite" href="${escapeXml(url)}" title="${escapeXml(name)}">${label}</a>`
+        : label;
+    })
+    .join('')
+    .trim();
+}
+
+function renderComparison({ rows, columns }, sourcesById) {
+  const head = columns.map((col) => `<th>${escapeXml(col.name)}</th>`).join('');
+  const body = rows
+    .map((row) => {
+      const cells = columns
+        .map((col) =>
+          row.citations.includes(col.id)
+            ? `<td>${renderText(extractSegmentsForDoc(row.text, col.id), [col.id], sourcesById)}</td>`
+            : '<td class="missing">Not addressed</td>'
+        )
+        .join('');
+      return `<tr><th>${escapeXml(row.topic)}</th>${cells}</tr>`;
+    })
+    .join('\n');
+  return `<table><thead><tr><th>Topic</th>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function renderContradiction(contradiction, sourcesById) {
+  const side = (doc) => {
+    const source = sourcesById.get(doc.id);
+    const name = source?.url
+      ? `<a href="${escapeXml(source.url)}">${escapeXml(doc.name)}</a>`
+      : escapeXml(doc.name);
+    const date = doc.date ? ` (${escapeXml(doc.date)})` : '';
+    const snippet = doc.snippet ? `: ${escapeXml(doc.snippet)}` : '';
+    return `<p><strong>${name}</strong>${date}${snippet}</p>`;
+  };
+  return `<div class="contradiction"><p><strong>${escapeXml(
+    describeContradiction(contradiction)
+  )}</strong></p>${side(contradiction.docA)}${side(contradiction.docB)}</div>`;
+}
+
+/**
+ * @param {Object} report - Report model built by ReportService
+ * @returns {string}
+ */
+function renderHtml(report) {
+  const sourcesById = new Map(report.sources.map((source) => [source.id, source]));
+  const parts = [
+    `<h1>${escapeXml(report.title)}</h1>`,
+    `<p class="meta">${escapeXml(describeReport(report))}</p>`
+  ];
+
+  if (report.focus) parts.push(`<p class="focus">${escapeXml(report.focus)}</p>`);
+  if (report.summary?.text) {
+    parts.push(
+      '<h2>Summary</h2>',
+      `<p>${renderText(report.summary.text, report.summary.citations, sourcesById)}</p>`
+    );
+  }
+  for (const section of report.sections) {
+    parts.push(`<h2>${escapeXml(section.heading)}</h2>`);
+    for (const paragraph of section.paragraphs) {
+      parts.push(`<p>${renderText(paragraph.text, paragraph.citations, sourcesById)}</p>`);
+    }
+  }
+  if (report.comparison) {
+    parts.push('<h2>Comparison</h2>', renderComparison(report.comparison, sourcesById));
+  }
+  if (report.contradictions.length > 0) {
+    parts.push('<h2>Possible contradictions</h2>');
+    report.contradictions.forEach((c) => parts.push(renderContradiction(c, sourcesById)));
+  }
+
+  const sources = report.sources
+    .map((source) => {
+      const name = source.url
+        ? `<a href="${escapeXml(source.url)}">${escapeXml(source.name)}</a>`
+        : escapeXml(source.name);
+      const date = source.documentDate ? ` (${escapeXml(source.documentDate)})` : '';
+      return `<li>${name}${date}<br><span class="path">${escapeXml(source.path || '')}</span></li>`;
+    })
+    .join('\n');
+  parts.push('<h2>Sources</h2>', `<ol class="sources">\n${sources}\n</ol>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(report.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtml };
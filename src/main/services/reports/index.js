@@ -0,0 +1,15 @@
+/**
+ * Reports
+ *
+ * Writes Markdown, HTML, Word and PDF reports over a selection, a cluster or
+ * a search result set.
+ *
+ * @module services/reports
+ */
+
+const { ReportService, REPORT_FORMATS } = require('./ReportService');
+
+module.exports = {
+  ReportService,
+  REPORT_FORMATS
+};
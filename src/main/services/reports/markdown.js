@@ -0,0 +1,103 @@
+/**
+ * Markdown Report
+ *
+ * Renders a report as Markdown. Citations are numbered links to the source
+ * files and every source is listed at the end.
+ *
+ * @module services/reports/markdown
+ */
+
+const { extractSegmentsForDoc } = require('../../../shared/comparisonData');
+const { toSegments, describeReport, describeContradiction } = require('./reportText');
+
+const escapeMarkdown = (value) => String(value || '').replace(/([\\`*_[\]<>|])/g, '\\$1');
+
+const link = (label, url) => (url ? `[${label}](<${url}>)` : label);
+
+function renderText(text, citations, sourcesById) {
+  return toSegments(text, citations, sourcesById)
+    .map((segment) =>
+      segment.type === 'cite'
+        ? link(`[${segment.source.number}]`, segment.source.url)
+        : escapeMarkdown(segment.value)
+    )
+    .join('')
+    .trim();
+}
+
+const tableCell = (value) => value.replace(/\s*\n+\s*/g, ' ');
+
+/**
+ * @param {Object} report - Report model built by ReportService
+ * @returns {string}
+ */
+function renderMarkdown(report) {
+  const sourcesById = new Map(report.sources.map((source) => [source.id, source]));
+  const lines = [`# ${escapeMarkdown(report.title)}`, '', `_${describeReport(report)}_`, ''];
+
+  if (report.focus) lines.push(`> Focus: ${escapeMarkdown(report.focus)}`, '');
+
+  if (report.summary?.text) {
+    lines.push(
+      '## Summary',
+      '',
+      renderText(report.summary.text, report.summary.citations, sourcesById),
+      ''
+    );
+  }
+
+  for (const section of report.sections) {
+    lines.push(`## ${escapeMarkdown(section.heading)}`, '');
+    for (const paragraph of section.paragraphs) {
+      lines.push(renderText(paragraph.text, paragraph.citations, sourcesById), '');
+    }
+  }
+
+  if (report.comparison) {
+    const { rows, columns } = report.comparison;
+    lines.push('## Comparison', '');
+    lines.push(
+      `| Topic | ${columns.map((col) => tableCell(escapeMarkdown(col.name))).join(' | ')} |`
+    );
+    lines.push(`| --- | ${columns.map(() => '---').join(' | ')} |`);
+    for (const row of rows) {
+      const cells = columns.map((col) =>
+        row.citations.includes(col.id)
+          ? tableCell(renderText(extractSegmentsForDoc(row.text, col.id), [col.id], sourcesById))
+          : '_Not addressed_'
+      );
+      lines.push(`| ${tableCell(escapeMarkdown(row.topic))} | ${cells.join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  if (report.contradictions.length > 0) {
+    lines.push('## Possible contradictions', '');
+    for (const contradiction of report.contradictions) {
+      const sides = [contradiction.docA, contradiction.docB].map((doc) => {
+        const source = sourcesById.get(doc.id);
+        const name = link(escapeMarkdown(doc.name), source?.url);
+        return doc.date ? `${name} (${escapeMarkdown(doc.date)})` : name;
+      });
+      lines.push(
+        `- **${escapeMarkdown(describeContradiction(contradiction))}**: ${sides.join(' and ')}`
+      );
+    }
+    lines.push('');
+  }
+
+  lines.push('## Sources', '');
+  for (const source of report.sources) {
+    const details = [source.documentDate, source.path].filter(Boolean).map(escapeMarkdown);
+    lines.push(
+      `${source.number}. ${link(escapeMarkdown(source.name), source.url)}${
+        details.length > 0 ? ` (${details.join(', ')})` : ''
+      }`
+    );
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+module.exports = { renderMarkdown };
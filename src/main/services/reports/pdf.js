@@ -0,0 +1,49 @@
+/**
+ * PDF Report
+ *
+ * Prints the HTML report to PDF in a hidden, script-less window. Citation
+ * links stay clickable in the PDF.
+ *
+ * @module services/reports/pdf
+ */
+
+const { renderHtml } = require('./html');
+
+const PRINT_TIMEOUT_MS = 30000;
+
+/**
+ * @param {Object} report - Report model built by ReportService
+ * @returns {Promise<Buffer>} PDF contents
+ */
+async function renderPdf(report) {
+  const { BrowserWindow } = require('electron');
+  const win = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      javascript: false,
+      sandbox: true,
+      contextIsolation: true,
+      nodeIntegration: false
+    }
+  });
+
+  let timer = null;
+  try {
+    const print = (async () => {
+      await win.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(renderHtml(report))}`);
+      return win.webContents.printToPDF({ printBackground: true, pageSize: 'A4' });
+    })();
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error('Printing the report timed out')),
+        PRINT_TIMEOUT_MS
+      );
+    });
+    return await Promise.race([print, timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (!win.isDestroyed()) win.destroy();
+  }
+}
+
+module.exports = { renderPdf };
@@ -0,0 +1,89 @@
+/**
+ * Report Text
+ *
+ * Helpers shared by the report renderers: splitting drafted text into plain
+ * runs and citations, and labelling the report's metadata.
+ *
+ * @module services/reports/reportText
+ */
+
+const { CONTRADICTION_REASON_LABELS } = require('../../../shared/contradictions');
+
+const CITATION_MARKER = /\[(doc-\d+)\]/g;
+
+/**
+ * Split drafted text into text runs and citations. Inline `[doc-N]` markers
+ * become citations in place; cited sources the text does not mark inline are
+ * appended at the end. Unknown source ids are dropped.
+ *
+ * @param {string} text
+ * @param {string[]} [citations]
+ * @param {Map<string, Object>} sourcesById - Report sources keyed by `doc-N`
+ * @returns {Array<{type: 'text', value: string}|{type: 'cite', source: Object}>}
+ */
+function toSegments(text, citations, sourcesById) {
+  const segments = [];
+  const inline = new Set();
+  let lastIndex = 0;
+  const value = typeof text === 'string' ? text : '';
+
+  for (const match of value.matchAll(CITATION_MARKER)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', value: value.slice(lastIndex, match.index) });
+    }
+    const source = sourcesById.get(match[1]);
+    if (source) {
+      segments.push({ type: 'cite', source });
+      inline.add(source.id);
+    } else if (segments[segments.length - 1]?.type === 'text') {
+      // Drop the space before a marker that cites nothing
+      const previous = segments[segments.length - 1];
+      previous.value = previous.value.replace(/\s+$/, '');
+    }
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < value.length) segments.push({ type: 'text', value: value.slice(lastIndex) });
+
+  for (const id of Array.isArray(citations) ? citations : []) {
+    const source = sourcesById.get(id);
+    if (source && !inline.has(id)) {
+      const previous = segments[segments.length - 1];
+      if (previous?.type === 'text' && /\S$/.test(previous.value)) {
+        segments.push({ type: 'text', value: ' ' });
+      }
+      segments.push({ type: 'cite', source });
+      inline.add(id);
+    }
+  }
+  return segments;
+}
+
+/**
+ * "Generated on ... from ..." line under the report title
+ * @param {Object} report
+ * @returns {string}
+ */
+function describeReport(report) {
+  const date = String(report.generatedAt || '').slice(0, 10);
+  const count = report.sources.length;
+  return `Generated ${date} from ${report.scopeLabel} (${count} source${count === 1 ? '' : 's'})`;
+}
+
+/**
+ * One-line description of a contradiction pair
+ * @param {Object} contradiction - See shared/contradictions
+ * @returns {string}
+ */
+function describeContradiction(contradiction) {
+  const label =
+    CONTRADICTION_REASON_LABELS[contradiction.reason] ||
+    CONTRADICTION_REASON_LABELS.different_entities;
+  const topics = (contradiction.sharedTopics || []).join(', ');
+  return topics ? `${label}: ${topics}` : label;
+}
+
+module.exports = {
+  toSegments,
+  describeReport,
+  describeContradiction
+};
@@ -1012,6 +1012,12 @@ app.whenReady().then(async () => {
         getSmartFolders: getCustomFolders
       });
 
+      // Let undo remove smart folders created by chat action plans
+      serviceIntegration.configureUndoRedo({
+        getCustomFolders,
+        saveCustomFolders
+      });
+
       // Optional: Run startup learning scan to learn from existing organization
       // This teaches the system from files already in smart folders
       // Run in background to not block startup
@@ -1114,11 +1120,14 @@ app.whenReady().then(async () => {
       initializeTrayConfig({
         getDownloadWatcher: () => downloadWatcher,
         getSettingsService: () => settingsService,
+        getUpcomingReminders: () => serviceIntegration?.reminderService?.getUpcoming?.() || [],
         handleSettingsChanged,
         createWindow,
         setIsQuitting
       });
       createSystemTray();
+      // Keep the tray's "Upcoming Deadlines" submenu current
+      serviceIntegration?.reminderService?.on?.('updated', () => updateTrayMenu());
       // Register global shortcut for quick semantic search
       registerGlobalShortcut();
     } catch (e) {
@@ -209,6 +209,34 @@ async function ensureDirectory(dirPath) {
   }
 }
 
+/**
+ * Ensure a directory exists and report which directories had to be created,
+ * outermost first, so the operation can be undone without leaving empty
+ * folders behind. Throws on mkdir failure.
+ *
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<string[]>} Newly created directories (empty if it already existed)
+ */
+async function ensureDirectoryTracked(dirPath) {
+  const missing = [];
+  let current = dirPath;
+  for (;;) {
+    try {
+      await fs.stat(current);
+      break;
+    } catch (error) {
+      if (error.code !== 'ENOENT') break;
+    }
+    missing.unshift(current);
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+
+  await fs.mkdir(dirPath, { recursive: true });
+  return missing;
+}
+
 /**
  * Ensure directory with legacy return signature (boolean)
  * For backwards compatibility
@@ -566,6 +594,7 @@ module.exports = {
   safeReadFile,
   safeWriteFile,
   ensureDirectory,
+  ensureDirectoryTracked,
   safeStat,
   listFiles,
   copyFile,
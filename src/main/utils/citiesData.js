@@ -0,0 +1,555 @@
+/**
+ * Cities Dataset
+ *
+ * Bundled offline dataset for reverse geocoding photo GPS coordinates:
+ * national capitals plus major and frequently photographed cities, as
+ * `[name, countryCode, latitude, longitude]` (coordinates to two decimals,
+ * roughly 1 km). Kept small on purpose; see reverseGeocode.js for how
+ * coordinates far from every listed city are handled.
+ *
+ * @module utils/citiesData
+ */
+
+const COUNTRY_NAMES = Object.freeze({
+  AE: 'United Arab Emirates',
+  AR: 'Argentina',
+  AT: 'Austria',
+  AU: 'Australia',
+  BA: 'Bosnia and Herzegovina',
+  BD: 'Bangladesh',
+  BE: 'Belgium',
+  BG: 'Bulgaria',
+  BO: 'Bolivia',
+  BR: 'Brazil',
+  CA: 'Canada',
+  CH: 'Switzerland',
+  CL: 'Chile',
+  CN: 'China',
+  CO: 'Colombia',
+  CR: 'Costa Rica',
+  CU: 'Cuba',
+  CY: 'Cyprus',
+  CZ: 'Czechia',
+  DE: 'Germany',
+  DK: 'Denmark',
+  DO: 'Dominican Republic',
+  DZ: 'Algeria',
+  EC: 'Ecuador',
+  EE: 'Estonia',
+  EG: 'Egypt',
+  ES: 'Spain',
+  ET: 'Ethiopia',
+  FI: 'Finland',
+  FR: 'France',
+  GB: 'United Kingdom',
+  GE: 'Georgia',
+  GH: 'Ghana',
+  GR: 'Greece',
+  HK: 'Hong Kong',
+  HR: 'Croatia',
+  HU: 'Hungary',
+  ID: 'Indonesia',
+  IE: 'Ireland',
+  IL: 'Israel',
+  IN: 'India',
+  IQ: 'Iraq',
+  IR: 'Iran',
+  IS: 'Iceland',
+  IT: 'Italy',
+  JM: 'Jamaica',
+  JO: 'Jordan',
+  JP: 'Japan',
+  KE: 'Kenya',
+  KH: 'Cambodia',
+  KR: 'South Korea',
+  KW: 'Kuwait',
+  KZ: 'Kazakhstan',
+  LB: 'Lebanon',
+  LK: 'Sri Lanka',
+  LT: 'Lithuania',
+  LU: 'Luxembourg',
+  LV: 'Latvia',
+  MA: 'Morocco',
+  MT: 'Malta',
+  MV: 'Maldives',
+  MX: 'Mexico',
+  MY: 'Malaysia',
+  NG: 'Nigeria',
+  NL: 'Netherlands',
+  NO: 'Norway',
+  NP: 'Nepal',
+  NZ: 'New Zealand',
+  OM: 'Oman',
+  PA: 'Panama',
+  PE: 'Peru',
+  PH: 'Philippines',
+  PK: 'Pakistan',
+  PL: 'Poland',
+  PR: 'Puerto Rico',
+  PT: 'Portugal',
+  PY: 'Paraguay',
+  QA: 'Qatar',
+  RO: 'Romania',
+  RS: 'Serbia',
+  RU: 'Russia',
+  SA: 'Saudi Arabia',
+  SE: 'Sweden',
+  SG: 'Singapore',
+  SI: 'Slovenia',
+  SK: 'Slovakia',
+  SN: 'Senegal',
+  TH: 'Thailand',
+  TN: 'Tunisia',
+  TR: 'Turkey',
+  TW: 'Taiwan',
+  TZ: 'Tanzania',
+  UA: 'Ukraine',
+  US: 'United States',
+  UY: 'Uruguay',
+  VE: 'Venezuela',
+  VN: 'Vietnam',
+  ZA: 'South Africa'
+});
+
+const CITIES = Object.freeze([
+  // Europe
+  ['Lisbon', 'PT', 38.72, -9.14],
+  ['Porto', 'PT', 41.15, -8.61],
+  ['Faro', 'PT', 37.02, -7.93],
+  ['Funchal', 'PT', 32.65, -16.91],
+  ['Ponta Delgada', 'PT', 37.74, -25.67],
+  ['Madrid', 'ES', 40.42, -3.7],
+  ['Barcelona', 'ES', 41.39, 2.17],
+  ['Valencia', 'ES', 39.47, -0.38],
+  ['Seville', 'ES', 37.39, -5.98],
+  ['Granada', 'ES', 37.18, -3.6],
+  ['Malaga', 'ES', 36.72, -4.42],
+  ['Bilbao', 'ES', 43.26, -2.93],
+  ['Palma', 'ES', 39.57, 2.65],
+  ['Las Palmas', 'ES', 28.12, -15.44],
+  ['Santa Cruz de Tenerife', 'ES', 28.46, -16.25],
+  ['Ibiza', 'ES', 38.91, 1.43],
+  ['Paris', 'FR', 48.86, 2.35],
+  ['Marseille', 'FR', 43.3, 5.37],
+  ['Lyon', 'FR', 45.76, 4.84],
+  ['Nice', 'FR', 43.7, 7.27],
+  ['Bordeaux', 'FR', 44.84, -0.58],
+  ['Toulouse', 'FR', 43.6, 1.44],
+  ['Strasbourg', 'FR', 48.57, 7.75],
+  ['Nantes', 'FR', 47.22, -1.55],
+  ['Lille', 'FR', 50.63, 3.06],
+  ['Montpellier', 'FR', 43.61, 3.88],
+  ['Ajaccio', 'FR', 41.92, 8.74],
+  ['Chamonix', 'FR', 45.92, 6.87],
+  ['London', 'GB', 51.51, -0.13],
+  ['Manchester', 'GB', 53.48, -2.24],
+  ['Birmingham', 'GB', 52.49, -1.89],
+  ['Liverpool', 'GB', 53.41, -2.98],
+  ['Edinburgh', 'GB', 55.95, -3.19],
+  ['Glasgow', 'GB', 55.86, -4.25],
+  ['Inverness', 'GB', 57.48, -4.22],
+  ['Cardiff', 'GB', 51.48, -3.18],
+  ['Belfast', 'GB', 54.6, -5.93],
+  ['Bristol', 'GB', 51.45, -2.59],
+  ['Oxford', 'GB', 51.75, -1.26],
+  ['Cambridge', 'GB', 52.21, 0.12],
+  ['Brighton', 'GB', 50.82, -0.14],
+  ['Newcastle', 'GB', 54.98, -1.61],
+  ['Plymouth', 'GB', 50.38, -4.14],
+  ['Dublin', 'IE', 53.35, -6.26],
+  ['Cork', 'IE', 51.9, -8.47],
+  ['Galway', 'IE', 53.27, -9.05],
+  ['Amsterdam', 'NL', 52.37, 4.9],
+  ['Rotterdam', 'NL', 51.92, 4.48],
+  ['The Hague', 'NL', 52.08, 4.3],
+  ['Utrecht', 'NL', 52.09, 5.12],
+  ['Eindhoven', 'NL', 51.44, 5.48],
+  ['Brussels', 'BE', 50.85, 4.35],
+  ['Antwerp', 'BE', 51.22, 4.4],
+  ['Bruges', 'BE', 51.21, 3.22],
+  ['Ghent', 'BE', 51.05, 3.72],
+  ['Luxembourg', 'LU', 49.61, 6.13],
+  ['Berlin', 'DE', 52.52, 13.4],
+  ['Hamburg', 'DE', 53.55, 9.99],
+  ['Munich', 'DE', 48.14, 11.58],
+  ['Cologne', 'DE', 50.94, 6.96],
+  ['Frankfurt', 'DE', 50.11, 8.68],
+  ['Stuttgart', 'DE', 48.78, 9.18],
+  ['Dusseldorf', 'DE', 51.23, 6.78],
+  ['Leipzig', 'DE', 51.34, 12.37],
+  ['Dresden', 'DE', 51.05, 13.74],
+  ['Nuremberg', 'DE', 49.45, 11.08],
+  ['Hanover', 'DE', 52.37, 9.73],
+  ['Bremen', 'DE', 53.08, 8.8],
+  ['Heidelberg', 'DE', 49.4, 8.67],
+  ['Freiburg', 'DE', 47.99, 7.84],
+  ['Vienna', 'AT', 48.21, 16.37],
+  ['Salzburg', 'AT', 47.81, 13.04],
+  ['Innsbruck', 'AT', 47.27, 11.39],
+  ['Graz', 'AT', 47.07, 15.44],
+  ['Zurich', 'CH', 47.38, 8.54],
+  ['Geneva', 'CH', 46.2, 6.15],
+  ['Bern', 'CH', 46.95, 7.45],
+  ['Basel', 'CH', 47.56, 7.59],
+  ['Lucerne', 'CH', 47.05, 8.31],
+  ['Lausanne', 'CH', 46.52, 6.63],
+  ['Zermatt', 'CH', 46.02, 7.75],
+  ['Interlaken', 'CH', 46.69, 7.86],
+  ['Rome', 'IT', 41.9, 12.5],
+  ['Milan', 'IT', 45.46, 9.19],
+  ['Naples', 'IT', 40.85, 14.27],
+  ['Turin', 'IT', 45.07, 7.69],
+  ['Florence', 'IT', 43.77, 11.26],
+  ['Venice', 'IT', 45.44, 12.32],
+  ['Bologna', 'IT', 44.49, 11.34],
+  ['Genoa', 'IT', 44.41, 8.93],
+  ['Pisa', 'IT', 43.72, 10.4],
+  ['Verona', 'IT', 45.44, 10.99],
+  ['Palermo', 'IT', 38.12, 13.36],
+  ['Catania', 'IT', 37.5, 15.09],
+  ['Bari', 'IT', 41.12, 16.87],
+  ['Cagliari', 'IT', 39.22, 9.12],
+  ['Amalfi', 'IT', 40.63, 14.6],
+  ['Como', 'IT', 45.81, 9.09],
+  ['Bolzano', 'IT', 46.5, 11.35],
+  ['Valletta', 'MT', 35.9, 14.51],
+  ['Athens', 'GR', 37.98, 23.73],
+  ['Thessaloniki', 'GR', 40.64, 22.94],
+  ['Heraklion', 'GR', 35.34, 25.13],
+  ['Chania', 'GR', 35.51, 24.02],
+  ['Rhodes', 'GR', 36.43, 28.22],
+  ['Santorini', 'GR', 36.42, 25.43],
+  ['Mykonos', 'GR', 37.45, 25.33],
+  ['Corfu', 'GR', 39.62, 19.92],
+  ['Nicosia', 'CY', 35.17, 33.36],
+  ['Limassol', 'CY', 34.68, 33.04],
+  ['Copenhagen', 'DK', 55.68, 12.57],
+  ['Aarhus', 'DK', 56.16, 10.2],
+  ['Stockholm', 'SE', 59.33, 18.07],
+  ['Gothenburg', 'SE', 57.71, 11.97],
+  ['Malmo', 'SE', 55.6, 13.0],
+  ['Kiruna', 'SE', 67.86, 20.23],
+  ['Oslo', 'NO', 59.91, 10.75],
+  ['Bergen', 'NO', 60.39, 5.32],
+  ['Trondheim', 'NO', 63.43, 10.4],
+  ['Tromso', 'NO', 69.65, 18.96],
+  ['Stavanger', 'NO', 58.97, 5.73],
+  ['Helsinki', 'FI', 60.17, 24.94],
+  ['Rovaniemi', 'FI', 66.5, 25.73],
+  ['Tampere', 'FI', 61.5, 23.76],
+  ['Reykjavik', 'IS', 64.15, -21.94],
+  ['Akureyri', 'IS', 65.68, -18.09],
+  ['Vik', 'IS', 63.42, -19.01],
+  ['Tallinn', 'EE', 59.44, 24.75],
+  ['Riga', 'LV', 56.95, 24.11],
+  ['Vilnius', 'LT', 54.69, 25.28],
+  ['Warsaw', 'PL', 52.23, 21.01],
+  ['Krakow', 'PL', 50.06, 19.94],
+  ['Gdansk', 'PL', 54.35, 18.65],
+  ['Wroclaw', 'PL', 51.11, 17.04],
+  ['Poznan', 'PL', 52.41, 16.93],
+  ['Prague', 'CZ', 50.08, 14.44],
+  ['Brno', 'CZ', 49.2, 16.61],
+  ['Cesky Krumlov', 'CZ', 48.81, 14.32],
+  ['Bratislava', 'SK', 48.15, 17.11],
+  ['Budapest', 'HU', 47.5, 19.04],
+  ['Ljubljana', 'SI', 46.06, 14.51],
+  ['Bled', 'SI', 46.37, 14.11],
+  ['Zagreb', 'HR', 45.81, 15.98],
+  ['Split', 'HR', 43.51, 16.44],
+  ['Dubrovnik', 'HR', 42.65, 18.09],
+  ['Zadar', 'HR', 44.12, 15.23],
+  ['Sarajevo', 'BA', 43.86, 18.41],
+  ['Belgrade', 'RS', 44.79, 20.45],
+  ['Bucharest', 'RO', 44.43, 26.1],
+  ['Cluj-Napoca', 'RO', 46.77, 23.59],
+  ['Brasov', 'RO', 45.66, 25.61],
+  ['Sofia', 'BG', 42.7, 23.32],
+  ['Varna', 'BG', 43.21, 27.91],
+  ['Kyiv', 'UA', 50.45, 30.52],
+  ['Lviv', 'UA', 49.84, 24.03],
+  ['Odesa', 'UA', 46.48, 30.72],
+  ['Moscow', 'RU', 55.76, 37.62],
+  ['Saint Petersburg', 'RU', 59.93, 30.34],
+  ['Istanbul', 'TR', 41.01, 28.98],
+  ['Ankara', 'TR', 39.93, 32.86],
+  ['Izmir', 'TR', 38.42, 27.14],
+  ['Antalya', 'TR', 36.9, 30.7],
+  ['Goreme', 'TR', 38.64, 34.83],
+  ['Bodrum', 'TR', 37.04, 27.43],
+  ['Tbilisi', 'GE', 41.72, 44.79],
+
+  // Middle East
+  ['Dubai', 'AE', 25.2, 55.27],
+  ['Abu Dhabi', 'AE', 24.45, 54.38],
+  ['Doha', 'QA', 25.29, 51.53],
+  ['Riyadh', 'SA', 24.71, 46.68],
+  ['Jeddah', 'SA', 21.49, 39.19],
+  ['Mecca', 'SA', 21.39, 39.86],
+  ['Muscat', 'OM', 23.59, 58.41],
+  ['Kuwait City', 'KW', 29.38, 47.99],
+  ['Tel Aviv', 'IL', 32.09, 34.78],
+  ['Jerusalem', 'IL', 31.77, 35.21],
+  ['Amman', 'JO', 31.95, 35.93],
+  ['Petra', 'JO', 30.33, 35.44],
+  ['Beirut', 'LB', 33.89, 35.5],
+  ['Baghdad', 'IQ', 33.31, 44.37],
+  ['Tehran', 'IR', 35.69, 51.39],
+  ['Isfahan', 'IR', 32.65, 51.67],
+
+  // Africa
+  ['Cairo', 'EG', 30.04, 31.24],
+  ['Alexandria', 'EG', 31.2, 29.92],
+  ['Luxor', 'EG', 25.69, 32.64],
+  ['Sharm El Sheikh', 'EG', 27.92, 34.33],
+  ['Hurghada', 'EG', 27.26, 33.81],
+  ['Marrakesh', 'MA', 31.63, -7.99],
+  ['Casablanca', 'MA', 33.57, -7.59],
+  ['Fez', 'MA', 34.03, -5.0],
+  ['Rabat', 'MA', 34.02, -6.84],
+  ['Tangier', 'MA', 35.76, -5.83],
+  ['Agadir', 'MA', 30.43, -9.6],
+  ['Tunis', 'TN', 36.81, 10.18],
+  ['Algiers', 'DZ', 36.75, 3.06],
+  ['Dakar', 'SN', 14.72, -17.47],
+  ['Accra', 'GH', 5.6, -0.19],
+  ['Lagos', 'NG', 6.52, 3.38],
+  ['Abuja', 'NG', 9.08, 7.4],
+  ['Addis Ababa', 'ET', 9.03, 38.74],
+  ['Nairobi', 'KE', -1.29, 36.82],
+  ['Mombasa', 'KE', -4.04, 39.67],
+  ['Dar es Salaam', 'TZ', -6.79, 39.21],
+  ['Arusha', 'TZ', -3.39, 36.68],
+  ['Zanzibar', 'TZ', -6.16, 39.19],
+  ['Cape Town', 'ZA', -33.92, 18.42],
+  ['Johannesburg', 'ZA', -26.2, 28.05],
+  ['Durban', 'ZA', -29.86, 31.02],
+  ['Pretoria', 'ZA', -25.75, 28.19],
+
+  // Asia
+  ['Tokyo', 'JP', 35.68, 139.69],
+  ['Yokohama', 'JP', 35.44, 139.64],
+  ['Osaka', 'JP', 34.69, 135.5],
+  ['Kyoto', 'JP', 35.01, 135.77],
+  ['Nara', 'JP', 34.69, 135.8],
+  ['Hiroshima', 'JP', 34.39, 132.46],
+  ['Sapporo', 'JP', 43.06, 141.35],
+  ['Fukuoka', 'JP', 33.59, 130.4],
+  ['Nagoya', 'JP', 35.18, 136.91],
+  ['Naha', 'JP', 26.21, 127.68],
+  ['Hakone', 'JP', 35.23, 139.11],
+  ['Seoul', 'KR', 37.57, 126.98],
+  ['Busan', 'KR', 35.18, 129.08],
+  ['Jeju', 'KR', 33.5, 126.53],
+  ['Beijing', 'CN', 39.9, 116.41],
+  ['Shanghai', 'CN', 31.23, 121.47],
+  ['Guangzhou', 'CN', 23.13, 113.26],
+  ['Shenzhen', 'CN', 22.54, 114.06],
+  ['Chengdu', 'CN', 30.57, 104.07],
+  ['Xian', 'CN', 34.34, 108.94],
+  ['Hangzhou', 'CN', 30.27, 120.16],
+  ['Guilin', 'CN', 25.27, 110.29],
+  ['Kunming', 'CN', 25.04, 102.71],
+  ['Hong Kong', 'HK', 22.32, 114.17],
+  ['Taipei', 'TW', 25.03, 121.57],
+  ['Kaohsiung', 'TW', 22.63, 120.3],
+  ['Manila', 'PH', 14.6, 120.98],
+  ['Cebu', 'PH', 10.32, 123.89],
+  ['Bangkok', 'TH', 13.76, 100.5],
+  ['Chiang Mai', 'TH', 18.79, 98.98],
+  ['Phuket', 'TH', 7.88, 98.39],
+  ['Krabi', 'TH', 8.09, 98.91],
+  ['Koh Samui', 'TH', 9.51, 100.01],
+  ['Hanoi', 'VN', 21.03, 105.85],
+  ['Ho Chi Minh City', 'VN', 10.82, 106.63],
+  ['Da Nang', 'VN', 16.05, 108.2],
+  ['Hoi An', 'VN', 15.88, 108.33],
+  ['Ha Long', 'VN', 20.95, 107.08],
+  ['Phnom Penh', 'KH', 11.56, 104.92],
+  ['Siem Reap', 'KH', 13.36, 103.86],
+  ['Kuala Lumpur', 'MY', 3.14, 101.69],
+  ['Penang', 'MY', 5.41, 100.33],
+  ['Kota Kinabalu', 'MY', 5.98, 116.07],
+  ['Singapore', 'SG', 1.35, 103.82],
+  ['Jakarta', 'ID', -6.21, 106.85],
+  ['Denpasar', 'ID', -8.65, 115.22],
+  ['Ubud', 'ID', -8.51, 115.26],
+  ['Yogyakarta', 'ID', -7.8, 110.36],
+  ['Delhi', 'IN', 28.61, 77.21],
+  ['Mumbai', 'IN', 19.08, 72.88],
+  ['Bengaluru', 'IN', 12.97, 77.59],
+  ['Chennai', 'IN', 13.08, 80.27],
+  ['Kolkata', 'IN', 22.57, 88.36],
+  ['Hyderabad', 'IN', 17.39, 78.49],
+  ['Jaipur', 'IN', 26.91, 75.79],
+  ['Agra', 'IN', 27.18, 78.01],
+  ['Goa', 'IN', 15.5, 73.83],
+  ['Varanasi', 'IN', 25.32, 83.01],
+  ['Udaipur', 'IN', 24.59, 73.71],
+  ['Kochi', 'IN', 9.93, 76.26],
+  ['Colombo', 'LK', 6.93, 79.86],
+  ['Kandy', 'LK', 7.29, 80.63],
+  ['Male', 'MV', 4.18, 73.51],
+  ['Kathmandu', 'NP', 27.72, 85.32],
+  ['Pokhara', 'NP', 28.21, 83.99],
+  ['Dhaka', 'BD', 23.81, 90.41],
+  ['Karachi', 'PK', 24.86, 67.01],
+  ['Lahore', 'PK', 31.52, 74.36],
+  ['Islamabad', 'PK', 33.68, 73.05],
+  ['Almaty', 'KZ', 43.24, 76.89],
+  ['Astana', 'KZ', 51.17, 71.45],
+
+  // Oceania
+  ['Sydney', 'AU', -33.87, 151.21],
+  ['Melbourne', 'AU', -37.81, 144.96],
+  ['Brisbane', 'AU', -27.47, 153.03],
+  ['Perth', 'AU', -31.95, 115.86],
+  ['Adelaide', 'AU', -34.93, 138.6],
+  ['Canberra', 'AU', -35.28, 149.13],
+  ['Hobart', 'AU', -42.88, 147.33],
+  ['Darwin', 'AU', -12.46, 130.84],
+  ['Cairns', 'AU', -16.92, 145.77],
+  ['Gold Coast', 'AU', -28.02, 153.4],
+  ['Alice Springs', 'AU', -23.7, 133.88],
+  ['Auckland', 'NZ', -36.85, 174.76],
+  ['Wellington', 'NZ', -41.29, 174.78],
+  ['Christchurch', 'NZ', -43.53, 172.64],
+  ['Queenstown', 'NZ', -45.03, 168.66],
+  ['Rotorua', 'NZ', -38.14, 176.25],
+
+  // North America
+  ['New York', 'US', 40.71, -74.01],
+  ['Los Angeles', 'US', 34.05, -118.24],
+  ['Chicago', 'US', 41.88, -87.63],
+  ['Houston', 'US', 29.76, -95.37],
+  ['Phoenix', 'US', 33.45, -112.07],
+  ['Philadelphia', 'US', 39.95, -75.17],
+  ['San Antonio', 'US', 29.42, -98.49],
+  ['San Diego', 'US', 32.72, -117.16],
+  ['Dallas', 'US', 32.78, -96.8],
+  ['Austin', 'US', 30.27, -97.74],
+  ['San Jose', 'US', 37.34, -121.89],
+  ['San Francisco', 'US', 37.77, -122.42],
+  ['Seattle', 'US', 47.61, -122.33],
+  ['Portland', 'US', 45.52, -122.68],
+  ['Denver', 'US', 39.74, -104.99],
+  ['Salt Lake City', 'US', 40.76, -111.89],
+  ['Las Vegas', 'US', 36.17, -115.14],
+  ['Boston', 'US', 42.36, -71.06],
+  ['Washington', 'US', 38.91, -77.04],
+  ['Baltimore', 'US', 39.29, -76.61],
+  ['Atlanta', 'US', 33.75, -84.39],
+  ['Miami', 'US', 25.76, -80.19],
+  ['Orlando', 'US', 28.54, -81.38],
+  ['Tampa', 'US', 27.95, -82.46],
+  ['Key West', 'US', 24.56, -81.78],
+  ['New Orleans', 'US', 29.95, -90.07],
+  ['Nashville', 'US', 36.16, -86.78],
+  ['Memphis', 'US', 35.15, -90.05],
+  ['Charlotte', 'US', 35.23, -80.84],
+  ['Charleston', 'US', 32.78, -79.93],
+  ['Raleigh', 'US', 35.78, -78.64],
+  ['Detroit', 'US', 42.33, -83.05],
+  ['Minneapolis', 'US', 44.98, -93.27],
+  ['St. Louis', 'US', 38.63, -90.2],
+  ['Kansas City', 'US', 39.1, -94.58],
+  ['Pittsburgh', 'US', 40.44, -79.99],
+  ['Cleveland', 'US', 41.5, -81.69],
+  ['Columbus', 'US', 39.96, -83.0],
+  ['Indianapolis', 'US', 39.77, -86.16],
+  ['Milwaukee', 'US', 43.04, -87.91],
+  ['Albuquerque', 'US', 35.08, -106.65],
+  ['Santa Fe', 'US', 35.69, -105.94],
+  ['Tucson', 'US', 32.22, -110.97],
+  ['Sacramento', 'US', 38.58, -121.49],
+  ['Anchorage', 'US', 61.22, -149.9],
+  ['Juneau', 'US', 58.3, -134.42],
+  ['Honolulu', 'US', 21.31, -157.86],
+  ['Kahului', 'US', 20.89, -156.47],
+  ['Kailua-Kona', 'US', 19.64, -155.99],
+  ['Yosemite Valley', 'US', 37.75, -119.59],
+  ['Grand Canyon Village', 'US', 36.05, -112.14],
+  ['Moab', 'US', 38.57, -109.55],
+  ['Jackson', 'US', 43.48, -110.76],
+  ['Bozeman', 'US', 45.68, -111.04],
+  ['Boise', 'US', 43.62, -116.2],
+  ['Spokane', 'US', 47.66, -117.43],
+  ['Oklahoma City', 'US', 35.47, -97.52],
+  ['Omaha', 'US', 41.26, -95.93],
+  ['Louisville', 'US', 38.25, -85.76],
+  ['Richmond', 'US', 37.54, -77.44],
+  ['Buffalo', 'US', 42.89, -78.88],
+  ['Portland', 'US', 43.66, -70.26],
+  ['Burlington', 'US', 44.48, -73.21],
+  ['San Juan', 'PR', 18.47, -66.11],
+  ['Toronto', 'CA', 43.65, -79.38],
+  ['Montreal', 'CA', 45.5, -73.57],
+  ['Vancouver', 'CA', 49.28, -123.12],
+  ['Calgary', 'CA', 51.05, -114.07],
+  ['Edmonton', 'CA', 53.55, -113.49],
+  ['Ottawa', 'CA', 45.42, -75.7],
+  ['Quebec City', 'CA', 46.81, -71.21],
+  ['Winnipeg', 'CA', 49.9, -97.14],
+  ['Halifax', 'CA', 44.65, -63.57],
+  ['Victoria', 'CA', 48.43, -123.37],
+  ['Banff', 'CA', 51.18, -115.57],
+  ['Whistler', 'CA', 50.12, -122.95],
+  ['St. John’s', 'CA', 47.56, -52.71],
+  ['Mexico City', 'MX', 19.43, -99.13],
+  ['Guadalajara', 'MX', 20.67, -103.35],
+  ['Monterrey', 'MX', 25.69, -100.32],
+  ['Cancun', 'MX', 21.16, -86.85],
+  ['Playa del Carmen', 'MX', 20.63, -87.08],
+  ['Tulum', 'MX', 20.21, -87.47],
+  ['Oaxaca', 'MX', 17.07, -96.73],
+  ['Puerto Vallarta', 'MX', 20.65, -105.23],
+  ['Cabo San Lucas', 'MX', 22.89, -109.92],
+  ['Merida', 'MX', 20.97, -89.62],
+  ['Havana', 'CU', 23.11, -82.37],
+  ['Kingston', 'JM', 17.97, -76.79],
+  ['Montego Bay', 'JM', 18.47, -77.92],
+  ['Santo Domingo', 'DO', 18.49, -69.93],
+  ['Punta Cana', 'DO', 18.58, -68.4],
+  ['San Jose', 'CR', 9.93, -84.08],
+  ['Panama City', 'PA', 8.98, -79.52],
+
+  // South America
+  ['Bogota', 'CO', 4.71, -74.07],
+  ['Medellin', 'CO', 6.24, -75.58],
+  ['Cartagena', 'CO', 10.39, -75.48],
+  ['Quito', 'EC', -0.18, -78.47],
+  ['Guayaquil', 'EC', -2.19, -79.89],
+  ['Puerto Ayora', 'EC', -0.74, -90.31],
+  ['Lima', 'PE', -12.05, -77.04],
+  ['Cusco', 'PE', -13.53, -71.97],
+  ['Arequipa', 'PE', -16.41, -71.54],
+  ['La Paz', 'BO', -16.5, -68.15],
+  ['Uyuni', 'BO', -20.46, -66.83],
+  ['Caracas', 'VE', 10.49, -66.88],
+  ['Santiago', 'CL', -33.45, -70.67],
+  ['Valparaiso', 'CL', -33.05, -71.62],
+  ['Puerto Natales', 'CL', -51.73, -72.51],
+  ['San Pedro de Atacama', 'CL', -22.91, -68.2],
+  ['Buenos Aires', 'AR', -34.6, -58.38],
+  ['Cordoba', 'AR', -31.42, -64.18],
+  ['Mendoza', 'AR', -32.89, -68.83],
+  ['Bariloche', 'AR', -41.13, -71.31],
+  ['Ushuaia', 'AR', -54.8, -68.3],
+  ['El Calafate', 'AR', -50.34, -72.26],
+  ['Puerto Iguazu', 'AR', -25.6, -54.57],
+  ['Montevideo', 'UY', -34.9, -56.16],
+  ['Asuncion', 'PY', -25.26, -57.58],
+  ['Sao Paulo', 'BR', -23.55, -46.63],
+  ['Rio de Janeiro', 'BR', -22.91, -43.17],
+  ['Brasilia', 'BR', -15.79, -47.88],
+  ['Salvador', 'BR', -12.97, -38.5],
+  ['Fortaleza', 'BR', -3.73, -38.52],
+  ['Recife', 'BR', -8.05, -34.88],
+  ['Belo Horizonte', 'BR', -19.92, -43.94],
+  ['Manaus', 'BR', -3.12, -60.02],
+  ['Florianopolis', 'BR', -27.6, -48.55],
+  ['Porto Alegre', 'BR', -30.03, -51.23],
+  ['Curitiba', 'BR', -25.43, -49.27]
+]);
+
+module.exports = { CITIES, COUNTRY_NAMES };
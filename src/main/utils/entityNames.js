@@ -0,0 +1,182 @@
+/**
+ * Entity Names
+ *
+ * Alias merging and type guessing for the named entities extracted during
+ * analysis (`entity` and `keyEntities`). Names are reduced to a key so
+ * "Acme", "ACME Inc." and "Acme Corporation" land on the same entity, and each
+ * mention is classified as a person, organization, place or product from its
+ * wording. Places are recognised from the bundled city and country list.
+ *
+ * @module utils/entityNames
+ */
+
+const { CITIES, COUNTRY_NAMES } = require('./citiesData');
+
+/** Entity types with display labels. */
+const ENTITY_TYPES = Object.freeze({
+  person: 'Person',
+  org: 'Organization',
+  place: 'Place',
+  product: 'Product',
+  other: 'Other'
+});
+
+// Legal-form suffixes: dropped from the key and a strong organization signal
+const ORG_SUFFIXES = new Set([
+  'inc',
+  'incorporated',
+  'corp',
+  'corporation',
+  'co',
+  'company',
+  'llc',
+  'llp',
+  'lp',
+  'ltd',
+  'limited',
+  'plc',
+  'gmbh',
+  'ag',
+  'sa',
+  'sas',
+  'srl',
+  'bv',
+  'nv',
+  'oy',
+  'ab',
+  'pty',
+  'kk',
+  'group',
+  'holdings'
+]);
+// Words that mark an organization but stay part of its name
+const ORG_WORDS = new Set([
+  'agency',
+  'airlines',
+  'association',
+  'authority',
+  'bank',
+  'bureau',
+  'church',
+  'city',
+  'clinic',
+  'club',
+  'college',
+  'committee',
+  'council',
+  'court',
+  'department',
+  'foundation',
+  'fund',
+  'hospital',
+  'institute',
+  'insurance',
+  'labs',
+  'ministry',
+  'office',
+  'partners',
+  'school',
+  'services',
+  'society',
+  'solutions',
+  'systems',
+  'technologies',
+  'trust',
+  'university'
+]);
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'dame']);
+// Placeholders and non-answers models sometimes return
+const IGNORED_KEYS = new Set(['unknown', 'none', 'n a', 'na', 'null', 'various', 'other']);
+
+const PLACE_NAMES = new Set(
+  [...CITIES.map(([name]) => name), ...Object.values(COUNTRY_NAMES)].map((name) =>
+    name.toLowerCase()
+  )
+);
+
+const toWords = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .split(/[\s-]+/)
+    .filter(Boolean);
+
+/**
+ * Alias key for an entity name: case, accents, punctuation, a leading "the",
+ * honorifics and legal-form suffixes are ignored.
+ * @param {string} name
+ * @returns {string} Key, or '' when the name is not a usable entity
+ */
+function normalizeEntityKey(name) {
+  if (typeof name !== 'string' || name.includes('_')) return '';
+  const words = toWords(name);
+  if (words[0] === 'the' && words.length > 1) words.shift();
+  while (words.length > 1 && HONORIFICS.has(words[0])) words.shift();
+  while (words.length > 1 && ORG_SUFFIXES.has(words[words.length - 1])) words.pop();
+  // "Acme and Co" -> "acme"
+  if (words.length > 1 && words[words.length - 1] === 'and') words.pop();
+
+  const key = words.join(' ');
+  if (key.length < 2 || /^\d+$/.test(key) || IGNORED_KEYS.has(key)) return '';
+  return key;
+}
+
+/**
+ * Guess an entity's type from how it is written.
+ * @param {string} name - Name as extracted
+ * @param {Object} [hints]
+ * @param {boolean} [hints.isIssuer] - Named as the document's sender/provider
+ * @returns {'person'|'org'|'place'|'product'|'other'}
+ */
+function classifyEntityName(name, { isIssuer = false } = {}) {
+  const text = String(name || '').trim();
+  const words = toWords(text);
+  if (words.length === 0) return 'other';
+
+  if (PLACE_NAMES.has(words.join(' '))) return 'place';
+  if (words.some((word) => ORG_SUFFIXES.has(word) || ORG_WORDS.has(word))) return 'org';
+  if (HONORIFICS.has(words[0])) return 'person';
+  // "iPhone 15", "Model 3", "Windows 11", "PowerPoint"
+  if (/\p{L}\d|\d\p{L}/u.test(text) || /\p{Ll}\p{Lu}/u.test(text)) return 'product';
+  if (words.length > 1 && /\d/.test(text)) return 'product';
+  // IBM, NASA, IRS
+  if (/^\p{Lu}{2,6}$/u.test(text)) return 'org';
+
+  const tokens = text.split(/\s+/);
+  const isNamePart = (token) => /^\p{Lu}[\p{Ll}'’-]+$/u.test(token) || /^\p{Lu}\.$/u.test(token);
+  if (tokens.length >= 2 && tokens.length <= 4 && tokens.every(isNamePart)) return 'person';
+
+  return isIssuer ? 'org' : 'other';
+}
+
+/**
+ * Pick an entity's type from its classified mentions. Specific types beat
+ * 'other'; ties go to the type seen first.
+ * @param {string[]} types
+ * @returns {string}
+ */
+function pickEntityType(types) {
+  const counts = new Map();
+  for (const type of types) {
+    if (type !== 'other') counts.set(type, (counts.get(type) || 0) + 1);
+  }
+  let best = 'other';
+  let bestCount = 0;
+  for (const [type, count] of counts) {
+    if (count > bestCount) {
+      best = type;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  normalizeEntityKey,
+  classifyEntityName,
+  pickEntityType
+};
@@ -0,0 +1,168 @@
+/**
+ * Language detection
+ *
+ * Lightweight script and language detection for extracted or OCR'd text.
+ * Languages with their own script (Greek, Arabic, Hangul...) are identified
+ * from the script alone; Latin and Cyrillic languages are told apart by
+ * counting common function words. Good enough to pick OCR language packs
+ * and to tag analysis results; not meant for short snippets.
+ *
+ * @module utils/languageDetection
+ */
+
+const { OCR_LANGUAGES } = require('../../shared/ocrLanguages');
+
+const SCRIPT_PATTERNS = {
+  Latin: /\p{Script=Latin}/gu,
+  Cyrillic: /\p{Script=Cyrillic}/gu,
+  Greek: /\p{Script=Greek}/gu,
+  Arabic: /\p{Script=Arabic}/gu,
+  Hebrew: /\p{Script=Hebrew}/gu,
+  Devanagari: /\p{Script=Devanagari}/gu,
+  Thai: /\p{Script=Thai}/gu,
+  Han: /\p{Script=Han}/gu,
+  Kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+  Hangul: /\p{Script=Hangul}/gu
+};
+
+// Common function words; overlap between related languages is expected
+const STOPWORDS = {
+  eng: 'the and of to in is that for with this are be on you your from it',
+  deu: 'der die und das ist nicht mit den von zu ein eine für auf sie des dem wir',
+  fra: 'le la les et des est une pour dans que du sur pas vous avec au il',
+  spa: 'el la los las de que y en por para con una del es su se al',
+  ita: 'il la di che e per una non con del della sono gli le è alla',
+  por: 'o a os as de que e do da em para com não uma é dos das',
+  nld: 'de het een en van is dat niet met voor op zijn te ook wij',
+  pol: 'i w na nie się z do jest że to o od przez dla oraz jak',
+  ces: 'a je se na v že to s z do jsou pro jako ale by není',
+  swe: 'och att det som en på är av för med till den inte har jag',
+  dan: 'og at det som en på er af for med til den ikke har jeg de',
+  nor: 'og at det som en på er av for med til den ikke har jeg ikkje',
+  fin: 'ja on ei että se tai ovat mutta kanssa myös kun joka oli olla',
+  tur: 've bir bu da de için ile çok olarak daha gibi değil en ne',
+  vie: 'và của là các có được cho không một những trong với này người',
+  rus: 'и в не на что с по это как для из от к то но он',
+  ukr: 'і в не на що з та це як для до від у є але й'
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))])
+);
+
+const MAX_SAMPLE_CHARS = 20000;
+const MIN_LETTERS = 20;
+const MIN_WORDS = 8;
+// A first pass detected this confidently enough to OCR later pages with it alone
+const NARROW_LANGUAGE_MIN_CONFIDENCE = 0.6;
+
+/**
+ * Count letters per script.
+ * @param {string} text
+ * @returns {{ script: string|null, counts: Object<string, number>, letters: number }}
+ *   `script` is the dominant script; Han text with kana is reported as `Japanese`
+ */
+function detectScript(text) {
+  const sample = String(text || '').slice(0, MAX_SAMPLE_CHARS);
+  const counts = {};
+  let letters = 0;
+  for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+    counts[script] = (sample.match(pattern) || []).length;
+    letters += counts[script];
+  }
+  if (letters < MIN_LETTERS) return { script: null, counts, letters };
+
+  // Japanese mixes Han with kana; a little kana is enough to tell it from Chinese
+  const japanese = counts.Kana + counts.Han;
+  if (counts.Kana > 0 && counts.Kana >= japanese * 0.1 && japanese >= letters * 0.5) {
+    return { script: 'Japanese', counts, letters };
+  }
+  const [script] = Object.entries(counts)
+    .filter(([name]) => name !== 'Kana')
+    .sort((a, b) => b[1] - a[1])[0];
+  return { script, counts, letters };
+}
+
+/**
+ * Pick the language a text is most likely written in.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.candidates] - Tesseract codes to choose from (default: all known)
+ * @returns {{ code: string, iso: string, name: string, script: string, confidence: number }|null}
+ *   null when the text is too short or matches none of the candidates
+ */
+function detectLanguage(text, { candidates } = {}) {
+  const { script, counts, letters } = detectScript(text);
+  if (!script) return null;
+
+  const pool =
+    Array.isArray(candidates) && candidates.length > 0 ? candidates : Object.keys(OCR_LANGUAGES);
+  const sameScript = pool.filter((code) => OCR_LANGUAGES[code]?.script === script);
+  if (sameScript.length === 0) return null;
+  const scriptShare = script === 'Japanese' ? 1 : counts[script] / letters;
+
+  const toResult = (code, confidence) => ({
+    code,
+    iso: OCR_LANGUAGES[code].iso,
+    name: OCR_LANGUAGES[code].name,
+    script: OCR_LANGUAGES[code].script,
+    confidence: Math.round(confidence * 100) / 100
+  });
+
+  const scored = sameScript.filter((code) => STOPWORD_SETS[code]);
+  if (scored.length === 0) {
+    // Script identifies the language (Chinese variants cannot be told apart here)
+    return toResult(sameScript[0], scriptShare);
+  }
+
+  const words =
+    String(text)
+      .slice(0, MAX_SAMPLE_CHARS)
+      .toLowerCase()
+      .match(/[\p{L}\p{M}]+/gu) || [];
+  if (scored.length === 1 && words.length < MIN_WORDS) {
+    return toResult(scored[0], scriptShare * 0.5);
+  }
+  if (words.length < MIN_WORDS) return null;
+
+  const hits = scored
+    .map((code) => ({
+      code,
+      count: words.reduce((sum, word) => sum + (STOPWORD_SETS[code].has(word) ? 1 : 0), 0)
+    }))
+    .sort((a, b) => b.count - a.count);
+  const [best, runnerUp] = hits;
+  if (best.count === 0) {
+    return scored.length === 1 ? toResult(best.code, scriptShare * 0.5) : null;
+  }
+  // Margin over the runner-up, scaled by how much of the text is function words
+  const margin = runnerUp ? (best.count - runnerUp.count) / best.count : 1;
+  const coverage = Math.min(1, (best.count / words.length) * 4);
+  return toResult(best.code, scriptShare * (0.5 + 0.5 * margin) * (0.5 + 0.5 * coverage));
+}
+
+/**
+ * Languages for the passes after a first recognizeIfAvailable() call: the detected
+ * language alone when detection was confident, otherwise the same list.
+ * @param {{languages: string[], language: Object|null}} firstPass
+ * @returns {string[]}
+ */
+function narrowOcrLanguages(firstPass) {
+  const languages = firstPass?.languages || [];
+  const detected = firstPass?.language;
+  if (
+    languages.length > 1 &&
+    detected &&
+    languages.includes(detected.code) &&
+    detected.confidence >= NARROW_LANGUAGE_MIN_CONFIDENCE
+  ) {
+    return [detected.code];
+  }
+  return languages;
+}
+
+module.exports = {
+  detectScript,
+  detectLanguage,
+  narrowOcrLanguages
+};
@@ -0,0 +1,64 @@
+/**
+ * Media tool resolution
+ *
+ * Locates the external command-line tools used for audio/video analysis
+ * (ffmpeg, ffprobe). None of them are required: callers treat a
+ * missing tool as "feature unavailable" and fall back to filename analysis.
+ *
+ * @module utils/mediaTools
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { resolveRuntimePath } = require('./runtimePaths');
+
+const MEDIA_TOOLS = {
+  ffmpeg: { envVar: 'STRATOSORT_FFMPEG_PATH', binary: 'ffmpeg' },
+  ffprobe: { envVar: 'STRATOSORT_FFPROBE_PATH', binary: 'ffprobe' }
+};
+
+function getBinaryName(binary) {
+  return process.platform === 'win32' ? `${binary}.exe` : binary;
+}
+
+/**
+ * Find an executable on PATH.
+ * @param {string} binaryName - File name including any platform extension
+ * @returns {string|null}
+ */
+function findOnPath(binaryName) {
+  const dirs = String(process.env.PATH || '')
+    .split(path.delimiter)
+    .filter(Boolean);
+  for (const dir of dirs) {
+    const candidate = path.join(dir, binaryName);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Resolve a media tool.
+ * Order: env override, bundled runtime, PATH.
+ * @param {'ffmpeg'|'ffprobe'} tool
+ * @returns {string|null} Absolute path, or null when the tool is not installed
+ */
+function resolveMediaTool(tool) {
+  const spec = MEDIA_TOOLS[tool];
+  if (!spec) return null;
+
+  const envPath = process.env[spec.envVar];
+  if (envPath && fs.existsSync(envPath)) return envPath;
+
+  const binaryName = getBinaryName(spec.binary);
+  const bundled = resolveRuntimePath(binaryName);
+  if (fs.existsSync(bundled)) return bundled;
+
+  return findOnPath(binaryName);
+}
+
+module.exports = {
+  MEDIA_TOOLS,
+  findOnPath,
+  resolveMediaTool
+};
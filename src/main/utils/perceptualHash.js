@@ -0,0 +1,339 @@
+/**
+ * Perceptual Hashing
+ *
+ * Fingerprints images by what they look like rather than their bytes, so
+ * resized copies, re-encoded JPEGs and burst shots can be found even though
+ * their SHA-256 checksums differ (see fileDedup.js for exact matches).
+ *
+ * Each fingerprint holds three 64-bit hashes as 16-character hex strings:
+ * - aHash: 8x8 greyscale, bit set when a pixel is brighter than the mean
+ * - dHash: 9x8 greyscale, bit set when a pixel is brighter than its right neighbour
+ * - pHash: 32x32 greyscale DCT, bit set when a low-frequency coefficient is above the median
+ * plus the image dimensions and a sharpness score (variance of the Laplacian)
+ * used to pick the best shot of a group.
+ *
+ * @module utils/perceptualHash
+ */
+
+const { createLogger } = require('../../shared/logger');
+
+const logger = createLogger('PerceptualHash');
+
+const FINGERPRINT_VERSION = 1;
+const HASH_SIZE = 8;
+const DCT_SIZE = 32;
+// Images are decoded once at this size (small ones enlarged, so sharpness is
+// comparable between a photo and its thumbnail); the hashes come from it too
+const WORKING_SIZE = 512;
+
+/** Hamming distance (out of 64) at or below which two images count as identical. */
+const IDENTICAL_DISTANCE = 4;
+/** Default distance for near-identical images (bursts, light edits). */
+const DEFAULT_MAX_DISTANCE = 12;
+
+// Best-pick weights: resolution matters most, then sharpness, then file size
+const QUALITY_WEIGHTS = Object.freeze({ resolution: 0.5, sharpness: 0.35, size: 0.15 });
+
+let sharpModule;
+let sharpLoadAttempted = false;
+
+function getSharp() {
+  if (sharpLoadAttempted) return sharpModule;
+  sharpLoadAttempted = true;
+  try {
+    sharpModule = require('sharp');
+  } catch (error) {
+    sharpModule = null;
+    logger.warn('[PHASH] sharp module unavailable; perceptual hashing disabled', {
+      error: error?.message
+    });
+  }
+  return sharpModule;
+}
+
+const bitsToHex = (bits) => {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+};
+
+// Single-channel raw pixels of `source` resized to exactly width x height
+async function resizeGrey(sharp, source, width, height) {
+  const { data, info } = await sharp(source.data, {
+    raw: { width: source.width, height: source.height, channels: source.channels }
+  })
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixels = new Float64Array(width * height);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = data[i * info.channels];
+  return pixels;
+}
+
+function averageHash(pixels) {
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  return bitsToHex(Array.from(pixels, (value) => (value > mean ? 1 : 0)));
+}
+
+function differenceHash(pixels) {
+  const bits = [];
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const offset = y * (HASH_SIZE + 1) + x;
+      bits.push(pixels[offset] > pixels[offset + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+let cosineTable = null;
+const getCosineTable = () => {
+  if (!cosineTable) {
+    cosineTable = [];
+    for (let u = 0; u < HASH_SIZE; u++) {
+      const row = new Float64Array(DCT_SIZE);
+      for (let x = 0; x < DCT_SIZE; x++) {
+        row[x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE));
+      }
+      cosineTable.push(row);
+    }
+  }
+  return cosineTable;
+};
+
+function dctHash(pixels) {
+  const cos = getCosineTable();
+  // Only the top-left 8x8 (lowest frequencies) of the 2D DCT is needed
+  const rows = [];
+  for (let y = 0; y < DCT_SIZE; y++) {
+    const row = new Float64Array(HASH_SIZE);
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let x = 0; x < DCT_SIZE; x++) sum += pixels[y * DCT_SIZE + x] * cos[u][x];
+      row[u] = sum;
+    }
+    rows.push(row);
+  }
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      let sum = 0;
+      for (let y = 0; y < DCT_SIZE; y++) sum += rows[y][u] * cos[v][y];
+      coefficients.push(sum);
+    }
+  }
+  // The DC term is the overall brightness and would dominate the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map((value) => (value > median ? 1 : 0)));
+}
+
+function laplacianVariance(source) {
+  const { data, width, height, channels } = source;
+  if (width < 3 || height < 3) return 0;
+  const at = (x, y) => data[(y * width + x) * channels];
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const value = at(x - 1, y) + at(x + 1, y) + at(x, y - 1) + at(x, y + 1) - 4 * at(x, y);
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+/**
+ * Compute the perceptual fingerprint of an image.
+ *
+ * @param {Buffer|string} input - Encoded image bytes or a file path
+ * @returns {Promise<{ version: number, aHash: string, dHash: string, pHash: string,
+ *   width: number, height: number, sharpness: number }|null>} Null when sharp is
+ *   unavailable or the image cannot be decoded
+ */
+async function computeImageFingerprint(input) {
+  const sharp = getSharp();
+  if (!sharp || !input) return null;
+  try {
+    const metadata = await sharp(input, { failOn: 'none' }).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const rotated = (metadata.orientation || 1) >= 5;
+    const { data, info } = await sharp(input, { failOn: 'none' })
+      .rotate()
+      .removeAlpha()
+      .greyscale()
+      .resize(WORKING_SIZE, WORKING_SIZE, { fit: 'inside' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const source = { data, width: info.width, height: info.height, channels: info.channels };
+
+    const [aPixels, dPixels, pPixels] = await Promise.all([
+      resizeGrey(sharp, source, HASH_SIZE, HASH_SIZE),
+      resizeGrey(sharp, source, HASH_SIZE + 1, HASH_SIZE),
+      resizeGrey(sharp, source, DCT_SIZE, DCT_SIZE)
+    ]);
+
+    return {
+      version: FINGERPRINT_VERSION,
+      aHash: averageHash(aPixels),
+      dHash: differenceHash(dPixels),
+      pHash: dctHash(pPixels),
+      width: (rotated ? metadata.height : metadata.width) || info.width,
+      height: (rotated ? metadata.width : metadata.height) || info.height,
+      sharpness: Math.round(laplacianVariance(source) * 10) / 10
+    };
+  } catch (error) {
+    logger.debug('[PHASH] Could not fingerprint image', { error: error?.message });
+    return null;
+  }
+}
+
+const popcount32 = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+};
+
+/**
+ * Number of differing bits between two 64-bit hex hashes.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-64, or Infinity when either hash is malformed
+ */
+function hammingDistance(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== 16 || b.length !== 16) {
+    return Infinity;
+  }
+  const high = parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16);
+  const low = parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16);
+  if (Number.isNaN(high) || Number.isNaN(low)) return Infinity;
+  return popcount32(high >>> 0) + popcount32(low >>> 0);
+}
+
+/**
+ * Visual distance between two fingerprints: the larger of the pHash and
+ * dHash distances, so both the overall structure and the gradients must agree.
+ */
+function fingerprintDistance(a, b) {
+  return Math.max(hammingDistance(a?.pHash, b?.pHash), hammingDistance(a?.dHash, b?.dHash));
+}
+
+function scoreQuality(members) {
+  const max = (pick) => Math.max(...members.map(pick), 1);
+  const pixels = (member) => (member.width || 0) * (member.height || 0);
+  const maxPixels = max(pixels);
+  const maxSharpness = max((member) => member.sharpness || 0);
+  const maxSize = max((member) => member.size || 0);
+  return members.map(
+    (member) =>
+      QUALITY_WEIGHTS.resolution * (pixels(member) / maxPixels) +
+      QUALITY_WEIGHTS.sharpness * ((member.sharpness || 0) / maxSharpness) +
+      QUALITY_WEIGHTS.size * ((member.size || 0) / maxSize)
+  );
+}
+
+/**
+ * Group images that look the same.
+ *
+ * @param {Array<Object>} images - Items with `path`, `fingerprint` (from
+ *   computeImageFingerprint) and optional `name` and `size`
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance=12] - Largest fingerprint distance (of
+ *   64 bits) still considered the same picture
+ * @returns {Array<{ id: string, kind: 'similar-images', matchType: 'identical'|'near-identical',
+ *   members: Array<Object>, memberCount: number, averageSimilarity: number,
+ *   bestPick: Object }>} Groups of two or more, largest first. Members are ordered
+ *   best first and carry `qualityScore`, `distance` (to the best pick),
+ *   `matchType` and `isBestPick`.
+ */
+function groupSimilarImages(images, { maxDistance = DEFAULT_MAX_DISTANCE } = {}) {
+  const items = (Array.isArray(images) ? images : []).filter(
+    (image) => image?.path && image.fingerprint?.pHash && image.fingerprint?.dHash
+  );
+
+  const parent = items.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (fingerprintDistance(items[i].fingerprint, items[j].fingerprint) <= maxDistance) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(item);
+  });
+
+  const groups = [];
+  for (const cluster of clusters.values()) {
+    if (cluster.length < 2) continue;
+    const candidates = cluster.map((item) => ({
+      ...item,
+      name: item.name || String(item.path).split(/[\\/]/).pop(),
+      width: item.fingerprint.width,
+      height: item.fingerprint.height,
+      sharpness: item.fingerprint.sharpness
+    }));
+    const scores = scoreQuality(candidates);
+    const ranked = candidates
+      .map((member, index) => ({ member, score: scores[index] }))
+      .sort((a, b) => b.score - a.score || (b.member.size || 0) - (a.member.size || 0));
+    const best = ranked[0].member;
+
+    const members = ranked.map(({ member, score }, index) => {
+      const distance = index === 0 ? 0 : fingerprintDistance(best.fingerprint, member.fingerprint);
+      const { fingerprint: _fingerprint, ...rest } = member;
+      return {
+        ...rest,
+        qualityScore: Math.round(score * 100) / 100,
+        distance,
+        matchType: distance <= IDENTICAL_DISTANCE ? 'identical' : 'near-identical',
+        isBestPick: index === 0
+      };
+    });
+    const others = members.slice(1);
+    const averageSimilarity =
+      others.reduce((sum, member) => sum + (1 - Math.min(member.distance, 64) / 64), 0) /
+      others.length;
+
+    groups.push({
+      id: `similar-images:${best.path}`,
+      kind: 'similar-images',
+      matchType: others.every((member) => member.matchType === 'identical')
+        ? 'identical'
+        : 'near-identical',
+      members,
+      memberCount: members.length,
+      averageSimilarity: Math.round(averageSimilarity * 1000) / 1000,
+      bestPick: members[0]
+    });
+  }
+
+  return groups.sort((a, b) => b.memberCount - a.memberCount);
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  IDENTICAL_DISTANCE,
+  DEFAULT_MAX_DISTANCE,
+  computeImageFingerprint,
+  hammingDistance,
+  fingerprintDistance,
+  groupSimilarImages
+};
@@ -0,0 +1,756 @@
+/**
+ * Project Bundles
+ *
+ * Detects groups of files that only make sense together so organizing never
+ * splits them: git repositories, Node/Python/LaTeX projects, photo-export
+ * folders, macOS package directories (`.app`, `.bundle`, ...) and multi-file
+ * formats such as shapefiles.
+ *
+ * Directory bundles move as one folder (named as-is) to wherever most of their
+ * files were headed; file-set bundles move every companion file next to the
+ * primary one with a matching name. Each bundle gets one aggregated analysis
+ * built from a few sampled members.
+ *
+ * A bundle only moves as a unit when every file in it is being organized;
+ * otherwise it is reported as partial and its files move individually until
+ * the user confirms the bundle by its root.
+ *
+ * @module utils/projectBundles
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../shared/logger');
+const {
+  SUPPORTED_IMAGE_EXTENSIONS,
+  SUPPORTED_DOCUMENT_EXTENSIONS
+} = require('../../shared/constants');
+
+const logger = createLogger('ProjectBundles');
+
+/** Bundle types, keyed by id, with display labels. */
+const BUNDLE_TYPES = Object.freeze({
+  package: 'App bundle',
+  git: 'Git repository',
+  node: 'Node.js project',
+  python: 'Python project',
+  latex: 'LaTeX project',
+  'photo-export': 'Photo export',
+  shapefile: 'Shapefile'
+});
+
+// Directories the OS presents as a single item
+const PACKAGE_EXTENSIONS = new Set([
+  '.app',
+  '.bundle',
+  '.framework',
+  '.plugin',
+  '.kext',
+  '.photoslibrary',
+  '.xcodeproj',
+  '.xcworkspace'
+]);
+const PYTHON_MARKERS = ['pyproject.toml', 'setup.py', 'setup.cfg', 'pipfile'];
+const LATEX_COMPANIONS = new Set(['.bib', '.cls', '.sty', '.bst']);
+const PHOTO_EXTENSIONS = new Set([
+  ...SUPPORTED_IMAGE_EXTENSIONS,
+  '.cr2',
+  '.cr3',
+  '.nef',
+  '.arw',
+  '.dng',
+  '.raf',
+  '.orf',
+  '.rw2'
+]);
+const PHOTO_SIDECARS = new Set(['.xmp', '.aae', '.json']);
+
+/** Multi-file formats: every companion travels with the primary file. */
+const FILESET_FORMATS = Object.freeze([
+  {
+    type: 'shapefile',
+    primary: '.shp',
+    extensions: [
+      '.shp',
+      '.shx',
+      '.dbf',
+      '.prj',
+      '.cpg',
+      '.sbn',
+      '.sbx',
+      '.qix',
+      '.fbn',
+      '.fbx',
+      '.ain',
+      '.aih',
+      '.atx',
+      '.ixs',
+      '.mxs',
+      '.shp.xml'
+    ]
+  }
+]);
+
+// Folders that are never a bundle themselves and stop the upward search
+const BOUNDARY_FOLDER_NAMES = [
+  'Desktop',
+  'Documents',
+  'Downloads',
+  'Pictures',
+  'Music',
+  'Movies',
+  'Videos',
+  'OneDrive',
+  'Dropbox'
+];
+// Skipped when sampling a bundle's files
+const SKIPPED_DIRECTORIES = new Set([
+  '.git',
+  'node_modules',
+  '__pycache__',
+  '.venv',
+  'venv',
+  'dist',
+  'build',
+  'target'
+]);
+
+const MAX_ANCESTOR_DEPTH = 6;
+const MIN_PHOTO_EXPORT_IMAGES = 3;
+/** A folder is only moved as a unit when at least this many of its files are being organized. */
+const MIN_DIRECTORY_MEMBERS = 2;
+const DEFAULT_MAX_SAMPLES = 4;
+const MAX_COLLECTED_FILES = 200;
+
+const comparablePath = (value) => {
+  const resolved = path.resolve(value);
+  return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+};
+
+/**
+ * Folders that bound the upward search: the home folder, its well-known
+ * subfolders and filesystem roots are never treated as bundles.
+ * @param {string[]} [extra] - Additional boundaries (watched folders, smart folders)
+ * @returns {Set<string>} Comparable paths
+ */
+function getBundleBoundaries(extra = []) {
+  const home = os.homedir();
+  return new Set(
+    [home, ...BOUNDARY_FOLDER_NAMES.map((name) => path.join(home, name)), ...extra]
+      .filter((value) => typeof value === 'string' && value)
+      .map(comparablePath)
+  );
+}
+
+async function readNames(dirPath, cache) {
+  const key = comparablePath(dirPath);
+  if (!cache.has(key)) {
+    cache.set(
+      key,
+      Promise.resolve()
+        .then(() => fs.readdir(dirPath))
+        .then((names) => (Array.isArray(names) ? names : []))
+        .catch(() => [])
+    );
+  }
+  return cache.get(key);
+}
+
+const stemOf = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(0, dot) : name;
+};
+
+function isPhotoExport(names) {
+  const visible = names.filter((name) => !name.startsWith('.'));
+  const images = visible.filter((name) => PHOTO_EXTENSIONS.has(path.extname(name).toLowerCase()));
+  if (images.length < MIN_PHOTO_EXPORT_IMAGES) return false;
+  const others = visible.filter((name) => {
+    const ext = path.extname(name).toLowerCase();
+    return !PHOTO_EXTENSIONS.has(ext) && !PHOTO_SIDECARS.has(ext);
+  });
+  if (others.length > 0) return false;
+  if (images.length < visible.length) return true; // sidecars present
+  // Camera or export numbering: IMG_0001, DSC01234, Lisbon-001
+  const prefixes = new Set(
+    images.map((name) => /^(.*?)[\s_-]*\d+$/.exec(stemOf(name))?.[1]?.toLowerCase() ?? null)
+  );
+  return prefixes.size === 1 && !prefixes.has(null);
+}
+
+/**
+ * Classify a directory from its name and entries.
+ * @param {string} dirPath
+ * @param {string[]} names - Entry names in the directory
+ * @returns {string|null} Bundle type id, or null when it is an ordinary folder
+ */
+function classifyDirectory(dirPath, names) {
+  if (PACKAGE_EXTENSIONS.has(path.extname(dirPath).toLowerCase())) return 'package';
+  const lower = new Set(names.map((name) => name.toLowerCase()));
+  if (lower.has('.git')) return 'git';
+  if (lower.has('package.json')) return 'node';
+  if (PYTHON_MARKERS.some((marker) => lower.has(marker))) return 'python';
+
+  const extensions = names.map((name) => path.extname(name).toLowerCase());
+  const texCount = extensions.filter((ext) => ext === '.tex').length;
+  if (
+    texCount > 0 &&
+    (texCount > 1 ||
+      extensions.some((ext) => LATEX_COMPANIONS.has(ext)) ||
+      lower.has('latexmkrc') ||
+      lower.has('.latexmkrc'))
+  ) {
+    return 'latex';
+  }
+  return isPhotoExport(names) ? 'photo-export' : null;
+}
+
+function createDirectoryBundle(root, type) {
+  return {
+    id: `bundle:${root}`,
+    kind: 'directory',
+    type,
+    label: BUNDLE_TYPES[type],
+    root,
+    name: path.basename(root),
+    members: []
+  };
+}
+
+/**
+ * Find the outermost bundle folder containing a file, stopping at boundaries.
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {Set<string>} [options.boundaries] - From getBundleBoundaries
+ * @param {Map} [options.cache] - Directory listing cache shared across calls
+ * @returns {Promise<{ root: string, type: string }|null>}
+ */
+async function findBundleRoot(
+  filePath,
+  { boundaries = getBundleBoundaries(), cache = new Map() } = {}
+) {
+  let dir = path.dirname(path.resolve(filePath));
+  let found = null;
+  for (let depth = 0; depth < MAX_ANCESTOR_DEPTH; depth++) {
+    if (boundaries.has(comparablePath(dir)) || path.dirname(dir) === dir) break;
+    const type = classifyDirectory(dir, await readNames(dir, cache));
+    // Keep climbing: a LaTeX folder inside a git repo belongs to the repo
+    if (type) found = { root: dir, type };
+    dir = path.dirname(dir);
+  }
+  return found;
+}
+
+function filesetKey(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  for (const format of FILESET_FORMATS) {
+    const ext = format.extensions.find((candidate) => name.endsWith(candidate));
+    if (ext && name.length > ext.length) {
+      return { format, stem: path.basename(filePath).slice(0, name.length - ext.length) };
+    }
+  }
+  return null;
+}
+
+async function detectFilesets(filePaths, cache) {
+  const groups = new Map();
+  for (const filePath of filePaths) {
+    const key = filesetKey(filePath);
+    if (!key) continue;
+    const id = `${key.format.type}:${comparablePath(path.join(path.dirname(filePath), key.stem))}`;
+    if (!groups.has(id)) groups.set(id, { ...key, dir: path.dirname(filePath), members: [] });
+    groups.get(id).members.push(filePath);
+  }
+
+  const bundles = [];
+  for (const [id, group] of groups) {
+    const stemLower = group.stem.toLowerCase();
+    const names = (await readNames(group.dir, cache)).filter((name) => {
+      const lower = name.toLowerCase();
+      return (
+        lower.startsWith(stemLower) &&
+        group.format.extensions.includes(lower.slice(stemLower.length))
+      );
+    });
+    const primaryName = names.find(
+      (name) => name.slice(group.stem.length).toLowerCase() === group.format.primary
+    );
+    if (!primaryName) continue;
+    bundles.push({
+      id: `bundle:${id}`,
+      kind: 'fileset',
+      type: group.format.type,
+      label: BUNDLE_TYPES[group.format.type],
+      root: path.join(group.dir, primaryName),
+      name: group.stem,
+      members: group.members,
+      files: names.map((name) => path.join(group.dir, name))
+    });
+  }
+  return bundles;
+}
+
+/**
+ * Group files into bundles.
+ *
+ * A bundle that holds files outside `filePaths` would carry them along when it
+ * moves, so it is returned in `partial` (its files stay loose) unless its root
+ * is listed in `options.confirmed`.
+ *
+ * @param {string[]} filePaths - Files about to be organized
+ * @param {Object} [options]
+ * @param {string[]} [options.boundaries] - Extra folders that are never bundles
+ * @param {string[]} [options.confirmed] - Roots of bundles the user chose to move whole
+ * @returns {Promise<{ bundles: Array<Object>, partial: Array<Object>, loose: string[] }>}
+ *   Directory bundles (`{ kind: 'directory', root, name, members, fileCount }`),
+ *   file-set bundles (`{ kind: 'fileset', root: primaryFile, name: stem, members,
+ *   files, fileCount }`), bundles awaiting confirmation and the files that move
+ *   on their own. `fileCount` is null when a folder holds too many files to list.
+ */
+async function detectBundles(filePaths, options = {}) {
+  const boundaries = getBundleBoundaries(options.boundaries);
+  const confirmed = new Set(
+    (options.confirmed || []).filter((p) => typeof p === 'string' && p).map(comparablePath)
+  );
+  const cache = new Map();
+  const byRoot = new Map();
+  const paths = Array.from(new Set((filePaths || []).filter((p) => typeof p === 'string' && p)));
+  const selected = new Set(paths.map(comparablePath));
+  const isSelected = (filePath) => selected.has(comparablePath(filePath));
+  let loose = [];
+
+  for (const filePath of paths) {
+    const found = await findBundleRoot(filePath, { boundaries, cache });
+    if (!found) {
+      loose.push(filePath);
+      continue;
+    }
+    const key = comparablePath(found.root);
+    if (!byRoot.has(key)) byRoot.set(key, createDirectoryBundle(found.root, found.type));
+    byRoot.get(key).members.push(filePath);
+  }
+
+  const bundles = [];
+  const partial = [];
+  for (const bundle of byRoot.values()) {
+    if (bundle.members.length < MIN_DIRECTORY_MEMBERS) {
+      loose.push(...bundle.members);
+      continue;
+    }
+    const files = await collectBundleFiles(bundle.root, { limit: MAX_COLLECTED_FILES + 1 });
+    bundle.fileCount = files.length > MAX_COLLECTED_FILES ? null : files.length;
+    if (
+      confirmed.has(comparablePath(bundle.root)) ||
+      (bundle.fileCount !== null && files.every(isSelected))
+    ) {
+      bundles.push(bundle);
+    } else {
+      partial.push(bundle);
+      loose.push(...bundle.members);
+    }
+  }
+
+  const grouped = new Set();
+  for (const bundle of await detectFilesets(loose, cache)) {
+    bundle.fileCount = bundle.files.length;
+    if (confirmed.has(comparablePath(bundle.root)) || bundle.files.every(isSelected)) {
+      bundles.push(bundle);
+      bundle.members.forEach((member) => grouped.add(member));
+    } else {
+      partial.push(bundle);
+    }
+  }
+  loose = loose.filter((filePath) => !grouped.has(filePath));
+
+  if (bundles.length > 0 || partial.length > 0) {
+    logger.info('[BUNDLES] Detected project bundles', {
+      count: bundles.length,
+      bundles: bundles.map((bundle) => `${bundle.type}:${bundle.name}`),
+      partial: partial.map((bundle) => `${bundle.type}:${bundle.name}`)
+    });
+  }
+  return { bundles, partial, loose };
+}
+
+/**
+ * Classify a single folder (e.g. one dropped into Downloads).
+ * @param {string} dirPath
+ * @returns {Promise<Object|null>} Directory bundle with no members yet, or null
+ */
+async function detectBundleDirectory(dirPath) {
+  const type = classifyDirectory(dirPath, await readNames(dirPath, new Map()));
+  return type ? createDirectoryBundle(dirPath, type) : null;
+}
+
+/**
+ * List files inside a bundle folder for sampling, skipping VCS metadata,
+ * dependencies and build output.
+ * @param {string} root
+ * @param {Object} [options]
+ * @param {number} [options.limit=200]
+ * @returns {Promise<string[]>}
+ */
+async function collectBundleFiles(root, { limit = MAX_COLLECTED_FILES } = {}) {
+  const files = [];
+  const pending = [root];
+  while (pending.length > 0 && files.length < limit) {
+    const dir = pending.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      logger.debug('[BUNDLES] Could not list bundle folder', { dir, error: error.message });
+      continue;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') && entry.name !== '.latexmkrc') continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) pending.push(entryPath);
+      } else if (entry.isFile() && files.length < limit) {
+        files.push(entryPath);
+      }
+    }
+  }
+  return files;
+}
+
+const SAMPLE_MANIFESTS = new Set([
+  'package.json',
+  'pyproject.toml',
+  'setup.py',
+  'main.tex',
+  'thesis.tex',
+  'paper.tex'
+]);
+const SAMPLE_DOCUMENTS = new Set([...SUPPORTED_DOCUMENT_EXTENSIONS, '.md', '.tex', '.rst']);
+
+function samplePriority(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  if (name.startsWith('readme')) return 0;
+  if (SAMPLE_MANIFESTS.has(name)) return 1;
+  const ext = path.extname(name);
+  if (SAMPLE_DOCUMENTS.has(ext)) return 2;
+  if (PHOTO_EXTENSIONS.has(ext)) return 3;
+  return 4;
+}
+
+/**
+ * Pick a few representative files: README first, then manifests, documents,
+ * images and everything else, shallow paths before deep ones.
+ * @param {string[]} filePaths
+ * @param {number} [max=4]
+ * @returns {string[]}
+ */
+function selectBundleSamples(filePaths, max = DEFAULT_MAX_SAMPLES) {
+  return [...new Set(filePaths || [])]
+    .filter((filePath) => !filePath.split(/[\\/]/).some((part) => SKIPPED_DIRECTORIES.has(part)))
+    .map((filePath) => ({
+      filePath,
+      priority: samplePriority(filePath),
+      depth: filePath.split(/[\\/]/).length
+    }))
+    .sort(
+      (a, b) => a.priority - b.priority || a.depth - b.depth || a.filePath.localeCompare(b.filePath)
+    )
+    .slice(0, max)
+    .map((item) => item.filePath);
+}
+
+/**
+ * Merge sampled analyses into one analysis for the bundle. The category is a
+ * confidence-weighted vote; the name is always the bundle's own name.
+ * @param {Object} bundle - From detectBundles / detectBundleDirectory
+ * @param {Array<Object|null>} analyses - Analyses of sampled members (first = most representative)
+ * @returns {Object} Analysis-shaped object with a `bundle` descriptor
+ */
+function aggregateBundleAnalysis(bundle, analyses) {
+  const valid = (analyses || []).filter((a) => a && typeof a === 'object' && !a.error);
+  const votes = new Map();
+  const keywordCounts = new Map();
+  for (const analysis of valid) {
+    if (analysis.category) {
+      const weight = Number.isFinite(analysis.confidence) ? analysis.confidence : 50;
+      votes.set(analysis.category, (votes.get(analysis.category) || 0) + weight);
+    }
+    for (const keyword of Array.isArray(analysis.keywords) ? analysis.keywords : []) {
+      if (typeof keyword !== 'string' || !keyword.trim()) continue;
+      const key = keyword.trim().toLowerCase();
+      keywordCounts.set(key, (keywordCounts.get(key) || 0) + 1);
+    }
+  }
+  const category = [...votes.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+  const confidences = valid.map((a) => a.confidence).filter(Number.isFinite);
+  const firstOf = (field) => valid.find((a) => typeof a[field] === 'string' && a[field])?.[field];
+
+  return {
+    category,
+    confidence: confidences.length
+      ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+      : 0,
+    keywords: [...keywordCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([keyword]) => keyword),
+    summary: firstOf('summary') || `${bundle.label}: ${bundle.name}`,
+    purpose: firstOf('purpose') || null,
+    entity: firstOf('entity') || null,
+    project: firstOf('project') || bundle.name,
+    type: bundle.label,
+    // Bundles keep their own name so paths inside them stay valid
+    suggestedName: bundle.kind === 'fileset' ? null : bundle.name,
+    bundle: {
+      type: bundle.type,
+      label: bundle.label,
+      root: bundle.root,
+      memberCount: bundle.members.length,
+      sampledFiles: valid.length
+    }
+  };
+}
+
+/**
+ * Analyze a bundle from a few sampled members.
+ * @param {Object} bundle
+ * @param {(filePath: string) => Promise<Object>} analyzeFile
+ * @param {Object} [options]
+ * @param {number} [options.maxSamples=4]
+ * @returns {Promise<Object>} Aggregated analysis
+ */
+async function analyzeBundle(bundle, analyzeFile, { maxSamples = DEFAULT_MAX_SAMPLES } = {}) {
+  const candidates =
+    bundle.kind === 'directory' ? await collectBundleFiles(bundle.root) : bundle.files;
+  const samples = selectBundleSamples(candidates, maxSamples);
+  const analyses = [];
+  for (const sample of samples) {
+    try {
+      analyses.push(await analyzeFile(sample));
+    } catch (error) {
+      logger.debug('[BUNDLES] Sample analysis failed', { file: sample, error: error.message });
+    }
+  }
+  return aggregateBundleAnalysis(bundle, analyses);
+}
+
+/**
+ * File-shaped stand-in for a directory bundle, so organize pipelines can route
+ * it like any other file.
+ * @param {Object} bundle
+ * @param {Object} analysis - From aggregateBundleAnalysis
+ * @returns {Object}
+ */
+function createBundleFile(bundle, analysis) {
+  return {
+    name: bundle.name,
+    path: bundle.root,
+    extension: path.extname(bundle.root).toLowerCase(),
+    isBundle: true,
+    bundle: { type: bundle.type, label: bundle.label, members: bundle.members },
+    analysis
+  };
+}
+
+/**
+ * Collapse analyzed files into organize units: the members of each directory
+ * bundle are replaced by one bundle file whose analysis is aggregated from the
+ * members' existing analyses, and a file-set is represented by its primary
+ * file. Run applyBundlesToOperations on the resulting operations afterwards.
+ *
+ * @param {Array<{ path: string, analysis?: Object }>} files
+ * @param {Object} [options] - Passed to detectBundles
+ * @returns {Promise<{ files: Array<Object>, bundles: Array<Object> }>}
+ */
+async function collapseBundledFiles(files, options = {}) {
+  const list = Array.isArray(files) ? files : [];
+  const { bundles } = await detectBundles(
+    list.map((file) => file?.path),
+    options
+  );
+  if (bundles.length === 0) return { files: list, bundles };
+
+  const byPath = new Map(list.filter((file) => file?.path).map((file) => [file.path, file]));
+  const replacements = new Map();
+  for (const bundle of bundles) {
+    if (bundle.kind === 'fileset') {
+      const primary = byPath.get(bundle.root) || byPath.get(bundle.members[0]);
+      bundle.members.forEach((member) => replacements.set(member, null));
+      replacements.set(primary.path, primary);
+      continue;
+    }
+    const samples = selectBundleSamples(bundle.members);
+    const analysis = aggregateBundleAnalysis(
+      bundle,
+      samples.map((member) => byPath.get(member)?.analysis)
+    );
+    bundle.members.forEach((member) => replacements.set(member, null));
+    replacements.set(bundle.members[0], createBundleFile(bundle, analysis));
+  }
+
+  const units = [];
+  for (const file of list) {
+    if (!replacements.has(file?.path)) units.push(file);
+    else if (replacements.get(file.path)) units.push(replacements.get(file.path));
+  }
+  return { files: units, bundles };
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  let best = values[0];
+  for (const value of values) {
+    const count = (counts.get(value) || 0) + 1;
+    counts.set(value, count);
+    if (count > counts.get(best)) best = value;
+  }
+  return best;
+}
+
+function directoryOperation(bundle, ops) {
+  const rootOp = ops.find((op) => comparablePath(op.source) === comparablePath(bundle.root));
+  const destination =
+    rootOp?.destination ||
+    path.join(mostCommon(ops.map((op) => path.dirname(op.destination))), bundle.name);
+  return {
+    ...(rootOp || ops[0]),
+    type: 'move',
+    source: bundle.root,
+    destination,
+    bundle: { kind: 'directory', type: bundle.type, label: bundle.label, members: bundle.members }
+  };
+}
+
+function filesetOperations(bundle, ops) {
+  const primaryOp =
+    ops.find((op) => comparablePath(op.source) === comparablePath(bundle.root)) || ops[0];
+  const primarySuffix = path.basename(primaryOp.source).slice(bundle.name.length);
+  const destName = path.basename(primaryOp.destination);
+  const newStem = destName.toLowerCase().endsWith(primarySuffix.toLowerCase())
+    ? destName.slice(0, destName.length - primarySuffix.length)
+    : stemOf(destName);
+  const destDir = path.dirname(primaryOp.destination);
+  return bundle.files.map((filePath) => ({
+    type: 'move',
+    source: filePath,
+    destination: path.join(destDir, newStem + path.basename(filePath).slice(bundle.name.length)),
+    bundle: { kind: 'fileset', type: bundle.type, label: bundle.label, root: bundle.root }
+  }));
+}
+
+/**
+ * Rewrite per-file move operations so bundles move as a unit: member moves of a
+ * directory bundle become one folder move, and a file-set's companions follow
+ * its primary file.
+ * @param {Array<{ source: string, destination: string }>} operations
+ * @param {Array<Object>} bundles - From detectBundles
+ * @returns {Array<Object>} New operations (input order kept at each bundle's first member)
+ */
+function applyBundlesToOperations(operations, bundles) {
+  if (!Array.isArray(bundles) || bundles.length === 0) return operations;
+  const owners = new Map();
+  for (const bundle of bundles) {
+    const paths = bundle.kind === 'fileset' ? bundle.files : [bundle.root, ...bundle.members];
+    paths.forEach((filePath) => owners.set(comparablePath(filePath), bundle));
+  }
+
+  const opsByBundle = new Map();
+  for (const op of operations) {
+    const bundle = owners.get(comparablePath(op.source));
+    if (!bundle) continue;
+    if (!opsByBundle.has(bundle)) opsByBundle.set(bundle, []);
+    opsByBundle.get(bundle).push(op);
+  }
+
+  const result = [];
+  for (const op of operations) {
+    const bundle = owners.get(comparablePath(op.source));
+    if (!bundle) {
+      result.push(op);
+    } else if (opsByBundle.has(bundle)) {
+      const ops = opsByBundle.get(bundle);
+      opsByBundle.delete(bundle);
+      if (bundle.kind === 'fileset') result.push(...filesetOperations(bundle, ops));
+      else result.push(directoryOperation(bundle, ops));
+    }
+  }
+  return result;
+}
+
+function summarizeBundleMove(bundle, operations) {
+  const rootOp = applyBundlesToOperations(operations, [bundle]).find(
+    (op) => op.bundle && comparablePath(op.source) === comparablePath(bundle.root)
+  );
+  return {
+    root: bundle.root,
+    name: bundle.name,
+    kind: bundle.kind,
+    type: bundle.type,
+    label: bundle.label,
+    destination: rootOp?.destination || null,
+    members: bundle.members,
+    fileCount: bundle.fileCount ?? null
+  };
+}
+
+/**
+ * Group the per-file moves of a batch into bundle moves and describe them for
+ * review. Partial bundles keep their per-file moves.
+ *
+ * @param {Array<{ source: string, destination: string }>} operations
+ * @param {Object} [options] - Passed to detectBundles (`boundaries`, `confirmed`)
+ * @returns {Promise<{ operations: Array<Object>, bundles: Array<Object>, partial: Array<Object> }>}
+ *   Grouped operations plus `{ root, name, kind, type, label, destination, members,
+ *   fileCount }` for the bundles that move whole and for those awaiting confirmation
+ */
+async function planBundleMoves(operations, options = {}) {
+  const list = Array.isArray(operations) ? operations : [];
+  const moves = list.filter((op) => (op.type || 'move') === 'move' && !op.bundle);
+  if (moves.length === 0) return { operations: list, bundles: [], partial: [] };
+
+  const { bundles, partial } = await detectBundles(
+    moves.map((op) => op.source),
+    options
+  );
+  return {
+    operations: applyBundlesToOperations(list, bundles),
+    bundles: bundles.map((bundle) => summarizeBundleMove(bundle, moves)),
+    partial: partial.map((bundle) => summarizeBundleMove(bundle, moves))
+  };
+}
+
+/**
+ * Where each member of a moved directory bundle ended up.
+ * @param {string} source - Bundle folder before the move
+ * @param {string} destination - Bundle folder after the move
+ * @param {string[]} members - Member file paths (under `source`)
+ * @returns {Array<{ oldPath: string, newPath: string }>}
+ */
+function getBundleMemberMoves(source, destination, members) {
+  return (members || [])
+    .map((member) => ({ member, relative: path.relative(source, member) }))
+    .filter(({ relative }) => relative && !relative.startsWith('..') && !path.isAbsolute(relative))
+    .map(({ member, relative }) => ({
+      oldPath: member,
+      newPath: path.join(destination, relative)
+    }));
+}
+
+module.exports = {
+  BUNDLE_TYPES,
+  FILESET_FORMATS,
+  MIN_DIRECTORY_MEMBERS,
+  getBundleBoundaries,
+  classifyDirectory,
+  findBundleRoot,
+  detectBundles,
+  detectBundleDirectory,
+  collectBundleFiles,
+  selectBundleSamples,
+  aggregateBundleAnalysis,
+  analyzeBundle,
+  createBundleFile,
+  collapseBundledFiles,
+  applyBundlesToOperations,
+  planBundleMoves,
+  getBundleMemberMoves
+};
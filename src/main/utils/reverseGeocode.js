@@ -0,0 +1,76 @@
+/**
+ * Reverse Geocoding
+ *
+ * Offline lookup of the nearest city for photo GPS coordinates, using the
+ * bundled dataset in citiesData.js. No network requests are made, so photo
+ * locations never leave the machine.
+ *
+ * @module utils/reverseGeocode
+ */
+
+const { CITIES, COUNTRY_NAMES } = require('./citiesData');
+
+const EARTH_RADIUS_KM = 6371;
+/** Photos farther than this from every listed city get no place name. */
+const DEFAULT_MAX_DISTANCE_KM = 80;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two coordinates.
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const isCoordinate = (value, limit) =>
+  typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+/**
+ * Find the nearest bundled city.
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} [options]
+ * @param {number} [options.maxDistanceKm=80]
+ * @returns {{ city: string, country: string, countryCode: string, distanceKm: number }|null}
+ *   Null for invalid coordinates or when no city is close enough
+ */
+function reverseGeocode(latitude, longitude, { maxDistanceKm = DEFAULT_MAX_DISTANCE_KM } = {}) {
+  if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) return null;
+  // Null Island: cameras write 0,0 when they have no fix
+  if (latitude === 0 && longitude === 0) return null;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const city of CITIES) {
+    // Cheap latitude pre-filter (1 degree of latitude is about 111 km)
+    if (Math.abs(city[2] - latitude) * 111 > Math.min(maxDistanceKm, nearestDistance)) continue;
+    const distance = distanceKm(latitude, longitude, city[2], city[3]);
+    if (distance < nearestDistance) {
+      nearest = city;
+      nearestDistance = distance;
+    }
+  }
+  if (!nearest || nearestDistance > maxDistanceKm) return null;
+
+  const [city, countryCode] = nearest;
+  return {
+    city,
+    country: COUNTRY_NAMES[countryCode] || countryCode,
+    countryCode,
+    distanceKm: Math.round(nearestDistance * 10) / 10
+  };
+}
+
+module.exports = { reverseGeocode, distanceKm, DEFAULT_MAX_DISTANCE_KM };
@@ -6,6 +6,8 @@ const { logger: baseLogger, createLogger } = require('../../shared/logger');
 const { resolveRuntimePath } = require('./runtimePaths');
 const { getOcrPool, destroyOcrPool, shouldUsePiscina } = require('./workerPools');
 const { resolveTesseractJsOptions } = require('./tesseractJsPaths');
+const { detectLanguage } = require('./languageDetection');
+const { toTesseractLanguageString } = require('../../shared/ocrLanguages');
 
 const execFileAsync = promisify(execFile);
 
@@ -55,6 +57,34 @@ function canUseTesseractJs() {
   }
 }
 
+/**
+ * Folder holding downloaded language packs, used as the tesseract.js cache.
+ * @returns {Promise<string|undefined>} undefined keeps tesseract.js's default cache
+ */
+async function getLanguageCachePath() {
+  try {
+    const { getInstance } = require('../services/OcrLanguageService');
+    return await getInstance().getLanguageDir();
+  } catch (error) {
+    logger?.debug?.('[OCR] Language pack folder unavailable, using default cache', {
+      error: error?.message
+    });
+    return undefined;
+  }
+}
+
+async function getPreferredOcrLanguages() {
+  try {
+    const { getInstance } = require('../services/OcrLanguageService');
+    return await getInstance().getPreferredLanguages();
+  } catch (error) {
+    logger?.debug?.('[OCR] Preferred languages unavailable, using English', {
+      error: error?.message
+    });
+    return ['eng'];
+  }
+}
+
 function getEmbeddedTesseractPath() {
   const exe = process.platform === 'win32' ? 'tesseract.exe' : 'tesseract';
   return resolveRuntimePath('tesseract', exe);
@@ -201,8 +231,10 @@ async function getJsWorker() {
       if (!workerOptions) {
         throw new Error('tesseract.js assets unavailable');
       }
+      const cachePath = await getLanguageCachePath();
       const worker = await createWorker('eng', 1, {
         ...workerOptions,
+        ...(cachePath && { cachePath }),
         errorHandler: (err) => {
           logger?.warn?.('[OCR] Worker error', { error: err?.message || String(err) });
         }
@@ -235,7 +267,8 @@ async function recognizeWithTesseractJs(input, options = {}) {
     const pool = getOcrPool();
     try {
       if (pool) {
-        const result = await pool.run({ input, options });
+        const cachePath = await getLanguageCachePath();
+        const result = await pool.run({ input, options: { ...options, cachePath } });
         // to prevent uncaught exceptions in the Piscina thread
         if (result?.error) {
           logger?.warn?.('[OCR] Worker pool failed, falling back to local worker', {
@@ -300,7 +333,7 @@ async function recognizeWithTesseractJs(input, options = {}) {
   return current;
 }
 
-async function recognizeIfAvailable(tesseract, input, options = {}) {
+async function runRecognition(tesseract, input, options) {
   let nativeError = null;
   if (tesseract?.recognize) {
     try {
@@ -336,6 +369,35 @@ async function recognizeIfAvailable(tesseract, input, options = {}) {
   }
 }
 
+/**
+ * OCR an image, preferring native tesseract and falling back to tesseract.js.
+ *
+ * Without an explicit `lang`, the user's preferred languages are used
+ * (downloaded packs plus English) and the language detected in the recognized
+ * text is returned, so callers that OCR several pages can narrow later passes
+ * with narrowOcrLanguages() from languageDetection.
+ *
+ * @param {Object|null} tesseract - Native tesseract module, or null for tesseract.js only
+ * @param {Buffer|string} input - Image buffer or path
+ * @param {Object} [options] - Tesseract options (lang, oem, psm)
+ * @param {string[]} [options.languages] - Tesseract codes; defaults to the preferred list
+ * @returns {Promise<{success: boolean, text?: string, error?: string, languages?: string[],
+ *   language?: ReturnType<typeof detectLanguage>}>}
+ */
+async function recognizeIfAvailable(tesseract, input, options = {}) {
+  const { languages: requested, ...ocrOptions } = options;
+  if (ocrOptions.lang) return runRecognition(tesseract, input, ocrOptions);
+
+  const languages =
+    Array.isArray(requested) && requested.length > 0 ? requested : await getPreferredOcrLanguages();
+  const result = await runRecognition(tesseract, input, {
+    ...ocrOptions,
+    lang: toTesseractLanguageString(languages)
+  });
+  if (!result.success) return result;
+  return { ...result, languages, language: detectLanguage(result.text, { candidates: languages }) };
+}
+
 /**
  * Terminate the tesseract.js worker if one is active.
  * Safe to call even if no worker was created.
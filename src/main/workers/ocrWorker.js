@@ -19,7 +19,7 @@ let workerLang = null;
 let workerFailCount = 0;
 const MAX_WORKER_INIT_RETRIES = 3;
 
-async function getWorker() {
+async function getWorker(cachePath) {
   if (workerFailCount >= MAX_WORKER_INIT_RETRIES) {
     throw new Error(`OCR worker initialization failed ${workerFailCount} times, giving up`);
   }
@@ -31,8 +31,10 @@ async function getWorker() {
       if (!workerOptions) {
         throw new Error('tesseract.js assets unavailable');
       }
+      // cachePath is the downloaded language pack folder (see OcrLanguageService)
       const worker = await createWorker('eng', 1, {
         ...workerOptions,
+        ...(cachePath && { cachePath }),
         errorHandler: (err) => {
           logger.warn('[OCR] Worker error', { error: err?.message || String(err) });
         }
@@ -71,7 +73,7 @@ module.exports = async function runOcrTask(payload = {}) {
 
   let worker;
   try {
-    worker = await getWorker();
+    worker = await getWorker(options.cachePath);
   } catch (initError) {
     // Return structured error so the caller (tesseractUtils) can fall back
     // instead of letting the error propagate as an uncaught exception
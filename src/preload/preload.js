@@ -28,7 +28,9 @@ const IPC_CHANNELS = {
     OPEN_FOLDER: 'files:open-folder',
     DELETE_FOLDER: 'files:delete-folder',
     CLEANUP_ANALYSIS: 'files:cleanup-analysis',
-    ADD_TAGS: 'files:add-tags'
+    ADD_TAGS: 'files:add-tags',
+    WRITE_METADATA: 'files:write-metadata',
+    PREVIEW_BUNDLES: 'files:preview-bundles'
   },
 
   // SMART_FOLDERS
@@ -83,7 +85,10 @@ const IPC_CHANNELS = {
     TEST_CONNECTION: 'llama:test-connection',
     DOWNLOAD_MODEL: 'llama:download-model',
     DELETE_MODEL: 'llama:delete-model',
-    GET_DOWNLOAD_STATUS: 'llama:get-download-status'
+    GET_DOWNLOAD_STATUS: 'llama:get-download-status',
+    GET_OCR_LANGUAGES: 'llama:get-ocr-languages',
+    DOWNLOAD_OCR_LANGUAGE: 'llama:download-ocr-language',
+    DELETE_OCR_LANGUAGE: 'llama:delete-ocr-language'
   },
 
   // UNDO_REDO
@@ -95,6 +100,8 @@ const IPC_CHANNELS = {
     CLEAR_HISTORY: 'undo-redo:clear',
     CAN_UNDO: 'undo-redo:can-undo',
     CAN_REDO: 'undo-redo:can-redo',
+    PREVIEW_SELECTIVE_UNDO: 'undo-redo:preview-selective-undo',
+    SELECTIVE_UNDO: 'undo-redo:selective-undo',
     STATE_CHANGED: 'undo-redo:state-changed'
   },
 
@@ -104,9 +111,12 @@ const IPC_CHANNELS = {
     SEARCH: 'analysis-history:search',
     GET_STATISTICS: 'analysis-history:get-statistics',
     GET_FILE_HISTORY: 'analysis-history:get-file-history',
+    GET_FACETS: 'analysis-history:get-facets',
     SET_EMBEDDING_POLICY: 'analysis-history:set-embedding-policy',
     CLEAR: 'analysis-history:clear',
-    EXPORT: 'analysis-history:export'
+    EXPORT: 'analysis-history:export',
+    FIND_SIMILAR_IMAGES: 'analysis-history:find-similar-images',
+    GET_TIMELINE: 'analysis-history:get-timeline'
   },
 
   // EMBEDDINGS
@@ -132,6 +142,7 @@ const IPC_CHANNELS = {
     GET_FILE_METADATA: 'embeddings:get-file-metadata',
     FIND_FILES_BY_PATHS: 'embeddings:find-files-by-paths',
     FIND_DUPLICATES: 'embeddings:find-duplicates',
+    FIND_VERSION_CHAINS: 'embeddings:find-version-chains',
     CLEAR_CLUSTERS: 'embeddings:clear-clusters'
   },
 
@@ -207,13 +218,25 @@ const IPC_CHANNELS = {
     GET_CONVERSATION: 'chat:get-conversation',
     DELETE_CONVERSATION: 'chat:delete-conversation',
     SEARCH_CONVERSATIONS: 'chat:search-conversations',
-    EXPORT_CONVERSATION: 'chat:export-conversation'
+    EXPORT_CONVERSATION: 'chat:export-conversation',
+    EXECUTE_PLAN: 'chat:execute-plan',
+    DISCARD_PLAN: 'chat:discard-plan',
+    WRITE_REPORT: 'chat:write-report'
   },
 
   // KNOWLEDGE
   KNOWLEDGE: {
     GET_RELATIONSHIP_EDGES: 'knowledge:get-relationship-edges',
-    GET_RELATIONSHIP_STATS: 'knowledge:get-relationship-stats'
+    GET_RELATIONSHIP_STATS: 'knowledge:get-relationship-stats',
+    LIST_SAVED_SEARCHES: 'knowledge:list-saved-searches',
+    SAVE_SAVED_SEARCH: 'knowledge:save-saved-search',
+    DELETE_SAVED_SEARCH: 'knowledge:delete-saved-search',
+    RUN_SAVED_SEARCH: 'knowledge:run-saved-search',
+    LIST_REMINDERS: 'knowledge:list-reminders',
+    UPDATE_REMINDER: 'knowledge:update-reminder',
+    LIST_ENTITIES: 'knowledge:list-entities',
+    GET_ENTITY: 'knowledge:get-entity',
+    GET_FILE_ENTITIES: 'knowledge:get-file-entities'
   }
 };
 
@@ -228,7 +251,9 @@ const IPC_EVENTS = {
   FILE_OPERATION_COMPLETE: 'file-operation-complete',
   NOTIFICATION: 'notification',
   UNDO_REDO_STATE_CHANGED: 'undo-redo:state-changed',
-  BATCH_RESULTS_CHUNK: 'batch-results-chunk'
+  BATCH_RESULTS_CHUNK: 'batch-results-chunk',
+  SAVED_SEARCHES_UPDATED: 'saved-searches:updated',
+  REMINDERS_UPDATED: 'reminders:updated'
 };
 // === END GENERATED IPC_CHANNELS ===
 
@@ -444,8 +469,9 @@ class SecureIPCManager {
       timeout = TIMEOUTS.AI_ANALYSIS_BATCH || 300000;
     }
     // Chat streaming involves retrieval (search + BM25 rebuild + re-ranking)
-    // plus LLM inference, which routinely exceeds the 30s default timeout
-    if (channel === IPC_CHANNELS.CHAT.QUERY_STREAM) {
+    // plus LLM inference, which routinely exceeds the 30s default timeout.
+    // Reports are drafted in one long LLM call.
+    if (channel === IPC_CHANNELS.CHAT.QUERY_STREAM || channel === IPC_CHANNELS.CHAT.WRITE_REPORT) {
       timeout = TIMEOUTS.AI_ANALYSIS_LONG || 180000;
     }
     return timeout;
@@ -893,6 +919,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
       }),
     performOperation: (operations) =>
       secureIPC.safeInvoke(IPC_CHANNELS.FILES.PERFORM_OPERATION, operations),
+    previewBundles: (operations) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.FILES.PREVIEW_BUNDLES, { operations }),
     delete: (filePath) => secureIPC.safeInvoke(IPC_CHANNELS.FILES.DELETE_FILE, filePath),
     cleanupAnalysis: (filePath) =>
       secureIPC.safeInvoke(IPC_CHANNELS.FILES.CLEANUP_ANALYSIS, filePath),
@@ -951,7 +979,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
         return Promise.reject(error);
       }
     },
-    addTags: (fileIds, tags) => secureIPC.safeInvoke(IPC_CHANNELS.FILES.ADD_TAGS, fileIds, tags)
+    addTags: (fileIds, tags) => secureIPC.safeInvoke(IPC_CHANNELS.FILES.ADD_TAGS, fileIds, tags),
+    writeMetadata: (filePaths) => secureIPC.safeInvoke(IPC_CHANNELS.FILES.WRITE_METADATA, filePaths)
   },
 
   // Smart Folders
@@ -997,13 +1026,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getStatistics: () => secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.GET_STATISTICS),
     getFileHistory: (filePath) =>
       secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.GET_FILE_HISTORY, filePath),
+    getFacets: () => secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.GET_FACETS),
     setEmbeddingPolicy: (filePath, policy) =>
       secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.SET_EMBEDDING_POLICY, {
         filePath,
         policy
       }),
     clear: () => secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.CLEAR),
-    export: (format) => secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.EXPORT, format)
+    export: (format) => secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.EXPORT, format),
+    findSimilarImages: (options) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.FIND_SIMILAR_IMAGES, options || {}),
+    getTimeline: (options) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.ANALYSIS_HISTORY.GET_TIMELINE, options || {})
   },
 
   // Embeddings / Semantic
@@ -1056,6 +1090,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
       secureIPC.safeInvoke(IPC_CHANNELS.EMBEDDINGS.FIND_FILES_BY_PATHS, { paths }),
     findDuplicates: (options) =>
       secureIPC.safeInvoke(IPC_CHANNELS.EMBEDDINGS.FIND_DUPLICATES, options || {}),
+    findVersionChains: (options) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.EMBEDDINGS.FIND_VERSION_CHAINS, options || {}),
     clearClusters: () => secureIPC.safeInvoke(IPC_CHANNELS.EMBEDDINGS.CLEAR_CLUSTERS)
   },
 
@@ -1073,7 +1109,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
     deleteConversation: (id) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.DELETE_CONVERSATION, { id }),
     searchConversations: (query) =>
       secureIPC.safeInvoke(IPC_CHANNELS.CHAT.SEARCH_CONVERSATIONS, { query }),
-    exportConversation: (id) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.EXPORT_CONVERSATION, { id })
+    exportConversation: (id) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.EXPORT_CONVERSATION, { id }),
+    executePlan: (planId, options = {}) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.CHAT.EXECUTE_PLAN, {
+        planId,
+        excludePaths: options.excludePaths,
+        confirmedBundles: options.confirmedBundles
+      }),
+    discardPlan: (planId) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.DISCARD_PLAN, { planId }),
+    writeReport: (payload) => secureIPC.safeInvoke(IPC_CHANNELS.CHAT.WRITE_REPORT, payload)
   },
 
   // Knowledge
@@ -1084,7 +1128,39 @@ contextBridge.exposeInMainWorld('electronAPI', {
         minWeight: options.minWeight,
         maxEdges: options.maxEdges
       }),
-    getRelationshipStats: () => secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.GET_RELATIONSHIP_STATS)
+    getRelationshipStats: () => secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.GET_RELATIONSHIP_STATS),
+    listSavedSearches: () => secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.LIST_SAVED_SEARCHES),
+    saveSavedSearch: (search) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.SAVE_SAVED_SEARCH, search),
+    deleteSavedSearch: (id) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.DELETE_SAVED_SEARCH, { id }),
+    runSavedSearch: (id) => secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.RUN_SAVED_SEARCH, { id }),
+    onSavedSearchesUpdated: (callback) =>
+      secureIPC.safeOn(IPC_EVENTS.SAVED_SEARCHES_UPDATED, callback),
+    listReminders: (options = {}) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.LIST_REMINDERS, {
+        includeDismissed: options.includeDismissed === true
+      }),
+    updateReminder: (id, changes = {}) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.UPDATE_REMINDER, { id, ...changes }),
+    onRemindersUpdated: (callback) => secureIPC.safeOn(IPC_EVENTS.REMINDERS_UPDATED, callback),
+    listEntities: (options = {}) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.LIST_ENTITIES, {
+        query: options.query,
+        type: options.type,
+        limit: options.limit
+      }),
+    getEntity: (id, options = {}) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.GET_ENTITY, {
+        id,
+        maxDocuments: options.maxDocuments
+      }),
+    getFileEntities: (fileIds, options = {}) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.KNOWLEDGE.GET_FILE_ENTITIES, {
+        fileIds,
+        minFiles: options.minFiles,
+        limit: options.limit
+      })
   },
 
   // Suggestions
@@ -1143,6 +1219,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
     clear: () => secureIPC.safeInvoke(IPC_CHANNELS.UNDO_REDO.CLEAR_HISTORY),
     canUndo: () => secureIPC.safeInvoke(IPC_CHANNELS.UNDO_REDO.CAN_UNDO),
     canRedo: () => secureIPC.safeInvoke(IPC_CHANNELS.UNDO_REDO.CAN_REDO),
+    previewSelectiveUndo: (actionId, operationIndexes) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.UNDO_REDO.PREVIEW_SELECTIVE_UNDO, {
+        actionId,
+        operationIndexes
+      }),
+    selectiveUndo: (actionId, operationIndexes) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.UNDO_REDO.SELECTIVE_UNDO, { actionId, operationIndexes }),
     onStateChanged: (callback) => secureIPC.safeOn(IPC_CHANNELS.UNDO_REDO.STATE_CHANGED, callback)
   },
 
@@ -1201,7 +1284,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
     downloadModel: (modelName) =>
       secureIPC.safeInvoke(IPC_CHANNELS.LLAMA.DOWNLOAD_MODEL, modelName),
     deleteModel: (modelName) => secureIPC.safeInvoke(IPC_CHANNELS.LLAMA.DELETE_MODEL, modelName),
-    getDownloadStatus: () => secureIPC.safeInvoke(IPC_CHANNELS.LLAMA.GET_DOWNLOAD_STATUS)
+    getDownloadStatus: () => secureIPC.safeInvoke(IPC_CHANNELS.LLAMA.GET_DOWNLOAD_STATUS),
+    getOcrLanguages: () => secureIPC.safeInvoke(IPC_CHANNELS.LLAMA.GET_OCR_LANGUAGES),
+    downloadOcrLanguage: (code) =>
+      secureIPC.safeInvoke(IPC_CHANNELS.LLAMA.DOWNLOAD_OCR_LANGUAGE, code),
+    deleteOcrLanguage: (code) => secureIPC.safeInvoke(IPC_CHANNELS.LLAMA.DELETE_OCR_LANGUAGE, code)
   },
 
   // Vector DB (Orama - New in-process)
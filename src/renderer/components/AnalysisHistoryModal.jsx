@@ -13,6 +13,13 @@ import { nextRequestId, isCurrentRequest } from '../utils/requestGuard';
 import { fetchAnalysisHistoryPages } from '../utils/analysisHistoryFetch';
 
 const logger = createLogger('AnalysisHistoryModal');
+const EXPORT_FORMAT_LABELS = {
+  json: 'JSON',
+  csv: 'CSV',
+  'financial-csv': 'financial CSV',
+  ledger: 'ledger'
+};
+
 function AnalysisHistoryModal({ onClose, analysisStats, setAnalysisStats }) {
   const { addNotification } = useNotification();
   const [historyData, setHistoryData] = useState([]);
@@ -117,7 +124,10 @@ function AnalysisHistoryModal({ onClose, analysisStats, setAnalysisStats }) {
       downloadLink.click();
       downloadLink.remove();
       URL.revokeObjectURL(url);
-      addNotification(`Analysis history exported as ${format.toUpperCase()}`, 'success');
+      addNotification(
+        `Analysis history exported as ${EXPORT_FORMAT_LABELS[format] || format.toUpperCase()}`,
+        'success'
+      );
     } catch {
       addNotification('Export failed', 'error');
     } finally {
@@ -304,6 +314,26 @@ function AnalysisHistoryModal({ onClose, analysisStats, setAnalysisStats }) {
                         >
                           Export CSV
                         </Button>
+                        <Button
+                          onClick={() => exportHistory('financial-csv')}
+                          variant="secondary"
+                          size="sm"
+                          disabled={isExporting}
+                          isLoading={isExporting}
+                          title="Totals, tax, numbers and line items of invoices, receipts and bank statements"
+                        >
+                          Export Financial CSV
+                        </Button>
+                        <Button
+                          onClick={() => exportHistory('ledger')}
+                          variant="secondary"
+                          size="sm"
+                          disabled={isExporting}
+                          isLoading={isExporting}
+                          title="Invoices and receipts as a plain-text accounting journal (ledger/hledger)"
+                        >
+                          Export Ledger
+                        </Button>
                         <div className="flex-1" />
                         <Button
                           onClick={handleClearClick}
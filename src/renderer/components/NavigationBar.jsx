@@ -1,9 +1,19 @@
-import React, { useState, useEffect, useRef, memo, useCallback, useMemo } from 'react';
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  memo,
+  useCallback,
+  useMemo,
+  lazy,
+  Suspense
+} from 'react';
 import PropTypes from 'prop-types';
 import {
   Home,
   Settings,
   Search,
+  CalendarClock,
   FolderOpen,
   CheckCircle2,
   Loader2,
@@ -23,6 +33,7 @@ import { Text } from './ui/Typography';
 import { isMac } from '../utils/platform';
 
 const logger = createLogger('NavigationBar');
+const UpcomingRemindersModal = lazy(() => import('./UpcomingRemindersModal'));
 // =============================================================================
 // Icon Components - Using Lucide React for premium icons
 // =============================================================================
@@ -251,7 +262,64 @@ NavTab.propTypes = {
 };
 
 /**
- * Action buttons (settings, update indicator, floating search)
+ * Upcoming deadlines button; the badge counts reminders due within a week or overdue
+ */
+const UpcomingRemindersButton = memo(function UpcomingRemindersButton() {
+  const [isOpen, setIsOpen] = useState(false);
+  const [upcomingCount, setUpcomingCount] = useState(0);
+  const api = window?.electronAPI?.knowledge;
+
+  useEffect(() => {
+    if (!api?.listReminders) return undefined;
+    let cancelled = false;
+    api
+      .listReminders()
+      .then((response) => {
+        if (cancelled || !Array.isArray(response?.reminders)) return;
+        setUpcomingCount(response.reminders.filter((r) => r.daysLeft <= 7).length);
+      })
+      .catch((error) => logger.debug('Failed to load reminders', { error: error?.message }));
+    const unsubscribe = api.onRemindersUpdated?.((payload) => {
+      if (Number.isInteger(payload?.upcomingCount)) setUpcomingCount(payload.upcomingCount);
+    });
+    return () => {
+      cancelled = true;
+      if (typeof unsubscribe === 'function') unsubscribe();
+    };
+  }, [api]);
+
+  if (!api?.listReminders) return null;
+
+  const label =
+    upcomingCount > 0 ? `Upcoming deadlines (${upcomingCount} this week)` : 'Upcoming deadlines';
+  return (
+    <>
+      <div className="relative">
+        <IconButton
+          icon={<CalendarClock className="h-4 w-4" />}
+          size="sm"
+          variant="secondary"
+          onClick={() => setIsOpen(true)}
+          aria-label={label}
+          title={label}
+        />
+        {upcomingCount > 0 && (
+          <span className="pointer-events-none absolute -right-1 -top-1 min-w-[1rem] rounded-full bg-stratosort-warning px-1 text-center text-[10px] font-semibold leading-4 text-white">
+            {upcomingCount > 9 ? '9+' : upcomingCount}
+          </span>
+        )}
+      </div>
+      {isOpen && (
+        <Suspense fallback={null}>
+          <UpcomingRemindersModal isOpen={isOpen} onClose={() => setIsOpen(false)} />
+        </Suspense>
+      )}
+    </>
+  );
+});
+
+/**
+ * Action buttons (settings, update indicator, upcoming deadlines, floating search)
  */
 const NavActions = memo(function NavActions({ onSettingsClick }) {
   const { isWidgetOpen, openWidget, closeWidget } = useFloatingSearch();
@@ -259,6 +327,7 @@ const NavActions = memo(function NavActions({ onSettingsClick }) {
   return (
     <div className="flex items-center gap-2" style={{ WebkitAppRegion: 'no-drag' }}>
       <UpdateIndicator />
+      <UpcomingRemindersButton />
       <Button
         onClick={isWidgetOpen ? closeWidget : openWidget}
         variant="secondary"
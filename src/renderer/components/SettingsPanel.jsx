@@ -37,11 +37,15 @@ import NotificationSettingsSection from './settings/NotificationSettingsSection'
 import LlamaConfigSection from './settings/LlamaConfigSection';
 import ModelSelectionSection from './settings/ModelSelectionSection';
 import ChatPersonaSection from './settings/ChatPersonaSection';
+import OutputLanguageSection from './settings/OutputLanguageSection';
 import ModelManagementSection from './settings/ModelManagementSection';
+import OcrLanguageSection from './settings/OcrLanguageSection';
 import EmbeddingRebuildSection from './settings/EmbeddingRebuildSection';
 import EmbeddingBehaviorSection from './settings/EmbeddingBehaviorSection';
 import DefaultLocationsSection from './settings/DefaultLocationsSection';
 import NamingSettingsSection from './settings/NamingSettingsSection';
+import MetadataWritebackSection from './settings/MetadataWritebackSection';
+import FileAccessSection from './settings/FileAccessSection';
 import GraphRetrievalSection from './settings/GraphRetrievalSection';
 import ProcessingLimitsSection from './settings/ProcessingLimitsSection';
 import ApplicationSection from './settings/ApplicationSection';
@@ -875,12 +879,18 @@ const SettingsPanel = React.memo(function SettingsPanel() {
                     embeddingModelOptions={embeddingModelOptions}
                   />
                   <ChatPersonaSection settings={settings} setSettings={applySettingsUpdate} />
+                  <OutputLanguageSection settings={settings} setSettings={applySettingsUpdate} />
                   <ModelManagementSection
                     newModel={newModel}
                     setNewModel={setNewModel}
                     isAddingModel={isAddingModel}
                     onAddModel={addModel}
                   />
+                  <OcrLanguageSection
+                    settings={settings}
+                    setSettings={applySettingsUpdate}
+                    addNotification={addNotification}
+                  />
                   <EmbeddingBehaviorSection settings={settings} setSettings={applySettingsUpdate} />
                   <EmbeddingRebuildSection addNotification={addNotification} />
                 </Stack>
@@ -917,6 +927,8 @@ const SettingsPanel = React.memo(function SettingsPanel() {
                 <Stack gap="spacious">
                   <DefaultLocationsSection settings={settings} setSettings={applySettingsUpdate} />
                   <NamingSettingsSection settings={settings} setSettings={applySettingsUpdate} />
+                  <MetadataWritebackSection settings={settings} setSettings={applySettingsUpdate} />
+                  <FileAccessSection settings={settings} setSettings={applySettingsUpdate} />
                 </Stack>
               </Collapsible>
 
@@ -10,7 +10,10 @@ import {
   FileEdit,
   Settings,
   Search,
-  Package
+  Package,
+  Undo2,
+  ArrowLeft,
+  Tag
 } from 'lucide-react';
 import { createLogger } from '../../shared/logger';
 import Modal, { ConfirmModal } from './ui/Modal';
@@ -20,8 +23,10 @@ import { useDispatch } from 'react-redux';
 import { updateResultPathsAfterMove } from '../store/slices/analysisSlice';
 import { removeOrganizedFiles, updateFilePathsAfterMove } from '../store/slices/filesSlice';
 import Button from './ui/Button';
+import IconButton from './ui/IconButton';
 import StateMessage from './ui/StateMessage';
 import { Text } from './ui/Typography';
+import { safeBasename } from '../utils/pathUtils';
 
 const logger = createLogger('UndoRedoSystem');
 
@@ -57,6 +62,14 @@ function invokeBatchStateCallback(type, result) {
   }
 }
 
+// Main-process action types whose files can be moved back one at a time
+const SELECTIVELY_UNDOABLE_TYPES = new Set([
+  ACTION_TYPES.FILE_MOVE,
+  ACTION_TYPES.FILE_RENAME,
+  ACTION_TYPES.BATCH_OPERATION,
+  'BATCH_ORGANIZE'
+]);
+
 const ACTION_METADATA = {
   [ACTION_TYPES.FILE_MOVE]: {
     description: 'Move file',
@@ -102,6 +115,16 @@ const ACTION_METADATA = {
     description: 'Batch operation',
     icon: Package,
     category: 'Batch Operations'
+  },
+  [ACTION_TYPES.METADATA_WRITE]: {
+    description: 'Write file metadata',
+    icon: Tag,
+    category: 'File Operations'
+  },
+  [ACTION_TYPES.ACTION_PLAN]: {
+    description: 'Chat action plan',
+    icon: Package,
+    category: 'Batch Operations'
   }
 };
 
@@ -156,7 +179,12 @@ export const createSettingsAction = (description, newSettings, oldSettings) => (
   metadata: { newSettings, oldSettings }
 });
 
-export const createOrganizeBatchAction = (description, operations, stateCallbacks = {}) => ({
+export const createOrganizeBatchAction = (
+  description,
+  operations,
+  stateCallbacks = {},
+  { confirmedBundles = [] } = {}
+) => ({
   type: ACTION_TYPES.BATCH_OPERATION,
   description,
   execute: async () => {
@@ -165,7 +193,9 @@ export const createOrganizeBatchAction = (description, operations, stateCallback
     }
     const result = await window.electronAPI.files.performOperation({
       type: 'batch_organize',
-      operations
+      operations,
+      // Project folders the user agreed to move whole
+      ...(confirmedBundles.length > 0 ? { confirmedBundles } : {})
     });
     if (stateCallbacks.onExecute) {
       try {
@@ -240,7 +270,9 @@ const rehydrateAction = (serializedAction) => {
       type === ACTION_TYPES.FILE_RENAME ||
       type === ACTION_TYPES.FOLDER_CREATE ||
       type === ACTION_TYPES.FOLDER_DELETE ||
-      type === ACTION_TYPES.FOLDER_RENAME
+      type === ACTION_TYPES.FOLDER_RENAME ||
+      type === ACTION_TYPES.METADATA_WRITE ||
+      type === ACTION_TYPES.ACTION_PLAN
     ) {
       return createFileAction({
         actionType: type,
@@ -872,6 +904,58 @@ export function UndoRedoProvider({ children }) {
     [undoStack, showInfo, showSuccess, showError, assertSuccessfulUndoRedoResult]
   );
 
+  const previewSelectiveUndo = useCallback(async (actionId, operationIndexes) => {
+    if (!window?.electronAPI?.undoRedo?.previewSelectiveUndo) {
+      return { success: false, error: 'Selective undo API not available' };
+    }
+    try {
+      return await window.electronAPI.undoRedo.previewSelectiveUndo(actionId, operationIndexes);
+    } catch (error) {
+      return { success: false, error: error?.message || String(error) };
+    }
+  }, []);
+
+  // Reverse one past action (or some of its files) in the main process, leaving
+  // later actions applied, then resync the stack since history was edited
+  const selectiveUndo = useCallback(
+    async (actionId, operationIndexes) => {
+      if (actionMutexRef.current) {
+        showInfo('Please wait for the current action to complete');
+        return null;
+      }
+      if (!window?.electronAPI?.undoRedo?.selectiveUndo) {
+        showError('Selective undo API not available');
+        return null;
+      }
+
+      actionMutexRef.current = true;
+      setIsExecuting(true);
+
+      try {
+        const result = await window.electronAPI.undoRedo.selectiveUndo(actionId, operationIndexes);
+        if (!result?.success) {
+          showError(`Undo failed: ${result?.message || result?.error || 'Nothing was undone'}`);
+          return result;
+        }
+        applyBatchPathSync(result, 'undo');
+        await syncFromMainProcess();
+        if (result.failCount > 0) {
+          showInfo(`${result.message} (${result.failCount} skipped)`);
+        } else {
+          showSuccess(result.message);
+        }
+        return result;
+      } catch (error) {
+        showError(`Undo failed: ${error?.message || String(error)}`);
+        return null;
+      } finally {
+        actionMutexRef.current = false;
+        if (isMountedRef.current) setIsExecuting(false);
+      }
+    },
+    [applyBatchPathSync, syncFromMainProcess, showInfo, showSuccess, showError]
+  );
+
   const contextValue = useMemo(
     () => ({
       executeAction,
@@ -886,6 +970,8 @@ export function UndoRedoProvider({ children }) {
       fullStack: fullStackState,
       currentIndex: currentIndexState,
       jumpToPoint,
+      previewSelectiveUndo,
+      selectiveUndo,
       peek: () => undoStack.peek(),
       peekRedo: () => undoStack.peekRedo(),
       getActionDescription,
@@ -904,6 +990,8 @@ export function UndoRedoProvider({ children }) {
       fullStackState,
       currentIndexState,
       jumpToPoint,
+      previewSelectiveUndo,
+      selectiveUndo,
       getActionDescription,
       clearHistory,
       isHistoryVisible,
@@ -945,14 +1033,175 @@ export function useUndoRedo() {
   return context;
 }
 
+function SelectiveUndoPreview({ action, onClose }) {
+  const { previewSelectiveUndo, selectiveUndo, isExecuting } = useUndoRedo();
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState(() => new Set());
+
+  useEffect(() => {
+    let cancelled = false;
+    setPreview(null);
+    previewSelectiveUndo(action.id).then((result) => {
+      if (cancelled) return;
+      setPreview(result);
+      const ready = (result?.items || []).filter((item) => item.conflicts.length === 0);
+      setSelected(new Set(ready.map((item) => item.index)));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [action.id, previewSelectiveUndo]);
+
+  const toggle = (index) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const handleConfirm = async () => {
+    const result = await selectiveUndo(action.id, Array.from(selected));
+    if (result?.success) onClose();
+  };
+
+  const items = preview?.items || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3 pb-4 border-b border-border-soft/60">
+        <IconButton
+          icon={<ArrowLeft className="w-4 h-4" />}
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+          aria-label="Back to history"
+        />
+        <div className="min-w-0">
+          <Text as="div" variant="small" className="font-medium text-system-gray-900 truncate">
+            Undo just: {action.description}
+          </Text>
+          <Text as="div" variant="tiny" className="text-system-gray-500">
+            Files go back to where they were. Later actions stay as they are.
+          </Text>
+        </div>
+      </div>
+
+      {!preview ? (
+        <Text variant="small" className="text-system-gray-500">
+          Checking files…
+        </Text>
+      ) : !preview.success ? (
+        <StateMessage
+          icon={FileText}
+          tone="neutral"
+          size="md"
+          title="Can't undo this action"
+          description={preview.error || 'This action cannot be undone on its own.'}
+        />
+      ) : (
+        <>
+          {preview.conflictCount > 0 && (
+            <Text variant="small" className="text-stratosort-warning">
+              {preview.conflictCount} file{preview.conflictCount === 1 ? '' : 's'} changed since
+              this action and will be left alone.
+            </Text>
+          )}
+          <ul className="space-y-2 max-h-[50vh] overflow-y-auto">
+            {items.map((item) => {
+              const blocked = item.conflicts.length > 0;
+              return (
+                <li
+                  key={item.index}
+                  className={`p-3 rounded-xl border ${blocked ? 'border-stratosort-warning/30 bg-stratosort-warning/5' : 'border-border-soft bg-white'}`}
+                >
+                  <label className="flex items-start gap-3">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(item.index)}
+                      disabled={blocked || isExecuting}
+                      onChange={() => toggle(item.index)}
+                      className="mt-1 h-4 w-4 rounded-md border-system-gray-300 text-stratosort-blue focus:ring-stratosort-blue/20"
+                    />
+                    <span className="min-w-0 flex-1">
+                      <Text as="span" variant="small" className="block font-medium truncate">
+                        {safeBasename(item.newPath)}
+                      </Text>
+                      <Text
+                        as="span"
+                        variant="tiny"
+                        className="block text-system-gray-500 truncate"
+                        title={item.originalPath}
+                      >
+                        Back to {item.originalPath}
+                      </Text>
+                      {item.conflicts.map((conflict) => (
+                        <Text
+                          key={conflict.type}
+                          as="span"
+                          variant="tiny"
+                          className="block text-stratosort-warning"
+                        >
+                          {conflict.message}
+                        </Text>
+                      ))}
+                    </span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+          <div className="flex justify-end gap-2 pt-2">
+            <Button variant="secondary" size="sm" onClick={onClose} disabled={isExecuting}>
+              Cancel
+            </Button>
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={handleConfirm}
+              disabled={isExecuting || selected.size === 0}
+            >
+              Undo {selected.size} file{selected.size === 1 ? '' : 's'}
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+SelectiveUndoPreview.propTypes = {
+  action: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    description: PropTypes.string
+  }).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
 function HistoryModal() {
   const { fullStack, currentIndex, jumpToPoint, setIsHistoryVisible, clearHistory, isExecuting } =
     useUndoRedo();
+  const [selectiveAction, setSelectiveAction] = useState(null);
 
   const handleJumpToPoint = async (targetIndex) => {
     await jumpToPoint(targetIndex);
   };
 
+  if (selectiveAction) {
+    return (
+      <Modal
+        isOpen={true}
+        onClose={() => setIsHistoryVisible(false)}
+        title="Action History"
+        size="md"
+        className="max-h-[85vh]"
+      >
+        <SelectiveUndoPreview action={selectiveAction} onClose={() => setSelectiveAction(null)} />
+      </Modal>
+    );
+  }
+
   return (
     <Modal
       isOpen={true}
@@ -1000,16 +1249,17 @@ function HistoryModal() {
                 const isFuture = actualIndex > currentIndex;
 
                 const IconComponent = ACTION_METADATA[action.type]?.icon || FileText;
+                const canUndoSelectively = !isFuture && SELECTIVELY_UNDOABLE_TYPES.has(action.type);
 
                 return (
-                  <Button
-                    key={action.id}
-                    onClick={() => handleJumpToPoint(actualIndex)}
-                    disabled={isExecuting || isCurrent}
-                    variant="ghost"
-                    size="sm"
-                    className={`
-                      w-full h-auto justify-start items-center gap-4 p-3 rounded-xl transition-all text-left group relative
+                  <div key={action.id} className="flex items-center gap-2">
+                    <Button
+                      onClick={() => handleJumpToPoint(actualIndex)}
+                      disabled={isExecuting || isCurrent}
+                      variant="ghost"
+                      size="sm"
+                      className={`
+                      flex-1 min-w-0 h-auto justify-start items-center gap-4 p-3 rounded-xl transition-all text-left group relative
                       ${
                         isCurrent
                           ? 'bg-stratosort-blue/5 border border-stratosort-blue/30 shadow-sm ring-1 ring-stratosort-blue/20 z-10'
@@ -1018,9 +1268,9 @@ function HistoryModal() {
                       ${isFuture ? 'opacity-60 grayscale-[0.5]' : ''}
                       ${isExecuting ? 'cursor-wait opacity-50' : ''}
                     `}
-                  >
-                    <div
-                      className={`
+                    >
+                      <div
+                        className={`
                       relative flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center border transition-colors
                       ${
                         isCurrent
@@ -1030,56 +1280,68 @@ function HistoryModal() {
                             : 'bg-white text-system-gray-600 border-border-soft group-hover:border-stratosort-blue/30 group-hover:text-stratosort-blue'
                       }
                     `}
-                    >
-                      <IconComponent className="w-5 h-5" />
-                      {isCurrent && (
-                        <span className="absolute -right-1 -top-1 w-3 h-3 bg-stratosort-success border-2 border-white rounded-full shadow-sm" />
-                      )}
-                    </div>
-
-                    <div className="flex-1 min-w-0">
-                      <div className="flex items-center justify-between gap-2">
-                        <span
-                          className={`font-medium truncate ${isCurrent ? 'text-stratosort-blue' : 'text-system-gray-900'}`}
-                        >
-                          {action.description}
-                        </span>
-                        <Text
-                          as="span"
-                          variant="tiny"
-                          className="text-system-gray-400 flex-shrink-0 font-mono"
-                        >
-                          #{actualIndex + 1}
-                        </Text>
-                      </div>
-                      <div className="flex items-center gap-2 mt-0.5">
-                        <Text as="span" variant="tiny" className="text-system-gray-500">
-                          {new Date(action.timestamp).toLocaleTimeString([], {
-                            hour: '2-digit',
-                            minute: '2-digit'
-                          })}
-                        </Text>
+                      >
+                        <IconComponent className="w-5 h-5" />
                         {isCurrent && (
-                          <Text
-                            as="span"
-                            variant="tiny"
-                            className="font-semibold bg-stratosort-blue/10 text-stratosort-blue px-1.5 py-0.5 rounded-full border border-stratosort-blue/10"
-                          >
-                            Current State
-                          </Text>
+                          <span className="absolute -right-1 -top-1 w-3 h-3 bg-stratosort-success border-2 border-white rounded-full shadow-sm" />
                         )}
-                        {isFuture && (
+                      </div>
+
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center justify-between gap-2">
+                          <span
+                            className={`font-medium truncate ${isCurrent ? 'text-stratosort-blue' : 'text-system-gray-900'}`}
+                          >
+                            {action.description}
+                          </span>
                           <Text
                             as="span"
                             variant="tiny"
-                            className="font-medium bg-system-gray-100 text-system-gray-500 px-1.5 py-0.5 rounded-full border border-border-soft"
+                            className="text-system-gray-400 flex-shrink-0 font-mono"
                           >
-                            Undone
+                            #{actualIndex + 1}
                           </Text>
-                        )}
+                        </div>
+                        <div className="flex items-center gap-2 mt-0.5">
+                          <Text as="span" variant="tiny" className="text-system-gray-500">
+                            {new Date(action.timestamp).toLocaleTimeString([], {
+                              hour: '2-digit',
+                              minute: '2-digit'
+                            })}
+                          </Text>
+                          {isCurrent && (
+                            <Text
+                              as="span"
+                              variant="tiny"
+                              className="font-semibold bg-stratosort-blue/10 text-stratosort-blue px-1.5 py-0.5 rounded-full border border-stratosort-blue/10"
+                            >
+                              Current State
+                            </Text>
+                          )}
+                          {isFuture && (
+                            <Text
+                              as="span"
+                              variant="tiny"
+                              className="font-medium bg-system-gray-100 text-system-gray-500 px-1.5 py-0.5 rounded-full border border-border-soft"
+                            >
+                              Undone
+                            </Text>
+                          )}
+                        </div>
                       </div>
-                    </div>
-                  </Button>
+                    </Button>
+                    {canUndoSelectively && (
+                      <IconButton
+                        icon={<Undo2 className="w-4 h-4" />}
+                        size="sm"
+                        variant="ghost"
+                        disabled={isExecuting}
+                        onClick={() => setSelectiveAction(action)}
+                        title="Undo just this action"
+                        aria-label={`Undo just ${action.description}`}
+                      />
+                    )}
+                  </div>
                 );
               })}
           </div>
@@ -0,0 +1,188 @@
+/**
+ * UpcomingRemindersModal - Deadlines and expiry dates found in analyzed documents
+ *
+ * Lists reminders from the main-process ReminderService grouped into overdue,
+ * this week and later, and lets the user reveal the file or dismiss a
+ * reminder. The list refreshes when reminders change (new analysis, moves,
+ * notifications).
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { CalendarClock, FolderOpen, BellOff, Bell } from 'lucide-react';
+import { createLogger } from '../../shared/logger';
+import { KEY_DATE_LABELS } from '../../shared/documentDates';
+import Modal from './ui/Modal';
+import { Button, IconButton, StatusBadge, StateMessage } from './ui';
+import { Text } from './ui/Typography';
+import { Stack } from './layout';
+
+const logger = createLogger('UpcomingRemindersModal');
+
+const GROUPS = [
+  { id: 'overdue', title: 'Overdue', test: (r) => r.daysLeft < 0 },
+  { id: 'week', title: 'This week', test: (r) => r.daysLeft >= 0 && r.daysLeft <= 7 },
+  { id: 'later', title: 'Later', test: (r) => r.daysLeft > 7 }
+];
+
+function ReminderRow({ reminder, onReveal, onToggleDismissed }) {
+  const urgent = reminder.daysLeft <= 1;
+  return (
+    <li className="flex items-center gap-3 rounded-lg border border-system-gray-200 bg-white px-3 py-2">
+      <div className="min-w-0 flex-1">
+        <Text as="div" variant="small" className="truncate font-medium text-system-gray-900">
+          {reminder.fileName}
+        </Text>
+        <Text as="div" variant="tiny" className="text-system-gray-500">
+          {[reminder.documentType, reminder.entity].filter(Boolean).join(' · ')}
+        </Text>
+      </div>
+      <StatusBadge variant={urgent ? 'warning' : 'info'} size="sm">
+        {KEY_DATE_LABELS[reminder.kind] || reminder.kind}
+      </StatusBadge>
+      <div className="w-36 text-right">
+        <Text as="div" variant="small" className={urgent ? 'text-stratosort-warning' : ''}>
+          {reminder.description}
+        </Text>
+        <Text as="div" variant="tiny" className="text-system-gray-500">
+          {reminder.date}
+        </Text>
+      </div>
+      <IconButton
+        icon={<FolderOpen className="h-4 w-4" />}
+        size="sm"
+        variant="ghost"
+        onClick={() => onReveal(reminder)}
+        aria-label={`Show ${reminder.fileName} in folder`}
+        title="Show in folder"
+      />
+      <IconButton
+        icon={reminder.dismissed ? <Bell className="h-4 w-4" /> : <BellOff className="h-4 w-4" />}
+        size="sm"
+        variant="ghost"
+        onClick={() => onToggleDismissed(reminder)}
+        aria-label={
+          reminder.dismissed
+            ? `Restore reminder for ${reminder.fileName}`
+            : `Dismiss reminder for ${reminder.fileName}`
+        }
+        title={reminder.dismissed ? 'Restore' : 'Dismiss'}
+      />
+    </li>
+  );
+}
+
+ReminderRow.propTypes = {
+  reminder: PropTypes.object.isRequired,
+  onReveal: PropTypes.func.isRequired,
+  onToggleDismissed: PropTypes.func.isRequired
+};
+
+function UpcomingRemindersModal({ isOpen, onClose }) {
+  const [reminders, setReminders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showDismissed, setShowDismissed] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await window.electronAPI?.knowledge?.listReminders?.({
+        includeDismissed: showDismissed
+      });
+      if (response?.success && Array.isArray(response.reminders)) {
+        setReminders(response.reminders);
+      }
+    } catch (error) {
+      logger.warn('Failed to load reminders', { error: error?.message });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showDismissed]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    refresh();
+    const unsubscribe = window.electronAPI?.knowledge?.onRemindersUpdated?.(() => refresh());
+    return () => {
+      if (typeof unsubscribe === 'function') unsubscribe();
+    };
+  }, [isOpen, refresh]);
+
+  const handleReveal = useCallback(async (reminder) => {
+    try {
+      await window.electronAPI?.files?.reveal?.(reminder.filePath);
+    } catch (error) {
+      logger.warn('Failed to reveal file', { error: error?.message });
+    }
+  }, []);
+
+  const handleToggleDismissed = useCallback(
+    async (reminder) => {
+      try {
+        const response = await window.electronAPI?.knowledge?.updateReminder?.(reminder.id, {
+          dismissed: !reminder.dismissed
+        });
+        if (response?.success) refresh();
+      } catch (error) {
+        logger.warn('Failed to update reminder', { error: error?.message });
+      }
+    },
+    [refresh]
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Upcoming Deadlines"
+      description="Due, expiry, renewal and effective dates found in your analyzed documents."
+      size="lg"
+      footer={
+        <Button variant="ghost" size="sm" onClick={() => setShowDismissed((value) => !value)}>
+          {showDismissed ? 'Hide dismissed' : 'Show dismissed'}
+        </Button>
+      }
+    >
+      {!isLoading && reminders.length === 0 ? (
+        <StateMessage
+          icon={CalendarClock}
+          tone="neutral"
+          size="lg"
+          title="No upcoming deadlines"
+          description="Analyze bills, contracts, warranties or IDs and their due and expiry dates will show up here."
+          contentClassName="max-w-sm"
+        />
+      ) : (
+        <Stack gap="default">
+          {GROUPS.map((group) => {
+            const items = reminders.filter(group.test);
+            if (items.length === 0) return null;
+            return (
+              <section key={group.id} aria-label={group.title}>
+                <Text as="h3" variant="small" className="mb-2 font-semibold text-system-gray-700">
+                  {group.title} ({items.length})
+                </Text>
+                <ul className="flex flex-col gap-2">
+                  {items.map((reminder) => (
+                    <ReminderRow
+                      key={reminder.id}
+                      reminder={reminder}
+                      onReveal={handleReveal}
+                      onToggleDismissed={handleToggleDismissed}
+                    />
+                  ))}
+                </ul>
+              </section>
+            );
+          })}
+        </Stack>
+      )}
+    </Modal>
+  );
+}
+
+UpcomingRemindersModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default UpcomingRemindersModal;
@@ -1,9 +1,11 @@
 import React, { memo, useCallback, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import Select from '../ui/Select';
+import Input from '../ui/Input';
 import { Text } from '../ui/Typography';
 import { logger } from '../../../shared/logger';
 import { normalizeSeparator } from '../../../shared/namingConventions';
+import { NAMING_TOKENS, validateNamingTemplate } from '../../../shared/namingTemplates';
 
 const NamingSettings = memo(function NamingSettings({
   namingConvention,
@@ -13,7 +15,9 @@ const NamingSettings = memo(function NamingSettings({
   caseConvention,
   setCaseConvention,
   separator,
-  setSeparator
+  setSeparator,
+  namingTemplate = '',
+  setNamingTemplate
 }) {
   const handleConventionChange = useCallback(
     (e) => setNamingConvention(e.target.value),
@@ -25,7 +29,14 @@ const NamingSettings = memo(function NamingSettings({
     [setCaseConvention]
   );
   const handleSeparatorChange = useCallback((e) => setSeparator(e.target.value), [setSeparator]);
+  const handleTemplateChange = useCallback(
+    (e) => setNamingTemplate?.(e.target.value),
+    [setNamingTemplate]
+  );
   const normalizedSeparator = normalizeSeparator(separator);
+  const isCustom = namingConvention === 'custom';
+  const templateCheck = validateNamingTemplate(namingTemplate);
+  const templateValid = templateCheck.valid;
 
   // Skip saving on initial mount to avoid overwriting stored settings with prop defaults
   const isFirstRender = useRef(true);
@@ -40,12 +51,14 @@ const NamingSettings = memo(function NamingSettings({
         namingConvention,
         separator,
         dateFormat,
-        caseConvention
+        caseConvention,
+        // Only persist templates the settings validator will accept
+        ...(templateValid ? { namingTemplate } : {})
       })
       .catch((err) => {
         logger.warn('[NamingSettings] Failed to persist naming preferences:', err?.message);
       });
-  }, [namingConvention, separator, dateFormat, caseConvention]);
+  }, [namingConvention, separator, dateFormat, caseConvention, namingTemplate, templateValid]);
 
   return (
     <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
@@ -61,6 +74,7 @@ const NamingSettings = memo(function NamingSettings({
         <option value="project-subject-date">project-subject-date</option>
         <option value="category-subject">category-subject</option>
         <option value="keep-original">keep-original</option>
+        <option value="custom">custom template</option>
       </Select>
 
       <Select
@@ -109,6 +123,27 @@ const NamingSettings = memo(function NamingSettings({
           Choose one: none, dash, dot, or underscore.
         </Text>
       </div>
+
+      {isCustom && (
+        <div className="sm:col-span-2">
+          <Input
+            label="Template"
+            id="naming-template"
+            value={namingTemplate}
+            onChange={handleTemplateChange}
+            placeholder="{date:YYYY-MM-DD}_{entity}_{type}_{counter:3}"
+            aria-describedby="naming-template-hint"
+            error={templateValid ? '' : templateCheck.errors[0]}
+          />
+          <Text id="naming-template-hint" variant="tiny" className="mt-1.5 text-system-gray-500">
+            Tokens:{' '}
+            {Object.keys(NAMING_TOKENS)
+              .map((token) => `{${token}}`)
+              .join(' ')}
+            . Use {'{entity|project|Unknown}'} for fallbacks and {'{summary:30}'} to truncate.
+          </Text>
+        </div>
+      )}
     </div>
   );
 });
@@ -121,7 +156,9 @@ NamingSettings.propTypes = {
   caseConvention: PropTypes.string.isRequired,
   setCaseConvention: PropTypes.func.isRequired,
   separator: PropTypes.string.isRequired,
-  setSeparator: PropTypes.func.isRequired
+  setSeparator: PropTypes.func.isRequired,
+  namingTemplate: PropTypes.string,
+  setNamingTemplate: PropTypes.func
 };
 
 export default NamingSettings;
@@ -17,13 +17,16 @@ const NamingSettingsModal = memo(function NamingSettingsModal({
   caseConvention,
   setCaseConvention,
   separator,
-  setSeparator
+  setSeparator,
+  namingTemplate = '',
+  setNamingTemplate
 }) {
   const previewName = generatePreviewName('Sample Document.ext', {
     convention: namingConvention,
     separator,
     dateFormat,
-    caseConvention
+    caseConvention,
+    template: namingTemplate
   });
 
   return (
@@ -53,6 +56,8 @@ const NamingSettingsModal = memo(function NamingSettingsModal({
           setCaseConvention={setCaseConvention}
           separator={separator}
           setSeparator={setSeparator}
+          namingTemplate={namingTemplate}
+          setNamingTemplate={setNamingTemplate}
         />
 
         <div className="border-t border-border-soft/70 pt-4 mt-2">
@@ -81,7 +86,9 @@ NamingSettingsModal.propTypes = {
   caseConvention: PropTypes.string.isRequired,
   setCaseConvention: PropTypes.func.isRequired,
   separator: PropTypes.string.isRequired,
-  setSeparator: PropTypes.func.isRequired
+  setSeparator: PropTypes.func.isRequired,
+  namingTemplate: PropTypes.string,
+  setNamingTemplate: PropTypes.func
 };
 
 export default NamingSettingsModal;
@@ -1,6 +1,6 @@
 import React, { useState, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { Trash2, Check } from 'lucide-react';
+import { Trash2, Check, Archive } from 'lucide-react';
 import Modal from '../ui/Modal';
 import Button from '../ui/Button';
 import { Heading, Text } from '../ui/Typography';
@@ -9,6 +9,7 @@ import { useFileActions } from '../../hooks/useFileActions';
 import { safeBasename } from '../../utils/pathUtils';
 import { formatBytes } from '../../utils/format';
 import { createLogger } from '../../../shared/logger';
+import { VERSIONS_FOLDER_NAME } from '../../../shared/versionChains';
 
 const logger = createLogger('DuplicateResolutionModal');
 
@@ -17,15 +18,20 @@ const logger = createLogger('DuplicateResolutionModal');
  *
  * A modal for resolving duplicate files.
  * Presents groups of duplicates and allows the user to select one to keep.
+ * Version chains (groups with kind 'version-chain') default to keeping the
+ * latest version and can archive the older ones instead of deleting them.
+ * Similar photo groups (kind 'similar-images') default to the best pick by
+ * resolution, sharpness and file size.
  */
 export default function DuplicateResolutionModal({
   isOpen,
   onClose,
   duplicateGroups = [], // Array of groups ({ members: [] }) or file arrays
-  onResolve // (resolutions) => Promise<void>  where resolutions is array of { keep: file, delete: [files] }
+  onResolve // (resolutions) => Promise<void>  where resolutions is array of { keep: file, delete: [files], archive: [files] }
 }) {
   // Map of groupIndex -> fileId (or path) to keep
   const [selections, setSelections] = useState({});
+  const [archiveOlderVersions, setArchiveOlderVersions] = useState(true);
   const [isResolving, setIsResolving] = useState(false);
   const [resolveError, setResolveError] = useState(null);
   const { openFile, revealFile } = useFileActions();
@@ -65,6 +71,10 @@ export default function DuplicateResolutionModal({
           const similarity = Number(group?.averageSimilarity);
           return {
             id: group?.id,
+            isVersionChain: group?.kind === 'version-chain',
+            isSimilarImages: group?.kind === 'similar-images',
+            matchType: group?.matchType || null,
+            baseName: group?.baseName || '',
             members: normalizedMembers,
             averageSimilarity: Number.isFinite(similarity)
               ? Math.max(0, Math.min(1, similarity))
@@ -83,7 +93,12 @@ export default function DuplicateResolutionModal({
     if (isOpen && !wasOpen && normalizedGroups.length > 0) {
       const initialSelections = {};
       normalizedGroups.forEach((group, index) => {
-        if (group.members.length > 0) {
+        const preferred =
+          (group.isVersionChain && group.members.find((member) => member.isLatest)) ||
+          (group.isSimilarImages && group.members.find((member) => member.isBestPick));
+        if (preferred) {
+          initialSelections[index] = preferred.path || preferred.id;
+        } else if (group.members.length > 0) {
           // Default to the one with the shortest path (often the "original") or just the first
           // Simple heuristic: prefer shorter path length
           const sorted = [...group.members].sort(
@@ -113,12 +128,14 @@ export default function DuplicateResolutionModal({
         if (!keepId) return;
 
         const keepFile = group.members.find((f) => (f.path || f.id) === keepId);
-        const deleteFiles = group.members.filter((f) => (f.path || f.id) !== keepId);
+        const otherFiles = group.members.filter((f) => (f.path || f.id) !== keepId);
+        const archive = group.isVersionChain && archiveOlderVersions;
 
-        if (keepFile && deleteFiles.length > 0) {
+        if (keepFile && otherFiles.length > 0) {
           resolutions.push({
             keep: keepFile,
-            delete: deleteFiles
+            delete: archive ? [] : otherFiles,
+            archive: archive ? otherFiles : []
           });
         }
       });
@@ -139,6 +156,7 @@ export default function DuplicateResolutionModal({
   const totalSavings = useMemo(() => {
     let bytes = 0;
     normalizedGroups.forEach((group, index) => {
+      if (group.isVersionChain && archiveOlderVersions) return;
       const keepId = selections[index];
       group.members.forEach((file) => {
         if ((file.path || file.id) !== keepId) {
@@ -147,14 +165,20 @@ export default function DuplicateResolutionModal({
       });
     });
     return bytes;
-  }, [normalizedGroups, selections]);
+  }, [normalizedGroups, selections, archiveOlderVersions]);
+
+  const hasVersionChains = normalizedGroups.some((group) => group.isVersionChain);
+  const hasSimilarImages = normalizedGroups.some((group) => group.isSimilarImages);
+  const deletesFiles = normalizedGroups.some(
+    (group) => !group.isVersionChain || !archiveOlderVersions
+  );
 
   return (
     <Modal
       isOpen={isOpen}
       onClose={onClose}
       title="Resolve Duplicates"
-      description={`Found ${normalizedGroups.length} sets of duplicates. Select which version to keep.`}
+      description={`Found ${normalizedGroups.length} sets of duplicates${hasVersionChains ? ' and version chains' : ''}${hasSimilarImages ? ' including similar photos' : ''}. Select which version to keep.`}
       size="xl"
       closeOnOverlayClick={!isResolving}
       closeOnEsc={!isResolving}
@@ -167,18 +191,32 @@ export default function DuplicateResolutionModal({
               {formatBytes(totalSavings)}
             </Text>
           </Text>
+          {hasVersionChains && (
+            <label className="flex items-center gap-2 text-sm text-system-gray-700">
+              <input
+                type="checkbox"
+                checked={archiveOlderVersions}
+                onChange={(e) => setArchiveOlderVersions(e.target.checked)}
+                disabled={isResolving}
+                className="text-stratosort-blue focus:ring-stratosort-blue"
+              />
+              Archive older versions to {VERSIONS_FOLDER_NAME}
+            </label>
+          )}
           <Button variant="secondary" size="sm" onClick={onClose} disabled={isResolving}>
             Cancel
           </Button>
           <Button
-            variant="danger"
+            variant={deletesFiles ? 'danger' : 'primary'}
             size="sm"
             onClick={handleResolve}
             disabled={isResolving || normalizedGroups.length === 0}
             isLoading={isResolving}
-            leftIcon={<Trash2 className="w-4 h-4" />}
+            leftIcon={
+              deletesFiles ? <Trash2 className="w-4 h-4" /> : <Archive className="w-4 h-4" />
+            }
           >
-            Delete Duplicates
+            {deletesFiles ? 'Delete Duplicates' : 'Archive Older Versions'}
           </Button>
         </>
       }
@@ -196,7 +234,11 @@ export default function DuplicateResolutionModal({
           >
             <div className="flex items-center justify-between mb-3">
               <Heading as="h4" variant="h6" className="text-system-gray-700">
-                Duplicate Set {groupIndex + 1}
+                {group.isVersionChain
+                  ? `Version Chain: ${group.baseName || group.members[0]?.name}`
+                  : group.isSimilarImages
+                    ? `${group.matchType === 'identical' ? 'Identical' : 'Similar'} Photos ${groupIndex + 1}`
+                    : `Duplicate Set ${groupIndex + 1}`}
               </Heading>
               <div className="flex items-center gap-2">
                 {Number.isFinite(group.averageSimilarity) && group.averageSimilarity < 1 && (
@@ -209,7 +251,11 @@ export default function DuplicateResolutionModal({
                   </Text>
                 )}
                 <Text variant="small" className="text-system-gray-500">
-                  {group.members.length} files • {formatBytes(group.members[0]?.size || 0)} each
+                  {group.isVersionChain
+                    ? `${group.members.length} versions, newest first`
+                    : group.isSimilarImages
+                      ? `${group.members.length} photos, best first`
+                      : `${group.members.length} files • ${formatBytes(group.members[0]?.size || 0)} each`}
                 </Text>
               </div>
             </div>
@@ -218,6 +264,7 @@ export default function DuplicateResolutionModal({
               {group.members.map((file) => {
                 const path = file.path || file.id;
                 const isKept = selections[groupIndex] === path;
+                const isArchived = group.isVersionChain && archiveOlderVersions;
 
                 return (
                   <div
@@ -266,6 +313,24 @@ export default function DuplicateResolutionModal({
                         >
                           {file.name || safeBasename(path)}
                         </Text>
+                        {file.versionLabel && (
+                          <Text
+                            as="span"
+                            variant="tiny"
+                            className="inline-flex items-center px-1.5 py-0.5 rounded-md font-medium bg-system-gray-100 text-system-gray-600"
+                          >
+                            {file.isLatest ? `${file.versionLabel} • latest` : file.versionLabel}
+                          </Text>
+                        )}
+                        {file.isBestPick && (
+                          <Text
+                            as="span"
+                            variant="tiny"
+                            className="inline-flex items-center px-1.5 py-0.5 rounded-md font-medium bg-emerald-50 text-emerald-700"
+                          >
+                            Best pick
+                          </Text>
+                        )}
                         {isKept && (
                           <Text
                             as="span"
@@ -275,7 +340,16 @@ export default function DuplicateResolutionModal({
                             Keep
                           </Text>
                         )}
-                        {!isKept && (
+                        {!isKept && isArchived && (
+                          <Text
+                            as="span"
+                            variant="tiny"
+                            className="inline-flex items-center px-1.5 py-0.5 rounded-md font-medium bg-amber-50 text-amber-700"
+                          >
+                            Archive
+                          </Text>
+                        )}
+                        {!isKept && !isArchived && (
                           <Text
                             as="span"
                             variant="tiny"
@@ -293,6 +367,11 @@ export default function DuplicateResolutionModal({
                       >
                         {path}
                       </Text>
+                      {group.isSimilarImages && file.width > 0 && file.height > 0 && (
+                        <Text as="div" variant="tiny" className="text-system-gray-500">
+                          {file.width}×{file.height} • {formatBytes(file.size || 0)}
+                        </Text>
+                      )}
                     </div>
 
                     <div className="flex gap-1">
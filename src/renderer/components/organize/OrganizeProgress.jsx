@@ -189,6 +189,22 @@ function OrganizeProgress({
                     >
                       <span className="mr-1">→</span>
                       {formatDisplayPath(op.destination, { redact: redactPaths, segments: 2 })}
+                      {op.matchedRule && (
+                        <span
+                          className="ml-2 shrink-0 rounded bg-stratosort-blue/10 px-1.5 text-stratosort-blue"
+                          title={`Routed by rule "${op.matchedRule.ruleName}" on ${op.matchedRule.folderName}`}
+                        >
+                          Rule: {op.matchedRule.ruleName}
+                        </span>
+                      )}
+                      {op.bundle && (
+                        <span
+                          className="ml-2 shrink-0 rounded bg-system-gray-100 px-1.5 text-system-gray-600"
+                          title={`Moves with ${op.bundle.label} "${op.bundle.name}"`}
+                        >
+                          {op.bundle.label}: {op.bundle.name}
+                        </span>
+                      )}
                     </Text>
                   </div>
                 </div>
@@ -216,7 +232,16 @@ OrganizeProgress.propTypes = {
   preview: PropTypes.arrayOf(
     PropTypes.shape({
       fileName: PropTypes.string,
-      destination: PropTypes.string
+      destination: PropTypes.string,
+      matchedRule: PropTypes.shape({
+        ruleId: PropTypes.string,
+        ruleName: PropTypes.string,
+        folderName: PropTypes.string
+      }),
+      bundle: PropTypes.shape({
+        name: PropTypes.string,
+        label: PropTypes.string
+      })
     })
   )
 };
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Layers } from 'lucide-react';
+import { Text } from '../ui/Typography';
+import { VERSIONS_FOLDER_NAME } from '../../../shared/versionChains';
+
+const COLLAPSED_CHAIN_COUNT = 3;
+
+/**
+ * VersionChainPanel
+ *
+ * Shows version chains (report_v1, report_v2_final, report (3)) among the
+ * files ready to organize, newest version first, with the "keep latest"
+ * toggle that archives older versions to a `_versions` folder next to the
+ * latest one.
+ */
+export default function VersionChainPanel({
+  versionChains = [],
+  keepLatestVersions = false,
+  onKeepLatestChange,
+  disabled = false
+}) {
+  const [showAll, setShowAll] = useState(false);
+  if (versionChains.length === 0) return null;
+
+  const visibleChains = showAll ? versionChains : versionChains.slice(0, COLLAPSED_CHAIN_COUNT);
+  const hiddenCount = versionChains.length - visibleChains.length;
+
+  return (
+    <div className="mb-4 p-3 bg-stratosort-blue/5 border border-stratosort-blue/20 rounded-lg">
+      <div className="flex items-start gap-3">
+        <Layers className="w-5 h-5 text-stratosort-blue flex-shrink-0 mt-0.5" aria-hidden="true" />
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between gap-3">
+            <Text variant="small" className="font-medium text-system-gray-800">
+              {versionChains.length} version chain{versionChains.length !== 1 ? 's' : ''} detected
+            </Text>
+            <label className="flex items-center gap-2 text-sm text-system-gray-700">
+              <input
+                type="checkbox"
+                checked={keepLatestVersions}
+                onChange={(e) => onKeepLatestChange(e.target.checked)}
+                disabled={disabled}
+                className="text-stratosort-blue focus:ring-stratosort-blue"
+              />
+              Keep only the latest version
+            </label>
+          </div>
+          <Text variant="tiny" className="text-system-gray-600 mt-1">
+            {keepLatestVersions
+              ? `Older versions move to a ${VERSIONS_FOLDER_NAME} folder next to the latest one.`
+              : 'Every version is organized like any other file.'}
+          </Text>
+          <ul className="mt-2 space-y-2">
+            {visibleChains.map((chain) => (
+              <li key={chain.id}>
+                <Text as="div" variant="tiny" className="font-medium text-system-gray-700 truncate">
+                  {chain.baseName}
+                </Text>
+                <ul className="mt-0.5 space-y-0.5">
+                  {chain.members.map((member) => (
+                    <li key={member.path} className="flex items-center gap-2">
+                      <Text as="span" variant="tiny" className="truncate text-system-gray-600">
+                        {member.name}
+                      </Text>
+                      <Text
+                        as="span"
+                        variant="tiny"
+                        className={`shrink-0 px-1.5 py-0.5 rounded-md font-medium ${
+                          member.isLatest
+                            ? 'bg-stratosort-blue/10 text-stratosort-blue'
+                            : 'bg-system-gray-100 text-system-gray-600'
+                        }`}
+                      >
+                        {member.isLatest
+                          ? 'Latest'
+                          : keepLatestVersions
+                            ? `→ ${VERSIONS_FOLDER_NAME}`
+                            : member.versionLabel}
+                      </Text>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+          {(hiddenCount > 0 || showAll) && versionChains.length > COLLAPSED_CHAIN_COUNT && (
+            <button
+              type="button"
+              onClick={() => setShowAll((value) => !value)}
+              className="mt-2 text-xs font-medium text-stratosort-blue hover:underline"
+            >
+              {showAll ? 'Show fewer' : `...and ${hiddenCount} more`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+VersionChainPanel.propTypes = {
+  versionChains: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      baseName: PropTypes.string,
+      members: PropTypes.arrayOf(
+        PropTypes.shape({
+          path: PropTypes.string.isRequired,
+          name: PropTypes.string,
+          versionLabel: PropTypes.string,
+          isLatest: PropTypes.bool
+        })
+      ).isRequired
+    })
+  ),
+  keepLatestVersions: PropTypes.bool,
+  onKeepLatestChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
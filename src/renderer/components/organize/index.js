@@ -10,3 +10,4 @@ export { default as FolderImprovementSuggestions } from './FolderImprovementSugg
 export { default as SmartOrganizer } from './SmartOrganizer';
 export { default as VirtualizedFileGrid } from './VirtualizedFileGrid';
 export { default as VirtualizedProcessedFiles } from './VirtualizedProcessedFiles';
+export { default as VersionChainPanel } from './VersionChainPanel';
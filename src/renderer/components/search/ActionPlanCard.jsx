@@ -0,0 +1,323 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { ArrowRight, FolderPlus, ListChecks, Package, Tag } from 'lucide-react';
+import { AlertBox, Button } from '../ui';
+import { Text } from '../ui/Typography';
+import { formatDisplayPath } from '../../utils/pathDisplay';
+import { selectRedactPaths } from '../../store/selectors';
+
+const INITIAL_ROWS = 50;
+
+const baseName = (filePath) =>
+  String(filePath || '')
+    .split(/[\\/]/)
+    .pop();
+const dirName = (filePath) => String(filePath || '').replace(/[\\/][^\\/]*$/, '');
+
+function describeStep(step) {
+  switch (step.action) {
+    case 'create_smart_folder':
+      return `Create smart folder "${step.name}"`;
+    case 'move':
+      return `Move into ${step.folder}${step.subpath ? `/${step.subpath}` : ''}`;
+    case 'rename':
+      return `Rename using ${step.template}`;
+    case 'tag':
+      return `Tag with ${step.tags.join(', ')}`;
+    default:
+      return step.action;
+  }
+}
+
+function summarizeResult(result) {
+  const parts = [];
+  if (result.moved) parts.push(`${result.moved} moved`);
+  if (result.tagged) parts.push(`${result.tagged} tagged`);
+  if (result.smartFoldersCreated) {
+    parts.push(
+      `${result.smartFoldersCreated} smart folder${result.smartFoldersCreated === 1 ? '' : 's'} created`
+    );
+  }
+  if (result.failed) parts.push(`${result.failed} failed`);
+  return `Done: ${parts.join(', ') || 'nothing changed'}. Use Undo to revert the whole plan.`;
+}
+
+function describeBundle(bundle) {
+  if (!bundle.partial) return `${bundle.name} (${bundle.label}) moves as one unit`;
+  const total = bundle.fileCount ?? 'many';
+  return `Move all of ${bundle.name} (${bundle.label}): ${bundle.members.length} of ${total} files are in this plan`;
+}
+
+/**
+ * Reviewable diff of a file action plan proposed in chat. Nothing runs until
+ * the user confirms; unticked files are left out, and a project folder that
+ * holds files outside the plan only moves whole when ticked.
+ */
+export default function ActionPlanCard({ plan }) {
+  const redactPaths = useSelector(selectRedactPaths);
+  const [status, setStatus] = useState('review');
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [confirmedBundles, setConfirmedBundles] = useState(() => new Set());
+  const [showAll, setShowAll] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const changes = Array.isArray(plan?.changes) ? plan.changes : [];
+  const folders = Array.isArray(plan?.folders) ? plan.folders : [];
+  const steps = Array.isArray(plan?.steps) ? plan.steps : [];
+  const bundles = Array.isArray(plan?.bundles) ? plan.bundles : [];
+  const warnings = Array.isArray(plan?.warnings) ? plan.warnings : [];
+  const visible = showAll ? changes : changes.slice(0, INITIAL_ROWS);
+  const selectedCount = changes.length - excluded.size;
+  const isReview = status === 'review' || status === 'failed';
+
+  const toggle = (filePath) => {
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(filePath)) next.delete(filePath);
+      else next.add(filePath);
+      return next;
+    });
+  };
+
+  const toggleBundle = (root) => {
+    setConfirmedBundles((prev) => {
+      const next = new Set(prev);
+      if (next.has(root)) next.delete(root);
+      else next.add(root);
+      return next;
+    });
+  };
+
+  const handleConfirm = async () => {
+    setStatus('running');
+    setError('');
+    try {
+      const response = await window.electronAPI.chat.executePlan(plan.id, {
+        excludePaths: Array.from(excluded),
+        confirmedBundles: Array.from(confirmedBundles)
+      });
+      if (response?.success) {
+        setResult(response);
+        setStatus('done');
+      } else {
+        setError(response?.error || 'The plan could not be run.');
+        setStatus('failed');
+      }
+    } catch (err) {
+      setError(err?.message || 'The plan could not be run.');
+      setStatus('failed');
+    }
+  };
+
+  const handleCancel = () => {
+    setStatus('discarded');
+    window.electronAPI?.chat?.discardPlan?.(plan.id)?.catch?.(() => {
+      // The plan expires on its own
+    });
+  };
+
+  return (
+    <div className="border border-stratosort-blue/30 rounded-lg p-3 bg-stratosort-blue/5 space-y-3">
+      <div className="flex items-center gap-2">
+        <ListChecks className="w-4 h-4 text-stratosort-blue" />
+        <Text
+          as="span"
+          variant="tiny"
+          className="font-semibold text-system-gray-500 uppercase tracking-wide"
+        >
+          Proposed changes ({changes.length})
+        </Text>
+      </div>
+
+      {steps.length > 0 && (
+        <ol className="list-decimal pl-5 space-y-0.5">
+          {steps.map((step, i) => (
+            <li key={`${step.action}-${i}`}>
+              <Text as="span" variant="tiny" className="text-system-gray-700">
+                {describeStep(step)}
+              </Text>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {folders.map((folder) => (
+        <div key={folder.path} className="flex items-center gap-2">
+          <FolderPlus className="w-3.5 h-3.5 text-stratosort-success shrink-0" />
+          <Text as="span" variant="tiny" className="text-system-gray-700 truncate">
+            New smart folder {folder.name} (
+            {formatDisplayPath(folder.path, { redact: redactPaths, segments: 2 })})
+          </Text>
+        </div>
+      ))}
+
+      {bundles.length > 0 && (
+        <ul className="space-y-1" aria-label="Project folders in this plan">
+          {bundles.map((bundle) => (
+            <li
+              key={bundle.root}
+              className="flex items-start gap-2 rounded-md bg-white border border-system-gray-200 px-2 py-1"
+            >
+              {bundle.partial ? (
+                <input
+                  type="checkbox"
+                  className="mt-0.5"
+                  checked={confirmedBundles.has(bundle.root)}
+                  disabled={!isReview}
+                  onChange={() => toggleBundle(bundle.root)}
+                  aria-label={`Move all of ${bundle.name}`}
+                />
+              ) : (
+                <Package className="w-3.5 h-3.5 mt-0.5 text-stratosort-blue shrink-0" />
+              )}
+              <div className="min-w-0 flex-1">
+                <Text as="span" variant="tiny" className="font-medium text-system-gray-800">
+                  {describeBundle(bundle)}
+                </Text>
+                {bundle.destination && (
+                  <Text as="div" variant="tiny" className="text-system-gray-500 truncate">
+                    {formatDisplayPath(bundle.root, { redact: redactPaths, segments: 2 })} →{' '}
+                    {formatDisplayPath(bundle.destination, { redact: redactPaths, segments: 2 })}
+                  </Text>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {changes.length > 0 && (
+        <ul className="space-y-1 max-h-72 overflow-y-auto" aria-label="Files in this plan">
+          {visible.map((change) => (
+            <li
+              key={change.path}
+              className="flex items-start gap-2 rounded-md bg-white border border-system-gray-200 px-2 py-1"
+            >
+              <input
+                type="checkbox"
+                className="mt-0.5"
+                checked={!excluded.has(change.path)}
+                disabled={!isReview}
+                onChange={() => toggle(change.path)}
+                aria-label={`Include ${change.name}`}
+              />
+              <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-1.5 flex-wrap">
+                  <Text as="span" variant="tiny" className="font-medium text-system-gray-800">
+                    {change.name}
+                  </Text>
+                  {change.newPath && (
+                    <>
+                      <ArrowRight className="w-3 h-3 text-system-gray-400 shrink-0" />
+                      <Text as="span" variant="tiny" className="font-medium text-stratosort-blue">
+                        {baseName(change.newPath)}
+                      </Text>
+                    </>
+                  )}
+                </div>
+                {change.newPath && dirName(change.newPath) !== dirName(change.path) && (
+                  <Text as="div" variant="tiny" className="text-system-gray-500 truncate">
+                    {formatDisplayPath(dirName(change.path), { redact: redactPaths, segments: 2 })}{' '}
+                    →{' '}
+                    {formatDisplayPath(dirName(change.newPath), {
+                      redact: redactPaths,
+                      segments: 2
+                    })}
+                  </Text>
+                )}
+                {change.addTags?.length > 0 && (
+                  <div className="flex items-center gap-1 flex-wrap mt-0.5">
+                    <Tag className="w-3 h-3 text-system-gray-400" />
+                    {change.addTags.map((tag) => (
+                      <span
+                        key={tag}
+                        className="inline-block px-1.5 py-0.5 text-xs font-medium bg-stratosort-blue/10 text-stratosort-blue rounded-md"
+                      >
+                        +{tag}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {!showAll && changes.length > INITIAL_ROWS && (
+        <Button variant="ghost" size="xs" onClick={() => setShowAll(true)}>
+          Show {changes.length - INITIAL_ROWS} more
+        </Button>
+      )}
+
+      {warnings.map((warning) => (
+        <AlertBox key={warning} variant="warning">
+          {warning}
+        </AlertBox>
+      ))}
+      {error && <AlertBox variant="danger">{error}</AlertBox>}
+
+      {isReview || status === 'running' ? (
+        <div className="flex items-center gap-2">
+          <Button
+            variant="primary"
+            size="sm"
+            onClick={handleConfirm}
+            disabled={status === 'running' || (changes.length > 0 && selectedCount === 0)}
+          >
+            {status === 'running' ? 'Running...' : 'Confirm and run'}
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={handleCancel}
+            disabled={status === 'running'}
+          >
+            Cancel
+          </Button>
+          {changes.length > 0 && (
+            <Text as="span" variant="tiny" className="text-system-gray-500 ml-auto">
+              {selectedCount} of {changes.length} selected
+            </Text>
+          )}
+        </div>
+      ) : status === 'done' ? (
+        <AlertBox variant="success">{summarizeResult(result)}</AlertBox>
+      ) : (
+        <Text as="p" variant="tiny" className="text-system-gray-500">
+          Plan canceled. Nothing was changed.
+        </Text>
+      )}
+    </div>
+  );
+}
+
+ActionPlanCard.propTypes = {
+  plan: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    summary: PropTypes.string,
+    steps: PropTypes.arrayOf(PropTypes.object),
+    folders: PropTypes.arrayOf(PropTypes.object),
+    changes: PropTypes.arrayOf(
+      PropTypes.shape({
+        path: PropTypes.string.isRequired,
+        name: PropTypes.string,
+        newPath: PropTypes.string,
+        addTags: PropTypes.arrayOf(PropTypes.string)
+      })
+    ),
+    bundles: PropTypes.arrayOf(
+      PropTypes.shape({
+        root: PropTypes.string.isRequired,
+        name: PropTypes.string,
+        label: PropTypes.string,
+        destination: PropTypes.string,
+        members: PropTypes.arrayOf(PropTypes.string),
+        fileCount: PropTypes.number,
+        partial: PropTypes.bool
+      })
+    ),
+    warnings: PropTypes.arrayOf(PropTypes.string)
+  }).isRequired
+};
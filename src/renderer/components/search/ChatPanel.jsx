@@ -26,6 +26,8 @@ import CitationRenderer from './CitationRenderer';
 import ContradictionCard from './ContradictionCard';
 import ComparisonTable from './ComparisonTable';
 import GapAnalysisCard from './GapAnalysisCard';
+import ActionPlanCard from './ActionPlanCard';
+import ResearchTrace from './ResearchTrace';
 
 function normalizeImageSource(value) {
   if (typeof value !== 'string') return '';
@@ -638,6 +640,7 @@ export default function ChatPanel({
                               <CitationRenderer
                                 text={item.text}
                                 sources={message.sources}
+                                citations={item.citations}
                                 onOpenSource={onOpenSource}
                               />
                             </div>
@@ -668,6 +671,11 @@ export default function ChatPanel({
                         </>
                       )}
                     </div>
+                    {/* Searches and link hops behind a deep-mode answer */}
+                    {Array.isArray(message.meta?.researchTrace) &&
+                      message.meta.researchTrace.length > 0 && (
+                        <ResearchTrace steps={message.meta.researchTrace} />
+                      )}
                     {/* Contradiction detection */}
                     {Array.isArray(message.meta?.contradictions) &&
                       message.meta.contradictions.length > 0 && (
@@ -685,6 +693,10 @@ export default function ChatPanel({
                         onOpenSource={onOpenSource}
                       />
                     )}
+                    {/* File action plan awaiting confirmation */}
+                    {message.meta?.actionPlan?.id && (
+                      <ActionPlanCard plan={message.meta.actionPlan} />
+                    )}
                     {/* Gap analysis for gap queries */}
                     {message.meta?.gapAnalysisIntent && hasSources && (
                       <GapAnalysisCard sources={message.sources} onSend={handleQuickSend} />
@@ -107,6 +107,15 @@ export default function CitationPreview({ source, onOpen, style }) {
         </Text>
       )}
 
+      {/* Deep research: how the source was found */}
+      {(source.via === 'link' || source.foundFor?.length > 0) && (
+        <Text as="div" variant="tiny" className="mb-2 text-system-gray-500">
+          {source.via === 'link'
+            ? 'Found by following a related document'
+            : `Found for "${source.foundFor.join('", "')}"`}
+        </Text>
+      )}
+
       {/* Entities + tags chips */}
       {(entities.length > 0 || tags.length > 0) && (
         <div className="mb-2.5 flex flex-wrap gap-1">
@@ -162,7 +171,9 @@ CitationPreview.propTypes = {
     documentType: PropTypes.string,
     category: PropTypes.string,
     tags: PropTypes.oneOfType([PropTypes.arrayOf(PropTypes.string), PropTypes.string]),
-    entities: PropTypes.oneOfType([PropTypes.arrayOf(PropTypes.string), PropTypes.string])
+    entities: PropTypes.oneOfType([PropTypes.arrayOf(PropTypes.string), PropTypes.string]),
+    foundFor: PropTypes.arrayOf(PropTypes.string),
+    via: PropTypes.string
   }),
   onOpen: PropTypes.func.isRequired,
   style: PropTypes.object
@@ -37,7 +37,12 @@ function clampPreviewPosition(rect) {
   return { top, left, flipBelow };
 }
 
-export default function CitationRenderer({ text, sources, onOpenSource }) {
+/**
+ * Answer text with its [doc-N] markers turned into citation badges. A claim's
+ * `citations` that the text does not mark inline are appended after it, so
+ * every source backing the claim gets a badge.
+ */
+export default function CitationRenderer({ text, sources, citations, onOpenSource }) {
   const [hoveredCitation, setHoveredCitation] = useState(null);
   const [previewPos, setPreviewPos] = useState({ top: 0, left: 0, flipBelow: false });
   const timeoutRef = useRef(null);
@@ -73,41 +78,46 @@ export default function CitationRenderer({ text, sources, onOpenSource }) {
   if (!text) return null;
 
   const parts = text.split(CITATION_SPLIT_RE);
+  const trailingCitations = Array.from(new Set(Array.isArray(citations) ? citations : [])).filter(
+    (docId) => !text.includes(`[${docId}]`)
+  );
+
+  const renderBadge = (docId, key) => {
+    const source = sourceById.get(docId);
+
+    // If source not found (hallucination), don't render badge
+    if (!source) return null;
+
+    const docNum = docId.replace('doc-', '');
+
+    return (
+      <Button
+        key={key}
+        variant="ghost"
+        size="xs"
+        className="align-super font-bold text-stratosort-blue bg-stratosort-blue/10 hover:bg-stratosort-blue hover:text-white rounded-md px-1 min-w-[16px] h-4 mx-0.5 select-none"
+        onClick={(e) => {
+          e.stopPropagation();
+          onOpenSource?.(source);
+        }}
+        onMouseEnter={(e) => handleMouseEnter(e, docId)}
+        onMouseLeave={handleMouseLeave}
+        aria-label={`Citation ${docNum}: ${source.name || 'document'}`}
+      >
+        {docNum}
+      </Button>
+    );
+  };
 
   return (
     <>
       <span>
         {parts.map((part, i) => {
           const match = part.match(CITATION_MATCH_RE);
-          if (match) {
-            const docId = match[1];
-            const source = sourceById.get(docId);
-
-            // If source not found (hallucination), don't render badge
-            if (!source) return null;
-
-            const docNum = docId.replace('doc-', '');
-
-            return (
-              <Button
-                key={i}
-                variant="ghost"
-                size="xs"
-                className="align-super font-bold text-stratosort-blue bg-stratosort-blue/10 hover:bg-stratosort-blue hover:text-white rounded-md px-1 min-w-[16px] h-4 mx-0.5 select-none"
-                onClick={(e) => {
-                  e.stopPropagation();
-                  onOpenSource?.(source);
-                }}
-                onMouseEnter={(e) => handleMouseEnter(e, docId)}
-                onMouseLeave={handleMouseLeave}
-                aria-label={`Citation ${docNum}: ${source.name || 'document'}`}
-              >
-                {docNum}
-              </Button>
-            );
-          }
+          if (match) return renderBadge(match[1], i);
           return <span key={i}>{part}</span>;
         })}
+        {trailingCitations.map((docId) => renderBadge(docId, `cited-${docId}`))}
       </span>
 
       {hoveredCitation &&
@@ -134,5 +144,6 @@ export default function CitationRenderer({ text, sources, onOpenSource }) {
 CitationRenderer.propTypes = {
   text: PropTypes.string,
   sources: PropTypes.array,
+  citations: PropTypes.arrayOf(PropTypes.string),
   onOpenSource: PropTypes.func.isRequired
 };
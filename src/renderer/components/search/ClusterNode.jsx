@@ -14,6 +14,7 @@ import {
   FolderInput,
   Download,
   ExternalLink,
+  FileText,
   Pencil,
   Search,
   Sparkles,
@@ -55,7 +56,8 @@ const ClusterNode = memo(({ data, selected }) => {
     onOpenAllFiles,
     onSearchWithinCluster,
     onRenameCluster,
-    onTagCluster
+    onTagCluster,
+    onWriteReport
   } = data || {};
 
   const handleExpandClick = useCallback(
@@ -207,6 +209,17 @@ const ClusterNode = memo(({ data, selected }) => {
               icon={<Tag className="w-4 h-4 text-stratosort-purple" />}
             ></IconButton>
           )}
+          {onWriteReport && (
+            <IconButton
+              onClick={() => handleMenuAction(onWriteReport)}
+              size="sm"
+              variant="ghost"
+              className="h-7 w-7 text-system-gray-700 hover:bg-stratosort-warning/10"
+              title="Write Report"
+              aria-label="Write Report"
+              icon={<FileText className="w-4 h-4 text-stratosort-indigo" />}
+            ></IconButton>
+          )}
           {onRenameCluster && (
             <IconButton
               onClick={handleStartEditLabel}
@@ -340,7 +353,8 @@ ClusterNode.propTypes = {
     onOpenAllFiles: PropTypes.func,
     onSearchWithinCluster: PropTypes.func,
     onRenameCluster: PropTypes.func,
-    onTagCluster: PropTypes.func
+    onTagCluster: PropTypes.func,
+    onWriteReport: PropTypes.func
   }),
   selected: PropTypes.bool
 };
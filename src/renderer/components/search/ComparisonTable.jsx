@@ -4,51 +4,7 @@ import { Columns, ExternalLink } from 'lucide-react';
 import { Button } from '../ui';
 import { Text } from '../ui/Typography';
 import CitationRenderer from './CitationRenderer';
-
-/**
- * FIX BUG-006: Extract only the sentences that cite a specific document.
- */
-function extractSegmentsForDoc(text, docId) {
-  if (!text || !docId) return text || '';
-  const sentences = text.split(/(?<=[.!?])\s+/);
-  const marker = `[${docId}]`;
-  const matching = sentences.filter((s) => s.includes(marker));
-  return matching.length > 0 ? matching.join(' ') : text;
-}
-
-/**
- * Extracts a simple comparison structure from documentAnswer items.
- * Each item represents one comparison dimension/topic.
- * The LLM is prompted to structure comparison answers per-topic.
- */
-function parseComparisonData(documentAnswer, sources) {
-  if (!Array.isArray(documentAnswer) || documentAnswer.length === 0) return null;
-
-  // Each documentAnswer item is treated as a comparison row (one topic/dimension).
-  // We extract cited documents per row to build the column set.
-  const allDocIds = new Set();
-  const rows = documentAnswer.map((item, i) => {
-    const citations = item.citations || [];
-    citations.forEach((c) => allDocIds.add(c));
-    return {
-      topic: `Point ${i + 1}`,
-      text: item.text || '',
-      citations
-    };
-  });
-
-  // Columns are the unique documents cited across all rows
-  const columns = [...allDocIds].map((docId) => {
-    const source = (sources || []).find((s) => s.id === docId);
-    return {
-      id: docId,
-      name: source?.name || docId,
-      source
-    };
-  });
-
-  return { rows, columns };
-}
+import { parseComparisonData, extractSegmentsForDoc } from '../../../shared/comparisonData';
 
 export default function ComparisonTable({ documentAnswer, sources, onOpenSource }) {
   const comparison = useMemo(
@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import { AlertTriangle, ExternalLink } from 'lucide-react';
 import { Button } from '../ui';
 import { Text } from '../ui/Typography';
+import { CONTRADICTION_REASON_LABELS } from '../../../shared/contradictions';
 
 function ContradictionPair({ contradiction, onOpenSource, sources }) {
   const { docA, docB, sharedTopics, reason } = contradiction || {};
@@ -15,9 +16,7 @@ function ContradictionPair({ contradiction, onOpenSource, sources }) {
   const sourceB = safeDocB.id ? (sources || []).find((s) => s.id === safeDocB.id) : null;
 
   const reasonLabel =
-    reason === 'different_dates'
-      ? 'Different dates on same topic'
-      : 'Different entities, shared topic';
+    CONTRADICTION_REASON_LABELS[reason] || CONTRADICTION_REASON_LABELS.different_entities;
 
   return (
     <div className="border border-stratosort-warning/30 rounded-lg p-3 bg-stratosort-warning/5 shadow-sm">
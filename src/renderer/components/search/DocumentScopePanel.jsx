@@ -56,6 +56,7 @@ export default function DocumentScopePanel({
   onAddToScope,
   onRemoveFromScope,
   onClearScope,
+  onWriteReport,
   onClose,
   className = ''
 }) {
@@ -162,7 +163,17 @@ export default function DocumentScopePanel({
           </div>
         ) : (
           <div className="space-y-2">
-            <div className="flex justify-end mb-2">
+            <div className="flex justify-end gap-1 mb-2">
+              {onWriteReport && (
+                <Button
+                  variant="ghost"
+                  size="xs"
+                  onClick={onWriteReport}
+                  title="Write a report over these documents"
+                >
+                  <FileText className="w-3 h-3 mr-1" /> Report
+                </Button>
+              )}
               <Button variant="ghost" size="xs" onClick={handleAddClick}>
                 <Plus className="w-3 h-3 mr-1" /> Add More
               </Button>
@@ -182,5 +193,6 @@ DocumentScopePanel.propTypes = {
   onAddToScope: PropTypes.func.isRequired,
   onRemoveFromScope: PropTypes.func.isRequired,
   onClearScope: PropTypes.func.isRequired,
+  onWriteReport: PropTypes.func,
   className: PropTypes.string
 };
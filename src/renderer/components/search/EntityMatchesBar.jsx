@@ -0,0 +1,97 @@
+/**
+ * EntityMatchesBar - People and organizations matching the search query
+ *
+ * Looks the current query up in the entity index and shows matching entities
+ * as chips above the search results. Selecting a chip opens its entity page.
+ */
+
+import React, { useState, useEffect, memo } from 'react';
+import PropTypes from 'prop-types';
+import { Text } from '../ui/Typography';
+import { createLogger } from '../../../shared/logger';
+import { ENTITY_TYPE_ICONS } from './EntityPanel';
+
+const logger = createLogger('EntityMatchesBar');
+
+const LOOKUP_DELAY_MS = 250;
+const MAX_MATCHES = 6;
+
+const EntityMatchesBar = memo(function EntityMatchesBar({
+  query,
+  activeEntityId = null,
+  onSelect,
+  className = ''
+}) {
+  const [entities, setEntities] = useState([]);
+  const trimmedQuery = (query || '').trim();
+
+  useEffect(() => {
+    if (trimmedQuery.length < 2 || !window.electronAPI?.knowledge?.listEntities) {
+      setEntities([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await window.electronAPI.knowledge.listEntities({
+          query: trimmedQuery,
+          limit: MAX_MATCHES
+        });
+        if (!cancelled && response?.success && Array.isArray(response.entities)) {
+          setEntities(response.entities);
+        }
+      } catch (error) {
+        logger.warn('Failed to look up entities', { error: error?.message });
+      }
+    }, LOOKUP_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmedQuery]);
+
+  if (entities.length === 0) return null;
+
+  return (
+    <div
+      className={`flex flex-wrap items-center gap-2 ${className}`.trim()}
+      aria-label="Matching people and organizations"
+    >
+      {entities.map((entity) => {
+        const Icon = ENTITY_TYPE_ICONS[entity.type] || ENTITY_TYPE_ICONS.other;
+        const isActive = entity.id === activeEntityId;
+        return (
+          <button
+            key={entity.id}
+            type="button"
+            title={[entity.typeLabel, ...(entity.aliases || [])].join(' · ')}
+            aria-pressed={isActive}
+            onClick={() => onSelect?.(isActive ? null : entity)}
+            className={`flex items-center gap-1.5 px-3 py-1 rounded-full border transition-colors ${
+              isActive
+                ? 'border-stratosort-purple bg-stratosort-purple/10 text-stratosort-purple'
+                : 'border-system-gray-200 bg-white text-system-gray-700 hover:border-stratosort-purple/50'
+            }`}
+          >
+            <Icon className="w-3.5 h-3.5 shrink-0 text-stratosort-purple" />
+            <Text as="span" variant="tiny" className="max-w-[12rem] truncate font-medium">
+              {entity.name}
+            </Text>
+            <Text as="span" variant="tiny" className="text-system-gray-400">
+              {entity.docCount}
+            </Text>
+          </button>
+        );
+      })}
+    </div>
+  );
+});
+
+EntityMatchesBar.propTypes = {
+  query: PropTypes.string,
+  activeEntityId: PropTypes.string,
+  onSelect: PropTypes.func,
+  className: PropTypes.string
+};
+
+export default EntityMatchesBar;
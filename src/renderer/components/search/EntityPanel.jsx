@@ -0,0 +1,247 @@
+/**
+ * EntityPanel - Entity page for a person, organization, place or product
+ *
+ * Shows an entity from the main-process entity index: its type and the
+ * spellings merged into it, its documents over time (grouped by month),
+ * the entities it appears with most and the projects it shows up in.
+ */
+
+import React, { useState, useEffect, useMemo, memo } from 'react';
+import PropTypes from 'prop-types';
+import { Building2, FolderOpen, MapPin, Network, Package, Tag, User, X } from 'lucide-react';
+import { Button, IconButton, StateMessage } from '../ui';
+import { Text } from '../ui/Typography';
+import { createLogger } from '../../../shared/logger';
+
+const logger = createLogger('EntityPanel');
+
+export const ENTITY_TYPE_ICONS = {
+  person: User,
+  org: Building2,
+  place: MapPin,
+  product: Package,
+  other: Tag
+};
+
+const formatMonth = (monthKey) => {
+  if (!monthKey) return 'Undated';
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(undefined, {
+    month: 'long',
+    year: 'numeric'
+  });
+};
+
+// Documents arrive newest first; keep that order within and across months
+const groupByMonth = (documents) => {
+  const groups = [];
+  documents.forEach((doc) => {
+    const monthKey = doc.date ? doc.date.slice(0, 7) : null;
+    const last = groups[groups.length - 1];
+    if (last && last.monthKey === monthKey) {
+      last.documents.push(doc);
+    } else {
+      groups.push({ monthKey, documents: [doc] });
+    }
+  });
+  return groups;
+};
+
+const EntityPanel = memo(function EntityPanel({
+  entityId,
+  onClose,
+  onSelectEntity,
+  onSearchProject,
+  onOpenFile,
+  onRevealFile,
+  onShowInGraph,
+  className = ''
+}) {
+  const [entity, setEntity] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    (async () => {
+      try {
+        const response = await window.electronAPI?.knowledge?.getEntity?.(entityId);
+        if (cancelled) return;
+        if (response?.success) {
+          setEntity(response.entity);
+        } else {
+          setEntity(null);
+          setError(response?.error || 'Entity not found');
+        }
+      } catch (err) {
+        logger.warn('Failed to load entity', { error: err?.message });
+        if (!cancelled) setError(err?.message || 'Failed to load entity');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [entityId]);
+
+  const timeline = useMemo(() => groupByMonth(entity?.documents || []), [entity]);
+  const Icon = ENTITY_TYPE_ICONS[entity?.type] || ENTITY_TYPE_ICONS.other;
+
+  return (
+    <section
+      className={`flex flex-col gap-3 rounded-xl border border-stratosort-purple/30 bg-white p-4 ${className}`.trim()}
+      aria-label={entity ? `Entity page for ${entity.name}` : 'Entity page'}
+    >
+      <div className="flex items-start gap-3">
+        <Icon className="h-5 w-5 text-stratosort-purple shrink-0 mt-0.5" />
+        <div className="min-w-0 flex-1">
+          <Text as="div" variant="body" className="font-semibold text-system-gray-900 truncate">
+            {entity?.name || (isLoading ? 'Loading…' : 'Entity')}
+          </Text>
+          {entity && (
+            <Text as="div" variant="tiny" className="text-system-gray-500">
+              {entity.typeLabel} · {entity.docCount}{' '}
+              {entity.docCount === 1 ? 'document' : 'documents'}
+              {entity.firstDate && entity.lastDate && entity.firstDate !== entity.lastDate
+                ? ` · ${entity.firstDate} – ${entity.lastDate}`
+                : ''}
+            </Text>
+          )}
+          {entity?.aliases?.length > 0 && (
+            <Text as="div" variant="tiny" className="text-system-gray-400 truncate">
+              Also written as {entity.aliases.join(', ')}
+            </Text>
+          )}
+        </div>
+        {entity && onShowInGraph && (
+          <Button variant="secondary" size="sm" onClick={() => onShowInGraph(entity)}>
+            <Network className="h-3.5 w-3.5" />
+            <span>Show in Graph</span>
+          </Button>
+        )}
+        <IconButton
+          icon={<X className="h-4 w-4" />}
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+          aria-label="Close entity page"
+        />
+      </div>
+
+      {error && !isLoading && <StateMessage tone="error" title={error} size="sm" align="left" />}
+
+      {entity && (
+        <div className="grid grid-cols-1 lg:grid-cols-[1fr_240px] gap-4 max-h-[40vh] overflow-hidden">
+          <ol className="flex flex-col gap-3 overflow-y-auto pr-1" aria-label="Documents over time">
+            {timeline.map((group) => (
+              <li key={group.monthKey || 'undated'}>
+                <Text
+                  as="div"
+                  variant="tiny"
+                  className="font-semibold uppercase tracking-wider text-system-gray-500 mb-1"
+                >
+                  {formatMonth(group.monthKey)}
+                </Text>
+                <ul className="flex flex-col gap-1 border-l-2 border-stratosort-purple/20 pl-3">
+                  {group.documents.map((doc) => (
+                    <li key={doc.fileId} className="flex items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => onOpenFile?.(doc.path)}
+                        className="min-w-0 flex-1 text-left hover:text-stratosort-blue"
+                        title={doc.path}
+                      >
+                        <Text as="div" variant="small" className="truncate font-medium">
+                          {doc.name}
+                        </Text>
+                        <Text as="div" variant="tiny" className="truncate text-system-gray-500">
+                          {[doc.date, doc.category, doc.subject].filter(Boolean).join(' · ')}
+                        </Text>
+                      </button>
+                      {onRevealFile && (
+                        <IconButton
+                          icon={<FolderOpen className="h-3.5 w-3.5" />}
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => onRevealFile(doc.path)}
+                          aria-label={`Show ${doc.name} in folder`}
+                        />
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ol>
+
+          <div className="flex flex-col gap-3 overflow-y-auto">
+            {entity.relatedEntities?.length > 0 && (
+              <div>
+                <Text as="div" variant="tiny" className="font-semibold text-system-gray-500 mb-1">
+                  Appears with
+                </Text>
+                <div className="flex flex-wrap gap-1.5">
+                  {entity.relatedEntities.map((related) => {
+                    const RelatedIcon = ENTITY_TYPE_ICONS[related.type] || ENTITY_TYPE_ICONS.other;
+                    return (
+                      <button
+                        key={related.id}
+                        type="button"
+                        onClick={() => onSelectEntity?.(related.id)}
+                        title={`${related.typeLabel} · ${related.count} shared`}
+                        className="flex items-center gap-1 rounded-full border border-system-gray-200 px-2 py-0.5 hover:border-stratosort-purple/50"
+                      >
+                        <RelatedIcon className="h-3 w-3 text-stratosort-purple" />
+                        <Text as="span" variant="tiny" className="max-w-[10rem] truncate">
+                          {related.name}
+                        </Text>
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+            {entity.projects?.length > 0 && (
+              <div>
+                <Text as="div" variant="tiny" className="font-semibold text-system-gray-500 mb-1">
+                  Projects
+                </Text>
+                <div className="flex flex-wrap gap-1.5">
+                  {entity.projects.map((project) => (
+                    <button
+                      key={project.name}
+                      type="button"
+                      onClick={() => onSearchProject?.(project.name)}
+                      title={`Search for ${project.name}`}
+                      className="rounded-full bg-system-gray-100 px-2 py-0.5 hover:bg-system-gray-200"
+                    >
+                      <Text as="span" variant="tiny">
+                        {project.name} ({project.count})
+                      </Text>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+});
+
+EntityPanel.propTypes = {
+  entityId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSelectEntity: PropTypes.func,
+  onSearchProject: PropTypes.func,
+  onOpenFile: PropTypes.func,
+  onRevealFile: PropTypes.func,
+  onShowInGraph: PropTypes.func,
+  className: PropTypes.string
+};
+
+export default EntityPanel;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FileText, FolderOpen, ExternalLink } from 'lucide-react';
+import Modal from '../ui/Modal';
+import Button from '../ui/Button';
+import { Input, Textarea } from '../ui';
+import { Text } from '../ui/Typography';
+import { useFileActions } from '../../hooks/useFileActions';
+import { safeBasename } from '../../utils/pathUtils';
+import { createLogger } from '../../../shared/logger';
+
+const logger = createLogger('ReportDialog');
+
+const FORMATS = [
+  { id: 'markdown', label: 'Markdown' },
+  { id: 'html', label: 'HTML' },
+  { id: 'docx', label: 'Word' },
+  { id: 'pdf', label: 'PDF' }
+];
+
+function describeScope(scope) {
+  if (!scope) return '';
+  const count = Array.isArray(scope.items) ? scope.items.length : 0;
+  const documents = `${count} document${count === 1 ? '' : 's'}`;
+  if (scope.type === 'cluster') {
+    return scope.label ? `Cluster "${scope.label}" (${documents})` : `Cluster (${documents})`;
+  }
+  if (scope.type === 'search') {
+    return scope.query ? `Search "${scope.query}" (${documents})` : `Search results (${documents})`;
+  }
+  return `Selection (${documents})`;
+}
+
+/**
+ * ReportDialog
+ *
+ * Writes a report over a selection, cluster or search result set and saves
+ * it to a chosen folder. The saved report is analyzed and indexed like any
+ * other document.
+ */
+export default function ReportDialog({ isOpen, onClose, scope }) {
+  const [title, setTitle] = useState('');
+  const [focus, setFocus] = useState('');
+  const [format, setFormat] = useState('markdown');
+  const [outputDir, setOutputDir] = useState('');
+  const [isWriting, setIsWriting] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const { openFile, revealFile } = useFileActions(setError);
+
+  // Each scope starts a fresh report; the folder is kept between reports
+  useEffect(() => {
+    if (isOpen) {
+      setTitle('');
+      setFocus('');
+      setError('');
+      setResult(null);
+    }
+  }, [isOpen, scope]);
+
+  const handleBrowse = async () => {
+    try {
+      if (!window.electronAPI?.files?.selectDirectory) return;
+      const res = await window.electronAPI.files.selectDirectory();
+      if (res?.success && res.path) {
+        setOutputDir(res.path);
+      }
+    } catch {
+      // Ignore
+    }
+  };
+
+  const handleWrite = async () => {
+    if (!scope || !outputDir) return;
+    setIsWriting(true);
+    setError('');
+    try {
+      const response = await window.electronAPI.chat.writeReport({
+        scope,
+        outputDir,
+        format,
+        title: title.trim() || undefined,
+        focus: focus.trim() || undefined
+      });
+      if (response?.success) {
+        setResult(response);
+      } else {
+        setError(response?.error || 'Could not write the report.');
+      }
+    } catch (err) {
+      logger.error('Failed to write report', { error: err?.message });
+      setError(err?.message || 'Could not write the report.');
+    } finally {
+      setIsWriting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Write Report"
+      description={describeScope(scope)}
+      size="md"
+      closeOnOverlayClick={!isWriting}
+      closeOnEsc={!isWriting}
+      closeDisabled={isWriting}
+      footer={
+        result ? (
+          <Button variant="primary" size="sm" onClick={onClose}>
+            Done
+          </Button>
+        ) : (
+          <>
+            <Button variant="secondary" size="sm" onClick={onClose} disabled={isWriting}>
+              Cancel
+            </Button>
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={handleWrite}
+              disabled={isWriting || !outputDir || !scope}
+              isLoading={isWriting}
+              leftIcon={<FileText className="w-4 h-4" />}
+            >
+              {isWriting ? 'Writing...' : 'Write Report'}
+            </Button>
+          </>
+        )
+      }
+    >
+      {result ? (
+        <div className="space-y-3">
+          <Text variant="small" className="text-system-gray-800">
+            Saved <span className="font-medium">{result.name}</span> with {result.sourceCount} cited
+            source{result.sourceCount === 1 ? '' : 's'}.
+          </Text>
+          <Text variant="tiny" className="text-system-gray-500">
+            {result.indexed
+              ? 'The report is being analyzed and will show up in search.'
+              : `The report was saved but not indexed${result.indexError ? `: ${result.indexError}` : '.'}`}
+          </Text>
+          <div className="flex gap-2">
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => openFile(result.path)}
+              leftIcon={<ExternalLink className="w-4 h-4" />}
+            >
+              Open
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => revealFile(result.path)}
+              leftIcon={<FolderOpen className="w-4 h-4" />}
+            >
+              Show in Folder
+            </Button>
+          </div>
+          {error && (
+            <Text variant="small" className="text-stratosort-danger" role="alert">
+              {error}
+            </Text>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <Input
+            label="Title"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Suggested from the documents if left empty"
+            maxLength={200}
+            disabled={isWriting}
+          />
+          <Textarea
+            label="Focus"
+            value={focus}
+            onChange={(e) => setFocus(e.target.value)}
+            placeholder="What should the report concentrate on? (optional)"
+            rows={3}
+            maxLength={2000}
+            disabled={isWriting}
+          />
+          <div className="space-y-1.5">
+            <Text variant="small" className="font-medium text-system-gray-700">
+              Format
+            </Text>
+            <div
+              className="flex items-center gap-1 bg-system-gray-100 rounded-lg p-0.5 w-fit"
+              role="group"
+              aria-label="Report format"
+            >
+              {FORMATS.map((option) => (
+                <Button
+                  key={option.id}
+                  type="button"
+                  onClick={() => setFormat(option.id)}
+                  aria-pressed={format === option.id}
+                  variant={format === option.id ? 'secondary' : 'ghost'}
+                  size="xs"
+                  disabled={isWriting}
+                  className={`rounded-md ${format === option.id ? 'bg-white text-system-gray-900 shadow-sm' : 'text-system-gray-500 hover:text-system-gray-700'}`}
+                >
+                  {option.label}
+                </Button>
+              ))}
+            </div>
+          </div>
+          <div className="space-y-1.5">
+            <Text variant="small" className="font-medium text-system-gray-700">
+              Save to
+            </Text>
+            <div className="flex items-center gap-2">
+              <Text
+                as="div"
+                variant="small"
+                className="flex-1 px-3 py-1.5 bg-system-gray-50 border border-system-gray-200 rounded-md text-system-gray-700 truncate"
+                title={outputDir || undefined}
+              >
+                {outputDir ? safeBasename(outputDir) : 'Select folder...'}
+              </Text>
+              <Button size="sm" variant="secondary" onClick={handleBrowse} disabled={isWriting}>
+                Browse
+              </Button>
+            </div>
+          </div>
+          {error && (
+            <Text variant="small" className="text-stratosort-danger" role="alert">
+              {error}
+            </Text>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+ReportDialog.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  scope: PropTypes.shape({
+    type: PropTypes.oneOf(['selection', 'cluster', 'search']).isRequired,
+    items: PropTypes.arrayOf(
+      PropTypes.shape({
+        path: PropTypes.string.isRequired,
+        name: PropTypes.string
+      })
+    ),
+    clusterId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    label: PropTypes.string,
+    query: PropTypes.string
+  })
+};
@@ -0,0 +1,86 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Search, Link2, ListTree, Flag } from 'lucide-react';
+import { Text } from '../ui/Typography';
+
+const STOP_REASONS = {
+  no_new_evidence: 'Stopped: the last round found nothing new',
+  covered: 'Stopped: the evidence covers the question',
+  evidence_limit: 'Stopped: enough evidence collected',
+  round_limit: 'Stopped after the last research round'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function describeStep(step, index) {
+  switch (step.type) {
+    case 'plan': {
+      const queries = Array.isArray(step.queries) ? step.queries : [];
+      return {
+        Icon: ListTree,
+        text: `${index === 0 ? 'Planned' : 'Follow-up'}: ${queries.map((q) => `"${q}"`).join(', ')}`
+      };
+    }
+    case 'search':
+      return {
+        Icon: Search,
+        text: `Searched "${step.query}": ${plural(step.found || 0, 'source')}, ${step.added || 0} new`
+      };
+    case 'links':
+      return {
+        Icon: Link2,
+        text:
+          step.candidates > 0
+            ? `Followed links from ${plural(step.seeds || 0, 'source')}: ${plural(step.candidates, 'related document')}, ${step.added || 0} relevant`
+            : `No related documents linked from ${plural(step.seeds || 0, 'source')}`
+      };
+    case 'stop':
+      return { Icon: Flag, text: STOP_REASONS[step.reason] || 'Stopped' };
+    default:
+      return null;
+  }
+}
+
+/**
+ * The searches and link hops a deep-mode answer was researched with.
+ */
+export default function ResearchTrace({ steps }) {
+  const items = (Array.isArray(steps) ? steps : [])
+    .map((step, i) => describeStep(step || {}, i))
+    .filter(Boolean);
+  if (items.length === 0) return null;
+  const searchCount = steps.filter((step) => step?.type === 'search').length;
+
+  return (
+    <details className="chat-details">
+      <summary>
+        Research trace ({searchCount} search{searchCount === 1 ? '' : 'es'})
+      </summary>
+      <ol className="chat-details-body space-y-1">
+        {items.map(({ Icon, text }, i) => (
+          <li key={i} className="flex items-start gap-2">
+            <Icon className="w-3.5 h-3.5 mt-0.5 text-system-gray-400 shrink-0" />
+            <Text as="span" variant="tiny" className="text-system-gray-600 break-words">
+              {text}
+            </Text>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+ResearchTrace.propTypes = {
+  steps: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.string.isRequired,
+      query: PropTypes.string,
+      queries: PropTypes.arrayOf(PropTypes.string),
+      found: PropTypes.number,
+      added: PropTypes.number,
+      seeds: PropTypes.number,
+      candidates: PropTypes.number,
+      reason: PropTypes.string
+    })
+  )
+};
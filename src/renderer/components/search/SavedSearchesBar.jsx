@@ -0,0 +1,216 @@
+/**
+ * SavedSearchesBar - Saved searches (smart collections) for the search tab
+ *
+ * Lists saved searches as chips with a badge for files that started matching
+ * since the search was last opened, and lets the user save the current query.
+ * Counts update live when the main process reports new matches.
+ */
+
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import PropTypes from 'prop-types';
+import { Bookmark, BookmarkPlus, Bell, X } from 'lucide-react';
+import { Button, IconButton, Input } from '../ui';
+import { Text } from '../ui/Typography';
+import { createLogger } from '../../../shared/logger';
+
+const logger = createLogger('SavedSearchesBar');
+
+const SavedSearchesBar = memo(function SavedSearchesBar({
+  query,
+  searchOptions,
+  activeSearchId = null,
+  onSelect,
+  className = ''
+}) {
+  const [searches, setSearches] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [notify, setNotify] = useState(false);
+  const [saveError, setSaveError] = useState('');
+
+  const api = window.electronAPI?.knowledge;
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await window.electronAPI?.knowledge?.listSavedSearches?.();
+      if (response?.success && Array.isArray(response.searches)) {
+        setSearches(response.searches);
+      }
+    } catch (error) {
+      logger.warn('Failed to load saved searches', { error: error?.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    const unsubscribe = window.electronAPI?.knowledge?.onSavedSearchesUpdated?.(() => refresh());
+    return () => {
+      if (typeof unsubscribe === 'function') unsubscribe();
+    };
+  }, [refresh]);
+
+  const trimmedQuery = (query || '').trim();
+  const activeSearch = searches.find((s) => s.id === activeSearchId) || null;
+  const canSave = trimmedQuery.length >= 2 && activeSearch?.query !== trimmedQuery;
+
+  const handleSelect = (search) => {
+    // Running a saved search marks its matches as seen
+    setSearches((prev) => prev.map((s) => (s.id === search.id ? { ...s, newMatchCount: 0 } : s)));
+    onSelect?.(search);
+  };
+
+  const handleDelete = async (e, search) => {
+    e.stopPropagation();
+    try {
+      const response = await api?.deleteSavedSearch?.(search.id);
+      if (response?.success) {
+        setSearches((prev) => prev.filter((s) => s.id !== search.id));
+        if (search.id === activeSearchId) onSelect?.(null);
+      }
+    } catch (error) {
+      logger.warn('Failed to delete saved search', { error: error?.message });
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaveError('');
+    try {
+      const response = await api?.saveSavedSearch?.({
+        name: name.trim(),
+        query: trimmedQuery,
+        notify,
+        options: searchOptions
+      });
+      if (!response?.success) {
+        setSaveError(response?.error || 'Could not save search');
+        return;
+      }
+      setIsSaving(false);
+      setName('');
+      setNotify(false);
+      setSearches((prev) => [response.search, ...prev.filter((s) => s.id !== response.search.id)]);
+      onSelect?.(response.search);
+    } catch (error) {
+      setSaveError(error?.message || 'Could not save search');
+    }
+  };
+
+  if (!api?.listSavedSearches) return null;
+  if (searches.length === 0 && !canSave) return null;
+
+  return (
+    <div className={`flex flex-col gap-2 ${className}`.trim()}>
+      <div className="flex flex-wrap items-center gap-2">
+        {searches.map((search) => {
+          const isActive = search.id === activeSearchId;
+          return (
+            <div
+              key={search.id}
+              role="button"
+              tabIndex={0}
+              title={search.query}
+              aria-pressed={isActive}
+              onClick={() => handleSelect(search)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault();
+                  handleSelect(search);
+                }
+              }}
+              className={`group flex items-center gap-1.5 pl-3 pr-1 py-1 rounded-full border cursor-pointer transition-colors ${
+                isActive
+                  ? 'border-stratosort-blue bg-stratosort-blue/10 text-stratosort-blue'
+                  : 'border-system-gray-200 bg-white text-system-gray-700 hover:border-stratosort-blue/50'
+              }`}
+            >
+              <Bookmark className="w-3.5 h-3.5 shrink-0" />
+              <Text as="span" variant="tiny" className="max-w-[12rem] truncate font-medium">
+                {search.name}
+              </Text>
+              {search.notify && (
+                <Bell className="w-3 h-3 text-system-gray-400" aria-label="Alerts on" />
+              )}
+              {search.newMatchCount > 0 && (
+                <span className="rounded-full bg-stratosort-blue px-1.5 text-[10px] font-semibold text-white">
+                  {search.newMatchCount} new
+                </span>
+              )}
+              <IconButton
+                icon={<X className="w-3 h-3" />}
+                size="sm"
+                variant="ghost"
+                onClick={(e) => handleDelete(e, search)}
+                className="h-5 w-5 opacity-0 group-hover:opacity-100 transition-opacity text-system-gray-400"
+                aria-label={`Delete saved search ${search.name}`}
+              />
+            </div>
+          );
+        })}
+        {canSave && !isSaving && (
+          <Button
+            type="button"
+            variant="ghost"
+            size="xs"
+            onClick={() => setIsSaving(true)}
+            leftIcon={<BookmarkPlus className="w-3.5 h-3.5" />}
+          >
+            Save search
+          </Button>
+        )}
+      </div>
+
+      {isSaving && (
+        <form onSubmit={handleSave} className="flex flex-wrap items-center gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Name this search"
+            aria-label="Saved search name"
+            maxLength={100}
+            className="h-8 max-w-xs text-sm"
+            autoFocus
+          />
+          <label className="flex items-center gap-1.5 text-xs text-system-gray-600">
+            <input type="checkbox" checked={notify} onChange={(e) => setNotify(e.target.checked)} />
+            Notify me about new matches
+          </label>
+          <Button type="submit" variant="primary" size="xs" disabled={!name.trim()}>
+            Save
+          </Button>
+          <Button
+            type="button"
+            variant="ghost"
+            size="xs"
+            onClick={() => {
+              setIsSaving(false);
+              setSaveError('');
+            }}
+          >
+            Cancel
+          </Button>
+          {saveError && (
+            <Text as="span" variant="tiny" className="text-stratosort-danger">
+              {saveError}
+            </Text>
+          )}
+        </form>
+      )}
+    </div>
+  );
+});
+
+SavedSearchesBar.propTypes = {
+  /** Current search box text (what "Save search" stores) */
+  query: PropTypes.string,
+  /** Ranking options stored with a new saved search */
+  searchOptions: PropTypes.object,
+  /** Id of the saved search currently shown in the results */
+  activeSearchId: PropTypes.string,
+  /** Called with the chosen saved search, or null when the active one is deleted */
+  onSelect: PropTypes.func,
+  /** Additional CSS classes */
+  className: PropTypes.string
+};
+
+export default SavedSearchesBar;
@@ -1,12 +1,19 @@
 import React, { useState, useEffect, useRef, useMemo, memo } from 'react';
 import PropTypes from 'prop-types';
-import { Search, Clock, FileText, Tag, X, ArrowUp, ArrowDown } from 'lucide-react';
+import { Search, Clock, FileText, Tag, X, ArrowUp, ArrowDown, Filter } from 'lucide-react';
 import { IconButton } from '../ui';
 import { Text } from '../ui/Typography';
+import {
+  SEARCH_FILTER_FIELDS,
+  FILE_KIND_EXTENSIONS,
+  getActiveToken
+} from '../../../shared/searchQuerySyntax';
 
 const RECENT_SEARCHES_KEY = 'stratosort-recent-searches';
 const MAX_RECENT_SEARCHES = 10;
 const MAX_SUGGESTIONS = 5;
+const MAX_FIELD_SUGGESTIONS = 6;
+const COMMON_FILE_TYPES = ['pdf', 'docx', 'xlsx', 'txt', 'jpg', 'png'];
 
 const isMac =
   navigator.userAgentData?.platform === 'macOS' || /Mac|iPod|iPhone|iPad/.test(navigator.userAgent);
@@ -43,6 +50,54 @@ export function addToRecentSearches(query) {
   saveRecentSearches(updated);
 }
 
+function facetNames(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((item) => (typeof item === 'string' ? item : item?.name))
+    .filter(Boolean);
+}
+
+/**
+ * Suggest field operators (`tag:`) for a partial word, or known values for the
+ * field being typed (`tag:ta` -> `tag:tax`). Each suggestion's value is the full
+ * query with the active token completed.
+ */
+function getOperatorSuggestions(query, facets) {
+  const active = getActiveToken(query);
+  const sign = active.negated ? '-' : '';
+  const partial = active.value.toLowerCase();
+
+  if (active.field) {
+    const source = SEARCH_FILTER_FIELDS[active.field].values;
+    let values = [];
+    if (source === 'types') values = [...Object.keys(FILE_KIND_EXTENSIONS), ...COMMON_FILE_TYPES];
+    else if (source === 'tags') values = facetNames(facets?.tags);
+    else if (source === 'categories') values = facetNames(facets?.categories);
+
+    return [...new Set(values)]
+      .filter((v) => v.toLowerCase().includes(partial) && v.toLowerCase() !== partial)
+      .slice(0, MAX_FIELD_SUGGESTIONS)
+      .map((v) => {
+        const operand = /\s/.test(v) ? `"${v}"` : v;
+        return {
+          type: 'filter-value',
+          label: `${sign}${active.field}:${operand}`,
+          value: `${active.prefix}${sign}${active.field}:${operand} `
+        };
+      });
+  }
+
+  if (!partial || active.token.includes(':') || active.token.includes('"')) return [];
+  return Object.entries(SEARCH_FILTER_FIELDS)
+    .filter(([field]) => field.startsWith(partial))
+    .slice(0, 3)
+    .map(([field, spec]) => ({
+      type: 'filter-field',
+      label: `${sign}${field}:`,
+      description: spec.description,
+      value: `${active.prefix}${sign}${field}:`
+    }));
+}
+
 export function clearRecentSearches() {
   try {
     localStorage.removeItem(RECENT_SEARCHES_KEY);
@@ -67,16 +122,38 @@ const SearchAutocomplete = memo(
     const [suggestions, setSuggestions] = useState([]);
     const [selectedIndex, setSelectedIndex] = useState(-1);
     const [recentSearches, setRecentSearches] = useState([]);
+    const [facets, setFacets] = useState(null);
 
     const inputRef = useRef(null);
     const containerRef = useRef(null);
     const fetchTimeoutRef = useRef(null);
     const latestQueryRef = useRef('');
+    const facetsRequestedRef = useRef(false);
+
+    const activeField = getActiveToken(value).field;
 
     useEffect(() => {
       setRecentSearches(loadRecentSearches());
     }, []);
 
+    // Known tags/categories are fetched once, the first time a field operator is typed
+    useEffect(() => {
+      if (!activeField || facetsRequestedRef.current) return;
+      facetsRequestedRef.current = true;
+      Promise.resolve(window.electronAPI?.analysisHistory?.getFacets?.())
+        .then((result) => {
+          if (result) setFacets(result);
+        })
+        .catch(() => {
+          // Value suggestions are best-effort
+        });
+    }, [activeField]);
+
+    const operatorSuggestions = useMemo(
+      () => getOperatorSuggestions(value || '', facets),
+      [value, facets]
+    );
+
     useEffect(() => {
       if (fetchTimeoutRef.current) {
         clearTimeout(fetchTimeoutRef.current);
@@ -85,7 +162,8 @@ const SearchAutocomplete = memo(
       const trimmed = value?.trim() || '';
       latestQueryRef.current = trimmed;
 
-      if (trimmed.length < 2) {
+      // While a field operator is being typed the query is incomplete; only value suggestions apply
+      if (trimmed.length < 2 || activeField) {
         setSuggestions([]);
         return undefined;
       }
@@ -196,7 +274,7 @@ const SearchAutocomplete = memo(
           clearTimeout(fetchTimeoutRef.current);
         }
       };
-    }, [value]);
+    }, [value, activeField]);
 
     useEffect(() => {
       const handleClickOutside = (e) => {
@@ -210,9 +288,13 @@ const SearchAutocomplete = memo(
     }, []);
 
     const allSuggestions = useMemo(() => {
-      const items = [];
+      const items = [...operatorSuggestions];
       const trimmed = value?.trim() || '';
 
+      if (activeField) {
+        return items;
+      }
+
       if (trimmed.length < 2) {
         recentSearches.slice(0, 5).forEach((search) => {
           items.push({
@@ -241,7 +323,7 @@ const SearchAutocomplete = memo(
       }
 
       return items.slice(0, 8);
-    }, [value, recentSearches, suggestions]);
+    }, [value, activeField, operatorSuggestions, recentSearches, suggestions]);
 
     useEffect(() => {
       if (selectedIndex >= allSuggestions.length) {
@@ -263,6 +345,14 @@ const SearchAutocomplete = memo(
     };
 
     const handleSelectSuggestion = (suggestion) => {
+      if (suggestion.type === 'filter-field' || suggestion.type === 'filter-value') {
+        // Completing an operator keeps editing the query rather than running it
+        onChange(suggestion.value);
+        setSelectedIndex(-1);
+        inputRef.current?.focus();
+        return;
+      }
+
       onChange(suggestion.value);
       setShowSuggestions(false);
       setSelectedIndex(-1);
@@ -432,6 +522,9 @@ const SearchAutocomplete = memo(
                   {item.type === 'tag' && (
                     <Tag className="w-4 h-4 text-stratosort-success shrink-0" />
                   )}
+                  {(item.type === 'filter-field' || item.type === 'filter-value') && (
+                    <Filter className="w-4 h-4 text-stratosort-blue shrink-0" />
+                  )}
                   {item.type === 'category' && (
                     <div className="w-4 h-4 rounded-md bg-stratosort-accent/10 flex items-center justify-center text-xs font-bold text-stratosort-accent shrink-0">
                       C
@@ -442,6 +535,12 @@ const SearchAutocomplete = memo(
                     {item.label}
                   </Text>
 
+                  {item.description && (
+                    <Text as="span" variant="tiny" className="text-system-gray-400 truncate">
+                      {item.description}
+                    </Text>
+                  )}
+
                   {item.type === 'file' && item.rank !== undefined && item.rank < 3 && (
                     <Text
                       as="span"
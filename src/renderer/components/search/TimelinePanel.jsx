@@ -0,0 +1,398 @@
+/**
+ * TimelinePanel - Analyzed files plotted by document date
+ *
+ * Shows a histogram of files by the date analysis found in the document
+ * (falling back to the file's modification time) at decade, year, month,
+ * week or day resolution. Files can be filtered by smart folder, entity, tag
+ * and the current search query. Dragging across bars selects a date range,
+ * which can be zoomed into or sent to chat as document scope.
+ */
+
+import React, { useState, useEffect, useMemo, useCallback, memo } from 'react';
+import PropTypes from 'prop-types';
+import { CalendarRange, MessageSquare, ZoomIn, ZoomOut } from 'lucide-react';
+import { Button, Select, StateMessage } from '../ui';
+import { Text } from '../ui/Typography';
+import { createLogger } from '../../../shared/logger';
+import {
+  TIMELINE_ZOOM_LEVELS,
+  TIMELINE_ZOOM_LABELS,
+  countBuckets,
+  chooseZoom,
+  buildTimelineBuckets
+} from '../../../shared/timeline';
+
+const logger = createLogger('TimelinePanel');
+
+// Beyond this many bars they become too thin to select
+const MAX_BUCKETS = 400;
+// Chat accepts at most this many scoped documents
+const MAX_SCOPE_FILES = 1000;
+const SELECTION_PREVIEW_LIMIT = 50;
+
+const DATE_SOURCE_LABELS = {
+  document: 'Document date',
+  modified: 'Modified',
+  analyzed: 'Analyzed'
+};
+
+const dayBefore = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+const TimelinePanel = memo(function TimelinePanel({ query = '', onSendToChat, onOpenFile }) {
+  const [filters, setFilters] = useState({ smartFolder: '', entity: '', tag: '' });
+  const [matchQuery, setMatchQuery] = useState(false);
+  const [timeline, setTimeline] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [view, setView] = useState(null); // { from, to, zoom }
+  const [selection, setSelection] = useState(null); // { anchor, focus } bucket indexes
+  const [isBrushing, setIsBrushing] = useState(false);
+
+  const trimmedQuery = query.trim();
+  const queryFilter = matchQuery && trimmedQuery ? trimmedQuery : '';
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    (async () => {
+      try {
+        const response = await window.electronAPI?.analysisHistory?.getTimeline?.({
+          smartFolder: filters.smartFolder || undefined,
+          entity: filters.entity || undefined,
+          tag: filters.tag || undefined,
+          query: queryFilter || undefined
+        });
+        if (cancelled) return;
+        if (response?.success) {
+          setTimeline(response);
+          setView(
+            response.range
+              ? { ...response.range, zoom: chooseZoom(response.range.from, response.range.to) }
+              : null
+          );
+          setSelection(null);
+        } else {
+          setError(response?.error || 'Failed to load timeline');
+        }
+      } catch (err) {
+        logger.warn('Failed to load timeline', { error: err?.message });
+        if (!cancelled) setError(err?.message || 'Failed to load timeline');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, queryFilter]);
+
+  const items = useMemo(() => timeline?.items || [], [timeline]);
+  const buckets = useMemo(
+    () => (view ? buildTimelineBuckets(items, view.zoom, view) : []),
+    [items, view]
+  );
+  const maxCount = useMemo(() => Math.max(1, ...buckets.map((b) => b.count)), [buckets]);
+
+  const selectedRange = useMemo(() => {
+    if (!selection || buckets.length === 0) return null;
+    const first = buckets[Math.min(selection.anchor, selection.focus)];
+    const last = buckets[Math.max(selection.anchor, selection.focus)];
+    if (!first || !last) return null;
+    return {
+      from: first.start,
+      to: dayBefore(last.end),
+      firstLabel: first.label,
+      lastLabel: last.label
+    };
+  }, [selection, buckets]);
+
+  const selectedItems = useMemo(() => {
+    if (!selectedRange) return [];
+    return items.filter((item) => item.date >= selectedRange.from && item.date <= selectedRange.to);
+  }, [items, selectedRange]);
+
+  const isSelected = (index) =>
+    selection &&
+    index >= Math.min(selection.anchor, selection.focus) &&
+    index <= Math.max(selection.anchor, selection.focus);
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const changeZoom = (zoom) => {
+    setView((prev) => (prev ? { ...prev, zoom } : prev));
+    setSelection(null);
+  };
+
+  const zoomTo = useCallback((from, to, zoom) => {
+    setView({ from, to, zoom: zoom || chooseZoom(from, to) });
+    setSelection(null);
+  }, []);
+
+  const handleBarMouseDown = (index, e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    setIsBrushing(true);
+    setSelection((prev) =>
+      e.shiftKey && prev ? { ...prev, focus: index } : { anchor: index, focus: index }
+    );
+  };
+
+  const handleBarMouseEnter = (index) => {
+    if (isBrushing) setSelection((prev) => (prev ? { ...prev, focus: index } : prev));
+  };
+
+  useEffect(() => {
+    if (!isBrushing) return undefined;
+    const stop = () => setIsBrushing(false);
+    window.addEventListener('mouseup', stop);
+    return () => window.removeEventListener('mouseup', stop);
+  }, [isBrushing]);
+
+  const handleBarKeyDown = (index, e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      setSelection((prev) =>
+        e.shiftKey && prev ? { ...prev, focus: index } : { anchor: index, focus: index }
+      );
+    }
+  };
+
+  const handleBarDoubleClick = (bucket) => {
+    const finer = TIMELINE_ZOOM_LEVELS[TIMELINE_ZOOM_LEVELS.indexOf(view.zoom) + 1];
+    if (finer) zoomTo(bucket.start, dayBefore(bucket.end), finer);
+  };
+
+  const handleSendToChat = () => {
+    if (selectedItems.length === 0) return;
+    onSendToChat?.(
+      selectedItems.slice(-MAX_SCOPE_FILES).map((item) => ({ path: item.path, name: item.name })),
+      selectedRange
+    );
+  };
+
+  const facets = timeline?.facets || { smartFolders: [], tags: [], entities: [] };
+  const fullRange = timeline?.range;
+  const isZoomedIn =
+    view && fullRange && (view.from !== fullRange.from || view.to !== fullRange.to);
+  const labelEvery = Math.max(1, Math.ceil(buckets.length / 8));
+
+  return (
+    <div className="flex flex-col gap-3 flex-1 min-h-0">
+      <div className="flex flex-wrap items-center gap-2">
+        <Select
+          value={filters.smartFolder}
+          onChange={(e) => setFilter('smartFolder', e.target.value)}
+          className="text-sm w-44"
+        >
+          <option value="">All folders</option>
+          {facets.smartFolders.map((facet) => (
+            <option key={facet.value} value={facet.label}>
+              {`${facet.label} (${facet.count})`}
+            </option>
+          ))}
+        </Select>
+        <Select
+          value={filters.entity}
+          onChange={(e) => setFilter('entity', e.target.value)}
+          className="text-sm w-44"
+        >
+          <option value="">All people &amp; orgs</option>
+          {facets.entities.map((facet) => (
+            <option key={facet.value} value={facet.value}>
+              {`${facet.label} (${facet.count})`}
+            </option>
+          ))}
+        </Select>
+        <Select
+          value={filters.tag}
+          onChange={(e) => setFilter('tag', e.target.value)}
+          className="text-sm w-40"
+        >
+          <option value="">All tags</option>
+          {facets.tags.map((facet) => (
+            <option key={facet.value} value={facet.label}>
+              {`${facet.label} (${facet.count})`}
+            </option>
+          ))}
+        </Select>
+        <Text
+          as="label"
+          variant="tiny"
+          className="flex items-center gap-1.5 text-system-gray-600"
+          title={trimmedQuery ? `Only files matching "${trimmedQuery}"` : 'Enter a search first'}
+        >
+          <input
+            type="checkbox"
+            checked={matchQuery}
+            disabled={!trimmedQuery}
+            onChange={(e) => setMatchQuery(e.target.checked)}
+          />
+          Match search
+        </Text>
+
+        <div className="ml-auto flex items-center gap-2">
+          <Select
+            value={view?.zoom || ''}
+            onChange={(e) => changeZoom(e.target.value)}
+            disabled={!view}
+            className="text-sm w-28"
+          >
+            {TIMELINE_ZOOM_LEVELS.map((zoom) => (
+              <option
+                key={zoom}
+                value={zoom}
+                disabled={view ? countBuckets(view.from, view.to, zoom) > MAX_BUCKETS : false}
+              >
+                {TIMELINE_ZOOM_LABELS[zoom]}
+              </option>
+            ))}
+          </Select>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => selectedRange && zoomTo(selectedRange.from, selectedRange.to)}
+            disabled={!selectedRange}
+            title="Zoom into the selected range"
+          >
+            <ZoomIn className="h-3.5 w-3.5" />
+          </Button>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => fullRange && zoomTo(fullRange.from, fullRange.to)}
+            disabled={!isZoomedIn}
+            title="Show the whole timeline"
+          >
+            <ZoomOut className="h-3.5 w-3.5" />
+          </Button>
+        </div>
+      </div>
+
+      {error && <StateMessage tone="error" title={error} size="sm" />}
+
+      {!error && !isLoading && items.length === 0 && (
+        <StateMessage
+          icon={CalendarRange}
+          title="Nothing on the timeline yet"
+          description="Analyzed files appear here by the date found in the document."
+          size="sm"
+        />
+      )}
+
+      {buckets.length > 0 && (
+        <div className="rounded-xl border border-system-gray-200 bg-white p-3">
+          <div
+            className="flex items-end gap-px h-40 select-none"
+            role="listbox"
+            aria-label="Files over time"
+            aria-multiselectable="true"
+          >
+            {buckets.map((bucket, index) => (
+              <div
+                key={bucket.start}
+                role="option"
+                tabIndex={0}
+                aria-selected={Boolean(isSelected(index))}
+                title={`${bucket.label}: ${bucket.count} ${bucket.count === 1 ? 'file' : 'files'}`}
+                onMouseDown={(e) => handleBarMouseDown(index, e)}
+                onMouseEnter={() => handleBarMouseEnter(index)}
+                onDoubleClick={() => handleBarDoubleClick(bucket)}
+                onKeyDown={(e) => handleBarKeyDown(index, e)}
+                className={`flex-1 min-w-[2px] h-full flex items-end cursor-pointer ${
+                  isSelected(index) ? 'bg-stratosort-blue/10' : 'hover:bg-system-gray-50'
+                }`}
+              >
+                <div
+                  className={`w-full rounded-t-sm ${
+                    isSelected(index) ? 'bg-stratosort-blue' : 'bg-stratosort-blue/40'
+                  }`}
+                  style={{ height: bucket.count > 0 ? `${(bucket.count / maxCount) * 100}%` : 0 }}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-px mt-1" aria-hidden="true">
+            {buckets.map((bucket, index) => (
+              <div key={bucket.start} className="flex-1 min-w-[2px] overflow-visible">
+                {index % labelEvery === 0 && (
+                  <Text as="span" variant="tiny" className="whitespace-nowrap text-system-gray-400">
+                    {bucket.label}
+                  </Text>
+                )}
+              </div>
+            ))}
+          </div>
+          <Text as="div" variant="tiny" className="mt-2 text-system-gray-400">
+            Drag across bars to select a range; double-click a bar to zoom in.
+            {timeline?.truncated &&
+              ` Showing the newest ${items.length} of ${timeline.total} files.`}
+          </Text>
+        </div>
+      )}
+
+      {selectedRange && (
+        <div className="flex flex-col gap-2 min-h-0">
+          <div className="flex items-center gap-3">
+            <Text as="span" variant="small" className="font-medium text-system-gray-800">
+              {selectedItems.length} {selectedItems.length === 1 ? 'file' : 'files'} ·{' '}
+              {selectedRange.firstLabel}
+              {selectedRange.lastLabel !== selectedRange.firstLabel &&
+                ` – ${selectedRange.lastLabel}`}
+            </Text>
+            <Button
+              variant="primary"
+              size="sm"
+              onClick={handleSendToChat}
+              disabled={selectedItems.length === 0 || !onSendToChat}
+              title="Ask about these files in chat"
+            >
+              <MessageSquare className="h-3.5 w-3.5" />
+              <span>Send to Chat</span>
+            </Button>
+            <Button variant="ghost" size="sm" onClick={() => setSelection(null)}>
+              Clear
+            </Button>
+          </div>
+          <ul className="flex flex-col gap-1 overflow-y-auto max-h-[30vh]">
+            {selectedItems
+              .slice(-SELECTION_PREVIEW_LIMIT)
+              .reverse()
+              .map((item) => (
+                <li key={item.id}>
+                  <button
+                    type="button"
+                    onClick={() => onOpenFile?.(item.path)}
+                    className="w-full flex items-center gap-3 rounded-lg px-2 py-1 text-left hover:bg-system-gray-50"
+                    title={item.path}
+                  >
+                    <Text as="span" variant="tiny" className="w-20 shrink-0 text-system-gray-500">
+                      {item.date}
+                    </Text>
+                    <Text as="span" variant="small" className="flex-1 truncate">
+                      {item.name}
+                    </Text>
+                    <Text as="span" variant="tiny" className="shrink-0 text-system-gray-400">
+                      {DATE_SOURCE_LABELS[item.dateSource]}
+                    </Text>
+                  </button>
+                </li>
+              ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+});
+
+TimelinePanel.propTypes = {
+  query: PropTypes.string,
+  onSendToChat: PropTypes.func,
+  onOpenFile: PropTypes.func
+};
+
+export default TimelinePanel;
@@ -4,6 +4,7 @@ import ReactFlow, { Background, Controls, MiniMap, Panel } from 'reactflow';
 import 'reactflow/dist/style.css';
 import {
   AlertTriangle,
+  CalendarRange,
   ExternalLink,
   FolderOpen,
   FolderInput,
@@ -11,6 +12,7 @@ import {
   Search as SearchIcon,
   Copy,
   Network,
+  Users,
   List,
   FileText,
   LayoutGrid,
@@ -25,7 +27,8 @@ import {
   ChevronRight,
   Maximize2,
   Minimize2,
-  HelpCircle
+  HelpCircle,
+  Tag
 } from 'lucide-react';
 
 import Modal, { ConfirmModal } from '../ui/Modal';
@@ -73,11 +76,17 @@ import GraphErrorBoundary from './GraphErrorBoundary';
 import ChatPanel from './ChatPanel';
 import ConversationSidebar from './ConversationSidebar';
 import DocumentScopePanel from './DocumentScopePanel';
+import ReportDialog from './ReportDialog';
+import SavedSearchesBar from './SavedSearchesBar';
+import EntityMatchesBar from './EntityMatchesBar';
+import EntityPanel from './EntityPanel';
+import TimelinePanel from './TimelinePanel';
 import { mapErrorToNotification } from '../../utils/errorMapping';
 import { nextRequestId, isCurrentRequest, invalidateRequests } from '../../utils/requestGuard';
 import { List as VirtualizedList } from 'react-window';
 import { UI_VIRTUALIZATION } from '../../../shared/constants';
 import { CHAT_PERSONAS, DEFAULT_CHAT_PERSONA_ID } from '../../../shared/chatPersonas';
+import { getVersionArchivePath } from '../../../shared/versionChains';
 
 const logger = createLogger('UnifiedSearchModal');
 const SEARCH_RESULTS_ROW_HEIGHT =
@@ -175,7 +184,8 @@ const EDGE_KIND_PRIORITY = Object.freeze({
   knowledge: 2,
   cross_cluster: 3,
   organize: 4,
-  cluster_member: 5
+  cluster_member: 5,
+  entity_mention: 6
 });
 
 const buildUndirectedEdgeKey = (edge) => {
@@ -476,6 +486,37 @@ const buildRecommendationGraph = (fileNodes = []) => {
   };
 };
 
+const makeEntityNodeId = (entityId) => `entity-node:${entityId}`;
+
+const buildEntityNode = (entity, position) => ({
+  id: makeEntityNodeId(entity.id),
+  type: 'entityNode',
+  position,
+  data: {
+    kind: 'entity',
+    label: entity.name,
+    entityId: entity.id,
+    entityType: entity.type,
+    typeLabel: entity.typeLabel,
+    docCount: entity.docCount
+  },
+  draggable: true
+});
+
+const buildEntityEdge = (entityNodeId, fileNodeId) => ({
+  id: `e:mentions:${entityNodeId}->${fileNodeId}`,
+  source: entityNodeId,
+  target: fileNodeId,
+  type: 'smartStep',
+  style: {
+    stroke: '#8b5cf6',
+    strokeWidth: 1.5
+  },
+  data: {
+    kind: 'entity_mention'
+  }
+});
+
 // ============================================================================
 // Sub-Components
 // ============================================================================
@@ -571,6 +612,15 @@ const ResultRow = memo(function ResultRow({
               className="font-semibold text-system-gray-900 truncate block text-base"
             />
           </div>
+          {result?.isNewMatch && (
+            <Text
+              as="span"
+              variant="tiny"
+              className="shrink-0 rounded-full bg-stratosort-blue/10 px-2 py-0.5 font-semibold text-stratosort-blue"
+            >
+              New
+            </Text>
+          )}
           {dateStr && (
             <Text
               as="span"
@@ -1343,6 +1393,8 @@ export default function UnifiedSearchModal({
   const [isSearching, setIsSearching] = useState(false);
   const [queryMeta, setQueryMeta] = useState(null); // Stores spell corrections and synonyms info
   const [searchMeta, setSearchMeta] = useState(null); // Stores search mode and fallback info
+  const [activeSavedSearch, setActiveSavedSearch] = useState(null); // Saved search being viewed
+  const [activeEntityId, setActiveEntityId] = useState(null); // Entity page being viewed
   const [bulkSelectedIds, setBulkSelectedIds] = useState(new Set());
   const [searchRefreshTrigger, setSearchRefreshTrigger] = useState(0);
   const [focusedResultIndex, setFocusedResultIndex] = useState(-1);
@@ -1459,6 +1511,8 @@ export default function UnifiedSearchModal({
   const [isBridgeModalOpen, setIsBridgeModalOpen] = useState(false);
   const [isTagModalOpen, setIsTagModalOpen] = useState(false);
   const [selectedClusterForTagging, setSelectedClusterForTagging] = useState(null);
+  // Documents the report dialog writes about (null when closed)
+  const [reportScope, setReportScope] = useState(null);
 
   // Persist cluster preferences locally (simple best-effort)
   useEffect(() => {
@@ -1752,7 +1806,16 @@ export default function UnifiedSearchModal({
   );
 
   // File Actions Hook
-  const { openFile, revealFile, copyPath } = useFileActions(setError);
+  const { openFile, revealFile, copyPath, writeMetadata } = useFileActions(setError);
+  const [metadataWrittenPath, setMetadataWrittenPath] = useState(null);
+
+  const handleWriteMetadata = useCallback(
+    async (filePath) => {
+      const result = await writeMetadata(filePath);
+      if (result?.success && isMountedRef.current) setMetadataWrittenPath(filePath);
+    },
+    [writeMetadata]
+  );
 
   // ============================================================================
   // Chat Handlers
@@ -2004,7 +2067,9 @@ export default function UnifiedSearchModal({
                     contradictions: data.meta?.contradictions || [],
                     comparisonIntent: Boolean(data.meta?.comparisonIntent),
                     gapAnalysisIntent: Boolean(data.meta?.gapAnalysisIntent),
-                    holisticIntent: Boolean(data.meta?.holisticIntent)
+                    holisticIntent: Boolean(data.meta?.holisticIntent),
+                    actionPlan: data.meta?.actionPlan || null,
+                    researchTrace: data.meta?.researchTrace || null
                   },
                   isStreaming: false
                 };
@@ -2207,6 +2272,17 @@ export default function UnifiedSearchModal({
     setDocumentScope([]);
   }, []);
 
+  // Timeline range selection replaces the chat scope with the files in that range
+  const handleSendRangeToChat = useCallback(
+    async (items) => {
+      setDocumentScope([]);
+      await handleAddToScope(items);
+      setIsDocScopeOpen(true);
+      setActiveTab('chat');
+    },
+    [handleAddToScope]
+  );
+
   const handleNewConversation = useCallback(() => {
     const previousSessionId = chatSessionRef.current;
     chatStreamRef.current?.cancel?.();
@@ -2424,6 +2500,7 @@ export default function UnifiedSearchModal({
       graphActions.setEdges([]);
       setBulkSelectedIds(new Set());
       setDuplicateGroups([]);
+      setActiveEntityId(null);
       if (graphFitViewTimeoutRef.current) {
         clearTimeout(graphFitViewTimeoutRef.current);
         graphFitViewTimeoutRef.current = null;
@@ -2837,6 +2914,128 @@ export default function UnifiedSearchModal({
   // Assign ref for event handler access
   convertSearchToGraphRef.current = convertSearchToGraph;
 
+  // Adds entity nodes, file nodes and mention edges to the graph. File nodes
+  // already on the graph (matched by path) are reused so edges attach to them.
+  const mergeEntityGraph = useCallback(
+    async ({ entityNodes, fileNodes = [], edges: entityEdges, replace = false }) => {
+      const currentNodes = replace ? [] : nodesRef.current || [];
+      const currentEdges = replace ? [] : edgesRef.current || [];
+      const idByKey = new Map(currentNodes.map((n) => [nodeDeduplicationKey(n), n.id]));
+      const remapId = new Map();
+      const addedNodes = [];
+      [...entityNodes, ...fileNodes].forEach((node) => {
+        const key = nodeDeduplicationKey(node);
+        if (idByKey.has(key)) {
+          remapId.set(node.id, idByKey.get(key));
+        } else {
+          idByKey.set(key, node.id);
+          addedNodes.push(node);
+        }
+      });
+      const existingEdgeIds = new Set(currentEdges.map((e) => e.id));
+      const addedEdges = entityEdges
+        .map((edge) => {
+          const target = remapId.get(edge.target) || edge.target;
+          return { ...edge, id: `e:mentions:${edge.source}->${target}`, target };
+        })
+        .filter((edge) => !existingEdgeIds.has(edge.id));
+
+      const allNodes = [...currentNodes, ...addedNodes];
+      const allEdges = [...currentEdges, ...addedEdges];
+      graphActions.setNodes(allNodes);
+      graphActions.setEdges(allEdges);
+
+      if (autoLayout && allNodes.length > 1) {
+        try {
+          const { nodes: layoutedNodes, edges: layoutedEdges } = await debouncedElkLayout(
+            allNodes,
+            allEdges,
+            {
+              direction: 'RIGHT',
+              spacing: GRAPH_LAYOUT_SPACING,
+              layerSpacing: GRAPH_LAYER_SPACING
+            }
+          );
+          if (!isMountedRef.current) return addedNodes.length;
+          graphActions.setNodes(layoutedNodes);
+          if (layoutedEdges && layoutedEdges.length > 0) {
+            graphActions.setEdges(applyEdgeUiPrefs(layoutedEdges));
+          }
+        } catch (layoutError) {
+          logger.warn('[Graph] Layout after adding entities failed:', layoutError);
+        }
+      }
+      return addedNodes.length;
+    },
+    [autoLayout, graphActions, applyEdgeUiPrefs]
+  );
+
+  const handleShowEntityInGraph = useCallback(
+    async (entity) => {
+      if (!GRAPH_FEATURE_FLAGS.SHOW_GRAPH || !entity?.id) return;
+      const entityNode = buildEntityNode(entity, { x: 40, y: 200 });
+      const fileNodes = (entity.documents || []).slice(0, defaultTopK).map((doc, idx) => ({
+        id: doc.fileId,
+        type: 'fileNode',
+        position: { x: 280, y: 40 + idx * 70 },
+        data: {
+          kind: 'file',
+          label: doc.name || safeBasename(doc.path),
+          path: doc.path || '',
+          score: 0,
+          tags: [],
+          entities: [entity.name],
+          dates: doc.date ? [doc.date] : [],
+          category: getFileCategory(doc.path || ''),
+          subject: doc.subject || ''
+        },
+        draggable: true
+      }));
+      await mergeEntityGraph({
+        entityNodes: [entityNode],
+        fileNodes,
+        edges: fileNodes.map((node) => buildEntityEdge(entityNode.id, node.id)),
+        replace: !addMode
+      });
+      setActiveTab('graph');
+      setGraphStatus(`Showing ${entity.name} with ${fileNodes.length} documents`);
+    },
+    [addMode, defaultTopK, mergeEntityGraph]
+  );
+
+  const handleShowGraphEntities = useCallback(async () => {
+    const fileNodes = (nodesRef.current || []).filter((n) => n.data?.kind === 'file');
+    if (fileNodes.length === 0) return;
+    try {
+      const response = await window.electronAPI?.knowledge?.getFileEntities?.(
+        fileNodes.map((n) => n.id),
+        // On larger graphs only show entities that connect files
+        { minFiles: fileNodes.length > 2 ? 2 : 1, limit: 15 }
+      );
+      if (!response?.success || !Array.isArray(response.entities)) return;
+      if (response.entities.length === 0) {
+        setGraphStatus('No shared people or organizations found');
+        return;
+      }
+      const entityNodes = response.entities.map((entity, idx) =>
+        buildEntityNode(entity, { x: 40, y: 40 + idx * 70 })
+      );
+      const entityEdges = response.entities.flatMap((entity) =>
+        entity.fileIds.map((fileId) => buildEntityEdge(makeEntityNodeId(entity.id), fileId))
+      );
+      const added = await mergeEntityGraph({ entityNodes, edges: entityEdges });
+      setGraphStatus(`Added ${added} ${added === 1 ? 'entity' : 'entities'}`);
+    } catch (entityError) {
+      logger.warn('[Graph] Failed to load entities', { error: entityError?.message });
+      setGraphStatus('Could not load entities');
+    }
+  }, [mergeEntityGraph]);
+
+  const openEntityPage = useCallback((entityId) => {
+    setActiveEntityId(entityId);
+    setActiveTab('search');
+  }, []);
+
   // ============================================================================
   // Keyboard Shortcuts
   // ============================================================================
@@ -3625,6 +3824,40 @@ export default function UnifiedSearchModal({
     }
   }, []);
 
+  const handleWriteClusterReport = useCallback(async (clusterData) => {
+    const memberIds = clusterData?.memberIds || [];
+    if (memberIds.length === 0) {
+      setError('No files in this cluster');
+      return;
+    }
+    try {
+      const metadataResult = await window.electronAPI?.embeddings?.getFileMetadata?.(memberIds);
+      const metadata = metadataResult?.success ? metadataResult.metadata || {} : {};
+      const items = memberIds
+        .map((id) => metadata[id])
+        .filter((meta) => meta?.path)
+        .map((meta) => ({ path: meta.path, name: meta.name || safeBasename(meta.path) }));
+      if (items.length === 0) {
+        if (isMountedRef.current) setError('Could not retrieve file paths');
+        return;
+      }
+      if (isMountedRef.current) {
+        setReportScope({
+          type: 'cluster',
+          // Duplicate groups have no clustering-service id
+          ...(clusterData.kind === 'cluster' && clusterData.clusterId !== undefined
+            ? { clusterId: clusterData.clusterId }
+            : {}),
+          label: clusterData.label || undefined,
+          items
+        });
+      }
+    } catch (e) {
+      logger.error('[Graph] Failed to prepare cluster report', e);
+      if (isMountedRef.current) setError('Failed to prepare the report');
+    }
+  }, []);
+
   const handleApplyTags = useCallback(
     async (tags) => {
       if (!selectedClusterForTagging) return;
@@ -3923,41 +4156,85 @@ export default function UnifiedSearchModal({
         return;
       }
 
-      if (result.groups.length === 0) {
+      // Version chains (report_v1, report_v2_final) are resolved in the same modal
+      let versionChains = [];
+      try {
+        const chainResult = await window.electronAPI?.embeddings?.findVersionChains?.({
+          maxResults: 30
+        });
+        if (chainResult?.success && Array.isArray(chainResult.groups)) {
+          versionChains = chainResult.groups;
+        }
+      } catch (chainError) {
+        logger.warn('[Graph] Find version chains failed', { error: chainError?.message });
+      }
+
+      // Resized copies, re-encoded JPEGs and burst shots, by perceptual hash
+      let similarImages = [];
+      try {
+        const imageResult = await window.electronAPI?.analysisHistory?.findSimilarImages?.({
+          maxResults: 30
+        });
+        if (imageResult?.success && Array.isArray(imageResult.groups)) {
+          similarImages = imageResult.groups;
+        }
+      } catch (imageError) {
+        logger.warn('[Graph] Find similar images failed', { error: imageError?.message });
+      }
+
+      if (result.groups.length === 0 && versionChains.length === 0 && similarImages.length === 0) {
         setGraphStatus('No duplicate files found');
         return;
       }
 
-      const normalizedGroups = (Array.isArray(result.groups) ? result.groups : []).map(
-        (group, groupIndex) => {
-          const normalizedMembers = (Array.isArray(group?.members) ? group.members : [])
-            .map((member, memberIndex) => {
-              const filePath =
-                member?.path ||
-                member?.filePath ||
-                member?.metadata?.path ||
-                member?.originalPath ||
-                '';
-              const memberId = member?.id || filePath || `dup:${groupIndex}:${memberIndex}`;
-              return {
-                id: memberId,
-                path: filePath,
-                name:
-                  member?.name ||
-                  member?.fileName ||
-                  member?.metadata?.name ||
-                  safeBasename(filePath || memberId),
-                size: Number(member?.size ?? member?.fileSize ?? member?.metadata?.size ?? 0)
-              };
-            })
-            .filter((member) => Boolean(member.id));
+      const normalizedGroups = [
+        ...(Array.isArray(result.groups) ? result.groups : []),
+        ...versionChains,
+        ...similarImages
+      ].map((group, groupIndex) => {
+        const normalizedMembers = (Array.isArray(group?.members) ? group.members : [])
+          .map((member, memberIndex) => {
+            const filePath =
+              member?.path ||
+              member?.filePath ||
+              member?.metadata?.path ||
+              member?.originalPath ||
+              '';
+            const memberId = member?.id || filePath || `dup:${groupIndex}:${memberIndex}`;
+            return {
+              id: memberId,
+              path: filePath,
+              name:
+                member?.name ||
+                member?.fileName ||
+                member?.metadata?.name ||
+                safeBasename(filePath || memberId),
+              size: Number(member?.size ?? member?.fileSize ?? member?.metadata?.size ?? 0),
+              ...(group?.kind === 'version-chain'
+                ? {
+                    versionLabel: member?.versionLabel,
+                    isLatest: Boolean(member?.isLatest),
+                    modified: member?.modified
+                  }
+                : {}),
+              ...(group?.kind === 'similar-images'
+                ? {
+                    width: member?.width,
+                    height: member?.height,
+                    sharpness: member?.sharpness,
+                    matchType: member?.matchType,
+                    isBestPick: Boolean(member?.isBestPick)
+                  }
+                : {})
+            };
+          })
+          .filter((member) => Boolean(member.id));
 
-          return {
-            ...group,
-            members: normalizedMembers
-          };
-        }
-      );
+        return {
+          ...group,
+          members: normalizedMembers
+        };
+      });
 
       if (normalizedGroups.length === 0) {
         setGraphStatus('No duplicate files found');
@@ -3967,8 +4244,12 @@ export default function UnifiedSearchModal({
       // Store duplicate groups
       setDuplicateGroups(normalizedGroups);
 
-      // Display duplicates as special cluster nodes
-      const dupNodes = normalizedGroups.map((group, idx) => ({
+      // Display duplicates as special cluster nodes (version chains and photo
+      // groups are listed by file path, not graph node, so only the modal shows them)
+      const graphGroups = normalizedGroups.filter(
+        (group) => group.kind !== 'version-chain' && group.kind !== 'similar-images'
+      );
+      const dupNodes = graphGroups.map((group, idx) => ({
         id: group.id,
         type: 'clusterNode',
         position: defaultNodePosition(idx),
@@ -3990,6 +4271,7 @@ export default function UnifiedSearchModal({
           onSearchWithinCluster: handleSearchWithinCluster,
           onRenameCluster: handleRenameCluster,
           onTagCluster: handleTagCluster,
+          onWriteReport: handleWriteClusterReport,
           // Expand/collapse callback
           onExpand: handleClusterExpand
         },
@@ -4000,7 +4282,13 @@ export default function UnifiedSearchModal({
       graphActions.setEdges([]);
       setShowClusters(false);
       setGraphStatus(
-        `Found ${result.groups.length} duplicate group(s) with ${result.totalDuplicates} files`
+        [
+          `Found ${result.groups.length} duplicate group(s) with ${result.totalDuplicates} files`,
+          versionChains.length > 0 ? `${versionChains.length} version chain(s)` : null,
+          similarImages.length > 0 ? `${similarImages.length} similar photo group(s)` : null
+        ]
+          .filter(Boolean)
+          .join(', ')
       );
     } catch (e) {
       logger.error('[Graph] Find duplicates failed', e);
@@ -4015,6 +4303,7 @@ export default function UnifiedSearchModal({
     handleOpenAllFilesInCluster,
     handleSearchWithinCluster,
     handleTagCluster,
+    handleWriteClusterReport,
     handleRenameCluster,
     handleClusterExpand,
     graphActions
@@ -4381,6 +4670,19 @@ export default function UnifiedSearchModal({
     };
   }, [selectedSearchResult, selectedNode, freshMetadata, activeTab]);
 
+  // Ranking options for type-to-search; also stored with new saved searches
+  const searchRunOptions = useMemo(
+    () => ({
+      topK: defaultTopK,
+      mode: 'hybrid',
+      correctSpelling: true,
+      expandSynonyms: true,
+      rerank: true, // Enable LLM re-ranking
+      rerankTopN: 10 // Re-rank top 10 results
+    }),
+    [defaultTopK]
+  );
+
   useEffect(() => {
     if (activeTab !== 'search') return undefined;
     let cancelled = false;
@@ -4405,19 +4707,16 @@ export default function UnifiedSearchModal({
       try {
         logger.info('[KnowledgeOS] Search started', {
           queryLength: q.length,
-          topK: defaultTopK,
+          topK: searchRunOptions.topK,
           mode: 'hybrid'
         });
 
+        // A saved search runs with its stored options and reports which files are new
+        const savedSearch = activeSavedSearch?.query === q.trim() ? activeSavedSearch : null;
         // Use hybrid search with LLM re-ranking for top results
-        const response = await window.electronAPI?.embeddings?.search?.(q, {
-          topK: defaultTopK,
-          mode: 'hybrid',
-          correctSpelling: true,
-          expandSynonyms: true,
-          rerank: true, // Enable LLM re-ranking
-          rerankTopN: 10 // Re-rank top 10 results
-        });
+        const response = savedSearch
+          ? await window.electronAPI?.knowledge?.runSavedSearch?.(savedSearch.id)
+          : await window.electronAPI?.embeddings?.search?.(q, searchRunOptions);
         if (cancelled) return;
         if (lastSearchRef.current !== requestId) return;
 
@@ -4429,7 +4728,13 @@ export default function UnifiedSearchModal({
           return;
         }
 
-        const next = validation.results;
+        const newMatchIds = new Set(savedSearch ? response.newMatchIds || [] : []);
+        const next =
+          newMatchIds.size > 0
+            ? validation.results.map((r) =>
+                newMatchIds.has(r.id) ? { ...r, isNewMatch: true } : r
+              )
+            : validation.results;
         setSearchResults(next);
         setSelectedSearchId(next[0]?.id || null);
         setBulkSelectedIds(new Set()); // Clear bulk selection on new results
@@ -4473,7 +4778,14 @@ export default function UnifiedSearchModal({
       cancelled = true;
     };
     // searchRefreshTrigger triggers re-search when files are moved/deleted
-  }, [debouncedQuery, isOpen, defaultTopK, activeTab, searchRefreshTrigger]);
+  }, [
+    debouncedQuery,
+    isOpen,
+    searchRunOptions,
+    activeTab,
+    searchRefreshTrigger,
+    activeSavedSearch
+  ]);
 
   const searchStatusLabel = useMemo(() => {
     if (isSearching) return 'Searching...';
@@ -4982,6 +5294,7 @@ export default function UnifiedSearchModal({
           onSearchWithinCluster: handleSearchWithinCluster,
           onRenameCluster: handleRenameCluster,
           onTagCluster: handleTagCluster,
+          onWriteReport: handleWriteClusterReport,
           onExpand: handleClusterExpand
         },
         draggable: true
@@ -5162,6 +5475,7 @@ export default function UnifiedSearchModal({
       handleOpenAllFilesInCluster,
       handleSearchWithinCluster,
       handleTagCluster,
+      handleWriteClusterReport,
       handleRenameCluster,
       handleClusterExpand
     ]
@@ -6431,6 +6745,11 @@ export default function UnifiedSearchModal({
         return;
       }
 
+      if (kind === 'entity') {
+        openEntityPage(node.data.entityId);
+        return;
+      }
+
       // Handle file node double-click
       if (kind === 'file') {
         graphActions.selectNode(node.id);
@@ -6438,7 +6757,7 @@ export default function UnifiedSearchModal({
         expandFromSelected(node);
       }
     },
-    [expandFromSelected, expandCluster, graphActions]
+    [expandFromSelected, expandCluster, graphActions, openEntityPage]
   );
 
   // ============================================================================
@@ -6624,6 +6943,7 @@ export default function UnifiedSearchModal({
 
   const miniMapNodeColor = useCallback((n) => {
     if (n.data?.kind === 'query') return '#6366f1'; // Indigo for queries
+    if (n.data?.kind === 'entity') return '#8b5cf6'; // Purple for people and organizations
     if (n.data?.kind === 'cluster' || n.data?.kind === 'duplicate') return '#f59e0b'; // Amber for clusters
     return '#3b82f6'; // Blue for files
   }, []);
@@ -6815,7 +7135,25 @@ export default function UnifiedSearchModal({
     async (resolutions) => {
       try {
         const filesToDelete = resolutions.flatMap((r) => r.delete.map((f) => f.path || f.id));
-        if (filesToDelete.length === 0) return;
+        // Older versions move next to the kept file as one undoable batch
+        const archiveOperations = resolutions.flatMap((r) =>
+          (r.archive || []).map((f) => ({
+            type: 'move',
+            source: f.path || f.id,
+            destination: getVersionArchivePath(r.keep.path, safeBasename(f.path || f.id))
+          }))
+        );
+        if (filesToDelete.length === 0 && archiveOperations.length === 0) return;
+
+        if (archiveOperations.length > 0) {
+          const result = await window.electronAPI.files.performOperation({
+            type: 'batch_organize',
+            operations: archiveOperations
+          });
+          if (!result?.success) {
+            throw new Error(result?.error || 'Failed to archive older versions');
+          }
+        }
 
         for (const filePath of filesToDelete) {
           await window.electronAPI.files.delete(filePath);
@@ -6985,6 +7323,12 @@ export default function UnifiedSearchModal({
                 icon={Network}
                 label="Relate"
               />
+              <TabButton
+                active={activeTab === 'timeline'}
+                onClick={() => setActiveTab('timeline')}
+                icon={CalendarRange}
+                label="Timeline"
+              />
             </div>
             <StatsDisplay
               stats={stats}
@@ -7080,6 +7424,39 @@ export default function UnifiedSearchModal({
               )}
             </div>
 
+            <SavedSearchesBar
+              query={query}
+              searchOptions={searchRunOptions}
+              activeSearchId={
+                activeSavedSearch?.query === query.trim() ? activeSavedSearch.id : null
+              }
+              onSelect={(search) => {
+                setActiveSavedSearch(search);
+                if (search) setQuery(search.query);
+              }}
+            />
+
+            <EntityMatchesBar
+              query={debouncedQuery}
+              activeEntityId={activeEntityId}
+              onSelect={(entity) => setActiveEntityId(entity?.id || null)}
+            />
+
+            {activeEntityId && (
+              <EntityPanel
+                entityId={activeEntityId}
+                onClose={() => setActiveEntityId(null)}
+                onSelectEntity={setActiveEntityId}
+                onSearchProject={(name) => {
+                  setActiveEntityId(null);
+                  setQuery(name);
+                }}
+                onOpenFile={openFile}
+                onRevealFile={revealFile}
+                onShowInGraph={GRAPH_FEATURE_FLAGS.SHOW_GRAPH ? handleShowEntityInGraph : undefined}
+              />
+            )}
+
             {/* Search mode fallback banner */}
             <SearchModeBanner meta={searchMeta} />
             <SearchDiagnosticsBanner meta={searchMeta} />
@@ -7119,6 +7496,26 @@ export default function UnifiedSearchModal({
                     <MessageSquare className="h-3.5 w-3.5" />
                     <span>Ask AI</span>
                   </Button>
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() =>
+                      setReportScope({
+                        type: 'search',
+                        query: query.trim() || undefined,
+                        items: searchResults
+                          .filter((r) => r.metadata?.path)
+                          .map((r) => ({
+                            path: r.metadata.path,
+                            name: r.metadata.name || safeBasename(r.metadata.path)
+                          }))
+                      })
+                    }
+                    title="Write a report over these results"
+                  >
+                    <FileText className="h-3.5 w-3.5" />
+                    <span>Report</span>
+                  </Button>
                   <div
                     className="flex items-center gap-1 bg-system-gray-100 rounded-lg p-0.5"
                     role="group"
@@ -7163,6 +7560,24 @@ export default function UnifiedSearchModal({
                   <FolderInput className="h-3.5 w-3.5" />
                   <span>Move</span>
                 </Button>
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() =>
+                    setReportScope({
+                      type: 'selection',
+                      items: searchResults
+                        .filter((r) => bulkSelectedIds.has(r.id) && r.metadata?.path)
+                        .map((r) => ({
+                          path: r.metadata.path,
+                          name: r.metadata.name || safeBasename(r.metadata.path)
+                        }))
+                    })
+                  }
+                >
+                  <FileText className="h-3.5 w-3.5" />
+                  <span>Report</span>
+                </Button>
                 <Button variant="ghost" size="sm" onClick={clearBulkSelection}>
                   Clear
                 </Button>
@@ -7415,7 +7830,22 @@ export default function UnifiedSearchModal({
                       >
                         <Copy className="h-4 w-4" />
                       </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        title="Write tags and summary into the file"
+                        aria-label="Write metadata to file"
+                        onClick={() => handleWriteMetadata(selectedSearchResult?.metadata?.path)}
+                      >
+                        <Tag className="h-4 w-4" />
+                      </Button>
                     </div>
+                    {metadataWrittenPath &&
+                      metadataWrittenPath === selectedSearchResult?.metadata?.path && (
+                        <Text variant="tiny" className="text-system-gray-500">
+                          Metadata written. Undo it from Action History.
+                        </Text>
+                      )}
                   </div>
                 ) : (
                   <div className="flex-1 flex flex-col items-center justify-center text-center">
@@ -7502,6 +7932,12 @@ export default function UnifiedSearchModal({
                     onAddToScope={handleAddToScope}
                     onRemoveFromScope={handleRemoveFromScope}
                     onClearScope={handleClearScope}
+                    onWriteReport={() =>
+                      setReportScope({
+                        type: 'selection',
+                        items: documentScope.map((item) => ({ path: item.path, name: item.name }))
+                      })
+                    }
                     onClose={() => setIsDocScopeOpen(false)}
                     className="w-56 shrink-0"
                   />
@@ -7533,6 +7969,17 @@ export default function UnifiedSearchModal({
           </div>
         )}
 
+        {/* Timeline Tab Content */}
+        {activeTab === 'timeline' && (
+          <div className="flex-1 min-h-[60vh] surface-panel flex flex-col p-4 overflow-hidden">
+            <TimelinePanel
+              query={debouncedQuery}
+              onOpenFile={openFile}
+              onSendToChat={handleSendRangeToChat}
+            />
+          </div>
+        )}
+
         {/* Graph Tab Content */}
         {GRAPH_FEATURE_FLAGS.SHOW_GRAPH && activeTab === 'graph' && (
           <div
@@ -8420,6 +8867,18 @@ export default function UnifiedSearchModal({
                           <LayoutGrid className="h-4 w-4" />
                           <span>{isLayouting ? 'Organizing...' : 'Re-organize Layout'}</span>
                         </Button>
+
+                        <Button
+                          variant="secondary"
+                          size="sm"
+                          onClick={handleShowGraphEntities}
+                          disabled={!nodes.some((n) => n.data?.kind === 'file')}
+                          className="w-full justify-center h-9 text-xs font-semibold shadow-sm"
+                          title="Add the people and organizations these files mention"
+                        >
+                          <Users className="h-4 w-4" />
+                          <span>Show People &amp; Organizations</span>
+                        </Button>
                       </div>
 
                       {showClusters && (
@@ -9981,6 +10440,12 @@ export default function UnifiedSearchModal({
         clusterName={selectedClusterForTagging?.label}
         onApplyTags={handleApplyTags}
       />
+      {/* Report Dialog */}
+      <ReportDialog
+        isOpen={Boolean(reportScope)}
+        onClose={() => setReportScope(null)}
+        scope={reportScope}
+      />
     </Modal>
   );
 }
@@ -9989,5 +10454,5 @@ UnifiedSearchModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
   defaultTopK: PropTypes.number,
-  initialTab: PropTypes.oneOf(['search', 'chat', 'graph'])
+  initialTab: PropTypes.oneOf(['search', 'chat', 'graph', 'timeline'])
 };
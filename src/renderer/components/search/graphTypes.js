@@ -12,6 +12,7 @@ import ClusterNode from './ClusterNode';
 import FileNode from './nodes/FileNode';
 import FolderNode from './nodes/FolderNode';
 import QueryNode from './nodes/QueryNode';
+import EntityNode from './nodes/EntityNode';
 import SimilarityEdge from './SimilarityEdge';
 import QueryMatchEdge from './QueryMatchEdge';
 import SmartStepEdge from './SmartStepEdge';
@@ -30,6 +31,7 @@ const localNodeTypes = cachedNodeTypes
       fileNode: FileNode,
       folderNode: FolderNode,
       queryNode: QueryNode,
+      entityNode: EntityNode,
       clusterNode: ClusterNode
     });
 
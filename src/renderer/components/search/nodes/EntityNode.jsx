@@ -0,0 +1,58 @@
+import React, { memo } from 'react';
+import PropTypes from 'prop-types';
+import { Handle, Position } from 'reactflow';
+import { ENTITY_TYPE_ICONS } from '../EntityPanel';
+
+const EntityNode = memo(({ data, selected }) => {
+  const Icon = ENTITY_TYPE_ICONS[data?.entityType] || ENTITY_TYPE_ICONS.other;
+  const label = data?.label || '';
+
+  return (
+    <div
+      className={`
+        relative px-3 py-2 rounded-full border-2 shadow-sm w-[200px] overflow-hidden
+        transition-colors duration-200 cursor-pointer
+        ${
+          selected
+            ? 'border-stratosort-purple bg-stratosort-purple/10 shadow-md ring-2 ring-stratosort-purple/30'
+            : 'border-stratosort-purple/30 bg-stratosort-purple/5 hover:border-stratosort-purple/50'
+        }
+      `}
+      title="Double-click to open the entity page"
+    >
+      <Handle type="target" position={Position.Left} className="!bg-stratosort-purple !w-2 !h-2" />
+      <div className="flex items-center gap-2">
+        <Icon className="w-4 h-4 text-stratosort-purple shrink-0" />
+        <div className="flex-1 min-w-0">
+          <div
+            className="file-node-label text-xs font-medium text-[var(--color-system-gray-900)] truncate"
+            title={label}
+          >
+            {label}
+          </div>
+          <div className="text-[10px] text-system-gray-500">
+            {data?.typeLabel || 'Entity'}
+            {typeof data?.docCount === 'number' &&
+              ` · ${data.docCount} ${data.docCount === 1 ? 'document' : 'documents'}`}
+          </div>
+        </div>
+      </div>
+      <Handle type="source" position={Position.Right} className="!bg-stratosort-purple !w-2 !h-2" />
+    </div>
+  );
+});
+
+EntityNode.displayName = 'EntityNode';
+
+EntityNode.propTypes = {
+  data: PropTypes.shape({
+    label: PropTypes.string,
+    entityId: PropTypes.string,
+    entityType: PropTypes.string,
+    typeLabel: PropTypes.string,
+    docCount: PropTypes.number
+  }),
+  selected: PropTypes.bool
+};
+
+export default EntityNode;
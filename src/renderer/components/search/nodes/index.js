@@ -4,3 +4,4 @@
 export { default as FileNode } from './FileNode';
 export { default as FolderNode } from './FolderNode';
 export { default as QueryNode } from './QueryNode';
+export { default as EntityNode } from './EntityNode';
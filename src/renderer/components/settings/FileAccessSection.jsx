@@ -0,0 +1,140 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelector } from 'react-redux';
+import { FolderLock, Trash2 } from 'lucide-react';
+import Button from '../ui/Button';
+import IconButton from '../ui/IconButton';
+import Textarea from '../ui/Textarea';
+import SettingRow from './SettingRow';
+import SettingsCard from './SettingsCard';
+import { Text } from '../ui/Typography';
+import { selectRedactPaths } from '../../store/selectors';
+import { findInvalidPatterns } from '../../../shared/ignorePatterns';
+
+const toPatternList = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+/**
+ * Exclusion patterns and privacy zones (enforced by FileAccessPolicy in main)
+ */
+function FileAccessSection({ settings, setSettings }) {
+  const redactPaths = useSelector(selectRedactPaths);
+  const privacyZones = Array.isArray(settings?.privacyZones) ? settings.privacyZones : [];
+  // Keep the raw text so blank lines survive while typing
+  const [patternText, setPatternText] = useState(() =>
+    (Array.isArray(settings?.exclusionPatterns) ? settings.exclusionPatterns : []).join('\n')
+  );
+  const invalidPatterns = useMemo(
+    () => findInvalidPatterns(toPatternList(patternText)),
+    [patternText]
+  );
+
+  const handlePatternsChange = useCallback(
+    (e) => {
+      const text = e.target.value;
+      setPatternText(text);
+      setSettings((prev) => ({ ...prev, exclusionPatterns: toPatternList(text) }));
+    },
+    [setSettings]
+  );
+
+  const handleAddZone = useCallback(async () => {
+    try {
+      if (!window?.electronAPI?.files?.selectDirectory) return;
+      const res = await window.electronAPI.files.selectDirectory();
+      if (res?.success && res.path) {
+        setSettings((prev) => {
+          const zones = Array.isArray(prev.privacyZones) ? prev.privacyZones : [];
+          if (zones.includes(res.path)) return prev;
+          return { ...prev, privacyZones: [...zones, res.path] };
+        });
+      }
+    } catch {
+      // Ignore selection errors
+    }
+  }, [setSettings]);
+
+  const handleRemoveZone = useCallback(
+    (zone) => {
+      setSettings((prev) => ({
+        ...prev,
+        privacyZones: (Array.isArray(prev.privacyZones) ? prev.privacyZones : []).filter(
+          (item) => item !== zone
+        )
+      }));
+    },
+    [setSettings]
+  );
+
+  return (
+    <SettingsCard
+      title="Exclusions and privacy"
+      description="Keep files out of StratoSort entirely, or let it organize them without reading them."
+    >
+      <SettingRow
+        layout="col"
+        label="Excluded files"
+        description="One gitignore-style pattern per line, such as *.log or Archive/. Matching files are never analyzed, watched, searched or used in chat. A .stratoignore file in any folder works the same way for that folder."
+      >
+        <Textarea
+          value={patternText}
+          onChange={handlePatternsChange}
+          rows={4}
+          className="w-full font-mono text-sm"
+          placeholder={'*.tmp\nnode_modules/\nPersonal/Taxes/'}
+          aria-label="Excluded file patterns"
+          error={invalidPatterns.length > 0 ? `Invalid pattern: ${invalidPatterns.join(', ')}` : ''}
+        />
+      </SettingRow>
+
+      <SettingRow
+        layout="col"
+        label="Privacy zones"
+        description="Files in these folders are organized by name and extension only. Their content is never extracted, embedded or sent to chat."
+      >
+        {privacyZones.length > 0 && (
+          <ul className="flex flex-col gap-2">
+            {privacyZones.map((zone) => (
+              <li
+                key={zone}
+                className="flex items-center justify-between gap-2 p-2 rounded-lg border border-border-soft bg-surface-primary"
+              >
+                <Text variant="small" className="truncate text-system-gray-700">
+                  {redactPaths ? '••••••' : zone}
+                </Text>
+                <IconButton
+                  icon={<Trash2 className="w-4 h-4" />}
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleRemoveZone(zone)}
+                  aria-label="Remove privacy zone"
+                  title="Remove"
+                />
+              </li>
+            ))}
+          </ul>
+        )}
+        <Button
+          onClick={handleAddZone}
+          variant="secondary"
+          type="button"
+          leftIcon={<FolderLock className="w-4 h-4" />}
+          size="sm"
+          className="w-full sm:w-auto justify-center"
+        >
+          Add privacy zone
+        </Button>
+      </SettingRow>
+    </SettingsCard>
+  );
+}
+
+FileAccessSection.propTypes = {
+  settings: PropTypes.object,
+  setSettings: PropTypes.func.isRequired
+};
+
+export default FileAccessSection;
@@ -0,0 +1,60 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Switch from '../ui/Switch';
+import SettingRow from './SettingRow';
+import SettingsCard from './SettingsCard';
+import { isLinux } from '../../utils/platform';
+
+const FORMATS = [
+  {
+    key: 'writeMetadataSidecar',
+    label: 'XMP sidecar files',
+    description: 'Write a .xmp file next to each file. Works for every file type.'
+  },
+  {
+    key: 'writeMetadataImages',
+    label: 'Embed in images',
+    description: 'Add XMP to JPEG and PNG files without re-encoding the image.'
+  },
+  {
+    key: 'writeMetadataPdf',
+    label: 'Embed in PDFs',
+    description: 'Update the PDF document properties (keywords, subject, category).'
+  },
+  {
+    key: 'writeMetadataOffice',
+    label: 'Embed in Office documents',
+    description: 'Set tags, category and comments in Word, Excel and PowerPoint files.'
+  },
+  {
+    key: 'writeMetadataXattr',
+    label: 'Extended attributes',
+    description: 'Store tags and comments as user.* attributes (requires the attr package).',
+    linuxOnly: true
+  }
+];
+
+function MetadataWritebackSection({ settings, setSettings }) {
+  return (
+    <SettingsCard
+      title="Metadata write-back"
+      description="Write tags, category, summary and document date into your files so other apps can read them. Each write can be undone from Action History."
+    >
+      {FORMATS.filter((format) => !format.linuxOnly || isLinux).map((format) => (
+        <SettingRow key={format.key} label={format.label} description={format.description}>
+          <Switch
+            checked={settings?.[format.key] === true}
+            onChange={(checked) => setSettings((prev) => ({ ...prev, [format.key]: checked }))}
+          />
+        </SettingRow>
+      ))}
+    </SettingsCard>
+  );
+}
+
+MetadataWritebackSection.propTypes = {
+  settings: PropTypes.object,
+  setSettings: PropTypes.func.isRequired
+};
+
+export default MetadataWritebackSection;
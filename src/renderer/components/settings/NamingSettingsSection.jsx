@@ -1,9 +1,11 @@
 import React, { useCallback } from 'react';
 import PropTypes from 'prop-types';
 import Select from '../ui/Select';
+import Input from '../ui/Input';
 import SettingRow from './SettingRow';
 import SettingsCard from './SettingsCard';
-import { normalizeSeparator } from '../../../shared/namingConventions';
+import { normalizeSeparator, generatePreviewName } from '../../../shared/namingConventions';
+import { validateNamingTemplate } from '../../../shared/namingTemplates';
 
 /**
  * NamingSettingsSection - Settings section for file naming conventions
@@ -43,6 +45,15 @@ function NamingSettingsSection({ settings, setSettings }) {
     [updateSetting]
   );
 
+  const handleTemplateChange = useCallback(
+    (e) => updateSetting('namingTemplate', e.target.value),
+    [updateSetting]
+  );
+
+  const isCustom = settings.namingConvention === 'custom';
+  const namingTemplate = settings.namingTemplate ?? '';
+  const templateCheck = validateNamingTemplate(namingTemplate);
+
   return (
     <SettingsCard
       title="File naming defaults"
@@ -62,6 +73,7 @@ function NamingSettingsSection({ settings, setSettings }) {
             <option value="project-subject-date">project-subject-date</option>
             <option value="category-subject">category-subject</option>
             <option value="keep-original">keep-original</option>
+            <option value="custom">custom template</option>
           </Select>
         </SettingRow>
 
@@ -116,6 +128,34 @@ function NamingSettingsSection({ settings, setSettings }) {
             <option value="_">_ (underscore)</option>
           </Select>
         </SettingRow>
+
+        {isCustom && (
+          <SettingRow
+            layout="col"
+            label="Template"
+            className="md:col-span-2 lg:col-span-4"
+            description={
+              templateCheck.valid
+                ? `Example: ${generatePreviewName('Sample Document.pdf', {
+                    convention: 'custom',
+                    separator: separatorValue,
+                    dateFormat: settings.dateFormat || 'YYYY-MM-DD',
+                    caseConvention: settings.caseConvention,
+                    template: namingTemplate
+                  })}`
+                : 'Use tokens like {date:YYYY-MM-DD}, {entity|project|Unknown}, {summary:30} and {counter:3}.'
+            }
+          >
+            <Input
+              id="settings-naming-template"
+              value={namingTemplate}
+              onChange={handleTemplateChange}
+              placeholder="{date:YYYY-MM-DD}_{entity}_{type}"
+              aria-label="Naming template"
+              error={templateCheck.valid ? '' : templateCheck.errors[0]}
+            />
+          </SettingRow>
+        )}
       </div>
     </SettingsCard>
   );
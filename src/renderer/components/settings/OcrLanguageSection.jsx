@@ -0,0 +1,192 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Download, Trash2 } from 'lucide-react';
+import Button from '../ui/Button';
+import IconButton from '../ui/IconButton';
+import Switch from '../ui/Switch';
+import SettingRow from './SettingRow';
+import SettingsCard from './SettingsCard';
+import { Text } from '../ui/Typography';
+import { createLogger } from '../../../shared/logger';
+import { formatBytes } from '../../utils/format';
+import { llamaIpc, eventsIpc } from '../../services/ipc';
+import { normalizeOcrLanguages, MAX_OCR_LANGUAGES } from '../../../shared/ocrLanguages';
+
+const logger = createLogger('OcrLanguageSection');
+
+/**
+ * OCR language packs: download, remove and pick the languages used for
+ * scanned documents and images
+ */
+function OcrLanguageSection({ settings, setSettings, addNotification }) {
+  const [languages, setLanguages] = useState([]);
+  const [progress, setProgress] = useState({}); // code -> percent
+  const isMountedRef = useRef(true);
+  // Read through a ref so the progress subscription is not re-created on every render
+  const notifyRef = useRef(addNotification);
+  notifyRef.current = addNotification;
+  const preferred = normalizeOcrLanguages(settings?.ocrLanguages);
+
+  const loadLanguages = useCallback(async () => {
+    try {
+      const res = await llamaIpc.getOcrLanguages();
+      if (isMountedRef.current && res?.success) setLanguages(res.languages || []);
+    } catch (e) {
+      logger.debug('[OcrLanguageSection] getOcrLanguages failed', { error: e?.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    loadLanguages();
+    let unsubscribe;
+    try {
+      unsubscribe = eventsIpc.onOperationProgress((evt) => {
+        if (!evt?.type?.startsWith('ocr-language-download') || !evt.language) return;
+        if (evt.type === 'ocr-language-download') {
+          setProgress((prev) => ({ ...prev, [evt.language]: evt.progress?.percent || 0 }));
+          return;
+        }
+        setProgress((prev) => {
+          const next = { ...prev };
+          delete next[evt.language];
+          return next;
+        });
+        if (evt.type === 'ocr-language-download-error') {
+          notifyRef.current?.(
+            `Language pack download failed: ${evt.error || 'unknown error'}`,
+            'error'
+          );
+        }
+        loadLanguages();
+      });
+    } catch {
+      // Non-fatal if progress subscription fails
+    }
+    return () => {
+      isMountedRef.current = false;
+      if (typeof unsubscribe === 'function') unsubscribe();
+    };
+  }, [loadLanguages]);
+
+  const handleToggle = useCallback(
+    (code, enabled) => {
+      setSettings((prev) => {
+        const current = normalizeOcrLanguages(prev.ocrLanguages);
+        const next = enabled
+          ? [...current.filter((item) => item !== code), code]
+          : current.filter((item) => item !== code);
+        return { ...prev, ocrLanguages: normalizeOcrLanguages(next) };
+      });
+    },
+    [setSettings]
+  );
+
+  const handleDownload = useCallback(
+    async (code) => {
+      setProgress((prev) => ({ ...prev, [code]: 0 }));
+      try {
+        const res = await llamaIpc.downloadOcrLanguage(code);
+        if (!res?.success) throw new Error(res?.error || 'Download failed');
+      } catch (e) {
+        setProgress((prev) => {
+          const next = { ...prev };
+          delete next[code];
+          return next;
+        });
+        addNotification?.(`Language pack download failed: ${e.message}`, 'error');
+      }
+    },
+    [addNotification]
+  );
+
+  const handleDelete = useCallback(
+    async (code) => {
+      try {
+        const res = await llamaIpc.deleteOcrLanguage(code);
+        if (!res?.success) throw new Error(res?.error || 'Delete failed');
+        handleToggle(code, false);
+        await loadLanguages();
+      } catch (e) {
+        addNotification?.(`Could not remove language pack: ${e.message}`, 'error');
+      }
+    },
+    [addNotification, handleToggle, loadLanguages]
+  );
+
+  return (
+    <SettingsCard
+      title="OCR languages"
+      description={`Languages used to read text in scanned documents and images. Pick up to ${MAX_OCR_LANGUAGES}; each extra language makes OCR slower. The detected language is stored with each file and can be searched with lang:.`}
+    >
+      {languages.map((language) => {
+        const usable = language.builtin || language.installed;
+        const isDownloading = language.downloading || progress[language.code] !== undefined;
+        const enabled = preferred.includes(language.code);
+        return (
+          <SettingRow
+            key={language.code}
+            label={language.name}
+            description={
+              language.builtin
+                ? 'Included'
+                : language.installed
+                  ? `Installed${language.sizeBytes ? ` (${formatBytes(language.sizeBytes)})` : ''}`
+                  : language.downloadable === false
+                    ? 'Not available for download'
+                    : 'Not downloaded'
+            }
+          >
+            <div className="flex items-center gap-2">
+              {!language.builtin && language.installed && (
+                <IconButton
+                  icon={<Trash2 className="w-4 h-4" />}
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => handleDelete(language.code)}
+                  aria-label={`Remove ${language.name} language pack`}
+                  title="Remove"
+                />
+              )}
+              {!usable &&
+                language.downloadable !== false &&
+                (isDownloading ? (
+                  <Text variant="tiny" className="text-system-gray-500">
+                    {`Downloading… ${progress[language.code] || 0}%`}
+                  </Text>
+                ) : (
+                  <Button
+                    onClick={() => handleDownload(language.code)}
+                    variant="secondary"
+                    type="button"
+                    size="sm"
+                    leftIcon={<Download className="w-4 h-4" />}
+                  >
+                    Download
+                  </Button>
+                ))}
+              <Switch
+                checked={enabled}
+                disabled={
+                  !usable ||
+                  (enabled && preferred.length === 1) ||
+                  (!enabled && preferred.length >= MAX_OCR_LANGUAGES)
+                }
+                onChange={(checked) => handleToggle(language.code, checked)}
+                aria-label={`Use ${language.name} for OCR`}
+              />
+            </div>
+          </SettingRow>
+        );
+      })}
+    </SettingsCard>
+  );
+}
+
+OcrLanguageSection.propTypes = {
+  settings: PropTypes.object,
+  setSettings: PropTypes.func.isRequired,
+  addNotification: PropTypes.func
+};
+
+export default OcrLanguageSection;
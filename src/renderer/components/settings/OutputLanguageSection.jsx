@@ -0,0 +1,96 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Select from '../ui/Select';
+import SettingRow from './SettingRow';
+import SettingsCard from './SettingsCard';
+import { Text } from '../ui/Typography';
+import { getLanguageName } from '../../../shared/ocrLanguages';
+import {
+  OUTPUT_LANGUAGE_CODES,
+  DEFAULT_OUTPUT_LANGUAGE_MODE,
+  DEFAULT_OUTPUT_LANGUAGE
+} from '../../../shared/outputLanguage';
+
+const MODE_OPTIONS = [
+  {
+    id: 'target',
+    label: 'Always use one language',
+    description: 'Summaries, names, folder descriptions and chat answers use the language below.'
+  },
+  {
+    id: 'document',
+    label: "Keep the document's language",
+    description:
+      'Results follow the language of each document, folder name or chat question. Images without text use the language below.'
+  },
+  {
+    id: 'both',
+    label: 'Both',
+    description:
+      'Summaries and keywords come in the document language and the language below; names use the language below.'
+  }
+];
+
+const LANGUAGE_OPTIONS = OUTPUT_LANGUAGE_CODES.map((code) => ({
+  code,
+  name: getLanguageName(code) || code
+})).sort((a, b) => a.name.localeCompare(b.name));
+
+function OutputLanguageSection({ settings, setSettings }) {
+  const mode = settings.outputLanguageMode || DEFAULT_OUTPUT_LANGUAGE_MODE;
+  const language = settings.outputLanguage || DEFAULT_OUTPUT_LANGUAGE;
+
+  return (
+    <SettingsCard
+      title="Output language"
+      description="Choose the language AI-generated summaries, keywords, file names and chat answers are written in."
+    >
+      <SettingRow layout="col" label="Mode">
+        <Select
+          value={mode}
+          onChange={(e) =>
+            setSettings((prev) => ({
+              ...prev,
+              outputLanguageMode: e.target.value
+            }))
+          }
+          className="w-full"
+        >
+          {MODE_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </Select>
+        <Text variant="tiny" className="text-system-gray-500 mt-1">
+          {MODE_OPTIONS.find((option) => option.id === mode)?.description || ''}
+        </Text>
+      </SettingRow>
+      <SettingRow layout="col" label="Language">
+        <Select
+          value={language}
+          onChange={(e) =>
+            setSettings((prev) => ({
+              ...prev,
+              outputLanguage: e.target.value
+            }))
+          }
+          className="w-full"
+        >
+          {LANGUAGE_OPTIONS.map((option) => (
+            <option key={option.code} value={option.code}>
+              {option.name}
+            </option>
+          ))}
+        </Select>
+      </SettingRow>
+    </SettingsCard>
+  );
+}
+
+OutputLanguageSection.propTypes = {
+  settings: PropTypes.object.isRequired,
+  setSettings: PropTypes.func.isRequired
+};
+
+export default OutputLanguageSection;
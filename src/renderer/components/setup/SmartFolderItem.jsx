@@ -8,7 +8,10 @@ import {
   ChevronDown,
   ChevronUp,
   FolderPlus,
-  Sparkles
+  Sparkles,
+  ListChecks,
+  FolderTree,
+  FileSignature
 } from 'lucide-react';
 import Button from '../ui/Button';
 import IconButton from '../ui/IconButton';
@@ -16,6 +19,9 @@ import Input from '../ui/Input';
 import Textarea from '../ui/Textarea';
 import Card from '../ui/Card';
 import StatusBadge from '../ui/StatusBadge';
+import SmartFolderRulesEditor from './SmartFolderRulesEditor';
+import SmartFolderSubpathEditor from './SmartFolderSubpathEditor';
+import SmartFolderNamingEditor from './SmartFolderNamingEditor';
 import { Heading, Text, Caption } from '../ui/Typography';
 import { formatDisplayPath } from '../../utils/pathDisplay';
 import { selectRedactPaths } from '../../store/selectors';
@@ -45,6 +51,9 @@ const SmartFolderItem = memo(function SmartFolderItem({
   // PERF: Use memoized selector instead of inline Boolean coercion
   const redactPaths = useSelector(selectRedactPaths);
   const displayPath = formatDisplayPath(folder.path || '', { redact: redactPaths, segments: 2 });
+  const activeRuleCount = Array.isArray(folder.rules)
+    ? folder.rules.filter((rule) => rule && rule.enabled !== false).length
+    : 0;
 
   useEffect(() => {
     setHasMounted(true);
@@ -224,6 +233,37 @@ const SmartFolderItem = memo(function SmartFolderItem({
           />
         </div>
 
+        <SmartFolderSubpathEditor
+          value={editingFolder.subpathTemplate || ''}
+          folderName={editingFolder.name || ''}
+          onChange={(subpathTemplate) =>
+            setEditingFolder((prev) => ({
+              ...(prev || folder),
+              subpathTemplate
+            }))
+          }
+        />
+
+        <SmartFolderNamingEditor
+          value={editingFolder.namingTemplate || ''}
+          onChange={(namingTemplate) =>
+            setEditingFolder((prev) => ({
+              ...(prev || folder),
+              namingTemplate
+            }))
+          }
+        />
+
+        <SmartFolderRulesEditor
+          rules={Array.isArray(editingFolder.rules) ? editingFolder.rules : []}
+          onChange={(rules) =>
+            setEditingFolder((prev) => ({
+              ...(prev || folder),
+              rules
+            }))
+          }
+        />
+
         <div className="flex justify-end gap-2">
           <Button onClick={onCancelEdit} disabled={isSavingEdit} variant="secondary" size="sm">
             Cancel
@@ -294,6 +334,34 @@ const SmartFolderItem = memo(function SmartFolderItem({
         </div>
       )}
 
+      {activeRuleCount > 0 && (
+        <div className="flex items-center gap-2 text-system-gray-600">
+          <ListChecks className="w-3.5 h-3.5 text-stratosort-blue" />
+          <Text variant="tiny">
+            {activeRuleCount} routing {activeRuleCount === 1 ? 'rule' : 'rules'} run before AI
+            matching
+          </Text>
+        </div>
+      )}
+
+      {folder.subpathTemplate && (
+        <div className="flex items-center gap-2 text-system-gray-600">
+          <FolderTree className="w-3.5 h-3.5 text-stratosort-blue" />
+          <Text variant="tiny" className="truncate" title={folder.subpathTemplate}>
+            Files go into subfolders: {folder.subpathTemplate}
+          </Text>
+        </div>
+      )}
+
+      {folder.namingTemplate && (
+        <div className="flex items-center gap-2 text-system-gray-600">
+          <FileSignature className="w-3.5 h-3.5 text-stratosort-blue" />
+          <Text variant="tiny" className="truncate" title={folder.namingTemplate}>
+            Files are named: {folder.namingTemplate}
+          </Text>
+        </div>
+      )}
+
       <div className="flex items-center justify-between border-t border-border-soft/50 mt-auto pt-3">
         <div className="flex items-center gap-1">
           {!folder.physicallyExists && (
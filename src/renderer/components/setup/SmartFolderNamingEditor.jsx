@@ -0,0 +1,69 @@
+import React, { memo, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FileSignature } from 'lucide-react';
+import Input from '../ui/Input';
+import { Text, Caption } from '../ui/Typography';
+import { validateNamingTemplate, renderNamingTemplate } from '../../../shared/namingTemplates';
+
+const PREVIEW_PARAMS = {
+  originalFileName: 'scan.pdf',
+  analysis: {
+    entity: 'Acme Corp',
+    type: 'Invoice',
+    category: 'Finance',
+    project: 'Website Redesign',
+    suggestedName: 'March hosting invoice',
+    summary: 'Monthly hosting invoice',
+    date: '2026-03-14'
+  },
+  counter: 1
+};
+
+/**
+ * Editor for a smart folder's naming template. When set, it replaces the
+ * global naming convention for files organized into this folder.
+ */
+const SmartFolderNamingEditor = memo(function SmartFolderNamingEditor({ value = '', onChange }) {
+  const trimmed = value.trim();
+  const { valid, errors } = trimmed ? validateNamingTemplate(trimmed) : { valid: true, errors: [] };
+  const preview = useMemo(
+    () => (trimmed && valid ? renderNamingTemplate(trimmed, PREVIEW_PARAMS) : ''),
+    [trimmed, valid]
+  );
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center gap-2">
+        <FileSignature className="w-4 h-4 text-stratosort-blue" />
+        <Caption className="text-stratosort-blue">File name template</Caption>
+      </div>
+      <Input
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="e.g. {date:YYYY-MM-DD}_{entity}_{type}"
+        aria-label="File name template"
+        invalid={!valid}
+      />
+      {!valid ? (
+        <Text variant="tiny" className="text-stratosort-danger">
+          {errors[0]}
+        </Text>
+      ) : preview ? (
+        <Text variant="tiny" className="text-system-gray-500">
+          Example: {preview}.pdf
+        </Text>
+      ) : (
+        <Text variant="tiny" className="text-system-gray-500">
+          Optional. Overrides the naming convention for files placed in this folder.
+        </Text>
+      )}
+    </div>
+  );
+});
+
+SmartFolderNamingEditor.propTypes = {
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired
+};
+
+export default SmartFolderNamingEditor;
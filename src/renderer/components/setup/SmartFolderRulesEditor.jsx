@@ -0,0 +1,253 @@
+import React, { memo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { Plus, Trash2, X, ListChecks } from 'lucide-react';
+import Button from '../ui/Button';
+import IconButton from '../ui/IconButton';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Switch from '../ui/Switch';
+import { Text, Caption } from '../ui/Typography';
+import {
+  RULE_FIELDS,
+  OPERATORS_BY_KIND,
+  MAX_RULES_PER_FOLDER,
+  MAX_CONDITIONS_PER_RULE,
+  validateRule
+} from '../../../shared/smartFolderRules';
+
+const OPERATOR_LABELS = {
+  equals: 'is',
+  notEquals: 'is not',
+  contains: 'contains',
+  notContains: 'does not contain',
+  startsWith: 'starts with',
+  endsWith: 'ends with',
+  matches: 'matches regex',
+  in: 'is one of',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤',
+  on: 'is on',
+  before: 'is before',
+  after: 'is after',
+  withinDays: 'within last N days',
+  olderThanDays: 'older than N days'
+};
+
+const VALUE_PLACEHOLDERS = {
+  string: 'Value',
+  number: 'e.g. 5mb',
+  date: 'YYYY-MM-DD',
+  list: 'Keyword'
+};
+
+function createCondition() {
+  return { field: 'extension', operator: 'equals', value: '' };
+}
+
+function createRule(existingRules) {
+  return {
+    id: `rule-${Date.now().toString(36)}-${existingRules.length + 1}`,
+    name: `Rule ${existingRules.length + 1}`,
+    enabled: true,
+    match: 'all',
+    conditions: [createCondition()]
+  };
+}
+
+function getValuePlaceholder(condition) {
+  const kind = RULE_FIELDS[condition.field]?.kind;
+  if (condition.operator === 'withinDays' || condition.operator === 'olderThanDays') return 'Days';
+  if (condition.operator === 'matches') return '^INV-\\d+';
+  if (condition.operator === 'in') return '.dwg, .dxf';
+  return VALUE_PLACEHOLDERS[kind] || 'Value';
+}
+
+/**
+ * Editor for a smart folder's deterministic routing rules.
+ * Rules are evaluated in order before AI matching; the first match wins.
+ */
+const SmartFolderRulesEditor = memo(function SmartFolderRulesEditor({ rules = [], onChange }) {
+  const updateRule = useCallback(
+    (ruleIndex, patch) => {
+      onChange(rules.map((rule, i) => (i === ruleIndex ? { ...rule, ...patch } : rule)));
+    },
+    [rules, onChange]
+  );
+
+  const updateCondition = useCallback(
+    (ruleIndex, conditionIndex, patch) => {
+      const rule = rules[ruleIndex];
+      const conditions = rule.conditions.map((condition, i) => {
+        if (i !== conditionIndex) return condition;
+        const next = { ...condition, ...patch };
+        // Keep the operator valid when the field kind changes
+        const operators = OPERATORS_BY_KIND[RULE_FIELDS[next.field]?.kind] || [];
+        if (!operators.includes(next.operator)) next.operator = operators[0];
+        return next;
+      });
+      updateRule(ruleIndex, { conditions });
+    },
+    [rules, updateRule]
+  );
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <ListChecks className="w-4 h-4 text-stratosort-blue" />
+          <Caption className="text-stratosort-blue">Routing rules</Caption>
+        </div>
+        <Button
+          type="button"
+          variant="subtle"
+          size="sm"
+          onClick={() => onChange([...rules, createRule(rules)])}
+          disabled={rules.length >= MAX_RULES_PER_FOLDER}
+          leftIcon={<Plus className="w-4 h-4" />}
+        >
+          Add rule
+        </Button>
+      </div>
+
+      {rules.length === 0 && (
+        <Text variant="tiny" className="text-system-gray-500">
+          No rules. Files are matched by the folder description and AI analysis only.
+        </Text>
+      )}
+
+      {rules.map((rule, ruleIndex) => {
+        const { valid, errors } = validateRule(rule);
+        return (
+          <div
+            key={rule.id || ruleIndex}
+            className="flex flex-col gap-2 rounded-xl border border-border-soft p-3"
+          >
+            <div className="flex items-center gap-2">
+              <Switch
+                checked={rule.enabled !== false}
+                onChange={(checked) => updateRule(ruleIndex, { enabled: checked })}
+                aria-label="Rule enabled"
+              />
+              <Input
+                value={rule.name || ''}
+                onChange={(e) => updateRule(ruleIndex, { name: e.target.value })}
+                placeholder="Rule name"
+                className="flex-1"
+                aria-label="Rule name"
+              />
+              <Select
+                value={rule.match === 'any' ? 'any' : 'all'}
+                onChange={(e) => updateRule(ruleIndex, { match: e.target.value })}
+                aria-label="Condition matching"
+                className="w-40"
+              >
+                <option value="all">Match all</option>
+                <option value="any">Match any</option>
+              </Select>
+              <IconButton
+                type="button"
+                onClick={() => onChange(rules.filter((_, i) => i !== ruleIndex))}
+                icon={<Trash2 className="w-4 h-4" />}
+                size="sm"
+                variant="ghost"
+                className="text-stratosort-danger hover:bg-stratosort-danger/10"
+                aria-label="Remove rule"
+                title="Remove rule"
+              />
+            </div>
+
+            {(rule.conditions || []).map((condition, conditionIndex) => {
+              const kind = RULE_FIELDS[condition.field]?.kind || 'string';
+              return (
+                <div key={conditionIndex} className="flex items-center gap-2 pl-8">
+                  <Select
+                    value={condition.field}
+                    onChange={(e) =>
+                      updateCondition(ruleIndex, conditionIndex, { field: e.target.value })
+                    }
+                    aria-label="Condition field"
+                    className="w-40"
+                  >
+                    {Object.entries(RULE_FIELDS).map(([field, spec]) => (
+                      <option key={field} value={field}>
+                        {spec.label}
+                      </option>
+                    ))}
+                  </Select>
+                  <Select
+                    value={condition.operator}
+                    onChange={(e) =>
+                      updateCondition(ruleIndex, conditionIndex, { operator: e.target.value })
+                    }
+                    aria-label="Condition operator"
+                    className="w-44"
+                  >
+                    {OPERATORS_BY_KIND[kind].map((operator) => (
+                      <option key={operator} value={operator}>
+                        {OPERATOR_LABELS[operator] || operator}
+                      </option>
+                    ))}
+                  </Select>
+                  <Input
+                    value={condition.value ?? ''}
+                    onChange={(e) =>
+                      updateCondition(ruleIndex, conditionIndex, { value: e.target.value })
+                    }
+                    placeholder={getValuePlaceholder(condition)}
+                    className="flex-1"
+                    aria-label="Condition value"
+                  />
+                  <IconButton
+                    type="button"
+                    onClick={() =>
+                      updateRule(ruleIndex, {
+                        conditions: rule.conditions.filter((_, i) => i !== conditionIndex)
+                      })
+                    }
+                    icon={<X className="w-4 h-4" />}
+                    size="sm"
+                    variant="ghost"
+                    className="text-system-gray-400 hover:text-stratosort-danger"
+                    aria-label="Remove condition"
+                    title="Remove condition"
+                  />
+                </div>
+              );
+            })}
+
+            <div className="flex items-center justify-between pl-8">
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() =>
+                  updateRule(ruleIndex, {
+                    conditions: [...(rule.conditions || []), createCondition()]
+                  })
+                }
+                disabled={(rule.conditions || []).length >= MAX_CONDITIONS_PER_RULE}
+                leftIcon={<Plus className="w-3.5 h-3.5" />}
+              >
+                Add condition
+              </Button>
+              {!valid && (
+                <Text variant="tiny" className="text-stratosort-danger">
+                  {errors[0]}
+                </Text>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+});
+
+SmartFolderRulesEditor.propTypes = {
+  rules: PropTypes.array,
+  onChange: PropTypes.func.isRequired
+};
+
+export default SmartFolderRulesEditor;
@@ -0,0 +1,86 @@
+import React, { memo, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { FolderTree } from 'lucide-react';
+import Input from '../ui/Input';
+import { Text, Caption } from '../ui/Typography';
+import {
+  TEMPLATE_TOKENS,
+  validateSubpathTemplate,
+  resolveSubpathTemplate
+} from '../../../shared/pathTemplates';
+
+// Representative analysis used for the live preview
+const PREVIEW_INPUT = {
+  analysis: {
+    entity: 'Acme Corp',
+    type: 'Invoice',
+    category: 'Finance',
+    project: 'Website Redesign',
+    date: '2026-03-14',
+    photo: {
+      capturedAt: '2026-03-14T10:30:00',
+      camera: 'Canon EOS R6',
+      place: { city: 'Lisbon', country: 'Portugal', countryCode: 'PT' }
+    }
+  },
+  fileName: 'scan.pdf',
+  created: '2026-03-15T09:30:00',
+  modified: '2026-03-15T09:30:00'
+};
+
+/**
+ * Editor for a smart folder's subpath template, e.g. "{entity}/{year}".
+ * Files matched to the folder are placed into the resolved subdirectories.
+ */
+const SmartFolderSubpathEditor = memo(function SmartFolderSubpathEditor({
+  value = '',
+  folderName = '',
+  onChange
+}) {
+  const { valid, errors } = validateSubpathTemplate(value);
+  const preview = useMemo(
+    () => (valid ? resolveSubpathTemplate(value, PREVIEW_INPUT) : []),
+    [value, valid]
+  );
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center gap-2">
+        <FolderTree className="w-4 h-4 text-stratosort-blue" />
+        <Caption className="text-stratosort-blue">Subfolder template</Caption>
+      </div>
+      <Input
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="e.g. {entity}/{year}"
+        aria-label="Subfolder template"
+        invalid={!valid}
+      />
+      {!valid ? (
+        <Text variant="tiny" className="text-stratosort-danger">
+          {errors[0]}
+        </Text>
+      ) : value.trim() ? (
+        <Text variant="tiny" className="text-system-gray-500">
+          Example: {[folderName || 'Folder', ...preview].join(' / ')}
+        </Text>
+      ) : (
+        <Text variant="tiny" className="text-system-gray-500">
+          Optional. Tokens:{' '}
+          {Object.keys(TEMPLATE_TOKENS)
+            .map((token) => `{${token}}`)
+            .join(' ')}
+          . Use {'{token|Fallback}'} for missing values.
+        </Text>
+      )}
+    </div>
+  );
+});
+
+SmartFolderSubpathEditor.propTypes = {
+  value: PropTypes.string,
+  folderName: PropTypes.string,
+  onChange: PropTypes.func.isRequired
+};
+
+export default SmartFolderSubpathEditor;
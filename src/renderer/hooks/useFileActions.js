@@ -2,11 +2,11 @@ import { useCallback } from 'react';
 import { logger } from '../../shared/logger';
 
 /**
- * Hook for common file actions (open, reveal, copy path)
+ * Hook for common file actions (open, reveal, copy path, write metadata)
  * Provides consistent error handling across components
  *
  * @param {Function} [onError] - Optional error callback (e.g. setError state)
- * @returns {Object} Object containing openFile, revealFile, copyPath functions
+ * @returns {Object} Object containing openFile, revealFile, copyPath, writeMetadata functions
  */
 export function useFileActions(onError) {
   const openFile = useCallback(
@@ -76,5 +76,33 @@ export function useFileActions(onError) {
     [onError]
   );
 
-  return { openFile, revealFile, copyPath };
+  const writeMetadata = useCallback(
+    async (filePath) => {
+      if (!filePath) {
+        logger.warn('[FileActions] Cannot write metadata: path is empty');
+        onError?.('Cannot write metadata: no path available');
+        return null;
+      }
+      try {
+        const result = await window.electronAPI?.files?.writeMetadata?.([filePath]);
+        if (result && !result.success) {
+          const errorMsg =
+            result.errors?.[0]?.error ||
+            result.error ||
+            (result.skipped ? 'No analysis metadata to write for this file' : null) ||
+            'Failed to write metadata';
+          onError?.(errorMsg);
+          logger.warn('[FileActions] Write metadata failed:', errorMsg);
+        }
+        return result || null;
+      } catch (e) {
+        logger.error('[FileActions] Failed to write metadata', e);
+        onError?.('Failed to write metadata');
+        return null;
+      }
+    },
+    [onError]
+  );
+
+  return { openFile, revealFile, copyPath, writeMetadata };
 }
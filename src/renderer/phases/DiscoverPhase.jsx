@@ -48,6 +48,7 @@ function DiscoverPhase() {
     dateFormat,
     caseConvention,
     separator,
+    namingTemplate,
     namingSettings,
     setSelectedFiles,
     setAnalysisResults,
@@ -58,6 +59,7 @@ function DiscoverPhase() {
     setDateFormat,
     setCaseConvention,
     setSeparator,
+    setNamingTemplate,
     setFileStates,
     updateFileState,
     resetAnalysisState,
@@ -855,6 +857,8 @@ function DiscoverPhase() {
         setCaseConvention={setCaseConvention}
         separator={separator}
         setSeparator={setSeparator}
+        namingTemplate={namingTemplate}
+        setNamingTemplate={setNamingTemplate}
       />
     </div>
   );
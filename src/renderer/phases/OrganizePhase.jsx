@@ -1,7 +1,9 @@
 import React, { useMemo, useCallback, useEffect, useRef } from 'react';
 import { PHASES } from '../../shared/constants';
 import { createLogger } from '../../shared/logger';
+import { detectVersionChains, analysisSimilarity } from '../../shared/versionChains';
 import { useNotification } from '../contexts/NotificationContext';
+import { useConfirmDialog } from '../hooks';
 import { useAppSelector } from '../store/hooks';
 import { Button, Card, SidePanel, StateMessage, StatusBadge } from '../components/ui';
 import { Heading, Text } from '../components/ui/Typography';
@@ -22,7 +24,8 @@ import {
   BulkOperations,
   OrganizeProgress,
   VirtualizedFileGrid,
-  VirtualizedProcessedFiles
+  VirtualizedProcessedFiles,
+  VersionChainPanel
 } from '../components/organize';
 import { UndoRedoToolbar, useUndoRedo } from '../components/UndoRedoSystem';
 import Modal from '../components/ui/Modal';
@@ -42,8 +45,11 @@ import { updateAnalysisResult } from '../store/slices/analysisSlice';
 import { formatDisplayPath } from '../utils/pathDisplay';
 
 const logger = createLogger('OrganizePhase');
+// Keyword/summary overlap between two versions of the same document
+const MIN_VERSION_ANALYSIS_SIMILARITY = 0.2;
 function OrganizePhase() {
   const { addNotification } = useNotification();
+  const { showConfirm, ConfirmDialog } = useConfirmDialog();
   const { executeAction } = useUndoRedo();
   const [viewingFileDetails, setViewingFileDetails] = React.useState(null);
   const redactPaths = useAppSelector((state) => Boolean(state?.system?.redactPaths));
@@ -59,6 +65,7 @@ function OrganizePhase() {
   const [showFoldersModal, setShowFoldersModal] = React.useState(false);
   const [showStatusModal, setShowStatusModal] = React.useState(false);
   const [showHistoryModal, setShowHistoryModal] = React.useState(false);
+  const [keepLatestVersions, setKeepLatestVersions] = React.useState(false);
 
   const {
     organizedFiles,
@@ -161,6 +168,15 @@ function OrganizePhase() {
 
   const findSmartFolderForCategory = useSmartFolderMatcher(safeSmartFolders);
 
+  const versionChains = useMemo(
+    () =>
+      detectVersionChains(
+        baseUnprocessedFiles.filter((f) => f.analysis),
+        { getSimilarity: analysisSimilarity, minSimilarity: MIN_VERSION_ANALYSIS_SIMILARITY }
+      ),
+    [baseUnprocessedFiles]
+  );
+
   const { isOrganizing, batchProgress, organizePreview, handleOrganizeFiles, organizeConflicts } =
     useOrganization({
       unprocessedFiles: baseUnprocessedFiles,
@@ -181,7 +197,10 @@ function OrganizePhase() {
       setOrganizedFiles,
       addOrganizedFiles,
       removeOrganizedFiles,
-      setOrganizingState
+      setOrganizingState,
+      versionChains,
+      keepLatestVersions,
+      showConfirm
     });
 
   const filesBeingOrganized = useMemo(() => {
@@ -484,6 +503,12 @@ function OrganizePhase() {
         {/* Action Area - Sticky at bottom */}
         {unprocessedFiles.length > 0 && (
           <Card className="flex-shrink-0 p-4 border-t-4 border-t-stratosort-blue/10">
+            <VersionChainPanel
+              versionChains={versionChains}
+              keepLatestVersions={keepLatestVersions}
+              onKeepLatestChange={setKeepLatestVersions}
+              disabled={isOrganizing}
+            />
             {organizeConflicts && organizeConflicts.length > 0 && (
               <div className="mb-4 p-3 bg-stratosort-warning/10 border border-stratosort-warning/30 rounded-lg">
                 <div className="flex items-start gap-3">
@@ -723,6 +748,8 @@ function OrganizePhase() {
           </div>
         </Stack>
       </Modal>
+
+      <ConfirmDialog />
     </div>
   );
 }
@@ -170,18 +170,22 @@ ClockIcon.propTypes = iconPropTypes;
  * @param {string} params.settings.separator - Separator character
  * @param {string} params.settings.dateFormat - Date format
  * @param {string} params.settings.caseConvention - Case convention
+ * @param {string} [params.settings.template] - Naming template (convention 'custom')
+ * @param {number} [params.counter] - Position in the current batch, for `{counter}`
  * @returns {string} Suggested filename (with extension preserved)
  */
 export function generateSuggestedNameFromAnalysis({
   originalFileName,
   analysis,
   settings,
-  fileTimestamps
+  fileTimestamps,
+  counter
 }) {
   return buildSuggestedNameFromAnalysis({
     originalFileName,
     analysis,
     settings,
-    fileTimestamps
+    fileTimestamps,
+    counter
   });
 }
@@ -523,12 +523,13 @@ export function useAnalysis(options = {}) {
   );
 
   const generateSuggestedName = useCallback(
-    (originalFileName, analysis, fileTimestamps) => {
+    (originalFileName, analysis, fileTimestamps, counter) => {
       return generateSuggestedNameFromAnalysis({
         originalFileName,
         analysis,
         settings: namingSettings,
-        fileTimestamps
+        fileTimestamps,
+        counter
       });
     },
     [namingSettings]
@@ -560,13 +561,21 @@ export function useAnalysis(options = {}) {
 
       if (shouldTreatAsReady) {
         const baseSuggestedName = analysisForUi.suggestedName || fileName;
+        // {counter} follows the file's position in the results list
+        const existingIndex = analysisResultsRef.current.findIndex(
+          (result) => result?.path === fileInfo.path
+        );
+        const counter =
+          (existingIndex >= 0 ? existingIndex : analysisResultsRef.current.length) + 1;
         const enhancedAnalysis = {
           ...analysisForUi,
           originalSuggestedName: baseSuggestedName,
-          suggestedName: generateSuggestedName(fileName, analysisForUi, {
-            created: fileInfo.created,
-            modified: fileInfo.modified
-          }),
+          suggestedName: generateSuggestedName(
+            fileName,
+            analysisForUi,
+            { created: fileInfo.created, modified: fileInfo.modified },
+            counter
+          ),
           namingConvention: namingSettings
         };
 
@@ -612,7 +621,7 @@ export function useAnalysis(options = {}) {
 
   useEffect(() => {
     // Compare by primitive values to detect actual changes (avoids JSON.stringify on every run)
-    const key = `${namingSettings?.convention ?? ''}|${namingSettings?.separator ?? ''}|${namingSettings?.dateFormat ?? ''}|${namingSettings?.caseConvention ?? ''}`;
+    const key = `${namingSettings?.convention ?? ''}|${namingSettings?.separator ?? ''}|${namingSettings?.dateFormat ?? ''}|${namingSettings?.caseConvention ?? ''}|${namingSettings?.template ?? ''}`;
     if (lastAppliedNamingRef.current === key) {
       return; // Settings haven't changed, skip update
     }
@@ -623,13 +632,14 @@ export function useAnalysis(options = {}) {
 
       // Check if any result actually needs updating
       let hasChanges = false;
-      const updated = prev.map((result) => {
+      const updated = prev.map((result, index) => {
         if (!result?.analysis) return result;
 
         const newName = generateSuggestedName(
           result.name || extractFileName(result.path || ''),
           result.analysis,
-          { created: result.created, modified: result.modified }
+          { created: result.created, modified: result.modified },
+          index + 1
         );
 
         // Only create new object if name actually changed
@@ -664,7 +674,12 @@ export function useAnalysis(options = {}) {
       let hasChanges = false;
       const next = { ...prev };
 
-      Object.entries(next).forEach(([filePath, state]) => {
+      // Number files like the results list so both stores agree on {counter}
+      const resultOrder = new Map(
+        (analysisResultsRef.current || []).map((result, index) => [result?.path, index + 1])
+      );
+
+      Object.entries(next).forEach(([filePath, state], index) => {
         if (!state?.analysis) return;
 
         const newName = generateSuggestedName(
@@ -673,7 +688,8 @@ export function useAnalysis(options = {}) {
           {
             created: state.created,
             modified: state.modified
-          }
+          },
+          resultOrder.get(filePath) ?? index + 1
         );
 
         // Only update if name actually changed
@@ -50,6 +50,7 @@ export function useDiscoverState() {
   const { dateFormat } = namingConventionState;
   const { caseConvention } = namingConventionState;
   const { separator } = namingConventionState;
+  const namingTemplate = namingConventionState.template ?? '';
 
   // Refs to keep track of latest state for stable callbacks
   // This is safe because ref assignments are idempotent and don't cause side effects.
@@ -139,6 +140,11 @@ export function useDiscoverState() {
     [dispatch]
   );
 
+  const setNamingTemplate = useCallback(
+    (val) => dispatch(setNamingConventionAction({ template: val })),
+    [dispatch]
+  );
+
   const setFileStates = useCallback(
     (val) => {
       if (typeof val === 'function') {
@@ -252,9 +258,10 @@ export function useDiscoverState() {
       convention: namingConvention,
       separator,
       dateFormat,
-      caseConvention
+      caseConvention,
+      template: namingTemplate
     }),
-    [namingConvention, separator, dateFormat, caseConvention]
+    [namingConvention, separator, dateFormat, caseConvention, namingTemplate]
   );
 
   return {
@@ -270,6 +277,7 @@ export function useDiscoverState() {
     dateFormat,
     caseConvention,
     separator,
+    namingTemplate,
     namingSettings,
     currentPhase,
     organizedFiles,
@@ -284,6 +292,7 @@ export function useDiscoverState() {
     setDateFormat,
     setCaseConvention,
     setSeparator,
+    setNamingTemplate,
     setFileStates,
     updateFileState,
     resetAnalysisState,
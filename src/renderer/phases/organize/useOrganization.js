@@ -9,6 +9,10 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { PHASES } from '../../../shared/constants';
 import { createLogger } from '../../../shared/logger';
+import { resolveSubpathTemplate } from '../../../shared/pathTemplates';
+import { renderNamingTemplate } from '../../../shared/namingTemplates';
+import { getVersionArchivePath } from '../../../shared/versionChains';
+import { groupPhotoEvents } from '../../../shared/photoEvents';
 import { createOrganizeBatchAction } from '../../components/UndoRedoSystem';
 import { updateResultPathsAfterMove } from '../../store/slices/analysisSlice';
 import { updateFilePathsAfterMove } from '../../store/slices/filesSlice';
@@ -215,7 +219,8 @@ export function useProgressTracking() {
  * @param {Function} params.getFileWithEdits - Function to get file with applied edits
  * @param {Function} params.findSmartFolderForCategory - Function to find smart folder
  * @param {string} params.defaultLocation - Default destination location
- * @returns {Object} Processed file info with newName, normalized destination, and categoryChanged flag
+ * @returns {Object} Processed file info with newName, normalized destination, categoryChanged flag
+ *   and the smart folder rule (if any) that selected the destination
  */
 // Helper to normalize paths for comparison (handles mixed / and \)
 const isWindowsPath = (p) => p && (p.includes('\\') || /^[A-Za-z]:/.test(p));
@@ -271,7 +276,8 @@ function processFileForOrganization({
   editingFiles,
   getFileWithEdits,
   findSmartFolderForCategory,
-  defaultLocation
+  defaultLocation,
+  photoEvents
 }) {
   const fileIndex = fileIndexMap.get(file.path) ?? -1;
   const edits = fileIndex >= 0 ? editingFiles[fileIndex] || {} : {};
@@ -293,11 +299,33 @@ function processFileForOrganization({
 
   // Always use a validated smart folder path; never build a path from a raw category.
   const resolvedFolder = smartFolder || findSmartFolderForCategory('Uncategorized');
-  const destinationDir = resolvedFolder
+  const folderDir = resolvedFolder
     ? resolvedFolder.path || joinPath(defaultLocation, resolvedFolder.name)
     : joinPath(defaultLocation, 'Uncategorized');
 
-  const suggestedName = edits.suggestedName || fileWithEdits.analysis?.suggestedName || file.name;
+  // Optional per-folder subpath template, e.g. "{entity}/{year}"
+  const subpathSegments = resolveSubpathTemplate(resolvedFolder?.subpathTemplate, {
+    analysis: fileWithEdits.analysis,
+    fileName: file.name,
+    created: file.created,
+    modified: file.modified,
+    event: photoEvents?.get(file.path)
+  });
+  const destinationDir =
+    subpathSegments.length > 0 ? joinPath(folderDir, ...subpathSegments) : folderDir;
+
+  // A folder naming template replaces the global convention unless the user typed a name
+  const folderTemplateName =
+    !edits.suggestedName && resolvedFolder?.namingTemplate
+      ? renderNamingTemplate(resolvedFolder.namingTemplate, {
+          originalFileName: file.name,
+          analysis: fileWithEdits.analysis,
+          fileTimestamps: { created: file.created, modified: file.modified },
+          counter: fileIndex >= 0 ? fileIndex + 1 : 1
+        })
+      : '';
+  const suggestedName =
+    edits.suggestedName || folderTemplateName || fileWithEdits.analysis?.suggestedName || file.name;
 
   // Preserve compound extensions like .tar.gz when suggested name omits extension
   const originalExt = getFileExtension(file.name);
@@ -307,7 +335,21 @@ function processFileForOrganization({
   const dest = joinPath(destinationDir, newName);
   const normalized = window.electronAPI?.files?.normalizePath?.(dest) || dest;
 
-  return { newName, normalized, categoryChanged, originalCategory, finalCategory: currentCategory };
+  // Surface the smart folder rule that chose this folder, unless the user overrode it
+  const ruleInfo = fileWithEdits.analysis?.matchedRule;
+  const matchedRule =
+    ruleInfo && !edits.category && resolvedFolder && ruleInfo.folderName === resolvedFolder.name
+      ? ruleInfo
+      : null;
+
+  return {
+    newName,
+    normalized,
+    categoryChanged,
+    originalCategory,
+    finalCategory: currentCategory,
+    matchedRule
+  };
 }
 
 /**
@@ -325,10 +367,36 @@ function buildFileIndexMap(filesToProcess, unprocessedFiles) {
   return fileIndexMap;
 }
 
+/**
+ * "Keep latest" destinations for older versions in a version chain: each
+ * older version goes to the `_versions` folder next to wherever its latest
+ * version is being moved. Chains whose latest version is not part of this
+ * batch are left alone.
+ *
+ * @param {Map<string, string>} destinationsBySource - Source path -> planned destination
+ * @param {Array} versionChains - Chains from detectVersionChains (members newest first)
+ * @returns {Map<string, string>} Source path -> archive destination for older versions
+ */
+function getArchivedVersionDestinations(destinationsBySource, versionChains) {
+  const archived = new Map();
+  for (const chain of Array.isArray(versionChains) ? versionChains : []) {
+    const [latest, ...older] = chain.members || [];
+    const latestDestination = latest && destinationsBySource.get(latest.path);
+    if (!latestDestination) continue;
+    older.forEach((member) => {
+      if (destinationsBySource.has(member.path)) {
+        archived.set(member.path, getVersionArchivePath(latestDestination, member.name));
+      }
+    });
+  }
+  return archived;
+}
+
 /**
  * Build file operations for organization
  * @param {Object} params - Parameters
- * @returns {Object} Object with operations array and categoryChanges array
+ * @returns {Object} Object with operations array, categoryChanges array and
+ *   the number of older versions archived
  */
 function buildOperations({
   filesToProcess,
@@ -336,9 +404,12 @@ function buildOperations({
   editingFiles,
   getFileWithEdits,
   findSmartFolderForCategory,
-  defaultLocation
+  defaultLocation,
+  versionChains = [],
+  keepLatestVersions = false
 }) {
   const fileIndexMap = buildFileIndexMap(filesToProcess, unprocessedFiles);
+  const photoEvents = groupPhotoEvents(filesToProcess);
   const categoryChanges = [];
 
   const operations = filesToProcess.map((file) => {
@@ -349,7 +420,8 @@ function buildOperations({
         editingFiles,
         getFileWithEdits,
         findSmartFolderForCategory,
-        defaultLocation
+        defaultLocation,
+        photoEvents
       });
 
     if (categoryChanged) {
@@ -363,7 +435,19 @@ function buildOperations({
     return { type: 'move', source: file.path, destination: normalized };
   });
 
-  return { operations, categoryChanges };
+  if (!keepLatestVersions) return { operations, categoryChanges, archivedCount: 0 };
+
+  const archived = getArchivedVersionDestinations(
+    new Map(operations.map((op) => [op.source, op.destination])),
+    versionChains
+  );
+  return {
+    operations: operations.map((op) =>
+      archived.has(op.source) ? { ...op, destination: archived.get(op.source) } : op
+    ),
+    categoryChanges,
+    archivedCount: archived.size
+  };
 }
 
 /**
@@ -377,22 +461,48 @@ function buildPreview({
   editingFiles,
   getFileWithEdits,
   findSmartFolderForCategory,
-  defaultLocation
+  defaultLocation,
+  versionChains = [],
+  keepLatestVersions = false
 }) {
   const fileIndexMap = buildFileIndexMap(filesToProcess, unprocessedFiles);
+  const photoEvents = groupPhotoEvents(filesToProcess);
 
-  const preview = filesToProcess.map((file) => {
-    const { newName, normalized } = processFileForOrganization({
+  const plannedPreview = filesToProcess.map((file) => {
+    const { newName, normalized, matchedRule } = processFileForOrganization({
       file,
       fileIndexMap,
       editingFiles,
       getFileWithEdits,
       findSmartFolderForCategory,
-      defaultLocation
+      defaultLocation,
+      photoEvents
     });
-    return { fileName: newName, destination: normalized, sourcePath: file.path };
+    return {
+      fileName: newName,
+      destination: normalized,
+      sourcePath: file.path,
+      ...(matchedRule ? { matchedRule } : {})
+    };
   });
 
+  const archived = keepLatestVersions
+    ? getArchivedVersionDestinations(
+        new Map(plannedPreview.map((item) => [item.sourcePath, item.destination])),
+        versionChains
+      )
+    : new Map();
+  const preview = plannedPreview.map((item) =>
+    archived.has(item.sourcePath)
+      ? {
+          ...item,
+          fileName: archived.get(item.sourcePath).split(/[\\/]/).pop(),
+          destination: archived.get(item.sourcePath),
+          archivedVersion: true
+        }
+      : item
+  );
+
   const destinationMap = new Map();
   preview.forEach((item) => {
     const normalizedDest = normalizeForComparison(item.destination);
@@ -418,6 +528,71 @@ function buildPreview({
   return { preview, conflicts };
 }
 
+/**
+ * Mark preview items that travel inside a project bundle; files of a bundle
+ * folder end up under the folder's new location.
+ * @param {Array<Object>} preview - From buildPreview
+ * @param {Array<Object>} bundles - Bundle moves from files.previewBundles
+ * @returns {Array<Object>} Preview items
+ */
+function annotateBundlePreview(preview, bundles) {
+  return preview.map((item) => {
+    const bundle = bundles.find((candidate) => candidate.members?.includes(item.sourcePath));
+    if (!bundle) return item;
+    const destination =
+      bundle.kind === 'directory' && bundle.destination
+        ? bundle.destination + item.sourcePath.slice(bundle.root.length)
+        : item.destination;
+    return {
+      ...item,
+      fileName: destination.split(/[\\/]/).pop(),
+      destination,
+      bundle: { name: bundle.name, label: bundle.label }
+    };
+  });
+}
+
+/**
+ * Ask the main process which moves carry a project bundle and let the user
+ * decide on bundles that also hold files outside this batch. Unconfirmed
+ * bundles have only their selected files moved.
+ * @param {Array<Object>} operations - Batch operations
+ * @param {Function} [showConfirm] - From useConfirmDialog
+ * @returns {Promise<{ bundles: Array<Object>, confirmedBundles: string[] }>}
+ */
+async function reviewBundleMoves(operations, showConfirm) {
+  let result = null;
+  try {
+    result = await window.electronAPI.files.previewBundles(operations);
+  } catch (error) {
+    logger.warn('[ORGANIZE] Bundle preview failed (non-fatal):', error.message);
+  }
+  if (!result?.success) return { bundles: [], confirmedBundles: [] };
+
+  const bundles = Array.isArray(result.bundles) ? result.bundles : [];
+  const partial = Array.isArray(result.partial) ? result.partial : [];
+  if (partial.length === 0 || typeof showConfirm !== 'function') {
+    return { bundles, confirmedBundles: [] };
+  }
+
+  const single = partial.length === 1;
+  const confirmed = await showConfirm({
+    title: single ? 'Move the whole project folder?' : 'Move whole project folders?',
+    message: `${partial
+      .map(
+        (bundle) =>
+          `"${bundle.name}" (${bundle.label}) has ${bundle.members.length} of ${bundle.fileCount ?? 'many'} files selected.`
+      )
+      .join(' ')} Moving ${single ? 'it' : 'them'} whole also moves the files you did not select.`,
+    confirmText: single ? 'Move whole folder' : 'Move whole folders',
+    cancelText: 'Only selected files',
+    variant: 'warning'
+  });
+  return confirmed
+    ? { bundles: [...bundles, ...partial], confirmedBundles: partial.map((bundle) => bundle.root) }
+    : { bundles, confirmedBundles: [] };
+}
+
 /**
  * Hook for main organization logic
  * @param {Object} params - Parameters
@@ -440,7 +615,10 @@ export function useOrganization({
   dispatch = null,
   addOrganizedFiles = () => {},
   removeOrganizedFiles = () => {},
-  setOrganizingState = () => {}
+  setOrganizingState = () => {},
+  versionChains = [],
+  keepLatestVersions = false,
+  showConfirm = null
 } = {}) {
   const {
     batchProgress,
@@ -521,14 +699,19 @@ export function useOrganization({
         // To prevent that "disconnect", we always build operations locally from:
         // - file.analysis.category/suggestedName
         // - any user edits in editingFiles
-        const { operations, categoryChanges } = buildOperations({
+        const { operations, categoryChanges, archivedCount } = buildOperations({
           filesToProcess,
           unprocessedFiles,
           editingFiles,
           getFileWithEdits,
           findSmartFolderForCategory,
-          defaultLocation
+          defaultLocation,
+          versionChains,
+          keepLatestVersions
         });
+        if (archivedCount > 0) {
+          logger.info('[ORGANIZE] Archiving older versions', { archivedCount });
+        }
 
         const invalidOperations = operations.filter((op) => !op?.source || !op?.destination);
         if (invalidOperations.length > 0) {
@@ -589,7 +772,9 @@ export function useOrganization({
             editingFiles,
             getFileWithEdits,
             findSmartFolderForCategory,
-            defaultLocation
+            defaultLocation,
+            versionChains,
+            keepLatestVersions
           });
           setOrganizePreview(preview);
           setOrganizeConflicts(conflicts);
@@ -612,6 +797,14 @@ export function useOrganization({
           logger.warn('[ORGANIZE] Preview generation failed (non-fatal):', previewError.message);
         }
 
+        // Project folders move as one unit; folders with unselected files only when confirmed
+        const { bundles, confirmedBundles } = window.electronAPI?.files?.previewBundles
+          ? await reviewBundleMoves(operations, showConfirm)
+          : { bundles: [], confirmedBundles: [] };
+        if (bundles.length > 0) {
+          setOrganizePreview((current) => annotateBundlePreview(current, bundles));
+        }
+
         const sourcePathsSet = new Set(operations.map((op) => op.source));
 
         const stateCallbacks = {
@@ -917,7 +1110,8 @@ export function useOrganization({
           createOrganizeBatchAction(
             `Organize ${operations.length} files`,
             operations,
-            stateCallbacks
+            stateCallbacks,
+            { confirmedBundles }
           )
         );
 
@@ -1000,7 +1194,10 @@ export function useOrganization({
       setOrganizePreview,
       setOrganizeConflicts,
       resetChunkedResults,
-      chunkedResultsRef
+      chunkedResultsRef,
+      versionChains,
+      keepLatestVersions,
+      showConfirm
     ]
   );
 
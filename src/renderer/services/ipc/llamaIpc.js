@@ -54,5 +54,26 @@ export const llamaIpc = {
    */
   getDownloadStatus() {
     return requireElectronAPI().llama.getDownloadStatus();
+  },
+
+  /**
+   * List OCR language packs with install state
+   */
+  getOcrLanguages() {
+    return requireElectronAPI().llama.getOcrLanguages();
+  },
+
+  /**
+   * Download an OCR language pack (progress arrives as operation-progress events)
+   */
+  downloadOcrLanguage(code) {
+    return requireElectronAPI().llama.downloadOcrLanguage(code);
+  },
+
+  /**
+   * Delete an installed OCR language pack
+   */
+  deleteOcrLanguage(code) {
+    return requireElectronAPI().llama.deleteOcrLanguage(code);
   }
 };
@@ -48,7 +48,9 @@ const initialState = {
     convention: 'subject-date',
     dateFormat: 'YYYY-MM-DD',
     caseConvention: 'kebab-case',
-    separator: '-'
+    separator: '-',
+    // Used when convention is 'custom' (see shared/namingTemplates)
+    template: '{date}_{entity|subject}_{type}'
   }
 };
 
@@ -84,6 +84,7 @@ const NODE_SIZES = {
   queryNode: { width: 240, height: 92 },
   fileNode: { width: 240, height: 124 },
   folderNode: { width: 240, height: 96 },
+  entityNode: { width: 200, height: 52 },
   clusterNode: { width: 190, height: 190 },
   default: { width: 230, height: 110 }
 };
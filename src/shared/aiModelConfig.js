@@ -2,7 +2,8 @@
  * AI Model Configuration — Single Source of Truth
  *
  * Change default models here. All other modules import from this file.
- * Env overrides: STRATOSORT_TEXT_MODEL, STRATOSORT_VISION_MODEL, STRATOSORT_EMBEDDING_MODEL
+ * Env overrides: STRATOSORT_TEXT_MODEL, STRATOSORT_VISION_MODEL, STRATOSORT_EMBEDDING_MODEL,
+ * STRATOSORT_AUDIO_MODEL
  *
  * Default profile targets broad compatibility across hardware.
  * Requires entries in modelRegistry.js MODEL_CATALOG for download URLs.
@@ -41,6 +42,8 @@ const DEFAULT_AI_MODELS = {
   IMAGE_ANALYSIS:
     env.STRATOSORT_VISION_MODEL || INSTALL_MODEL_PROFILES.BASE_SMALL.models.IMAGE_ANALYSIS,
   EMBEDDING: env.STRATOSORT_EMBEDDING_MODEL || INSTALL_MODEL_PROFILES.BASE_SMALL.models.EMBEDDING,
+  // Speech-to-text is optional and not part of the installer profiles
+  AUDIO_TRANSCRIPTION: env.STRATOSORT_AUDIO_MODEL || 'ggml-base.bin',
   FALLBACK_MODELS: ['Llama-3.2-3B-Instruct-Q4_K_M.gguf', 'Phi-3-mini-4k-instruct-q4.gguf']
 };
 
@@ -78,6 +81,13 @@ const AI_DEFAULTS = {
       'all-MiniLM-L6-v2-Q4_K_M.gguf'
     ],
     AUTO_CHUNK_ON_ANALYSIS: false
+  },
+  AUDIO: {
+    MODEL: DEFAULT_AI_MODELS.AUDIO_TRANSCRIPTION,
+    LANGUAGE: 'auto',
+    // Recordings longer than this are truncated before transcription
+    MAX_DURATION_SEC: 2 * 60 * 60,
+    FALLBACK_MODELS: ['ggml-base.en.bin', 'ggml-small.bin', 'ggml-large-v3-turbo-q5_0.bin']
   }
 };
 
@@ -11,6 +11,7 @@
 /**
  * @typedef {Object} ExtendedAnalysisResult
  * @property {string} [date] - The document's primary date (ISO YYYY-MM-DD)
+ * @property {Object} [keyDates] - Typed deadlines `{ due, expires, renewal, effective }` (see shared/documentDates)
  * @property {string} [entity] - The primary entity/sender/provider (e.g. "Amazon", "IRS", "John Doe")
  * @property {string} [type] - The specific document type (e.g. "Invoice", "Contract", "Bank Statement")
  * @property {string} [category] - The broader category (e.g. "Finance", "Legal", "Personal")
@@ -23,12 +24,15 @@
  * @property {string} [suggestedName] - A suggested filename based on the content
  */
 
+const { KEY_DATES_SCHEMA_PROMPT } = require('./documentDates');
+
 /**
  * The JSON schema definition used to guide the LLM's output.
  * We use a descriptive object structure that can be injected into prompts.
  */
 const ANALYSIS_SCHEMA_PROMPT = {
   date: 'YYYY-MM-DD format. The primary date explicitly found in the document (invoice date, statement date, etc.). If NONE found, leave null.',
+  keyDates: KEY_DATES_SCHEMA_PROMPT,
   entity:
     "The primary organization, person, or company responsible for the document (e.g., 'Amazon', 'Chase Bank', 'City of Seattle').",
   type: "The specific type of document (e.g., 'Invoice', 'Receipt', 'Contract', 'Meeting Notes', 'Tax Form').",
@@ -51,6 +55,7 @@ const ANALYSIS_SCHEMA_PROMPT = {
  */
 const DEFAULT_ANALYSIS_RESULT = {
   date: null,
+  keyDates: null,
   entity: null,
   type: 'Document',
   category: 'Uncategorized',
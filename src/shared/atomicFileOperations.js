@@ -1234,9 +1234,82 @@ AtomicFileOperations.prototype.safeWriteFile = function safeWriteFile(filePath,
   return this.atomicCreate(filePath, data);
 };
 
+/**
+ * Count files and bytes below a directory (symlinks are counted, not followed).
+ * @param {string} dirPath
+ * @returns {Promise<{ files: number, bytes: number }>}
+ */
+async function measureDirectory(dirPath) {
+  const totals = { files: 0, bytes: 0 };
+  const pending = [dirPath];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else {
+        totals.files += 1;
+        totals.bytes += (await fs.lstat(entryPath)).size;
+      }
+    }
+  }
+  return totals;
+}
+
+/**
+ * Cross-device move for a directory (project bundles, `.app` packages):
+ * recursive copy, compare file count and total size, then remove the source.
+ * @param {string} source - Normalized source directory
+ * @param {string} dest - Normalized destination (must not exist)
+ * @param {boolean} verify - Compare file count and size before deleting the source
+ */
+async function moveDirectoryAcrossDevices(source, dest, verify) {
+  // fs.cp merges into an existing directory; refuse instead, like COPYFILE_EXCL
+  const existing = await fs.lstat(dest).catch(() => null);
+  if (existing) {
+    throw Object.assign(new Error(`EEXIST: destination already exists, '${dest}'`), {
+      code: 'EEXIST',
+      path: dest
+    });
+  }
+  await fs.cp(source, dest, {
+    recursive: true,
+    errorOnExist: true,
+    force: false,
+    preserveTimestamps: true,
+    verbatimSymlinks: true
+  });
+
+  if (verify) {
+    const [sourceTotals, destTotals] = await Promise.all([
+      measureDirectory(source),
+      measureDirectory(dest)
+    ]);
+    if (sourceTotals.files !== destTotals.files || sourceTotals.bytes !== destTotals.bytes) {
+      await fs.rm(dest, { recursive: true, force: true }).catch((rmError) => {
+        logger.warn('[ATOMIC-OPS] Failed to cleanup directory after size mismatch', {
+          path: dest,
+          error: rmError.message
+        });
+      });
+      throw new IntegrityError(FILE_SYSTEM_ERROR_CODES.SIZE_MISMATCH, dest, {
+        expectedSize: sourceTotals.bytes,
+        actualSize: destTotals.bytes,
+        operation: 'crossDeviceMove'
+      });
+    }
+  }
+
+  // The verified copy is kept if removing the source fails part-way: deleting it
+  // could lose files that are already gone from the source.
+  await fs.rm(source, { recursive: true });
+}
+
 /**
  * Standalone cross-device move utility function.
  * Handles EXDEV errors by copying the file, verifying the copy, then deleting the source.
+ * Directories are copied recursively and verified by file count and total size.
  *
  * @param {string} source - Source file path
  * @param {string} dest - Destination file path
@@ -1253,7 +1326,18 @@ async function crossDeviceMove(source, dest, options = {}) {
 
   try {
     // Copy the file
-    await fs.copyFile(normalizedSource, normalizedDest, fsConstants.COPYFILE_EXCL);
+    try {
+      await fs.copyFile(normalizedSource, normalizedDest, fsConstants.COPYFILE_EXCL);
+    } catch (copyError) {
+      const sourceStats = await fs.lstat(normalizedSource).catch(() => null);
+      if (!sourceStats?.isDirectory()) throw copyError;
+      await moveDirectoryAcrossDevices(normalizedSource, normalizedDest, verify);
+      logger.debug('[ATOMIC-OPS] Cross-device directory move completed:', {
+        source: normalizedSource,
+        destination: normalizedDest
+      });
+      return;
+    }
 
     // Verify copy succeeded if requested
     if (verify) {
@@ -1337,10 +1421,62 @@ async function crossDeviceMove(source, dest, options = {}) {
   }
 }
 
+/**
+ * Append a record to a write-ahead journal file and flush it to disk.
+ * Journals are newline-delimited JSON so an interrupted append can only
+ * damage the final line (see readJournalRecords).
+ *
+ * @param {string} journalPath - Journal file path (parent directories are created)
+ * @param {Object} record - JSON-serializable record
+ * @returns {Promise<void>}
+ */
+async function appendJournalRecord(journalPath, record) {
+  const normalizedPath = resolveFsPath(journalPath);
+  await fs.mkdir(path.dirname(normalizedPath), { recursive: true });
+  const handle = await fs.open(normalizedPath, 'a');
+  try {
+    await handle.appendFile(`${JSON.stringify(record)}\n`, 'utf8');
+    // The record must be durable before the caller touches the file it describes
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read all records from a write-ahead journal file.
+ * Lines that fail to parse (a torn final write after a crash) are skipped.
+ *
+ * @param {string} journalPath - Journal file path
+ * @returns {Promise<Object[]>} Records in write order (empty if the file is missing)
+ */
+async function readJournalRecords(journalPath) {
+  let content;
+  try {
+    content = await fs.readFile(resolveFsPath(journalPath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      logger.warn('[ATOMIC-OPS] Skipping unreadable journal record', { journalPath });
+    }
+  }
+  return records;
+}
+
 module.exports = {
   AtomicFileOperations,
   atomicFileOps,
   crossDeviceMove,
+  appendJournalRecord,
+  readJournalRecords,
 
   // Convenience functions
   async organizeFilesAtomically(operations) {
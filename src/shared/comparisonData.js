@@ -0,0 +1,65 @@
+/**
+ * Comparison Data
+ *
+ * Turns per-topic answer items (`{text, citations}`) into a comparison
+ * table: one row per item and one column per cited document. Used by the
+ * chat comparison view and by written reports.
+ *
+ * @module shared/comparisonData
+ */
+
+/**
+ * FIX BUG-006: Extract only the sentences that cite a specific document.
+ * @param {string} text - Row text with `[doc-N]` markers
+ * @param {string} docId - Source id to keep sentences for
+ * @returns {string} Matching sentences, or the whole text when none cite the document
+ */
+function extractSegmentsForDoc(text, docId) {
+  if (!text || !docId) return text || '';
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  const marker = `[${docId}]`;
+  const matching = sentences.filter((s) => s.includes(marker));
+  return matching.length > 0 ? matching.join(' ') : text;
+}
+
+/**
+ * Extracts a simple comparison structure from documentAnswer items.
+ * Each item represents one comparison dimension/topic.
+ * The LLM is prompted to structure comparison answers per-topic.
+ * @param {Array<{text: string, citations: string[]}>} documentAnswer
+ * @param {Array<Object>} sources - Sources with `id` and `name`
+ * @returns {{rows: Array<Object>, columns: Array<Object>}|null}
+ */
+function parseComparisonData(documentAnswer, sources) {
+  if (!Array.isArray(documentAnswer) || documentAnswer.length === 0) return null;
+
+  // Each documentAnswer item is treated as a comparison row (one topic/dimension).
+  // We extract cited documents per row to build the column set.
+  const allDocIds = new Set();
+  const rows = documentAnswer.map((item, i) => {
+    const citations = item.citations || [];
+    citations.forEach((c) => allDocIds.add(c));
+    return {
+      topic: item.topic || `Point ${i + 1}`,
+      text: item.text || '',
+      citations
+    };
+  });
+
+  // Columns are the unique documents cited across all rows
+  const columns = [...allDocIds].map((docId) => {
+    const source = (sources || []).find((s) => s.id === docId);
+    return {
+      id: docId,
+      name: source?.name || docId,
+      source
+    };
+  });
+
+  return { rows, columns };
+}
+
+module.exports = {
+  extractSegmentsForDoc,
+  parseComparisonData
+};
@@ -76,6 +76,14 @@ const CONFIG_SCHEMA = {
       description: 'Embedding model for semantic search',
       pattern: /^[a-zA-Z0-9][a-zA-Z0-9\-_.:/]*$/
     },
+    /** Audio transcription (Whisper) model */
+    audioModel: {
+      type: 'string',
+      default: DEFAULT_AI_MODELS.AUDIO_TRANSCRIPTION,
+      envVar: 'STRATOSORT_AUDIO_MODEL',
+      description: 'Whisper model for local audio transcription',
+      pattern: /^[a-zA-Z0-9][a-zA-Z0-9\-_.:/]*$/
+    },
     /** Fallback models list */
     fallbackModels: {
       type: 'array',
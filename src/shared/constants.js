@@ -22,7 +22,9 @@ const IPC_CHANNELS = {
     OPEN_FOLDER: 'files:open-folder',
     DELETE_FOLDER: 'files:delete-folder',
     CLEANUP_ANALYSIS: 'files:cleanup-analysis',
-    ADD_TAGS: 'files:add-tags'
+    ADD_TAGS: 'files:add-tags',
+    WRITE_METADATA: 'files:write-metadata',
+    PREVIEW_BUNDLES: 'files:preview-bundles'
   },
   SMART_FOLDERS: {
     GET: 'smart-folders:get',
@@ -70,7 +72,10 @@ const IPC_CHANNELS = {
     TEST_CONNECTION: 'llama:test-connection',
     DOWNLOAD_MODEL: 'llama:download-model',
     DELETE_MODEL: 'llama:delete-model',
-    GET_DOWNLOAD_STATUS: 'llama:get-download-status'
+    GET_DOWNLOAD_STATUS: 'llama:get-download-status',
+    GET_OCR_LANGUAGES: 'llama:get-ocr-languages',
+    DOWNLOAD_OCR_LANGUAGE: 'llama:download-ocr-language',
+    DELETE_OCR_LANGUAGE: 'llama:delete-ocr-language'
   },
   UNDO_REDO: {
     UNDO: 'undo-redo:undo',
@@ -80,6 +85,8 @@ const IPC_CHANNELS = {
     CLEAR_HISTORY: 'undo-redo:clear',
     CAN_UNDO: 'undo-redo:can-undo',
     CAN_REDO: 'undo-redo:can-redo',
+    PREVIEW_SELECTIVE_UNDO: 'undo-redo:preview-selective-undo',
+    SELECTIVE_UNDO: 'undo-redo:selective-undo',
     STATE_CHANGED: 'undo-redo:state-changed'
   },
   ANALYSIS_HISTORY: {
@@ -87,9 +94,12 @@ const IPC_CHANNELS = {
     SEARCH: 'analysis-history:search',
     GET_STATISTICS: 'analysis-history:get-statistics',
     GET_FILE_HISTORY: 'analysis-history:get-file-history',
+    GET_FACETS: 'analysis-history:get-facets',
     SET_EMBEDDING_POLICY: 'analysis-history:set-embedding-policy',
     CLEAR: 'analysis-history:clear',
-    EXPORT: 'analysis-history:export'
+    EXPORT: 'analysis-history:export',
+    FIND_SIMILAR_IMAGES: 'analysis-history:find-similar-images',
+    GET_TIMELINE: 'analysis-history:get-timeline'
   },
   EMBEDDINGS: {
     REBUILD_FOLDERS: 'embeddings:rebuild-folders',
@@ -113,6 +123,7 @@ const IPC_CHANNELS = {
     GET_FILE_METADATA: 'embeddings:get-file-metadata',
     FIND_FILES_BY_PATHS: 'embeddings:find-files-by-paths',
     FIND_DUPLICATES: 'embeddings:find-duplicates',
+    FIND_VERSION_CHAINS: 'embeddings:find-version-chains',
     CLEAR_CLUSTERS: 'embeddings:clear-clusters'
   },
   SYSTEM: {
@@ -178,11 +189,23 @@ const IPC_CHANNELS = {
     GET_CONVERSATION: 'chat:get-conversation',
     DELETE_CONVERSATION: 'chat:delete-conversation',
     SEARCH_CONVERSATIONS: 'chat:search-conversations',
-    EXPORT_CONVERSATION: 'chat:export-conversation'
+    EXPORT_CONVERSATION: 'chat:export-conversation',
+    EXECUTE_PLAN: 'chat:execute-plan',
+    DISCARD_PLAN: 'chat:discard-plan',
+    WRITE_REPORT: 'chat:write-report'
   },
   KNOWLEDGE: {
     GET_RELATIONSHIP_EDGES: 'knowledge:get-relationship-edges',
-    GET_RELATIONSHIP_STATS: 'knowledge:get-relationship-stats'
+    GET_RELATIONSHIP_STATS: 'knowledge:get-relationship-stats',
+    LIST_SAVED_SEARCHES: 'knowledge:list-saved-searches',
+    SAVE_SAVED_SEARCH: 'knowledge:save-saved-search',
+    DELETE_SAVED_SEARCH: 'knowledge:delete-saved-search',
+    RUN_SAVED_SEARCH: 'knowledge:run-saved-search',
+    LIST_REMINDERS: 'knowledge:list-reminders',
+    UPDATE_REMINDER: 'knowledge:update-reminder',
+    LIST_ENTITIES: 'knowledge:list-entities',
+    GET_ENTITY: 'knowledge:get-entity',
+    GET_FILE_ENTITIES: 'knowledge:get-file-entities'
   }
 };
 
@@ -204,7 +227,9 @@ const IPC_EVENTS = {
   FILE_OPERATION_COMPLETE: 'file-operation-complete',
   NOTIFICATION: 'notification',
   UNDO_REDO_STATE_CHANGED: 'undo-redo:state-changed',
-  BATCH_RESULTS_CHUNK: 'batch-results-chunk'
+  BATCH_RESULTS_CHUNK: 'batch-results-chunk',
+  SAVED_SEARCHES_UPDATED: 'saved-searches:updated',
+  REMINDERS_UPDATED: 'reminders:updated'
 };
 
 /**
@@ -220,7 +245,9 @@ const ACTION_TYPES = {
   SETTINGS_CHANGE: 'SETTINGS_CHANGE',
   ANALYSIS_RESULT: 'ANALYSIS_RESULT',
   BATCH_OPERATION: 'BATCH_OPERATION',
-  BATCH_ORGANIZE: 'BATCH_ORGANIZE'
+  BATCH_ORGANIZE: 'BATCH_ORGANIZE',
+  METADATA_WRITE: 'METADATA_WRITE',
+  ACTION_PLAN: 'ACTION_PLAN'
 };
 
 /**
@@ -391,6 +418,8 @@ const ANALYSIS_SUPPORTED_EXTENSIONS = Array.from(
     ...SUPPORTED_TEXT_EXTENSIONS,
     ...SUPPORTED_DOCUMENT_EXTENSIONS,
     ...SUPPORTED_IMAGE_EXTENSIONS,
+    ...SUPPORTED_AUDIO_EXTENSIONS,
+    ...SUPPORTED_VIDEO_EXTENSIONS,
     ...SUPPORTED_ARCHIVE_EXTENSIONS
   ])
 );
@@ -0,0 +1,75 @@
+/**
+ * Contradictions
+ *
+ * Flags pairs of sources that cover the same topic (shared tag, entity or
+ * category) but diverge in date or entity, so an answer or report can point
+ * out where documents may disagree.
+ *
+ * @module shared/contradictions
+ */
+
+/** Display labels per contradiction reason */
+const CONTRADICTION_REASON_LABELS = Object.freeze({
+  different_dates: 'Different dates on same topic',
+  different_entities: 'Different entities, shared topic'
+});
+
+const topicsOf = (source) =>
+  new Set([
+    ...(source.tags || []).map((t) => String(t).toLowerCase()),
+    ...(source.entity ? [source.entity.toLowerCase()] : []),
+    ...(source.category ? [source.category.toLowerCase()] : [])
+  ]);
+
+const describe = (source, date) => ({
+  id: source.id,
+  name: source.name,
+  date,
+  snippet: (source.snippet || source.summary || '').slice(0, 200)
+});
+
+/**
+ * Find potentially contradicting source pairs
+ * @param {Array<Object>} sources - Sources with `id`, `name`, `tags`, `entity`,
+ *   `category`, `documentDate` and `snippet`/`summary`
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Maximum pairs to return
+ * @returns {Array<{docA: Object, docB: Object, sharedTopics: string[], reason: string}>}
+ */
+function detectContradictions(sources, { limit = 5 } = {}) {
+  if (!sources || sources.length < 2) return [];
+
+  const contradictions = [];
+
+  for (let i = 0; i < sources.length - 1; i++) {
+    for (let j = i + 1; j < sources.length; j++) {
+      const a = sources[i];
+      const b = sources[j];
+
+      // Check for shared entities/tags that might indicate topical overlap
+      const bTags = topicsOf(b);
+      const sharedTopics = [...topicsOf(a)].filter((t) => bTags.has(t));
+      if (sharedTopics.length === 0) continue;
+
+      // Check for date divergence (different dates suggest potential evolution/contradiction)
+      const aDate = a.documentDate || '';
+      const bDate = b.documentDate || '';
+      const hasDifferentDates = aDate && bDate && aDate !== bDate;
+
+      // Only flag as potential contradiction if there's topical overlap
+      // AND some signal of divergence (different dates, different entities, etc.)
+      if (hasDifferentDates || (a.entity && b.entity && a.entity !== b.entity)) {
+        contradictions.push({
+          docA: describe(a, aDate),
+          docB: describe(b, bDate),
+          sharedTopics,
+          reason: hasDifferentDates ? 'different_dates' : 'different_entities'
+        });
+      }
+    }
+  }
+
+  return contradictions.slice(0, limit);
+}
+
+module.exports = { CONTRADICTION_REASON_LABELS, detectContradictions };
@@ -6,6 +6,8 @@
 const { CONCURRENCY } = require('./performanceConstants');
 const { AI_DEFAULTS, DEFAULT_AI_MODELS, SETTINGS_SCHEMA_VERSION } = require('./constants');
 const { DEFAULT_CHAT_PERSONA_ID } = require('./chatPersonas');
+const { DEFAULT_OCR_LANGUAGES } = require('./ocrLanguages');
+const { DEFAULT_OUTPUT_LANGUAGE_MODE, DEFAULT_OUTPUT_LANGUAGE } = require('./outputLanguage');
 
 const DEFAULT_SETTINGS = {
   // UI
@@ -32,6 +34,8 @@ const DEFAULT_SETTINGS = {
   smartFolderRoutingMode: 'auto',
   // Naming convention defaults (used by auto-organize / download watcher)
   namingConvention: 'subject-date',
+  // Filename template used when namingConvention is 'custom'
+  namingTemplate: '{date}_{entity|subject}_{type}',
   dateFormat: 'YYYY-MM-DD',
   caseConvention: 'kebab-case',
   separator: '-',
@@ -39,6 +43,16 @@ const DEFAULT_SETTINGS = {
   textModel: DEFAULT_AI_MODELS.TEXT_ANALYSIS,
   visionModel: DEFAULT_AI_MODELS.IMAGE_ANALYSIS,
   embeddingModel: DEFAULT_AI_MODELS.EMBEDDING,
+  // Whisper model for local audio transcription (optional download)
+  audioModel: DEFAULT_AI_MODELS.AUDIO_TRANSCRIPTION,
+  // OCR language packs (Tesseract codes) tried on scanned documents and images
+  ocrLanguages: [...DEFAULT_OCR_LANGUAGES],
+  // Language of summaries, keywords, suggested names, folder descriptions and chat answers
+  // - target: always outputLanguage
+  // - document: the language of the content
+  // - both: the content's language plus outputLanguage
+  outputLanguageMode: DEFAULT_OUTPUT_LANGUAGE_MODE,
+  outputLanguage: DEFAULT_OUTPUT_LANGUAGE,
   // Llama-specific tuning (in-process)
   llamaGpuLayers: AI_DEFAULTS?.TEXT?.GPU_LAYERS ?? -1,
   llamaContextSize: AI_DEFAULTS?.TEXT?.CONTEXT_SIZE ?? 8192,
@@ -76,6 +90,20 @@ const DEFAULT_SETTINGS = {
   workflowRestoreMaxAge: 60 * 60 * 1000, // 1 hour - how long to keep workflow state
   saveDebounceMs: 1000, // Debounce delay for auto-save
 
+  // Metadata write-back: persist tags, category, summary and document date into
+  // files so other tools can read them. Each format is opt-in (all off by default).
+  writeMetadataSidecar: false,
+  writeMetadataImages: false,
+  writeMetadataPdf: false,
+  writeMetadataOffice: false,
+  writeMetadataXattr: false,
+
+  // File access: gitignore-style patterns excluded everywhere (in addition to
+  // .stratoignore files), and privacy zones whose files are organized by name
+  // only - their content is never extracted, embedded or sent to chat.
+  exclusionPatterns: [],
+  privacyZones: [],
+
   // Chunking: auto-generate chunk embeddings during file analysis.
   // Enabled by default to improve chat/document retrieval depth out of the box.
   autoChunkOnAnalysis: true,
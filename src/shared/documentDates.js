@@ -0,0 +1,129 @@
+/**
+ * Document Dates
+ *
+ * Typed dates found in a document besides its primary date: when something
+ * is due, expires, must be renewed or takes effect. Stored on the analysis
+ * as `keyDates: { due, expires, renewal, effective }` (YYYY-MM-DD or null)
+ * and used by the reminder scheduler.
+ *
+ * @module shared/documentDates
+ */
+
+const { toDateParts, formatDateParts } = require('./pathTemplates');
+
+const KEY_DATE_KINDS = Object.freeze(['due', 'expires', 'renewal', 'effective']);
+
+const KEY_DATE_LABELS = Object.freeze({
+  due: 'Due',
+  expires: 'Expires',
+  renewal: 'Renewal',
+  effective: 'Takes effect'
+});
+
+/**
+ * Days before the date at which a reminder fires, most distant first.
+ * Expiring documents (passports, warranties) need more notice than bills.
+ */
+const REMINDER_LEAD_DAYS = Object.freeze({
+  due: [7, 1, 0],
+  expires: [30, 7, 0],
+  renewal: [30, 7, 0],
+  effective: [0]
+});
+
+/**
+ * Schema injected into the analysis prompt (see shared/analysisSchema).
+ */
+const KEY_DATES_SCHEMA_PROMPT = {
+  due: 'YYYY-MM-DD. Payment or action deadline. null if none.',
+  expires: 'YYYY-MM-DD. Expiry date (passport, ID, warranty, contract end). null if none.',
+  renewal: 'YYYY-MM-DD. Renewal or cancellation deadline. null if none.',
+  effective: 'YYYY-MM-DD. Date the document takes effect. null if none.'
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const DAYS_LEFT_PHRASES = {
+  due: {
+    today: 'due today',
+    future: (n) => (n === 1 ? 'due tomorrow' : `due in ${plural(n, 'day')}`),
+    past: (n) => `overdue by ${plural(n, 'day')}`
+  },
+  expires: {
+    today: 'expires today',
+    future: (n) => (n === 1 ? 'expires tomorrow' : `expires in ${plural(n, 'day')}`),
+    past: (n) => `expired ${plural(n, 'day')} ago`
+  },
+  renewal: {
+    today: 'must be renewed today',
+    future: (n) =>
+      n === 1 ? 'must be renewed tomorrow' : `must be renewed in ${plural(n, 'day')}`,
+    past: (n) => `renewal deadline passed ${plural(n, 'day')} ago`
+  },
+  effective: {
+    today: 'takes effect today',
+    future: (n) => (n === 1 ? 'takes effect tomorrow' : `takes effect in ${plural(n, 'day')}`),
+    past: (n) => `took effect ${plural(n, 'day')} ago`
+  }
+};
+
+/**
+ * Whole calendar days from `now` to a YYYY-MM-DD date (negative when past).
+ * @param {string} date
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+function daysUntil(date, now = new Date()) {
+  const parts = toDateParts(date);
+  if (!parts) return null;
+  const target = Date.UTC(parts.year, parts.month - 1, parts.day);
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((target - today) / 86400000);
+}
+
+/**
+ * Human phrase for a deadline, e.g. "due in 3 days" or "expired 2 days ago".
+ * @param {string} kind - One of KEY_DATE_KINDS
+ * @param {number} daysLeft - From daysUntil()
+ * @returns {string}
+ */
+function describeDaysLeft(kind, daysLeft) {
+  const phrases = DAYS_LEFT_PHRASES[kind] || DAYS_LEFT_PHRASES.due;
+  if (daysLeft === 0) return phrases.today;
+  return daysLeft > 0 ? phrases.future(daysLeft) : phrases.past(-daysLeft);
+}
+
+function normalizeDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return formatDateParts(toDateParts(value)) || null;
+}
+
+/**
+ * Normalize typed dates from the model (or a stored record).
+ *
+ * @param {Object} raw - `{ due, expires, renewal, effective }`
+ * @param {Object} [fallback] - Values used for kinds missing from `raw`
+ *   (e.g. `{ due: financial.dueDate }`)
+ * @returns {Object|null} All four kinds, or null when no date was found
+ */
+function normalizeKeyDates(raw, fallback = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const extra = fallback && typeof fallback === 'object' ? fallback : {};
+  const keyDates = {};
+  let found = false;
+  for (const kind of KEY_DATE_KINDS) {
+    keyDates[kind] = normalizeDate(source[kind]) || normalizeDate(extra[kind]);
+    if (keyDates[kind]) found = true;
+  }
+  return found ? keyDates : null;
+}
+
+module.exports = {
+  KEY_DATE_KINDS,
+  KEY_DATE_LABELS,
+  REMINDER_LEAD_DAYS,
+  KEY_DATES_SCHEMA_PROMPT,
+  normalizeKeyDates,
+  daysUntil,
+  describeDaysLeft
+};
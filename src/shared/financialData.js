@@ -0,0 +1,214 @@
+/**
+ * Financial Data
+ *
+ * Typed extraction profile for invoices, receipts and bank statements: the
+ * schema the LLM fills in, and normalization of its answer into
+ *
+ *   { profile, totalAmount, currency, taxAmount, invoiceNumber, dueDate,
+ *     payer, payee, lineItems: [{ description, quantity, unitPrice, amount }] }
+ *
+ * Amounts are numbers in major units (12.5 = 12.50), currencies ISO 4217
+ * codes and dates YYYY-MM-DD. Shared between main (extraction, history,
+ * search) and renderer (display), so this module must stay free of Node APIs.
+ *
+ * @module shared/financialData
+ */
+
+const { toDateParts, formatDateParts } = require('./pathTemplates');
+
+/**
+ * Profiles keyed by id. A document gets a profile when its analyzed `type`
+ * matches one of the patterns (English plus common European terms).
+ */
+const FINANCIAL_PROFILES = Object.freeze({
+  invoice: {
+    label: 'invoice',
+    pattern: /invoice|\bbill\b|rechnung|factura|facture|fattura|faktura|factuur/i
+  },
+  receipt: {
+    label: 'receipt',
+    pattern: /receipt|quittung|kassenbon|kassenzettel|\bbeleg\b|recibo|ricevuta|reçu|kvitto/i
+  },
+  bank_statement: {
+    label: 'bank statement',
+    pattern:
+      /(bank|account|card|credit card)[\s_-]*statement|kontoauszug|extracto|relevé|estratto conto/i
+  }
+});
+
+const MAX_LINE_ITEMS = 100;
+const MAX_TEXT_LENGTH = 255;
+
+const CURRENCY_SYMBOLS = Object.freeze({
+  '€': 'EUR',
+  $: 'USD',
+  us$: 'USD',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₽': 'RUB',
+  '₺': 'TRY',
+  zł: 'PLN',
+  kč: 'CZK',
+  r$: 'BRL'
+});
+
+/**
+ * Schema injected into the extraction prompt.
+ */
+const FINANCIAL_SCHEMA_PROMPT = {
+  totalAmount:
+    'Number. The total amount due or paid, including tax (for a bank statement: the closing balance). null if not found.',
+  currency: "ISO 4217 code, e.g. 'EUR', 'USD'. null if not found.",
+  taxAmount: 'Number. Total tax / VAT amount. null if not found.',
+  invoiceNumber: 'The invoice, receipt or statement number exactly as printed. null if not found.',
+  dueDate: 'YYYY-MM-DD. Payment due date. null if not found.',
+  payer: 'Who pays (the customer or account holder). null if not found.',
+  payee: 'Who is paid (the seller, issuer or bank). null if not found.',
+  lineItems: [
+    {
+      description: 'Item, service or transaction description',
+      quantity: 'Number or null',
+      unitPrice: 'Number or null',
+      amount: 'Number. Line total (negative for debits on a bank statement)'
+    }
+  ]
+};
+
+/**
+ * Profile id for an analyzed document type, or null when none applies.
+ * @param {string} documentType - e.g. "Invoice", "Bank Statement"
+ * @returns {string|null}
+ */
+function getFinancialProfile(documentType) {
+  if (typeof documentType !== 'string' || !documentType.trim()) return null;
+  for (const [id, profile] of Object.entries(FINANCIAL_PROFILES)) {
+    if (profile.pattern.test(documentType)) return id;
+  }
+  return null;
+}
+
+/**
+ * Parse an amount written as a number or a string such as "1,234.56",
+ * "1.234,56 €", "$ 12" or "(42.00)".
+ * @param {number|string} value
+ * @returns {number|null} Rounded to cents
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+  }
+  if (typeof value !== 'string') return null;
+  const raw = value.trim();
+  const negative = /^\(.*\)$/.test(raw) || /^[^\d]*-/.test(raw) || /-$/.test(raw);
+  let digits = raw.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(digits)) return null;
+
+  // The last separator is the decimal point unless it is followed by exactly
+  // three digits and is the only kind of separator ("1.234" or "1,234,567")
+  const lastSeparator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+  if (lastSeparator !== -1) {
+    const decimals = digits.length - lastSeparator - 1;
+    const mixed = digits.includes('.') && digits.includes(',');
+    const isThousands = !mixed && decimals === 3;
+    const integerPart = digits.slice(0, lastSeparator).replace(/[.,]/g, '');
+    const fraction = digits.slice(lastSeparator + 1);
+    digits = isThousands ? `${integerPart}${fraction}` : `${integerPart}.${fraction}`;
+  }
+
+  const amount = Number(digits);
+  if (!Number.isFinite(amount)) return null;
+  return Math.round((negative ? -amount : amount) * 100) / 100;
+}
+
+/**
+ * ISO 4217 code from a code or symbol ("eur", "€", "US$").
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeCurrency(value) {
+  if (typeof value !== 'string') return null;
+  const raw = value.trim();
+  if (/^[a-z]{3}$/i.test(raw)) return raw.toUpperCase();
+  return CURRENCY_SYMBOLS[raw.toLowerCase()] || null;
+}
+
+/**
+ * Currency written next to an amount ("€ 12,50", "12.50 EUR").
+ * @param {string} value
+ * @returns {string|null}
+ */
+function currencyFromAmountText(value) {
+  if (typeof value !== 'string') return null;
+  const code = /\b([A-Z]{3})\b/.exec(value);
+  if (code) return code[1];
+  const symbol = value.replace(/[\d.,()\s-]/g, '');
+  return symbol ? normalizeCurrency(symbol) : null;
+}
+
+function normalizeDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return formatDateParts(toDateParts(value)) || null;
+}
+
+function normalizeString(value, maxLength = MAX_TEXT_LENGTH) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  if (!text || /^(null|n\/a|none|unknown)$/i.test(text)) return null;
+  return Array.from(text).slice(0, maxLength).join('');
+}
+
+function normalizeLineItem(item) {
+  if (!item || typeof item !== 'object') return null;
+  const lineItem = {
+    description: normalizeString(item.description),
+    quantity: parseAmount(item.quantity),
+    unitPrice: parseAmount(item.unitPrice),
+    amount: parseAmount(item.amount)
+  };
+  return lineItem.description || lineItem.amount !== null ? lineItem : null;
+}
+
+/**
+ * Normalize extracted (or previously stored) financial fields.
+ *
+ * @param {Object} raw - LLM output or a stored record
+ * @param {string} [profile] - Profile id; defaults to `raw.profile`
+ * @returns {Object|null} Null when there is no profile or nothing was found
+ */
+function normalizeFinancialData(raw, profile = raw?.profile) {
+  if (!raw || typeof raw !== 'object' || !FINANCIAL_PROFILES[profile]) return null;
+
+  const lineItems = (Array.isArray(raw.lineItems) ? raw.lineItems : [])
+    .slice(0, MAX_LINE_ITEMS)
+    .map(normalizeLineItem)
+    .filter(Boolean);
+  const data = {
+    profile,
+    totalAmount: parseAmount(raw.totalAmount),
+    currency: normalizeCurrency(raw.currency) || currencyFromAmountText(raw.totalAmount),
+    taxAmount: parseAmount(raw.taxAmount),
+    invoiceNumber: normalizeString(raw.invoiceNumber, 64),
+    dueDate: normalizeDate(raw.dueDate),
+    payer: normalizeString(raw.payer),
+    payee: normalizeString(raw.payee),
+    lineItems
+  };
+
+  const hasData =
+    lineItems.length > 0 ||
+    ['totalAmount', 'taxAmount', 'invoiceNumber', 'dueDate', 'payer', 'payee'].some(
+      (key) => data[key] !== null
+    );
+  return hasData ? data : null;
+}
+
+module.exports = {
+  FINANCIAL_PROFILES,
+  FINANCIAL_SCHEMA_PROMPT,
+  getFinancialProfile,
+  parseAmount,
+  normalizeCurrency,
+  normalizeFinancialData
+};
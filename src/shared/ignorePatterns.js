@@ -0,0 +1,190 @@
+/**
+ * Ignore Patterns
+ *
+ * gitignore-style pattern matching used for `.stratoignore` files and the
+ * global exclusion list in settings. Supported syntax:
+ *
+ *   # comment            blank lines and comments are skipped
+ *   *.log                no slash: matches a name at any depth
+ *   /build  docs/drafts  a leading or inner slash anchors to the base folder
+ *   cache/               trailing slash: directories only
+ *   **  *  ?  [a-z]      globs; `**` spans folders, the others stay in one name
+ *   !keep.log            negation re-includes a previously excluded path
+ *   \#notes  \!important backslash escapes a leading # or !
+ *
+ * As in git, a file cannot be re-included once one of its parent folders is
+ * excluded. Paths passed in are relative to the folder the patterns belong to
+ * and use forward slashes.
+ *
+ * Shared between main (FileAccessPolicy) and renderer (settings validation),
+ * so this module must stay free of Node APIs.
+ *
+ * @module shared/ignorePatterns
+ */
+
+const MAX_PATTERN_LENGTH = 500;
+const REGEX_SPECIAL = /[.+^${}()|[\]\\]/;
+
+/**
+ * Convert one path segment's glob syntax to a regex fragment
+ * @param {string} segment
+ * @returns {string}
+ */
+function segmentToRegex(segment) {
+  let source = '';
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+    if (char === '\\' && i + 1 < segment.length) {
+      i++;
+      source += /\w/.test(segment[i]) ? segment[i] : `\\${segment[i]}`;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = segment.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = segment.slice(i + 1, close);
+      if (body.startsWith('!')) body = `^${body.slice(1)}`;
+      source += `[${body.replace(/\\/g, '\\\\')}]`;
+      i = close;
+    } else {
+      source += REGEX_SPECIAL.test(char) ? `\\${char}` : char;
+    }
+  }
+  return source;
+}
+
+/**
+ * Compile a single pattern line
+ * @param {string} line
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreCase=false]
+ * @returns {{pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp}|null}
+ *   null for blank lines, comments and unusable patterns
+ */
+function compilePattern(line, { ignoreCase = false } = {}) {
+  if (typeof line !== 'string') return null;
+  // Trailing whitespace is ignored unless escaped
+  let body = line.replace(/(?<!\\)\s+$/, '');
+  if (!body || body.startsWith('#') || body.length > MAX_PATTERN_LENGTH) return null;
+
+  let negate = false;
+  if (body.startsWith('!')) {
+    negate = true;
+    body = body.slice(1);
+  } else if (body.startsWith('\\!') || body.startsWith('\\#')) {
+    body = body.slice(1);
+  }
+
+  let dirOnly = false;
+  if (body.endsWith('/')) {
+    dirOnly = true;
+    body = body.replace(/\/+$/, '');
+  }
+  const anchored = body.includes('/');
+  body = body.replace(/^\/+/, '');
+  if (!body) return null;
+
+  const segments = body.split('/');
+  let source = '';
+  segments.forEach((segment, index) => {
+    const isLast = index === segments.length - 1;
+    if (segment === '**') {
+      source += isLast ? '.*' : '(?:.*/)?';
+    } else {
+      source += segmentToRegex(segment) + (isLast ? '' : '/');
+    }
+  });
+
+  try {
+    return {
+      pattern: line.trim(),
+      negate,
+      dirOnly,
+      regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`, ignoreCase ? 'i' : '')
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compile pattern text (one pattern per line) or a list of patterns
+ * @param {string|string[]} input
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreCase=false]
+ * @returns {Object[]} Compiled rules in file order
+ */
+function compileIgnorePatterns(input, options = {}) {
+  const lines = Array.isArray(input) ? input : String(input || '').split(/\r?\n/);
+  return lines.map((line) => compilePattern(line, options)).filter(Boolean);
+}
+
+/**
+ * Evaluate rules against one path. The last matching rule wins.
+ * @param {Object[]} rules
+ * @param {string} relativePath - Forward-slash path relative to the rules' folder
+ * @param {boolean} [isDirectory=false]
+ * @returns {boolean|undefined} true = excluded, false = re-included, undefined = no rule matched
+ */
+function matchIgnoreRules(rules, relativePath, isDirectory = false) {
+  let result;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) result = !rule.negate;
+  }
+  return result;
+}
+
+/**
+ * Whether a path is excluded by a single set of rules, including exclusion
+ * inherited from a parent folder.
+ * @param {Object[]} rules
+ * @param {string} relativePath
+ * @param {Object} [options]
+ * @param {boolean} [options.isDirectory=false]
+ * @returns {boolean}
+ */
+function isIgnored(rules, relativePath, { isDirectory = false } = {}) {
+  const segments = String(relativePath || '')
+    .split('/')
+    .filter(Boolean);
+  for (let i = 1; i <= segments.length; i++) {
+    const isLast = i === segments.length;
+    const excluded = matchIgnoreRules(
+      rules,
+      segments.slice(0, i).join('/'),
+      !isLast || isDirectory
+    );
+    if (excluded === true) return true;
+  }
+  return false;
+}
+
+/**
+ * Validate patterns entered by the user
+ * @param {string[]} patterns
+ * @returns {string[]} Patterns that cannot be used
+ */
+function findInvalidPatterns(patterns) {
+  if (!Array.isArray(patterns)) return [];
+  return patterns.filter((pattern) => {
+    if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) return true;
+    const trimmed = pattern.trim();
+    if (!trimmed || trimmed.startsWith('#')) return false;
+    return compilePattern(pattern) === null;
+  });
+}
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  compilePattern,
+  compileIgnorePatterns,
+  matchIgnoreRules,
+  isIgnored,
+  findInvalidPatterns
+};
@@ -39,6 +39,9 @@ const schemas = z
             'model-download',
             'model-download-complete',
             'model-download-error',
+            'ocr-language-download',
+            'ocr-language-download-complete',
+            'ocr-language-download-error',
             'dependency',
             'hint',
             'analyze'
@@ -54,6 +57,8 @@ const schemas = z
         status: z.string().optional(),
         digest: z.string().optional(),
         completed: z.number().optional(),
+        // For ocr-language-download types
+        language: z.string().optional(),
         // For batch operations
         file: z.string().optional(),
         success: z.boolean().optional(),
@@ -250,6 +255,27 @@ const schemas = z
           .optional()
       });
 
+      /**
+       * Saved Searches Updated Event
+       * New matches were found for one or more saved searches
+       */
+      const savedSearchesUpdatedSchema = z.object({
+        searches: z.array(
+          z.object({
+            id: z.string(),
+            newMatchCount: z.number().int().nonnegative()
+          })
+        )
+      });
+
+      /**
+       * Reminders Updated Event
+       * Document deadline reminders were added, moved, dismissed or notified
+       */
+      const remindersUpdatedSchema = z.object({
+        upcomingCount: z.number().int().nonnegative()
+      });
+
       return {
         operationProgressSchema,
         operationCompleteSchema,
@@ -264,7 +290,9 @@ const schemas = z
         appUpdateSchema,
         openSemanticSearchSchema,
         batchResultsChunkSchema,
-        undoRedoStateChangedSchema
+        undoRedoStateChangedSchema,
+        savedSearchesUpdatedSchema,
+        remindersUpdatedSchema
       };
     })()
   : {};
@@ -288,7 +316,9 @@ const EVENT_SCHEMAS = z
       [IPC_EVENTS.APP_UPDATE]: schemas.appUpdateSchema,
       [IPC_EVENTS.OPEN_SEMANTIC_SEARCH]: schemas.openSemanticSearchSchema,
       [IPC_EVENTS.BATCH_RESULTS_CHUNK]: schemas.batchResultsChunkSchema,
-      [IPC_EVENTS.UNDO_REDO_STATE_CHANGED]: schemas.undoRedoStateChangedSchema
+      [IPC_EVENTS.UNDO_REDO_STATE_CHANGED]: schemas.undoRedoStateChangedSchema,
+      [IPC_EVENTS.SAVED_SEARCHES_UPDATED]: schemas.savedSearchesUpdatedSchema,
+      [IPC_EVENTS.REMINDERS_UPDATED]: schemas.remindersUpdatedSchema
     }
   : {};
 
@@ -15,7 +15,8 @@
 const ModelType = {
   TEXT: 'text',
   VISION: 'vision',
-  EMBEDDING: 'embedding'
+  EMBEDDING: 'embedding',
+  AUDIO: 'audio'
 };
 
 /**
@@ -28,6 +29,7 @@ const QuantizationLevel = {
   Q8_0: 'Q8_0', // 8-bit (good quality, reasonable size)
   Q6_K: 'Q6_K', // 6-bit K-quant
   Q5_K_M: 'Q5_K_M', // 5-bit K-quant medium
+  Q5_0: 'Q5_0', // 5-bit legacy quant
   Q4_0: 'Q4_0', // 4-bit legacy quant
   Q4_K_M: 'Q4_K_M', // 4-bit K-quant medium (recommended balance)
   Q4_K_S: 'Q4_K_S', // 4-bit K-quant small
@@ -224,6 +226,73 @@ const MODEL_CATALOG = {
       size: 608 * 1024 * 1024, // ~608MB
       checksum: '004fc09697203296f72321b296a8d48aade2d23e553cbfb1c1e6a0b5157a08d5'
     }
+  },
+
+  // ========== AUDIO (SPEECH-TO-TEXT) MODELS ==========
+  // whisper.cpp ggml weights. The upstream repo publishes SHA-1 digests for these files.
+  // Not recommended by default: transcription is optional and never auto-downloaded.
+  'ggml-base.bin': {
+    type: ModelType.AUDIO,
+    displayName: 'Whisper Base',
+    description: 'Multilingual speech-to-text, fast on CPU',
+    dimensions: null,
+    contextLength: null,
+    size: 142 * 1024 * 1024, // ~142MB
+    quantization: QuantizationLevel.F16,
+    url: `${HF_BASE_URL}/ggerganov/whisper.cpp/resolve/main/ggml-base.bin`,
+    checksum: '465707469ff3a37a2b9b8d8f89f2f99de7299dac',
+    checksumAlgorithm: 'sha1',
+    recommended: false,
+    requiresGpu: false,
+    minRam: 1024
+  },
+
+  'ggml-base.en.bin': {
+    type: ModelType.AUDIO,
+    displayName: 'Whisper Base (English)',
+    description: 'English-only speech-to-text, slightly more accurate than Base for English',
+    dimensions: null,
+    contextLength: null,
+    size: 142 * 1024 * 1024, // ~142MB
+    quantization: QuantizationLevel.F16,
+    url: `${HF_BASE_URL}/ggerganov/whisper.cpp/resolve/main/ggml-base.en.bin`,
+    checksum: '137c40403d78fd54d454da0f9bd998f78703390c',
+    checksumAlgorithm: 'sha1',
+    recommended: false,
+    requiresGpu: false,
+    minRam: 1024
+  },
+
+  'ggml-small.bin': {
+    type: ModelType.AUDIO,
+    displayName: 'Whisper Small',
+    description: 'Multilingual speech-to-text with better accuracy on accents and noise',
+    dimensions: null,
+    contextLength: null,
+    size: 466 * 1024 * 1024, // ~466MB
+    quantization: QuantizationLevel.F16,
+    url: `${HF_BASE_URL}/ggerganov/whisper.cpp/resolve/main/ggml-small.bin`,
+    checksum: '55356645c2b361a969dfd0ef2c5a50d530afd8d5',
+    checksumAlgorithm: 'sha1',
+    recommended: false,
+    requiresGpu: false,
+    minRam: 2048
+  },
+
+  'ggml-large-v3-turbo-q5_0.bin': {
+    type: ModelType.AUDIO,
+    displayName: 'Whisper Large v3 Turbo',
+    description: 'Highest transcription quality, best with a GPU',
+    dimensions: null,
+    contextLength: null,
+    size: 547 * 1024 * 1024, // ~547MB
+    quantization: QuantizationLevel.Q5_0,
+    url: `${HF_BASE_URL}/ggerganov/whisper.cpp/resolve/main/ggml-large-v3-turbo-q5_0.bin`,
+    checksum: 'e050f7970618a659205450ad97eb95a18d69c9ee',
+    checksumAlgorithm: 'sha1',
+    recommended: false,
+    requiresGpu: true,
+    minRam: 4096
   }
 };
 
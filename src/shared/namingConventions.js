@@ -6,6 +6,8 @@
  * @module shared/namingConventions
  */
 
+const { renderNamingTemplate } = require('./namingTemplates');
+
 /**
  * Format a date according to the specified format
  * @param {Date} date - Date to format
@@ -107,6 +109,22 @@ function applyCaseConvention(text, convention, options = {}) {
   }
 }
 
+// Sample analysis fields shown in the settings preview for custom templates
+const PREVIEW_ANALYSIS = Object.freeze({
+  entity: 'Acme Corp',
+  type: 'Invoice',
+  category: 'Category',
+  project: 'Project',
+  summary: 'Monthly services invoice',
+  purpose: 'Billing'
+});
+
+function caseTransform(caseConvention, wordSeparator) {
+  return caseConvention
+    ? (value) => applyCaseConvention(value, caseConvention, { wordSeparator })
+    : undefined;
+}
+
 /**
  * Generate a preview name based on naming convention settings
  * @param {string} originalName - Original filename
@@ -115,10 +133,11 @@ function applyCaseConvention(text, convention, options = {}) {
  * @param {string} settings.separator - Separator character
  * @param {string} settings.dateFormat - Date format
  * @param {string} settings.caseConvention - Case convention
+ * @param {string} [settings.template] - Naming template (convention 'custom')
  * @returns {string} Preview name
  */
 function generatePreviewName(originalName, settings) {
-  const { convention, separator, dateFormat, caseConvention } = settings;
+  const { convention, separator, dateFormat, caseConvention, template } = settings;
   const safeSeparator = normalizeSeparator(separator);
 
   const baseName = originalName.replace(/\.[^/.]+$/, '');
@@ -142,6 +161,14 @@ function generatePreviewName(originalName, settings) {
       break;
     case 'keep-original':
       return `${baseName}${extension}`;
+    case 'custom': {
+      const rendered = renderNamingTemplate(
+        template,
+        { originalFileName: originalName, analysis: PREVIEW_ANALYSIS, counter: 1 },
+        { dateFormat, transform: caseTransform(caseConvention, safeSeparator), now: today }
+      );
+      return `${rendered || baseName}${extension}`;
+    }
     default:
       previewName = baseName;
   }
@@ -160,13 +187,15 @@ function generatePreviewName(originalName, settings) {
  * @param {Object} params.analysis - Analysis result
  * @param {Object} params.settings - Naming settings
  * @param {Object} [params.fileTimestamps] - Optional file timestamps
+ * @param {number} [params.counter=1] - Position in the current batch, for `{counter}` in custom templates
  * @returns {string} Suggested filename (with extension preserved)
  */
 function generateSuggestedNameFromAnalysis({
   originalFileName,
   analysis,
   settings,
-  fileTimestamps
+  fileTimestamps,
+  counter = 1
 }) {
   const safeOriginalName = String(originalFileName || '').trim();
   if (!safeOriginalName) return '';
@@ -180,6 +209,16 @@ function generateSuggestedNameFromAnalysis({
   const dateFormat = settings?.dateFormat || 'YYYY-MM-DD';
   const caseConvention = settings?.caseConvention;
 
+  if (convention === 'custom') {
+    const rendered = renderNamingTemplate(
+      settings?.template,
+      { originalFileName: safeOriginalName, analysis, fileTimestamps, counter },
+      { dateFormat, transform: caseTransform(caseConvention, separator) }
+    );
+    // An empty or invalid template falls through to the plain subject below
+    if (rendered) return `${rendered}${extension}`;
+  }
+
   const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
   const stripTrailingDateToken = (subject, token) => {
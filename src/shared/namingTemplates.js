@@ -0,0 +1,260 @@
+/**
+ * Naming Templates
+ *
+ * User-authored filename templates such as
+ * `{date:YYYY-MM-DD}_{entity}_{type}_{counter:3}`, used by the `custom`
+ * naming convention and by per-smart-folder `namingTemplate` overrides.
+ *
+ * Shared between main and renderer, so this module must stay free of Node APIs.
+ *
+ * Token syntax: `{token}`, `{token:arg}` and `{token|alternative|...}`.
+ * - Date tokens take a format argument (`{date:YYYYMMDD}`).
+ * - `{counter:N}` zero-pads the counter to N digits.
+ * - Text tokens take a maximum length (`{summary:30}`), truncated at a word break.
+ * - Alternatives are tried in order when a value is empty; an alternative that
+ *   names a token (`{entity|project}`) uses that token, anything else is literal
+ *   text (`{entity|Unknown}`).
+ *
+ * @module shared/namingTemplates
+ */
+
+const { toDateParts, formatDateParts } = require('./pathTemplates');
+
+const MAX_TEMPLATE_LENGTH = 200;
+const DEFAULT_TEXT_LENGTH = 50;
+const MAX_TEXT_LENGTH = 200;
+const MAX_COUNTER_WIDTH = 6;
+
+const TOKEN_PATTERN = /\{([a-z_]+)(?::([^}|]*))?((?:\|[^}|]*)*)\}/gi;
+// eslint-disable-next-line no-control-regex
+const ILLEGAL_NAME_CHARS = /[\\/:*?"<>|\u0000-\u001f\u007f]/g;
+
+/**
+ * Tokens a naming template may reference.
+ * `kind` selects how the optional `:arg` is interpreted.
+ */
+const NAMING_TOKENS = Object.freeze({
+  subject: { kind: 'text', label: 'Subject (AI suggested name)' },
+  original: { kind: 'text', label: 'Original file name' },
+  entity: { kind: 'text', label: 'Entity' },
+  type: { kind: 'text', label: 'Document type' },
+  category: { kind: 'text', label: 'Category' },
+  project: { kind: 'text', label: 'Project' },
+  summary: { kind: 'text', label: 'Summary' },
+  purpose: { kind: 'text', label: 'Purpose' },
+  place: { kind: 'text', label: 'Photo place (city)' },
+  country: { kind: 'text', label: 'Photo country' },
+  camera: { kind: 'text', label: 'Camera model' },
+  date: { kind: 'date', label: 'Document date (else modified, created, today)' },
+  created: { kind: 'date', label: 'Created date' },
+  modified: { kind: 'date', label: 'Modified date' },
+  year: { kind: 'fixed', label: 'Year of {date}' },
+  month: { kind: 'fixed', label: 'Month of {date}' },
+  day: { kind: 'fixed', label: 'Day of {date}' },
+  counter: { kind: 'counter', label: 'Position in the current batch' }
+});
+
+/** Starting points offered in the settings UI. */
+const NAMING_TEMPLATE_PRESETS = Object.freeze([
+  '{date:YYYY-MM-DD}_{entity}_{type}',
+  '{date:YYYY-MM-DD}_{entity}_{type}_{counter:3}',
+  '{entity|project}_{subject}_{date:YYYYMMDD}',
+  '{type|Document} - {subject:40}'
+]);
+
+function isValidDateFormat(format) {
+  return /YYYY|YY|MM|DD/.test(format) && !/[\\/:*?"<>|]/.test(format);
+}
+
+function parseAlternatives(raw) {
+  return raw ? raw.split('|').slice(1) : [];
+}
+
+function sanitizeValue(value) {
+  return String(value ?? '')
+    .replace(ILLEGAL_NAME_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Truncate text to a maximum length, preferring a word break in the back half.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateText(text, maxLength) {
+  if (!text || text.length <= maxLength) return text;
+  const truncated = text.slice(0, maxLength);
+  const lastBreak = Math.max(
+    truncated.lastIndexOf(' '),
+    truncated.lastIndexOf('-'),
+    truncated.lastIndexOf('_')
+  );
+  return (lastBreak > maxLength * 0.5 ? truncated.slice(0, lastBreak) : truncated).trim();
+}
+
+/**
+ * Validate a naming template.
+ * @param {string} template
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateNamingTemplate(template) {
+  const errors = [];
+  if (typeof template !== 'string' || !template.trim()) {
+    return { valid: false, errors: ['Naming template is empty'] };
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`Naming template is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  let depth = 0;
+  for (const ch of template) {
+    if (ch === '{') depth += 1;
+    if (ch === '}') depth -= 1;
+    if (depth < 0 || depth > 1) break;
+  }
+  if (depth !== 0) errors.push('Naming template has unbalanced braces');
+
+  if (/[\\/]/.test(template.replace(TOKEN_PATTERN, ''))) {
+    errors.push('Naming template cannot contain path separators');
+  }
+
+  let tokenCount = 0;
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    tokenCount += 1;
+    const [, rawToken, arg] = match;
+    const spec = NAMING_TOKENS[rawToken.toLowerCase()];
+    if (!spec) {
+      errors.push(`Unknown token {${rawToken}}`);
+      continue;
+    }
+    if (arg === undefined) continue;
+    if (spec.kind === 'date' && !isValidDateFormat(arg)) {
+      errors.push(`{${rawToken}:${arg}} needs a date format using YYYY, MM and DD`);
+    } else if (spec.kind === 'counter') {
+      const width = Number(arg);
+      if (!Number.isInteger(width) || width < 1 || width > MAX_COUNTER_WIDTH) {
+        errors.push(`{${rawToken}:${arg}} needs a width from 1 to ${MAX_COUNTER_WIDTH}`);
+      }
+    } else if (spec.kind === 'text') {
+      const length = Number(arg);
+      if (!Number.isInteger(length) || length < 1 || length > MAX_TEXT_LENGTH) {
+        errors.push(`{${rawToken}:${arg}} needs a length from 1 to ${MAX_TEXT_LENGTH}`);
+      }
+    } else if (spec.kind === 'fixed') {
+      errors.push(`Token {${rawToken}} does not accept an argument`);
+    }
+  }
+  if (tokenCount === 0) errors.push('Naming template needs at least one {token}');
+
+  return { valid: errors.length === 0, errors: Array.from(new Set(errors)) };
+}
+
+/**
+ * Render a naming template into a base filename (without extension).
+ *
+ * @param {string} template - Naming template
+ * @param {Object} params
+ * @param {string} params.originalFileName - Original filename (with extension)
+ * @param {Object} [params.analysis] - Analysis result
+ * @param {Object} [params.fileTimestamps] - { created, modified }
+ * @param {number} [params.counter=1] - Position of the file in the current batch
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat='YYYY-MM-DD'] - Format for date tokens without an argument
+ * @param {Function} [options.transform] - Applied to each token value (e.g. case convention)
+ * @param {Date} [options.now] - Clock used when no date is known
+ * @returns {string} Base filename, or '' when the template is invalid or renders empty
+ */
+function renderNamingTemplate(template, params = {}, options = {}) {
+  if (!validateNamingTemplate(template).valid) return '';
+
+  const { originalFileName = '', analysis, fileTimestamps, counter = 1 } = params;
+  const { dateFormat = 'YYYY-MM-DD', transform, now = new Date() } = options;
+  const a = analysis && typeof analysis === 'object' ? analysis : {};
+  const originalBase = String(originalFileName).replace(/\.[^/.]+$/, '');
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const createdParts = toDateParts(fileTimestamps?.created);
+  const modifiedParts = toDateParts(fileTimestamps?.modified);
+  const photo = a.photo && typeof a.photo === 'object' ? a.photo : {};
+  const dateParts =
+    toDateParts(a.documentDate) ||
+    toDateParts(photo.capturedAt) ||
+    toDateParts(a.date) ||
+    modifiedParts ||
+    createdParts ||
+    toDateParts(now);
+
+  const raw = {
+    // originalSuggestedName survives re-renders, so {subject} never nests a previous result
+    subject:
+      (text(a.originalSuggestedName) || text(a.suggestedName)).replace(/\.[^/.]+$/, '') ||
+      originalBase,
+    original: originalBase,
+    entity: text(a.entity),
+    type: text(a.type) || text(a.documentType),
+    category: text(a.category),
+    project: text(a.project),
+    summary: text(a.summary),
+    purpose: text(a.purpose),
+    place: text(photo.place?.city),
+    country: text(photo.place?.country),
+    camera: text(photo.camera)
+  };
+
+  const resolveToken = (token, arg) => {
+    const spec = NAMING_TOKENS[token];
+    switch (spec.kind) {
+      case 'date': {
+        const parts =
+          token === 'created' ? createdParts : token === 'modified' ? modifiedParts : dateParts;
+        return formatDateParts(parts, arg || dateFormat);
+      }
+      case 'fixed':
+        return formatDateParts(dateParts, { year: 'YYYY', month: 'MM', day: 'DD' }[token]);
+      case 'counter': {
+        const n = Number.isFinite(Number(counter)) && counter > 0 ? Math.floor(counter) : 1;
+        return String(n).padStart(arg ? Number(arg) : 1, '0');
+      }
+      default: {
+        const value = truncateText(
+          sanitizeValue(raw[token]),
+          arg ? Number(arg) : DEFAULT_TEXT_LENGTH
+        );
+        return value && typeof transform === 'function' ? transform(value) : value;
+      }
+    }
+  };
+
+  const rendered = template.replace(TOKEN_PATTERN, (_, rawToken, arg, rawAlternatives) => {
+    const candidates = [{ token: rawToken.toLowerCase(), arg }];
+    for (const alternative of parseAlternatives(rawAlternatives)) {
+      const key = alternative.trim().toLowerCase();
+      candidates.push(NAMING_TOKENS[key] ? { token: key } : { literal: alternative });
+    }
+    for (const candidate of candidates) {
+      const value =
+        candidate.literal !== undefined
+          ? sanitizeValue(candidate.literal)
+          : sanitizeValue(resolveToken(candidate.token, candidate.arg));
+      if (value) return value;
+    }
+    return '';
+  });
+
+  // Empty tokens leave doubled or dangling separators behind ("2026-01-02__Invoice")
+  return sanitizeValue(rendered)
+    .replace(/([ ._-])\1+/g, '$1')
+    .replace(/ ?([._-]) ?(?=[._-])/g, '$1')
+    .replace(/^[\s._-]+|[\s._-]+$/g, '');
+}
+
+module.exports = {
+  NAMING_TOKENS,
+  NAMING_TEMPLATE_PRESETS,
+  MAX_TEMPLATE_LENGTH,
+  validateNamingTemplate,
+  renderNamingTemplate,
+  truncateText
+};
@@ -89,7 +89,13 @@ function normalizeKeywords(keywords, options = {}) {
   const normalized = [];
   const seen = new Set();
   for (const entry of keywords) {
-    const cleaned = normalizeText(entry, { maxLength: 50, collapseWhitespace: true, trim: true });
+    // NFC so composed and decomposed accents dedupe to the same keyword
+    const cleaned = normalizeText(entry, {
+      maxLength: 50,
+      collapseWhitespace: true,
+      trim: true,
+      normalizeUnicode: true
+    });
     if (!cleaned) continue;
     const key = cleaned.toLowerCase();
     if (seen.has(key)) continue;
@@ -33,10 +33,37 @@ const analysisResultSchema = z
       documentDate: z.string().nullable().optional(),
       keyEntities: z.array(z.string()).nullable().optional(),
       extractionMethod: z.string().nullable().optional(),
+      // Typed invoice/receipt/statement fields (shared/financialData)
+      financial: z.object({ profile: z.string() }).passthrough().nullable().optional(),
+      // Typed deadlines (shared/documentDates)
+      keyDates: z
+        .object({
+          due: z.string().nullable(),
+          expires: z.string().nullable(),
+          renewal: z.string().nullable(),
+          effective: z.string().nullable()
+        })
+        .nullable()
+        .optional(),
       // Image-specific fields
       content_type: z.string().nullable().optional(),
       has_text: z.boolean().nullable().optional(),
-      colors: z.array(z.string()).nullable().optional()
+      colors: z.array(z.string()).nullable().optional(),
+      // Visual fingerprint for photo duplicate detection (main/utils/perceptualHash)
+      perceptualHash: z
+        .object({
+          version: z.number().optional(),
+          aHash: z.string(),
+          dHash: z.string(),
+          pHash: z.string(),
+          width: z.number().nullable().optional(),
+          height: z.number().nullable().optional(),
+          sharpness: z.number().nullable().optional()
+        })
+        .nullable()
+        .optional(),
+      // EXIF/XMP capture details and offline place name (main/analysis/photoMetadata)
+      photo: z.object({}).passthrough().nullable().optional()
     })
   : null;
 
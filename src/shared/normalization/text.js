@@ -19,7 +19,11 @@ function normalizeText(value, options = {}) {
   }
   if (trim) text = text.trim();
   if (Number.isFinite(maxLength) && maxLength > 0 && text.length > maxLength) {
-    return Array.from(text).slice(0, maxLength).join('');
+    const chars = Array.from(text);
+    let end = Math.min(maxLength, chars.length);
+    // Never cut a base letter off from its combining marks (decomposed accents, Devanagari, ...)
+    while (end > 0 && end < chars.length && /\p{M}/u.test(chars[end])) end--;
+    return chars.slice(0, end).join('');
   }
   return text;
 }
@@ -0,0 +1,160 @@
+/**
+ * OCR Languages
+ *
+ * Catalog of the OCR language packs StratoSort can download, keyed by
+ * Tesseract language code, plus helpers to normalize the user's preferred
+ * language list and to resolve language names typed in search filters
+ * (`lang:de`, `lang:german`, `lang:deu`) to ISO 639-1 codes.
+ *
+ * Analysis results store the detected language as an ISO 639-1 code; the
+ * Tesseract code is only used to pick language packs.
+ *
+ * Shared between main (OCR, language detection, search) and renderer
+ * (settings), so this module must stay free of Node APIs.
+ *
+ * @module shared/ocrLanguages
+ */
+
+/**
+ * Tesseract code -> { name, iso (ISO 639-1), script }
+ * `script` is the Unicode script the language is written in and drives
+ * script-based detection for languages with their own script.
+ */
+const OCR_LANGUAGES = Object.freeze({
+  eng: { name: 'English', iso: 'en', script: 'Latin' },
+  deu: { name: 'German', iso: 'de', script: 'Latin' },
+  fra: { name: 'French', iso: 'fr', script: 'Latin' },
+  spa: { name: 'Spanish', iso: 'es', script: 'Latin' },
+  ita: { name: 'Italian', iso: 'it', script: 'Latin' },
+  por: { name: 'Portuguese', iso: 'pt', script: 'Latin' },
+  nld: { name: 'Dutch', iso: 'nl', script: 'Latin' },
+  pol: { name: 'Polish', iso: 'pl', script: 'Latin' },
+  ces: { name: 'Czech', iso: 'cs', script: 'Latin' },
+  swe: { name: 'Swedish', iso: 'sv', script: 'Latin' },
+  dan: { name: 'Danish', iso: 'da', script: 'Latin' },
+  nor: { name: 'Norwegian', iso: 'no', script: 'Latin' },
+  fin: { name: 'Finnish', iso: 'fi', script: 'Latin' },
+  tur: { name: 'Turkish', iso: 'tr', script: 'Latin' },
+  vie: { name: 'Vietnamese', iso: 'vi', script: 'Latin' },
+  rus: { name: 'Russian', iso: 'ru', script: 'Cyrillic' },
+  ukr: { name: 'Ukrainian', iso: 'uk', script: 'Cyrillic' },
+  ell: { name: 'Greek', iso: 'el', script: 'Greek' },
+  ara: { name: 'Arabic', iso: 'ar', script: 'Arabic' },
+  heb: { name: 'Hebrew', iso: 'he', script: 'Hebrew' },
+  hin: { name: 'Hindi', iso: 'hi', script: 'Devanagari' },
+  tha: { name: 'Thai', iso: 'th', script: 'Thai' },
+  chi_sim: { name: 'Chinese (Simplified)', iso: 'zh', script: 'Han' },
+  chi_tra: { name: 'Chinese (Traditional)', iso: 'zh', script: 'Han' },
+  jpn: { name: 'Japanese', iso: 'ja', script: 'Japanese' },
+  kor: { name: 'Korean', iso: 'ko', script: 'Hangul' }
+});
+
+/**
+ * Tesseract code -> SHA-256 of `<code>.traineddata.gz` in the
+ * `@tesseract.js-data/<code>` 1.0.0 package (4.0.0_best_int). Russian is not
+ * published under that scope, so it has no entry and cannot be downloaded.
+ */
+const OCR_LANGUAGE_SHA256 = Object.freeze({
+  eng: '45b4cb346724ac1774f1c36f42f182b887bcdb28ebe63e6fff90ac41f3fcff91',
+  deu: '306c4280d0cbed46fbff727486bd43b92730181bae80f56941a091f363bdf28b',
+  fra: 'd611139672b3752c7097e671e4a1d9209dfd37f2aeb081ef6487fba3351e9255',
+  spa: '40be52f97b5d4eb7460073dc1f94cd546b27150333c0bf854ed7e7132db6bceb',
+  ita: 'f702fcfad297ce028ede3626d1467b67939f23ff23595f9badd54681cf25a4d3',
+  por: 'dacebc1386ddaaf8389f81094236cca0d690897cde693d48cbdaa881c86e2b4c',
+  nld: 'a2d904b6ddc4feb0d31ecfcd7361a554102e7aa2e278c54f4fc029e0d0815571',
+  pol: 'a20fdec4ff99d8f8e84c708da3e42a4e935c26863055a0ed88aef5c66a59b91b',
+  ces: '1ea33a8b6f9a9c18a6aae44a71eda06bbfdc206fe53cf1fc8121fb74def99166',
+  swe: 'b60d9fea7e570d11d6fdf26c8d0ef1d63b49222313773ce66777ed08fa20dc5a',
+  dan: '6af1a07c22894b728ebc75f0fd0c8519eca002cfab6da903eb4d62e24f163abc',
+  nor: '6c5d91a5b684da387bfcf16b38bae8d94771812dc9ef706b413c728ca1d37c93',
+  fin: '138c59f6a0bef68fd98d8baf565477f5cdb5198bfc4a68e558efd3b6a57acadd',
+  tur: '384ba0dc28040451b7818d7d60e0a88df0d3003fa5a01d713a468779bc3d8c04',
+  vie: '2284f610f262a1b19ec8df9f196b9ff6ce38ddb4a66329e998941df4b8961c8d',
+  ukr: 'ea2789a0ad99ff84bfd252a7410a1e8661a7bc5acaa41573d23b54b71446aa4c',
+  ell: 'e8a293abb398ec479176c1575aef24e2bacb0611c713f3fa996f97f0cd996fb3',
+  ara: 'f4746c44b02342dd5b3d4f0198000f47d7c49f1a229e63e0f436c0592dcd9639',
+  heb: '9c70b524200dae77fb25e3567566eee600ccbcae9aeb89722990ccae0e84e805',
+  hin: 'f3b6a0d320df38d886178cdd727b90dbf9df3db053adb32bd9cf73f0463cda07',
+  tha: '4550a5505184d1b79cf10416d5b19e643001d95411d5e717954dd26feef3ae74',
+  chi_sim: 'b8a23f10c7de500891eb458a8adc9cc58ab7f242f08b7d149f5e9aea4ad5db7c',
+  chi_tra: '11fe2610dab05d8a880d02f193ce70203f4c4bbe061b987d5529a2c038a22743',
+  jpn: '2b63ebfbf1484de4a08ce53b29ef98a1c17658a93cbd38acb665d7d316d0be88',
+  kor: '78c21276ab14c9bb734d83be1055d9fe5469a4e7e977c51ad385be5737e61126'
+});
+
+const DEFAULT_OCR_LANGUAGES = Object.freeze(['eng']);
+
+// Every extra language slows each OCR pass down noticeably
+const MAX_OCR_LANGUAGES = 4;
+
+/**
+ * @param {string} code - Tesseract language code
+ * @returns {boolean}
+ */
+function isOcrLanguage(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(OCR_LANGUAGES, code);
+}
+
+/**
+ * Drop unknown and duplicate codes and cap the list, keeping the user's order.
+ * @param {string[]} languages
+ * @returns {string[]} Never empty; falls back to DEFAULT_OCR_LANGUAGES
+ */
+function normalizeOcrLanguages(languages) {
+  const list = Array.isArray(languages) ? languages : [];
+  const normalized = [...new Set(list.filter(isOcrLanguage))].slice(0, MAX_OCR_LANGUAGES);
+  return normalized.length > 0 ? normalized : [...DEFAULT_OCR_LANGUAGES];
+}
+
+/**
+ * Build the `lang` option Tesseract expects (`deu+eng`).
+ * @param {string[]} languages
+ * @returns {string}
+ */
+function toTesseractLanguageString(languages) {
+  return normalizeOcrLanguages(languages).join('+');
+}
+
+/**
+ * Resolve an ISO 639-1 code, Tesseract code or English language name to an
+ * ISO 639-1 code.
+ * @param {string} value - e.g. `de`, `deu`, `German`
+ * @returns {string|null}
+ */
+function resolveLanguageCode(value) {
+  const lower = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (!lower) return null;
+  if (isOcrLanguage(lower)) return OCR_LANGUAGES[lower].iso;
+  for (const info of Object.values(OCR_LANGUAGES)) {
+    if (info.iso === lower || info.name.toLowerCase() === lower) return info.iso;
+  }
+  // "chinese" matches both Chinese variants
+  const byPrefix = Object.values(OCR_LANGUAGES).find((info) =>
+    info.name.toLowerCase().startsWith(`${lower} `)
+  );
+  return byPrefix ? byPrefix.iso : null;
+}
+
+/**
+ * @param {string} iso - ISO 639-1 code
+ * @returns {string|null} English language name
+ */
+function getLanguageName(iso) {
+  const info = Object.values(OCR_LANGUAGES).find((entry) => entry.iso === iso);
+  if (!info) return null;
+  return info.iso === 'zh' ? 'Chinese' : info.name;
+}
+
+module.exports = {
+  OCR_LANGUAGES,
+  OCR_LANGUAGE_SHA256,
+  DEFAULT_OCR_LANGUAGES,
+  MAX_OCR_LANGUAGES,
+  isOcrLanguage,
+  normalizeOcrLanguages,
+  toTesseractLanguageString,
+  resolveLanguageCode,
+  getLanguageName
+};
@@ -0,0 +1,127 @@
+/**
+ * Output Language
+ *
+ * Which language the AI writes summaries, keywords, suggested names, folder
+ * descriptions and chat answers in:
+ * - `target`:   always the configured language (`outputLanguage`, English by default)
+ * - `document`: the language of the source (document, folder name or question)
+ * - `both`:     the source language plus the configured language
+ *
+ * Builds the prompt instructions for each of those places so they stay
+ * consistent. Shared between main (prompts) and renderer (settings), so this
+ * module must stay free of Node APIs.
+ *
+ * @module shared/outputLanguage
+ */
+
+const { OCR_LANGUAGES, getLanguageName } = require('./ocrLanguages');
+
+const OUTPUT_LANGUAGE_MODES = Object.freeze(['target', 'document', 'both']);
+const DEFAULT_OUTPUT_LANGUAGE_MODE = 'target';
+const DEFAULT_OUTPUT_LANGUAGE = 'en';
+
+/** ISO 639-1 codes that can be chosen as the target language */
+const OUTPUT_LANGUAGE_CODES = Object.freeze([
+  ...new Set(Object.values(OCR_LANGUAGES).map((info) => info.iso))
+]);
+
+/**
+ * @param {Object} [settings]
+ * @returns {{ mode: string, target: string, targetName: string }}
+ */
+function resolveOutputLanguage(settings) {
+  const mode = OUTPUT_LANGUAGE_MODES.includes(settings?.outputLanguageMode)
+    ? settings.outputLanguageMode
+    : DEFAULT_OUTPUT_LANGUAGE_MODE;
+  const target = OUTPUT_LANGUAGE_CODES.includes(settings?.outputLanguage)
+    ? settings.outputLanguage
+    : DEFAULT_OUTPUT_LANGUAGE;
+  return { mode, target, targetName: getLanguageName(target) };
+}
+
+/**
+ * Stable key for cache and dedup keys, so changing the setting does not
+ * return results written in the previous language.
+ * @param {{ mode: string, target: string }} preference
+ * @returns {string}
+ */
+function getOutputLanguageKey(preference) {
+  const { mode, target } = preference || resolveOutputLanguage();
+  return `${mode}:${target}`;
+}
+
+/**
+ * The source language when it is known and differs from the target, else null
+ * (`both` then behaves like `target`).
+ */
+function sourceLanguageName(preference, sourceLanguage) {
+  if (!sourceLanguage || sourceLanguage === preference.target) return null;
+  return getLanguageName(sourceLanguage);
+}
+
+/**
+ * Instructions for the analysis prompts (documents and images).
+ *
+ * @param {{ mode: string, target: string, targetName: string }} preference
+ * @param {string|null} [documentLanguage] - ISO 639-1 code of the content, if detected
+ * @returns {string} Prompt section (starts with a blank line)
+ */
+function buildAnalysisLanguageInstruction(preference, documentLanguage = null) {
+  const { mode, targetName } = preference;
+  const sourceName = sourceLanguageName(preference, documentLanguage);
+
+  if (mode === 'document') {
+    const language = sourceName || (documentLanguage ? targetName : null);
+    return language
+      ? `\n\nOUTPUT LANGUAGE: Write summary, purpose, project, reasoning, keywords and suggestedName in ${language}, the language of the content.`
+      : '\n\nOUTPUT LANGUAGE: Write summary, purpose, project, reasoning, keywords and suggestedName in the language the content is written in.';
+  }
+  if (mode === 'both' && sourceName) {
+    return `\n\nOUTPUT LANGUAGE: The content is in ${sourceName}. Write summary as two sentences: first in ${sourceName}, then the same summary in ${targetName}. Give keywords in both ${sourceName} and ${targetName}. Write purpose, project, reasoning and suggestedName in ${targetName}.`;
+  }
+  return `\n\nOUTPUT LANGUAGE: Write summary, purpose, project, reasoning, keywords and suggestedName in ${targetName}, whatever language the content is in.`;
+}
+
+/**
+ * Instruction for smart-folder description generation.
+ * @param {{ mode: string, target: string, targetName: string }} preference
+ * @returns {string}
+ */
+function buildFolderDescriptionLanguageInstruction(preference) {
+  const { mode, targetName } = preference;
+  if (mode === 'document') {
+    return 'Write the description in the same language as the folder name.';
+  }
+  if (mode === 'both') {
+    return `Write the description in ${targetName}. If the folder name is in another language, add the same description in that language after it.`;
+  }
+  return `Write the description in ${targetName}.`;
+}
+
+/**
+ * Instruction for chat answers.
+ * @param {{ mode: string, target: string, targetName: string }} preference
+ * @returns {string}
+ */
+function buildChatLanguageInstruction(preference) {
+  const { mode, targetName } = preference;
+  if (mode === 'document') {
+    return "Answer and write follow-up questions in the language of the user's question.";
+  }
+  if (mode === 'both') {
+    return `Answer and write follow-up questions in ${targetName}. When a cited document is in another language, quote its key phrases in the original language.`;
+  }
+  return `Answer and write follow-up questions in ${targetName}.`;
+}
+
+module.exports = {
+  OUTPUT_LANGUAGE_MODES,
+  OUTPUT_LANGUAGE_CODES,
+  DEFAULT_OUTPUT_LANGUAGE_MODE,
+  DEFAULT_OUTPUT_LANGUAGE,
+  resolveOutputLanguage,
+  getOutputLanguageKey,
+  buildAnalysisLanguageInstruction,
+  buildFolderDescriptionLanguageInstruction,
+  buildChatLanguageInstruction
+};
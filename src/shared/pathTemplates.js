@@ -0,0 +1,306 @@
+/**
+ * Path Templates
+ *
+ * Resolves smart folder subpath templates such as `{entity}/{year}` or
+ * `Clients/{entity|Unknown}/{type}` into safe directory segments using
+ * ExtendedAnalysisResult fields, photo metadata and file timestamps.
+ *
+ * Shared between main (auto-organize, download watcher, batch organize) and
+ * renderer (smart folder editor preview, organize preview), so this module
+ * must stay free of Node APIs.
+ *
+ * Token syntax: `{token}`, `{token:FORMAT}` (date tokens only) and
+ * `{token|Fallback}`. A segment whose tokens resolve to nothing and have no
+ * fallback is dropped entirely, so `FY{year}` never becomes a bare `FY`.
+ *
+ * @module shared/pathTemplates
+ */
+
+const { formatEventLabel } = require('./photoEvents');
+
+const MAX_TEMPLATE_LENGTH = 256;
+const MAX_SEGMENTS = 6;
+const MAX_SEGMENT_LENGTH = 64;
+
+const TOKEN_PATTERN = /\{([a-z_]+)(?::([^}|]*))?(?:\|([^}]*))?\}/gi;
+// eslint-disable-next-line no-control-regex
+const ILLEGAL_SEGMENT_CHARS = /[<>:"/\\|?*\u0000-\u001f\u007f]/g;
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+/**
+ * Tokens a template may reference, keyed by token name.
+ * `source` documents where the value comes from; `date` tokens accept a format.
+ */
+const TEMPLATE_TOKENS = Object.freeze({
+  entity: { source: 'analysis', label: 'Entity' },
+  type: { source: 'analysis', label: 'Document type' },
+  category: { source: 'analysis', label: 'Category' },
+  project: { source: 'analysis', label: 'Project' },
+  year: { source: 'date', label: 'Year (document date, else modified)' },
+  month: { source: 'date', label: 'Month (01-12)' },
+  day: { source: 'date', label: 'Day (01-31)' },
+  date: { source: 'date', label: 'Date (YYYY-MM-DD)', date: true },
+  created_year: { source: 'stats', label: 'Created year' },
+  created_month: { source: 'stats', label: 'Created month' },
+  modified_year: { source: 'stats', label: 'Modified year' },
+  modified_month: { source: 'stats', label: 'Modified month' },
+  ext: { source: 'file', label: 'Extension (without dot)' },
+  place: { source: 'photo', label: 'Photo place (city)' },
+  country: { source: 'photo', label: 'Photo country' },
+  camera: { source: 'photo', label: 'Camera model' },
+  event: { source: 'photo', label: 'Photo event (YYYY-MM City)' }
+});
+
+const TOKEN_ALIASES = Object.freeze({
+  project_name: 'project',
+  file_type: 'ext',
+  city: 'place'
+});
+
+function canonicalToken(name) {
+  const lower = String(name || '').toLowerCase();
+  return TOKEN_ALIASES[lower] || lower;
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Break a date-ish value into calendar parts. Date-only strings
+ * (`2026-02-28`) are taken literally so time zones can't shift the day;
+ * everything else uses local time, matching what the user sees in Explorer.
+ * @param {Date|string|number} value
+ * @returns {{ year: number, month: number, day: number }|null}
+ */
+function toDateParts(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'string') {
+    const literal = /^(\d{4})-(\d{2})-(\d{2})/.exec(value.trim());
+    if (literal) {
+      return { year: Number(literal[1]), month: Number(literal[2]), day: Number(literal[3]) };
+    }
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  const time = date.getTime();
+  if (!Number.isFinite(time)) return null;
+  return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+}
+
+/**
+ * Format calendar parts with a small pattern language (YYYY, YY, MM, DD).
+ * @param {{ year: number, month: number, day: number }} parts
+ * @param {string} [pattern='YYYY-MM-DD']
+ * @returns {string}
+ */
+function formatDateParts(parts, pattern = 'YYYY-MM-DD') {
+  if (!parts) return '';
+  return String(pattern || 'YYYY-MM-DD').replace(/YYYY|YY|MM|DD/g, (part) => {
+    switch (part) {
+      case 'YYYY':
+        return String(parts.year);
+      case 'YY':
+        return String(parts.year).slice(-2);
+      case 'MM':
+        return pad2(parts.month);
+      default:
+        return pad2(parts.day);
+    }
+  });
+}
+
+/**
+ * Build the raw token values for a file.
+ * @param {Object} input
+ * @param {Object} [input.analysis] - ExtendedAnalysisResult (or analysis-like object)
+ * @param {string} [input.fileName]
+ * @param {Date|string|number} [input.created]
+ * @param {Date|string|number} [input.modified]
+ * @param {string} [input.event] - Batch event label from groupPhotoEvents; without
+ *   it a photo's event is derived from its own capture month and place
+ * @returns {Object} Token name -> string value, plus `dateParts` for formatted dates
+ */
+function buildTemplateValues({ analysis, fileName, created, modified, event } = {}) {
+  const a = analysis && typeof analysis === 'object' ? analysis : {};
+  const photo = a.photo && typeof a.photo === 'object' ? a.photo : {};
+  const createdParts = toDateParts(created);
+  const modifiedParts = toDateParts(modified);
+  const dateParts =
+    toDateParts(a.documentDate) ||
+    toDateParts(photo.capturedAt) ||
+    toDateParts(a.date) ||
+    modifiedParts ||
+    createdParts;
+  const name = String(fileName || '');
+  const dot = name.lastIndexOf('.');
+
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  return {
+    entity: text(a.entity),
+    type: text(a.type) || text(a.documentType),
+    category: text(a.category),
+    project: text(a.project),
+    year: dateParts ? String(dateParts.year) : '',
+    month: dateParts ? pad2(dateParts.month) : '',
+    day: dateParts ? pad2(dateParts.day) : '',
+    date: formatDateParts(dateParts),
+    created_year: createdParts ? String(createdParts.year) : '',
+    created_month: createdParts ? pad2(createdParts.month) : '',
+    modified_year: modifiedParts ? String(modifiedParts.year) : '',
+    modified_month: modifiedParts ? pad2(modifiedParts.month) : '',
+    ext: dot > 0 ? name.slice(dot + 1).toLowerCase() : '',
+    place: text(photo.place?.city),
+    country: text(photo.place?.country),
+    camera: text(photo.camera),
+    event: text(event) || formatEventLabel(photo.capturedAt, photo.place?.city),
+    dateParts
+  };
+}
+
+/**
+ * Make a single path segment safe on every platform.
+ * @param {string} value
+ * @returns {string} Safe segment, or '' when nothing usable remains
+ */
+function sanitizePathSegment(value) {
+  let segment = String(value ?? '')
+    .replace(ILLEGAL_SEGMENT_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+  if (segment.length > MAX_SEGMENT_LENGTH) {
+    segment = segment.slice(0, MAX_SEGMENT_LENGTH).replace(/[.\s]+$/g, '');
+  }
+  if (!segment || segment === '.' || segment === '..') return '';
+  if (WINDOWS_RESERVED.test(segment)) segment = `${segment}_`;
+  return segment;
+}
+
+function splitTemplateSegments(template) {
+  // Split on separators outside of `{...}` so fallbacks can't introduce nesting
+  const segments = [];
+  let current = '';
+  let depth = 0;
+  for (const ch of String(template || '')) {
+    if (ch === '{') depth += 1;
+    if (ch === '}') depth = Math.max(0, depth - 1);
+    if ((ch === '/' || ch === '\\') && depth === 0) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  segments.push(current);
+  return segments.map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Validate a subpath template.
+ * @param {string} template
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateSubpathTemplate(template) {
+  const errors = [];
+  if (template == null || template === '') return { valid: true, errors };
+  if (typeof template !== 'string') {
+    return { valid: false, errors: ['Subpath template must be a string'] };
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`Subpath template is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  if (/^([a-z]:|[/\\]{2})/i.test(template.trim())) {
+    errors.push('Subpath template must be relative to the smart folder');
+  }
+
+  let depth = 0;
+  for (const ch of template) {
+    if (ch === '{') depth += 1;
+    if (ch === '}') depth -= 1;
+    if (depth < 0 || depth > 1) break;
+  }
+  if (depth !== 0) errors.push('Subpath template has unbalanced braces');
+
+  const segments = splitTemplateSegments(template);
+  if (segments.length > MAX_SEGMENTS) {
+    errors.push(`Subpath template can have at most ${MAX_SEGMENTS} folders`);
+  }
+  for (const segment of segments) {
+    if (segment === '.' || segment === '..') {
+      errors.push('Subpath template cannot contain "." or ".." folders');
+    }
+    for (const match of segment.matchAll(TOKEN_PATTERN)) {
+      const token = canonicalToken(match[1]);
+      const spec = TEMPLATE_TOKENS[token];
+      if (!spec) {
+        errors.push(`Unknown token {${match[1]}}`);
+      } else if (match[2] !== undefined && !spec.date) {
+        errors.push(`Token {${match[1]}} does not accept a format`);
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors: Array.from(new Set(errors)) };
+}
+
+/**
+ * Resolve a subpath template into sanitized directory segments.
+ * Invalid templates resolve to no segments so a typo never scatters files.
+ * @param {string} template
+ * @param {Object} input - See buildTemplateValues
+ * @returns {string[]} Directory segments to append to the smart folder path
+ */
+function resolveSubpathTemplate(template, input = {}) {
+  if (!template || typeof template !== 'string') return [];
+  if (!validateSubpathTemplate(template).valid) return [];
+
+  const values = buildTemplateValues(input);
+  const resolved = [];
+
+  for (const segment of splitTemplateSegments(template)) {
+    let missing = false;
+    const text = segment.replace(TOKEN_PATTERN, (_, rawToken, format, fallback) => {
+      const token = canonicalToken(rawToken);
+      let value =
+        format !== undefined && TEMPLATE_TOKENS[token]?.date
+          ? formatDateParts(values.dateParts, format)
+          : values[token];
+      value = sanitizePathSegment(value);
+      if (!value && fallback !== undefined) value = sanitizePathSegment(fallback);
+      if (!value) missing = true;
+      return value;
+    });
+    if (missing) continue;
+    const safe = sanitizePathSegment(text);
+    if (safe) resolved.push(safe);
+    if (resolved.length >= MAX_SEGMENTS) break;
+  }
+
+  return resolved;
+}
+
+/**
+ * Whether a template reads file timestamps (directly, or as the fallback
+ * for a missing document date).
+ * @param {string} template
+ * @returns {boolean}
+ */
+function templateNeedsFileTimestamps(template) {
+  if (!template || typeof template !== 'string') return false;
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    const source = TEMPLATE_TOKENS[canonicalToken(match[1])]?.source;
+    if (source === 'date' || source === 'stats') return true;
+  }
+  return false;
+}
+
+module.exports = {
+  TEMPLATE_TOKENS,
+  MAX_SEGMENTS,
+  toDateParts,
+  formatDateParts,
+  buildTemplateValues,
+  sanitizePathSegment,
+  validateSubpathTemplate,
+  resolveSubpathTemplate,
+  templateNeedsFileTimestamps
+};
@@ -0,0 +1,139 @@
+/**
+ * Photo Events
+ *
+ * Clusters photos into events (a trip, a party, a day out) by capture time
+ * and location, so the `{event}` subpath token can keep them together, e.g.
+ * `Photos/{year}/{event}` -> `Photos/2025/2025-07 Lisbon/`.
+ *
+ * Photos are sorted by capture time; a new event starts after a long gap
+ * between consecutive shots or when the location jumps far from the event's
+ * last located photo. Events are labelled `YYYY-MM <City>` with the most
+ * common place in the event, or `YYYY-MM-DD` when no place is known.
+ *
+ * Shared between main (auto-organize) and renderer (organize phase), so this
+ * module must stay free of Node APIs.
+ *
+ * @module shared/photoEvents
+ */
+
+const DEFAULT_MAX_GAP_HOURS = 24;
+const DEFAULT_MAX_DISTANCE_KM = 150;
+
+const CAPTURE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/;
+
+/**
+ * Capture time (`YYYY-MM-DDTHH:mm:ss`, camera wall clock) as comparable
+ * milliseconds. Parsed as UTC so the host time zone cannot reorder photos.
+ * @param {string} capturedAt
+ * @returns {number|null}
+ */
+function captureTimeToMs(capturedAt) {
+  const match = CAPTURE_TIME.exec(String(capturedAt || ''));
+  if (!match) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match;
+  const ms = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+function distanceKm(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+const hasCoordinates = (gps) =>
+  Boolean(gps) && Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude);
+
+/**
+ * Label for an event starting at `capturedAt`.
+ * @param {string} capturedAt - First capture time in the event
+ * @param {string} [city] - Place name, when known
+ * @returns {string} `YYYY-MM City`, `YYYY-MM-DD`, or '' without a capture time
+ */
+function formatEventLabel(capturedAt, city) {
+  const match = CAPTURE_TIME.exec(String(capturedAt || ''));
+  if (!match) return '';
+  const [, year, month, day] = match;
+  const place = typeof city === 'string' ? city.trim() : '';
+  return place ? `${year}-${month} ${place}` : `${year}-${month}-${day}`;
+}
+
+function mostCommonCity(photos) {
+  const counts = new Map();
+  let best = '';
+  let bestCount = 0;
+  for (const photo of photos) {
+    const city = photo.place?.city;
+    if (!city) continue;
+    const count = (counts.get(city) || 0) + 1;
+    counts.set(city, count);
+    // Ties go to the city seen first in the event
+    if (count > bestCount) {
+      best = city;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Group photos into events.
+ *
+ * @param {Array<{ path: string, analysis?: { photo?: Object }, photo?: Object }>} files
+ * @param {Object} [options]
+ * @param {number} [options.maxGapHours=24] - Gap between shots that starts a new event
+ * @param {number} [options.maxDistanceKm=150] - Jump from the last located shot that starts a new event
+ * @returns {Map<string, string>} File path -> event label (photos without a capture time are omitted)
+ */
+function groupPhotoEvents(files, options = {}) {
+  const maxGapMs = (options.maxGapHours ?? DEFAULT_MAX_GAP_HOURS) * 3600 * 1000;
+  const maxDistanceKm = options.maxDistanceKm ?? DEFAULT_MAX_DISTANCE_KM;
+
+  const photos = [];
+  for (const file of Array.isArray(files) ? files : []) {
+    const photo = file?.analysis?.photo || file?.photo;
+    const time = captureTimeToMs(photo?.capturedAt);
+    if (!file?.path || time === null) continue;
+    photos.push({ path: file.path, time, photo });
+  }
+  photos.sort((a, b) => a.time - b.time || a.path.localeCompare(b.path));
+
+  const events = [];
+  let current = null;
+  for (const item of photos) {
+    const gps = hasCoordinates(item.photo.gps) ? item.photo.gps : null;
+    const startsNew =
+      !current ||
+      item.time - current.lastTime > maxGapMs ||
+      (gps && current.lastGps && distanceKm(current.lastGps, gps) > maxDistanceKm);
+    if (startsNew) {
+      current = { items: [], lastTime: item.time, lastGps: null };
+      events.push(current);
+    }
+    current.items.push(item);
+    current.lastTime = item.time;
+    if (gps) current.lastGps = gps;
+  }
+
+  const labels = new Map();
+  for (const event of events) {
+    const label = formatEventLabel(
+      event.items[0].photo.capturedAt,
+      mostCommonCity(event.items.map((item) => item.photo))
+    );
+    event.items.forEach((item) => labels.set(item.path, label));
+  }
+  return labels;
+}
+
+module.exports = {
+  DEFAULT_MAX_GAP_HOURS,
+  DEFAULT_MAX_DISTANCE_KM,
+  formatEventLabel,
+  groupPhotoEvents
+};
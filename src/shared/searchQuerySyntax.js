@@ -0,0 +1,505 @@
+/**
+ * Search Query Syntax
+ *
+ * Parses structured search queries such as
+ * `invoice from:amazon type:pdf after:2024-03 size:>5mb folder:Finance tag:tax lang:de amount:>500 -draft`
+ * into free text (used for retrieval) plus constraints (used for filtering).
+ *
+ * Shared between main (QueryProcessor / SearchService) and renderer
+ * (SearchAutocomplete field suggestions), so this module must stay free of Node APIs.
+ *
+ * Grammar:
+ * - `field:value` or `field:"quoted value"` adds a constraint; unknown fields stay text
+ * - `"quoted phrase"` must appear in the document
+ * - `-term`, `-"phrase"` and `-field:value` exclude matches
+ * - `after:` is inclusive of the start of the period, `before:` is exclusive of it,
+ *   `date:` matches the whole period (YYYY, YYYY-MM or YYYY-MM-DD)
+ * - `size:` accepts `>5mb`, `<=100kb`, `=2mb` or `1mb..10mb`
+ * - `amount:` (invoice/receipt total) accepts `>500`, `<=99.99`, `=42` or `100..500`;
+ *   `size` and `amount` may also be written as a comparison (`amount > 500`)
+ *
+ * @module shared/searchQuerySyntax
+ */
+
+const {
+  SUPPORTED_IMAGE_EXTENSIONS,
+  SUPPORTED_DOCUMENT_EXTENSIONS,
+  SUPPORTED_TEXT_EXTENSIONS,
+  SUPPORTED_AUDIO_EXTENSIONS,
+  SUPPORTED_VIDEO_EXTENSIONS,
+  SUPPORTED_ARCHIVE_EXTENSIONS
+} = require('./constants');
+const { toDateParts, formatDateParts } = require('./pathTemplates');
+const { resolveLanguageCode } = require('./ocrLanguages');
+const { parseAmount, normalizeCurrency } = require('./financialData');
+
+/**
+ * Filter fields, keyed by canonical name.
+ * `values` names the facet the autocomplete offers for the field.
+ */
+const SEARCH_FILTER_FIELDS = Object.freeze({
+  from: { description: 'Sender or organization (entity)' },
+  type: { description: 'File extension or kind (pdf, image, audio...)', values: 'types' },
+  doctype: { description: 'Document type (invoice, receipt...)' },
+  category: { description: 'Category', values: 'categories' },
+  tag: { description: 'Tag', values: 'tags' },
+  project: { description: 'Project' },
+  folder: { description: 'Folder name in the file path' },
+  lang: { description: 'Content language (de, german, fra...)' },
+  currency: { description: 'Invoice or receipt currency (eur, usd...)' },
+  after: { description: 'Dated on or after (YYYY, YYYY-MM, YYYY-MM-DD)', kind: 'date' },
+  before: { description: 'Dated before (YYYY, YYYY-MM, YYYY-MM-DD)', kind: 'date' },
+  date: { description: 'Dated within (YYYY, YYYY-MM, YYYY-MM-DD)', kind: 'date' },
+  size: { description: 'File size (>5mb, <100kb, 1mb..10mb)', kind: 'size' },
+  amount: { description: 'Invoice or receipt total (>500, 100..250)', kind: 'amount' }
+});
+
+const FIELD_ALIASES = Object.freeze({
+  entity: 'from',
+  vendor: 'from',
+  ext: 'type',
+  kind: 'type',
+  cat: 'category',
+  tags: 'tag',
+  in: 'folder',
+  year: 'date',
+  language: 'lang',
+  total: 'amount'
+});
+
+/** Kinds accepted by `type:` in addition to plain extensions. */
+const FILE_KIND_EXTENSIONS = Object.freeze({
+  image: SUPPORTED_IMAGE_EXTENSIONS,
+  document: SUPPORTED_DOCUMENT_EXTENSIONS,
+  text: SUPPORTED_TEXT_EXTENSIONS,
+  audio: SUPPORTED_AUDIO_EXTENSIONS,
+  video: SUPPORTED_VIDEO_EXTENSIONS,
+  archive: SUPPORTED_ARCHIVE_EXTENSIONS
+});
+
+const LIST_FIELDS = [
+  'from',
+  'type',
+  'doctype',
+  'category',
+  'tag',
+  'project',
+  'folder',
+  'lang',
+  'currency'
+];
+const RANGE_FIELDS = ['size', 'amount'];
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+function canonicalField(name) {
+  const lower = String(name || '').toLowerCase();
+  if (SEARCH_FILTER_FIELDS[lower]) return lower;
+  return FIELD_ALIASES[lower] || null;
+}
+
+function emptyConstraints() {
+  const lists = () => Object.fromEntries(LIST_FIELDS.map((field) => [field, []]));
+  return {
+    filters: { ...lists(), after: null, before: null, size: null, amount: null },
+    exclude: lists()
+  };
+}
+
+// `amount > 500` / `size>=5mb` -> `amount:>500` / `size:>=5mb`
+const COMPARISON_FIELDS = [
+  ...RANGE_FIELDS,
+  ...Object.keys(FIELD_ALIASES).filter((alias) => RANGE_FIELDS.includes(FIELD_ALIASES[alias]))
+];
+const COMPARISON_PATTERN = new RegExp(
+  `(^|\\s)(-?)(${COMPARISON_FIELDS.join('|')})\\s*(>=|<=|>|<|=)\\s*(?=[\\d.])`,
+  'gi'
+);
+
+/**
+ * Split a query into raw tokens, keeping quoted values together.
+ * @param {string} query
+ * @returns {Array<{ negated: boolean, field: string|null, value: string, quoted: boolean }>}
+ */
+function tokenize(query) {
+  const tokens = [];
+  const input = String(query || '').replace(COMPARISON_PATTERN, '$1$2$3:$4');
+  let i = 0;
+
+  const readQuoted = () => {
+    // input[i] is the opening quote; an unterminated quote runs to the end
+    const end = input.indexOf('"', i + 1);
+    const value = input.slice(i + 1, end === -1 ? input.length : end);
+    i = end === -1 ? input.length : end + 1;
+    return value;
+  };
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i += 1;
+      continue;
+    }
+
+    let negated = false;
+    if (input[i] === '-' && i + 1 < input.length && !/[\s-]/.test(input[i + 1])) {
+      negated = true;
+      i += 1;
+    }
+
+    if (input[i] === '"') {
+      tokens.push({ negated, field: null, value: readQuoted(), quoted: true });
+      continue;
+    }
+
+    const start = i;
+    while (i < input.length && !/[\s"]/.test(input[i])) i += 1;
+    const word = input.slice(start, i);
+    const fieldMatch = /^([a-z]+):(.*)$/i.exec(word);
+    if (fieldMatch && canonicalField(fieldMatch[1])) {
+      let value = fieldMatch[2];
+      let quoted = false;
+      if (!value && input[i] === '"') {
+        value = readQuoted();
+        quoted = true;
+      }
+      tokens.push({ negated, field: canonicalField(fieldMatch[1]), value, quoted });
+    } else {
+      tokens.push({ negated, field: null, value: word, quoted: false });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse YYYY, YYYY-MM or YYYY-MM-DD (also with `/` or `.`) into a period.
+ * @param {string} value
+ * @returns {{ start: string, end: string }|null} Inclusive start, exclusive end (YYYY-MM-DD)
+ */
+function parseDatePeriod(value) {
+  const match = /^(\d{4})(?:[-/.](\d{1,2}))?(?:[-/.](\d{1,2}))?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) : null;
+  const day = match[3] ? Number(match[3]) : null;
+  if (month !== null && (month < 1 || month > 12)) return null;
+  if (day !== null && (day < 1 || day > 31)) return null;
+
+  const toIso = (date) =>
+    `${String(date.getUTCFullYear()).padStart(4, '0')}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+  const start = new Date(Date.UTC(year, (month || 1) - 1, day || 1));
+  if (day !== null && start.getUTCDate() !== day) return null;
+  const end = new Date(start);
+  if (day !== null) end.setUTCDate(end.getUTCDate() + 1);
+  else if (month !== null) end.setUTCMonth(end.getUTCMonth() + 1);
+  else end.setUTCFullYear(end.getUTCFullYear() + 1);
+
+  return { start: toIso(start), end: toIso(end) };
+}
+
+/**
+ * Parse a byte size like `5mb`, `100 KB` or `2048`.
+ * @param {string} value
+ * @returns {number|null} Bytes
+ */
+function parseByteSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+  return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Parse a money amount like `500`, `1,250.50` or `99,99` into cents.
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseAmountCents(value) {
+  const raw = String(value || '').trim();
+  if (!/^\d[\d.,]*$/.test(raw)) return null;
+  const amount = parseAmount(raw);
+  return amount === null ? null : Math.round(amount * 100);
+}
+
+/**
+ * Parse a comparison or range (`>5`, `<=1`, `=10`, `1..10`) of integer units.
+ * @param {string} value
+ * @param {(text: string) => number|null} parseValue - Parses one bound
+ * @returns {{ min: number|null, max: number|null }|null} Inclusive bounds
+ */
+function parseRange(value, parseValue) {
+  const raw = String(value || '').trim();
+  const range = /^(.+?)\.\.(.+)$/.exec(raw);
+  if (range) {
+    const min = parseValue(range[1]);
+    const max = parseValue(range[2]);
+    return min === null || max === null || min > max ? null : { min, max };
+  }
+  const match = /^(>=|<=|>|<|=)?(.+)$/.exec(raw);
+  const bound = match ? parseValue(match[2]) : null;
+  if (bound === null) return null;
+  switch (match[1]) {
+    case '>':
+      return { min: bound + 1, max: null };
+    case '>=':
+      return { min: bound, max: null };
+    case '<':
+      return { min: null, max: Math.max(0, bound - 1) };
+    case '<=':
+      return { min: null, max: bound };
+    default:
+      return { min: bound, max: bound };
+  }
+}
+
+/**
+ * Parse a size constraint (`>5mb`, `<=1gb`, `=10kb`, `1mb..10mb`).
+ * @param {string} value
+ * @returns {{ min: number|null, max: number|null }|null} Inclusive bounds in bytes
+ */
+function parseSizeRange(value) {
+  return parseRange(value, parseByteSize);
+}
+
+/**
+ * Parse an amount constraint (`>500`, `<=99.99`, `=42`, `100..250`).
+ * @param {string} value
+ * @returns {{ min: number|null, max: number|null }|null} Inclusive bounds in cents
+ */
+function parseAmountRange(value) {
+  return parseRange(value, parseAmountCents);
+}
+
+/**
+ * Expand a `type:` value into lowercase extensions (with leading dot).
+ * @param {string} value
+ * @returns {string[]}
+ */
+function expandTypeValue(value) {
+  const lower = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (!lower) return [];
+  const kind = FILE_KIND_EXTENSIONS[lower] || FILE_KIND_EXTENSIONS[lower.replace(/s$/, '')];
+  if (kind) return [...kind];
+  return [lower.startsWith('.') ? lower : `.${lower}`];
+}
+
+// Bound helpers that treat null as "unbounded"
+const later = (a, b) => (a && a > b ? a : b);
+const earlier = (a, b) => (a && a < b ? a : b);
+const maxOf = (a, b) => (a == null ? b : b == null ? a : Math.max(a, b));
+const minOf = (a, b) => (a == null ? b : b == null ? a : Math.min(a, b));
+
+/**
+ * Parse a search query into free text and constraints.
+ *
+ * @param {string} query - Raw user query
+ * @returns {{
+ *   text: string,
+ *   terms: string[],
+ *   phrases: string[],
+ *   excludedTerms: string[],
+ *   filters: Object,
+ *   exclude: Object,
+ *   hasConstraints: boolean,
+ *   errors: string[]
+ * }} `filters` holds list fields plus `after`/`before` (YYYY-MM-DD), `size` ({min,max} bytes)
+ *   and `amount` ({min,max} cents); `exclude` holds negated list fields.
+ */
+function parseSearchQuery(query) {
+  const { filters, exclude } = emptyConstraints();
+  const terms = [];
+  const phrases = [];
+  const excludedTerms = [];
+  const errors = [];
+
+  for (const token of tokenize(query)) {
+    const value = token.value.trim();
+    if (!value) continue;
+
+    if (!token.field) {
+      const target = token.negated ? excludedTerms : token.quoted ? phrases : terms;
+      target.push(token.quoted || token.negated ? value.toLowerCase() : value);
+      continue;
+    }
+
+    const spec = SEARCH_FILTER_FIELDS[token.field];
+    if (spec.kind === 'date') {
+      const period = parseDatePeriod(value);
+      if (!period || token.negated) {
+        errors.push(`Unrecognized date "${value}" for ${token.field}:`);
+        continue;
+      }
+      // Repeated date filters narrow the range
+      if (token.field !== 'before') filters.after = later(filters.after, period.start);
+      if (token.field === 'before') filters.before = earlier(filters.before, period.start);
+      if (token.field === 'date') filters.before = earlier(filters.before, period.end);
+      continue;
+    }
+
+    if (spec.kind === 'size' || spec.kind === 'amount') {
+      const range = spec.kind === 'size' ? parseSizeRange(value) : parseAmountRange(value);
+      if (!range || token.negated) {
+        errors.push(`Unrecognized ${spec.kind} "${value}"`);
+        continue;
+      }
+      // Repeated range filters narrow the range
+      const current = filters[token.field];
+      filters[token.field] = {
+        min: maxOf(current?.min, range.min),
+        max: minOf(current?.max, range.max)
+      };
+      continue;
+    }
+
+    (token.negated ? exclude : filters)[token.field].push(value);
+  }
+
+  const hasConstraints =
+    phrases.length > 0 ||
+    excludedTerms.length > 0 ||
+    Boolean(filters.after || filters.before || filters.size || filters.amount) ||
+    LIST_FIELDS.some((field) => filters[field].length > 0 || exclude[field].length > 0);
+
+  return {
+    text: [...terms, ...phrases].join(' '),
+    terms,
+    phrases,
+    excludedTerms,
+    filters,
+    exclude,
+    hasConstraints,
+    errors
+  };
+}
+
+const toLower = (value) => String(value ?? '').toLowerCase();
+const containsAny = (haystack, needles) =>
+  needles.some((needle) => toLower(haystack).includes(toLower(needle)));
+
+/**
+ * Check a search record against the constraints of a parsed query.
+ *
+ * Repeated values of single-valued fields (`type:pdf type:docx`) match any of
+ * them; repeated `tag:` and `folder:` values must all match. Date and size
+ * filters exclude records that have no date or size.
+ *
+ * @param {Object} record
+ * @param {string} [record.text] - Searchable text (name, summary, keywords...)
+ * @param {string} [record.path] - Full file path
+ * @param {string} [record.extension] - Extension with leading dot
+ * @param {string} [record.entity]
+ * @param {string} [record.documentType]
+ * @param {string} [record.category]
+ * @param {string[]} [record.tags]
+ * @param {string} [record.project]
+ * @param {string} [record.language] - ISO 639-1 code of the content language
+ * @param {string|number} [record.date] - Document date
+ * @param {number} [record.size] - Size in bytes
+ * @param {number} [record.amount] - Invoice/receipt total in major units
+ * @param {string} [record.currency] - ISO 4217 code of the amount
+ * @param {ReturnType<typeof parseSearchQuery>} parsed
+ * @returns {boolean}
+ */
+function matchesSearchConstraints(record, parsed) {
+  if (!parsed?.hasConstraints) return true;
+  const r = record || {};
+  const { filters, exclude } = parsed;
+  const text = toLower(r.text);
+  const extension = toLower(r.extension);
+  const tags = (Array.isArray(r.tags) ? r.tags : []).map(toLower);
+  const folders = String(r.path || '')
+    .split(/[\\/]/)
+    .slice(0, -1)
+    .map(toLower);
+
+  const checks = {
+    from: (values) => containsAny(r.entity, values),
+    type: (values) => values.some((value) => expandTypeValue(value).includes(extension)),
+    doctype: (values) => containsAny(r.documentType, values),
+    category: (values) => values.some((value) => toLower(value) === toLower(r.category)),
+    tag: (values) => values.every((value) => tags.includes(toLower(value))),
+    project: (values) => containsAny(r.project, values),
+    folder: (values) => values.every((value) => folders.some((f) => f.includes(toLower(value)))),
+    lang: (values) =>
+      values.some(
+        (value) => (resolveLanguageCode(value) || toLower(value)) === toLower(r.language)
+      ),
+    currency: (values) =>
+      values.some((value) => (normalizeCurrency(value) || value.toUpperCase()) === r.currency)
+  };
+
+  for (const [field, check] of Object.entries(checks)) {
+    if (filters[field].length > 0 && !check(filters[field])) return false;
+    // A negated value excludes the record when any of them matches
+    if (exclude[field].some((value) => check([value]))) return false;
+  }
+
+  if (parsed.phrases.some((phrase) => !text.includes(phrase))) return false;
+  if (parsed.excludedTerms.some((term) => text.includes(term))) return false;
+
+  if (filters.after || filters.before) {
+    const date = formatDateParts(toDateParts(r.date));
+    if (!date) return false;
+    if (filters.after && date < filters.after) return false;
+    if (filters.before && date >= filters.before) return false;
+  }
+
+  if (filters.size) {
+    const size = Number(r.size);
+    if (!Number.isFinite(size) || size < 0) return false;
+    if (filters.size.min != null && size < filters.size.min) return false;
+    if (filters.size.max != null && size > filters.size.max) return false;
+  }
+
+  if (filters.amount) {
+    if (r.amount == null || !Number.isFinite(Number(r.amount))) return false;
+    const cents = Math.round(Number(r.amount) * 100);
+    if (filters.amount.min != null && cents < filters.amount.min) return false;
+    if (filters.amount.max != null && cents > filters.amount.max) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the token the cursor is in (the text after the last unquoted space),
+ * for field and value autocompletion.
+ *
+ * @param {string} query
+ * @returns {{ prefix: string, token: string, negated: boolean, field: string|null, value: string }}
+ *   `prefix` is everything before the token; `field` is set once a known `field:` is typed.
+ */
+function getActiveToken(query) {
+  const input = String(query || '');
+  let inQuotes = false;
+  let start = 0;
+  for (let i = 0; i < input.length; i += 1) {
+    if (input[i] === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && /\s/.test(input[i])) start = i + 1;
+  }
+  const token = input.slice(start);
+  const negated = token.startsWith('-');
+  const body = negated ? token.slice(1) : token;
+  const match = /^([a-z]+):"?([^"]*)"?$/i.exec(body);
+  const field = match ? canonicalField(match[1]) : null;
+  return {
+    prefix: input.slice(0, start),
+    token,
+    negated,
+    field,
+    value: field ? match[2] : body
+  };
+}
+
+module.exports = {
+  SEARCH_FILTER_FIELDS,
+  FIELD_ALIASES,
+  FILE_KIND_EXTENSIONS,
+  parseSearchQuery,
+  parseDatePeriod,
+  parseSizeRange,
+  parseAmountRange,
+  expandTypeValue,
+  matchesSearchConstraints,
+  getActiveToken
+};
@@ -184,6 +184,10 @@ const SETTINGS_VALIDATION = {
     'textModel',
     'visionModel',
     'embeddingModel',
+    'audioModel',
+    'ocrLanguages',
+    'outputLanguageMode',
+    'outputLanguage',
     // Embedding workflow controls
     'embeddingTiming',
     'defaultEmbeddingPolicy',
@@ -215,6 +219,7 @@ const SETTINGS_VALIDATION = {
     'smartFolderRoutingMode',
     // Naming convention settings
     'namingConvention',
+    'namingTemplate',
     'dateFormat',
     'caseConvention',
     'separator',
@@ -227,6 +232,15 @@ const SETTINGS_VALIDATION = {
     'analysisTimeout',
     'fileOperationTimeout',
     'retryAttempts',
+    // Metadata write-back (opt-in per format)
+    'writeMetadataSidecar',
+    'writeMetadataImages',
+    'writeMetadataPdf',
+    'writeMetadataOffice',
+    'writeMetadataXattr',
+    // File access (.stratoignore-style exclusions, privacy zones)
+    'exclusionPatterns',
+    'privacyZones',
     // Semantic search settings
     'autoChunkOnAnalysis', // Opt-in: generate chunk embeddings during file analysis
     'graphExpansionEnabled',
@@ -328,6 +342,8 @@ const ALLOWED_RECEIVE_CHANNELS = [
   IPC_EVENTS.NOTIFICATION,
   IPC_EVENTS.UNDO_REDO_STATE_CHANGED,
   IPC_EVENTS.BATCH_RESULTS_CHUNK,
+  IPC_EVENTS.SAVED_SEARCHES_UPDATED,
+  IPC_EVENTS.REMINDERS_UPDATED,
   IPC_CHANNELS.CHAT.STREAM_CHUNK,
   IPC_CHANNELS.CHAT.STREAM_END
 ];
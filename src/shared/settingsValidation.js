@@ -22,6 +22,10 @@ const {
 const { validateFileOperationPathSync } = require('./pathSanitization');
 // URL utilities available via require('./urlUtils') when needed
 const { isValidEmbeddingModel } = require('./modelCategorization');
+const { validateNamingTemplate, MAX_TEMPLATE_LENGTH } = require('./namingTemplates');
+const { findInvalidPatterns, MAX_PATTERN_LENGTH } = require('./ignorePatterns');
+const { isOcrLanguage, MAX_OCR_LANGUAGES } = require('./ocrLanguages');
+const { OUTPUT_LANGUAGE_MODES, OUTPUT_LANGUAGE_CODES } = require('./outputLanguage');
 
 /**
  * Shared URL validation regex (from validationConstants)
@@ -107,6 +111,27 @@ const isSafeDefaultLocation = (value) => {
   return true;
 };
 
+const MAX_EXCLUSION_PATTERNS = 200;
+const MAX_PRIVACY_ZONES = 100;
+
+const isValidExclusionPatternList = (value) =>
+  Array.isArray(value) &&
+  value.length <= MAX_EXCLUSION_PATTERNS &&
+  findInvalidPatterns(value).length === 0;
+
+const isValidPrivacyZoneList = (value) =>
+  Array.isArray(value) &&
+  value.length <= MAX_PRIVACY_ZONES &&
+  value.every(
+    (zone) => typeof zone === 'string' && zone.length <= 1000 && isSafeAbsolutePath(zone)
+  );
+
+const isValidOcrLanguageList = (value) =>
+  Array.isArray(value) &&
+  value.length >= 1 &&
+  value.length <= MAX_OCR_LANGUAGES &&
+  value.every(isOcrLanguage);
+
 const CHAT_PERSONA_IDS = CHAT_PERSONAS.map((persona) => persona.id);
 const DEPRECATED_SETTINGS_KEYS = new Set([
   'dependencyWizardShown',
@@ -158,6 +183,38 @@ const VALIDATION_RULES = {
     type: 'boolean',
     required: false
   },
+  writeMetadataSidecar: {
+    type: 'boolean',
+    required: false
+  },
+  writeMetadataImages: {
+    type: 'boolean',
+    required: false
+  },
+  writeMetadataPdf: {
+    type: 'boolean',
+    required: false
+  },
+  writeMetadataOffice: {
+    type: 'boolean',
+    required: false
+  },
+  writeMetadataXattr: {
+    type: 'boolean',
+    required: false
+  },
+  exclusionPatterns: {
+    type: 'object',
+    validator: isValidExclusionPatternList,
+    validatorMessage: `exclusionPatterns must be a list of at most ${MAX_EXCLUSION_PATTERNS} valid patterns (up to ${MAX_PATTERN_LENGTH} characters each)`,
+    required: false
+  },
+  privacyZones: {
+    type: 'object',
+    validator: isValidPrivacyZoneList,
+    validatorMessage: `privacyZones must be a list of at most ${MAX_PRIVACY_ZONES} absolute folder paths`,
+    required: false
+  },
   graphExpansionEnabled: {
     type: 'boolean',
     required: false
@@ -210,6 +267,13 @@ const VALIDATION_RULES = {
     enum: NAMING_CONVENTIONS,
     required: false
   },
+  namingTemplate: {
+    type: 'string',
+    maxLength: MAX_TEMPLATE_LENGTH,
+    validator: (value) => value === '' || validateNamingTemplate(value).valid,
+    validatorMessage: 'namingTemplate must only use known {tokens} and no path separators',
+    required: false
+  },
   dateFormat: {
     type: 'string',
     maxLength: 20,
@@ -241,6 +305,29 @@ const VALIDATION_RULES = {
     pattern: MODEL_NAME_PATTERN,
     required: false
   },
+  audioModel: {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_MODEL_NAME_LENGTH,
+    pattern: MODEL_NAME_PATTERN,
+    required: false
+  },
+  ocrLanguages: {
+    type: 'object',
+    validator: isValidOcrLanguageList,
+    validatorMessage: `ocrLanguages must list 1 to ${MAX_OCR_LANGUAGES} supported OCR language codes`,
+    required: false
+  },
+  outputLanguageMode: {
+    type: 'string',
+    enum: OUTPUT_LANGUAGE_MODES,
+    required: false
+  },
+  outputLanguage: {
+    type: 'string',
+    enum: OUTPUT_LANGUAGE_CODES,
+    required: false
+  },
   embeddingModel: {
     type: 'string',
     minLength: 1,
@@ -0,0 +1,551 @@
+/**
+ * Smart Folder Rules
+ *
+ * Deterministic, user-defined routing rules attached to smart folders.
+ * Rules are evaluated before any embedding/LLM folder matching so that
+ * explicit intent ("extension is .dwg AND entity contains Acme") always wins
+ * over semantic similarity.
+ *
+ * Shared between main (organize pipeline, download watcher) and renderer
+ * (rule editor, organize preview), so this module must stay free of Node APIs.
+ *
+ * Rule shape (stored on the smart folder as `rules`):
+ * {
+ *   id: 'rule-1',
+ *   name: 'Acme CAD drawings',
+ *   enabled: true,
+ *   match: 'all' | 'any',
+ *   conditions: [{ field: 'extension', operator: 'equals', value: '.dwg' }]
+ * }
+ *
+ * @module shared/smartFolderRules
+ */
+
+const MAX_RULES_PER_FOLDER = 50;
+const MAX_CONDITIONS_PER_RULE = 20;
+const MAX_REGEX_LENGTH = 200;
+const MAX_VALUE_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fields a condition can test, keyed by field name.
+ * `source` documents where the value comes from; `kind` selects operators.
+ */
+const RULE_FIELDS = Object.freeze({
+  extension: { kind: 'string', source: 'file', label: 'Extension' },
+  fileName: { kind: 'string', source: 'file', label: 'File name' },
+  path: { kind: 'string', source: 'file', label: 'Path' },
+  size: { kind: 'number', source: 'stats', label: 'Size (bytes)' },
+  created: { kind: 'date', source: 'stats', label: 'Created' },
+  modified: { kind: 'date', source: 'stats', label: 'Modified' },
+  entity: { kind: 'string', source: 'analysis', label: 'Entity' },
+  type: { kind: 'string', source: 'analysis', label: 'Document type' },
+  category: { kind: 'string', source: 'analysis', label: 'Category' },
+  project: { kind: 'string', source: 'analysis', label: 'Project' },
+  date: { kind: 'date', source: 'analysis', label: 'Document date' },
+  keywords: { kind: 'list', source: 'analysis', label: 'Keywords' }
+});
+
+const OPERATORS_BY_KIND = Object.freeze({
+  string: [
+    'equals',
+    'notEquals',
+    'contains',
+    'notContains',
+    'startsWith',
+    'endsWith',
+    'matches',
+    'in'
+  ],
+  number: ['equals', 'gt', 'gte', 'lt', 'lte'],
+  date: ['on', 'before', 'after', 'withinDays', 'olderThanDays'],
+  list: ['contains', 'notContains', 'matches']
+});
+
+const regexCache = new Map();
+
+/**
+ * Split a user-supplied regex into pattern and flags, accepting either
+ * `pattern` or `/pattern/flags`. Matching is always case-insensitive.
+ * @param {string} source
+ * @returns {{ pattern: string, flags: string }}
+ */
+function parseRegexSource(source) {
+  const literal = /^\/(.+)\/([a-z]*)$/.exec(source);
+  if (!literal) return { pattern: source, flags: 'i' };
+  const flags = Array.from(new Set(`i${literal[2].replace(/[^imsu]/g, '')}`)).join('');
+  return { pattern: literal[1], flags };
+}
+
+/**
+ * Detect a group that repeats without bound while its body also repeats
+ * without bound, e.g. `(a+)+` or `(\w*\s?)*`. These backtrack exponentially
+ * on a near-miss, and the length cap alone does not prevent it. Groups that
+ * only alternate or repeat a fixed body, such as `(a|b)+` or `(foo)+`, are fine.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasNestedRepetition(pattern) {
+  const UNBOUNDED = /^(?:[*+]|\{\d+,\})/;
+  // One frame per open group: does its body contain an unbounded quantifier?
+  const stack = [{ unbounded: false }];
+  let i = 0;
+  while (i < pattern.length) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      i += 2;
+    } else if (ch === '[') {
+      i += 1;
+      while (i < pattern.length && pattern[i] !== ']') i += pattern[i] === '\\' ? 2 : 1;
+      i += 1;
+    } else if (ch === '(') {
+      i += 1;
+      if (pattern[i] === '?') {
+        i += 1;
+        if (pattern[i] === '<' && pattern[i + 1] !== '=' && pattern[i + 1] !== '!') {
+          while (i < pattern.length && pattern[i] !== '>') i += 1;
+        }
+        i += 1;
+      }
+      stack.push({ unbounded: false });
+    } else if (ch === ')') {
+      const group = stack.length > 1 ? stack.pop() : { unbounded: false };
+      i += 1;
+      const repeated = UNBOUNDED.test(pattern.slice(i));
+      if (repeated && group.unbounded) return true;
+      if (repeated || group.unbounded) stack[stack.length - 1].unbounded = true;
+    } else {
+      if (UNBOUNDED.test(pattern.slice(i))) stack[stack.length - 1].unbounded = true;
+      i += 1;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether a regex rule value would be rejected for nested repetition.
+ * @param {string} source
+ * @returns {boolean}
+ */
+function isUnsafeRegex(source) {
+  return typeof source === 'string' && hasNestedRepetition(parseRegexSource(source).pattern);
+}
+
+/**
+ * Compile a user-supplied regex, accepting either `pattern` or `/pattern/flags`.
+ * Matching is always case-insensitive. Invalid, oversized or nested-repetition
+ * patterns return null, so rules saved before validation existed never run them.
+ * @param {string} source
+ * @returns {RegExp|null}
+ */
+function compileRegex(source) {
+  if (typeof source !== 'string' || !source || source.length > MAX_REGEX_LENGTH) return null;
+  if (regexCache.has(source)) return regexCache.get(source);
+
+  const { pattern, flags } = parseRegexSource(source);
+  let compiled = null;
+  if (!hasNestedRepetition(pattern)) {
+    try {
+      compiled = new RegExp(pattern, flags);
+    } catch {
+      compiled = null;
+    }
+  }
+  if (regexCache.size > 500) regexCache.clear();
+  regexCache.set(source, compiled);
+  return compiled;
+}
+
+function normalizeExtension(value) {
+  const ext = String(value || '')
+    .trim()
+    .toLowerCase();
+  if (!ext) return '';
+  return ext.startsWith('.') ? ext : `.${ext}`;
+}
+
+function toTimestamp(value) {
+  if (value == null || value === '') return null;
+  if (value instanceof Date) {
+    const t = value.getTime();
+    return Number.isFinite(t) ? t : null;
+  }
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const t = Date.parse(String(value));
+  return Number.isFinite(t) ? t : null;
+}
+
+function toDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a size value. Accepts bytes or strings like "5mb", "1.5 GB", "200k".
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+function parseSizeValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?\s*$/i.exec(String(value || ''));
+  if (!match) return null;
+  const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+  return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  return String(value || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate a single rule.
+ * @param {Object} rule
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') {
+    return { valid: false, errors: ['Rule must be an object'] };
+  }
+  if (rule.match != null && rule.match !== 'all' && rule.match !== 'any') {
+    errors.push('Rule match must be "all" or "any"');
+  }
+  const conditions = Array.isArray(rule.conditions) ? rule.conditions : null;
+  if (!conditions || conditions.length === 0) {
+    errors.push('Rule needs at least one condition');
+  } else if (conditions.length > MAX_CONDITIONS_PER_RULE) {
+    errors.push(`Rule has more than ${MAX_CONDITIONS_PER_RULE} conditions`);
+  } else {
+    conditions.forEach((condition, index) => {
+      const label = `Condition ${index + 1}`;
+      const field = RULE_FIELDS[condition?.field];
+      if (!field) {
+        errors.push(`${label}: unknown field "${condition?.field}"`);
+        return;
+      }
+      if (!OPERATORS_BY_KIND[field.kind].includes(condition.operator)) {
+        errors.push(`${label}: operator "${condition.operator}" is not valid for ${field.label}`);
+        return;
+      }
+      const { value } = condition;
+      if (value == null || String(value).trim() === '') {
+        errors.push(`${label}: value is required`);
+        return;
+      }
+      if (String(value).length > MAX_VALUE_LENGTH) {
+        errors.push(`${label}: value is too long`);
+        return;
+      }
+      if (condition.operator === 'matches' && isUnsafeRegex(String(value))) {
+        errors.push(`${label}: regular expression has nested repetition that can hang matching`);
+      } else if (condition.operator === 'matches' && !compileRegex(String(value))) {
+        errors.push(`${label}: invalid regular expression`);
+      } else if (field.kind === 'number' && parseSizeValue(value) == null) {
+        errors.push(`${label}: "${value}" is not a size`);
+      } else if (field.kind === 'date') {
+        const relative =
+          condition.operator === 'withinDays' || condition.operator === 'olderThanDays';
+        const ok = relative
+          ? Number.isFinite(Number(value)) && Number(value) >= 0
+          : toTimestamp(value) != null;
+        if (!ok)
+          errors.push(`${label}: "${value}" is not a valid ${relative ? 'day count' : 'date'}`);
+      }
+    });
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a rules array for persistence, dropping invalid rules.
+ * @param {Array} rules
+ * @returns {{ rules: Array, errors: string[] }}
+ */
+function sanitizeRules(rules) {
+  if (rules == null) return { rules: [], errors: [] };
+  if (!Array.isArray(rules)) return { rules: [], errors: ['Rules must be an array'] };
+
+  const errors = [];
+  const sanitized = [];
+  rules.slice(0, MAX_RULES_PER_FOLDER).forEach((rule, index) => {
+    const result = validateRule(rule);
+    if (!result.valid) {
+      const name = rule?.name ? `"${rule.name}"` : `#${index + 1}`;
+      errors.push(...result.errors.map((e) => `Rule ${name}: ${e}`));
+      return;
+    }
+    sanitized.push({
+      id: String(rule.id || `rule-${index + 1}`),
+      name: String(rule.name || '').trim() || `Rule ${index + 1}`,
+      enabled: rule.enabled !== false,
+      match: rule.match === 'any' ? 'any' : 'all',
+      conditions: rule.conditions.map((c) => ({
+        field: c.field,
+        operator: c.operator,
+        value: typeof c.value === 'number' ? c.value : String(c.value).trim()
+      }))
+    });
+  });
+  if (rules.length > MAX_RULES_PER_FOLDER) {
+    errors.push(`Only the first ${MAX_RULES_PER_FOLDER} rules are kept`);
+  }
+  return { rules: sanitized, errors };
+}
+
+/**
+ * Build the evaluation context for a file.
+ * @param {Object} input
+ * @param {string} [input.filePath]
+ * @param {string} [input.fileName]
+ * @param {number} [input.size]
+ * @param {Date|string|number} [input.created]
+ * @param {Date|string|number} [input.modified]
+ * @param {Object} [input.analysis]
+ * @returns {Object}
+ */
+function buildRuleContext({ filePath, fileName, size, created, modified, analysis } = {}) {
+  const normalizedPath = String(filePath || '').replace(/\\/g, '/');
+  const name = fileName || normalizedPath.split('/').pop() || '';
+  const dot = name.lastIndexOf('.');
+  const a = analysis && typeof analysis === 'object' ? analysis : {};
+  const keywords = []
+    .concat(Array.isArray(a.keywords) ? a.keywords : [])
+    .concat(Array.isArray(a.tags) ? a.tags : [])
+    .map((k) => String(k));
+
+  return {
+    extension: dot > 0 ? name.slice(dot).toLowerCase() : '',
+    fileName: name,
+    path: normalizedPath,
+    size: Number.isFinite(Number(size)) && size !== null && size !== '' ? Number(size) : null,
+    created: toTimestamp(created),
+    modified: toTimestamp(modified),
+    entity: a.entity || '',
+    type: a.type || a.documentType || '',
+    category: a.category || '',
+    project: a.project || '',
+    date: toTimestamp(a.documentDate || a.date),
+    keywords
+  };
+}
+
+function evaluateStringCondition(actual, operator, value, field) {
+  const haystack = String(actual || '').toLowerCase();
+  const normalize = (v) =>
+    field === 'extension' ? normalizeExtension(v) : String(v).trim().toLowerCase();
+  switch (operator) {
+    case 'equals':
+      return haystack === normalize(value);
+    case 'notEquals':
+      return haystack !== normalize(value);
+    case 'contains':
+      return haystack.includes(normalize(value));
+    case 'notContains':
+      return !haystack.includes(normalize(value));
+    case 'startsWith':
+      return haystack.startsWith(normalize(value));
+    case 'endsWith':
+      return haystack.endsWith(normalize(value));
+    case 'matches': {
+      const regex = compileRegex(String(value));
+      return Boolean(regex && regex.test(String(actual || '')));
+    }
+    case 'in':
+      return splitList(value).map(normalize).includes(haystack);
+    default:
+      return false;
+  }
+}
+
+function evaluateNumberCondition(actual, operator, value) {
+  if (actual == null) return false;
+  const expected = parseSizeValue(value);
+  if (expected == null) return false;
+  switch (operator) {
+    case 'equals':
+      return actual === expected;
+    case 'gt':
+      return actual > expected;
+    case 'gte':
+      return actual >= expected;
+    case 'lt':
+      return actual < expected;
+    case 'lte':
+      return actual <= expected;
+    default:
+      return false;
+  }
+}
+
+function evaluateDateCondition(actual, operator, value, now) {
+  if (actual == null) return false;
+  if (operator === 'withinDays' || operator === 'olderThanDays') {
+    const days = Number(value);
+    if (!Number.isFinite(days)) return false;
+    const age = now - actual;
+    return operator === 'withinDays' ? age <= days * DAY_MS : age > days * DAY_MS;
+  }
+  const expected = toTimestamp(value);
+  if (expected == null) return false;
+  switch (operator) {
+    case 'on':
+      return toDayKey(actual) === toDayKey(expected);
+    case 'before':
+      return toDayKey(actual) < toDayKey(expected);
+    case 'after':
+      return toDayKey(actual) > toDayKey(expected);
+    default:
+      return false;
+  }
+}
+
+function evaluateListCondition(actual, operator, value) {
+  const raw = Array.isArray(actual) ? actual : [];
+  const items = raw.map((v) => v.toLowerCase());
+  const expected = String(value).trim().toLowerCase();
+  switch (operator) {
+    case 'contains':
+      return items.includes(expected);
+    case 'notContains':
+      return !items.includes(expected);
+    case 'matches': {
+      const regex = compileRegex(String(value));
+      return Boolean(regex && raw.some((item) => regex.test(item)));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate one condition against a context.
+ * @param {Object} condition
+ * @param {Object} context - From buildRuleContext
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, context, now = Date.now()) {
+  const field = RULE_FIELDS[condition?.field];
+  if (!field || !context) return false;
+  const actual = context[condition.field];
+  switch (field.kind) {
+    case 'string':
+      return evaluateStringCondition(actual, condition.operator, condition.value, condition.field);
+    case 'number':
+      return evaluateNumberCondition(actual, condition.operator, condition.value);
+    case 'date':
+      return evaluateDateCondition(actual, condition.operator, condition.value, now);
+    case 'list':
+      return evaluateListCondition(actual, condition.operator, condition.value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a rule against a context. Disabled or empty rules never match.
+ * @param {Object} rule
+ * @param {Object} context - From buildRuleContext
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function evaluateRule(rule, context, now = Date.now()) {
+  if (!rule || rule.enabled === false) return false;
+  const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+  if (conditions.length === 0) return false;
+  const test = (condition) => evaluateCondition(condition, context, now);
+  return rule.match === 'any' ? conditions.some(test) : conditions.every(test);
+}
+
+/**
+ * Whether any folder has an enabled rule.
+ * @param {Array} smartFolders
+ * @returns {boolean}
+ */
+function hasActiveRules(smartFolders) {
+  return (
+    Array.isArray(smartFolders) &&
+    smartFolders.some(
+      (folder) =>
+        Array.isArray(folder?.rules) && folder.rules.some((rule) => rule && rule.enabled !== false)
+    )
+  );
+}
+
+/**
+ * Whether any enabled rule needs file-system stats (size or dates).
+ * Lets callers skip a stat() when rules only look at names or analysis.
+ * @param {Array} smartFolders
+ * @returns {boolean}
+ */
+function rulesNeedFileStats(smartFolders) {
+  if (!Array.isArray(smartFolders)) return false;
+  return smartFolders.some(
+    (folder) =>
+      Array.isArray(folder?.rules) &&
+      folder.rules.some(
+        (rule) =>
+          rule &&
+          rule.enabled !== false &&
+          Array.isArray(rule.conditions) &&
+          rule.conditions.some((c) => RULE_FIELDS[c?.field]?.source === 'stats')
+      )
+  );
+}
+
+/**
+ * Find the first smart folder whose rules match. Folders are checked in
+ * order, and rules within a folder in order; first match wins.
+ * @param {Array} smartFolders
+ * @param {Object} context - From buildRuleContext
+ * @param {number} [now=Date.now()]
+ * @returns {{ folder: Object, rule: Object, matchedRule: Object }|null}
+ */
+function findMatchingRule(smartFolders, context, now = Date.now()) {
+  if (!Array.isArray(smartFolders) || !context) return null;
+  for (const folder of smartFolders) {
+    if (!folder || !Array.isArray(folder.rules)) continue;
+    for (const rule of folder.rules) {
+      if (evaluateRule(rule, context, now)) {
+        return { folder, rule, matchedRule: describeMatchedRule(folder, rule) };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Compact, serializable description of a fired rule, attached to analysis
+ * results and organize previews.
+ * @param {Object} folder
+ * @param {Object} rule
+ * @returns {{ ruleId: string, ruleName: string, folderId: string|null, folderName: string }}
+ */
+function describeMatchedRule(folder, rule) {
+  return {
+    ruleId: String(rule?.id || ''),
+    ruleName: String(rule?.name || 'Rule'),
+    folderId: folder?.id != null ? String(folder.id) : null,
+    folderName: String(folder?.name || '')
+  };
+}
+
+module.exports = {
+  RULE_FIELDS,
+  OPERATORS_BY_KIND,
+  MAX_RULES_PER_FOLDER,
+  MAX_CONDITIONS_PER_RULE,
+  parseSizeValue,
+  validateRule,
+  sanitizeRules,
+  buildRuleContext,
+  evaluateCondition,
+  evaluateRule,
+  hasActiveRules,
+  rulesNeedFileStats,
+  findMatchingRule,
+  describeMatchedRule
+};
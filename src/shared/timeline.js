@@ -0,0 +1,211 @@
+/**
+ * Timeline
+ *
+ * Calendar buckets for the document timeline: files are plotted by day
+ * (`YYYY-MM-DD`) and grouped into decade, year, month, week or day buckets
+ * depending on the zoom level. Days are handled as UTC dates so buckets do
+ * not shift with the local time zone.
+ *
+ * @module shared/timeline
+ */
+
+/** Zoom levels, coarsest first. */
+const TIMELINE_ZOOM_LEVELS = Object.freeze(['decade', 'year', 'month', 'week', 'day']);
+
+const TIMELINE_ZOOM_LABELS = Object.freeze({
+  decade: 'Decades',
+  year: 'Years',
+  month: 'Months',
+  week: 'Weeks',
+  day: 'Days'
+});
+
+const MONTH_NAMES = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (day) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(day || ''));
+  return match
+    ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+    : null;
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * First day of the bucket containing `day`.
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} zoom - One of TIMELINE_ZOOM_LEVELS
+ * @returns {string|null} YYYY-MM-DD
+ */
+function bucketStart(day, zoom) {
+  const date = parseDay(day);
+  if (!date) return null;
+  const year = date.getUTCFullYear();
+  switch (zoom) {
+    case 'decade':
+      return formatDay(new Date(Date.UTC(year - (year % 10), 0, 1)));
+    case 'year':
+      return formatDay(new Date(Date.UTC(year, 0, 1)));
+    case 'month':
+      return formatDay(new Date(Date.UTC(year, date.getUTCMonth(), 1)));
+    case 'week': {
+      // Weeks start on Monday
+      const offset = (date.getUTCDay() + 6) % 7;
+      return formatDay(new Date(date.getTime() - offset * DAY_MS));
+    }
+    default:
+      return formatDay(date);
+  }
+}
+
+/**
+ * First day of the bucket after the one starting at `start`.
+ * @param {string} start - Bucket start (YYYY-MM-DD)
+ * @param {string} zoom
+ * @returns {string}
+ */
+function nextBucketStart(start, zoom) {
+  const date = parseDay(start);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (zoom) {
+    case 'decade':
+      return formatDay(new Date(Date.UTC(year + 10, 0, 1)));
+    case 'year':
+      return formatDay(new Date(Date.UTC(year + 1, 0, 1)));
+    case 'month':
+      return formatDay(new Date(Date.UTC(year, month + 1, 1)));
+    case 'week':
+      return formatDay(new Date(date.getTime() + 7 * DAY_MS));
+    default:
+      return formatDay(new Date(date.getTime() + DAY_MS));
+  }
+}
+
+/**
+ * Short label for a bucket ("2020s", "2024", "Mar 2024", "Mar 4", "Mar 4, 2024").
+ * @param {string} start - Bucket start
+ * @param {string} zoom
+ * @returns {string}
+ */
+function formatBucketLabel(start, zoom) {
+  const date = parseDay(start);
+  if (!date) return '';
+  const year = date.getUTCFullYear();
+  const month = MONTH_NAMES[date.getUTCMonth()];
+  switch (zoom) {
+    case 'decade':
+      return `${year}s`;
+    case 'year':
+      return String(year);
+    case 'month':
+      return `${month} ${year}`;
+    default:
+      return `${month} ${date.getUTCDate()}, ${year}`;
+  }
+}
+
+/**
+ * Number of buckets needed to cover a range at a zoom level.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD (inclusive)
+ * @param {string} zoom
+ * @returns {number}
+ */
+function countBuckets(from, to, zoom) {
+  const first = parseDay(bucketStart(from, zoom));
+  const last = parseDay(bucketStart(to, zoom));
+  if (!first || !last || last < first) return 0;
+  switch (zoom) {
+    case 'decade':
+      return (last.getUTCFullYear() - first.getUTCFullYear()) / 10 + 1;
+    case 'year':
+      return last.getUTCFullYear() - first.getUTCFullYear() + 1;
+    case 'month':
+      return (
+        (last.getUTCFullYear() - first.getUTCFullYear()) * 12 +
+        last.getUTCMonth() -
+        first.getUTCMonth() +
+        1
+      );
+    case 'week':
+      return Math.round((last - first) / (7 * DAY_MS)) + 1;
+    default:
+      return Math.round((last - first) / DAY_MS) + 1;
+  }
+}
+
+/**
+ * Finest zoom level that covers a range in at most `maxBuckets` buckets.
+ * @param {string} from
+ * @param {string} to
+ * @param {number} [maxBuckets=60]
+ * @returns {string}
+ */
+function chooseZoom(from, to, maxBuckets = 60) {
+  for (let i = TIMELINE_ZOOM_LEVELS.length - 1; i > 0; i -= 1) {
+    if (countBuckets(from, to, TIMELINE_ZOOM_LEVELS[i]) <= maxBuckets) {
+      return TIMELINE_ZOOM_LEVELS[i];
+    }
+  }
+  return TIMELINE_ZOOM_LEVELS[0];
+}
+
+/**
+ * Contiguous buckets covering `from`..`to` (empty ones included) with the
+ * number of items dated in each.
+ * @param {Array<{date: string}>} items
+ * @param {string} zoom
+ * @param {{from: string, to: string}} range - Inclusive days
+ * @returns {Array<{start: string, end: string, label: string, count: number}>}
+ *   `end` is the first day of the next bucket
+ */
+function buildTimelineBuckets(items, zoom, { from, to }) {
+  const first = bucketStart(from, zoom);
+  const last = bucketStart(to, zoom);
+  if (!first || !last || last < first) return [];
+
+  const counts = new Map();
+  for (const item of items) {
+    if (!item?.date || item.date < from || item.date > to) continue;
+    const key = bucketStart(item.date, zoom);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const buckets = [];
+  for (let start = first; start <= last; start = nextBucketStart(start, zoom)) {
+    buckets.push({
+      start,
+      end: nextBucketStart(start, zoom),
+      label: formatBucketLabel(start, zoom),
+      count: counts.get(start) || 0
+    });
+  }
+  return buckets;
+}
+
+module.exports = {
+  TIMELINE_ZOOM_LEVELS,
+  TIMELINE_ZOOM_LABELS,
+  bucketStart,
+  nextBucketStart,
+  formatBucketLabel,
+  countBuckets,
+  chooseZoom,
+  buildTimelineBuckets
+};
@@ -39,7 +39,8 @@ const NAMING_CONVENTIONS = [
   'date-subject',
   'project-subject-date',
   'category-subject',
-  'keep-original'
+  'keep-original',
+  'custom'
 ];
 
 /**
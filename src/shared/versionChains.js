@@ -0,0 +1,300 @@
+/**
+ * Version Chains
+ *
+ * Detects families of files that are versions of the same document, such as
+ * `report_v1.docx`, `report_v2_final.docx` and `report (3).docx`. Files are
+ * grouped by their name with version markers stripped, optionally confirmed
+ * by content similarity, and ordered newest first using the version number,
+ * status markers (draft < plain < final) and modification time.
+ *
+ * Shared between main (ClusteringService, duplicate finder) and renderer
+ * (organize phase), so this module must stay free of Node APIs.
+ *
+ * @module shared/versionChains
+ */
+
+/** Folder (next to the latest version) that receives archived older versions. */
+const VERSIONS_FOLDER_NAME = '_versions';
+
+const SEPARATORS = '[\\s._-]';
+const NUMBERED_VERSION = new RegExp(
+  `${SEPARATORS}+(?:v|ver|version|rev|revision)${SEPARATORS}?(\\d+(?:\\.\\d+)*)$`,
+  'i'
+);
+const COPY_NUMBER = /\s*\((\d+)\)$/;
+const STATUS_MARKER = new RegExp(
+  `${SEPARATORS}+(final|finalfinal|latest|updated|revised|new|draft|old|copy)(?:${SEPARATORS}*(\\d+))?$`,
+  'i'
+);
+const COPY_OF_PREFIX = /^copy of\s+/i;
+
+// Tie-breakers between files whose version numbers are equal or missing
+const STATUS_RANK = Object.freeze({
+  draft: -1,
+  old: -1,
+  copy: 0,
+  updated: 1,
+  revised: 1,
+  new: 1,
+  final: 2,
+  finalfinal: 3,
+  latest: 3
+});
+
+const MAX_MARKER_PASSES = 4;
+
+const splitExtension = (fileName) => {
+  const dot = fileName.lastIndexOf('.');
+  return dot > 0 ? [fileName.slice(0, dot), fileName.slice(dot)] : [fileName, ''];
+};
+
+const compareVersionNumbers = (a, b) => {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Strip version markers from a file name.
+ *
+ * @param {string} fileName - File name with extension
+ * @returns {{ stem: string, extension: string, version: string|null,
+ *   copy: string|null, status: string|null, label: string|null }} `copy` is
+ *   the "(3)" number added by browsers and file managers; `label` is a short
+ *   display form of the markers found (e.g. "v2 final"), null for the
+ *   unmarked original
+ */
+function parseVersionedName(fileName) {
+  const [base, extension] = splitExtension(String(fileName || ''));
+  let stem = base.trim();
+  let version = null;
+  let copy = null;
+  let status = null;
+  const labels = [];
+
+  const isCopyOf = COPY_OF_PREFIX.test(stem);
+  if (isCopyOf) stem = stem.replace(COPY_OF_PREFIX, '');
+
+  for (let pass = 0; pass < MAX_MARKER_PASSES; pass++) {
+    const copyMatch = stem.match(COPY_NUMBER);
+    if (copyMatch) {
+      copy = copy || copyMatch[1];
+      labels.unshift(`(${copyMatch[1]})`);
+      stem = stem.slice(0, copyMatch.index);
+      continue;
+    }
+    const statusMatch = stem.match(STATUS_MARKER);
+    if (statusMatch) {
+      const marker = statusMatch[1].toLowerCase();
+      if (!status || (STATUS_RANK[marker] ?? 0) > (STATUS_RANK[status] ?? 0)) status = marker;
+      if (statusMatch[2] && !version) version = statusMatch[2];
+      labels.unshift(statusMatch[2] ? `${marker} ${statusMatch[2]}` : marker);
+      stem = stem.slice(0, statusMatch.index);
+      continue;
+    }
+    const versionMatch = stem.match(NUMBERED_VERSION);
+    if (versionMatch) {
+      version = versionMatch[1];
+      labels.unshift(`v${versionMatch[1]}`);
+      stem = stem.slice(0, versionMatch.index);
+      continue;
+    }
+    break;
+  }
+  if (isCopyOf) {
+    status = status || 'copy';
+    labels.push('copy');
+  }
+
+  // A name that is nothing but a marker ("final.docx") has no family to belong to
+  if (!stem.trim()) {
+    return { stem: base.trim(), extension, version: null, copy: null, status: null, label: null };
+  }
+
+  return {
+    stem: stem.trim(),
+    extension,
+    version,
+    copy,
+    status,
+    label: labels.length > 0 ? labels.join(' ') : null
+  };
+}
+
+const toChainKey = ({ stem, extension }) =>
+  `${stem.toLowerCase().replace(/[\s._-]+/g, ' ')}${extension.toLowerCase()}`;
+
+/**
+ * Key shared by every version of a document: the stripped name, case and
+ * separator insensitive, plus the extension.
+ *
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getVersionChainKey(fileName) {
+  return toChainKey(parseVersionedName(fileName));
+}
+
+const toTime = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+/**
+ * Order two parsed versions, positive when `a` is newer than `b`.
+ */
+function compareVersions(a, b) {
+  if (a.parsed.version && b.parsed.version) {
+    const diff = compareVersionNumbers(a.parsed.version, b.parsed.version);
+    if (diff !== 0) return diff;
+  }
+  const rankA = STATUS_RANK[a.parsed.status] ?? 0;
+  const rankB = STATUS_RANK[b.parsed.status] ?? 0;
+  if (rankA !== rankB) return rankA - rankB;
+  if (a.parsed.copy && b.parsed.copy) {
+    const diff = Number(a.parsed.copy) - Number(b.parsed.copy);
+    if (diff !== 0) return diff;
+  }
+  return a.mtime - b.mtime;
+}
+
+const getFileName = (file) =>
+  file?.name ||
+  String(file?.path || '')
+    .split(/[\\/]/)
+    .pop() ||
+  '';
+
+/**
+ * Group files into version chains.
+ *
+ * @param {Array<Object>} files - Files with `path`, optional `name` and
+ *   `modified`/`mtime` (Date, ISO string or epoch ms)
+ * @param {Object} [options]
+ * @param {Function} [options.getSimilarity] - `(a, b) => number|null`; a
+ *   member scoring below `minSimilarity` against every other member is
+ *   dropped. Return null when content cannot be compared.
+ * @param {number} [options.minSimilarity=0.75]
+ * @returns {Array<{ id: string, kind: 'version-chain', baseName: string,
+ *   members: Array<Object>, latest: Object }>} Chains with at least two
+ *   members, largest first. Members are newest first and carry
+ *   `versionLabel` and `isLatest`.
+ */
+function detectVersionChains(files, { getSimilarity = null, minSimilarity = 0.75 } = {}) {
+  const families = new Map();
+  for (const file of Array.isArray(files) ? files : []) {
+    const name = getFileName(file);
+    if (!name || !file?.path) continue;
+    const parsed = parseVersionedName(name);
+    const key = toChainKey(parsed);
+    if (!families.has(key)) families.set(key, []);
+    families.get(key).push({ file, name, parsed, mtime: toTime(file.modified ?? file.mtime) });
+  }
+
+  const chains = [];
+  for (const [key, entries] of families) {
+    // Same-named files without any marker are duplicates, not versions
+    if (entries.length < 2 || !entries.some((entry) => entry.parsed.label)) continue;
+
+    // A member whose content matches no other member only shares the name
+    const related =
+      typeof getSimilarity === 'function'
+        ? entries.filter((entry) =>
+            entries.some((other) => {
+              if (other === entry) return false;
+              const similarity = getSimilarity(entry.file, other.file);
+              return typeof similarity !== 'number' || similarity >= minSimilarity;
+            })
+          )
+        : entries;
+    if (related.length < 2) continue;
+
+    const members = [...related].sort((a, b) => compareVersions(b, a));
+    const [latest] = members;
+
+    chains.push({
+      id: `version-chain:${key}`,
+      kind: 'version-chain',
+      baseName: `${latest.parsed.stem}${latest.parsed.extension}`,
+      members: members.map((entry, index) => ({
+        ...entry.file,
+        name: entry.name,
+        versionLabel: entry.parsed.label || 'original',
+        isLatest: index === 0
+      })),
+      latest: latest.file
+    });
+  }
+
+  return chains.sort((a, b) => b.members.length - a.members.length);
+}
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9À-ɏ]+/)
+    .filter((token) => token.length > 3);
+
+/**
+ * Rough content similarity from two analysis results (keywords, summary and
+ * category), for callers without embeddings. Null when either side has no
+ * analysis.
+ *
+ * @param {Object} a - File with `analysis`
+ * @param {Object} b - File with `analysis`
+ * @returns {number|null} Jaccard overlap in [0, 1]
+ */
+function analysisSimilarity(a, b) {
+  const analysisA = a?.analysis;
+  const analysisB = b?.analysis;
+  if (!analysisA || !analysisB) return null;
+  if (
+    analysisA.category &&
+    analysisB.category &&
+    String(analysisA.category).toLowerCase() !== String(analysisB.category).toLowerCase()
+  ) {
+    return 0;
+  }
+  const terms = (analysis) =>
+    new Set([
+      ...(Array.isArray(analysis.keywords) ? analysis.keywords : []).flatMap(tokenize),
+      ...tokenize(analysis.summary || analysis.purpose)
+    ]);
+  const termsA = terms(analysisA);
+  const termsB = terms(analysisB);
+  if (termsA.size === 0 || termsB.size === 0) return null;
+  let shared = 0;
+  for (const term of termsA) if (termsB.has(term)) shared++;
+  return shared / (termsA.size + termsB.size - shared);
+}
+
+/**
+ * Destination for an archived older version: the `_versions` folder next to
+ * where the latest version ends up, keeping the old file's own name.
+ *
+ * @param {string} latestDestination - Full destination path of the latest version
+ * @param {string} fileName - Name of the older version
+ * @returns {string}
+ */
+function getVersionArchivePath(latestDestination, fileName) {
+  const destination = String(latestDestination || '');
+  const separator = destination.includes('\\') ? '\\' : '/';
+  const cut = Math.max(destination.lastIndexOf('/'), destination.lastIndexOf('\\'));
+  const directory = cut >= 0 ? destination.slice(0, cut) : destination;
+  return [directory, VERSIONS_FOLDER_NAME, fileName].join(separator);
+}
+
+module.exports = {
+  VERSIONS_FOLDER_NAME,
+  parseVersionedName,
+  getVersionChainKey,
+  detectVersionChains,
+  analysisSimilarity,
+  getVersionArchivePath
+};
@@ -0,0 +1,144 @@
+/**
+ * Tests for ActionPlanCard component
+ * Tests the reviewable diff of a chat action plan: nothing runs until the
+ * user confirms, unticked files are left out, project folders with files
+ * outside the plan only move whole when ticked, and cancel discards the plan
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ActionPlanCard from '../src/renderer/components/search/ActionPlanCard';
+
+jest.mock('react-redux', () => ({
+  useSelector: () => false
+}));
+
+const mockExecutePlan = jest.fn();
+const mockDiscardPlan = jest.fn();
+window.electronAPI = {
+  chat: {
+    executePlan: mockExecutePlan,
+    discardPlan: mockDiscardPlan
+  }
+};
+
+const plan = {
+  id: 'plan-1',
+  summary: 'Move 2023 tax PDFs into Taxes/2023',
+  steps: [
+    { action: 'create_smart_folder', name: 'Taxes' },
+    { action: 'move', folder: 'Taxes', subpath: '2023' },
+    { action: 'tag', tags: ['taxes'] }
+  ],
+  folders: [{ name: 'Taxes', path: '/docs/Taxes' }],
+  changes: [
+    { path: '/in/a.pdf', name: 'a.pdf', newPath: '/docs/Taxes/2023/Acme.pdf', addTags: ['taxes'] },
+    { path: '/in/b.pdf', name: 'b.pdf', newPath: '/docs/Taxes/2023/Globex.pdf', addTags: [] }
+  ],
+  warnings: []
+};
+
+describe('ActionPlanCard', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDiscardPlan.mockResolvedValue({ success: true });
+  });
+
+  test('shows the steps and the per-file diff without running anything', () => {
+    render(<ActionPlanCard plan={plan} />);
+
+    expect(screen.getByText('Proposed changes (2)')).toBeInTheDocument();
+    expect(screen.getByText('Create smart folder "Taxes"')).toBeInTheDocument();
+    expect(screen.getByText('Move into Taxes/2023')).toBeInTheDocument();
+    expect(screen.getByText('Acme.pdf')).toBeInTheDocument();
+    expect(screen.getByText('+taxes')).toBeInTheDocument();
+    expect(screen.getByText('2 of 2 selected')).toBeInTheDocument();
+    expect(mockExecutePlan).not.toHaveBeenCalled();
+  });
+
+  test('runs the plan without unticked files after confirmation', async () => {
+    mockExecutePlan.mockResolvedValue({ success: true, moved: 1, tagged: 1, failed: 0 });
+    render(<ActionPlanCard plan={plan} />);
+
+    fireEvent.click(screen.getByLabelText('Include b.pdf'));
+    expect(screen.getByText('1 of 2 selected')).toBeInTheDocument();
+    await act(async () => {
+      fireEvent.click(screen.getByText('Confirm and run'));
+    });
+
+    expect(mockExecutePlan).toHaveBeenCalledWith('plan-1', {
+      excludePaths: ['/in/b.pdf'],
+      confirmedBundles: []
+    });
+    expect(
+      screen.getByText('Done: 1 moved, 1 tagged. Use Undo to revert the whole plan.')
+    ).toBeInTheDocument();
+  });
+
+  test('shows project folder moves and moves a partial folder only when ticked', async () => {
+    mockExecutePlan.mockResolvedValue({ success: true, moved: 2 });
+    const bundles = [
+      {
+        root: '/in/site',
+        name: 'site',
+        label: 'Node.js project',
+        destination: '/docs/Code/site',
+        members: ['/in/site/a.js', '/in/site/b.js'],
+        fileCount: 2,
+        partial: false
+      },
+      {
+        root: '/in',
+        name: 'in',
+        label: 'Git repository',
+        destination: '/docs/Taxes/2023/in',
+        members: ['/in/a.pdf', '/in/b.pdf'],
+        fileCount: 9,
+        partial: true
+      }
+    ];
+    render(<ActionPlanCard plan={{ ...plan, bundles }} />);
+
+    expect(screen.getByText('site (Node.js project) moves as one unit')).toBeInTheDocument();
+    expect(
+      screen.getByText('Move all of in (Git repository): 2 of 9 files are in this plan')
+    ).toBeInTheDocument();
+    const checkbox = screen.getByLabelText('Move all of in');
+    expect(checkbox).not.toBeChecked();
+
+    fireEvent.click(checkbox);
+    await act(async () => {
+      fireEvent.click(screen.getByText('Confirm and run'));
+    });
+
+    expect(mockExecutePlan).toHaveBeenCalledWith('plan-1', {
+      excludePaths: [],
+      confirmedBundles: ['/in']
+    });
+  });
+
+  test('keeps the plan reviewable when running fails', async () => {
+    mockExecutePlan.mockResolvedValue({ success: false, error: 'This plan has expired.' });
+    render(<ActionPlanCard plan={plan} />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Confirm and run'));
+    });
+
+    expect(screen.getByText('This plan has expired.')).toBeInTheDocument();
+    expect(screen.getByText('Confirm and run')).toBeInTheDocument();
+  });
+
+  test('cancel discards the plan', async () => {
+    render(<ActionPlanCard plan={plan} />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Cancel'));
+    });
+
+    expect(mockDiscardPlan).toHaveBeenCalledWith('plan-1');
+    expect(screen.getByText('Plan canceled. Nothing was changed.')).toBeInTheDocument();
+    expect(screen.queryByText('Confirm and run')).not.toBeInTheDocument();
+  });
+});
@@ -56,7 +56,8 @@ jest.mock('../src/main/services/analysisHistory/cacheManager', () => ({
   updateIncrementalStatsOnAdd: jest.fn(),
   updateIncrementalStatsOnRemove: jest.fn(),
   clearCaches: jest.fn(),
-  warmCache: jest.fn()
+  warmCache: jest.fn(),
+  notifyAnalysisComplete: jest.fn()
 }));
 
 // Mock persistence
@@ -305,6 +306,20 @@ describe('AnalysisHistoryServiceCore', () => {
       expect(invalidateCachesOnAdd).toHaveBeenCalled();
     });
 
+    test('announces saved entries as analysis-complete', async () => {
+      const {
+        notifyAnalysisComplete
+      } = require('../src/main/services/analysisHistory/cacheManager');
+
+      const recordPromise = service.recordAnalysis(mockFileInfo, mockAnalysisResults);
+      await flushWriteBuffer();
+      await recordPromise;
+
+      expect(notifyAnalysisComplete).toHaveBeenCalledWith([
+        expect.objectContaining({ originalPath: mockFileInfo.path })
+      ]);
+    });
+
     test('saves history and index', async () => {
       const {
         saveHistory,
@@ -452,6 +467,66 @@ describe('AnalysisHistoryServiceCore', () => {
     });
   });
 
+  describe('image fingerprints', () => {
+    beforeEach(async () => {
+      await service.initialize();
+      service.analysisHistory.entries = {
+        old: {
+          id: 'old',
+          timestamp: '2026-01-01T00:00:00.000Z',
+          originalPath: '/inbox/IMG_1.jpg',
+          fileExtension: '.jpg',
+          fileSize: 10,
+          analysis: {},
+          organization: { actual: '/photos/IMG_1.jpg' }
+        },
+        new: {
+          id: 'new',
+          timestamp: '2026-02-01T00:00:00.000Z',
+          originalPath: '/photos/IMG_1.jpg',
+          fileExtension: '.jpg',
+          fileSize: 12,
+          analysis: { perceptualHash: { pHash: '0000000000000000' } },
+          organization: {}
+        },
+        doc: {
+          id: 'doc',
+          timestamp: '2026-02-01T00:00:00.000Z',
+          originalPath: '/docs/report.pdf',
+          fileExtension: '.pdf',
+          analysis: {}
+        }
+      };
+    });
+
+    test('lists one image per current path, newest entry first', async () => {
+      const images = await service.getImageFingerprints();
+      expect(images).toEqual([
+        {
+          entryId: 'new',
+          path: '/photos/IMG_1.jpg',
+          name: 'IMG_1.jpg',
+          size: 12,
+          fingerprint: { pHash: '0000000000000000' }
+        }
+      ]);
+    });
+
+    test('stores backfilled fingerprints', async () => {
+      const persistence = require('../src/main/services/analysisHistory/persistence');
+      const fingerprint = { aHash: 'a', dHash: 'd', pHash: 'ffffffffffffffff' };
+
+      const result = await service.setPerceptualHashes([
+        { entryId: 'old', fingerprint },
+        { entryId: 'missing', fingerprint }
+      ]);
+
+      expect(result).toEqual({ updated: 1 });
+      expect(service.analysisHistory.entries.old.analysis.perceptualHash).toBe(fingerprint);
+      expect(persistence.saveHistory).toHaveBeenCalled();
+    });
+  });
+
   describe('getAnalysisByPath', () => {
     beforeEach(async () => {
       await service.initialize();
@@ -52,7 +52,8 @@ jest.mock('../src/main/services/autoOrganize/folderOperations', () => ({
     folder: suggestion?.folder || defaultLoc,
     path: suggestion?.path || `/mock/${defaultLoc}/${file.name}`,
     newName: preserveNames ? file.name : suggestion?.newName || file.name
-  }))
+  })),
+  attachTemplateTimestamps: jest.fn((files) => Promise.resolve(files))
 }));
 
 // Mock batchProcessor
@@ -67,6 +68,7 @@ jest.mock('../src/main/services/autoOrganize/batchProcessor', () => ({
 
 // Mock fileProcessor
 jest.mock('../src/main/services/autoOrganize/fileProcessor', () => ({
+  processFilesByRules: jest.fn((files) => Promise.resolve(files)),
   processFilesWithoutAnalysis: jest.fn().mockResolvedValue(undefined),
   processFilesIndividually: jest.fn().mockResolvedValue(undefined),
   processNewFile: jest.fn().mockResolvedValue({
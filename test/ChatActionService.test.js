@@ -0,0 +1,279 @@
+/**
+ * Tests for ChatActionService: turning chat requests into reviewable file
+ * action plans and running a confirmed plan as one undoable action.
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const fs = require('fs').promises;
+const { ChatActionService, normalizeIntent } = require('../src/main/services/ChatActionService');
+
+const entry = (id, filePath, analysis, extra = {}) => ({
+  id,
+  originalPath: filePath,
+  fileName: filePath.split('/').pop(),
+  timestamp: '2026-01-01T00:00:00.000Z',
+  analysis,
+  ...extra
+});
+
+const taxIntent = {
+  summary: 'Move 2023 tax PDFs into Taxes/2023 and name them after the entity',
+  filter: { query: 'tax', extensions: ['pdf'], year: 2023 },
+  steps: [
+    { action: 'move', folder: 'Taxes/2023', subpath: null },
+    { action: 'rename', template: '{entity}' },
+    { action: 'tag', tags: ['taxes'] }
+  ]
+};
+
+function makeService({ intent = taxIntent, folders = [] } = {}) {
+  const entries = [
+    entry('a', '/in/scan1.pdf', {
+      entity: 'Acme',
+      documentDate: '2023-04-01',
+      tags: ['invoice']
+    }),
+    entry('b', '/in/scan2.pdf', { entity: 'Globex', documentDate: '2023-05-01' }),
+    entry('c', '/in/old.pdf', { entity: 'Acme', documentDate: '2022-04-01' }),
+    entry('d', '/in/notes.docx', { entity: 'Acme', documentDate: '2023-04-01' }),
+    entry('e', '/in/photo.pdf', { documentDate: '2023-04-01' })
+  ];
+  const analysisHistoryService = {
+    analysisHistory: { entries: Object.fromEntries(entries.map((e) => [e.id, e])) },
+    initialize: jest.fn().mockResolvedValue(),
+    // Keyword search: everything but the photo mentions tax
+    searchAnalysis: jest.fn().mockResolvedValue(['a', 'b', 'c', 'd'].map((id) => ({ id }))),
+    updateTags: jest.fn().mockResolvedValue({ updated: 1 })
+  };
+  const organizeFiles = jest.fn(async (operations, { recordUndoAction }) => {
+    await recordUndoAction('BATCH_OPERATION', {
+      operations: operations.map((op) => ({
+        type: 'move',
+        originalPath: op.source,
+        newPath: op.destination
+      })),
+      createdDirectories: ['/docs/Taxes/2023']
+    });
+    return { success: true, successCount: operations.length };
+  });
+  const deps = {
+    llamaService: {
+      analyzeText: jest.fn().mockResolvedValue({ success: true, response: JSON.stringify(intent) })
+    },
+    analysisHistoryService,
+    vectorDbService: { updateDocumentTags: jest.fn().mockResolvedValue(true) },
+    settingsService: { load: jest.fn().mockResolvedValue({ defaultSmartFolderLocation: '/docs' }) },
+    undoRedoService: { recordAction: jest.fn().mockResolvedValue('undo-1') },
+    getCustomFolders: () => folders,
+    saveCustomFolders: jest.fn().mockResolvedValue(),
+    organizeFiles
+  };
+  return { service: new ChatActionService(deps), deps, folders };
+}
+
+describe('normalizeIntent', () => {
+  test('keeps known steps and drops malformed ones', () => {
+    const intent = normalizeIntent({
+      summary: ' Tidy up ',
+      filter: { extensions: ['.PDF'], year: '2023', category: '' },
+      steps: [
+        { action: 'move', folder: 'Taxes' },
+        { action: 'delete', path: '/' },
+        { action: 'tag', tags: ['a', 'a', ' '] },
+        { action: 'rename' }
+      ]
+    });
+    expect(intent.summary).toBe('Tidy up');
+    expect(intent.filter).toMatchObject({ extensions: ['pdf'], year: 2023, category: null });
+    expect(intent.steps).toEqual([
+      { action: 'move', folder: 'Taxes', subpath: null },
+      { action: 'tag', tags: ['a'] }
+    ]);
+  });
+});
+
+describe('ChatActionService', () => {
+  test('plans moves, renames and tags for the matching files', async () => {
+    const { service } = makeService();
+    const result = await service.planActions({ request: 'move my 2023 tax PDFs' });
+
+    expect(result.success).toBe(true);
+    const { plan } = result;
+    expect(plan.folders).toEqual([{ name: 'Taxes', path: '/docs/Taxes', requested: false }]);
+    expect(plan.steps.map((s) => s.action)).toEqual([
+      'create_smart_folder',
+      'move',
+      'rename',
+      'tag'
+    ]);
+    expect(plan.changes).toEqual([
+      {
+        path: '/in/scan1.pdf',
+        name: 'scan1.pdf',
+        newPath: '/docs/Taxes/2023/Acme.pdf',
+        addTags: ['taxes']
+      },
+      {
+        path: '/in/scan2.pdf',
+        name: 'scan2.pdf',
+        newPath: '/docs/Taxes/2023/Globex.pdf',
+        addTags: ['taxes']
+      }
+    ]);
+  });
+
+  test('moves into an existing smart folder and numbers clashing names', async () => {
+    const { service } = makeService({
+      intent: { ...taxIntent, steps: [{ action: 'move', folder: 'Finance' }, taxIntent.steps[1]] },
+      folders: [{ name: 'Finance', path: '/docs/Finance' }]
+    });
+    const { plan } = await service.planActions({
+      request: 'move tax files into Finance',
+      documentScopeItems: [{ path: '/in/scan1.pdf' }, { path: '/in/scan2.pdf' }]
+    });
+
+    expect(plan.folders).toEqual([]);
+    expect(plan.changes.map((c) => c.newPath)).toEqual([
+      '/docs/Finance/Acme.pdf',
+      '/docs/Finance/Globex.pdf'
+    ]);
+  });
+
+  test('reports requests without file actions so chat can answer normally', async () => {
+    const { service } = makeService({ intent: { summary: '', filter: {}, steps: [] } });
+    const result = await service.planActions({ request: 'organize my thoughts on taxes' });
+    expect(result).toMatchObject({ success: false, errorCode: 'NO_ACTIONS' });
+  });
+
+  test('asks which files to change instead of touching everything', async () => {
+    const { service, deps } = makeService({
+      intent: { summary: '', filter: {}, steps: [{ action: 'tag', tags: ['x'] }] }
+    });
+    const result = await service.planActions({ request: 'tag them' });
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/which files/);
+    expect(deps.analysisHistoryService.searchAnalysis).not.toHaveBeenCalled();
+  });
+
+  test('runs a confirmed plan once and records it as one undo action', async () => {
+    const { service, deps, folders } = makeService();
+    const { plan } = await service.planActions({ request: 'move my 2023 tax PDFs' });
+
+    const result = await service.executePlan(plan.id, { excludePaths: ['/in/scan2.pdf'] });
+
+    expect(result).toMatchObject({
+      success: true,
+      moved: 1,
+      failed: 0,
+      tagged: 1,
+      smartFoldersCreated: 1,
+      actionId: 'undo-1'
+    });
+    expect((await fs.stat('/docs/Taxes')).isDirectory()).toBe(true);
+    expect(folders).toEqual([expect.objectContaining({ name: 'Taxes', path: '/docs/Taxes' })]);
+    expect(deps.saveCustomFolders).toHaveBeenCalledWith(folders);
+    expect(deps.organizeFiles).toHaveBeenCalledWith(
+      [{ source: '/in/scan1.pdf', destination: '/docs/Taxes/2023/Acme.pdf' }],
+      expect.any(Object)
+    );
+    // Tags land on the file at its new location
+    expect(deps.analysisHistoryService.updateTags).toHaveBeenCalledWith(
+      '/docs/Taxes/2023/Acme.pdf',
+      ['invoice', 'taxes']
+    );
+    expect(deps.vectorDbService.updateDocumentTags).toHaveBeenCalledWith(
+      expect.stringContaining('Acme.pdf'),
+      ['invoice', 'taxes']
+    );
+
+    expect(deps.undoRedoService.recordAction).toHaveBeenCalledTimes(1);
+    const [type, data] = deps.undoRedoService.recordAction.mock.calls[0];
+    expect(type).toBe('ACTION_PLAN');
+    expect(data).toMatchObject({
+      description: plan.summary,
+      operations: [
+        { type: 'move', originalPath: '/in/scan1.pdf', newPath: '/docs/Taxes/2023/Acme.pdf' }
+      ],
+      createdDirectories: ['/docs/Taxes', '/docs/Taxes/2023'],
+      tagChanges: [
+        {
+          filePath: '/docs/Taxes/2023/Acme.pdf',
+          previousTags: ['invoice'],
+          tags: ['invoice', 'taxes']
+        }
+      ],
+      smartFolders: [expect.objectContaining({ name: 'Taxes' })]
+    });
+
+    const again = await service.executePlan(plan.id);
+    expect(again.success).toBe(false);
+    expect(deps.organizeFiles).toHaveBeenCalledTimes(1);
+  });
+
+  test('lists project folders in the plan and passes on the ones the user ticked', async () => {
+    await fs.mkdir('/in', { recursive: true });
+    await Promise.all(
+      ['package.json', 'scan1.pdf', 'scan2.pdf', 'notes.docx'].map((name) =>
+        fs.writeFile(`/in/${name}`, 'x')
+      )
+    );
+    const { service, deps } = makeService();
+    const { plan } = await service.planActions({ request: 'move my 2023 tax PDFs' });
+
+    expect(plan.bundles).toEqual([
+      expect.objectContaining({
+        root: '/in',
+        label: 'Node.js project',
+        destination: '/docs/Taxes/2023/in',
+        members: ['/in/scan1.pdf', '/in/scan2.pdf'],
+        fileCount: 4,
+        partial: true
+      })
+    ]);
+
+    deps.organizeFiles.mockImplementationOnce(async (operations, { recordUndoAction }) => {
+      await recordUndoAction('BATCH_OPERATION', {
+        operations: [
+          {
+            type: 'move',
+            originalPath: '/in',
+            newPath: '/docs/Taxes/2023/in',
+            bundleMembers: ['/in/scan1.pdf', '/in/scan2.pdf']
+          }
+        ]
+      });
+      return { success: true };
+    });
+    const result = await service.executePlan(plan.id, { confirmedBundles: ['/in', '/elsewhere'] });
+
+    expect(deps.organizeFiles).toHaveBeenCalledWith(expect.any(Array), {
+      recordUndoAction: expect.any(Function),
+      confirmedBundles: ['/in']
+    });
+    // The folder move counts once per planned file and tags follow the files into it
+    expect(result).toMatchObject({ success: true, moved: 2, failed: 0 });
+    expect(deps.analysisHistoryService.updateTags).toHaveBeenCalledWith(
+      '/docs/Taxes/2023/in/scan1.pdf',
+      ['invoice', 'taxes']
+    );
+  });
+
+  test('discarded plans cannot be run', async () => {
+    const { service, deps } = makeService();
+    const { plan } = await service.planActions({ request: 'move my 2023 tax PDFs' });
+
+    expect(service.discardPlan(plan.id)).toBe(true);
+    const result = await service.executePlan(plan.id);
+    expect(result.success).toBe(false);
+    expect(deps.organizeFiles).not.toHaveBeenCalled();
+  });
+});
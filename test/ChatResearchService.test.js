@@ -0,0 +1,187 @@
+/**
+ * Tests for ChatResearchService: deep-mode research over sub-queries,
+ * related-document links and follow-up rounds until coverage stops improving.
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const { ChatResearchService } = require('../src/main/services/ChatResearchService');
+
+const source = (fileId, semanticScore = 0.6) => ({
+  id: 'doc-1',
+  fileId,
+  name: `${fileId}.pdf`,
+  path: `/docs/${fileId}.pdf`,
+  summary: `About ${fileId}`,
+  semanticScore
+});
+
+const llmReply = (subQueries) => ({
+  success: true,
+  response: JSON.stringify({ subQueries })
+});
+
+function makeService({ hits = {}, linkHits = [], plans = [], neighbors = [], hops = [] } = {}) {
+  const analyzeText = jest.fn();
+  plans.forEach((queries) => analyzeText.mockResolvedValueOnce(llmReply(queries)));
+  analyzeText.mockResolvedValue(llmReply([]));
+
+  const retrieveSources = jest.fn(async (query, options) => {
+    if (options.contextFileIds?.length && linkHits.length) {
+      // Linked candidates plus the usual search padding
+      return { sources: [...linkHits, source('padding')], meta: { retrievalAvailable: true } };
+    }
+    return {
+      sources: hits[query] || [],
+      meta: { retrievalAvailable: true, droppedLowRelevance: 1 }
+    };
+  });
+  const relationshipIndexService = {
+    getNeighborEdges: jest.fn().mockResolvedValue({ edges: [], neighbors })
+  };
+  const folderMatchingService = { findMultiHopNeighbors: jest.fn().mockResolvedValue(hops) };
+
+  const service = new ChatResearchService({
+    llamaService: { analyzeText },
+    retrieveSources,
+    relationshipIndexService,
+    folderMatchingService
+  });
+  return { service, analyzeText, retrieveSources, relationshipIndexService, folderMatchingService };
+}
+
+const retrievalOptions = { topK: 8, mode: 'hybrid', precomputedEmbedding: [0.1, 0.2] };
+
+describe('ChatResearchService', () => {
+  test('searches each sub-query and merges the evidence', async () => {
+    const question = 'how did vendor costs change across 2023';
+    const { service, retrieveSources } = makeService({
+      plans: [['acme invoices 2023', 'globex contract']],
+      hits: {
+        [question]: [source('summary', 0.5)],
+        'acme invoices 2023': [source('acme', 0.8), source('summary', 0.7)],
+        'globex contract': [source('globex', 0.6)]
+      }
+    });
+
+    const result = await service.research({ query: question, retrievalOptions });
+
+    expect(retrieveSources.mock.calls.map(([q]) => q)).toEqual([
+      question,
+      'acme invoices 2023',
+      'globex contract'
+    ]);
+    // Only the original question reuses its embedding
+    expect(retrieveSources.mock.calls[0][1].precomputedEmbedding).toEqual([0.1, 0.2]);
+    expect(retrieveSources.mock.calls[1][1].precomputedEmbedding).toBeNull();
+
+    expect(result.sources.map((s) => [s.id, s.fileId])).toEqual([
+      ['doc-1', 'acme'],
+      ['doc-2', 'summary'],
+      ['doc-3', 'globex']
+    ]);
+    expect(result.sources[1].foundFor).toEqual([question, 'acme invoices 2023']);
+    expect(result.meta).toMatchObject({ resultCount: 3, droppedLowRelevance: 3 });
+    expect(result.trace[0]).toEqual({
+      type: 'plan',
+      queries: [question, 'acme invoices 2023', 'globex contract']
+    });
+    expect(result.trace).toContainEqual({
+      type: 'search',
+      query: 'acme invoices 2023',
+      found: 2,
+      added: 1
+    });
+  });
+
+  test('follows relationship and multi-hop links from new sources', async () => {
+    const { service, retrieveSources, relationshipIndexService, folderMatchingService } =
+      makeService({
+        hits: { 'project budget': [source('budget', 0.9)] },
+        neighbors: ['memo', 'budget'],
+        hops: [{ id: 'minutes', score: 0.4 }],
+        linkHits: [source('memo', 0.5)]
+      });
+
+    const result = await service.research({ query: 'project budget', retrievalOptions });
+
+    expect(relationshipIndexService.getNeighborEdges).toHaveBeenCalledWith(
+      ['budget'],
+      expect.any(Object)
+    );
+    expect(folderMatchingService.findMultiHopNeighbors).toHaveBeenCalledWith(
+      ['budget'],
+      expect.objectContaining({ maxHops: 2 })
+    );
+    const linkCall = retrieveSources.mock.calls.find(([, options]) => options.contextFileIds);
+    expect(linkCall[0]).toBe('project budget');
+    expect(linkCall[1].contextFileIds).toEqual(['memo', 'minutes']);
+
+    // Search padding returned alongside the links is not counted as a link
+    expect(result.sources.map((s) => s.fileId)).toEqual(['budget', 'memo']);
+    expect(result.sources[1].via).toBe('link');
+    expect(result.trace).toContainEqual({ type: 'links', seeds: 1, candidates: 2, added: 1 });
+  });
+
+  test('keeps researching follow-ups until a round adds nothing new', async () => {
+    const { service, analyzeText } = makeService({
+      plans: [[], ['q3 results'], ['q3 results', 'board minutes']],
+      hits: {
+        'quarterly results': [source('q1')],
+        'q3 results': [source('q3')],
+        'board minutes': [source('q3')]
+      }
+    });
+
+    const result = await service.research({
+      query: 'quarterly results',
+      retrievalOptions,
+      followLinks: false
+    });
+
+    // Initial plan + two follow-up rounds
+    expect(analyzeText).toHaveBeenCalledTimes(3);
+    expect(result.trace.filter((step) => step.type === 'search').map((step) => step.query)).toEqual(
+      ['quarterly results', 'q3 results', 'board minutes']
+    );
+    expect(result.trace[result.trace.length - 1]).toEqual({
+      type: 'stop',
+      reason: 'no_new_evidence'
+    });
+    expect(result.meta.research.rounds).toBe(3);
+  });
+
+  test('stops when the model finds the evidence sufficient', async () => {
+    const { service } = makeService({ hits: { 'tax return': [source('return')] } });
+
+    const result = await service.research({
+      query: 'tax return',
+      retrievalOptions,
+      followLinks: false
+    });
+
+    expect(result.sources).toHaveLength(1);
+    expect(result.trace[result.trace.length - 1]).toEqual({ type: 'stop', reason: 'covered' });
+  });
+
+  test('researches the question alone when planning fails', async () => {
+    const { service, analyzeText, retrieveSources } = makeService();
+    analyzeText.mockReset().mockRejectedValue(new Error('model unloaded'));
+    const onStep = jest.fn();
+
+    const result = await service.research({ query: 'lease terms', retrievalOptions, onStep });
+
+    expect(retrieveSources).toHaveBeenCalledTimes(1);
+    expect(onStep).toHaveBeenCalledWith({ type: 'search', query: 'lease terms' });
+    expect(result.sources).toEqual([]);
+    expect(result.trace[result.trace.length - 1].reason).toBe('no_new_evidence');
+  });
+});
@@ -118,6 +118,55 @@ describe('ChatService – extended coverage', () => {
     });
   });
 
+  describe('file action requests', () => {
+    const plan = {
+      id: 'plan-1',
+      summary: 'Move 2 files into Taxes',
+      changes: [{ path: '/in/a.pdf', name: 'a.pdf', newPath: '/docs/Taxes/a.pdf' }]
+    };
+
+    test('detects imperative file actions only when actions are available', () => {
+      const service = createTestService({ chatActionService: { planActions: jest.fn() } });
+      expect(service._isActionRequest('move all my 2023 tax PDFs into Taxes/2023')).toBe(true);
+      expect(service._isActionRequest('please rename the invoices by vendor')).toBe(true);
+      expect(service._isActionRequest('create a smart folder for receipts')).toBe(true);
+      expect(service._isActionRequest('can you move my invoices?')).toBe(false);
+      expect(service._isActionRequest('what did I move last week')).toBe(false);
+      expect(createTestService()._isActionRequest('move my invoices to Taxes')).toBe(false);
+    });
+
+    test('answers with a plan instead of retrieving sources', async () => {
+      const chatActionService = {
+        planActions: jest.fn().mockResolvedValue({ success: true, plan })
+      };
+      const service = createTestService({ chatActionService });
+
+      const result = await service.query({ query: 'move my tax PDFs into Taxes', sessionId: 's' });
+
+      expect(result.success).toBe(true);
+      expect(result.meta.actionPlan).toBe(plan);
+      expect(result.response.modelAnswer[0].text).toContain('Move 2 files into Taxes');
+      expect(service.searchService.hybridSearch).not.toHaveBeenCalled();
+    });
+
+    test('falls back to a normal answer when no file action is found', async () => {
+      const chatActionService = {
+        planActions: jest
+          .fn()
+          .mockResolvedValue({ success: false, errorCode: 'NO_ACTIONS', error: 'none' })
+      };
+      const service = createTestService({ chatActionService });
+
+      const result = await service.query({
+        query: 'sort out my thinking on taxes',
+        sessionId: 's'
+      });
+
+      expect(result.meta.actionPlan).toBeUndefined();
+      expect(service.searchService.hybridSearch).toHaveBeenCalled();
+    });
+  });
+
   describe('_retrieveSources', () => {
     test('returns sources from hybrid search', async () => {
       const service = createTestService();
@@ -237,6 +286,26 @@ describe('ChatService – extended coverage', () => {
       expect(typeof prompt).toBe('string');
       expect(prompt).toContain('random question');
     });
+
+    test('tells the model which language to answer in', () => {
+      const service = createTestService();
+      const build = (outputLanguage) =>
+        service._buildPrompt({
+          query: 'Was steht in der Rechnung?',
+          history: '',
+          sources: [],
+          persona: { name: 'Default', description: 'A helper' },
+          outputLanguage
+        });
+
+      expect(build()).toContain('Answer and write follow-up questions in English.');
+      expect(build({ mode: 'target', target: 'fr', targetName: 'French' })).toContain(
+        'Answer and write follow-up questions in French.'
+      );
+      expect(build({ mode: 'document', target: 'en', targetName: 'English' })).toContain(
+        "in the language of the user's question"
+      );
+    });
   });
 
   describe('_parseResponse', () => {
@@ -390,6 +459,53 @@ describe('ChatService – extended coverage', () => {
       expect(result.response.modelAnswer.length).toBeGreaterThan(0);
     });
 
+    test('researches deep-mode questions over several searches with a trace', async () => {
+      const llamaService = {
+        analyzeText: jest
+          .fn()
+          .mockResolvedValueOnce({
+            success: true,
+            response: JSON.stringify({ subQueries: ['vendor invoices'] })
+          })
+          .mockResolvedValueOnce({ success: true, response: JSON.stringify({ subQueries: [] }) })
+          .mockResolvedValue({
+            success: true,
+            response: JSON.stringify({
+              documentAnswer: [{ text: 'Costs rose.', citations: ['doc-1'] }],
+              modelAnswer: [],
+              followUps: []
+            })
+          })
+      };
+      const service = createTestService({ llamaService });
+
+      const result = await service.query({
+        query: 'how did vendor costs change',
+        responseMode: 'deep'
+      });
+
+      const searched = service.searchService.hybridSearch.mock.calls.map(([q]) => q);
+      expect(searched).toEqual(['how did vendor costs change', 'vendor invoices']);
+      const answerPrompt = llamaService.analyzeText.mock.calls[2][0];
+      expect(answerPrompt).toContain('Research constraints');
+      expect(answerPrompt).toContain('Found for: how did vendor costs change; vendor invoices');
+      expect(result.response.documentAnswer[0].citations).toEqual(['doc-1']);
+      expect(result.meta.researchTrace.map((step) => step.type)).toEqual([
+        'plan',
+        'search',
+        'search',
+        'stop'
+      ]);
+    });
+
+    test('keeps a single retrieval pass outside deep mode', async () => {
+      const service = createTestService();
+      const result = await service.query({ query: 'how did vendor costs change' });
+
+      expect(service.searchService.hybridSearch).toHaveBeenCalledTimes(1);
+      expect(result.meta.researchTrace).toBeUndefined();
+    });
+
     test('auto-escalates to deeper retrieval for holistic profile queries', async () => {
       const searchService = {
         hybridSearch: jest.fn().mockResolvedValue({
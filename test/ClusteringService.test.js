@@ -655,6 +655,51 @@ describe('ClusteringService', () => {
     });
   });
 
+  describe('findVersionChains', () => {
+    test('groups filename versions, drops unrelated content and orders newest first', async () => {
+      const fs = require('fs');
+      const mtimes = {
+        '/docs/report_v1.docx': 1000,
+        '/docs/report_v2_final.docx': 3000,
+        '/docs/report (3).docx': 2000,
+        '/docs/Report v4.docx': 4000
+      };
+      const statSpy = jest.spyOn(fs.promises, 'stat').mockImplementation(async (filePath) => {
+        if (!(filePath in mtimes)) throw new Error('ENOENT');
+        return { size: 100, mtimeMs: mtimes[filePath] };
+      });
+      const shared = createMockEmbedding(1);
+      mockVectorDb.getStats.mockResolvedValue({ files: 5, fileChunks: 0, folders: 0 });
+      mockVectorDb.peekFiles.mockResolvedValue({
+        ids: ['file:a', 'file:b', 'file:c', 'file:d', 'file:e'],
+        embeddings: [shared, shared, shared, createMockEmbedding(40), shared],
+        metadatas: [
+          { path: '/docs/report_v1.docx', fileName: 'report_v1.docx' },
+          { path: '/docs/report_v2_final.docx', fileName: 'report_v2_final.docx' },
+          { path: '/docs/report (3).docx', fileName: 'report (3).docx' },
+          { path: '/docs/Report v4.docx', fileName: 'Report v4.docx' },
+          { path: '/docs/budget.xlsx', fileName: 'budget.xlsx' }
+        ]
+      });
+
+      const result = await service.findVersionChains();
+      statSpy.mockRestore();
+
+      expect(result.success).toBe(true);
+      expect(result.groups).toHaveLength(1);
+      const [chain] = result.groups;
+      expect(chain.kind).toBe('version-chain');
+      // v4 has a different embedding, so it is not treated as the same document
+      expect(chain.members.map((m) => [m.name, m.versionLabel, m.isLatest])).toEqual([
+        ['report_v2_final.docx', 'v2 final', true],
+        ['report (3).docx', '(3)', false],
+        ['report_v1.docx', 'v1', false]
+      ]);
+      expect(chain.members[0]).toMatchObject({ path: '/docs/report_v2_final.docx', size: 100 });
+      expect(chain.members[0].vector).toBeUndefined();
+    });
+  });
+
   describe('cross-cluster edges include sharedTerms', () => {
     test('attaches sharedTerms when clusters share topTerms/commonTags', () => {
       service.clusters = [
@@ -350,6 +350,25 @@ describe('DownloadWatcher Extended Coverage', () => {
       );
     });
 
+    test('keeps photo metadata, fingerprint and language in the history entry', async () => {
+      const photo = { camera: 'Pixel 8', place: { city: 'Lisbon' } };
+      const perceptualHash = { pHash: '0f0f0f0f0f0f0f0f' };
+      mockDependencies.autoOrganizeService.processNewFile.mockResolvedValue({
+        destination: '/photos/beach.jpg',
+        confidence: 0.9,
+        category: 'Photos',
+        analysis: { photo, perceptualHash, language: 'pt' }
+      });
+
+      await watcher._attemptAutoOrganize('/downloads/beach.jpg');
+
+      expect(analysisUtils.recordAnalysisResult).toHaveBeenCalledWith(
+        expect.objectContaining({
+          result: expect.objectContaining({ photo, perceptualHash, language: 'pt' })
+        })
+      );
+    });
+
     test('notifies on low confidence', async () => {
       mockDependencies.autoOrganizeService.processNewFile.mockResolvedValue({
         destination: null,
@@ -511,6 +511,34 @@ describe('DownloadWatcher', () => {
 
       expect(folder).toBeNull();
     });
+
+    test('prefers a matching smart folder rule over AI hints', () => {
+      const ruleFolders = [
+        ...folders,
+        {
+          id: '3',
+          name: 'Invoices',
+          path: '/finance/invoices',
+          rules: [
+            {
+              id: 'r1',
+              name: 'Invoice numbers',
+              conditions: [{ field: 'fileName', operator: 'matches', value: '^INV-\\d+' }]
+            }
+          ]
+        }
+      ];
+      const result = { smartFolder: { id: '1' }, category: 'Documents' };
+
+      const folder = watcher.resolveDestinationFolder(result, ruleFolders, {
+        path: '/downloads/INV-0042.pdf'
+      });
+
+      expect(folder.name).toBe('Invoices');
+      expect(
+        watcher.resolveDestinationFolder(result, ruleFolders, { path: '/downloads/notes.pdf' }).name
+      ).toBe('Documents');
+    });
   });
 
   describe('_moveFile', () => {
@@ -0,0 +1,192 @@
+/**
+ * Tests for EntityIndexService: alias merging, entity types, entity pages and
+ * entities for graph file nodes.
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const EntityIndexService = require('../src/main/services/EntityIndexService');
+const {
+  normalizeEntityKey,
+  classifyEntityName,
+  pickEntityType
+} = require('../src/main/utils/entityNames');
+
+function makeHistory(entries) {
+  const analysisHistory = {
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    entries: Object.fromEntries(entries.map((entry, i) => [`e${i}`, entry]))
+  };
+  return {
+    analysisHistory,
+    initialize: jest.fn().mockResolvedValue()
+  };
+}
+
+const doc = (filePath, analysis, extra = {}) => ({
+  originalPath: filePath,
+  fileName: filePath.split('/').pop(),
+  timestamp: '2026-01-01T00:00:00.000Z',
+  analysis,
+  ...extra
+});
+
+describe('entityNames', () => {
+  test('merges spelling variants into one key', () => {
+    expect(normalizeEntityKey('Acme')).toBe('acme');
+    expect(normalizeEntityKey('ACME Inc.')).toBe('acme');
+    expect(normalizeEntityKey('Acme Corporation')).toBe('acme');
+    expect(normalizeEntityKey('The Acme Co.')).toBe('acme');
+    expect(normalizeEntityKey('Müller GmbH')).toBe('muller');
+    expect(normalizeEntityKey('Dr. Jane Smith')).toBe('jane smith');
+  });
+
+  test('ignores placeholders and non-names', () => {
+    expect(normalizeEntityKey('person_or_org_1')).toBe('');
+    expect(normalizeEntityKey('Unknown')).toBe('');
+    expect(normalizeEntityKey('2024')).toBe('');
+    expect(normalizeEntityKey(null)).toBe('');
+  });
+
+  test('classifies entity types from wording', () => {
+    expect(classifyEntityName('Acme Inc.')).toBe('org');
+    expect(classifyEntityName('First National Bank')).toBe('org');
+    expect(classifyEntityName('IRS')).toBe('org');
+    expect(classifyEntityName('Jane Smith')).toBe('person');
+    expect(classifyEntityName('Lisbon')).toBe('place');
+    expect(classifyEntityName('iPhone 15')).toBe('product');
+    expect(classifyEntityName('acme')).toBe('other');
+    expect(classifyEntityName('acme', { isIssuer: true })).toBe('org');
+    expect(pickEntityType(['other', 'org', 'person', 'org'])).toBe('org');
+    expect(pickEntityType(['other'])).toBe('other');
+  });
+});
+
+describe('EntityIndexService', () => {
+  const entries = [
+    doc('/docs/invoice-jan.pdf', {
+      entity: 'ACME Inc.',
+      keyEntities: ['Jane Smith', 'Lisbon'],
+      project: 'Website Redesign',
+      documentDate: '2025-01-15',
+      category: 'Finance'
+    }),
+    doc('/docs/contract.pdf', {
+      entity: 'Acme Corporation',
+      keyEntities: ['Jane Smith', 'person_or_org_1'],
+      project: 'Website Redesign',
+      documentDate: '2024-11-02',
+      category: 'Legal'
+    }),
+    doc(
+      '/docs/old-name.pdf',
+      { keyEntities: ['Acme Corporation', 'Bob Jones'], documentDate: '2025-03-01' },
+      { organization: { actual: '/sorted/acme-letter.pdf', newName: 'acme-letter.pdf' } }
+    ),
+    doc('/docs/notes.txt', { tags: ['misc'] })
+  ];
+
+  let service;
+  let history;
+
+  beforeEach(() => {
+    history = makeHistory(entries);
+    service = new EntityIndexService({ analysisHistoryService: history });
+  });
+
+  test('lists entities with aliases merged, most-mentioned first', async () => {
+    const { entities, total } = await service.listEntities();
+
+    expect(total).toBe(4);
+    expect(entities[0]).toMatchObject({
+      id: 'entity:acme',
+      name: 'Acme Corporation',
+      aliases: ['ACME Inc.'],
+      type: 'org',
+      typeLabel: 'Organization',
+      docCount: 3,
+      firstDate: '2024-11-02',
+      lastDate: '2025-03-01'
+    });
+    expect(entities.map((e) => e.name)).not.toContain('person_or_org_1');
+  });
+
+  test('filters by query and type', async () => {
+    const byAlias = await service.listEntities({ query: 'acme inc' });
+    expect(byAlias.entities.map((e) => e.id)).toEqual(['entity:acme']);
+
+    const people = await service.listEntities({ type: 'person' });
+    expect(people.entities.map((e) => e.name)).toEqual(['Jane Smith', 'Bob Jones']);
+  });
+
+  test('builds an entity page with documents over time, related entities and projects', async () => {
+    const { success, entity } = await service.getEntity('entity:acme');
+
+    expect(success).toBe(true);
+    expect(entity.documents.map((d) => d.name)).toEqual([
+      'acme-letter.pdf',
+      'invoice-jan.pdf',
+      'contract.pdf'
+    ]);
+    expect(entity.documents[0].path).toBe('/sorted/acme-letter.pdf');
+    expect(entity.relatedEntities[0]).toMatchObject({ name: 'Jane Smith', count: 2 });
+    expect(entity.projects).toEqual([{ name: 'Website Redesign', count: 2 }]);
+
+    // Names resolve to the same entity
+    await expect(service.getEntity('Acme Co')).resolves.toMatchObject({
+      entity: { id: 'entity:acme' }
+    });
+    await expect(service.getEntity('entity:nobody')).resolves.toEqual({
+      success: false,
+      error: 'Entity not found'
+    });
+  });
+
+  test('returns entities linking the given file ids', async () => {
+    const page = await service.getEntity('entity:acme');
+    const fileIds = page.entity.documents.slice(1).map((d) => d.fileId);
+
+    const { entities } = await service.getEntitiesForFiles(fileIds, { minFiles: 2 });
+
+    expect(entities.map((e) => e.name)).toEqual(['Acme Corporation', 'Jane Smith']);
+    expect(entities[0].fileIds).toHaveLength(2);
+    await expect(service.getEntitiesForFiles([])).resolves.toEqual({
+      success: true,
+      entities: []
+    });
+  });
+
+  test('rebuilds only when the analysis history changes', async () => {
+    await service.listEntities();
+    await service.listEntities();
+    expect(history.initialize).toHaveBeenCalledTimes(1);
+
+    history.analysisHistory.entries.e9 = doc('/docs/new.pdf', { entity: 'Globex LLC' });
+    history.analysisHistory.updatedAt = '2026-01-02T00:00:00.000Z';
+
+    const { entities } = await service.listEntities({ query: 'globex' });
+    expect(history.initialize).toHaveBeenCalledTimes(2);
+    expect(entities[0]).toMatchObject({ name: 'Globex LLC', type: 'org' });
+  });
+
+  test('indexes only the newest analysis of a re-analyzed file', async () => {
+    const reanalyzed = new EntityIndexService({
+      analysisHistoryService: makeHistory([
+        doc('/docs/memo.pdf', { entity: 'Initech' }, { timestamp: '2026-02-01T00:00:00.000Z' }),
+        doc('/docs/memo.pdf', { entity: 'Globex LLC' }, { timestamp: '2025-06-01T00:00:00.000Z' })
+      ])
+    });
+
+    const { entities } = await reanalyzed.listEntities();
+
+    expect(entities.map((e) => e.name)).toEqual(['Initech']);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for EntityPanel component
+ * Tests the entity page: header, documents grouped by month, related entities
+ * and projects
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import EntityPanel from '../src/renderer/components/search/EntityPanel';
+
+const mockGetEntity = jest.fn();
+window.electronAPI = {
+  knowledge: {
+    getEntity: mockGetEntity
+  }
+};
+
+const acme = {
+  id: 'entity:acme',
+  name: 'Acme Corporation',
+  type: 'org',
+  typeLabel: 'Organization',
+  aliases: ['ACME Inc.'],
+  docCount: 3,
+  firstDate: '2024-11-02',
+  lastDate: '2025-03-01',
+  documents: [
+    { fileId: 'file:/a', path: '/a/letter.pdf', name: 'letter.pdf', date: '2025-03-01' },
+    { fileId: 'file:/b', path: '/b/invoice.pdf', name: 'invoice.pdf', date: '2025-03-01' },
+    { fileId: 'file:/c', path: '/c/notes.txt', name: 'notes.txt', date: null }
+  ],
+  relatedEntities: [
+    { id: 'entity:jane smith', name: 'Jane Smith', type: 'person', typeLabel: 'Person', count: 2 }
+  ],
+  projects: [{ name: 'Website Redesign', count: 2 }]
+};
+
+describe('EntityPanel', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetEntity.mockResolvedValue({ success: true, entity: acme });
+  });
+
+  test('shows the entity with its documents grouped by month', async () => {
+    const onOpenFile = jest.fn();
+    render(<EntityPanel entityId="entity:acme" onClose={jest.fn()} onOpenFile={onOpenFile} />);
+
+    expect(await screen.findByText('Acme Corporation')).toBeInTheDocument();
+    expect(mockGetEntity).toHaveBeenCalledWith('entity:acme');
+    expect(screen.getByText('Also written as ACME Inc.')).toBeInTheDocument();
+    expect(screen.getByText('Undated')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('invoice.pdf'));
+    expect(onOpenFile).toHaveBeenCalledWith('/b/invoice.pdf');
+  });
+
+  test('navigates to related entities, projects and the graph', async () => {
+    const onSelectEntity = jest.fn();
+    const onSearchProject = jest.fn();
+    const onShowInGraph = jest.fn();
+    render(
+      <EntityPanel
+        entityId="entity:acme"
+        onClose={jest.fn()}
+        onSelectEntity={onSelectEntity}
+        onSearchProject={onSearchProject}
+        onShowInGraph={onShowInGraph}
+      />
+    );
+
+    fireEvent.click(await screen.findByText('Jane Smith'));
+    expect(onSelectEntity).toHaveBeenCalledWith('entity:jane smith');
+
+    fireEvent.click(screen.getByText('Website Redesign (2)'));
+    expect(onSearchProject).toHaveBeenCalledWith('Website Redesign');
+
+    fireEvent.click(screen.getByText('Show in Graph'));
+    expect(onShowInGraph).toHaveBeenCalledWith(acme);
+  });
+
+  test('shows an error when the entity is missing', async () => {
+    mockGetEntity.mockResolvedValue({ success: false, error: 'Entity not found' });
+    render(<EntityPanel entityId="entity:nobody" onClose={jest.fn()} />);
+
+    expect(await screen.findByText('Entity not found')).toBeInTheDocument();
+  });
+});
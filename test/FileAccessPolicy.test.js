@@ -51,3 +51,71 @@ describe('FileAccessPolicy', () => {
     expect(policy.isPathSafe('/tmp/docs/file.txt')).toBe(true);
   });
 });
+
+describe('FileAccessPolicy exclusions and privacy zones', () => {
+  const fs = require('fs').promises;
+  const path = require('path');
+  const root = path.join(path.sep, 'policy-test', 'Projects');
+
+  const createPolicy = (settings) =>
+    new FileAccessPolicy({ settingsService: { load: jest.fn(async () => settings) } });
+
+  // The in-memory filesystem is reset before every test
+  beforeEach(async () => {
+    await fs.writeFile(path.join(root, '.stratoignore'), '*.bak\nscratch/\n');
+    await fs.writeFile(path.join(root, 'client', '.stratoignore'), '!important.bak\n');
+  });
+
+  test('honors .stratoignore files in parent folders', async () => {
+    const policy = createPolicy({});
+
+    await expect(policy.isExcluded(path.join(root, 'a', 'old.bak'))).resolves.toBe(true);
+    await expect(policy.isExcluded(path.join(root, 'scratch', 'notes.txt'))).resolves.toBe(true);
+    await expect(policy.isExcluded(path.join(root, 'a', 'report.pdf'))).resolves.toBe(false);
+  });
+
+  test('deeper .stratoignore files override shallower ones', async () => {
+    const policy = createPolicy({});
+
+    await expect(policy.isExcluded(path.join(root, 'client', 'important.bak'))).resolves.toBe(
+      false
+    );
+    await expect(policy.isExcluded(path.join(root, 'client', 'other.bak'))).resolves.toBe(true);
+  });
+
+  test('applies global exclusion patterns from settings', async () => {
+    const policy = createPolicy({ exclusionPatterns: ['Taxes/'] });
+
+    await expect(policy.isExcluded(path.join(root, 'Taxes', '2023.pdf'))).resolves.toBe(true);
+    await expect(policy.isExcluded(path.join(root, 'Invoices', '2023.pdf'))).resolves.toBe(false);
+  });
+
+  test('detects files inside privacy zones', async () => {
+    const zone = path.join(root, 'Medical');
+    const policy = createPolicy({ privacyZones: [zone] });
+
+    await expect(policy.isPrivate(path.join(zone, 'scan.pdf'))).resolves.toBe(true);
+    await expect(policy.isPrivate(path.join(root, 'Medical-public', 'a.pdf'))).resolves.toBe(false);
+    await expect(policy.getRestriction(path.join(zone, 'scan.pdf'))).resolves.toBe('private');
+    await expect(policy.getRestriction(path.join(zone, 'scan.bak'))).resolves.toBe('excluded');
+  });
+
+  test('filterItems drops excluded items and reports private ones', async () => {
+    const zone = path.join(root, 'Medical');
+    const policy = createPolicy({ privacyZones: [zone] });
+    const items = [
+      { path: path.join(root, 'a.pdf') },
+      { path: path.join(root, 'a.bak') },
+      { path: path.join(zone, 'b.pdf') },
+      {}
+    ];
+
+    const result = await policy.filterItems(items);
+    const withoutPrivate = await policy.filterItems(items, { dropPrivate: true });
+
+    expect(result.items).toEqual([items[0], items[2], items[3]]);
+    expect(result.excluded).toBe(1);
+    expect(result.private).toEqual([items[2]]);
+    expect(withoutPrivate.items).toEqual([items[0], items[3]]);
+  });
+});
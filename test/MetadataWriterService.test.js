@@ -0,0 +1,257 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Tests for MetadataWriterService: writing analysis metadata to the enabled
+ * formats and reversing it through UndoRedoService.
+ */
+
+// Undo restores real backups, so use the real filesystem
+jest.unmock('fs');
+jest.unmock('fs/promises');
+jest.unmock('os');
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn()
+  }
+}));
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const mockRecordOperation = jest.fn();
+jest.mock('../src/shared/fileOperationTracker', () => ({
+  getInstance: () => ({ recordOperation: mockRecordOperation })
+}));
+
+const PDF = [
+  '%PDF-1.4',
+  '1 0 obj',
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  'endobj',
+  '2 0 obj',
+  '<< /Type /Pages /Kids [] /Count 0 >>',
+  'endobj',
+  'xref',
+  '0 3',
+  '0000000000 65535 f ',
+  '0000000009 00000 n ',
+  '0000000058 00000 n ',
+  'trailer',
+  '<< /Size 3 /Root 1 0 R >>',
+  'startxref',
+  '110',
+  '%%EOF',
+  ''
+].join('\n');
+
+describe('MetadataWriterService', () => {
+  let testDir;
+  let settings;
+  let analyses;
+  let undoRedo;
+  let writer;
+
+  const file = (name) => path.join(testDir, name);
+  const read = (name) => fs.readFile(file(name), 'utf8');
+  const exists = (name) =>
+    fs.access(file(name)).then(
+      () => true,
+      () => false
+    );
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `metadata-writer-test-${Date.now()}-${Math.random()}`);
+    await fs.mkdir(testDir, { recursive: true });
+
+    jest.resetModules();
+    require('electron').app.getPath.mockReturnValue(testDir);
+    mockRecordOperation.mockClear();
+
+    settings = { writeMetadataSidecar: true, writeMetadataPdf: true };
+    analyses = {
+      [file('report.pdf')]: {
+        analysis: {
+          tags: ['tax', 'Tax', '2024'],
+          category: 'Finance',
+          summary: 'Annual tax summary',
+          documentDate: '2024-04-15'
+        }
+      }
+    };
+    const UndoRedoService = require('../src/main/services/UndoRedoService');
+    const { MetadataWriterService } = require('../src/main/services/metadataWriter');
+    undoRedo = new UndoRedoService({ saveDebounceMs: 0 });
+    writer = new MetadataWriterService({
+      settingsService: { load: jest.fn(async () => settings) },
+      analysisHistoryService: { getAnalysisByPath: jest.fn(async (p) => analyses[p] || null) },
+      undoRedoService: undoRedo
+    });
+
+    await fs.writeFile(file('report.pdf'), PDF, 'latin1');
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('writes every enabled format and records one undoable action', async () => {
+    const result = await writer.writeMetadata([file('report.pdf')]);
+
+    expect(result).toMatchObject({ success: true, written: 1, skipped: 0, errors: [] });
+    const sidecar = await read('report.pdf.xmp');
+    expect(sidecar).toContain('<rdf:li>tax</rdf:li>');
+    expect(sidecar).not.toContain('<rdf:li>Tax</rdf:li>');
+    expect(await read('report.pdf')).toContain('/Keywords (tax, 2024)');
+    expect(mockRecordOperation).toHaveBeenCalledWith(
+      file('report.pdf'),
+      'metadata',
+      'metadataWriter'
+    );
+
+    const action = undoRedo.actions[undoRedo.currentIndex];
+    expect(action.id).toBe(result.actionId);
+    expect(action.type).toBe('METADATA_WRITE');
+    expect(action.description).toBe('Write metadata to 1 files');
+  });
+
+  test('undo restores the original file and removes created sidecars; redo writes again', async () => {
+    await writer.writeMetadata([file('report.pdf')]);
+
+    await undoRedo.undo();
+
+    expect(await read('report.pdf')).toBe(PDF);
+    await expect(exists('report.pdf.xmp')).resolves.toBe(false);
+
+    await undoRedo.redo();
+
+    expect(await read('report.pdf')).toContain('/Category (Finance)');
+    await expect(exists('report.pdf.xmp')).resolves.toBe(true);
+    await undoRedo.undo();
+    expect(await read('report.pdf')).toBe(PDF);
+  });
+
+  test('rewrites files in place, keeping permissions and hard links through undo', async () => {
+    settings = { writeMetadataPdf: true };
+    await fs.chmod(file('report.pdf'), 0o640);
+    await fs.link(file('report.pdf'), file('linked.pdf'));
+    const { ino } = await fs.stat(file('report.pdf'));
+
+    await writer.writeMetadata([file('report.pdf')]);
+
+    const written = await fs.stat(file('report.pdf'));
+    expect(written.ino).toBe(ino);
+    expect(written.mode & 0o777).toBe(0o640);
+    expect(await read('linked.pdf')).toContain('/Category (Finance)');
+
+    await undoRedo.undo();
+
+    const restored = await fs.stat(file('report.pdf'));
+    expect(restored.ino).toBe(ino);
+    expect(restored.mode & 0o777).toBe(0o640);
+    expect(await read('linked.pdf')).toBe(PDF);
+  });
+
+  test('undo keeps files edited after the write and reports them as conflicts', async () => {
+    await writer.writeMetadata([file('report.pdf')]);
+    const edited = `${await read('report.pdf')}% edited later\n`;
+    await fs.writeFile(file('report.pdf'), edited, 'latin1');
+
+    const result = await undoRedo.undo();
+
+    expect(await read('report.pdf')).toBe(edited);
+    await expect(exists('report.pdf.xmp')).resolves.toBe(false);
+    expect(result.failCount).toBe(1);
+    expect(result.results).toContainEqual(
+      expect.objectContaining({
+        targetPath: file('report.pdf'),
+        success: false,
+        skipped: true,
+        conflicts: [expect.objectContaining({ type: 'modified' })]
+      })
+    );
+  });
+
+  test('redo leaves files that undo skipped alone and drops their backups', async () => {
+    settings = { writeMetadataPdf: true };
+    await fs.writeFile(file('other.pdf'), PDF, 'latin1');
+    analyses[file('other.pdf')] = analyses[file('report.pdf')];
+    await writer.writeMetadata([file('report.pdf'), file('other.pdf')]);
+    const { operations } = undoRedo.actions[undoRedo.currentIndex].data;
+    const reportBackup = operations.find((op) => op.filePath === file('report.pdf')).backupPath;
+    const edited = `${await read('report.pdf')}% edited later\n`;
+    await fs.writeFile(file('report.pdf'), edited, 'latin1');
+
+    await undoRedo.undo();
+
+    expect(await read('other.pdf')).toBe(PDF);
+    await expect(fs.access(reportBackup)).rejects.toMatchObject({ code: 'ENOENT' });
+
+    await undoRedo.redo();
+
+    expect(await read('report.pdf')).toBe(edited);
+    expect(await read('other.pdf')).toContain('/Category (Finance)');
+    const { files } = undoRedo.actions[undoRedo.currentIndex].data;
+    expect(files.map((f) => f.filePath)).toEqual([file('other.pdf')]);
+  });
+
+  test('merges into an existing sidecar and puts it back on undo', async () => {
+    settings = { writeMetadataSidecar: true };
+    const existing =
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+      '<rdf:Description xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmp:Rating="4"/></rdf:RDF></x:xmpmeta>';
+    await fs.writeFile(file('report.pdf.xmp'), existing);
+
+    await writer.writeMetadata([file('report.pdf')]);
+
+    const merged = await read('report.pdf.xmp');
+    expect(merged).toContain('xmp:Rating="4"');
+    expect(merged).toContain('Annual tax summary');
+
+    await undoRedo.undo();
+    expect(await read('report.pdf.xmp')).toBe(existing);
+  });
+
+  test('skips files without analysis and reports formats that fail', async () => {
+    await fs.writeFile(file('broken.pdf'), 'not really a pdf');
+    analyses[file('broken.pdf')] = { analysis: { tags: ['x'] } };
+    settings = { writeMetadataPdf: true };
+
+    const result = await writer.writeMetadata([file('unknown.pdf'), file('broken.pdf')]);
+
+    expect(result.success).toBe(false);
+    expect(result.skipped).toBe(1);
+    expect(result.errors).toEqual([
+      { filePath: file('broken.pdf'), target: 'pdf', error: 'Not a PDF file' }
+    ]);
+    expect(await read('broken.pdf')).toBe('not really a pdf');
+    expect(undoRedo.actions).toHaveLength(0);
+  });
+
+  test('does nothing when no format is enabled', async () => {
+    settings = {};
+
+    const result = await writer.writeMetadata([file('report.pdf')]);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0].error).toMatch(/No metadata formats are enabled/);
+    expect(await read('report.pdf')).toBe(PDF);
+  });
+});
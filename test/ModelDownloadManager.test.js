@@ -123,6 +123,27 @@ describe('ModelDownloadManager', () => {
     expect(https.get).not.toHaveBeenCalled();
   });
 
+  test('downloadModel requires checksum length to match the declared algorithm', async () => {
+    const manager = new ModelDownloadManager();
+    MODEL_CATALOG['alpha.gguf'] = {
+      ...BASE_MODEL,
+      checksumAlgorithm: 'sha1'
+    };
+
+    await expect(manager.downloadModel('alpha.gguf')).rejects.toThrow(
+      'Model checksum missing or invalid'
+    );
+    expect(https.get).not.toHaveBeenCalled();
+  });
+
+  test('_isValidChecksum accepts SHA-1 only when declared', () => {
+    const manager = new ModelDownloadManager();
+    const sha1 = '465707469ff3a37a2b9b8d8f89f2f99de7299dac';
+    expect(manager._isValidChecksum(sha1, 'sha1')).toBe(true);
+    expect(manager._isValidChecksum(sha1)).toBe(false);
+    expect(manager._isValidChecksum(BASE_MODEL.checksum)).toBe(true);
+  });
+
   test('getDownloadedModels returns empty on error', async () => {
     mockFs.readdir.mockRejectedValueOnce(new Error('fail'));
     const manager = new ModelDownloadManager();
@@ -356,6 +356,51 @@ describe('NotificationService', () => {
     });
   });
 
+  describe('notifySavedSearchMatches', () => {
+    test('reports the number of new matches', async () => {
+      await service.notifySavedSearchMatches('Invoices', 2, { savedSearchId: 's1' });
+      expect(Notification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          title: 'Saved Search Updated',
+          body: '2 new files match "Invoices"'
+        })
+      );
+    });
+
+    test('skips when notifications disabled', async () => {
+      mockSettingsService.load.mockResolvedValue({ notifications: false });
+      await service.notifySavedSearchMatches('Invoices', 1);
+      expect(Notification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyDeadline', () => {
+    const reminder = {
+      id: 'r1',
+      kind: 'expires',
+      date: '2026-04-01',
+      fileName: 'passport.pdf',
+      filePath: '/docs/passport.pdf',
+      documentType: 'Passport'
+    };
+
+    test('names the document and when the date falls', async () => {
+      await service.notifyDeadline(reminder, 'expires in 7 days', 7);
+      expect(Notification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          title: 'Passport Reminder',
+          body: 'passport.pdf expires in 7 days (2026-04-01)'
+        })
+      );
+    });
+
+    test('skips when notifications disabled', async () => {
+      mockSettingsService.load.mockResolvedValue({ notifications: false });
+      await service.notifyDeadline(reminder, 'expires today', 0);
+      expect(Notification).not.toHaveBeenCalled();
+    });
+  });
+
   describe('invalidateCache', () => {
     test('clears cached settings', async () => {
       await service._getSettings();
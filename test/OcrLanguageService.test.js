@@ -0,0 +1,178 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Tests for OcrLanguageService: listing, preferred languages and
+ * downloading language packs.
+ */
+
+// Packs are written through streams, so use the real filesystem
+jest.unmock('fs');
+jest.unmock('fs/promises');
+jest.unmock('os');
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+let mockModelsPath;
+jest.mock('../src/main/services/modelPathResolver', () => ({
+  ensureResolvedModelsPath: jest.fn(async () => ({ modelsPath: mockModelsPath }))
+}));
+
+jest.mock('https', () => ({ get: jest.fn() }));
+
+// Stand-in pack with its digest registered in place of the real Spanish one
+const mockPack = zlib.gzipSync(Buffer.from('traineddata'));
+const mockPackSha256 = crypto.createHash('sha256').update(mockPack).digest('hex');
+jest.mock('../src/shared/ocrLanguages', () => {
+  const actual = jest.requireActual('../src/shared/ocrLanguages');
+  return {
+    ...actual,
+    OCR_LANGUAGE_SHA256: { ...actual.OCR_LANGUAGE_SHA256, spa: mockPackSha256 }
+  };
+});
+
+const https = require('https');
+const {
+  OcrLanguageService,
+  getLanguageDownloadUrl
+} = require('../src/main/services/OcrLanguageService');
+
+function mockResponse(body, { statusCode = 200, headers = {} } = {}) {
+  https.get.mockImplementationOnce((_url, _options, onResponse) => {
+    const request = new PassThrough();
+    request.setTimeout = jest.fn();
+    const response = new PassThrough();
+    response.statusCode = statusCode;
+    response.headers = { 'content-length': String(body.length), ...headers };
+    setImmediate(() => {
+      onResponse(response);
+      response.end(body);
+    });
+    return request;
+  });
+}
+
+describe('OcrLanguageService', () => {
+  let tmpDir;
+  let settings;
+  let service;
+
+  beforeEach(async () => {
+    https.get.mockReset();
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ocr-lang-'));
+    mockModelsPath = tmpDir;
+    settings = {};
+    service = new OcrLanguageService({ settingsService: { load: async () => settings } });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const installPack = (code) =>
+    fs.promises.writeFile(path.join(tmpDir, 'tessdata', `${code}.traineddata`), 'data');
+
+  test('lists the catalog with install state', async () => {
+    await service.getLanguageDir();
+    await installPack('deu');
+
+    const languages = await service.listLanguages();
+    const byCode = Object.fromEntries(languages.map((language) => [language.code, language]));
+
+    expect(byCode.eng).toMatchObject({ builtin: true, installed: false });
+    expect(byCode.deu).toMatchObject({ name: 'German', iso: 'de', installed: true, sizeBytes: 4 });
+    expect(byCode.fra.installed).toBe(false);
+    expect(byCode.fra.downloadable).toBe(true);
+    expect(byCode.rus.downloadable).toBe(false);
+  });
+
+  test('preferred languages keep only installed packs and English', async () => {
+    await service.getLanguageDir();
+    await installPack('deu');
+    settings.ocrLanguages = ['deu', 'fra', 'eng', 'bogus'];
+
+    await expect(service.getPreferredLanguages()).resolves.toEqual(['deu', 'eng']);
+  });
+
+  test('preferred languages fall back to English', async () => {
+    settings.ocrLanguages = ['fra'];
+
+    await expect(service.getPreferredLanguages()).resolves.toEqual(['eng']);
+  });
+
+  test('downloads, decompresses and installs a pack', async () => {
+    mockResponse(mockPack);
+    const onProgress = jest.fn();
+
+    const result = await service.downloadLanguage('spa', { onProgress });
+
+    expect(https.get.mock.calls[0][0].toString()).toBe(getLanguageDownloadUrl('spa'));
+    expect(result).toMatchObject({ success: true, language: 'spa', sizeBytes: 11 });
+    await expect(fs.promises.readFile(result.path, 'utf8')).resolves.toBe('traineddata');
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ percent: 100 }));
+    expect(service.isDownloading('spa')).toBe(false);
+  });
+
+  test('rejects a corrupted download and leaves nothing behind', async () => {
+    mockResponse(Buffer.from('not gzip data at all'));
+
+    await expect(service.downloadLanguage('ita')).rejects.toThrow(
+      'Downloaded language pack is corrupted'
+    );
+    await expect(fs.promises.readdir(path.join(tmpDir, 'tessdata'))).resolves.toEqual([]);
+  });
+
+  test('rejects a pack whose checksum does not match and leaves nothing behind', async () => {
+    mockResponse(mockPack);
+
+    await expect(service.downloadLanguage('ita')).rejects.toThrow(
+      'Downloaded language pack failed checksum verification'
+    );
+    await expect(fs.promises.readdir(path.join(tmpDir, 'tessdata'))).resolves.toEqual([]);
+  });
+
+  test('refuses languages without a verified checksum', async () => {
+    await expect(service.downloadLanguage('rus')).rejects.toThrow('No verified language pack');
+    expect(https.get).not.toHaveBeenCalled();
+  });
+
+  test('refuses redirects to untrusted hosts', async () => {
+    mockResponse(Buffer.alloc(0), {
+      statusCode: 302,
+      headers: { location: 'https://evil.example.com/ita.traineddata.gz' }
+    });
+
+    await expect(service.downloadLanguage('ita')).rejects.toThrow('untrusted host');
+    expect(https.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects unknown language codes', async () => {
+    await expect(service.downloadLanguage('../eng')).rejects.toThrow('Unknown OCR language');
+    await expect(service.deleteLanguage('xx')).rejects.toThrow('Unknown OCR language');
+  });
+
+  test('deletes an installed pack', async () => {
+    await service.getLanguageDir();
+    await installPack('deu');
+
+    await service.deleteLanguage('deu');
+
+    await expect(service.getInstalledLanguages()).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for OrganizeJournal: write-ahead records for batch moves, replay and
+ * reconciling the journal against what is actually on disk.
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { OrganizeJournal, JOURNAL_OP_STATES } = require('../src/main/services/OrganizeJournal');
+
+describe('OrganizeJournal', () => {
+  let testDir;
+  let journal;
+
+  const file = (name) => path.join(testDir, name);
+  const write = async (name, content = 'data') => {
+    await fs.mkdir(path.dirname(file(name)), { recursive: true });
+    await fs.writeFile(file(name), content);
+  };
+  const exists = (name) =>
+    fs.access(file(name)).then(
+      () => true,
+      () => false
+    );
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `organize-journal-${Date.now()}-${Math.random()}`);
+    await fs.mkdir(testDir, { recursive: true });
+    journal = new OrganizeJournal({ directory: path.join(testDir, 'journal') });
+  });
+
+  test('replays begin, intent, commit and abort records', async () => {
+    await write('in/a.pdf');
+    await journal.begin('b1', [
+      { source: file('in/a.pdf'), destination: file('out/a.pdf') },
+      { source: file('in/b.pdf'), destination: file('out/b.pdf') },
+      { source: file('in/c.pdf'), destination: file('out/c.pdf') }
+    ]);
+    await journal.recordIntent('b1', 0, {
+      source: file('in/a.pdf'),
+      destination: file('out/a.pdf')
+    });
+    await journal.recordCommit('b1', 0, { destination: file('out/a_1.pdf') });
+    await journal.recordIntent('b1', 1, {
+      source: file('in/b.pdf'),
+      destination: file('out/b.pdf')
+    });
+    await journal.recordAbort('b1', 1, 'EACCES');
+    // An abort after a commit does not undo the commit
+    await journal.recordAbort('b1', 0, 'verification failed');
+
+    const batch = await journal.loadBatch('b1');
+
+    expect(batch.batchId).toBe('b1');
+    expect(batch.operations.map((op) => op.status)).toEqual(['committed', 'aborted', 'planned']);
+    expect(batch.operations[0]).toMatchObject({ destination: file('out/a_1.pdf'), size: 4 });
+    expect(batch.operations[1].error).toBe('EACCES');
+  });
+
+  test('ignores a torn final record', async () => {
+    await journal.begin('b1', [{ source: file('a.txt'), destination: file('out/a.txt') }]);
+    await fs.appendFile(journal.getJournalPath('b1'), '{"type":"commit","ind');
+
+    const batch = await journal.loadBatch('b1');
+
+    expect(batch.operations[0].status).toBe('planned');
+  });
+
+  test('inspectBatch reports where each file actually is', async () => {
+    await write('in/pending.txt');
+    await write('out/moved.txt');
+    await write('out/report.txt', 'someone else');
+    await write('out/report_1.txt', 'ours');
+    await journal.begin('b1', [
+      { source: file('in/moved.txt'), destination: file('out/moved.txt') },
+      { source: file('in/pending.txt'), destination: file('out/pending.txt') },
+      { source: file('in/report.txt'), destination: file('out/report.txt') },
+      { source: file('in/gone.txt'), destination: file('out/gone.txt') },
+      { source: file('in/failed.txt'), destination: file('out/failed.txt') }
+    ]);
+    await journal.recordCommit('b1', 0, { destination: file('out/moved.txt') });
+    // Crashed between the collision-renamed move and its commit
+    await write('in/report.txt', 'ours');
+    await journal.recordIntent('b1', 2, {
+      source: file('in/report.txt'),
+      destination: file('out/report.txt')
+    });
+    await fs.unlink(file('in/report.txt'));
+    await journal.recordIntent('b1', 4, {
+      source: file('in/failed.txt'),
+      destination: file('out/failed.txt')
+    });
+    await journal.recordAbort('b1', 4, 'EPERM');
+
+    const inspected = await journal.inspectBatch(await journal.loadBatch('b1'));
+
+    expect(inspected.map((op) => op.state)).toEqual([
+      JOURNAL_OP_STATES.MOVED,
+      JOURNAL_OP_STATES.PENDING,
+      JOURNAL_OP_STATES.MOVED,
+      JOURNAL_OP_STATES.MISSING,
+      JOURNAL_OP_STATES.FAILED
+    ]);
+    expect(inspected[2].actualDestination).toBe(file('out/report_1.txt'));
+  });
+
+  test('a committed move whose file is back at the source is pending', async () => {
+    await write('in/a.txt');
+    await journal.begin('b1', [{ source: file('in/a.txt'), destination: file('out/a.txt') }]);
+    await journal.recordCommit('b1', 0, { destination: file('out/a.txt') });
+
+    const [op] = await journal.inspectBatch(await journal.loadBatch('b1'));
+
+    expect(op.state).toBe(JOURNAL_OP_STATES.PENDING);
+  });
+
+  test('listIncomplete returns journals left behind and complete removes them', async () => {
+    await journal.begin('b1', [{ source: file('a.txt'), destination: file('out/a.txt') }]);
+    await fs.writeFile(journal.getJournalPath('empty'), '');
+
+    const batches = await journal.listIncomplete();
+
+    expect(batches.map((b) => b.batchId)).toEqual(['b1']);
+    // A journal without a begin record had not moved anything and is discarded
+    await expect(exists('journal/empty.wal')).resolves.toBe(false);
+
+    await journal.complete('b1');
+    await expect(journal.listIncomplete()).resolves.toEqual([]);
+  });
+
+  test('listIncomplete is empty when no journal directory exists', async () => {
+    const fresh = new OrganizeJournal({ directory: file('missing') });
+    await expect(fresh.listIncomplete()).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for recovering journaled organize batches at startup: silent finish,
+ * roll forward, roll back and deferring the decision.
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+jest.mock('../src/main/ipc/files/batchOrganizeHandler', () => {
+  const nodeFs = require('fs').promises;
+  return {
+    performFileMove: jest.fn(async (op) => {
+      await nodeFs.rename(op.source, op.destination);
+      return { destination: op.destination };
+    }),
+    recordUndoAndUpdateDatabase: jest.fn().mockResolvedValue(),
+    syncMovedPaths: jest.fn().mockResolvedValue()
+  };
+});
+
+const path = require('path');
+const fs = require('fs').promises;
+const { dialog } = require('electron');
+const {
+  recordUndoAndUpdateDatabase,
+  syncMovedPaths
+} = require('../src/main/ipc/files/batchOrganizeHandler');
+const { getInstance, resetInstance } = require('../src/main/services/OrganizeJournal');
+const { resumeIncompleteBatches } = require('../src/main/services/OrganizeResumeService');
+
+const DIR = '/organize-resume';
+const file = (name) => path.posix.join(DIR, name);
+const exists = (name) =>
+  fs.access(file(name)).then(
+    () => true,
+    () => false
+  );
+
+describe('OrganizeResumeService journal recovery', () => {
+  let journal;
+  let serviceIntegration;
+  let logger;
+
+  // Batch "b1": a.txt moved before the crash, b.txt not yet
+  const interruptBatch = async () => {
+    await fs.mkdir(file('in'), { recursive: true });
+    await fs.mkdir(file('out'), { recursive: true });
+    await fs.writeFile(file('out/a.txt'), 'a');
+    await fs.writeFile(file('in/b.txt'), 'b');
+    await journal.begin('b1', [
+      { source: file('in/a.txt'), destination: file('out/a.txt') },
+      { source: file('in/b.txt'), destination: file('out/b.txt') }
+    ]);
+    await journal.recordCommit('b1', 0, { destination: file('out/a.txt') });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetInstance();
+    journal = getInstance();
+    logger = { info: jest.fn(), warn: jest.fn(), debug: jest.fn(), error: jest.fn() };
+    serviceIntegration = {
+      processingState: {
+        getIncompleteOrganizeBatches: jest
+          .fn()
+          .mockReturnValue([
+            { id: 'b1', operations: [{ source: file('in/b.txt'), destination: file('out/b.txt') }] }
+          ]),
+        markOrganizeOpStarted: jest.fn(),
+        markOrganizeOpDone: jest.fn(),
+        markOrganizeOpError: jest.fn(),
+        completeOrganizeBatch: jest.fn().mockResolvedValue()
+      }
+    };
+  });
+
+  test('rolls forward when chosen and records every moved file', async () => {
+    await interruptBatch();
+    dialog.showMessageBox.mockResolvedValueOnce({ response: 0 });
+
+    await resumeIncompleteBatches(serviceIntegration, logger, () => null);
+
+    expect(dialog.showMessageBox).toHaveBeenCalledWith(
+      expect.objectContaining({ detail: expect.stringContaining('1 of 2 files were moved') })
+    );
+    await expect(exists('out/b.txt')).resolves.toBe(true);
+    expect(recordUndoAndUpdateDatabase).toHaveBeenCalledWith(
+      null,
+      [
+        { success: true, source: file('in/a.txt'), destination: file('out/a.txt') },
+        { success: true, source: file('in/b.txt'), destination: file('out/b.txt') }
+      ],
+      2,
+      'b1',
+      expect.any(Function),
+      logger
+    );
+    expect(serviceIntegration.processingState.completeOrganizeBatch).toHaveBeenCalledWith('b1');
+    // Handled by the journal, so the legacy resume loop leaves it alone
+    expect(serviceIntegration.processingState.markOrganizeOpStarted).not.toHaveBeenCalled();
+    await expect(journal.listIncomplete()).resolves.toEqual([]);
+  });
+
+  test('rolls back when chosen and points the database at the original paths', async () => {
+    await interruptBatch();
+    dialog.showMessageBox.mockResolvedValueOnce({ response: 1 });
+
+    await resumeIncompleteBatches(serviceIntegration, logger, () => null);
+
+    await expect(exists('in/a.txt')).resolves.toBe(true);
+    await expect(exists('out/a.txt')).resolves.toBe(false);
+    await expect(exists('in/b.txt')).resolves.toBe(true);
+    expect(syncMovedPaths).toHaveBeenCalledWith(
+      [{ oldPath: file('out/a.txt'), newPath: file('in/a.txt') }],
+      'b1',
+      logger
+    );
+    expect(recordUndoAndUpdateDatabase).not.toHaveBeenCalled();
+    await expect(journal.listIncomplete()).resolves.toEqual([]);
+  });
+
+  test('keeps the journal when the user decides later', async () => {
+    await interruptBatch();
+    dialog.showMessageBox.mockResolvedValueOnce({ response: 2 });
+
+    await resumeIncompleteBatches(serviceIntegration, logger, () => null);
+
+    await expect(exists('in/b.txt')).resolves.toBe(true);
+    expect(serviceIntegration.processingState.completeOrganizeBatch).not.toHaveBeenCalled();
+    expect(serviceIntegration.processingState.markOrganizeOpStarted).not.toHaveBeenCalled();
+    await expect(journal.listIncomplete()).resolves.toHaveLength(1);
+  });
+
+  test('finishes without asking when every file already moved', async () => {
+    await fs.mkdir(file('out'), { recursive: true });
+    await fs.writeFile(file('out/a.txt'), 'a');
+    await journal.begin('b1', [{ source: file('in/a.txt'), destination: file('out/a.txt') }]);
+    await journal.recordCommit('b1', 0, { destination: file('out/a.txt') });
+
+    await resumeIncompleteBatches(serviceIntegration, logger, () => null);
+
+    expect(dialog.showMessageBox).not.toHaveBeenCalled();
+    expect(recordUndoAndUpdateDatabase).toHaveBeenCalledWith(
+      null,
+      [{ success: true, source: file('in/a.txt'), destination: file('out/a.txt') }],
+      1,
+      'b1',
+      expect.any(Function),
+      logger
+    );
+    await expect(journal.listIncomplete()).resolves.toEqual([]);
+  });
+
+  test('does not overwrite a file that now occupies the original location', async () => {
+    await interruptBatch();
+    await fs.writeFile(file('in/a.txt'), 'new file');
+    dialog.showMessageBox.mockResolvedValueOnce({ response: 1 });
+
+    await resumeIncompleteBatches(serviceIntegration, logger, () => null);
+
+    await expect(fs.readFile(file('in/a.txt'), 'utf8')).resolves.toBe('new file');
+    await expect(exists('out/a.txt')).resolves.toBe(true);
+    expect(syncMovedPaths).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(
+      '[RESUME] Failed to undo journaled move:',
+      expect.objectContaining({ source: file('in/a.txt') })
+    );
+  });
+});
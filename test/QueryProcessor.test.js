@@ -443,6 +443,39 @@ describe('QueryProcessor', () => {
     });
   });
 
+  describe('extractFilters', () => {
+    test('returns structured constraints alongside the legacy year filter', () => {
+      const filters = processor.extractFilters(
+        'invoice 2023 from:amazon type:pdf after:2024-03 size:>5mb folder:Finance tag:tax -draft'
+      );
+
+      expect(filters).toMatchObject({
+        year: '2023',
+        from: ['amazon'],
+        type: ['pdf'],
+        folder: ['Finance'],
+        tag: ['tax'],
+        after: '2024-03-01',
+        size: { min: 5 * 1024 * 1024 + 1, max: null },
+        excludedTerms: ['draft']
+      });
+    });
+
+    test('detects years only in the free text', () => {
+      expect(processor.extractFilters('report after:2024')).not.toHaveProperty('year');
+      expect(processor.extractFilters('report 2024')).toEqual({ year: '2024' });
+      expect(processor.extractFilters('')).toEqual({});
+    });
+
+    test('parseQuery separates free text from operators', () => {
+      const parsed = processor.parseQuery('"net 30" invoice category:Finance');
+
+      expect(parsed.text).toBe('invoice net 30');
+      expect(parsed.phrases).toEqual(['net 30']);
+      expect(parsed.filters.category).toEqual(['Finance']);
+    });
+  });
+
   describe('extendVocabulary', () => {
     let mockAnalysisHistory;
 
@@ -0,0 +1,180 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for ReminderService: reminders from analyzed key dates, lead-time
+ * notifications, persistence and following FilePathCoordinator path changes.
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { EventEmitter } = require('events');
+const { ReminderService } = require('../src/main/services/ReminderService');
+const cacheInvalidation = require('../src/shared/cacheInvalidation');
+
+describe('ReminderService', () => {
+  let testDir;
+  let filePath;
+  let notificationService;
+  let coordinator;
+  let now;
+  let service;
+
+  const createService = () =>
+    new ReminderService({
+      notificationService,
+      filePathCoordinator: coordinator,
+      filePath,
+      checkIntervalMs: 0,
+      now: () => now
+    });
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `reminder-test-${Date.now()}-${Math.random()}`);
+    await fs.mkdir(testDir, { recursive: true });
+    filePath = path.join(testDir, 'reminders.json');
+    cacheInvalidation.resetInstance();
+
+    notificationService = { notifyDeadline: jest.fn().mockResolvedValue() };
+    coordinator = new EventEmitter();
+    now = new Date(2026, 2, 1, 9, 0);
+    service = createService();
+    await service.initialize();
+  });
+
+  afterEach(async () => {
+    await service.shutdown();
+    cacheInvalidation.resetInstance();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('creates reminders for future key dates and skips past ones', async () => {
+    await service.syncFromAnalysis('/docs/contract.pdf', {
+      documentType: 'Contract',
+      keyDates: { effective: '2025-01-01', renewal: '2026-06-30', expires: '2026-12-31' }
+    });
+
+    const reminders = await service.list();
+    expect(reminders.map((r) => [r.kind, r.date, r.daysLeft])).toEqual([
+      ['renewal', '2026-06-30', 121],
+      ['expires', '2026-12-31', 305]
+    ]);
+    expect(reminders[0]).toMatchObject({
+      fileName: 'contract.pdf',
+      documentType: 'Contract',
+      description: 'must be renewed in 121 days'
+    });
+    expect(notificationService.notifyDeadline).not.toHaveBeenCalled();
+  });
+
+  test('notifies once per lead window and only for the most urgent one', async () => {
+    await service.syncFromAnalysis('/docs/bill.pdf', { keyDates: { due: '2026-03-04' } });
+
+    expect(notificationService.notifyDeadline).toHaveBeenCalledTimes(1);
+    expect(notificationService.notifyDeadline).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: 'due', fileName: 'bill.pdf' }),
+      'due in 3 days',
+      3
+    );
+
+    await service.checkDueReminders();
+    expect(notificationService.notifyDeadline).toHaveBeenCalledTimes(1);
+
+    // The app was closed through the 1-day window; only the due-day alert fires
+    now = new Date(2026, 2, 4, 8, 0);
+    await service.checkDueReminders();
+    expect(notificationService.notifyDeadline).toHaveBeenCalledTimes(2);
+    expect(notificationService.notifyDeadline).toHaveBeenLastCalledWith(
+      expect.any(Object),
+      'due today',
+      0
+    );
+    expect(service.getUpcoming()).toHaveLength(1);
+  });
+
+  test('picks up analysis-complete events and survives a restart', async () => {
+    cacheInvalidation.getInstance().notifyAnalysisComplete('/docs/passport.pdf', {
+      documentType: 'Passport',
+      keyDates: { expires: '2026-03-20' }
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    await service.checkDueReminders();
+
+    expect(notificationService.notifyDeadline).toHaveBeenCalledWith(
+      expect.objectContaining({ kind: 'expires', documentType: 'Passport' }),
+      'expires in 19 days',
+      19
+    );
+
+    await service.shutdown();
+    service = createService();
+    const [reminder] = await service.list();
+    expect(reminder).toMatchObject({ filePath: '/docs/passport.pdf', notifiedLeadDays: 30 });
+  });
+
+  test('keeps dismissed state when the file is analyzed again', async () => {
+    await service.syncFromAnalysis('/docs/warranty.pdf', { keyDates: { expires: '2027-01-15' } });
+    const [reminder] = await service.list();
+
+    await service.update(reminder.id, { dismissed: true });
+    await service.syncFromAnalysis('/docs/warranty.pdf', { keyDates: { expires: '2027-01-15' } });
+
+    expect(await service.list()).toEqual([]);
+    expect(await service.list({ includeDismissed: true })).toEqual([
+      expect.objectContaining({ id: reminder.id, dismissed: true })
+    ]);
+
+    // A corrected date replaces the old reminder
+    await service.syncFromAnalysis('/docs/warranty.pdf', { keyDates: { expires: '2027-02-15' } });
+    const reminders = await service.list({ includeDismissed: true });
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0]).toMatchObject({ date: '2027-02-15', dismissed: false });
+  });
+
+  test('follows moves, renames and deletions from FilePathCoordinator', async () => {
+    await service.syncFromAnalysis('/inbox/bill.pdf', { keyDates: { due: '2026-05-01' } });
+    await service.syncFromAnalysis('/inbox/lease.pdf', { keyDates: { renewal: '2026-09-01' } });
+
+    coordinator.emit('path-changed', {
+      type: 'move',
+      oldPath: '/inbox/bill.pdf',
+      newPath: '/Finance/2026-05 Power bill.pdf'
+    });
+    coordinator.emit('file-deleted', { path: '/inbox/lease.pdf' });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const reminders = await service.list();
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0]).toMatchObject({
+      filePath: '/Finance/2026-05 Power bill.pdf',
+      fileName: '2026-05 Power bill.pdf'
+    });
+
+    coordinator.emit('paths-changed', {
+      type: 'move',
+      changes: [{ oldPath: '/Finance/2026-05 Power bill.pdf', newPath: '/Archive/bill.pdf' }]
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect((await service.list())[0].filePath).toBe('/Archive/bill.pdf');
+  });
+
+  test('drops reminders long past their date', async () => {
+    await service.syncFromAnalysis('/docs/bill.pdf', { keyDates: { due: '2026-03-10' } });
+
+    now = new Date(2026, 3, 15);
+    await service.checkDueReminders();
+
+    expect(await service.list({ includeDismissed: true })).toEqual([]);
+  });
+});
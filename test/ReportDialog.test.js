@@ -0,0 +1,93 @@
+/**
+ * Tests for ReportDialog component
+ * Tests choosing a folder and format, writing the report and opening the result
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ReportDialog from '../src/renderer/components/search/ReportDialog';
+
+const mockWriteReport = jest.fn();
+const mockSelectDirectory = jest.fn();
+const mockOpen = jest.fn();
+const mockReveal = jest.fn();
+window.electronAPI = {
+  chat: { writeReport: mockWriteReport },
+  files: { selectDirectory: mockSelectDirectory, open: mockOpen, reveal: mockReveal }
+};
+
+const scope = {
+  type: 'cluster',
+  clusterId: 'cluster:3',
+  label: 'Hosting',
+  items: [
+    { path: '/docs/acme-2023.pdf', name: 'acme-2023.pdf' },
+    { path: '/docs/acme-2024.pdf', name: 'acme-2024.pdf' }
+  ]
+};
+
+describe('ReportDialog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSelectDirectory.mockResolvedValue({ success: true, path: '/reports' });
+    mockOpen.mockResolvedValue({ success: true });
+    mockReveal.mockResolvedValue({ success: true });
+  });
+
+  test('writes the report in the chosen format and offers to open it', async () => {
+    mockWriteReport.mockResolvedValue({
+      success: true,
+      path: '/reports/Hosting costs.docx',
+      name: 'Hosting costs.docx',
+      sourceCount: 2,
+      indexed: true
+    });
+    render(<ReportDialog isOpen onClose={jest.fn()} scope={scope} />);
+
+    expect(screen.getByText('Cluster "Hosting" (2 documents)')).toBeInTheDocument();
+    const writeButton = screen.getByRole('button', { name: /Write Report/ });
+    expect(writeButton).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Browse' }));
+    await waitFor(() => expect(writeButton).not.toBeDisabled());
+    fireEvent.click(screen.getByRole('button', { name: 'Word' }));
+    expect(screen.getByRole('button', { name: 'Word' })).toHaveAttribute('aria-pressed', 'true');
+    fireEvent.change(screen.getByLabelText('Focus'), { target: { value: ' cost trend ' } });
+    fireEvent.click(writeButton);
+
+    expect(await screen.findByText('Hosting costs.docx')).toBeInTheDocument();
+    expect(mockWriteReport).toHaveBeenCalledWith({
+      scope,
+      outputDir: '/reports',
+      format: 'docx',
+      title: undefined,
+      focus: 'cost trend'
+    });
+    expect(screen.getByText(/with 2 cited sources/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Open' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Show in Folder' }));
+    await waitFor(() => expect(mockReveal).toHaveBeenCalledWith('/reports/Hosting costs.docx'));
+    expect(mockOpen).toHaveBeenCalledWith('/reports/Hosting costs.docx');
+  });
+
+  test('shows why the report could not be written', async () => {
+    mockWriteReport.mockResolvedValue({
+      success: false,
+      error: 'None of the documents could be used for a report'
+    });
+    render(<ReportDialog isOpen onClose={jest.fn()} scope={scope} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Browse' }));
+    await waitFor(() =>
+      expect(screen.getByRole('button', { name: /Write Report/ })).not.toBeDisabled()
+    );
+    fireEvent.click(screen.getByRole('button', { name: /Write Report/ }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'None of the documents could be used for a report'
+    );
+    expect(screen.getByLabelText('Title')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for ReportService: reports over a selection, cluster or search result
+ * set, saved as Markdown, HTML or Word with citations linking to the source
+ * files, then queued for analysis.
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+jest.mock('../src/main/services/FileAccessPolicy', () => ({
+  getInstance: () => ({
+    filterItems: jest.fn(async (items) => ({
+      items: items.filter((item) => !item.path.includes('/private/')),
+      excluded: 0,
+      private: []
+    }))
+  })
+}));
+
+const fs = require('fs').promises;
+const { vol } = require('memfs');
+const AdmZip = require('adm-zip');
+const { ReportService } = require('../src/main/services/reports');
+
+const history = {
+  '/docs/acme-2023.pdf': {
+    analysis: {
+      summary: 'Acme invoice for 2023 hosting',
+      documentDate: '2023-03-01',
+      entity: 'Acme',
+      tags: ['hosting']
+    }
+  },
+  '/docs/acme-2024.pdf': {
+    analysis: {
+      summary: 'Acme invoice for 2024 hosting',
+      documentDate: '2024-03-01',
+      entity: 'Acme',
+      tags: ['hosting']
+    }
+  }
+};
+
+const draft = {
+  title: 'Hosting costs',
+  summary: { text: 'Hosting costs rose [doc-2].', citations: ['doc-1', 'doc-2'] },
+  sections: [
+    {
+      heading: 'Costs by year',
+      paragraphs: [
+        { text: 'Acme billed 100 in 2023 [doc-1] and 150 in 2024 [doc-2].', citations: [] },
+        { text: 'Unsupported claim [doc-7].', citations: ['doc-7'] }
+      ]
+    }
+  ],
+  comparison: [
+    {
+      topic: 'Amount',
+      text: '2023 was 100 [doc-1]. 2024 was 150 [doc-2].',
+      citations: ['doc-1', 'doc-2']
+    }
+  ]
+};
+
+function makeService({ reply = draft, members = null } = {}) {
+  const analyzeText = jest.fn().mockResolvedValue({
+    success: true,
+    response: JSON.stringify(reply)
+  });
+  const analyzeFile = jest.fn().mockResolvedValue({ queued: true });
+  const clusteringService = {
+    getClusterMembers: jest.fn().mockResolvedValue(members || [])
+  };
+  const service = new ReportService({
+    llamaService: { analyzeText },
+    analysisHistoryService: {
+      getAnalysisByPath: jest.fn(async (filePath) => history[filePath] || null)
+    },
+    clusteringService,
+    analyzeFile
+  });
+  return { service, analyzeText, analyzeFile, clusteringService };
+}
+
+const selection = {
+  type: 'selection',
+  items: [
+    { path: '/docs/acme-2023.pdf', name: 'acme-2023.pdf' },
+    { path: '/docs/acme-2024.pdf', name: 'acme-2024.pdf' },
+    { path: '/docs/private/diary.txt', name: 'diary.txt' }
+  ]
+};
+
+describe('ReportService', () => {
+  beforeEach(() => {
+    vol.reset();
+    vol.mkdirSync('/reports', { recursive: true });
+  });
+
+  test('writes a Markdown report with sections, comparison, contradictions and sources', async () => {
+    const { service, analyzeText, analyzeFile } = makeService();
+
+    const result = await service.writeReport({
+      scope: selection,
+      outputDir: '/reports',
+      focus: 'cost trend'
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      path: '/reports/Hosting costs.md',
+      sourceCount: 2,
+      indexed: true
+    });
+    expect(analyzeFile).toHaveBeenCalledWith('/reports/Hosting costs.md');
+    // Privacy-zone files never reach the model
+    expect(analyzeText.mock.calls[0][0]).not.toContain('diary.txt');
+    expect(analyzeText.mock.calls[0][0]).toContain('Focus: cost trend');
+
+    const markdown = await fs.readFile(result.path, 'utf8');
+    expect(markdown).toContain('# Hosting costs');
+    expect(markdown).toContain('## Costs by year');
+    expect(markdown).toContain(
+      'Acme billed 100 in 2023 [[1]](<file:///docs/acme-2023.pdf>) and 150 in 2024 [[2]](<file:///docs/acme-2024.pdf>).'
+    );
+    // Citations the text does not mark are appended; unknown sources are dropped
+    expect(markdown).toContain(
+      'Hosting costs rose [[2]](<file:///docs/acme-2024.pdf>). [[1]](<file:///docs/acme-2023.pdf>)'
+    );
+    expect(markdown).toContain('Unsupported claim.');
+    expect(markdown).toContain('| Topic | acme-2023.pdf | acme-2024.pdf |');
+    expect(markdown).toContain('## Possible contradictions');
+    expect(markdown).toContain('Different dates on same topic: hosting, acme');
+    expect(markdown).toContain('1. [acme-2023.pdf](<file:///docs/acme-2023.pdf>) (2023-03-01');
+  });
+
+  test('never overwrites an existing report', async () => {
+    vol.writeFileSync('/reports/Quarterly.html', 'old');
+    const { service } = makeService();
+
+    const result = await service.writeReport({
+      scope: selection,
+      outputDir: '/reports',
+      format: 'html',
+      title: 'Quarterly'
+    });
+
+    expect(result.path).toBe('/reports/Quarterly (2).html');
+    expect(vol.readFileSync('/reports/Quarterly.html', 'utf8')).toBe('old');
+    const html = vol.readFileSync(result.path, 'utf8');
+    expect(html).toContain('<h1>Quarterly</h1>');
+    expect(html).toContain('<a class="cite" href="file:///docs/acme-2023.pdf"');
+  });
+
+  test('writes a Word package with hyperlinks to the sources', async () => {
+    const { service } = makeService();
+
+    const result = await service.writeReport({
+      scope: selection,
+      outputDir: '/reports',
+      format: 'docx'
+    });
+
+    const zip = new AdmZip(vol.readFileSync(result.path));
+    expect(zip.getEntry('word/document.xml')).toBeTruthy();
+    const rels = zip.readAsText('word/_rels/document.xml.rels');
+    expect(rels).toContain('Target="file:///docs/acme-2024.pdf" TargetMode="External"');
+    const document = zip.readAsText('word/document.xml');
+    expect(document).toContain('<w:t xml:space="preserve">Costs by year</w:t>');
+    expect(document).toContain('<w:tbl>');
+  });
+
+  test('resolves cluster members through the clustering service', async () => {
+    const { service, clusteringService } = makeService({
+      members: [
+        { id: 'a', metadata: { path: '/docs/acme-2023.pdf', name: 'acme-2023.pdf' } },
+        { id: 'b', metadata: { path: '/docs/acme-2024.pdf', name: 'acme-2024.pdf' } }
+      ]
+    });
+
+    const result = await service.writeReport({
+      scope: { type: 'cluster', clusterId: 3, label: 'Hosting', items: [] },
+      outputDir: '/reports'
+    });
+
+    expect(clusteringService.getClusterMembers).toHaveBeenCalledWith(3);
+    expect(result.sourceCount).toBe(2);
+    expect(vol.readFileSync(result.path, 'utf8')).toMatch(
+      /Generated \d{4}-\d{2}-\d{2} from the "Hosting" cluster \(2 sources\)/
+    );
+  });
+
+  test('reports why nothing was written', async () => {
+    const { service, analyzeText, analyzeFile } = makeService({ reply: { sections: [] } });
+
+    await expect(
+      service.writeReport({ scope: selection, outputDir: '/missing' })
+    ).resolves.toMatchObject({ success: false, errorCode: 'INVALID_FOLDER' });
+    await expect(
+      service.writeReport({
+        scope: { type: 'selection', items: [{ path: '/docs/private/diary.txt' }] },
+        outputDir: '/reports'
+      })
+    ).resolves.toMatchObject({ success: false, errorCode: 'NO_SOURCES' });
+    await expect(
+      service.writeReport({ scope: selection, outputDir: '/reports' })
+    ).resolves.toMatchObject({ success: false, errorCode: 'DRAFT_FAILED' });
+
+    expect(analyzeText).toHaveBeenCalledTimes(1);
+    expect(analyzeFile).not.toHaveBeenCalled();
+    expect(vol.readdirSync('/reports')).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for the deep-mode research display: the research trace and per-claim
+ * citation badges in CitationRenderer
+ */
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ResearchTrace from '../src/renderer/components/search/ResearchTrace';
+import CitationRenderer from '../src/renderer/components/search/CitationRenderer';
+
+jest.mock('react-redux', () => ({
+  useSelector: () => false
+}));
+
+describe('ResearchTrace', () => {
+  test('lists the searches, link hops and why research stopped', () => {
+    render(
+      <ResearchTrace
+        steps={[
+          { type: 'plan', queries: ['vendor costs', 'acme invoices'] },
+          { type: 'search', query: 'vendor costs', found: 3, added: 3 },
+          { type: 'search', query: 'acme invoices', found: 1, added: 0 },
+          { type: 'links', seeds: 3, candidates: 5, added: 2 },
+          { type: 'stop', reason: 'covered' }
+        ]}
+      />
+    );
+
+    expect(screen.getByText('Research trace (2 searches)')).toBeInTheDocument();
+    expect(screen.getByText('Planned: "vendor costs", "acme invoices"')).toBeInTheDocument();
+    expect(screen.getByText('Searched "acme invoices": 1 source, 0 new')).toBeInTheDocument();
+    expect(
+      screen.getByText('Followed links from 3 sources: 5 related documents, 2 relevant')
+    ).toBeInTheDocument();
+    expect(screen.getByText('Stopped: the evidence covers the question')).toBeInTheDocument();
+  });
+
+  test('renders nothing without steps', () => {
+    const { container } = render(<ResearchTrace steps={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
+
+describe('CitationRenderer per-claim citations', () => {
+  const sources = [
+    { id: 'doc-1', name: 'invoice.pdf', path: '/a/invoice.pdf' },
+    { id: 'doc-2', name: 'contract.pdf', path: '/a/contract.pdf' }
+  ];
+
+  test('adds badges for cited sources the text does not mark inline', () => {
+    render(
+      <CitationRenderer
+        text="Costs rose in March [doc-1]."
+        sources={sources}
+        citations={['doc-1', 'doc-2', 'doc-9']}
+        onOpenSource={jest.fn()}
+      />
+    );
+
+    expect(screen.getAllByLabelText('Citation 1: invoice.pdf')).toHaveLength(1);
+    expect(screen.getByLabelText('Citation 2: contract.pdf')).toBeInTheDocument();
+    // Unknown ids are not rendered
+    expect(screen.queryByLabelText(/Citation 9/)).not.toBeInTheDocument();
+  });
+});
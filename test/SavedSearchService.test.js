@@ -0,0 +1,200 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for SavedSearchService: persistence, run bookkeeping and
+ * background new-match detection.
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { BrowserWindow } = require('electron');
+const { SavedSearchService } = require('../src/main/services/SavedSearchService');
+const cacheInvalidation = require('../src/shared/cacheInvalidation');
+const { IPC_EVENTS } = require('../src/shared/constants');
+
+const result = (id) => ({ id, score: 0.9, metadata: { path: `/docs/${id}` } });
+
+describe('SavedSearchService', () => {
+  let testDir;
+  let filePath;
+  let searchService;
+  let notificationService;
+  let service;
+
+  const createService = () =>
+    new SavedSearchService({ searchService, notificationService, filePath, checkDelayMs: 10 });
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `saved-search-test-${Date.now()}-${Math.random()}`);
+    await fs.mkdir(testDir, { recursive: true });
+    filePath = path.join(testDir, 'saved-searches.json');
+    cacheInvalidation.resetInstance();
+
+    searchService = {
+      hybridSearch: jest.fn().mockResolvedValue({ success: true, results: [result('a')] }),
+      invalidateIndex: jest.fn()
+    };
+    notificationService = { notifySavedSearchMatches: jest.fn().mockResolvedValue() };
+    service = createService();
+  });
+
+  afterEach(async () => {
+    await service.shutdown();
+    cacheInvalidation.resetInstance();
+    await fs.rm(testDir, { recursive: true, force: true });
+  });
+
+  test('saves, lists and reloads searches from disk', async () => {
+    const saved = await service.save({
+      name: 'Amazon invoices',
+      query: 'invoice from:amazon type:pdf',
+      options: { topK: 20, rerank: false, bogus: true },
+      notify: true
+    });
+
+    expect(saved.success).toBe(true);
+    expect(saved.search).toMatchObject({
+      name: 'Amazon invoices',
+      notify: true,
+      matchCount: 1,
+      newMatchCount: 0,
+      options: expect.objectContaining({ topK: 20, rerank: false, mode: 'hybrid' }),
+      filters: expect.objectContaining({ from: ['amazon'], type: ['pdf'] })
+    });
+    expect(saved.search.options).not.toHaveProperty('bogus');
+    expect(saved.search).not.toHaveProperty('knownIds');
+
+    const reloaded = createService();
+    const searches = await reloaded.list();
+    await reloaded.shutdown();
+    expect(searches).toHaveLength(1);
+    expect(searches[0].id).toBe(saved.search.id);
+  });
+
+  test('rejects duplicate names and invalid input', async () => {
+    await service.save({ name: 'Taxes', query: 'tag:tax' });
+
+    await expect(service.save({ name: 'taxes', query: 'receipts' })).resolves.toMatchObject({
+      success: false
+    });
+    await expect(service.save({ name: '', query: 'receipts' })).resolves.toMatchObject({
+      success: false
+    });
+    await expect(service.save({ name: 'Short', query: 'x' })).resolves.toMatchObject({
+      success: false
+    });
+    await expect(service.save({ id: 'missing', name: 'X', query: 'xy' })).resolves.toMatchObject({
+      success: false,
+      error: 'Saved search not found'
+    });
+  });
+
+  test('run passes stored options and clears new matches', async () => {
+    const { search } = await service.save({
+      name: 'Recent',
+      query: 'report after:2024',
+      options: { topK: 10, minScore: 0.2 }
+    });
+    searchService.hybridSearch.mockResolvedValueOnce({
+      success: true,
+      results: [result('a'), result('b')]
+    });
+    await service.checkForNewMatches();
+
+    const response = await service.run(search.id);
+
+    expect(searchService.hybridSearch).toHaveBeenLastCalledWith(
+      'report after:2024',
+      expect.objectContaining({ topK: 10, minScore: 0.2, rerank: true })
+    );
+    expect(response.success).toBe(true);
+    expect(response.newMatchIds).toEqual(['b']);
+    expect(response.savedSearch.newMatchCount).toBe(0);
+    expect(response.savedSearch.lastRunAt).toEqual(expect.any(String));
+  });
+
+  test('checkForNewMatches records new results, notifies and broadcasts', async () => {
+    const send = jest.fn();
+    BrowserWindow.getAllWindows.mockReturnValueOnce([
+      { isDestroyed: () => false, webContents: { send, isDestroyed: () => false } }
+    ]);
+    const { search: watched } = await service.save({
+      name: 'Watched',
+      query: 'invoice',
+      notify: true
+    });
+    await service.save({ name: 'Quiet', query: 'contract' });
+    searchService.hybridSearch.mockResolvedValue({
+      success: true,
+      results: [result('a'), result('c')]
+    });
+
+    const updates = await service.checkForNewMatches();
+
+    expect(searchService.invalidateIndex).toHaveBeenCalled();
+    expect(searchService.hybridSearch).toHaveBeenLastCalledWith(
+      'contract',
+      expect.objectContaining({ rerank: false })
+    );
+    expect(updates.map((u) => u.name).sort()).toEqual(['Quiet', 'Watched']);
+    expect(notificationService.notifySavedSearchMatches).toHaveBeenCalledTimes(1);
+    expect(notificationService.notifySavedSearchMatches).toHaveBeenCalledWith(
+      'Watched',
+      1,
+      expect.objectContaining({ savedSearchId: watched.id, fileIds: ['c'] })
+    );
+    expect(send).toHaveBeenCalledWith(IPC_EVENTS.SAVED_SEARCHES_UPDATED, {
+      searches: expect.arrayContaining([{ id: watched.id, newMatchCount: 1 }])
+    });
+
+    // Already-known results do not count as new on the next check
+    notificationService.notifySavedSearchMatches.mockClear();
+    await expect(service.checkForNewMatches()).resolves.toEqual([]);
+    expect(notificationService.notifySavedSearchMatches).not.toHaveBeenCalled();
+    const [listed] = (await service.list()).filter((s) => s.id === watched.id);
+    expect(listed.newMatchIds).toEqual(['c']);
+  });
+
+  test('analysis-complete events schedule a debounced check', async () => {
+    await service.save({ name: 'Invoices', query: 'invoice' });
+    const spy = jest.spyOn(service, 'checkForNewMatches');
+
+    const bus = cacheInvalidation.getInstance();
+    bus.notifyAnalysisComplete('/docs/new.pdf');
+    bus.notifyAnalysisComplete('/docs/other.pdf');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  test('changing the query resets tracked results', async () => {
+    const { search } = await service.save({ name: 'Docs', query: 'invoice' });
+    searchService.hybridSearch.mockResolvedValue({ success: true, results: [result('z')] });
+
+    const updated = await service.save({ id: search.id, name: 'Docs', query: 'receipt' });
+
+    expect(updated.search.query).toBe('receipt');
+    expect(updated.search.newMatchCount).toBe(0);
+    expect(updated.search.matchCount).toBe(1);
+  });
+
+  test('delete removes the search', async () => {
+    const { search } = await service.save({ name: 'Temp', query: 'temp files' });
+
+    await expect(service.delete(search.id)).resolves.toEqual({ success: true });
+    await expect(service.delete(search.id)).resolves.toMatchObject({ success: false });
+    await expect(service.list()).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for SavedSearchesBar component
+ * Tests listing, selecting, saving and deleting saved searches
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SavedSearchesBar from '../src/renderer/components/search/SavedSearchesBar';
+
+const mockList = jest.fn();
+const mockSave = jest.fn();
+const mockDelete = jest.fn();
+const mockOnUpdated = jest.fn();
+window.electronAPI = {
+  knowledge: {
+    listSavedSearches: mockList,
+    saveSavedSearch: mockSave,
+    deleteSavedSearch: mockDelete,
+    onSavedSearchesUpdated: mockOnUpdated
+  }
+};
+
+const invoices = {
+  id: 's1',
+  name: 'Invoices',
+  query: 'invoice from:amazon',
+  notify: true,
+  newMatchCount: 3
+};
+
+describe('SavedSearchesBar', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockList.mockResolvedValue({ success: true, searches: [invoices] });
+    mockOnUpdated.mockReturnValue(jest.fn());
+  });
+
+  test('shows saved searches with new-match badges and selects them', async () => {
+    const onSelect = jest.fn();
+    render(<SavedSearchesBar query="" onSelect={onSelect} />);
+
+    expect(await screen.findByText('Invoices')).toBeInTheDocument();
+    expect(screen.getByText('3 new')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Invoices'));
+    expect(onSelect).toHaveBeenCalledWith(invoices);
+    expect(screen.queryByText('3 new')).not.toBeInTheDocument();
+  });
+
+  test('refreshes when the main process reports new matches', async () => {
+    render(<SavedSearchesBar query="" />);
+    await screen.findByText('Invoices');
+
+    mockList.mockResolvedValue({
+      success: true,
+      searches: [{ ...invoices, newMatchCount: 5 }]
+    });
+    const [[listener]] = mockOnUpdated.mock.calls;
+    listener({ searches: [{ id: 's1', newMatchCount: 5 }] });
+
+    expect(await screen.findByText('5 new')).toBeInTheDocument();
+  });
+
+  test('saves the current query with the search options', async () => {
+    const saved = { id: 's2', name: 'Tax receipts', query: 'receipt tag:tax', newMatchCount: 0 };
+    mockSave.mockResolvedValue({ success: true, search: saved });
+    const onSelect = jest.fn();
+    const options = { topK: 20, mode: 'hybrid' };
+    render(
+      <SavedSearchesBar query="receipt tag:tax" searchOptions={options} onSelect={onSelect} />
+    );
+
+    fireEvent.click(await screen.findByText('Save search'));
+    fireEvent.change(screen.getByLabelText('Saved search name'), {
+      target: { value: 'Tax receipts' }
+    });
+    fireEvent.click(screen.getByLabelText('Notify me about new matches'));
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => expect(onSelect).toHaveBeenCalledWith(saved));
+    expect(mockSave).toHaveBeenCalledWith({
+      name: 'Tax receipts',
+      query: 'receipt tag:tax',
+      notify: true,
+      options
+    });
+    expect(screen.getByText('Tax receipts')).toBeInTheDocument();
+  });
+
+  test('shows save errors from the main process', async () => {
+    mockSave.mockResolvedValue({ success: false, error: 'A saved search named "X" exists' });
+    render(<SavedSearchesBar query="anything" />);
+
+    fireEvent.click(await screen.findByText('Save search'));
+    fireEvent.change(screen.getByLabelText('Saved search name'), { target: { value: 'X' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(await screen.findByText('A saved search named "X" exists')).toBeInTheDocument();
+  });
+
+  test('deletes a saved search and clears the active selection', async () => {
+    mockDelete.mockResolvedValue({ success: true });
+    const onSelect = jest.fn();
+    render(<SavedSearchesBar query={invoices.query} activeSearchId="s1" onSelect={onSelect} />);
+
+    fireEvent.click(await screen.findByLabelText('Delete saved search Invoices'));
+
+    await waitFor(() => expect(screen.queryByText('Invoices')).not.toBeInTheDocument());
+    expect(mockDelete).toHaveBeenCalledWith('s1');
+    expect(onSelect).toHaveBeenCalledWith(null);
+  });
+});
@@ -37,9 +37,13 @@ Element.prototype.scrollIntoView = jest.fn();
 
 // Mock electronAPI
 const mockSearch = jest.fn();
+const mockGetFacets = jest.fn();
 window.electronAPI = {
   embeddings: {
     search: mockSearch
+  },
+  analysisHistory: {
+    getFacets: mockGetFacets
   }
 };
 
@@ -253,6 +257,57 @@ describe('SearchAutocomplete', () => {
     });
   });
 
+  describe('Filter operator suggestions', () => {
+    test('suggests field names for a partial word and completes the token', () => {
+      const onChange = jest.fn();
+      const onSearch = jest.fn();
+      render(<SearchAutocomplete value="invoice fol" onChange={onChange} onSearch={onSearch} />);
+
+      fireEvent.click(screen.getByRole('combobox'));
+      fireEvent.click(screen.getByText('folder:'));
+
+      expect(onChange).toHaveBeenCalledWith('invoice folder:');
+      expect(onSearch).not.toHaveBeenCalled();
+    });
+
+    test('suggests known tag values and skips file search while typing an operator', async () => {
+      mockGetFacets.mockResolvedValue({
+        categories: [{ name: 'Finance', count: 2 }],
+        tags: [
+          { name: 'tax', count: 3 },
+          { name: 'tax return', count: 1 },
+          { name: 'travel', count: 1 }
+        ]
+      });
+      const onChange = jest.fn();
+      render(<SearchAutocomplete value="invoice -tag:ta" onChange={onChange} />);
+
+      fireEvent.click(screen.getByRole('combobox'));
+      await waitFor(() => {
+        expect(screen.getByText('-tag:"tax return"')).toBeInTheDocument();
+      });
+      expect(screen.queryByText('-tag:travel')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByText('-tag:tax'));
+      expect(onChange).toHaveBeenCalledWith('invoice -tag:tax ');
+
+      act(() => {
+        jest.advanceTimersByTime(200);
+      });
+      expect(mockSearch).not.toHaveBeenCalled();
+      expect(mockGetFacets).toHaveBeenCalledTimes(1);
+    });
+
+    test('suggests file kinds for type:', () => {
+      const onChange = jest.fn();
+      render(<SearchAutocomplete value="type:im" onChange={onChange} />);
+
+      fireEvent.click(screen.getByRole('combobox'));
+
+      expect(screen.getByText('type:image')).toBeInTheDocument();
+    });
+  });
+
   describe('Recent searches', () => {
     test('shows recent searches when clicked with no query', () => {
       localStorageMock.getItem.mockReturnValue(
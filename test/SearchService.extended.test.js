@@ -12,6 +12,15 @@ jest.mock('../src/shared/logger', () => ({
   })
 }));
 
+const mockAccessSettings = { exclusionPatterns: [], privacyZones: [] };
+jest.mock('../src/main/services/FileAccessPolicy', () => {
+  const FileAccessPolicy = jest.requireActual('../src/main/services/FileAccessPolicy');
+  const policy = new FileAccessPolicy({
+    settingsService: { load: async () => mockAccessSettings }
+  });
+  return { getInstance: () => policy };
+});
+
 const { SearchService } = require('../src/main/services/SearchService');
 
 describe('SearchService (extended)', () => {
@@ -132,6 +141,142 @@ describe('SearchService (extended)', () => {
     });
   });
 
+  describe('structured query filters', () => {
+    const entries = {
+      match: {
+        id: 'match',
+        timestamp: '2026-01-03T00:00:00.000Z',
+        originalPath: '/docs/Finance/amazon-invoice.pdf',
+        fileName: 'amazon-invoice.pdf',
+        fileSize: 6 * 1024 * 1024,
+        analysis: {
+          subject: 'Amazon invoice',
+          entity: 'Amazon',
+          tags: ['tax'],
+          category: 'Finance',
+          documentDate: '2024-03-15',
+          language: 'en',
+          financial: { profile: 'invoice', totalAmount: 742.5, currency: 'EUR', lineItems: [] }
+        }
+      },
+      draft: {
+        id: 'draft',
+        timestamp: '2026-01-02T00:00:00.000Z',
+        originalPath: '/docs/Finance/amazon-invoice-draft.pdf',
+        fileName: 'amazon-invoice-draft.pdf',
+        fileSize: 7 * 1024 * 1024,
+        analysis: {
+          subject: 'Amazon invoice draft',
+          entity: 'Amazon',
+          tags: ['tax'],
+          category: 'Finance',
+          documentDate: '2024-04-01'
+        }
+      },
+      older: {
+        id: 'older',
+        timestamp: '2026-01-01T00:00:00.000Z',
+        originalPath: '/docs/Finance/amazon-invoice-2023.docx',
+        fileName: 'amazon-invoice-2023.docx',
+        fileSize: 1024,
+        analysis: {
+          subject: 'Amazon invoice',
+          entity: 'Amazon',
+          tags: ['tax'],
+          category: 'Finance',
+          documentDate: '2023-05-01',
+          language: 'de',
+          financial: { profile: 'invoice', totalAmount: 120, currency: 'USD', lineItems: [] }
+        }
+      }
+    };
+
+    function createFilterService() {
+      const { service } = createService({ historyEntries: entries });
+      service._getQueryProcessor = jest.fn(() => null);
+      return service;
+    }
+
+    test('pushes constraints into the BM25 where clause and post-filters results', async () => {
+      const service = createFilterService();
+      const bm25Spy = jest.spyOn(service, 'bm25Search');
+
+      const result = await service.hybridSearch(
+        'invoice from:amazon type:pdf after:2024-03 size:>5mb folder:Finance tag:tax -draft',
+        { mode: 'bm25', minScore: 0 }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.results.map((r) => r.metadata.name)).toEqual(['amazon-invoice.pdf']);
+      expect(bm25Spy).toHaveBeenCalledWith('invoice', expect.any(Number), {
+        where: expect.objectContaining({
+          extension: { in: ['.pdf'] },
+          tagKeys: { containsAll: ['tax'] },
+          fileSize: { gte: 5 * 1024 * 1024 + 1 },
+          documentDay: { gte: 20240301 }
+        })
+      });
+      expect(result.queryMeta.constraints.filters.from).toEqual(['amazon']);
+    });
+
+    test('lists matching documents when the query has only constraints', async () => {
+      const service = createFilterService();
+
+      const result = await service.hybridSearch('tag:tax after:2024', { topK: 10 });
+
+      expect(result.mode).toBe('filter');
+      expect(result.results.map((r) => r.metadata.name)).toEqual([
+        'amazon-invoice-draft.pdf',
+        'amazon-invoice.pdf'
+      ]);
+    });
+
+    test('filters by content language', async () => {
+      const service = createFilterService();
+      const bm25Spy = jest.spyOn(service, 'bm25Search');
+
+      const result = await service.hybridSearch('invoice lang:german', {
+        mode: 'bm25',
+        minScore: 0
+      });
+
+      expect(result.results.map((r) => r.metadata.name)).toEqual(['amazon-invoice-2023.docx']);
+      expect(bm25Spy).toHaveBeenCalledWith('invoice', expect.any(Number), {
+        where: expect.objectContaining({ languageKey: { in: ['de'] } })
+      });
+    });
+
+    test('filters by invoice amount and currency', async () => {
+      const service = createFilterService();
+      const bm25Spy = jest.spyOn(service, 'bm25Search');
+
+      const result = await service.hybridSearch('invoice amount > 500', {
+        mode: 'bm25',
+        minScore: 0
+      });
+
+      expect(result.results.map((r) => r.metadata.name)).toEqual(['amazon-invoice.pdf']);
+      expect(bm25Spy).toHaveBeenCalledWith('invoice', expect.any(Number), {
+        where: expect.objectContaining({ amountCents: { gte: 50001 } })
+      });
+
+      const byCurrency = await service.hybridSearch('currency:$', { topK: 10 });
+      expect(byCurrency.results.map((r) => r.metadata.name)).toEqual(['amazon-invoice-2023.docx']);
+    });
+
+    test('treats a lone negation as a filter-only query', async () => {
+      const service = createFilterService();
+
+      const result = await service.hybridSearch('-draft', { topK: 10 });
+
+      expect(result.mode).toBe('filter');
+      expect(result.results.map((r) => r.metadata.name)).toEqual([
+        'amazon-invoice.pdf',
+        'amazon-invoice-2023.docx'
+      ]);
+    });
+  });
+
   describe('invalidateAndRebuild', () => {
     beforeEach(() => {
       jest.useFakeTimers();
@@ -267,4 +412,36 @@ describe('SearchService (extended)', () => {
       expect(meta.expanded).toBe(false);
     });
   });
+  describe('access policy', () => {
+    afterEach(() => {
+      mockAccessSettings.exclusionPatterns = [];
+      mockAccessSettings.privacyZones = [];
+    });
+
+    test('drops excluded files and strips content from privacy-zone results', async () => {
+      mockAccessSettings.exclusionPatterns = ['*.tmp'];
+      mockAccessSettings.privacyZones = ['/home/user/Private'];
+      const { service } = createService();
+      jest.spyOn(service, '_runHybridSearch').mockResolvedValue({
+        success: true,
+        results: [
+          { id: 'a', metadata: { path: '/home/user/docs/a.pdf', summary: 'Visible' } },
+          { id: 'b', metadata: { path: '/home/user/docs/scratch.tmp' } },
+          {
+            id: 'c',
+            metadata: { path: '/home/user/Private/tax.pdf', name: 'tax.pdf', summary: 'Secret' },
+            matchDetails: { bestSnippet: 'Secret snippet' }
+          }
+        ]
+      });
+
+      const { results } = await service.hybridSearch('tax');
+
+      expect(results.map((r) => r.id)).toEqual(['a', 'c']);
+      expect(results[0].metadata.summary).toBe('Visible');
+      expect(results[1]).toMatchObject({ private: true, metadata: { name: 'tax.pdf' } });
+      expect(results[1].metadata.summary).toBeUndefined();
+      expect(results[1].matchDetails.bestSnippet).toBeUndefined();
+    });
+  });
 });
@@ -482,6 +482,32 @@ describe('SmartFolderWatcher - Migration Tests', () => {
       expect(mockDeps.analyzeDocumentFile).not.toHaveBeenCalled();
     });
 
+    test('keeps photo metadata, fingerprint and language in the history entry', async () => {
+      const fs = require('fs').promises;
+      const { recordAnalysisResult } = require('../src/main/ipc/analysisUtils');
+      fs.stat.mockResolvedValue({ birthtime: new Date(), mtime: new Date() });
+      mockDeps.settingsService.load = jest.fn().mockResolvedValue({});
+      jest.spyOn(watcher, '_embedAnalyzedFile').mockResolvedValue();
+      const photo = { camera: 'Pixel 8', place: { city: 'Lisbon' } };
+      const perceptualHash = { pHash: '0f0f0f0f0f0f0f0f' };
+      mockDeps.analyzeImageFile.mockResolvedValue({
+        category: 'Photos',
+        keywords: ['beach'],
+        confidence: 85,
+        photo,
+        perceptualHash,
+        language: 'pt'
+      });
+
+      await watcher._analyzeFile({ filePath: '/watched/docs/beach.jpg', eventType: 'add' });
+
+      expect(recordAnalysisResult).toHaveBeenCalledWith(
+        expect.objectContaining({
+          result: expect.objectContaining({ photo, perceptualHash, language: 'pt' })
+        })
+      );
+    });
+
     test('embedding-only retry does not increment analysis stats', async () => {
       const fs = require('fs').promises;
       fs.stat.mockResolvedValue({ birthtime: new Date(), mtime: new Date() });
@@ -0,0 +1,115 @@
+/**
+ * Tests for TimelinePanel component
+ * Tests the date histogram, range selection and sending a range to chat
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TimelinePanel from '../src/renderer/components/search/TimelinePanel';
+
+const mockGetTimeline = jest.fn();
+window.electronAPI = {
+  analysisHistory: {
+    getTimeline: mockGetTimeline
+  }
+};
+
+const timeline = {
+  success: true,
+  items: [
+    { id: 'f1', path: '/a/jan.pdf', name: 'jan.pdf', date: '2024-01-05', dateSource: 'document' },
+    { id: 'f2', path: '/a/feb.pdf', name: 'feb.pdf', date: '2024-02-10', dateSource: 'modified' },
+    { id: 'f3', path: '/a/mar.pdf', name: 'mar.pdf', date: '2024-03-20', dateSource: 'document' }
+  ],
+  total: 3,
+  truncated: false,
+  range: { from: '2024-01-05', to: '2024-03-20' },
+  facets: {
+    smartFolders: [{ value: 'finance', label: 'Finance', count: 2 }],
+    tags: [],
+    entities: []
+  }
+};
+
+describe('TimelinePanel', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetTimeline.mockResolvedValue(timeline);
+  });
+
+  test('plots files and sends a brushed range to chat', async () => {
+    const onSendToChat = jest.fn();
+    await act(async () => {
+      render(<TimelinePanel onSendToChat={onSendToChat} />);
+    });
+
+    const bars = screen.getAllByRole('option', { name: /file/ });
+    expect(mockGetTimeline).toHaveBeenCalledWith(expect.objectContaining({ query: undefined }));
+    // Jan 5 - Mar 20 fits in weekly buckets
+    expect(bars[0]).toHaveAttribute('title', 'Jan 1, 2024: 1 file');
+
+    fireEvent.mouseDown(bars[0], { button: 0 });
+    fireEvent.mouseEnter(bars[6]);
+    fireEvent.mouseUp(window);
+
+    expect(screen.getByText('jan.pdf')).toBeInTheDocument();
+    expect(screen.getByText('feb.pdf')).toBeInTheDocument();
+    expect(screen.queryByText('mar.pdf')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Send to Chat'));
+    expect(onSendToChat).toHaveBeenCalledWith(
+      [
+        { path: '/a/jan.pdf', name: 'jan.pdf' },
+        { path: '/a/feb.pdf', name: 'feb.pdf' }
+      ],
+      expect.objectContaining({ from: '2024-01-01', to: '2024-02-18' })
+    );
+  });
+
+  test('reloads with the chosen filters and search query', async () => {
+    await act(async () => {
+      render(<TimelinePanel query="invoice" />);
+    });
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'All folders' }));
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('option', { name: 'Finance (2)' }));
+    });
+    expect(mockGetTimeline).toHaveBeenLastCalledWith(
+      expect.objectContaining({ smartFolder: 'Finance', query: undefined })
+    );
+
+    await act(async () => {
+      fireEvent.click(screen.getByLabelText('Match search'));
+    });
+    expect(mockGetTimeline).toHaveBeenLastCalledWith(
+      expect.objectContaining({ smartFolder: 'Finance', query: 'invoice' })
+    );
+  });
+
+  test('shows an empty state when nothing has been analyzed', async () => {
+    mockGetTimeline.mockResolvedValue({
+      ...timeline,
+      items: [],
+      total: 0,
+      range: null
+    });
+    await act(async () => {
+      render(<TimelinePanel />);
+    });
+
+    expect(screen.getByText('Nothing on the timeline yet')).toBeInTheDocument();
+  });
+
+  test('shows load errors', async () => {
+    mockGetTimeline.mockResolvedValue({ success: false, error: 'History unavailable' });
+    await act(async () => {
+      render(<TimelinePanel />);
+    });
+
+    expect(screen.getByText('History unavailable')).toBeInTheDocument();
+  });
+});
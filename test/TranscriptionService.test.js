@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for TranscriptionService.
+ * Covers whisper result parsing, availability checks, and the in-process transcribe pipeline.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/shared/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+jest.mock('../src/shared/singletonFactory', () => ({
+  createSingletonHelpers: () => ({
+    getInstance: jest.fn(),
+    createInstance: jest.fn(),
+    registerWithContainer: jest.fn(),
+    resetInstance: jest.fn()
+  })
+}));
+
+jest.mock('../src/main/utils/mediaTools', () => ({
+  resolveMediaTool: jest.fn(() => '/usr/bin/ffmpeg')
+}));
+
+jest.mock('../src/main/utils/asyncSpawnUtils', () => ({
+  asyncSpawn: jest.fn()
+}));
+
+jest.mock('../src/main/services/modelPathResolver', () => ({
+  resolveModelsPath: jest.fn()
+}));
+
+jest.mock('../src/main/services/SettingsService', () => ({
+  getInstance: jest.fn(() => ({ load: jest.fn(async () => ({})) }))
+}));
+
+jest.mock('../src/main/services/GPUMonitor', () => ({
+  getInstance: jest.fn(() => ({ detectGPU: jest.fn(async () => ({ type: 'cuda' })) }))
+}));
+
+const mockContext = {
+  transcribeFile: jest.fn(),
+  release: jest.fn(async () => {})
+};
+jest.mock('@fugood/whisper.node', () => ({
+  initWhisper: jest.fn(async () => mockContext)
+}));
+
+const { initWhisper } = require('@fugood/whisper.node');
+const { asyncSpawn } = require('../src/main/utils/asyncSpawnUtils');
+const { resolveModelsPath } = require('../src/main/services/modelPathResolver');
+const {
+  TranscriptionService,
+  parseWhisperResult
+} = require('../src/main/services/TranscriptionService');
+
+const transcribed = (result) => ({
+  stop: jest.fn(async () => {}),
+  promise: Promise.resolve(result)
+});
+
+describe('parseWhisperResult', () => {
+  test('joins segments and converts offsets to seconds', () => {
+    const parsed = parseWhisperResult({
+      language: 'en',
+      segments: [
+        { t0: 0, t1: 2500, text: ' Quarterly budget review.' },
+        { t0: 2500, t1: 4000, text: ' [BLANK_AUDIO]' },
+        { t0: 4000, t1: 7250, text: ' Action items   follow.' }
+      ]
+    });
+
+    expect(parsed.language).toBe('en');
+    expect(parsed.text).toBe('Quarterly budget review. Action items follow.');
+    expect(parsed.segments).toEqual([
+      { start: 0, end: 2.5, text: 'Quarterly budget review.' },
+      { start: 4, end: 7.25, text: 'Action items   follow.' }
+    ]);
+  });
+
+  test('tolerates malformed output', () => {
+    expect(parseWhisperResult(null)).toEqual({ text: '', language: null, segments: [] });
+    expect(parseWhisperResult({ segments: 'nope' }).segments).toEqual([]);
+  });
+});
+
+describe('TranscriptionService', () => {
+  let tmpDir;
+  let modelsPath;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcription-test-'));
+    modelsPath = path.join(tmpDir, 'models');
+    await fs.promises.mkdir(modelsPath);
+    resolveModelsPath.mockResolvedValue({ modelsPath });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('reports unavailable when no Whisper model is downloaded', async () => {
+    const service = new TranscriptionService();
+    const status = await service.isAvailable();
+    expect(status).toEqual({ available: false, reason: 'no Whisper model downloaded' });
+  });
+
+  test('falls back to another downloaded Whisper model', async () => {
+    await fs.promises.writeFile(path.join(modelsPath, 'ggml-small.bin'), '');
+    const service = new TranscriptionService();
+    const status = await service.isAvailable();
+    expect(status.available).toBe(true);
+    expect(status.modelPath).toBe(path.join(modelsPath, 'ggml-small.bin'));
+  });
+
+  test('transcribes in-process and reuses the loaded model', async () => {
+    const modelPath = path.join(modelsPath, 'ggml-base.bin');
+    await fs.promises.writeFile(modelPath, '');
+    mockContext.transcribeFile.mockImplementation(() =>
+      transcribed({
+        language: 'de',
+        result: ' Guten Morgen.',
+        segments: [{ t0: 0, t1: 12000, text: ' Guten Morgen.' }]
+      })
+    );
+
+    const service = new TranscriptionService();
+    const result = await service.transcribe('/audio/meeting.mp3');
+    await service.transcribe('/audio/standup.wav');
+
+    expect(initWhisper).toHaveBeenCalledTimes(1);
+    expect(initWhisper).toHaveBeenCalledWith({ filePath: modelPath, useGpu: true }, 'cuda');
+    expect(mockContext.transcribeFile).toHaveBeenCalledWith(
+      '/audio/meeting.mp3',
+      expect.objectContaining({ language: 'auto', temperature: 0 })
+    );
+    expect(asyncSpawn).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      text: 'Guten Morgen.',
+      language: 'de',
+      segments: [{ start: 0, end: 12, text: 'Guten Morgen.' }],
+      durationSec: 12,
+      model: 'ggml-base.bin'
+    });
+
+    await service.shutdown();
+    expect(mockContext.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('converts formats whisper cannot decode with ffmpeg first', async () => {
+    await fs.promises.writeFile(path.join(modelsPath, 'ggml-base.bin'), '');
+    asyncSpawn.mockResolvedValue({ status: 0, stdout: '', stderr: '' });
+    mockContext.transcribeFile.mockImplementation(() => transcribed({ segments: [] }));
+
+    const service = new TranscriptionService();
+    await service.transcribe('/audio/voice-memo.m4a');
+
+    const [cmd, args] = asyncSpawn.mock.calls[0];
+    expect(cmd).toBe('/usr/bin/ffmpeg');
+    const wavPath = args[args.length - 1];
+    expect(wavPath).toMatch(/input\.wav$/);
+    expect(mockContext.transcribeFile.mock.calls[0][0]).toBe(wavPath);
+  });
+
+  test('surfaces whisper failures and keeps the queue usable', async () => {
+    await fs.promises.writeFile(path.join(modelsPath, 'ggml-base.bin'), '');
+    mockContext.transcribeFile.mockReturnValueOnce({
+      stop: jest.fn(),
+      promise: Promise.reject(new Error('Transcription failed'))
+    });
+
+    const service = new TranscriptionService();
+    await expect(service.transcribe('/audio/broken.wav')).rejects.toThrow(
+      /whisper failed: Transcription failed/
+    );
+
+    mockContext.transcribeFile.mockReturnValueOnce(transcribed({ segments: [] }));
+    await expect(service.transcribe('/audio/silence.wav')).resolves.toMatchObject({ text: '' });
+  });
+
+  test('stops a transcription that runs past the timeout', async () => {
+    await fs.promises.writeFile(path.join(modelsPath, 'ggml-base.bin'), '');
+    const stop = jest.fn(async () => {});
+    mockContext.transcribeFile.mockReturnValueOnce({ stop, promise: new Promise(() => {}) });
+
+    const service = new TranscriptionService();
+    await expect(service.transcribe('/audio/endless.wav', { timeoutMs: 20 })).rejects.toThrow(
+      /timed out/
+    );
+    expect(stop).toHaveBeenCalled();
+  });
+});
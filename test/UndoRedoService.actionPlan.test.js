@@ -0,0 +1,166 @@
+/**
+ * @jest-environment node
+ *
+ * UndoRedoService ACTION_PLAN Tests
+ *
+ * A chat action plan (moves, tags and new smart folders) is undone and redone
+ * as a single action.
+ */
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/test/userData')
+  }
+}));
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn().mockResolvedValue(),
+    rename: jest.fn().mockResolvedValue(),
+    mkdir: jest.fn().mockResolvedValue(),
+    rmdir: jest.fn().mockResolvedValue(),
+    unlink: jest.fn().mockResolvedValue(),
+    access: jest.fn(),
+    stat: jest.fn(),
+    readdir: jest.fn().mockResolvedValue([]),
+    rm: jest.fn().mockResolvedValue()
+  }
+}));
+
+jest.mock('../src/shared/logger', () => ({
+  createLogger: jest.fn(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+jest.mock('../src/shared/atomicFileOperations', () => ({
+  crossDeviceMove: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../src/shared/pathSanitization', () => ({
+  validateFileOperationPath: jest.fn(async (candidate) => ({
+    valid: true,
+    normalizedPath: String(candidate)
+  }))
+}));
+
+const mockHistory = { updateTags: jest.fn().mockResolvedValue({ updated: 1 }) };
+const mockVectorDb = {
+  updateDocumentTags: jest.fn().mockResolvedValue(true),
+  updateFilePaths: jest.fn().mockResolvedValue()
+};
+
+jest.mock('../src/main/services/ServiceContainer', () => ({
+  container: {
+    tryResolve: jest.fn((id) =>
+      id === 'ANALYSIS_HISTORY' ? mockHistory : id === 'ORAMA_VECTOR' ? mockVectorDb : null
+    ),
+    has: jest.fn(() => false),
+    resolve: jest.fn(() => null)
+  },
+  ServiceIds: {
+    ORAMA_VECTOR: 'ORAMA_VECTOR',
+    ANALYSIS_HISTORY: 'ANALYSIS_HISTORY',
+    FILE_PATH_COORDINATOR: 'FILE_PATH_COORDINATOR',
+    SEARCH_SERVICE: 'SEARCH_SERVICE'
+  }
+}));
+
+const fs = require('fs').promises;
+const UndoRedoService = require('../src/main/services/UndoRedoService');
+
+// fs.rename also persists the undo history; only count file moves
+const fileMoves = () => fs.rename.mock.calls.filter(([from]) => !from.startsWith('/test/userData'));
+const firstMoveOrder = () =>
+  fs.rename.mock.invocationCallOrder[
+    fs.rename.mock.calls.findIndex(([from]) => !from.startsWith('/test/userData'))
+  ];
+
+describe('UndoRedoService - ACTION_PLAN', () => {
+  let service;
+  let folders;
+  const smartFolder = { id: 'sf-1', name: 'Taxes', path: '/docs/Taxes' };
+  const planData = {
+    description: 'Move 2023 tax PDFs into Taxes/2023',
+    operations: [
+      { type: 'move', originalPath: '/in/a.pdf', newPath: '/docs/Taxes/2023/Acme.pdf' },
+      { type: 'move', originalPath: '/in/b.pdf', newPath: '/docs/Taxes/2023/Globex.pdf' }
+    ],
+    createdDirectories: ['/docs/Taxes', '/docs/Taxes/2023'],
+    tagChanges: [
+      {
+        filePath: '/docs/Taxes/2023/Acme.pdf',
+        fileId: 'file:/docs/Taxes/2023/Acme.pdf',
+        previousTags: ['invoice'],
+        tags: ['invoice', 'taxes']
+      }
+    ],
+    smartFolders: [smartFolder]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const enoent = new Error('ENOENT');
+    enoent.code = 'ENOENT';
+    fs.readFile.mockRejectedValue(enoent);
+    fs.access.mockRejectedValue(enoent);
+
+    folders = [{ id: 'sf-0', name: 'Work', path: '/docs/Work' }, smartFolder];
+    service = new UndoRedoService({ saveDebounceMs: 0 });
+    service.getCustomFolders = () => folders;
+    service.saveCustomFolders = jest.fn().mockResolvedValue();
+  });
+
+  test('describes the plan by its summary', async () => {
+    await service.recordAction('ACTION_PLAN', planData);
+    expect(service.getActionHistory(1)[0].description).toBe(planData.description);
+  });
+
+  test('undo restores tags, moves files back and removes created folders', async () => {
+    await service.recordAction('ACTION_PLAN', planData);
+    await service.undo();
+
+    expect(mockHistory.updateTags).toHaveBeenCalledWith('/docs/Taxes/2023/Acme.pdf', ['invoice']);
+    expect(mockVectorDb.updateDocumentTags).toHaveBeenCalledWith('file:/docs/Taxes/2023/Acme.pdf', [
+      'invoice'
+    ]);
+    // Tags are reverted while the file is still at its new location
+    expect(mockHistory.updateTags.mock.invocationCallOrder[0]).toBeLessThan(firstMoveOrder());
+    expect(fs.rename).toHaveBeenCalledWith('/docs/Taxes/2023/Globex.pdf', '/in/b.pdf');
+    expect(fs.rename).toHaveBeenCalledWith('/docs/Taxes/2023/Acme.pdf', '/in/a.pdf');
+    expect(fs.rmdir).toHaveBeenNthCalledWith(1, '/docs/Taxes/2023');
+    expect(fs.rmdir).toHaveBeenNthCalledWith(2, '/docs/Taxes');
+    expect(folders.map((f) => f.id)).toEqual(['sf-0']);
+    expect(service.saveCustomFolders).toHaveBeenCalledWith(folders);
+  });
+
+  test('redo recreates smart folders, moves files again and reapplies tags', async () => {
+    await service.recordAction('ACTION_PLAN', planData);
+    await service.undo();
+    jest.clearAllMocks();
+
+    await service.redo();
+
+    expect(folders.map((f) => f.id)).toEqual(['sf-0', 'sf-1']);
+    expect(fs.mkdir).toHaveBeenCalledWith('/docs/Taxes', { recursive: true });
+    expect(fs.rename).toHaveBeenCalledWith('/in/a.pdf', '/docs/Taxes/2023/Acme.pdf');
+    expect(mockHistory.updateTags).toHaveBeenCalledWith('/docs/Taxes/2023/Acme.pdf', [
+      'invoice',
+      'taxes'
+    ]);
+    expect(firstMoveOrder()).toBeLessThan(mockHistory.updateTags.mock.invocationCallOrder[0]);
+  });
+
+  test('leaves smart folders alone when folder access is not configured', async () => {
+    service.getCustomFolders = null;
+    await service.recordAction('ACTION_PLAN', planData);
+    await service.undo();
+
+    expect(folders).toHaveLength(2);
+    expect(fileMoves()).toHaveLength(2);
+  });
+});
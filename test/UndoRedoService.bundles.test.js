@@ -0,0 +1,164 @@
+/**
+ * @jest-environment node
+ *
+ * UndoRedoService project bundle Tests
+ *
+ * A bundle folder moves as one operation; undo and redo must re-point the
+ * indexed paths of every member file, not just the folder.
+ */
+
+const path = require('path');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn(() => '/test/userData')
+  }
+}));
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn().mockResolvedValue(),
+    rename: jest.fn().mockResolvedValue(),
+    mkdir: jest.fn().mockResolvedValue(),
+    rmdir: jest.fn().mockResolvedValue(),
+    unlink: jest.fn().mockResolvedValue(),
+    access: jest.fn(),
+    stat: jest.fn(),
+    readdir: jest.fn().mockResolvedValue([]),
+    rm: jest.fn().mockResolvedValue()
+  }
+}));
+
+jest.mock('../src/shared/logger', () => ({
+  createLogger: jest.fn(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+jest.mock('../src/shared/atomicFileOperations', () => ({
+  crossDeviceMove: jest.fn().mockResolvedValue()
+}));
+
+jest.mock('../src/shared/pathSanitization', () => ({
+  validateFileOperationPath: jest.fn(async (candidate) => ({
+    valid: true,
+    normalizedPath: String(candidate)
+  }))
+}));
+
+const mockCoordinator = {
+  batchPathUpdate: jest.fn().mockResolvedValue({ success: true, errors: [] })
+};
+
+jest.mock('../src/main/services/ServiceContainer', () => ({
+  container: {
+    tryResolve: jest.fn(() => null),
+    has: jest.fn((id) => id === 'FILE_PATH_COORDINATOR'),
+    resolve: jest.fn((id) => (id === 'FILE_PATH_COORDINATOR' ? mockCoordinator : null))
+  },
+  ServiceIds: {
+    ORAMA_VECTOR: 'ORAMA_VECTOR',
+    ANALYSIS_HISTORY: 'ANALYSIS_HISTORY',
+    FILE_PATH_COORDINATOR: 'FILE_PATH_COORDINATOR',
+    SEARCH_SERVICE: 'SEARCH_SERVICE'
+  }
+}));
+
+const fs = require('fs').promises;
+const UndoRedoService = require('../src/main/services/UndoRedoService');
+
+const source = path.join('/in', 'Website');
+const destination = path.join('/docs', 'Projects', 'Website');
+const batchData = {
+  operations: [
+    {
+      type: 'move',
+      originalPath: source,
+      newPath: destination,
+      bundleMembers: [path.join(source, 'index.html'), path.join(source, 'css', 'site.css')]
+    },
+    { type: 'move', originalPath: '/in/notes.txt', newPath: '/docs/notes.txt' }
+  ]
+};
+
+describe('UndoRedoService - project bundles', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const enoent = new Error('ENOENT');
+    enoent.code = 'ENOENT';
+    fs.readFile.mockRejectedValue(enoent);
+    fs.access.mockRejectedValue(enoent);
+    service = new UndoRedoService({ saveDebounceMs: 0 });
+  });
+
+  test('undo moves the bundle folder back and re-points each member file', async () => {
+    await service.recordAction('BATCH_OPERATION', batchData);
+    await service.undo();
+
+    expect(fs.rename).toHaveBeenCalledWith(destination, source);
+    expect(mockCoordinator.batchPathUpdate).toHaveBeenCalledWith(
+      [
+        { oldPath: '/docs/notes.txt', newPath: '/in/notes.txt' },
+        {
+          oldPath: path.join(destination, 'index.html'),
+          newPath: path.join(source, 'index.html')
+        },
+        {
+          oldPath: path.join(destination, 'css', 'site.css'),
+          newPath: path.join(source, 'css', 'site.css')
+        }
+      ],
+      { type: 'undo_redo' }
+    );
+  });
+
+  test('redo moves the bundle again and re-points each member file', async () => {
+    await service.recordAction('BATCH_OPERATION', batchData);
+    await service.undo();
+    jest.clearAllMocks();
+
+    await service.redo();
+
+    expect(fs.rename).toHaveBeenCalledWith(source, destination);
+    const [pathChanges] = mockCoordinator.batchPathUpdate.mock.calls[0];
+    expect(pathChanges).toEqual(
+      expect.arrayContaining([
+        {
+          oldPath: path.join(source, 'index.html'),
+          newPath: path.join(destination, 'index.html')
+        },
+        {
+          oldPath: path.join(source, 'css', 'site.css'),
+          newPath: path.join(destination, 'css', 'site.css')
+        }
+      ])
+    );
+    expect(pathChanges).not.toContainEqual({ oldPath: source, newPath: destination });
+  });
+
+  test('selective undo of a bundle re-points its member files', async () => {
+    fs.stat.mockResolvedValue({ mtimeMs: 0 });
+    const actionId = await service.recordAction('BATCH_OPERATION', batchData);
+    await service.selectiveUndo(actionId, { operationIndexes: [0] });
+
+    expect(mockCoordinator.batchPathUpdate).toHaveBeenCalledWith(
+      [
+        {
+          oldPath: path.join(destination, 'index.html'),
+          newPath: path.join(source, 'index.html')
+        },
+        {
+          oldPath: path.join(destination, 'css', 'site.css'),
+          newPath: path.join(source, 'css', 'site.css')
+        }
+      ],
+      { type: 'undo_redo' }
+    );
+  });
+});
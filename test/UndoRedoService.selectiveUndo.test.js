@@ -0,0 +1,185 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Tests for UndoRedoService selective undo: reversing one past action, or some
+ * files of a batch, without undoing the actions recorded after it.
+ */
+
+// These tests move real files and compare mtimes, so use the real filesystem
+jest.unmock('fs');
+jest.unmock('fs/promises');
+jest.unmock('os');
+
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+
+jest.mock('electron', () => ({
+  app: {
+    getPath: jest.fn()
+  }
+}));
+
+describe('UndoRedoService selective undo', () => {
+  let service;
+  let testDir;
+
+  const file = (name) => path.join(testDir, name);
+  const write = async (name, content = 'data') => {
+    await fs.mkdir(path.dirname(file(name)), { recursive: true });
+    await fs.writeFile(file(name), content);
+  };
+  const exists = (name) =>
+    fs.access(file(name)).then(
+      () => true,
+      () => false
+    );
+
+  // Organize a.txt and b.txt into out/, then move b.txt on again
+  const organizeThenMoveAgain = async () => {
+    await write('out/a.txt');
+    await write('archive/b.txt');
+    const batchId = await service.recordAction('BATCH_ORGANIZE', {
+      operations: [
+        { type: 'move', originalPath: file('in/a.txt'), newPath: file('out/a.txt') },
+        { type: 'move', originalPath: file('in/b.txt'), newPath: file('out/b.txt') }
+      ]
+    });
+    await service.recordAction('FILE_MOVE', {
+      originalPath: file('out/b.txt'),
+      newPath: file('archive/b.txt')
+    });
+    return batchId;
+  };
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `selective-undo-test-${Date.now()}-${Math.random()}`);
+    await fs.mkdir(testDir, { recursive: true });
+
+    jest.resetModules();
+    require('electron').app.getPath.mockReturnValue(testDir);
+
+    const UndoRedoService = require('../src/main/services/UndoRedoService');
+    service = new UndoRedoService({ saveDebounceMs: 0 });
+  });
+
+  afterEach(async () => {
+    try {
+      await fs.rm(testDir, { recursive: true, force: true });
+    } catch {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('preview flags a file that a later action moved again', async () => {
+    const batchId = await organizeThenMoveAgain();
+
+    const preview = await service.previewSelectiveUndo(batchId);
+
+    expect(preview.success).toBe(true);
+    expect(preview.action.isLatest).toBe(false);
+    expect(preview.items.map((item) => item.conflicts.map((c) => c.type))).toEqual([[], ['moved']]);
+    expect(preview.readyCount).toBe(1);
+    expect(preview.conflictCount).toBe(1);
+  });
+
+  test('preview flags missing, occupied and modified files', async () => {
+    await write('out/occupied.txt');
+    await write('in/occupied.txt', 'someone else');
+    await write('out/edited.txt');
+    const actionId = await service.recordAction('BATCH_ORGANIZE', {
+      operations: [
+        { type: 'move', originalPath: file('in/gone.txt'), newPath: file('out/gone.txt') },
+        { type: 'move', originalPath: file('in/occupied.txt'), newPath: file('out/occupied.txt') },
+        { type: 'move', originalPath: file('in/edited.txt'), newPath: file('out/edited.txt') }
+      ]
+    });
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(file('out/edited.txt'), later, later);
+
+    const preview = await service.previewSelectiveUndo(actionId);
+
+    expect(preview.items.map((item) => item.conflicts.map((c) => c.type))).toEqual([
+      ['missing'],
+      ['occupied'],
+      ['modified']
+    ]);
+    expect(preview.readyCount).toBe(0);
+  });
+
+  test('reverses chosen batch files and keeps the rest of the batch undoable', async () => {
+    await write('out/a.txt');
+    await write('out/b.txt');
+    const batchId = await service.recordAction('BATCH_ORGANIZE', {
+      operations: [
+        { type: 'move', originalPath: file('in/a.txt'), newPath: file('out/a.txt') },
+        { type: 'move', originalPath: file('in/b.txt'), newPath: file('out/b.txt') }
+      ]
+    });
+    const laterId = await service.recordAction('FILE_RENAME', {
+      originalPath: file('out/b.txt'),
+      newPath: file('out/renamed.txt')
+    });
+    await fs.rename(file('out/b.txt'), file('out/renamed.txt'));
+
+    const result = await service.selectiveUndo(batchId, { operationIndexes: [0] });
+
+    expect(result.success).toBe(true);
+    expect(result.results).toEqual([
+      { success: true, source: file('out/a.txt'), destination: file('in/a.txt') }
+    ]);
+    await expect(exists('in/a.txt')).resolves.toBe(true);
+    await expect(exists('out/renamed.txt')).resolves.toBe(true);
+
+    const batch = service.actions.find((a) => a.id === batchId);
+    expect(batch.data.operations).toHaveLength(1);
+    expect(batch.description).toBe('Organize 1 files');
+    // The later rename is still the most recent applied action
+    expect(service.actions[service.currentIndex].id).toBe(laterId);
+  });
+
+  test('skips conflicted files and drops an action once nothing is left in it', async () => {
+    const batchId = await organizeThenMoveAgain();
+
+    const first = await service.selectiveUndo(batchId);
+
+    expect(first.successCount).toBe(1);
+    expect(first.failCount).toBe(1);
+    expect(first.results[1]).toMatchObject({ skipped: true, source: file('out/b.txt') });
+    await expect(exists('archive/b.txt')).resolves.toBe(true);
+
+    // Undo the later move, then the remaining file of the batch
+    await service.undo();
+    const second = await service.selectiveUndo(batchId);
+
+    expect(second.successCount).toBe(1);
+    expect(service.actions.find((a) => a.id === batchId)).toBeUndefined();
+    await expect(exists('in/b.txt')).resolves.toBe(true);
+  });
+
+  test('refuses actions that were already undone or cannot be reversed', async () => {
+    await write('out/a.txt');
+    const moveId = await service.recordAction('FILE_MOVE', {
+      originalPath: file('in/a.txt'),
+      newPath: file('out/a.txt')
+    });
+    const folderId = await service.recordAction('FOLDER_CREATE', {
+      folderPath: file('new-folder')
+    });
+
+    await expect(service.previewSelectiveUndo(folderId)).resolves.toMatchObject({
+      success: false,
+      error: 'This action cannot be undone selectively'
+    });
+
+    service.currentIndex = -1;
+    await expect(service.selectiveUndo(moveId)).resolves.toMatchObject({
+      success: false,
+      error: 'Action has already been undone'
+    });
+    await expect(service.previewSelectiveUndo('missing-id')).resolves.toMatchObject({
+      success: false
+    });
+  });
+});
@@ -493,6 +493,28 @@ describe('UndoRedoService', () => {
 
       await expect(service.undo()).rejects.toThrow('Cannot undo truncated batch action data');
     });
+
+    test('removes directories the move created, keeping ones that still hold files', async () => {
+      await service.initialize();
+      const originalPath = path.join(testDir, 'scan.pdf');
+      const clientDir = path.join(testDir, 'Invoices', 'Acme');
+      const yearDir = path.join(clientDir, '2025');
+      const newPath = path.join(yearDir, 'scan.pdf');
+      await fs.mkdir(yearDir, { recursive: true });
+      await fs.writeFile(newPath, 'pdf');
+      await fs.writeFile(path.join(clientDir, 'other.pdf'), 'other');
+
+      await service.recordAction('FILE_MOVE', {
+        originalPath,
+        newPath,
+        createdDirectories: [clientDir, yearDir]
+      });
+      await service.undo();
+
+      await expect(fs.readFile(originalPath, 'utf8')).resolves.toBe('pdf');
+      await expect(fs.stat(yearDir)).rejects.toMatchObject({ code: 'ENOENT' });
+      await expect(fs.stat(clientDir)).resolves.toBeTruthy();
+    });
   });
 
   describe('redo', () => {
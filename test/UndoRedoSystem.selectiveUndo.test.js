@@ -0,0 +1,156 @@
+/**
+ * @jest-environment jsdom
+ */
+import React from 'react';
+import { render, fireEvent, waitFor, screen } from '@testing-library/react';
+
+const mockDispatch = jest.fn();
+const mockShowSuccess = jest.fn();
+const mockShowError = jest.fn();
+const mockShowInfo = jest.fn();
+
+jest.mock('react-redux', () => ({
+  useDispatch: () => mockDispatch
+}));
+
+jest.mock('../src/renderer/contexts/NotificationContext', () => ({
+  useNotification: () => ({
+    showSuccess: mockShowSuccess,
+    showError: mockShowError,
+    showInfo: mockShowInfo
+  })
+}));
+
+jest.mock('../src/renderer/components/ui/Modal', () => {
+  const Modal = ({ children }) => <div>{children}</div>;
+  const ConfirmModal = () => null;
+  return {
+    __esModule: true,
+    default: Modal,
+    ConfirmModal
+  };
+});
+
+jest.mock('../src/renderer/components/ui/Button', () => ({
+  __esModule: true,
+  default: ({ children, ...props }) => <button {...props}>{children}</button>
+}));
+
+jest.mock('../src/renderer/components/ui/StateMessage', () => ({
+  __esModule: true,
+  default: () => null
+}));
+
+jest.mock('../src/renderer/components/ui/Typography', () => ({
+  Text: ({ children }) => <span>{children}</span>
+}));
+
+import { UndoRedoProvider, useUndoRedo } from '../src/renderer/components/UndoRedoSystem';
+
+function OpenHistory() {
+  const { setIsHistoryVisible } = useUndoRedo();
+  return <button onClick={() => setIsHistoryVisible(true)}>open-history</button>;
+}
+
+const operations = [
+  { type: 'move', originalPath: '/in/a.txt', newPath: '/out/a.txt' },
+  { type: 'move', originalPath: '/in/b.txt', newPath: '/out/b.txt' }
+];
+
+describe('UndoRedo selective undo', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    window.electronAPI = {
+      undoRedo: {
+        getState: jest.fn().mockResolvedValue({
+          stack: [
+            {
+              id: 'batch-1',
+              type: 'BATCH_ORGANIZE',
+              description: 'Organize 2 files',
+              timestamp: new Date().toISOString(),
+              metadata: { operationCount: 2, operations }
+            }
+          ],
+          pointer: 0,
+          canUndo: true,
+          canRedo: false
+        }),
+        onStateChanged: jest.fn(() => () => {}),
+        previewSelectiveUndo: jest.fn().mockResolvedValue({
+          success: true,
+          action: { id: 'batch-1', description: 'Organize 2 files', isLatest: true },
+          items: [
+            { index: 0, ...operations[0], conflicts: [] },
+            {
+              index: 1,
+              ...operations[1],
+              conflicts: [{ type: 'moved', message: 'Moved again by "Move b.txt to /archive"' }]
+            }
+          ],
+          readyCount: 1,
+          conflictCount: 1
+        }),
+        selectiveUndo: jest.fn().mockResolvedValue({
+          success: true,
+          results: [{ success: true, source: '/out/a.txt', destination: '/in/a.txt' }],
+          successCount: 1,
+          failCount: 0,
+          message: 'Undid 1 of 1 file from: Organize 2 files'
+        })
+      }
+    };
+  });
+
+  test('previews conflicts and undoes only the selected files', async () => {
+    render(
+      <UndoRedoProvider>
+        <OpenHistory />
+      </UndoRedoProvider>
+    );
+    await waitFor(() => expect(window.electronAPI.undoRedo.getState).toHaveBeenCalled());
+
+    fireEvent.click(screen.getByText('open-history'));
+    fireEvent.click(await screen.findByLabelText('Undo just Organize 2 files'));
+
+    expect(await screen.findByText('Moved again by "Move b.txt to /archive"')).toBeTruthy();
+    const checkboxes = screen.getAllByRole('checkbox');
+    expect(checkboxes.map((box) => box.checked)).toEqual([true, false]);
+    expect(checkboxes[1].disabled).toBe(true);
+
+    fireEvent.click(screen.getByText('Undo 1 file'));
+
+    await waitFor(() => {
+      expect(window.electronAPI.undoRedo.selectiveUndo).toHaveBeenCalledWith('batch-1', [0]);
+      expect(mockShowSuccess).toHaveBeenCalledWith('Undid 1 of 1 file from: Organize 2 files');
+    });
+    expect(mockDispatch).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'files/updateFilePathsAfterMove' })
+    );
+    // Back on the history list once the undo succeeds
+    await waitFor(() => expect(screen.queryAllByRole('checkbox')).toHaveLength(0));
+  });
+
+  test('shows an error and stays on the preview when nothing could be undone', async () => {
+    window.electronAPI.undoRedo.selectiveUndo.mockResolvedValueOnce({
+      success: false,
+      message: 'Nothing was undone'
+    });
+    render(
+      <UndoRedoProvider>
+        <OpenHistory />
+      </UndoRedoProvider>
+    );
+    await waitFor(() => expect(window.electronAPI.undoRedo.getState).toHaveBeenCalled());
+
+    fireEvent.click(screen.getByText('open-history'));
+    fireEvent.click(await screen.findByLabelText('Undo just Organize 2 files'));
+    fireEvent.click(await screen.findByText('Undo 1 file'));
+
+    await waitFor(() => {
+      expect(mockShowError).toHaveBeenCalledWith('Undo failed: Nothing was undone');
+    });
+    expect(screen.getAllByRole('checkbox')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for UpcomingRemindersModal component
+ * Tests grouping of deadline reminders, revealing files and dismissing reminders
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import UpcomingRemindersModal from '../src/renderer/components/UpcomingRemindersModal';
+
+const mockList = jest.fn();
+const mockUpdate = jest.fn();
+const mockOnUpdated = jest.fn();
+const mockReveal = jest.fn();
+window.electronAPI = {
+  knowledge: {
+    listReminders: mockList,
+    updateReminder: mockUpdate,
+    onRemindersUpdated: mockOnUpdated
+  },
+  files: { reveal: mockReveal }
+};
+
+const reminder = (overrides) => ({
+  id: 'r1',
+  kind: 'due',
+  date: '2026-03-02',
+  daysLeft: 1,
+  description: 'due tomorrow',
+  fileName: 'power-bill.pdf',
+  filePath: '/docs/power-bill.pdf',
+  documentType: 'Invoice',
+  dismissed: false,
+  ...overrides
+});
+
+describe('UpcomingRemindersModal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockList.mockResolvedValue({
+      success: true,
+      reminders: [
+        reminder({
+          id: 'r0',
+          fileName: 'old-bill.pdf',
+          daysLeft: -2,
+          description: 'overdue by 2 days'
+        }),
+        reminder(),
+        reminder({
+          id: 'r2',
+          kind: 'expires',
+          fileName: 'passport.pdf',
+          daysLeft: 45,
+          description: 'expires in 45 days'
+        })
+      ]
+    });
+    mockUpdate.mockResolvedValue({ success: true });
+    mockOnUpdated.mockReturnValue(jest.fn());
+  });
+
+  test('groups reminders into overdue, this week and later', async () => {
+    render(<UpcomingRemindersModal isOpen onClose={jest.fn()} />);
+
+    expect(await screen.findByText('power-bill.pdf')).toBeInTheDocument();
+    expect(screen.getByText('Overdue (1)')).toBeInTheDocument();
+    expect(screen.getByText('This week (1)')).toBeInTheDocument();
+    expect(screen.getByText('Later (1)')).toBeInTheDocument();
+    expect(screen.getByText('expires in 45 days')).toBeInTheDocument();
+  });
+
+  test('reveals the file and dismisses a reminder', async () => {
+    render(<UpcomingRemindersModal isOpen onClose={jest.fn()} />);
+    await screen.findByText('power-bill.pdf');
+
+    fireEvent.click(screen.getByLabelText('Show power-bill.pdf in folder'));
+    expect(mockReveal).toHaveBeenCalledWith('/docs/power-bill.pdf');
+
+    fireEvent.click(screen.getByLabelText('Dismiss reminder for power-bill.pdf'));
+    await waitFor(() => expect(mockUpdate).toHaveBeenCalledWith('r1', { dismissed: true }));
+    await waitFor(() => expect(mockList).toHaveBeenCalledTimes(2));
+    expect(await screen.findByText('power-bill.pdf')).toBeInTheDocument();
+  });
+
+  test('shows an empty state without reminders', async () => {
+    mockList.mockResolvedValue({ success: true, reminders: [] });
+    render(<UpcomingRemindersModal isOpen onClose={jest.fn()} />);
+
+    expect(await screen.findByText('No upcoming deadlines')).toBeInTheDocument();
+  });
+});
@@ -50,4 +50,67 @@ describe('AnalysisHistory IPC', () => {
     expect(exportResult.success).toBe(true);
     expect(exportResult.data).toBeDefined();
   });
+
+  test('GET_FACETS returns known categories and tags', async () => {
+    const registerAnalysisHistoryIpc = require('../src/main/ipc/analysisHistory');
+    const { IPC_CHANNELS } = require('../src/shared/constants');
+    const logger = { error: jest.fn(), info: jest.fn(), warn: jest.fn() };
+    const service = {
+      getCategories: jest.fn(async () => [{ name: 'Finance', count: 3 }]),
+      getTags: jest.fn(async () => [{ name: 'tax', count: 2 }])
+    };
+
+    registerAnalysisHistoryIpc({
+      ipcMain,
+      IPC_CHANNELS,
+      logger,
+      getServiceIntegration: () => ({ analysisHistory: service })
+    });
+
+    const hFacets = ipcMain._handlers.get(IPC_CHANNELS.ANALYSIS_HISTORY.GET_FACETS);
+    await expect(hFacets(null)).resolves.toEqual({
+      categories: [{ name: 'Finance', count: 3 }],
+      tags: [{ name: 'tax', count: 2 }]
+    });
+
+    service.getTags.mockRejectedValueOnce(new Error('index unavailable'));
+    await expect(hFacets(null)).resolves.toEqual({ categories: [], tags: [] });
+  });
+
+  test('EXPORT writes financial CSV and ledger formats', async () => {
+    const registerAnalysisHistoryIpc = require('../src/main/ipc/analysisHistory');
+    const { IPC_CHANNELS } = require('../src/shared/constants');
+    const logger = { error: jest.fn(), info: jest.fn(), warn: jest.fn() };
+    const service = {
+      getRecentAnalysis: jest.fn(async () => [
+        {
+          fileName: 'acme.pdf',
+          originalPath: '/docs/acme.pdf',
+          timestamp: '2026-01-02T00:00:00.000Z',
+          analysis: {
+            category: 'Finance',
+            documentDate: '2026-01-01',
+            financial: { profile: 'invoice', totalAmount: 119, taxAmount: 19, currency: 'EUR' }
+          }
+        },
+        { fileName: 'notes.txt', originalPath: '/docs/notes.txt', analysis: {} }
+      ])
+    };
+
+    registerAnalysisHistoryIpc({
+      ipcMain,
+      IPC_CHANNELS,
+      logger,
+      getServiceIntegration: () => ({ analysisHistory: service })
+    });
+    const hExport = ipcMain._handlers.get(IPC_CHANNELS.ANALYSIS_HISTORY.EXPORT);
+
+    const csv = await hExport(null, 'financial-csv');
+    expect(csv).toMatchObject({ success: true, mime: 'text/csv' });
+    expect(csv.data.split('\n')).toHaveLength(2);
+
+    const ledger = await hExport(null, 'ledger');
+    expect(ledger).toMatchObject({ success: true, filename: 'financial-records.ledger' });
+    expect(ledger.data).toContain('Expenses:Tax');
+  });
 });
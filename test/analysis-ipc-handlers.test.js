@@ -266,7 +266,6 @@ describe('Analysis IPC Handlers', () => {
         null,
         '/path/to/img.png',
         expect.objectContaining({
-          lang: 'eng',
           oem: 1,
           psm: 3
         })
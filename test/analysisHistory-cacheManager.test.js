@@ -293,4 +293,33 @@ describe('cacheManager', () => {
       expect(cache.incrementalStats.initialized).toBe(true);
     });
   });
+
+  describe('notifyAnalysisComplete', () => {
+    test('publishes one analysis-complete event per saved entry', () => {
+      const bus = require('../src/shared/cacheInvalidation').getInstance();
+      const spy = jest.spyOn(bus, 'notifyAnalysisComplete').mockImplementation(() => {});
+
+      cacheManager.notifyAnalysisComplete([
+        {
+          id: 'a',
+          originalPath: '/docs/a.pdf',
+          analysis: {
+            category: 'Finance',
+            documentType: 'Invoice',
+            keyDates: { due: '2024-03-31' }
+          }
+        },
+        { id: 'b', originalPath: '' }
+      ]);
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy).toHaveBeenCalledWith('/docs/a.pdf', {
+        entryId: 'a',
+        category: 'Finance',
+        documentType: 'Invoice',
+        entity: null,
+        keyDates: { due: '2024-03-31' }
+      });
+    });
+  });
 });
@@ -0,0 +1,121 @@
+/**
+ * Tests for the photo duplicate finder built on stored perceptual hashes
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+jest.mock('fs', () => ({
+  promises: {
+    stat: jest.fn(),
+    readFile: jest.fn(async () => {
+      throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+    })
+  }
+}));
+
+const mockAccessSettings = { exclusionPatterns: [], privacyZones: [] };
+jest.mock('../src/main/services/FileAccessPolicy', () => {
+  const FileAccessPolicy = jest.requireActual('../src/main/services/FileAccessPolicy');
+  const policy = new FileAccessPolicy({
+    settingsService: { load: async () => mockAccessSettings }
+  });
+  return { getInstance: () => policy };
+});
+
+jest.mock('../src/main/utils/perceptualHash', () => {
+  const actual = jest.requireActual('../src/main/utils/perceptualHash');
+  return { ...actual, computeImageFingerprint: jest.fn() };
+});
+
+const fs = require('fs').promises;
+const { computeImageFingerprint } = require('../src/main/utils/perceptualHash');
+const { findSimilarImages } = require('../src/main/services/analysisHistory/similarImages');
+
+const print = (pHash, width = 1000) => ({
+  aHash: pHash,
+  dHash: pHash,
+  pHash,
+  width,
+  height: width,
+  sharpness: 100
+});
+
+describe('analysisHistory similarImages', () => {
+  let historyService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockAccessSettings.privacyZones = [];
+    mockAccessSettings.exclusionPatterns = [];
+    historyService = {
+      getImageFingerprints: jest.fn().mockResolvedValue([
+        { entryId: 'a', path: '/p/a.jpg', name: 'a.jpg', fingerprint: print('0f0f0f0f0f0f0f0f') },
+        { entryId: 'b', path: '/p/b.jpg', name: 'b.jpg', fingerprint: null },
+        {
+          entryId: 'c',
+          path: '/p/gone.jpg',
+          name: 'gone.jpg',
+          fingerprint: print('0f0f0f0f0f0f0f0f')
+        },
+        { entryId: 'd', path: '/p/d.jpg', name: 'd.jpg', fingerprint: print('f0f0f0f0f0f0f0f0') }
+      ]),
+      setPerceptualHashes: jest.fn().mockResolvedValue({ updated: 1 })
+    };
+    fs.stat.mockImplementation(async (filePath) => {
+      if (filePath === '/p/gone.jpg') throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+      return { size: 5000 };
+    });
+    computeImageFingerprint.mockResolvedValue(print('0f0f0f0f0f0f0f0e', 400));
+  });
+
+  test('backfills missing fingerprints, skips missing files and groups look-alikes', async () => {
+    const result = await findSimilarImages(historyService);
+
+    expect(computeImageFingerprint).toHaveBeenCalledWith('/p/b.jpg');
+    expect(historyService.setPerceptualHashes).toHaveBeenCalledWith([
+      { entryId: 'b', fingerprint: expect.objectContaining({ pHash: '0f0f0f0f0f0f0f0e' }) }
+    ]);
+    expect(result).toMatchObject({ success: true, totalImages: 3, backfilled: 1 });
+    expect(result.groups).toHaveLength(1);
+    expect(result.groups[0].members.map((member) => member.path)).toEqual(['/p/a.jpg', '/p/b.jpg']);
+    expect(result.groups[0].bestPick).not.toHaveProperty('entryId');
+  });
+
+  test('never fingerprints or returns private and excluded images', async () => {
+    mockAccessSettings.privacyZones = ['/private'];
+    mockAccessSettings.exclusionPatterns = ['*.raw.jpg'];
+    historyService.getImageFingerprints.mockResolvedValue([
+      { entryId: 'a', path: '/p/a.jpg', name: 'a.jpg', fingerprint: print('0f0f0f0f0f0f0f0f') },
+      { entryId: 'b', path: '/private/b.jpg', name: 'b.jpg', fingerprint: null },
+      {
+        entryId: 'c',
+        path: '/private/c.jpg',
+        name: 'c.jpg',
+        fingerprint: print('0f0f0f0f0f0f0f0f')
+      },
+      { entryId: 'd', path: '/p/d.raw.jpg', name: 'd.raw.jpg', fingerprint: null }
+    ]);
+
+    const result = await findSimilarImages(historyService);
+
+    expect(computeImageFingerprint).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ totalImages: 1, backfilled: 0, groups: [] });
+  });
+
+  test('respects the backfill limit', async () => {
+    const result = await findSimilarImages(historyService, { backfillLimit: 0 });
+
+    expect(computeImageFingerprint).not.toHaveBeenCalled();
+    expect(historyService.setPerceptualHashes).not.toHaveBeenCalled();
+    expect(result.groups).toHaveLength(0);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the document timeline built from analysis history
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const {
+  getTimeline,
+  resolveTimelineDate
+} = require('../src/main/services/analysisHistory/timeline');
+
+const entry = (id, overrides = {}) => ({
+  id,
+  timestamp: '2025-01-01T00:00:00.000Z',
+  originalPath: `/docs/${id}.pdf`,
+  fileName: `${id}.pdf`,
+  lastModified: Date.UTC(2023, 5, 15),
+  analysis: {},
+  organization: {},
+  ...overrides
+});
+
+describe('analysisHistory timeline', () => {
+  let historyService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    historyService = {
+      initialize: jest.fn().mockResolvedValue(undefined),
+      searchAnalysis: jest.fn().mockResolvedValue([]),
+      analysisHistory: {
+        entries: {
+          invoice: entry('invoice', {
+            analysis: {
+              documentDate: '2024-02-10',
+              tags: ['Finance', 'invoice'],
+              entity: 'Acme Corp',
+              keyEntities: ['Jane Doe']
+            },
+            organization: { actual: '/sorted/Finance/invoice.pdf', smartFolder: 'Finance' }
+          }),
+          contract: entry('contract', {
+            analysis: { date: '2022-07-01', tags: ['legal'], keyEntities: ['Acme Corp'] },
+            organization: { smartFolder: { name: 'Legal' } }
+          }),
+          notes: entry('notes', { analysis: { tags: ['finance'] } }),
+          stale: entry('stale-invoice', {
+            timestamp: '2024-01-01T00:00:00.000Z',
+            originalPath: '/sorted/Finance/invoice.pdf',
+            analysis: { documentDate: '1999-01-01' }
+          })
+        }
+      }
+    };
+  });
+
+  test('resolveTimelineDate falls back from document date to mtime to analysis time', () => {
+    expect(resolveTimelineDate({ analysis: { documentDate: '2024-02-10T00:00:00Z' } })).toEqual({
+      date: '2024-02-10',
+      dateSource: 'document'
+    });
+    expect(resolveTimelineDate({ lastModified: Date.UTC(2023, 5, 15) })).toEqual({
+      date: '2023-06-15',
+      dateSource: 'modified'
+    });
+    expect(resolveTimelineDate({ timestamp: '2025-01-01T10:00:00Z' })).toEqual({
+      date: '2025-01-01',
+      dateSource: 'analyzed'
+    });
+    expect(resolveTimelineDate({})).toBeNull();
+  });
+
+  test('returns the newest entry per file in date order with facets', async () => {
+    const result = await getTimeline(historyService);
+
+    expect(result.success).toBe(true);
+    expect(result.items.map((item) => [item.name, item.date, item.dateSource])).toEqual([
+      ['contract.pdf', '2022-07-01', 'document'],
+      ['notes.pdf', '2023-06-15', 'modified'],
+      ['invoice.pdf', '2024-02-10', 'document']
+    ]);
+    expect(result.range).toEqual({ from: '2022-07-01', to: '2024-02-10' });
+    expect(result.items[0].smartFolder).toBe('Legal');
+    expect(result.facets.tags[0]).toEqual({ value: 'finance', label: 'Finance', count: 2 });
+    expect(result.facets.entities[0]).toEqual({
+      value: 'entity:acme',
+      label: 'Acme Corp',
+      count: 2
+    });
+  });
+
+  test('filters by smart folder, tag and entity', async () => {
+    const byFolder = await getTimeline(historyService, { smartFolder: 'legal' });
+    expect(byFolder.items.map((item) => item.name)).toEqual(['contract.pdf']);
+
+    const byTag = await getTimeline(historyService, { tag: 'FINANCE' });
+    expect(byTag.items.map((item) => item.name)).toEqual(['notes.pdf', 'invoice.pdf']);
+
+    const byEntity = await getTimeline(historyService, { entity: 'entity:acme' });
+    expect(byEntity.items.map((item) => item.name)).toEqual(['contract.pdf', 'invoice.pdf']);
+
+    const byName = await getTimeline(historyService, { entity: 'Jane Doe' });
+    expect(byName.items.map((item) => item.name)).toEqual(['invoice.pdf']);
+    // Facets still describe every file so other filters stay selectable
+    expect(byName.facets.smartFolders).toHaveLength(2);
+  });
+
+  test('restricts to text query matches', async () => {
+    historyService.searchAnalysis.mockResolvedValue([{ id: 'notes' }]);
+
+    const result = await getTimeline(historyService, { query: ' meeting ' });
+
+    expect(historyService.searchAnalysis).toHaveBeenCalledWith('meeting', {
+      limit: expect.any(Number),
+      semantic: false
+    });
+    expect(result.items.map((item) => item.name)).toEqual(['notes.pdf']);
+  });
+
+  test('keeps the newest items when over the limit', async () => {
+    const result = await getTimeline(historyService, { limit: 2 });
+
+    expect(result.total).toBe(3);
+    expect(result.truncated).toBe(true);
+    expect(result.items.map((item) => item.name)).toEqual(['notes.pdf', 'invoice.pdf']);
+    expect(result.range).toEqual({ from: '2023-06-15', to: '2024-02-10' });
+  });
+});
@@ -397,7 +397,6 @@ describe('registerAnalysisIpc', () => {
         null,
         expect.stringContaining('scan.png'),
         expect.objectContaining({
-          lang: 'eng',
           oem: 1,
           psm: 3
         })
@@ -4,6 +4,9 @@ describe('Extended Analysis Schema', () => {
   test('ANALYSIS_SCHEMA_PROMPT should be an object with required fields', () => {
     expect(typeof ANALYSIS_SCHEMA_PROMPT).toBe('object');
     expect(ANALYSIS_SCHEMA_PROMPT).toHaveProperty('date');
+    expect(ANALYSIS_SCHEMA_PROMPT.keyDates).toEqual(
+      expect.objectContaining({ due: expect.any(String), expires: expect.any(String) })
+    );
     expect(ANALYSIS_SCHEMA_PROMPT).toHaveProperty('entity');
     expect(ANALYSIS_SCHEMA_PROMPT).toHaveProperty('type');
     expect(ANALYSIS_SCHEMA_PROMPT).toHaveProperty('category');
@@ -19,6 +22,7 @@ describe('Extended Analysis Schema', () => {
   test('DEFAULT_ANALYSIS_RESULT should define default values', () => {
     expect(DEFAULT_ANALYSIS_RESULT).toEqual({
       date: null,
+      keyDates: null,
       entity: null,
       type: 'Document',
       category: 'Uncategorized',
@@ -92,6 +92,23 @@ describe('analysisUtils', () => {
     expect(analysisHistory.recordAnalysis).toHaveBeenCalled();
   });
 
+  test('recordAnalysisResult keeps the detected language', async () => {
+    const analysisHistory = { recordAnalysis: jest.fn() };
+    await recordAnalysisResult({
+      filePath: 'C:\\scan.png',
+      result: { category: 'docs', language: 'de' },
+      processingTime: 10,
+      modelType: 'vision',
+      analysisHistory,
+      logger: { warn: jest.fn() }
+    });
+
+    expect(analysisHistory.recordAnalysis).toHaveBeenCalledWith(
+      expect.objectContaining({ path: 'C:\\scan.png' }),
+      expect.objectContaining({ language: 'de' })
+    );
+  });
+
   test('getFolderCategories handles errors', () => {
     const logger = { warn: jest.fn() };
     const result = getFolderCategories(
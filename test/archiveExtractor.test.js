@@ -0,0 +1,248 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  return { createLogger: jest.fn(() => logger) };
+});
+
+jest.mock('../src/main/analysis/documentExtractors', () => ({
+  extractTextFromPdf: jest.fn(async () => 'Invoice 1042 from Acme Corp. Total due 500 EUR.'),
+  extractTextFromDocx: jest.fn(async () => 'Statement of work for the Acme redesign project.'),
+  extractPlainTextFromHtml: jest.fn((raw) => raw),
+  extractPlainTextFromXml: jest.fn((raw) => raw),
+  extractPlainTextFromRtf: jest.fn((raw) => raw)
+}));
+
+const {
+  extractArchiveContents,
+  isSafeEntryPath,
+  ARCHIVE_LIMITS
+} = require('../src/main/analysis/archiveExtractor');
+const extractors = require('../src/main/analysis/documentExtractors');
+
+describe('archiveExtractor', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-extractor-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeZip(name, files) {
+    const zip = new AdmZip();
+    for (const [entryName, content] of Object.entries(files)) {
+      zip.addFile(entryName, Buffer.from(content));
+    }
+    const zipPath = path.join(tmpDir, name);
+    zip.writeZip(zipPath);
+    return zipPath;
+  }
+
+  test('extracts supported inner documents from a zip and rolls them up', async () => {
+    const zipPath = writeZip('deliverables.zip', {
+      'docs/invoice.pdf': '%PDF-fake',
+      'docs/sow.docx': 'PK-fake',
+      'notes/readme.txt': 'Kickoff notes for Acme',
+      'assets/logo.bin': 'binary'
+    });
+
+    const result = await extractArchiveContents(zipPath);
+
+    expect(extractors.extractTextFromPdf).toHaveBeenCalledWith(expect.any(String), 'invoice.pdf');
+    expect(extractors.extractTextFromDocx).toHaveBeenCalled();
+    expect(result.format).toBe('zip');
+    expect(result.contents.totalEntries).toBe(4);
+    expect(result.contents.extractedCount).toBe(3);
+    expect(result.contents.skipped.unsupported).toBe(1);
+    expect(result.combinedText).toContain('--- docs/invoice.pdf ---');
+    expect(result.combinedText).toContain('Kickoff notes for Acme');
+    expect(result.keywords).toEqual(expect.arrayContaining(['invoice', 'sow']));
+    const invoiceEntry = result.contents.entries.find((e) => e.path === 'docs/invoice.pdf');
+    expect(invoiceEntry).toEqual(
+      expect.objectContaining({ extracted: true, excerpt: expect.stringContaining('Invoice 1042') })
+    );
+  });
+
+  test('never writes entries outside the sandbox and cleans it up', async () => {
+    const zipPath = writeZip('traversal.zip', { 'safe.txt': 'hello world' });
+    // adm-zip normalizes names on addFile, so patch the entry name after the fact
+    const zip = new AdmZip(zipPath);
+    zip.getEntries()[0].entryName = '../../escape.txt';
+    zip.writeZip(zipPath);
+
+    const before = fs.readdirSync(os.tmpdir()).filter((n) => n.startsWith('stratosort-archive-'));
+    const result = await extractArchiveContents(zipPath);
+    const after = fs.readdirSync(os.tmpdir()).filter((n) => n.startsWith('stratosort-archive-'));
+
+    expect(result.contents.skipped.unsafe).toBe(1);
+    expect(result.contents.extractedCount).toBe(0);
+    expect(result.combinedText).toBe('');
+    expect(after).toEqual(before);
+  });
+
+  test('skips entries whose compression ratio looks like a zip bomb', async () => {
+    const zipPath = writeZip('bomb.zip', {
+      'huge.txt': 'A'.repeat(ARCHIVE_LIMITS.RATIO_CHECK_MIN_BYTES * 4)
+    });
+
+    const result = await extractArchiveContents(zipPath);
+
+    expect(result.contents.skipped.oversized).toBe(1);
+    expect(result.contents.extractedCount).toBe(0);
+  });
+
+  test('charges the extraction budget with decompressed bytes, not declared sizes', async () => {
+    const zipPath = writeZip('understated.zip', {
+      'a.txt': 'alpha '.repeat(10000),
+      'b.txt': 'bravo '.repeat(10000),
+      'c.txt': 'charlie '.repeat(10000)
+    });
+    // Claim every entry is tiny so the header sizes fit any budget
+    const zip = new AdmZip(zipPath);
+    for (const entry of zip.getEntries()) {
+      entry.getCompressedData();
+      entry.header.size = 10;
+    }
+    zip.writeZip(zipPath);
+    const originalBudget = ARCHIVE_LIMITS.MAX_EXTRACT_TOTAL_BYTES;
+    ARCHIVE_LIMITS.MAX_EXTRACT_TOTAL_BYTES = 100000;
+
+    try {
+      const result = await extractArchiveContents(zipPath);
+
+      expect(result.contents.extractedCount).toBe(1);
+      expect(result.contents.skipped.limit).toBe(2);
+      expect(result.combinedText).toContain('alpha');
+      expect(result.combinedText).not.toContain('bravo');
+    } finally {
+      ARCHIVE_LIMITS.MAX_EXTRACT_TOTAL_BYTES = originalBudget;
+    }
+  });
+
+  test('extracts documents from a gzipped tarball', async () => {
+    const tar = require('tar');
+    const srcDir = path.join(tmpDir, 'src');
+    fs.mkdirSync(path.join(srcDir, 'reports'), { recursive: true });
+    fs.writeFileSync(path.join(srcDir, 'reports', 'summary.md'), '# Quarterly summary for Acme');
+    fs.writeFileSync(path.join(srcDir, 'reports', 'invoice.pdf'), '%PDF-fake');
+    const tarPath = path.join(tmpDir, 'bundle.tar.gz');
+    await tar.c({ gzip: true, file: tarPath, cwd: srcDir }, ['reports']);
+
+    const result = await extractArchiveContents(tarPath);
+
+    expect(result.format).toBe('tar.gz');
+    expect(result.contents.extractedCount).toBe(2);
+    expect(result.combinedText).toContain('Quarterly summary for Acme');
+    expect(result.combinedText).toContain('Invoice 1042');
+  });
+
+  test('decompresses a single-file .gz', async () => {
+    const gzPath = path.join(tmpDir, 'server.log.gz');
+    fs.writeFileSync(gzPath, zlib.gzipSync(Buffer.from('2024-01-01 request served')));
+
+    const result = await extractArchiveContents(gzPath);
+
+    expect(result.format).toBe('gz');
+    expect(result.contents.entries[0].path).toBe('server.log');
+    expect(result.combinedText).toContain('request served');
+  });
+
+  // Node has no bzip2 encoder; these were produced with Python's bz2 module
+  const BZIP2_FIXTURES = {
+    // reports/summary.md and reports/invoice.pdf
+    tarball:
+      'QlpoOTFBWSZTWVgUWocAAO7/kMqAAEBKA/+AJQNgQG8v3yAEAAQIMAC5tiFNDQBoAAaNAGjQI0SZCMNIPUYATRiNGmEVImmTQZGQADQADS30NnHFQVyzMxZAVhGIjnry3XMTRD5Z2mTPGzgpBWCElf0/G2Kj46C8iUsAQ38OWF1sEGgyDCDaUUDK0w8tZk4w5hIECwUaRvDsamcCUpCoQuB2CAGBxUkOdSKSROQt7bwK47acDp0wG9KAxxC8Azc2+x1drZLGxllYGVoaqpB6tIfIj623LYY0Q/i7kinChILAotQ4',
+    // "2024-01-01 request served"
+    log: 'QlpoOTFBWSZTWbKgiZQAAASZgEACdAAGAD8AIAAiJ6mT1MmahAAAewYYlujcq8UYAHXPi7kinChIWVBEygA=',
+    // 8MB of "A"
+    bomb: 'QlpoOTFBWSZTWRWON/EAQEAEgKAAAAQACCAAMMwFKaYBANiAgHi7kinChICscb+I'
+  };
+
+  function writeFixture(name, base64) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, Buffer.from(base64, 'base64'));
+    return filePath;
+  }
+
+  test('extracts documents from a bzip2 tarball', async () => {
+    const tarPath = writeFixture('bundle.tar.bz2', BZIP2_FIXTURES.tarball);
+
+    const result = await extractArchiveContents(tarPath);
+
+    expect(result.format).toBe('tar.bz2');
+    expect(result.contents.extractedCount).toBe(2);
+    expect(result.combinedText).toContain('Quarterly summary for Acme');
+    expect(result.combinedText).toContain('Invoice 1042');
+  });
+
+  test('decompresses a single-file .bz2', async () => {
+    const bzPath = writeFixture('server.log.bz2', BZIP2_FIXTURES.log);
+
+    const result = await extractArchiveContents(bzPath);
+
+    expect(result.format).toBe('bz2');
+    expect(result.contents.entries[0].path).toBe('server.log');
+    expect(result.combinedText).toContain('request served');
+  });
+
+  test('stops decompressing a .bz2 whose ratio looks like a bomb', async () => {
+    const bzPath = writeFixture('filler.txt.bz2', BZIP2_FIXTURES.bomb);
+
+    const result = await extractArchiveContents(bzPath);
+
+    expect(result.contents.bombSuspected).toBe(true);
+    expect(result.contents.extractedCount).toBe(0);
+  });
+
+  test('reports listing-only formats without attempting extraction', async () => {
+    const rarPath = path.join(tmpDir, 'backup.rar');
+    fs.writeFileSync(rarPath, 'Rar!');
+
+    const result = await extractArchiveContents(rarPath);
+
+    expect(result.summary).toMatch(/RAR archive \(content extraction not supported/);
+    expect(result.combinedText).toBe('');
+    expect(result.contents).toBeNull();
+  });
+
+  test('degrades to an unavailable summary for corrupt archives', async () => {
+    const zipPath = path.join(tmpDir, 'corrupt.zip');
+    fs.writeFileSync(zipPath, 'not a zip');
+
+    const result = await extractArchiveContents(zipPath);
+
+    expect(result.summary).toBe('ZIP archive (content listing unavailable)');
+    expect(result.combinedText).toBe('');
+  });
+
+  describe('isSafeEntryPath', () => {
+    test.each([
+      ['docs/a.pdf', true],
+      ['a..b/file.txt', true],
+      ['../etc/passwd', false],
+      ['docs/../../x', false],
+      ['/abs/path', false],
+      ['C:\\\\Windows\\\\x', false],
+      ['bad\0name', false],
+      ['', false]
+    ])('%s -> %s', (name, expected) => {
+      expect(isSafeEntryPath(name)).toBe(expected);
+    });
+  });
+});
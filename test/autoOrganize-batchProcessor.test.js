@@ -340,6 +340,51 @@ describe('AutoOrganize Batch Processor', () => {
   });
 
   describe('batchOrganize', () => {
+    test('routes rule matches before requesting AI suggestions', async () => {
+      mockSuggestionService.getBatchSuggestions.mockResolvedValueOnce({
+        success: true,
+        groups: []
+      });
+      const smartFolders = [
+        { id: 'docs', name: 'Documents', path: '/docs/Documents', isDefault: true },
+        {
+          id: 'inv',
+          name: 'Invoices',
+          path: '/docs/Finance/Invoices',
+          rules: [
+            {
+              id: 'r1',
+              name: 'Invoice type',
+              conditions: [{ field: 'type', operator: 'equals', value: 'invoice' }]
+            }
+          ]
+        }
+      ];
+      const files = [
+        { name: 'a.pdf', path: '/src/a.pdf', analysis: { type: 'Invoice' } },
+        { name: 'b.pdf', path: '/src/b.pdf', analysis: { type: 'Letter' } }
+      ];
+
+      const result = await batchOrganize(
+        files,
+        smartFolders,
+        { defaultLocation: '/default', preserveNames: true },
+        mockSuggestionService
+      );
+
+      expect(mockSuggestionService.getBatchSuggestions).toHaveBeenCalledWith(
+        [files[1]],
+        smartFolders
+      );
+      expect(result.groups[0]).toMatchObject({
+        folder: 'Invoices',
+        autoApproved: true,
+        matchedRule: { ruleId: 'r1', folderId: 'inv' }
+      });
+      expect(result.operations).toHaveLength(1);
+      expect(result.operations[0].source).toBe('/src/a.pdf');
+    });
+
     test('processes batch with auto-approve threshold', async () => {
       mockSuggestionService.getBatchSuggestions.mockResolvedValueOnce({
         success: true,
@@ -36,7 +36,8 @@ jest.mock('../src/main/services/autoOrganize/namingUtils', () => ({
 jest.mock('../src/main/services/autoOrganize/folderOperations', () => ({
   buildDestinationPath: jest.fn((file, suggestion) => `${suggestion.path}/${file.name}`),
   getFallbackDestination: jest.fn(),
-  findDefaultFolder: jest.fn()
+  findDefaultFolder: jest.fn(),
+  attachTemplateTimestamps: jest.fn((files) => Promise.resolve(files))
 }));
 
 describe('autoOrganize/fileProcessor (edge cases)', () => {
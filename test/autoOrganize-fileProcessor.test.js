@@ -51,6 +51,7 @@ jest.mock('../src/main/analysis/imageAnalysis', () => ({
 
 describe('AutoOrganize File Processor', () => {
   let generateSecureId;
+  let processFilesByRules;
   let processFilesWithoutAnalysis;
   let processFilesIndividually;
   let processNewFile;
@@ -88,6 +89,7 @@ describe('AutoOrganize File Processor', () => {
 
     const module = require('../src/main/services/autoOrganize/fileProcessor');
     generateSecureId = module.generateSecureId;
+    processFilesByRules = module.processFilesByRules;
     processFilesWithoutAnalysis = module.processFilesWithoutAnalysis;
     processFilesIndividually = module.processFilesIndividually;
     processNewFile = module.processNewFile;
@@ -103,6 +105,56 @@ describe('AutoOrganize File Processor', () => {
     });
   });
 
+  describe('processFilesByRules', () => {
+    const ruleFolders = [
+      { id: 'docs', name: 'Documents', path: '/docs/Documents', isDefault: true },
+      {
+        id: 'cad',
+        name: 'Acme CAD',
+        path: '/docs/Clients/Acme/CAD',
+        rules: [
+          {
+            id: 'r1',
+            name: 'Acme drawings',
+            match: 'all',
+            conditions: [
+              { field: 'extension', operator: 'equals', value: '.dwg' },
+              { field: 'entity', operator: 'contains', value: 'acme' }
+            ]
+          }
+        ]
+      }
+    ];
+
+    test('routes matching files by rule and returns the rest', async () => {
+      const results = { organized: [], needsReview: [], failed: [], operations: [] };
+      const files = [
+        { name: 'site.dwg', path: '/in/site.dwg', analysis: { entity: 'Acme Corp' } },
+        { name: 'other.dwg', path: '/in/other.dwg', analysis: { entity: 'Globex' } }
+      ];
+
+      const remaining = await processFilesByRules(
+        files,
+        ruleFolders,
+        { defaultLocation: '/docs', preserveNames: true },
+        results
+      );
+
+      expect(remaining.map((f) => f.name)).toEqual(['other.dwg']);
+      expect(results.organized).toHaveLength(1);
+      expect(results.organized[0]).toMatchObject({
+        method: 'rule',
+        confidence: 1,
+        matchedRule: { ruleId: 'r1', ruleName: 'Acme drawings', folderId: 'cad' }
+      });
+      expect(results.operations[0].destination.replace(/\\/g, '/')).toBe(
+        '/docs/Clients/Acme/CAD/site.dwg'
+      );
+      // Name-only rules never need a stat
+      expect(mockFs.stat).not.toHaveBeenCalled();
+    });
+  });
+
   describe('processFilesWithoutAnalysis', () => {
     test('queues files for review when no default smart folder exists', async () => {
       const files = [
@@ -508,6 +560,45 @@ describe('AutoOrganize File Processor', () => {
       expect(result).toBeDefined();
     });
 
+    test('applies smart folder rules before AI suggestions', async () => {
+      const result = await processNewFile(
+        '/path/to/INV-2041.pdf',
+        [
+          { id: 'docs', name: 'Documents', path: '/docs/Documents', isDefault: true },
+          {
+            id: 'inv',
+            name: 'Invoices',
+            path: '/docs/Finance/Invoices',
+            rules: [
+              {
+                id: 'r-inv',
+                name: 'Invoice numbers',
+                conditions: [{ field: 'fileName', operator: 'matches', value: '/^INV-\\d+/' }]
+              }
+            ]
+          }
+        ],
+        {
+          autoOrganizeEnabled: true,
+          confidenceThreshold: 0.99,
+          defaultLocation: '/docs'
+        },
+        mockSuggestionService,
+        mockUndoRedo
+      );
+
+      expect(mockSuggestionService.getSuggestionsForFile).not.toHaveBeenCalled();
+      expect(result.destination.replace(/\\/g, '/')).toBe('/docs/Finance/Invoices/INV-2041.pdf');
+      expect(result.confidence).toBe(1);
+      expect(result.matchedRule).toEqual({
+        ruleId: 'r-inv',
+        ruleName: 'Invoice numbers',
+        folderId: 'inv',
+        folderName: 'Invoices'
+      });
+      expect(result.undoAction.description).toContain('rule: Invoice numbers');
+    });
+
     test('adjusts destination when target file already exists', async () => {
       mockFs.access.mockImplementation(async (targetPath) => {
         if (targetPath === '/path/to/file.pdf') return undefined; // source exists
@@ -15,7 +15,8 @@ jest.mock('electron', () => ({
 // Mock fs
 const mockFs = {
   mkdir: jest.fn().mockResolvedValue(undefined),
-  lstat: jest.fn()
+  lstat: jest.fn(),
+  stat: jest.fn()
 };
 jest.mock('fs', () => ({
   promises: mockFs
@@ -38,6 +39,7 @@ describe('AutoOrganize Folder Operations', () => {
   let createDefaultFolder;
   let getFallbackDestination;
   let buildDestinationPath;
+  let attachTemplateTimestamps;
 
   beforeEach(() => {
     jest.clearAllMocks();
@@ -52,6 +54,7 @@ describe('AutoOrganize Folder Operations', () => {
     createDefaultFolder = module.createDefaultFolder;
     getFallbackDestination = module.getFallbackDestination;
     buildDestinationPath = module.buildDestinationPath;
+    attachTemplateTimestamps = module.attachTemplateTimestamps;
   });
 
   describe('isUNCPath', () => {
@@ -239,5 +242,98 @@ describe('AutoOrganize Folder Operations', () => {
 
       expect(result).toContain('original.pdf');
     });
+
+    test('appends the resolved subpath template', () => {
+      const file = {
+        name: 'scan.pdf',
+        analysis: { entity: 'Acme: Corp', date: '2025-07-01' }
+      };
+      const suggestion = { path: '/target/Invoices', subpathTemplate: '{entity}/{year}' };
+
+      const result = buildDestinationPath(file, suggestion, '/default', true);
+
+      expect(result).toBe(path.join('/target/Invoices', 'Acme Corp', '2025', 'scan.pdf'));
+    });
+
+    test('ignores templates that resolve to nothing', () => {
+      const file = { name: 'scan.pdf', analysis: {} };
+      const suggestion = { path: '/target/Invoices', subpathTemplate: '{entity}' };
+
+      const result = buildDestinationPath(file, suggestion, '/default', true);
+
+      expect(result).toBe(path.join('/target/Invoices', 'scan.pdf'));
+    });
+
+    test('names the file from the smart folder naming template', () => {
+      const file = {
+        name: 'scan.pdf',
+        analysis: { entity: 'Acme Corp', type: 'Invoice', date: '2025-07-01', suggestedName: 'x' }
+      };
+      const suggestion = {
+        path: '/target/Invoices',
+        namingTemplate: '{date:YYYYMMDD}_{entity}_{type}'
+      };
+
+      expect(buildDestinationPath(file, suggestion, '/default', false)).toBe(
+        path.join('/target/Invoices', '20250701_Acme Corp_Invoice.pdf')
+      );
+      // preserveNames wins over the folder template
+      expect(buildDestinationPath(file, suggestion, '/default', true)).toBe(
+        path.join('/target/Invoices', 'scan.pdf')
+      );
+    });
+  });
+
+  describe('attachTemplateTimestamps', () => {
+    test('stats files only when a template needs timestamps', async () => {
+      const modified = new Date(2024, 4, 1);
+      mockFs.stat.mockResolvedValue({ birthtime: modified, mtime: modified });
+      const files = [{ path: '/in/a.pdf' }, { path: '/in/b.pdf', created: 1, modified: 2 }];
+
+      await attachTemplateTimestamps(files, [{ subpathTemplate: '{entity}' }]);
+      expect(mockFs.stat).not.toHaveBeenCalled();
+
+      await attachTemplateTimestamps(files, [{ subpathTemplate: '{entity}/{year}' }]);
+      expect(mockFs.stat).toHaveBeenCalledTimes(1);
+      expect(files[0]).toMatchObject({ created: modified, modified });
+    });
+
+    test('labels photo events across the batch when a template uses {event}', async () => {
+      const photo = (capturedAt, city) => ({
+        analysis: { photo: { capturedAt, place: city ? { city } : null } }
+      });
+      const files = [
+        {
+          path: '/in/1.jpg',
+          name: '1.jpg',
+          created: 1,
+          modified: 1,
+          ...photo('2025-07-14T10:00:00', 'Lisbon')
+        },
+        {
+          path: '/in/2.jpg',
+          name: '2.jpg',
+          created: 1,
+          modified: 1,
+          ...photo('2025-07-15T09:00:00', null)
+        },
+        { path: '/in/doc.pdf', created: 1, modified: 1, analysis: {} }
+      ];
+
+      await attachTemplateTimestamps(files, [{ subpathTemplate: 'Photos/{year}/{event}' }]);
+      expect(files.map((file) => file.photoEvent)).toEqual([
+        '2025-07 Lisbon',
+        '2025-07 Lisbon',
+        undefined
+      ]);
+
+      const destination = buildDestinationPath(
+        files[1],
+        { path: '/smart/Photos', subpathTemplate: '{event}' },
+        '/default',
+        true
+      );
+      expect(destination).toBe(path.join('/smart/Photos', '2025-07 Lisbon', '2.jpg'));
+    });
   });
 });
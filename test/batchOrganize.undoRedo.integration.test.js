@@ -131,4 +131,181 @@ describe('batch organize -> undo/redo (integration)', () => {
     await expect(fs.readFile('/tmp/batch/src/b.txt', 'utf8')).resolves.toBe('B');
     await expect(fs.readFile('/tmp/batch/dst/a.txt', 'utf8')).rejects.toBeTruthy();
   });
+
+  test('undo removes subpath directories created by the batch', async () => {
+    const { handleBatchOrganize } = require('../src/main/ipc/files/batchOrganizeHandler');
+    const UndoRedoService = require('../src/main/services/UndoRedoService');
+
+    await fs.mkdir('/tmp/subpath/src', { recursive: true });
+    await fs.mkdir('/tmp/subpath/Invoices', { recursive: true });
+    await fs.writeFile('/tmp/subpath/src/a.txt', 'A');
+
+    const undoRedo = new UndoRedoService({ maxActions: 20, maxBatchSize: 100 });
+    const result = await handleBatchOrganize({
+      operation: {
+        type: 'batch_organize',
+        operations: [
+          { source: '/tmp/subpath/src/a.txt', destination: '/tmp/subpath/Invoices/Acme/2025/a.txt' }
+        ]
+      },
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+      getServiceIntegration: () => ({ undoRedo }),
+      getMainWindow: () => null
+    });
+
+    expect(result.success).toBe(true);
+    expect(undoRedo.actions[undoRedo.currentIndex].data.createdDirectories).toEqual([
+      '/tmp/subpath/Invoices/Acme',
+      '/tmp/subpath/Invoices/Acme/2025'
+    ]);
+
+    await undoRedo.undo();
+
+    await expect(fs.readFile('/tmp/subpath/src/a.txt', 'utf8')).resolves.toBe('A');
+    await expect(fs.stat('/tmp/subpath/Invoices/Acme')).rejects.toBeTruthy();
+    await expect(fs.stat('/tmp/subpath/Invoices')).resolves.toBeTruthy();
+  });
+
+  test('moves only the selected files of a project folder unless the folder is confirmed', async () => {
+    const { handleBatchOrganize } = require('../src/main/ipc/files/batchOrganizeHandler');
+
+    await fs.mkdir('/tmp/mono/mono/src', { recursive: true });
+    await fs.mkdir('/tmp/mono/mono/docs', { recursive: true });
+    await fs.writeFile('/tmp/mono/mono/package.json', '{}');
+    await fs.writeFile('/tmp/mono/mono/src/index.js', 'module.exports = 1;');
+    await fs.writeFile('/tmp/mono/mono/docs/spec.pdf', 'spec');
+    await fs.writeFile('/tmp/mono/mono/docs/guide.pdf', 'guide');
+
+    const organize = (confirmedBundles) =>
+      handleBatchOrganize({
+        operation: {
+          type: 'batch_organize',
+          operations: [
+            {
+              source: '/tmp/mono/mono/docs/spec.pdf',
+              destination: '/tmp/mono/Docs/spec.pdf'
+            },
+            {
+              source: '/tmp/mono/mono/docs/guide.pdf',
+              destination: '/tmp/mono/Docs/guide.pdf'
+            }
+          ],
+          confirmedBundles
+        },
+        logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+        getServiceIntegration: () => ({ undoRedo: { recordAction: jest.fn() } }),
+        getMainWindow: () => null
+      });
+
+    const result = await organize(undefined);
+
+    expect(result.success).toBe(true);
+    await expect(fs.readFile('/tmp/mono/Docs/spec.pdf', 'utf8')).resolves.toBe('spec');
+    await expect(fs.readFile('/tmp/mono/mono/src/index.js', 'utf8')).resolves.toBe(
+      'module.exports = 1;'
+    );
+    await expect(fs.stat('/tmp/mono/Docs/mono')).rejects.toBeTruthy();
+
+    // Put the files back and confirm the folder this time
+    await fs.rename('/tmp/mono/Docs/spec.pdf', '/tmp/mono/mono/docs/spec.pdf');
+    await fs.rename('/tmp/mono/Docs/guide.pdf', '/tmp/mono/mono/docs/guide.pdf');
+    const confirmed = await organize(['/tmp/mono/mono']);
+
+    expect(confirmed.success).toBe(true);
+    await expect(fs.readFile('/tmp/mono/Docs/mono/src/index.js', 'utf8')).resolves.toBe(
+      'module.exports = 1;'
+    );
+  });
+
+  test('previews folders that need confirmation and never bundles a smart folder', async () => {
+    const { previewBundleMoves } = require('../src/main/ipc/files/batchOrganizeHandler');
+
+    await fs.mkdir('/tmp/preview/site/docs', { recursive: true });
+    await fs.writeFile('/tmp/preview/site/package.json', '{}');
+    await fs.writeFile('/tmp/preview/site/docs/a.md', 'a');
+    await fs.writeFile('/tmp/preview/site/docs/b.md', 'b');
+    const operations = [
+      { source: '/tmp/preview/site/docs/a.md', destination: '/tmp/preview/Notes/a.md' },
+      { source: '/tmp/preview/site/docs/b.md', destination: '/tmp/preview/Notes/b.md' }
+    ];
+    const watcher = { watchedPaths: new Set(), getSmartFolders: () => [] };
+    const getServiceIntegration = () => ({ smartFolderWatcher: watcher });
+
+    const preview = await previewBundleMoves({ operations, getServiceIntegration });
+    expect(preview).toMatchObject({
+      success: true,
+      bundles: [],
+      partial: [
+        {
+          root: '/tmp/preview/site',
+          destination: '/tmp/preview/Notes/site',
+          members: ['/tmp/preview/site/docs/a.md', '/tmp/preview/site/docs/b.md'],
+          fileCount: 3
+        }
+      ]
+    });
+
+    watcher.getSmartFolders = () => [{ name: 'Site', path: '/tmp/preview/site' }];
+    await expect(previewBundleMoves({ operations, getServiceIntegration })).resolves.toEqual({
+      success: true,
+      bundles: [],
+      partial: []
+    });
+  });
+
+  test('undo of a project bundle re-points every member file', async () => {
+    const { handleBatchOrganize } = require('../src/main/ipc/files/batchOrganizeHandler');
+    const UndoRedoService = require('../src/main/services/UndoRedoService');
+
+    await fs.mkdir('/tmp/bundle/src/site/lib', { recursive: true });
+    await fs.writeFile('/tmp/bundle/src/site/package.json', '{}');
+    await fs.writeFile('/tmp/bundle/src/site/lib/index.js', 'module.exports = 1;');
+
+    const undoRedo = new UndoRedoService({ maxActions: 20, maxBatchSize: 100 });
+    const pathUpdates = jest.spyOn(undoRedo, 'updateVectorDbPaths');
+    const result = await handleBatchOrganize({
+      operation: {
+        type: 'batch_organize',
+        operations: [
+          {
+            source: '/tmp/bundle/src/site/package.json',
+            destination: '/tmp/bundle/Projects/package.json'
+          },
+          {
+            source: '/tmp/bundle/src/site/lib/index.js',
+            destination: '/tmp/bundle/Projects/index.js'
+          }
+        ]
+      },
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+      getServiceIntegration: () => ({ undoRedo }),
+      getMainWindow: () => null
+    });
+
+    expect(result.success).toBe(true);
+    const [recorded] = undoRedo.actions[undoRedo.currentIndex].data.operations;
+    expect(recorded).toMatchObject({
+      originalPath: '/tmp/bundle/src/site',
+      newPath: '/tmp/bundle/Projects/site',
+      bundleMembers: expect.arrayContaining(['/tmp/bundle/src/site/lib/index.js'])
+    });
+
+    await undoRedo.undo();
+
+    await expect(fs.readFile('/tmp/bundle/src/site/lib/index.js', 'utf8')).resolves.toBe(
+      'module.exports = 1;'
+    );
+    expect(pathUpdates).toHaveBeenCalledWith(
+      expect.arrayContaining([
+        {
+          oldPath: '/tmp/bundle/Projects/site/lib/index.js',
+          newPath: '/tmp/bundle/src/site/lib/index.js'
+        },
+        {
+          oldPath: '/tmp/bundle/Projects/site/package.json',
+          newPath: '/tmp/bundle/src/site/package.json'
+        }
+      ])
+    );
+  });
 });
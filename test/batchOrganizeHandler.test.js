@@ -109,6 +109,17 @@ jest.mock('../src/shared/correlationId', () => ({
   withCorrelationId: jest.fn((fn) => fn())
 }));
 
+jest.mock('../src/main/services/OrganizeJournal', () => {
+  const journal = {
+    begin: jest.fn().mockResolvedValue(),
+    recordIntent: jest.fn().mockResolvedValue(),
+    recordCommit: jest.fn().mockResolvedValue(),
+    recordAbort: jest.fn().mockResolvedValue(),
+    complete: jest.fn().mockResolvedValue()
+  };
+  return { getInstance: () => journal };
+});
+
 // Mock semantic service (needed for rebuild check)
 jest.mock('../src/main/ipc/semantic', () => ({
   getSearchServiceInstance: jest.fn(() => ({
@@ -229,6 +240,45 @@ describe('Batch Organize Handler', () => {
 
     const { executeRollback } = require('../src/main/ipc/files/batchRollback');
     expect(executeRollback).toHaveBeenCalled();
+    // Destination directories the batch created are handed over for cleanup
+    expect(executeRollback.mock.calls[0][6]).toEqual(
+      expect.objectContaining({ createdDirectories: expect.any(Array) })
+    );
+    // The in-process rollback settles the batch, so nothing is left to recover
+    const journal = require('../src/main/services/OrganizeJournal').getInstance();
+    expect(journal.complete).toHaveBeenCalled();
+  });
+
+  test('journals each move before and after it happens', async () => {
+    const journal = require('../src/main/services/OrganizeJournal').getInstance();
+    fs.rename.mockRejectedValueOnce({ code: 'ENOENT' }); // First file gone
+
+    const result = await handleBatchOrganize(params);
+
+    const { batchId } = result;
+    expect(journal.begin).toHaveBeenCalledWith(batchId, params.operation.operations);
+    expect(journal.recordIntent).toHaveBeenCalledTimes(2);
+    expect(journal.recordAbort).toHaveBeenCalledWith(batchId, 0, 'Source file no longer exists');
+    expect(journal.recordCommit).toHaveBeenCalledWith(batchId, 1, {
+      destination: '/dest/doc2.pdf'
+    });
+    expect(journal.recordIntent.mock.invocationCallOrder[1]).toBeLessThan(
+      fs.rename.mock.invocationCallOrder[1]
+    );
+    expect(journal.complete).toHaveBeenCalledWith(batchId);
+  });
+
+  test('a journal failure does not stop the batch', async () => {
+    const journal = require('../src/main/services/OrganizeJournal').getInstance();
+    journal.recordIntent.mockRejectedValueOnce(new Error('disk full'));
+
+    const result = await handleBatchOrganize(params);
+
+    expect(result.successCount).toBe(2);
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      '[FILE-OPS] Organize journal write failed (non-fatal)',
+      expect.objectContaining({ error: 'disk full' })
+    );
   });
 
   test('handles non-Error thrown values without crashing', async () => {
@@ -121,4 +121,23 @@ describe('executeRollback', () => {
     expect(updatedManifest.results.length).toBeGreaterThan(0);
     expect(result.rollbackFailCount).toBeGreaterThan(0);
   });
+
+  test('removes the destination directories the batch created', async () => {
+    const undoRedo = { removeCreatedDirectories: jest.fn().mockResolvedValue() };
+
+    await executeRollback(
+      [{ source: '/src/a.txt', destination: '/dst/Clients/Acme/a.txt' }],
+      [],
+      1,
+      'test',
+      'batch-4',
+      log,
+      { createdDirectories: ['/dst/Clients', '/dst/Clients/Acme'], undoRedo }
+    );
+
+    expect(undoRedo.removeCreatedDirectories).toHaveBeenCalledWith([
+      '/dst/Clients',
+      '/dst/Clients/Acme'
+    ]);
+  });
 });
@@ -0,0 +1,107 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import DuplicateResolutionModal from '../../src/renderer/components/organize/DuplicateResolutionModal';
+
+const versionChain = {
+  id: 'version-chain:report.docx',
+  kind: 'version-chain',
+  baseName: 'report.docx',
+  members: [
+    { path: '/docs/report_v2_final.docx', versionLabel: 'v2 final', isLatest: true, size: 20 },
+    { path: '/docs/report_v1.docx', versionLabel: 'v1', isLatest: false, size: 10 }
+  ]
+};
+
+describe('DuplicateResolutionModal', () => {
+  test('keeps the latest version of a chain and archives the older ones', async () => {
+    const onResolve = jest.fn().mockResolvedValue();
+    const onClose = jest.fn();
+    render(
+      <DuplicateResolutionModal
+        isOpen
+        onClose={onClose}
+        duplicateGroups={[versionChain]}
+        onResolve={onResolve}
+      />
+    );
+
+    expect(screen.getByText('Version Chain: report.docx')).toBeInTheDocument();
+    expect(screen.getByText('v2 final • latest')).toBeInTheDocument();
+    expect(screen.getByText('Archive')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Archive Older Versions'));
+
+    await waitFor(() => expect(onResolve).toHaveBeenCalled());
+    const [[resolution]] = onResolve.mock.calls[0];
+    expect(resolution.keep.path).toBe('/docs/report_v2_final.docx');
+    expect(resolution.delete).toEqual([]);
+    expect(resolution.archive.map((f) => f.path)).toEqual(['/docs/report_v1.docx']);
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  test('deletes older versions when archiving is turned off', async () => {
+    const onResolve = jest.fn().mockResolvedValue();
+    render(
+      <DuplicateResolutionModal
+        isOpen
+        onClose={jest.fn()}
+        duplicateGroups={[versionChain]}
+        onResolve={onResolve}
+      />
+    );
+
+    fireEvent.click(screen.getByLabelText('Archive older versions to _versions'));
+    fireEvent.click(screen.getByText('Delete Duplicates'));
+
+    await waitFor(() => expect(onResolve).toHaveBeenCalled());
+    const [[resolution]] = onResolve.mock.calls[0];
+    expect(resolution.delete.map((f) => f.path)).toEqual(['/docs/report_v1.docx']);
+    expect(resolution.archive).toEqual([]);
+  });
+
+  test('keeps the best pick of a similar photo group and deletes the others', async () => {
+    const onResolve = jest.fn().mockResolvedValue();
+    render(
+      <DuplicateResolutionModal
+        isOpen
+        onClose={jest.fn()}
+        duplicateGroups={[
+          {
+            id: 'similar-images:/photos/IMG_2.jpg',
+            kind: 'similar-images',
+            matchType: 'near-identical',
+            averageSimilarity: 0.86,
+            members: [
+              {
+                path: '/photos/IMG_2.jpg',
+                width: 4032,
+                height: 3024,
+                size: 3000,
+                isBestPick: true
+              },
+              { path: '/photos/IMG_1.jpg', width: 4032, height: 3024, size: 2800 },
+              { path: '/photos/IMG_2-small.jpg', width: 800, height: 600, size: 200 }
+            ]
+          }
+        ]}
+        onResolve={onResolve}
+      />
+    );
+
+    expect(screen.getByText('Similar Photos 1')).toBeInTheDocument();
+    expect(screen.getByText('Best pick')).toBeInTheDocument();
+    expect(screen.getByText(/800×600/)).toBeInTheDocument();
+    expect(screen.queryByLabelText('Archive older versions to _versions')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Delete Duplicates'));
+
+    await waitFor(() => expect(onResolve).toHaveBeenCalled());
+    const [[resolution]] = onResolve.mock.calls[0];
+    expect(resolution.keep.path).toBe('/photos/IMG_2.jpg');
+    expect(resolution.delete.map((f) => f.path)).toEqual([
+      '/photos/IMG_1.jpg',
+      '/photos/IMG_2-small.jpg'
+    ]);
+  });
+});
@@ -94,7 +94,8 @@ jest.mock('lucide-react', () => ({
   FileArchive: () => <span data-testid="icon-file-archive">FileArchive</span>,
   FileJson: () => <span data-testid="icon-file-json">FileJson</span>,
   Presentation: () => <span data-testid="icon-presentation">Presentation</span>,
-  Tag: () => <span data-testid="icon-tag">Tag</span>
+  Tag: () => <span data-testid="icon-tag">Tag</span>,
+  CalendarRange: () => <span data-testid="icon-calendar-range">CalendarRange</span>
 }));
 
 // Mock Modal component
@@ -391,6 +392,12 @@ describe('UnifiedSearchModal', () => {
       expect(screen.queryByText(/Relate/i)).toBeInTheDocument();
     });
 
+    test('should render the timeline tab', async () => {
+      renderWithRedux(<UnifiedSearchModal isOpen={true} onClose={jest.fn()} />);
+
+      expect(screen.getByRole('button', { name: /CalendarRange Timeline/i })).toBeInTheDocument();
+    });
+
     test('should switch back to search tab', async () => {
       renderWithRedux(<UnifiedSearchModal isOpen={true} onClose={jest.fn()} initialTab="graph" />);
 
@@ -37,6 +37,20 @@ jest.mock('../src/main/analysis/documentExtractors', () => ({
   extractPlainTextFromHtml: jest.fn()
 }));
 
+jest.mock('../src/main/analysis/archiveExtractor', () => ({
+  extractArchiveContents: jest.fn()
+}));
+
+// No ffmpeg/ffprobe: videos take the extension fallback
+jest.mock('../src/main/utils/mediaTools', () => ({
+  resolveMediaTool: jest.fn(() => null)
+}));
+
+const mockTranscribe = jest.fn();
+jest.mock('../src/main/services/TranscriptionService', () => ({
+  getInstance: () => ({ transcribe: mockTranscribe })
+}));
+
 jest.mock('../src/main/analysis/documentLlm', () => ({
   analyzeTextWithLlama: jest.fn(),
   normalizeCategoryToSmartFolders: jest.fn((cat) => cat),
@@ -185,7 +199,7 @@ describe('documentAnalysis (behavior)', () => {
     expect(logger.error).not.toHaveBeenCalled();
   });
 
-  test('skips AI for video files and uses extension-based fallback', async () => {
+  test('uses extension-based fallback for video files when ffmpeg is unavailable', async () => {
     const filePath = 'movie.mp4';
 
     const result = await analyzeDocumentFile(filePath);
@@ -240,6 +254,108 @@ describe('documentAnalysis (behavior)', () => {
     expect(documentLlm.analyzeTextWithLlama).toHaveBeenCalled();
   });
 
+  describe('Archive handling', () => {
+    test('sends extracted inner documents through the LLM and rolls up contents', async () => {
+      const archiveExtractor = require('../src/main/analysis/archiveExtractor');
+      archiveExtractor.extractArchiveContents.mockResolvedValue({
+        format: 'zip',
+        summary: 'ZIP archive with 2 entries (1 documents extracted)',
+        keywords: ['pdf', 'invoice'],
+        combinedText:
+          'Archive deliverables.zip contains 2 files.\n\n--- invoice.pdf ---\nTotal due',
+        contents: {
+          format: 'zip',
+          totalEntries: 2,
+          extractedCount: 1,
+          entries: [{ path: 'invoice.pdf', extracted: true, keywords: ['acme'] }]
+        }
+      });
+      documentLlm.analyzeTextWithLlama.mockResolvedValue({
+        category: 'Finance',
+        keywords: ['billing'],
+        confidence: 0.9
+      });
+
+      const result = await analyzeDocumentFile('deliverables.zip');
+
+      expect(documentLlm.analyzeTextWithLlama).toHaveBeenCalledWith(
+        expect.stringContaining('--- invoice.pdf ---'),
+        'deliverables.zip',
+        expect.any(Array),
+        expect.any(String),
+        expect.any(Array),
+        expect.any(Object)
+      );
+      expect(result.category).toBe('Finance');
+      expect(result.extractionMethod).toBe('archive_content');
+      expect(result.keywords).toEqual(['billing', 'pdf', 'invoice', 'acme']);
+      expect(result.archiveContents.extractedCount).toBe(1);
+    });
+
+    test('falls back to listing metadata when nothing could be extracted', async () => {
+      const archiveExtractor = require('../src/main/analysis/archiveExtractor');
+      archiveExtractor.extractArchiveContents.mockResolvedValue({
+        format: '7z',
+        summary: '7Z archive (content extraction not supported for this format)',
+        keywords: [],
+        combinedText: '',
+        contents: null
+      });
+
+      const result = await analyzeDocumentFile('backup.7z');
+
+      expect(documentLlm.analyzeTextWithLlama).not.toHaveBeenCalled();
+      expect(result.extractionMethod).toBe('archive');
+      expect(result.purpose).toMatch(/7Z archive/);
+    });
+  });
+
+  describe('Audio handling', () => {
+    test('analyzes the transcript and records transcription metadata', async () => {
+      mockTranscribe.mockResolvedValue({
+        text: 'Welcome to the quarterly planning meeting',
+        language: 'en',
+        segments: [{ start: 0, end: 3.2, text: 'Welcome to the quarterly planning meeting' }],
+        durationSec: 3.2,
+        model: 'ggml-base.bin'
+      });
+      documentLlm.analyzeTextWithLlama.mockResolvedValue({
+        category: 'Meetings',
+        confidence: 0.85
+      });
+
+      const result = await analyzeDocumentFile('planning.m4a');
+
+      expect(documentLlm.analyzeTextWithLlama).toHaveBeenCalledWith(
+        'Welcome to the quarterly planning meeting',
+        'planning.m4a',
+        expect.any(Array),
+        expect.any(String),
+        expect.any(Array),
+        expect.any(Object)
+      );
+      expect(result.category).toBe('Meetings');
+      expect(result.extractionMethod).toBe('transcription');
+      expect(result.transcription).toEqual({
+        language: 'en',
+        durationSec: 3.2,
+        model: 'ggml-base.bin',
+        segmentCount: 1
+      });
+    });
+
+    test('falls back to filename analysis when transcription is unavailable', async () => {
+      mockTranscribe.mockRejectedValue(
+        new Error('Transcription unavailable: no Whisper model downloaded')
+      );
+
+      const result = await analyzeDocumentFile('voice-memo.mp3');
+
+      expect(documentLlm.analyzeTextWithLlama).not.toHaveBeenCalled();
+      expect(result.error).toMatch(/no Whisper model downloaded/);
+    });
+  });
+
   describe('Caching behavior', () => {
     test('persists cache between calls', async () => {
       const filePath = 'cached.pdf';
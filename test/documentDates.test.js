@@ -0,0 +1,41 @@
+/**
+ * Tests for typed document dates (due, expires, renewal, effective)
+ */
+
+const { normalizeKeyDates, daysUntil, describeDaysLeft } = require('../src/shared/documentDates');
+
+describe('documentDates', () => {
+  test('normalizeKeyDates keeps valid dates and fills gaps from the fallback', () => {
+    expect(
+      normalizeKeyDates(
+        { due: null, expires: '2030-05-01T00:00:00Z', renewal: 'soon', effective: '' },
+        { due: '2026-03-31' }
+      )
+    ).toEqual({ due: '2026-03-31', expires: '2030-05-01', renewal: null, effective: null });
+  });
+
+  test('normalizeKeyDates returns null when no date was found', () => {
+    expect(normalizeKeyDates({ due: 'null' })).toBeNull();
+    expect(normalizeKeyDates(undefined, { due: null })).toBeNull();
+  });
+
+  test('daysUntil counts calendar days regardless of the time of day', () => {
+    const lateEvening = new Date(2026, 2, 1, 23, 30);
+    expect(daysUntil('2026-03-02', lateEvening)).toBe(1);
+    expect(daysUntil('2026-03-01', lateEvening)).toBe(0);
+    expect(daysUntil('2026-02-27', lateEvening)).toBe(-2);
+    expect(daysUntil('not a date', lateEvening)).toBeNull();
+  });
+
+  test.each([
+    ['due', 0, 'due today'],
+    ['due', 1, 'due tomorrow'],
+    ['due', -1, 'overdue by 1 day'],
+    ['expires', 30, 'expires in 30 days'],
+    ['expires', -3, 'expired 3 days ago'],
+    ['renewal', 7, 'must be renewed in 7 days'],
+    ['effective', 0, 'takes effect today']
+  ])('describeDaysLeft(%s, %i) is "%s"', (kind, daysLeft, text) => {
+    expect(describeDaysLeft(kind, daysLeft)).toBe(text);
+  });
+});
@@ -73,4 +73,31 @@ describe('documentLlm', () => {
     expect(r2.suggestedName).toBe('doc.txt');
     expect(mockLlamaService.generateText).toHaveBeenCalledTimes(1);
   });
+
+  test('asks for the configured output language and caches per language', async () => {
+    mockLlamaService.generateText.mockResolvedValue({
+      response: JSON.stringify({
+        category: 'Documents',
+        confidence: 0.5,
+        suggestedName: 'rechnung'
+      })
+    });
+    const smartFolders = [{ name: 'Documents', description: 'General documents' }];
+    const analyze = (outputLanguage) =>
+      analyzeTextWithLlama('Rechnung für März', 'rechnung.txt', smartFolders, null, [], {
+        language: 'de',
+        outputLanguage
+      });
+
+    await analyze({ mode: 'both', target: 'en', targetName: 'English' });
+    const prompt = mockLlamaService.generateText.mock.calls[0][0].prompt;
+    expect(prompt).toContain('The content is in German');
+    expect(prompt).toContain('then the same summary in English');
+
+    await analyze({ mode: 'target', target: 'fr', targetName: 'French' });
+    expect(mockLlamaService.generateText).toHaveBeenCalledTimes(2);
+    expect(mockLlamaService.generateText.mock.calls[1][0].prompt).toContain(
+      'suggestedName in French'
+    );
+  });
 });
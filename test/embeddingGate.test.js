@@ -74,3 +74,31 @@ describe('embeddingGate.shouldEmbed', () => {
     await expect(shouldEmbed({ stage: 'final' })).resolves.toMatchObject({ shouldEmbed: false });
   });
 });
+
+describe('embeddingGate access policy', () => {
+  test('never embeds files in a privacy zone', async () => {
+    jest.resetModules();
+
+    jest.doMock('../src/main/services/ServiceContainer', () => ({
+      container: {
+        tryResolve: () => ({
+          load: async () => ({
+            embeddingTiming: 'during_analysis',
+            defaultEmbeddingPolicy: 'embed',
+            privacyZones: ['/private/zone']
+          })
+        })
+      },
+      ServiceIds: { SETTINGS: 'SETTINGS' }
+    }));
+
+    const { shouldEmbed } = require('../src/main/services/embedding/embeddingGate');
+
+    await expect(
+      shouldEmbed({ stage: 'analysis', filePath: '/private/zone/notes.txt' })
+    ).resolves.toMatchObject({ shouldEmbed: false, restriction: 'private' });
+    await expect(
+      shouldEmbed({ stage: 'analysis', filePath: '/public/notes.txt' })
+    ).resolves.toMatchObject({ shouldEmbed: true });
+  });
+});
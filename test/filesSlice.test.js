@@ -34,7 +34,8 @@ describe('filesSlice', () => {
       convention: 'subject-date',
       dateFormat: 'YYYY-MM-DD',
       caseConvention: 'kebab-case',
-      separator: '-'
+      separator: '-',
+      template: '{date}_{entity|subject}_{type}'
     }
   };
 
@@ -0,0 +1,149 @@
+/**
+ * Tests for financial field normalization and extraction
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const mockLlamaService = { generateText: jest.fn() };
+jest.mock('../src/main/services/LlamaService', () => ({
+  getInstance: () => mockLlamaService
+}));
+
+const {
+  getFinancialProfile,
+  parseAmount,
+  normalizeCurrency,
+  normalizeFinancialData
+} = require('../src/shared/financialData');
+const { extractFinancialFields } = require('../src/main/analysis/financialExtraction');
+
+const INVOICE_TEXT =
+  'ACME GmbH - Rechnung Nr. 2024-117 - Datum 01.03.2024 - Beratung 2 x 500,00 EUR - ' +
+  'MwSt 19% 190,00 EUR - Gesamt 1.190,00 EUR - zahlbar bis 31.03.2024';
+
+describe('financialData', () => {
+  test.each([
+    ['Invoice', 'invoice'],
+    ['Utility Bill', 'invoice'],
+    ['Rechnung', 'invoice'],
+    ['Receipt', 'receipt'],
+    ['Bank Statement', 'bank_statement'],
+    ['Credit card statement', 'bank_statement'],
+    ['Contract', null],
+    [undefined, null]
+  ])('profile for %s is %s', (type, profile) => {
+    expect(getFinancialProfile(type)).toBe(profile);
+  });
+
+  test.each([
+    ['1,234.56', 1234.56],
+    ['1.234,56 €', 1234.56],
+    ['$ 12', 12],
+    ['(42.00)', -42],
+    ['-3.10', -3.1],
+    ['12,5', 12.5],
+    ['1.234', 1234],
+    [99.999, 100],
+    ['n/a', null],
+    [null, null]
+  ])('parseAmount(%p) is %p', (value, amount) => {
+    expect(parseAmount(value)).toBe(amount);
+  });
+
+  test('normalizeCurrency accepts codes and symbols', () => {
+    expect(normalizeCurrency('eur')).toBe('EUR');
+    expect(normalizeCurrency('€')).toBe('EUR');
+    expect(normalizeCurrency('US$')).toBe('USD');
+    expect(normalizeCurrency('euros')).toBeNull();
+  });
+
+  test('normalizeFinancialData types every field', () => {
+    const data = normalizeFinancialData(
+      {
+        totalAmount: '€1.190,00',
+        taxAmount: 190,
+        invoiceNumber: '  2024-117 ',
+        dueDate: '2024-03-31',
+        payer: 'null',
+        payee: 'ACME GmbH',
+        lineItems: [{ description: 'Beratung', quantity: 2, unitPrice: '500,00', amount: 1000 }, {}]
+      },
+      'invoice'
+    );
+
+    expect(data).toEqual({
+      profile: 'invoice',
+      totalAmount: 1190,
+      currency: 'EUR',
+      taxAmount: 190,
+      invoiceNumber: '2024-117',
+      dueDate: '2024-03-31',
+      payer: null,
+      payee: 'ACME GmbH',
+      lineItems: [{ description: 'Beratung', quantity: 2, unitPrice: 500, amount: 1000 }]
+    });
+    // Stored records normalize to themselves
+    expect(normalizeFinancialData(data)).toEqual(data);
+  });
+
+  test('normalizeFinancialData returns null without a profile or any value', () => {
+    expect(normalizeFinancialData({ totalAmount: 5 })).toBeNull();
+    expect(normalizeFinancialData({ totalAmount: null, lineItems: [] }, 'receipt')).toBeNull();
+  });
+});
+
+describe('extractFinancialFields', () => {
+  beforeEach(() => {
+    mockLlamaService.generateText.mockReset();
+  });
+
+  test('runs only for financial document types', async () => {
+    await expect(
+      extractFinancialFields(INVOICE_TEXT, { documentType: 'Contract' })
+    ).resolves.toBeNull();
+    expect(mockLlamaService.generateText).not.toHaveBeenCalled();
+  });
+
+  test('extracts and normalizes fields for an invoice', async () => {
+    mockLlamaService.generateText.mockResolvedValue({
+      response: JSON.stringify({
+        totalAmount: 1190,
+        currency: 'EUR',
+        taxAmount: 190,
+        invoiceNumber: '2024-117',
+        dueDate: '2024-03-31',
+        payee: 'ACME GmbH',
+        lineItems: [{ description: 'Beratung', quantity: 2, unitPrice: 500, amount: 1000 }]
+      })
+    });
+
+    const financial = await extractFinancialFields(INVOICE_TEXT, {
+      documentType: 'Rechnung',
+      fileName: 'acme.pdf',
+      language: 'de'
+    });
+
+    expect(financial).toMatchObject({ profile: 'invoice', totalAmount: 1190, currency: 'EUR' });
+    const { prompt } = mockLlamaService.generateText.mock.calls[0][0];
+    expect(prompt).toContain('accounting data from this invoice');
+    expect(prompt).toContain('written in German');
+    expect(prompt).toContain('<document_content>');
+  });
+
+  test('returns null when the model fails', async () => {
+    mockLlamaService.generateText.mockRejectedValue(new Error('model crashed'));
+
+    await expect(
+      extractFinancialFields(INVOICE_TEXT, { documentType: 'Invoice' })
+    ).resolves.toBeNull();
+  });
+});
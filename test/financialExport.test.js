@@ -0,0 +1,115 @@
+/**
+ * Tests for the financial CSV and ledger exports of analysis history
+ */
+
+const {
+  collectFinancialRecords,
+  toFinancialCsv,
+  toLedger
+} = require('../src/main/services/analysisHistory/financialExport');
+
+const invoice = (overrides = {}) => ({
+  fileName: 'acme.pdf',
+  originalPath: '/docs/acme.pdf',
+  timestamp: '2026-02-01T10:00:00.000Z',
+  analysis: {
+    category: 'Office: Services',
+    documentType: 'Invoice',
+    entity: 'ACME',
+    documentDate: '2024-03-01',
+    financial: {
+      profile: 'invoice',
+      totalAmount: 1190,
+      currency: 'EUR',
+      taxAmount: 190,
+      invoiceNumber: '2024-117',
+      dueDate: '2024-03-31',
+      payer: null,
+      payee: 'ACME GmbH',
+      lineItems: [{ description: 'Consulting', quantity: 2, unitPrice: 500, amount: 1000 }]
+    }
+  },
+  ...overrides
+});
+
+const receipt = {
+  fileName: 'coffee.jpg',
+  originalPath: '/docs/coffee.jpg',
+  timestamp: '2026-01-01T10:00:00.000Z',
+  organization: { actual: '/sorted/coffee.jpg', newName: 'coffee.jpg' },
+  analysis: {
+    category: 'Food',
+    documentType: 'Receipt',
+    documentDate: '2024-01-15',
+    financial: { profile: 'receipt', totalAmount: 4.5, currency: 'USD', lineItems: [] }
+  }
+};
+
+const statement = {
+  fileName: 'statement.pdf',
+  originalPath: '/docs/statement.pdf',
+  timestamp: '2026-01-01T10:00:00.000Z',
+  analysis: {
+    documentDate: '2024-02-29',
+    financial: { profile: 'bank_statement', totalAmount: 2500, currency: 'EUR', lineItems: [] }
+  }
+};
+
+describe('financialExport', () => {
+  test('keeps the newest entry per file and sorts by document date', () => {
+    const older = invoice({ timestamp: '2025-01-01T00:00:00.000Z' });
+    older.analysis = { ...older.analysis, documentDate: '2020-01-01' };
+    const records = collectFinancialRecords([
+      invoice(),
+      older,
+      receipt,
+      { originalPath: '/docs/notes.txt', analysis: {} }
+    ]);
+
+    expect(records.map((r) => [r.date, r.entry.fileName])).toEqual([
+      ['2024-01-15', 'coffee.jpg'],
+      ['2024-03-01', 'acme.pdf']
+    ]);
+  });
+
+  test('writes one quoted CSV row per document', () => {
+    const lines = toFinancialCsv([invoice(), receipt]).split('\n');
+
+    expect(lines[0]).toBe(
+      'date,fileName,path,documentType,profile,invoiceNumber,payer,payee,totalAmount,taxAmount,currency,dueDate,lineItems'
+    );
+    expect(lines[2]).toBe(
+      '"2024-03-01","acme.pdf","/docs/acme.pdf","Invoice","invoice","2024-117",,"ACME GmbH",1190,190,"EUR","2024-03-31","Consulting (2 x 500) = 1000"'
+    );
+    expect(lines[1]).toContain('"/sorted/coffee.jpg"');
+  });
+
+  test('guards CSV cells against formula injection', () => {
+    const entry = invoice();
+    entry.analysis.financial = { ...entry.analysis.financial, payee: '=HYPERLINK("x")' };
+
+    expect(toFinancialCsv([entry])).toContain('"\'=HYPERLINK(""x"")"');
+  });
+
+  test('writes balanced ledger transactions and notes skipped documents', () => {
+    const ledger = toLedger([invoice(), receipt, statement], {
+      now: new Date('2026-03-01T00:00:00.000Z')
+    });
+    const lines = ledger.split('\n');
+
+    expect(lines[0]).toBe('; StratoSort financial export, 2026-03-01T00:00:00.000Z');
+    expect(ledger).toContain('2024-01-15 coffee.jpg');
+    expect(ledger).toContain('    Assets:Cash');
+    expect(ledger).toContain('; skipped /docs/statement.pdf (bank statement)');
+
+    const start = lines.indexOf('2024-03-01 (2024-117) ACME GmbH');
+    expect(start).toBeGreaterThan(0);
+    expect(lines.slice(start + 1, start + 6)).toEqual([
+      '    ; file: /docs/acme.pdf',
+      '    ; due: 2024-03-31',
+      `    ${'Expenses:Office- Services'.padEnd(40)}  ${'1000.00 EUR'.padStart(14)}`,
+      `    ${'Expenses:Tax'.padEnd(40)}  ${'190.00 EUR'.padStart(14)}`,
+      '    Liabilities:Accounts Payable'
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for gitignore-style pattern matching (.stratoignore / exclusionPatterns)
+ */
+
+const {
+  compileIgnorePatterns,
+  matchIgnoreRules,
+  isIgnored,
+  findInvalidPatterns
+} = require('../src/shared/ignorePatterns');
+
+describe('ignorePatterns', () => {
+  const rules = compileIgnorePatterns(
+    [
+      '# build output',
+      '',
+      '*.log',
+      '!keep.log',
+      '/build',
+      'cache/',
+      'docs/**/draft?.md',
+      'secret[0-9].txt',
+      '\\#notes'
+    ].join('\n')
+  );
+
+  test('skips comments and blank lines', () => {
+    expect(rules.map((rule) => rule.pattern)).not.toContain('# build output');
+    expect(rules).toHaveLength(7);
+  });
+
+  test('patterns without a slash match at any depth', () => {
+    expect(isIgnored(rules, 'error.log')).toBe(true);
+    expect(isIgnored(rules, 'a/b/error.log')).toBe(true);
+    expect(isIgnored(rules, 'a/b/error.txt')).toBe(false);
+  });
+
+  test('negation re-includes a file', () => {
+    expect(isIgnored(rules, 'keep.log')).toBe(false);
+    expect(isIgnored(rules, 'logs/keep.log')).toBe(false);
+  });
+
+  test('leading slash anchors to the base folder', () => {
+    expect(isIgnored(rules, 'build/app.js')).toBe(true);
+    expect(isIgnored(rules, 'src/build/app.js')).toBe(false);
+  });
+
+  test('trailing slash only matches directories', () => {
+    expect(isIgnored(rules, 'cache')).toBe(false);
+    expect(isIgnored(rules, 'cache', { isDirectory: true })).toBe(true);
+    expect(isIgnored(rules, 'src/cache/data.bin')).toBe(true);
+  });
+
+  test('supports **, ? and character classes', () => {
+    expect(isIgnored(rules, 'docs/draft1.md')).toBe(true);
+    expect(isIgnored(rules, 'docs/a/b/draft2.md')).toBe(true);
+    expect(isIgnored(rules, 'docs/draft10.md')).toBe(false);
+    expect(isIgnored(rules, 'secret7.txt')).toBe(true);
+    expect(isIgnored(rules, 'secretx.txt')).toBe(false);
+  });
+
+  test('escaped # is a literal name', () => {
+    expect(isIgnored(rules, '#notes')).toBe(true);
+  });
+
+  test('a file inside an excluded folder cannot be re-included', () => {
+    const folderRules = compileIgnorePatterns(['private/', '!private/ok.txt']);
+
+    expect(isIgnored(folderRules, 'private/ok.txt')).toBe(true);
+  });
+
+  test('matchIgnoreRules reports when no rule matched', () => {
+    expect(matchIgnoreRules(rules, 'readme.md')).toBeUndefined();
+    expect(matchIgnoreRules(rules, 'keep.log')).toBe(false);
+  });
+
+  test('ignoreCase option', () => {
+    const caseRules = compileIgnorePatterns(['*.LOG'], { ignoreCase: true });
+
+    expect(isIgnored(caseRules, 'server.log')).toBe(true);
+  });
+
+  test('findInvalidPatterns flags non-strings and over-long patterns', () => {
+    expect(findInvalidPatterns(['*.tmp', '# comment', 42, 'x'.repeat(501)])).toEqual([
+      42,
+      'x'.repeat(501)
+    ]);
+  });
+});
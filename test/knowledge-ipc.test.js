@@ -16,7 +16,10 @@ jest.mock('../src/main/services/ServiceContainer', () => ({
     resolve: jest.fn()
   },
   ServiceIds: {
-    RELATIONSHIP_INDEX: 'relationshipIndex'
+    RELATIONSHIP_INDEX: 'relationshipIndex',
+    SAVED_SEARCH: 'savedSearchService',
+    REMINDERS: 'reminderService',
+    ENTITY_INDEX: 'entityIndex'
   }
 }));
 
@@ -56,4 +59,122 @@ describe('Knowledge IPC', () => {
     expect(result.success).toBe(true);
     expect(result.edgeCount).toBe(3);
   });
+
+  test('saved search channels validate input and delegate to SavedSearchService', async () => {
+    const { IpcServiceContext } = require('../src/main/ipc/IpcServiceContext');
+    const registerKnowledgeIpc = require('../src/main/ipc/knowledge');
+    const { IPC_CHANNELS } = require('../src/shared/constants');
+    const { logger } = require('../src/shared/logger');
+    const { container } = require('../src/main/services/ServiceContainer');
+
+    const savedSearchService = {
+      list: jest.fn().mockResolvedValue([{ id: 's1', name: 'Invoices' }]),
+      save: jest.fn().mockResolvedValue({ success: true, search: { id: 's2' } }),
+      delete: jest.fn().mockResolvedValue({ success: true }),
+      run: jest.fn().mockResolvedValue({ success: true, results: [] })
+    };
+    container.has.mockImplementation((id) => id === 'savedSearchService');
+    container.resolve.mockReturnValue(savedSearchService);
+
+    registerKnowledgeIpc(
+      new IpcServiceContext()
+        .setCore({ ipcMain, IPC_CHANNELS, logger })
+        .setServiceIntegration(() => ({}))
+    );
+    const invoke = (channel, ...args) => ipcMain._handlers.get(channel)({}, ...args);
+
+    await expect(invoke(IPC_CHANNELS.KNOWLEDGE.LIST_SAVED_SEARCHES)).resolves.toEqual({
+      success: true,
+      searches: [{ id: 's1', name: 'Invoices' }]
+    });
+
+    const search = { name: 'Receipts', query: 'receipt after:2024', notify: true };
+    await invoke(IPC_CHANNELS.KNOWLEDGE.SAVE_SAVED_SEARCH, search);
+    expect(savedSearchService.save).toHaveBeenCalledWith(search);
+
+    const invalid = await invoke(IPC_CHANNELS.KNOWLEDGE.SAVE_SAVED_SEARCH, { name: 'No query' });
+    expect(invalid.success).toBe(false);
+    expect(savedSearchService.save).toHaveBeenCalledTimes(1);
+
+    await invoke(IPC_CHANNELS.KNOWLEDGE.RUN_SAVED_SEARCH, { id: 's1' });
+    expect(savedSearchService.run).toHaveBeenCalledWith('s1');
+
+    await invoke(IPC_CHANNELS.KNOWLEDGE.DELETE_SAVED_SEARCH, { id: 's1' });
+    expect(savedSearchService.delete).toHaveBeenCalledWith('s1');
+  });
+
+  test('reminder channels validate input and delegate to ReminderService', async () => {
+    const { IpcServiceContext } = require('../src/main/ipc/IpcServiceContext');
+    const registerKnowledgeIpc = require('../src/main/ipc/knowledge');
+    const { IPC_CHANNELS } = require('../src/shared/constants');
+    const { logger } = require('../src/shared/logger');
+    const { container } = require('../src/main/services/ServiceContainer');
+
+    const reminderService = {
+      list: jest.fn().mockResolvedValue([{ id: 'r1', kind: 'due', date: '2026-03-31' }]),
+      update: jest.fn().mockResolvedValue({ success: true, reminder: { id: 'r1' } })
+    };
+    container.has.mockImplementation((id) => id === 'reminderService');
+    container.resolve.mockReturnValue(reminderService);
+
+    registerKnowledgeIpc(
+      new IpcServiceContext()
+        .setCore({ ipcMain, IPC_CHANNELS, logger })
+        .setServiceIntegration(() => ({}))
+    );
+    const invoke = (channel, ...args) => ipcMain._handlers.get(channel)({}, ...args);
+
+    await expect(invoke(IPC_CHANNELS.KNOWLEDGE.LIST_REMINDERS)).resolves.toEqual({
+      success: true,
+      reminders: [{ id: 'r1', kind: 'due', date: '2026-03-31' }]
+    });
+    expect(reminderService.list).toHaveBeenCalledWith({ includeDismissed: false });
+
+    await invoke(IPC_CHANNELS.KNOWLEDGE.UPDATE_REMINDER, { id: 'r1', dismissed: true });
+    expect(reminderService.update).toHaveBeenCalledWith('r1', { dismissed: true });
+
+    const invalid = await invoke(IPC_CHANNELS.KNOWLEDGE.UPDATE_REMINDER, { id: 'r1' });
+    expect(invalid.success).toBe(false);
+    expect(reminderService.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('entity channels validate input and delegate to EntityIndexService', async () => {
+    const { IpcServiceContext } = require('../src/main/ipc/IpcServiceContext');
+    const registerKnowledgeIpc = require('../src/main/ipc/knowledge');
+    const { IPC_CHANNELS } = require('../src/shared/constants');
+    const { logger } = require('../src/shared/logger');
+
+    const entityIndex = {
+      listEntities: jest.fn().mockResolvedValue({ success: true, entities: [], total: 0 }),
+      getEntity: jest.fn().mockResolvedValue({ success: true, entity: { id: 'entity:acme' } }),
+      getEntitiesForFiles: jest.fn().mockResolvedValue({ success: true, entities: [] })
+    };
+
+    registerKnowledgeIpc(
+      new IpcServiceContext()
+        .setCore({ ipcMain, IPC_CHANNELS, logger })
+        .setServiceIntegration(() => ({ entityIndex }))
+    );
+    const invoke = (channel, ...args) => ipcMain._handlers.get(channel)({}, ...args);
+
+    await invoke(IPC_CHANNELS.KNOWLEDGE.LIST_ENTITIES, { query: 'acme', type: 'org' });
+    expect(entityIndex.listEntities).toHaveBeenCalledWith({ query: 'acme', type: 'org' });
+
+    await expect(
+      invoke(IPC_CHANNELS.KNOWLEDGE.GET_ENTITY, { id: 'entity:acme' })
+    ).resolves.toMatchObject({ success: true, entity: { id: 'entity:acme' } });
+    expect(entityIndex.getEntity).toHaveBeenCalledWith('entity:acme', {
+      maxDocuments: undefined
+    });
+
+    await invoke(IPC_CHANNELS.KNOWLEDGE.GET_FILE_ENTITIES, { fileIds: ['file:/a'], minFiles: 2 });
+    expect(entityIndex.getEntitiesForFiles).toHaveBeenCalledWith(['file:/a'], {
+      minFiles: 2,
+      limit: undefined
+    });
+
+    const invalid = await invoke(IPC_CHANNELS.KNOWLEDGE.LIST_ENTITIES, { type: 'animal' });
+    expect(invalid.success).toBe(false);
+    expect(entityIndex.listEntities).toHaveBeenCalledTimes(1);
+  });
 });
@@ -0,0 +1,95 @@
+/**
+ * Tests for language detection and the OCR language catalog helpers
+ */
+
+const {
+  detectScript,
+  detectLanguage,
+  narrowOcrLanguages
+} = require('../src/main/utils/languageDetection');
+const {
+  normalizeOcrLanguages,
+  toTesseractLanguageString,
+  resolveLanguageCode,
+  getLanguageName
+} = require('../src/shared/ocrLanguages');
+
+const GERMAN =
+  'Sehr geehrte Damen und Herren, die Rechnung für den Monat März ist nicht bezahlt. ' +
+  'Wir bitten Sie, den Betrag mit der Referenznummer auf das Konto zu überweisen.';
+const SPANISH =
+  'Estimado cliente, la factura del mes de marzo está pendiente de pago. ' +
+  'Le pedimos que transfiera el importe con el número de referencia a la cuenta.';
+const ENGLISH =
+  'Dear customer, the invoice for the month of March is still open. ' +
+  'Please transfer the amount with the reference number to your account from the portal.';
+
+describe('languageDetection', () => {
+  test.each([
+    [GERMAN, 'deu', 'de'],
+    [SPANISH, 'spa', 'es'],
+    [ENGLISH, 'eng', 'en'],
+    [
+      'Уважаемый клиент, счёт за март не оплачен. Пожалуйста, переведите сумму на счёт.',
+      'rus',
+      'ru'
+    ],
+    ['こんにちは。これは日本語の請求書です。三月分のお支払いをお願いいたします。', 'jpn', 'ja'],
+    ['这是三月份的发票。请在月底之前把金额转到我们的银行账户。谢谢您的合作。', 'chi_sim', 'zh']
+  ])('detects %#', (text, code, iso) => {
+    expect(detectLanguage(text)).toMatchObject({ code, iso });
+  });
+
+  test('returns null for short or unsupported text', () => {
+    expect(detectLanguage('Total: 42.00')).toBeNull();
+    expect(detectLanguage('')).toBeNull();
+  });
+
+  test('only picks from the candidate languages', () => {
+    expect(detectLanguage(GERMAN, { candidates: ['eng', 'spa'] })).toBeNull();
+    expect(detectLanguage(GERMAN, { candidates: ['eng', 'deu'] }).code).toBe('deu');
+  });
+
+  test('detectScript reports the dominant script', () => {
+    expect(detectScript('Καλημέρα σας, αυτό είναι ένα τιμολόγιο').script).toBe('Greek');
+    expect(detectScript('abc').script).toBeNull();
+  });
+
+  test('narrowOcrLanguages keeps only a confidently detected language', () => {
+    const languages = ['deu', 'eng'];
+
+    expect(narrowOcrLanguages({ languages, language: { code: 'deu', confidence: 0.9 } })).toEqual([
+      'deu'
+    ]);
+    expect(narrowOcrLanguages({ languages, language: { code: 'deu', confidence: 0.3 } })).toEqual(
+      languages
+    );
+    expect(narrowOcrLanguages({ languages, language: null })).toEqual(languages);
+  });
+});
+
+describe('ocrLanguages', () => {
+  test('normalizeOcrLanguages drops unknown codes and caps the list', () => {
+    expect(normalizeOcrLanguages(['deu', 'xx', 'deu', 'eng'])).toEqual(['deu', 'eng']);
+    expect(normalizeOcrLanguages(['eng', 'deu', 'fra', 'spa', 'ita'])).toHaveLength(4);
+    expect(normalizeOcrLanguages(null)).toEqual(['eng']);
+  });
+
+  test('toTesseractLanguageString joins codes with +', () => {
+    expect(toTesseractLanguageString(['deu', 'eng'])).toBe('deu+eng');
+  });
+
+  test('resolveLanguageCode accepts ISO codes, Tesseract codes and names', () => {
+    expect(resolveLanguageCode('de')).toBe('de');
+    expect(resolveLanguageCode('DEU')).toBe('de');
+    expect(resolveLanguageCode('German')).toBe('de');
+    expect(resolveLanguageCode('chinese')).toBe('zh');
+    expect(resolveLanguageCode('klingon')).toBeNull();
+  });
+
+  test('getLanguageName maps ISO codes to English names', () => {
+    expect(getLanguageName('fr')).toBe('French');
+    expect(getLanguageName('zh')).toBe('Chinese');
+    expect(getLanguageName('xx')).toBeNull();
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * Extended tests for llama IPC handlers.
  * Covers UPDATE_CONFIG, TEST_CONNECTION, DOWNLOAD_MODEL,
- * DELETE_MODEL, and GET_DOWNLOAD_STATUS handlers.
+ * DELETE_MODEL, GET_DOWNLOAD_STATUS and the OCR language pack handlers.
  */
 
 const mockHandlers = new Map();
@@ -50,6 +50,20 @@ jest.mock('../src/main/services/ModelDownloadManager', () => ({
   getInstance: jest.fn(() => mockDownloadManager)
 }));
 
+const mockOcrLanguageService = {
+  listLanguages: jest.fn().mockResolvedValue([]),
+  downloadLanguage: jest.fn().mockResolvedValue({ success: true }),
+  deleteLanguage: jest.fn().mockResolvedValue({ success: true }),
+  isDownloading: jest.fn().mockReturnValue(false),
+  cancelDownload: jest.fn().mockReturnValue(false)
+};
+
+jest.mock('../src/main/services/OcrLanguageService', () => ({
+  registerWithContainer: jest.fn((cont, id) => {
+    cont.registerSingleton(id, () => mockOcrLanguageService);
+  })
+}));
+
 const mockEnsureResolvedModelsPath = jest.fn();
 jest.mock('../src/main/services/modelPathResolver', () => ({
   ensureResolvedModelsPath: (...args) => mockEnsureResolvedModelsPath(...args)
@@ -62,6 +76,7 @@ const { IPC_EVENTS } = require('../src/shared/constants');
 
 describe('llama IPC – extended handlers', () => {
   let mockLogger;
+  const win = { isDestroyed: () => false, webContents: {} };
 
   beforeEach(() => {
     jest.clearAllMocks();
@@ -99,12 +114,15 @@ describe('llama IPC – extended handlers', () => {
           TEST_CONNECTION: 'llama:test-connection',
           DOWNLOAD_MODEL: 'llama:download-model',
           DELETE_MODEL: 'llama:delete-model',
-          GET_DOWNLOAD_STATUS: 'llama:get-download-status'
+          GET_DOWNLOAD_STATUS: 'llama:get-download-status',
+          GET_OCR_LANGUAGES: 'llama:get-ocr-languages',
+          DOWNLOAD_OCR_LANGUAGE: 'llama:download-ocr-language',
+          DELETE_OCR_LANGUAGE: 'llama:delete-ocr-language'
         }
       },
       logger: mockLogger,
       systemAnalytics: {},
-      getMainWindow: () => null
+      getMainWindow: () => win
     });
   });
 
@@ -362,4 +380,70 @@ describe('llama IPC – extended handlers', () => {
       expect(result.error).toBe('manager disposed');
     });
   });
+
+  describe('OCR language packs', () => {
+    test('lists languages', async () => {
+      mockOcrLanguageService.listLanguages.mockResolvedValueOnce([
+        { code: 'deu', installed: true }
+      ]);
+
+      const result = await getHandler('get-ocr-languages')();
+
+      expect(result).toEqual({ success: true, languages: [{ code: 'deu', installed: true }] });
+    });
+
+    test('rejects unknown language codes', async () => {
+      const result = await getHandler('download-ocr-language')({}, '../eng');
+
+      expect(result.success).toBe(false);
+      expect(mockOcrLanguageService.downloadLanguage).not.toHaveBeenCalled();
+    });
+
+    test('starts the download and reports completion as progress events', async () => {
+      const result = await getHandler('download-ocr-language')({}, 'deu');
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(result).toEqual({ success: true, started: true });
+      expect(safeSend).toHaveBeenCalledWith(
+        win.webContents,
+        IPC_EVENTS.OPERATION_PROGRESS,
+        expect.objectContaining({ type: 'ocr-language-download-complete', language: 'deu' })
+      );
+    });
+
+    test('reports download failures as progress events', async () => {
+      mockOcrLanguageService.downloadLanguage.mockRejectedValueOnce(
+        new Error('Downloaded language pack is corrupted')
+      );
+
+      await getHandler('download-ocr-language')({}, 'fra');
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(safeSend).toHaveBeenCalledWith(
+        win.webContents,
+        IPC_EVENTS.OPERATION_PROGRESS,
+        expect.objectContaining({
+          type: 'ocr-language-download-error',
+          language: 'fra',
+          error: 'Downloaded language pack is corrupted'
+        })
+      );
+    });
+
+    test('does not start a second download of the same language', async () => {
+      mockOcrLanguageService.isDownloading.mockReturnValueOnce(true);
+
+      const result = await getHandler('download-ocr-language')({}, 'deu');
+
+      expect(result).toEqual({ success: true, alreadyInProgress: true });
+      expect(mockOcrLanguageService.downloadLanguage).not.toHaveBeenCalled();
+    });
+
+    test('deletes a language pack', async () => {
+      const result = await getHandler('delete-ocr-language')({}, 'deu');
+
+      expect(result.success).toBe(true);
+      expect(mockOcrLanguageService.deleteLanguage).toHaveBeenCalledWith('deu');
+    });
+  });
 });
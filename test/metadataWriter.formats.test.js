@@ -0,0 +1,215 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the metadata write-back format writers: XMP packets, embedded
+ * image XMP (JPEG/PNG), PDF Info incremental updates and Office core
+ * properties.
+ */
+
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const {
+  buildXmpPacket,
+  mergeXmpPacket,
+  toXmpDate
+} = require('../src/main/services/metadataWriter/xmpPacket');
+const { writeImageXmp, readImageXmp } = require('../src/main/services/metadataWriter/imageXmp');
+const { writePdfInfo, pdfString } = require('../src/main/services/metadataWriter/pdfInfo');
+const {
+  writeOfficeCoreProperties
+} = require('../src/main/services/metadataWriter/officeCoreProperties');
+
+const metadata = {
+  keywords: ['invoice', 'R&D'],
+  summary: 'Q3 invoice <draft>',
+  category: 'Finance',
+  documentDate: '2024-03-05T10:00:00Z'
+};
+
+function segment(marker, payload) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(marker, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+function buildJpeg() {
+  const scan = Buffer.from([0xff, 0xda, 0x00, 0x02, 0x11, 0x22, 0x33, 0xff, 0xd9]);
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xffe0, Buffer.from('JFIF\0\x01\x01', 'latin1')),
+    segment(0xffe1, Buffer.from('Exif\0\0fake-exif', 'latin1')),
+    scan
+  ]);
+}
+
+function pngChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  // CRC is not checked by the writer; a placeholder keeps the fixture simple
+  return Buffer.concat([header, data, Buffer.alloc(4)]);
+}
+
+function buildPng() {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(1, 0);
+  ihdr.writeUInt32BE(1, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 0;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.from([0, 0]))),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function pngChunkTypes(buffer) {
+  const types = [];
+  let offset = 8;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    types.push(buffer.toString('latin1', offset + 4, offset + 8));
+    offset += 12 + length;
+  }
+  return types;
+}
+
+function buildPdf() {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [] /Count 0 >>',
+    '<< /Title (Report \\(final\\)) /Keywords (old) >>'
+  ];
+  let text = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = text.length;
+    text += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = text.length;
+  text += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const offset of offsets) text += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  text += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>\n`;
+  text += `startxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(text, 'latin1');
+}
+
+describe('xmpPacket', () => {
+  test('builds escaped Dublin Core properties', () => {
+    const packet = buildXmpPacket(metadata);
+
+    expect(packet).toContain('<rdf:li>R&amp;D</rdf:li>');
+    expect(packet).toContain('<rdf:li xml:lang="x-default">Q3 invoice &lt;draft&gt;</rdf:li>');
+    expect(packet).toContain('<photoshop:DateCreated>2024-03-05</photoshop:DateCreated>');
+  });
+
+  test('merging replaces our properties and keeps everything else', () => {
+    const first = buildXmpPacket({ keywords: ['old'] }).replace(
+      '</rdf:RDF>',
+      '<rdf:Description xmlns:tiff="http://ns.adobe.com/tiff/1.0/" tiff:Make="Camera"/></rdf:RDF>'
+    );
+
+    const merged = mergeXmpPacket(first, metadata);
+
+    expect(merged).not.toContain('<rdf:li>old</rdf:li>');
+    expect(merged).toContain('tiff:Make="Camera"');
+    expect(merged.match(/<dc:subject>/g)).toHaveLength(1);
+  });
+
+  test('reduces dates to XMP precision', () => {
+    expect(toXmpDate('2024-03')).toBe('2024-03');
+    expect(toXmpDate('not a date')).toBeNull();
+  });
+});
+
+describe('imageXmp', () => {
+  test('inserts an XMP segment after the JFIF/EXIF segments and replaces it later', () => {
+    const original = buildJpeg();
+
+    const once = writeImageXmp(original, metadata);
+    const twice = writeImageXmp(once, { keywords: ['updated'] });
+
+    expect(once.indexOf('fake-exif')).toBeLessThan(once.indexOf('http://ns.adobe.com/xap/1.0/'));
+    expect(readImageXmp(twice)).toContain('<rdf:li>updated</rdf:li>');
+    expect(readImageXmp(twice)).not.toContain('invoice');
+    expect(twice.subarray(-9)).toEqual(original.subarray(-9));
+  });
+
+  test('writes a PNG iTXt chunk before the image data', () => {
+    const updated = writeImageXmp(writeImageXmp(buildPng(), metadata), metadata);
+
+    expect(pngChunkTypes(updated)).toEqual(['IHDR', 'iTXt', 'IDAT', 'IEND']);
+    expect(readImageXmp(updated)).toContain('<rdf:li>invoice</rdf:li>');
+  });
+
+  test('rejects other formats', () => {
+    expect(() => writeImageXmp(Buffer.from('GIF89a'), metadata)).toThrow('Unsupported image');
+  });
+});
+
+describe('pdfInfo', () => {
+  test('appends an Info update that keeps existing entries and points back to the old xref', () => {
+    const original = buildPdf();
+
+    const updated = writePdfInfo(original, metadata, { now: new Date('2024-04-01T00:00:00Z') });
+    const appended = updated.subarray(original.length).toString('latin1');
+
+    expect(updated.subarray(0, original.length)).toEqual(original);
+    expect(appended).toContain('/Title (Report \\(final\\))');
+    expect(appended).toContain('/Keywords (invoice, R&D)');
+    expect(appended).not.toContain('(old)');
+    expect(appended).toContain('/Category (Finance)');
+    expect(appended).toMatch(/trailer\n<< \/Size 5 \/Root 1 0 R \/Info 4 0 R \/Prev \d+ >>/);
+
+    const startxref = Number(appended.match(/startxref\n(\d+)/)[1]);
+    expect(updated.toString('latin1', startxref, startxref + 4)).toBe('xref');
+    const infoOffset = Number(appended.match(/xref\n4 1\n(\d{10})/)[1]);
+    expect(updated.toString('latin1', infoOffset, infoOffset + 7)).toBe('4 0 obj');
+  });
+
+  test('encodes non-ASCII text as UTF-16', () => {
+    expect(pdfString('a(b)')).toBe('(a\\(b\\))');
+    expect(pdfString('é')).toBe('<FEFF00E9>');
+  });
+
+  test('refuses encrypted files', () => {
+    const encrypted = Buffer.from(
+      buildPdf().toString('latin1').replace('/Info 3 0 R', '/Info 3 0 R /Encrypt 9 0 R'),
+      'latin1'
+    );
+
+    expect(() => writePdfInfo(encrypted, metadata)).toThrow('Encrypted');
+  });
+});
+
+describe('officeCoreProperties', () => {
+  test('sets keywords, category and description in docProps/core.xml', () => {
+    const zip = new AdmZip();
+    zip.addFile(
+      'docProps/core.xml',
+      Buffer.from(
+        '<?xml version="1.0"?><cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties">' +
+          '<cp:keywords>old</cp:keywords></cp:coreProperties>'
+      )
+    );
+    zip.addFile('word/document.xml', Buffer.from('<w:document/>'));
+
+    const updated = new AdmZip(writeOfficeCoreProperties(zip.toBuffer(), metadata));
+    const core = updated.getEntry('docProps/core.xml').getData().toString('utf8');
+
+    expect(core).toContain('<cp:keywords>invoice; R&amp;D</cp:keywords>');
+    expect(core).toContain('<cp:category>Finance</cp:category>');
+    expect(core).toContain('xmlns:dc="http://purl.org/dc/elements/1.1/"');
+    expect(core).toContain('<dc:description>Q3 invoice &lt;draft&gt;</dc:description>');
+    expect(updated.getEntry('word/document.xml').getData().toString()).toBe('<w:document/>');
+  });
+
+  test('fails when the package has no core properties', () => {
+    const zip = new AdmZip();
+    zip.addFile('word/document.xml', Buffer.from('<w:document/>'));
+
+    expect(() => writeOfficeCoreProperties(zip.toBuffer(), metadata)).toThrow('no core properties');
+  });
+});
@@ -16,6 +16,7 @@ const {
   formatSize,
   HF_BASE_URL
 } = require('../src/shared/modelRegistry');
+const { AI_DEFAULTS } = require('../src/shared/aiModelConfig');
 
 describe('modelRegistry', () => {
   describe('constants', () => {
@@ -53,8 +54,8 @@ describe('modelRegistry', () => {
         expect(model.minRam).toBeGreaterThan(0);
         expect(typeof model.url).toBe('string');
         expect(model.url).toMatch(/^https:\/\//);
-        // Model name should end in .gguf
-        expect(name).toMatch(/\.gguf$/);
+        // LLM weights are GGUF; Whisper models ship as ggml .bin files
+        expect(name).toMatch(model.type === ModelType.AUDIO ? /\.bin$/ : /\.gguf$/);
       }
     });
 
@@ -141,6 +142,19 @@ describe('modelRegistry', () => {
       }
     });
 
+    test('returns downloadable audio models including the configured defaults', () => {
+      const audio = getModelsByType(ModelType.AUDIO);
+      expect(Object.keys(audio).length).toBeGreaterThan(0);
+      for (const model of Object.values(audio)) {
+        expect(new URL(model.url).hostname).toBe('huggingface.co');
+        expect(model.checksumAlgorithm).toBe('sha1');
+        expect(model.checksum).toMatch(/^[a-f0-9]{40}$/);
+      }
+      for (const name of [AI_DEFAULTS.AUDIO.MODEL, ...AI_DEFAULTS.AUDIO.FALLBACK_MODELS]) {
+        expect(audio[name]).toBeDefined();
+      }
+    });
+
     test('returns empty object for unknown type', () => {
       const result = getModelsByType('unknown');
       expect(Object.keys(result)).toHaveLength(0);
@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for filename templates: tokens, fallback chains, truncation,
+ * counters and validation.
+ */
+
+const {
+  validateNamingTemplate,
+  renderNamingTemplate,
+  truncateText
+} = require('../src/shared/namingTemplates');
+
+const analysis = {
+  entity: 'Acme Corp',
+  type: 'Invoice',
+  project: 'Q1 Audit',
+  summary: 'Hosting services for the marketing website during March',
+  suggestedName: 'march-hosting.pdf',
+  date: '2026-02-28'
+};
+
+const render = (template, params = {}, options = {}) =>
+  renderNamingTemplate(template, { originalFileName: 'scan.pdf', analysis, ...params }, options);
+
+describe('namingTemplates', () => {
+  test.each([
+    ['{date:YYYY-MM-DD}_{entity}_{type}', '2026-02-28_Acme Corp_Invoice'],
+    ['{date:YYYYMMDD}-{subject}', '20260228-march-hosting'],
+    ['{type} {year}-{month}-{day}', 'Invoice 2026-02-28'],
+    ['{original}_{counter:3}', 'scan_001']
+  ])('renders %s', (template, expected) => {
+    expect(render(template)).toBe(expected);
+  });
+
+  test('uses the date format option when a date token has no format', () => {
+    expect(render('{date}', {}, { dateFormat: 'DD-MM-YYYY' })).toBe('28-02-2026');
+  });
+
+  test('walks fallback chains of tokens and literals', () => {
+    const sparse = { analysis: { project: 'Website' } };
+    expect(render('{entity|project}', sparse)).toBe('Website');
+    expect(render('{entity|Unknown}_{type|Document}', sparse)).toBe('Unknown_Document');
+    // Empty tokens collapse the separators around them
+    expect(render('{entity}_{project}__{type}', sparse)).toBe('Website');
+  });
+
+  test('truncates text tokens at word boundaries', () => {
+    expect(render('{summary:20}')).toBe('Hosting services');
+    expect(truncateText('abcdefghij', 4)).toBe('abcd');
+  });
+
+  test('applies the transform to text tokens only', () => {
+    const upper = (value) => value.toUpperCase();
+    expect(render('{entity}_{date:YYYY}_{counter:2}', { counter: 4 }, { transform: upper })).toBe(
+      'ACME CORP_2026_04'
+    );
+  });
+
+  test('falls back to file timestamps when the analysis has no date', () => {
+    const params = {
+      analysis: { type: 'Photo' },
+      fileTimestamps: { created: '2024-05-01', modified: '2025-07-09' }
+    };
+    expect(render('{type}_{date}', params)).toBe('Photo_2025-07-09');
+    expect(render('{created:YYYY}', params)).toBe('2024');
+  });
+
+  test('renders photo tokens and dates from EXIF metadata', () => {
+    const params = {
+      originalFileName: 'IMG_0001.JPG',
+      analysis: {
+        photo: {
+          capturedAt: '2025-07-14T10:30:00',
+          camera: 'Canon EOS R6',
+          place: { city: 'Lisbon', country: 'Portugal' }
+        }
+      },
+      fileTimestamps: { modified: '2026-01-02' }
+    };
+    expect(render('{date}_{place}_{camera}', params)).toBe('2025-07-14_Lisbon_Canon EOS R6');
+    expect(render('{place|country|original}', { analysis: {} })).toBe('scan');
+  });
+
+  test('strips characters that are illegal in filenames', () => {
+    expect(render('{entity}', { analysis: { entity: 'a/b:c*d?' } })).toBe('a b c d');
+  });
+
+  test('validates templates', () => {
+    expect(validateNamingTemplate('{date}_{entity}').valid).toBe(true);
+    expect(validateNamingTemplate('').errors[0]).toMatch(/empty/);
+    expect(validateNamingTemplate('plain text').errors[0]).toMatch(/at least one/);
+    expect(validateNamingTemplate('{colour}').errors[0]).toBe('Unknown token {colour}');
+    expect(validateNamingTemplate('{entity').errors[0]).toMatch(/unbalanced/);
+    expect(validateNamingTemplate('{entity}/{type}').errors[0]).toMatch(/path separators/);
+    // Invalid templates never produce a name
+    expect(render('{year}/{month}')).toBe('');
+    expect(validateNamingTemplate('{counter:9}').errors[0]).toMatch(/width/);
+    expect(validateNamingTemplate('{date:week}').errors[0]).toMatch(/date format/);
+    expect(validateNamingTemplate('{summary:x}').errors[0]).toMatch(/length/);
+    expect(validateNamingTemplate('{year:2}').errors[0]).toMatch(/does not accept/);
+  });
+});
@@ -206,6 +206,16 @@ const runNamingTests = (moduleName, modulePath) => {
         });
         expect(result).toMatch(/myfile\d{8}\.txt/);
       });
+
+      test('previews custom templates with sample analysis values', () => {
+        const result = namingUtils.generatePreviewName('Report.pdf', {
+          ...baseSettings,
+          convention: 'custom',
+          caseConvention: undefined,
+          template: '{entity}_{type}_{subject}_{counter:2}'
+        });
+        expect(result).toBe('Acme Corp_Invoice_Report_01.pdf');
+      });
     });
 
     describe('generateSuggestedNameFromAnalysis', () => {
@@ -342,6 +352,50 @@ const runNamingTests = (moduleName, modulePath) => {
 
         expect(result).toBe('brain-inspired-decision-engine-2023-04-18.png');
       });
+
+      test('custom convention renders the template with per-token casing', () => {
+        const result = namingUtils.generateSuggestedNameFromAnalysis({
+          originalFileName: 'scan.pdf',
+          analysis: { date: '2024-01-15', entity: 'Acme Corp', type: 'Invoice' },
+          settings: {
+            convention: 'custom',
+            template: '{date:YYYY-MM-DD}_{entity}_{type}_{counter:3}',
+            separator: '-',
+            caseConvention: 'kebab-case'
+          },
+          counter: 7
+        });
+
+        expect(result).toBe('2024-01-15_acme-corp_invoice_007.pdf');
+      });
+
+      test('custom convention falls back to the subject when the template is invalid', () => {
+        const result = namingUtils.generateSuggestedNameFromAnalysis({
+          originalFileName: 'scan.pdf',
+          analysis: { suggestedName: 'Quarterly Report' },
+          settings: { convention: 'custom', template: '{colour}', caseConvention: undefined }
+        });
+
+        expect(result).toBe('Quarterly Report.pdf');
+      });
+
+      test('custom convention does not nest a previously rendered name', () => {
+        const settings = { convention: 'custom', template: '{type|Doc}-{subject}' };
+        const analysis = { type: 'Memo', suggestedName: 'Budget', originalSuggestedName: 'Budget' };
+        const first = namingUtils.generateSuggestedNameFromAnalysis({
+          originalFileName: 'a.txt',
+          analysis,
+          settings
+        });
+        const second = namingUtils.generateSuggestedNameFromAnalysis({
+          originalFileName: 'a.txt',
+          analysis: { ...analysis, suggestedName: first },
+          settings
+        });
+
+        expect(first).toBe('Memo-Budget.txt');
+        expect(second).toBe(first);
+      });
     });
 
     describe('makeUniqueFileName', () => {
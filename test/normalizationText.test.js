@@ -1,4 +1,5 @@
 const { normalizeText, normalizeOptionalText } = require('../src/shared/normalization/text');
+const { normalizeKeywords } = require('../src/shared/normalization');
 
 describe('normalization/text', () => {
   test('normalizeText trims, collapses whitespace, and strips nulls', () => {
@@ -11,8 +12,29 @@ describe('normalization/text', () => {
     expect(result).toBe('abc');
   });
 
+  test('normalizeText keeps combining marks with their letter when truncating', () => {
+    // "cafe" + combining acute accent
+    expect(normalizeText('cafe\u0301s', { maxLength: 4 })).toBe('caf');
+    expect(normalizeText('Straße', { maxLength: 5 })).toBe('Straß');
+  });
+
   test('normalizeOptionalText returns null when empty', () => {
     const result = normalizeOptionalText('   ');
     expect(result).toBeNull();
   });
 });
+
+describe('normalizeKeywords', () => {
+  test('keeps non-ASCII keywords and dedupes composed and decomposed forms', () => {
+    const keywords = normalizeKeywords(['Café', 'cafe\u0301', 'Überweisung', 'счёт', '請求書']);
+
+    expect(keywords).toEqual(['Café', 'Überweisung', 'счёт', '請求書']);
+  });
+
+  test('dedupes case-insensitively across scripts', () => {
+    expect(normalizeKeywords(['Rechnung', 'RECHNUNG', 'Счёт', 'счёт'])).toEqual([
+      'Rechnung',
+      'Счёт'
+    ]);
+  });
+});
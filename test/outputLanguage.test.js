@@ -0,0 +1,79 @@
+/**
+ * Tests for the output language setting and its prompt instructions
+ */
+
+const {
+  resolveOutputLanguage,
+  getOutputLanguageKey,
+  buildAnalysisLanguageInstruction,
+  buildFolderDescriptionLanguageInstruction,
+  buildChatLanguageInstruction,
+  OUTPUT_LANGUAGE_CODES
+} = require('../src/shared/outputLanguage');
+
+describe('outputLanguage', () => {
+  test('defaults to English when unset or invalid', () => {
+    expect(resolveOutputLanguage()).toEqual({
+      mode: 'target',
+      target: 'en',
+      targetName: 'English'
+    });
+    expect(resolveOutputLanguage({ outputLanguageMode: 'bogus', outputLanguage: 'xx' })).toEqual(
+      resolveOutputLanguage()
+    );
+  });
+
+  test('offers each ISO language once', () => {
+    expect(OUTPUT_LANGUAGE_CODES).toContain('de');
+    expect(new Set(OUTPUT_LANGUAGE_CODES).size).toBe(OUTPUT_LANGUAGE_CODES.length);
+  });
+
+  test('key changes with mode and language', () => {
+    const de = resolveOutputLanguage({ outputLanguageMode: 'document', outputLanguage: 'de' });
+    expect(getOutputLanguageKey(de)).toBe('document:de');
+    expect(getOutputLanguageKey(resolveOutputLanguage())).toBe('target:en');
+  });
+
+  describe('analysis instruction', () => {
+    test('target mode forces the configured language', () => {
+      const pref = resolveOutputLanguage({ outputLanguage: 'fr' });
+      expect(buildAnalysisLanguageInstruction(pref, 'de')).toContain('suggestedName in French');
+    });
+
+    test('document mode names the detected language', () => {
+      const pref = resolveOutputLanguage({ outputLanguageMode: 'document' });
+      expect(buildAnalysisLanguageInstruction(pref, 'es')).toContain('in Spanish');
+      expect(buildAnalysisLanguageInstruction(pref, null)).toContain(
+        'the language the content is written in'
+      );
+    });
+
+    test('both mode asks for source and target language', () => {
+      const pref = resolveOutputLanguage({ outputLanguageMode: 'both', outputLanguage: 'en' });
+      const instruction = buildAnalysisLanguageInstruction(pref, 'ja');
+      expect(instruction).toContain('first in Japanese, then the same summary in English');
+      expect(instruction).toContain('keywords in both Japanese and English');
+    });
+
+    test('both mode falls back to the target when the source matches or is unknown', () => {
+      const pref = resolveOutputLanguage({ outputLanguageMode: 'both', outputLanguage: 'en' });
+      const target = buildAnalysisLanguageInstruction(resolveOutputLanguage(), 'en');
+      expect(buildAnalysisLanguageInstruction(pref, 'en')).toBe(target);
+      expect(buildAnalysisLanguageInstruction(pref, null)).toBe(target);
+    });
+  });
+
+  test('folder description and chat instructions follow the mode', () => {
+    const target = resolveOutputLanguage({ outputLanguage: 'it' });
+    const document = resolveOutputLanguage({ outputLanguageMode: 'document' });
+    const both = resolveOutputLanguage({ outputLanguageMode: 'both', outputLanguage: 'it' });
+
+    expect(buildFolderDescriptionLanguageInstruction(target)).toBe(
+      'Write the description in Italian.'
+    );
+    expect(buildFolderDescriptionLanguageInstruction(document)).toContain('folder name');
+    expect(buildChatLanguageInstruction(target)).toContain('in Italian');
+    expect(buildChatLanguageInstruction(document)).toContain("language of the user's question");
+    expect(buildChatLanguageInstruction(both)).toContain('original language');
+  });
+});
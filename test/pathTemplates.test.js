@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for smart folder subpath templates: token resolution, fallbacks,
+ * segment sanitization and validation.
+ */
+
+const {
+  buildTemplateValues,
+  sanitizePathSegment,
+  validateSubpathTemplate,
+  resolveSubpathTemplate,
+  templateNeedsFileTimestamps
+} = require('../src/shared/pathTemplates');
+
+const analysis = {
+  entity: 'Acme Corp',
+  type: 'Invoice',
+  category: 'Finance',
+  project: 'Q1 Audit',
+  date: '2026-02-28'
+};
+
+describe('pathTemplates', () => {
+  test('builds values from analysis, falling back to file timestamps for dates', () => {
+    expect(buildTemplateValues({ analysis, fileName: 'scan.PDF' })).toMatchObject({
+      entity: 'Acme Corp',
+      type: 'Invoice',
+      year: '2026',
+      month: '02',
+      day: '28',
+      date: '2026-02-28',
+      ext: 'pdf'
+    });
+
+    const modified = new Date(2024, 10, 5);
+    const values = buildTemplateValues({ analysis: {}, modified, created: new Date(2023, 0, 1) });
+    expect(values).toMatchObject({
+      year: '2024',
+      month: '11',
+      modified_year: '2024',
+      created_year: '2023',
+      created_month: '01'
+    });
+  });
+
+  test.each([
+    ['{entity}/{year}', ['Acme Corp', '2026']],
+    ['Clients/{entity}/{type}', ['Clients', 'Acme Corp', 'Invoice']],
+    ['{project_name}\\{year}-{month}', ['Q1 Audit', '2026-02']],
+    // A separator inside a format never creates extra folders
+    ['{date:YYYY/MM}', ['2026 02']],
+    ['{date:YY.MM}', ['26.02']],
+    ['FY{year}/{file_type}', ['FY2026', 'pdf']]
+  ])('resolves %s', (template, expected) => {
+    expect(resolveSubpathTemplate(template, { analysis, fileName: 'a.pdf' })).toEqual(expected);
+  });
+
+  test('drops segments with missing tokens unless a fallback is given', () => {
+    const sparse = { analysis: { type: 'Receipt' } };
+    expect(resolveSubpathTemplate('{entity}/{type}', sparse)).toEqual(['Receipt']);
+    expect(resolveSubpathTemplate('{entity|Unknown}/{type}', sparse)).toEqual([
+      'Unknown',
+      'Receipt'
+    ]);
+    expect(resolveSubpathTemplate('FY{year}', sparse)).toEqual([]);
+  });
+
+  test('sanitizes values so analysis output cannot escape the smart folder', () => {
+    const hostile = { analysis: { entity: '../../etc', type: 'a/b:c*d', project: 'CON' } };
+    expect(resolveSubpathTemplate('{entity}/{type}/{project}', hostile)).toEqual([
+      'etc',
+      'a b c d',
+      'CON_'
+    ]);
+    expect(sanitizePathSegment('...')).toBe('');
+    expect(sanitizePathSegment('x'.repeat(100))).toHaveLength(64);
+  });
+
+  test('validates templates', () => {
+    expect(validateSubpathTemplate('{entity}/{year}').valid).toBe(true);
+    expect(validateSubpathTemplate('').valid).toBe(true);
+    expect(validateSubpathTemplate('{colour}').errors).toEqual(['Unknown token {colour}']);
+    expect(validateSubpathTemplate('{entity').errors[0]).toMatch(/unbalanced/);
+    expect(validateSubpathTemplate('../{entity}').errors[0]).toMatch(/"\.\."/);
+    expect(validateSubpathTemplate('C:/{entity}').errors[0]).toMatch(/relative/);
+    expect(validateSubpathTemplate('{entity:YYYY}').errors[0]).toMatch(/format/);
+    expect(validateSubpathTemplate('a/b/c/d/e/f/g').errors[0]).toMatch(/at most 6/);
+    // Invalid templates never produce a path
+    expect(resolveSubpathTemplate('{colour}/{entity}', { analysis })).toEqual([]);
+  });
+
+  test('resolves photo tokens from EXIF metadata, preferring the batch event label', () => {
+    const photo = {
+      analysis: {
+        date: '2025-07-20',
+        photo: {
+          capturedAt: '2025-07-14T10:30:00',
+          camera: 'Canon EOS R6',
+          place: { city: 'Lisbon', country: 'Portugal', countryCode: 'PT' }
+        }
+      },
+      fileName: 'IMG_0001.JPG'
+    };
+
+    expect(resolveSubpathTemplate('Photos/{year}/{event}', photo)).toEqual([
+      'Photos',
+      '2025',
+      '2025-07 Lisbon'
+    ]);
+    expect(resolveSubpathTemplate('{country}/{city}/{camera}', photo)).toEqual([
+      'Portugal',
+      'Lisbon',
+      'Canon EOS R6'
+    ]);
+    expect(resolveSubpathTemplate('{event}', { ...photo, event: '2025-07 Sintra' })).toEqual([
+      '2025-07 Sintra'
+    ]);
+    // Documents carry no photo metadata, so photo folders are skipped or use a fallback
+    expect(resolveSubpathTemplate('{place}/{entity}', { analysis })).toEqual(['Acme Corp']);
+    expect(resolveSubpathTemplate('{place|Unknown place}', { analysis })).toEqual([
+      'Unknown place'
+    ]);
+  });
+
+  test('templateNeedsFileTimestamps flags date and stat tokens only', () => {
+    expect(templateNeedsFileTimestamps('{entity}/{type}')).toBe(false);
+    expect(templateNeedsFileTimestamps('{entity}/{year}')).toBe(true);
+    expect(templateNeedsFileTimestamps('{created_year}')).toBe(true);
+    expect(templateNeedsFileTimestamps(undefined)).toBe(false);
+  });
+});
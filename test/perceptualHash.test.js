@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for perceptual hashing and similar-image grouping
+ * (resized copies, re-encoded JPEGs, different pictures)
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+// The shared sharp mock cannot decode pixels; these tests need the real library
+jest.mock('sharp', () => jest.requireActual('../node_modules/sharp'));
+
+const sharp = require('sharp');
+const {
+  computeImageFingerprint,
+  hammingDistance,
+  fingerprintDistance,
+  groupSimilarImages
+} = require('../src/main/utils/perceptualHash');
+
+const WIDTH = 400;
+const HEIGHT = 300;
+
+function renderPattern(pixel) {
+  const raw = Buffer.alloc(WIDTH * HEIGHT * 3);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      raw.set(pixel(x, y), (y * WIDTH + x) * 3);
+    }
+  }
+  return sharp(raw, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } })
+    .png()
+    .toBuffer();
+}
+
+const checkerboard = (x, y) => [
+  Math.floor((x * 255) / WIDTH),
+  (Math.floor(x / 40) + Math.floor(y / 40)) % 2 ? 220 : 30,
+  Math.floor((y * 255) / HEIGHT)
+];
+const stripes = (x, y) => {
+  const value = Math.floor(y / 25) % 2 ? 240 : 10;
+  return [value, 255 - value, Math.floor((x * 255) / WIDTH)];
+};
+
+describe('perceptualHash', () => {
+  let original;
+  let resized;
+  let reencoded;
+  let different;
+
+  beforeAll(async () => {
+    const originalBuffer = await renderPattern(checkerboard);
+    const [originalPrint, resizedPrint, reencodedPrint, differentPrint] = await Promise.all([
+      computeImageFingerprint(originalBuffer),
+      computeImageFingerprint(await sharp(originalBuffer).resize(200).png().toBuffer()),
+      computeImageFingerprint(await sharp(originalBuffer).jpeg({ quality: 40 }).toBuffer()),
+      computeImageFingerprint(await renderPattern(stripes))
+    ]);
+    original = originalPrint;
+    resized = resizedPrint;
+    reencoded = reencodedPrint;
+    different = differentPrint;
+  });
+
+  test('fingerprints hold three 64-bit hex hashes, dimensions and sharpness', () => {
+    expect(original).toMatchObject({ width: WIDTH, height: HEIGHT });
+    for (const key of ['aHash', 'dHash', 'pHash']) {
+      expect(original[key]).toMatch(/^[0-9a-f]{16}$/);
+    }
+    expect(original.sharpness).toBeGreaterThan(0);
+    expect(resized).toMatchObject({ width: 200, height: 150 });
+  });
+
+  test('resized and re-encoded copies stay close; a different picture does not', () => {
+    expect(fingerprintDistance(original, resized)).toBeLessThanOrEqual(6);
+    expect(fingerprintDistance(original, reencoded)).toBeLessThanOrEqual(6);
+    expect(fingerprintDistance(original, different)).toBeGreaterThan(20);
+  });
+
+  test('hammingDistance counts differing bits and rejects malformed hashes', () => {
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    expect(hammingDistance('0000000000000001', '0000000000000003')).toBe(1);
+    expect(hammingDistance('abc', '0000000000000000')).toBe(Infinity);
+  });
+
+  test('returns null for bytes that are not an image', async () => {
+    await expect(computeImageFingerprint(Buffer.from('not an image'))).resolves.toBeNull();
+  });
+
+  test('groupSimilarImages groups copies and picks the highest quality one', () => {
+    const groups = groupSimilarImages([
+      { path: '/photos/beach.png', fingerprint: original, size: 90000 },
+      { path: '/photos/beach-small.png', fingerprint: resized, size: 30000 },
+      { path: '/downloads/beach.jpg', fingerprint: reencoded, size: 20000 },
+      { path: '/photos/stripes.png', fingerprint: different, size: 50000 },
+      { path: '/photos/unhashed.png', fingerprint: null }
+    ]);
+
+    expect(groups).toHaveLength(1);
+    const [group] = groups;
+    expect(group).toMatchObject({ kind: 'similar-images', memberCount: 3 });
+    expect(group.bestPick.path).toBe('/photos/beach.png');
+    expect(group.members[0]).toMatchObject({ isBestPick: true, distance: 0, name: 'beach.png' });
+    expect(group.members.slice(1).every((member) => !member.isBestPick)).toBe(true);
+    expect(group.members.map((member) => member.path)).not.toContain('/photos/stripes.png');
+    expect(group.members[0]).not.toHaveProperty('fingerprint');
+    expect(group.averageSimilarity).toBeGreaterThan(0.9);
+  });
+
+  test('burst shots within the distance threshold form a near-identical group', () => {
+    const base = { ...original };
+    // Flip 8 bits of each hash: too many for "identical", within the burst threshold
+    const flipped = {
+      ...original,
+      pHash: `${original.pHash.slice(0, 14)}${flip(original.pHash.slice(14))}`,
+      dHash: `${original.dHash.slice(0, 14)}${flip(original.dHash.slice(14))}`
+    };
+    const groups = groupSimilarImages([
+      { path: '/burst/IMG_001.jpg', fingerprint: base, size: 100 },
+      { path: '/burst/IMG_002.jpg', fingerprint: flipped, size: 100 }
+    ]);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].matchType).toBe('near-identical');
+    expect(
+      groupSimilarImages(
+        [
+          { path: '/burst/IMG_001.jpg', fingerprint: base },
+          { path: '/burst/IMG_002.jpg', fingerprint: flipped }
+        ],
+        { maxDistance: 4 }
+      )
+    ).toHaveLength(0);
+  });
+});
+
+function flip(hex) {
+  return hex
+    .split('')
+    .map((char) => (15 - parseInt(char, 16)).toString(16))
+    .join('');
+}
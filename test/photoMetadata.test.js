@@ -0,0 +1,150 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for EXIF/XMP photo metadata, offline reverse geocoding and
+ * photo event grouping
+ */
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    setContext: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+// The shared sharp mock cannot read metadata; these tests need the real library
+jest.mock('sharp', () => jest.requireActual('../node_modules/sharp'));
+
+const sharp = require('sharp');
+const {
+  extractPhotoMetadata,
+  formatCameraName,
+  toCaptureTime
+} = require('../src/main/analysis/photoMetadata');
+const { reverseGeocode } = require('../src/main/utils/reverseGeocode');
+const { groupPhotoEvents, formatEventLabel } = require('../src/shared/photoEvents');
+
+const blank = () =>
+  sharp({ create: { width: 32, height: 24, channels: 3, background: '#808080' } });
+
+describe('photoMetadata', () => {
+  test('reads camera, lens, capture time and GPS from EXIF and names the place', async () => {
+    const image = await blank()
+      .jpeg()
+      .withExif({
+        IFD0: { Make: 'NIKON CORPORATION', Model: 'Z 6' },
+        IFD2: { DateTimeOriginal: '2025:07:14 10:30:00', LensModel: 'NIKKOR Z 24-70mm f/4 S' },
+        IFD3: {
+          GPSLatitudeRef: 'N',
+          GPSLatitude: '38/1 42/1 3000/100',
+          GPSLongitudeRef: 'W',
+          GPSLongitude: '9/1 8/1 2400/100'
+        }
+      })
+      .toBuffer();
+
+    expect(await extractPhotoMetadata(image)).toEqual({
+      capturedAt: '2025-07-14T10:30:00',
+      camera: 'Nikon Z 6',
+      cameraMake: 'Nikon',
+      cameraModel: 'Z 6',
+      lens: 'NIKKOR Z 24-70mm f/4 S',
+      orientation: 1,
+      gps: { latitude: 38.708333, longitude: -9.14, altitude: null },
+      place: { city: 'Lisbon', country: 'Portugal', countryCode: 'PT' }
+    });
+  });
+
+  test('falls back to XMP and returns null without metadata', async () => {
+    const xmp =
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+      '<rdf:Description rdf:about="" xmlns:tiff="http://ns.adobe.com/tiff/1.0/"' +
+      ' xmlns:exif="http://ns.adobe.com/exif/1.0/"' +
+      ' tiff:Make="Apple" tiff:Model="iPhone 15 Pro"' +
+      ' exif:DateTimeOriginal="2024-12-24T18:05:10+01:00"' +
+      ' exif:GPSLatitude="41,9.06N" exif:GPSLongitude="8,36.6W"/></rdf:RDF></x:xmpmeta>';
+    const image = await blank().png().withXmp(xmp).toBuffer();
+
+    expect(await extractPhotoMetadata(image)).toMatchObject({
+      capturedAt: '2024-12-24T18:05:10',
+      camera: 'Apple iPhone 15 Pro',
+      place: { city: 'Porto', countryCode: 'PT' }
+    });
+    expect(await extractPhotoMetadata(await blank().png().toBuffer())).toBeNull();
+    expect(await extractPhotoMetadata(Buffer.from('not an image'))).toBeNull();
+  });
+
+  test('formats camera names and capture times', () => {
+    expect(formatCameraName('Canon', 'Canon EOS R6')).toBe('Canon EOS R6');
+    expect(formatCameraName('FUJIFILM', 'X-T5')).toBe('Fujifilm X-T5');
+    expect(formatCameraName('DJI', 'Mini 4 Pro')).toBe('DJI Mini 4 Pro');
+    expect(formatCameraName(null, null)).toBeNull();
+    expect(toCaptureTime(new Date(Date.UTC(2025, 6, 14, 10, 30)))).toBe('2025-07-14T10:30:00');
+    expect(toCaptureTime('2025:07:14 10:30:00')).toBe('2025-07-14T10:30:00');
+    expect(toCaptureTime('0000:00:00 00:00:00')).toBeNull();
+  });
+});
+
+describe('reverseGeocode', () => {
+  test('finds the nearest bundled city within range', () => {
+    expect(reverseGeocode(48.8584, 2.2945)).toMatchObject({ city: 'Paris', countryCode: 'FR' });
+    expect(reverseGeocode(-33.8568, 151.2153)).toMatchObject({
+      city: 'Sydney',
+      country: 'Australia'
+    });
+  });
+
+  test('returns null for open ocean, Null Island and invalid coordinates', () => {
+    expect(reverseGeocode(-40, -130)).toBeNull();
+    expect(reverseGeocode(0, 0)).toBeNull();
+    expect(reverseGeocode(91, 0)).toBeNull();
+    expect(reverseGeocode('38.7', '-9.1')).toBeNull();
+  });
+});
+
+describe('photoEvents', () => {
+  const shot = (path, capturedAt, city, gps) => ({
+    path,
+    analysis: { photo: { capturedAt, place: city ? { city } : null, gps: gps || null } }
+  });
+  const lisbon = { latitude: 38.72, longitude: -9.14 };
+  const sintra = { latitude: 38.8, longitude: -9.39 };
+  const madrid = { latitude: 40.42, longitude: -3.7 };
+
+  test('keeps a trip together across days and nearby towns', () => {
+    const events = groupPhotoEvents([
+      shot('/p/3.jpg', '2025-07-16T07:00:00', 'Sintra', sintra),
+      shot('/p/1.jpg', '2025-07-14T10:00:00', 'Lisbon', lisbon),
+      shot('/p/2.jpg', '2025-07-15T08:00:00', 'Lisbon', lisbon),
+      shot('/p/4.jpg', '2025-07-16T08:00:00', null, null)
+    ]);
+
+    expect(new Set(events.values())).toEqual(new Set(['2025-07 Lisbon']));
+    expect(events.size).toBe(4);
+  });
+
+  test('splits events on long gaps and large location jumps', () => {
+    const events = groupPhotoEvents([
+      shot('/p/a.jpg', '2025-07-14T10:00:00', 'Lisbon', lisbon),
+      shot('/p/b.jpg', '2025-07-14T18:00:00', 'Madrid', madrid),
+      shot('/p/c.jpg', '2025-09-01T09:00:00', null, null),
+      { path: '/p/doc.pdf', analysis: {} }
+    ]);
+
+    expect(Object.fromEntries(events)).toEqual({
+      '/p/a.jpg': '2025-07 Lisbon',
+      '/p/b.jpg': '2025-07 Madrid',
+      '/p/c.jpg': '2025-09-01'
+    });
+  });
+
+  test('formats event labels', () => {
+    expect(formatEventLabel('2025-07-14T10:00:00', 'Lisbon')).toBe('2025-07 Lisbon');
+    expect(formatEventLabel('2025-07-14T10:00:00')).toBe('2025-07-14');
+    expect(formatEventLabel(null, 'Lisbon')).toBe('');
+  });
+});
@@ -0,0 +1,347 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for project bundle detection: bundle folders, multi-file formats,
+ * aggregated analysis and rewriting organize operations so bundles move as
+ * one unit.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  return { logger, createLogger: jest.fn(() => logger) };
+});
+
+const {
+  classifyDirectory,
+  detectBundles,
+  detectBundleDirectory,
+  selectBundleSamples,
+  aggregateBundleAnalysis,
+  analyzeBundle,
+  collapseBundledFiles,
+  applyBundlesToOperations,
+  planBundleMoves,
+  getBundleMemberMoves
+} = require('../src/main/utils/projectBundles');
+const { crossDeviceMove } = require('../src/shared/atomicFileOperations');
+
+describe('projectBundles', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-bundles-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function write(relativePath, content = 'x') {
+    const filePath = path.join(tmpDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  const detect = (paths) => detectBundles(paths, { boundaries: [tmpDir] });
+
+  test('classifies bundle folders from their markers', () => {
+    expect(classifyDirectory('/x/Tool.app', [])).toBe('package');
+    expect(classifyDirectory('/x/repo', ['.git', 'README.md'])).toBe('git');
+    expect(classifyDirectory('/x/site', ['package.json', 'src'])).toBe('node');
+    expect(classifyDirectory('/x/lib', ['pyproject.toml'])).toBe('python');
+    expect(classifyDirectory('/x/paper', ['main.tex', 'refs.bib'])).toBe('latex');
+    expect(classifyDirectory('/x/paper', ['notes.tex'])).toBeNull();
+    expect(classifyDirectory('/x/trip', ['IMG_0001.JPG', 'IMG_0002.JPG', 'IMG_0003.JPG'])).toBe(
+      'photo-export'
+    );
+    expect(classifyDirectory('/x/trip', ['a.jpg', 'b.jpg', 'c.jpg', 'c.xmp'])).toBe('photo-export');
+    expect(classifyDirectory('/x/mixed', ['a.jpg', 'b.jpg', 'c.jpg', 'd.pdf'])).toBeNull();
+  });
+
+  test('groups files under the outermost bundle folder and leaves the rest loose', async () => {
+    write('repo/.git/HEAD');
+    const readme = write('repo/README.md');
+    const chapter = write('repo/thesis/chapter1.tex');
+    const refs = write('repo/thesis/refs.bib');
+    const lone = write('site/package.json');
+    const invoice = write('invoice.pdf');
+
+    const { bundles, partial, loose } = await detect([readme, chapter, refs, lone, invoice]);
+
+    expect(partial).toEqual([]);
+    expect(bundles).toHaveLength(1);
+    expect(bundles[0]).toMatchObject({
+      kind: 'directory',
+      type: 'git',
+      label: 'Git repository',
+      root: path.join(tmpDir, 'repo'),
+      name: 'repo',
+      members: [readme, chapter, refs],
+      fileCount: 3
+    });
+    // A single file from a bundle is not enough to move the whole folder
+    expect(loose.sort()).toEqual([invoice, lone].sort());
+  });
+
+  test('collects every on-disk companion of a multi-file format', async () => {
+    const shp = write('gis/roads.shp');
+    const dbf = write('gis/roads.dbf');
+    write('gis/roads.shx');
+    write('gis/roads.shp.xml');
+    write('gis/rivers.dbf');
+
+    // The unselected companions only move along once the user confirms
+    const unconfirmed = await detect([shp, dbf]);
+    expect(unconfirmed.bundles).toEqual([]);
+    expect(unconfirmed.partial).toHaveLength(1);
+    expect(unconfirmed.loose).toEqual([shp, dbf]);
+
+    const { bundles, loose } = await detectBundles([shp, dbf], {
+      boundaries: [tmpDir],
+      confirmed: [shp]
+    });
+
+    expect(loose).toEqual([]);
+    expect(bundles).toHaveLength(1);
+    expect(bundles[0]).toMatchObject({ kind: 'fileset', type: 'shapefile', root: shp });
+    expect(bundles[0].files.map((f) => path.basename(f)).sort()).toEqual([
+      'roads.dbf',
+      'roads.shp',
+      'roads.shp.xml',
+      'roads.shx'
+    ]);
+  });
+
+  test('leaves a project folder in place when only some of its files are selected', async () => {
+    write('mono/package.json');
+    write('mono/src/index.js');
+    const spec = write('mono/docs/spec.pdf');
+    const guide = write('mono/docs/guide.pdf');
+    const operations = [
+      { type: 'move', source: spec, destination: path.join(tmpDir, 'Docs', 'spec.pdf') },
+      { type: 'move', source: guide, destination: path.join(tmpDir, 'Docs', 'guide.pdf') }
+    ];
+
+    const plan = await planBundleMoves(operations, { boundaries: [tmpDir] });
+
+    expect(plan.operations).toEqual(operations);
+    expect(plan.bundles).toEqual([]);
+    expect(plan.partial).toEqual([
+      {
+        root: path.join(tmpDir, 'mono'),
+        name: 'mono',
+        kind: 'directory',
+        type: 'node',
+        label: 'Node.js project',
+        destination: path.join(tmpDir, 'Docs', 'mono'),
+        members: [spec, guide],
+        fileCount: 4
+      }
+    ]);
+
+    const confirmed = await planBundleMoves(operations, {
+      boundaries: [tmpDir],
+      confirmed: [path.join(tmpDir, 'mono')]
+    });
+    expect(confirmed.partial).toEqual([]);
+    expect(confirmed.operations).toEqual([
+      expect.objectContaining({
+        source: path.join(tmpDir, 'mono'),
+        destination: path.join(tmpDir, 'Docs', 'mono')
+      })
+    ]);
+  });
+
+  test('never reaches up to or past a boundary folder', async () => {
+    write('Projects/package.json');
+    const a = write('Projects/notes/a.md');
+    const b = write('Projects/notes/b.md');
+
+    const { bundles, partial } = await detectBundles([a, b], {
+      boundaries: [tmpDir, path.join(tmpDir, 'Projects')]
+    });
+
+    expect(bundles).toEqual([]);
+    expect(partial).toEqual([]);
+  });
+
+  test('detects a single bundle folder', async () => {
+    write('Tool.bundle/Contents/Info.plist');
+    write('notes/todo.txt');
+
+    expect(await detectBundleDirectory(path.join(tmpDir, 'Tool.bundle'))).toMatchObject({
+      type: 'package',
+      members: []
+    });
+    expect(await detectBundleDirectory(path.join(tmpDir, 'notes'))).toBeNull();
+  });
+
+  test('samples READMEs and manifests first and skips dependencies', () => {
+    expect(
+      selectBundleSamples(
+        [
+          '/p/src/deep/util.js',
+          '/p/node_modules/dep/README.md',
+          '/p/logo.png',
+          '/p/package.json',
+          '/p/docs/guide.md',
+          '/p/README.md'
+        ],
+        3
+      )
+    ).toEqual(['/p/README.md', '/p/package.json', '/p/docs/guide.md']);
+  });
+
+  test('aggregates sampled analyses into one bundle analysis', () => {
+    const bundle = {
+      kind: 'directory',
+      type: 'node',
+      label: 'Node.js project',
+      root: '/p/acme-site',
+      name: 'acme-site',
+      members: ['/p/acme-site/a', '/p/acme-site/b', '/p/acme-site/c']
+    };
+    const analysis = aggregateBundleAnalysis(bundle, [
+      { category: 'Code', confidence: 80, keywords: ['react', 'Website'], summary: 'Site' },
+      { category: 'Docs', confidence: 90, keywords: ['website'] },
+      { category: 'Code', confidence: 70, keywords: ['api'] },
+      { error: 'unsupported' }
+    ]);
+
+    expect(analysis).toMatchObject({
+      category: 'Code',
+      confidence: 80,
+      summary: 'Site',
+      project: 'acme-site',
+      type: 'Node.js project',
+      suggestedName: 'acme-site',
+      bundle: { type: 'node', memberCount: 3, sampledFiles: 3 }
+    });
+    expect(analysis.keywords[0]).toBe('website');
+  });
+
+  test('analyzes a bundle folder from sampled members', async () => {
+    write('paper/main.tex');
+    write('paper/refs.bib');
+    write('paper/figures/plot.png');
+    const bundle = await detectBundleDirectory(path.join(tmpDir, 'paper'));
+    const analyzeFile = jest.fn(async (filePath) => ({
+      category: 'Research',
+      confidence: 60,
+      keywords: [path.extname(filePath).slice(1)]
+    }));
+
+    const analysis = await analyzeBundle(bundle, analyzeFile, { maxSamples: 2 });
+
+    expect(analyzeFile).toHaveBeenCalledTimes(2);
+    expect(analyzeFile.mock.calls[0][0]).toBe(path.join(tmpDir, 'paper', 'main.tex'));
+    expect(analysis).toMatchObject({ category: 'Research', type: 'LaTeX project' });
+  });
+
+  test('collapses bundle members into one organize unit', async () => {
+    const files = [
+      { path: write('site/package.json'), analysis: { category: 'Code', confidence: 80 } },
+      { path: write('site/README.md'), analysis: { category: 'Code', confidence: 90 } },
+      { path: write('report.pdf'), analysis: { category: 'Finance', confidence: 90 } },
+      { path: write('site/src/index.js'), analysis: { category: 'Code', confidence: 70 } }
+    ];
+
+    const { files: units, bundles } = await collapseBundledFiles(files, {
+      boundaries: [tmpDir]
+    });
+
+    expect(bundles).toHaveLength(1);
+    expect(units).toHaveLength(2);
+    expect(units[0]).toMatchObject({
+      name: 'site',
+      path: path.join(tmpDir, 'site'),
+      isBundle: true,
+      analysis: { category: 'Code', confidence: 80 }
+    });
+    expect(units[1]).toBe(files[2]);
+  });
+
+  test('rewrites member moves into a single folder move', () => {
+    const bundle = {
+      kind: 'directory',
+      type: 'node',
+      label: 'Node.js project',
+      root: '/dl/site',
+      name: 'site',
+      members: ['/dl/site/README.md', '/dl/site/src/a.js', '/dl/site/logo.png']
+    };
+    const operations = [
+      { type: 'move', source: '/dl/invoice.pdf', destination: '/org/Finance/invoice.pdf' },
+      { type: 'move', source: '/dl/site/README.md', destination: '/org/Code/readme.md' },
+      { type: 'move', source: '/dl/site/logo.png', destination: '/org/Images/logo.png' },
+      { type: 'move', source: '/dl/site/src/a.js', destination: '/org/Code/a.js' }
+    ];
+
+    expect(applyBundlesToOperations(operations, [bundle])).toEqual([
+      operations[0],
+      {
+        type: 'move',
+        source: '/dl/site',
+        destination: path.join('/org/Code', 'site'),
+        bundle: {
+          kind: 'directory',
+          type: 'node',
+          label: 'Node.js project',
+          members: bundle.members
+        }
+      }
+    ]);
+    expect(getBundleMemberMoves('/dl/site', '/org/Code/site', bundle.members)[1]).toEqual({
+      oldPath: '/dl/site/src/a.js',
+      newPath: path.join('/org/Code/site', 'src/a.js')
+    });
+  });
+
+  test('moves multi-file companions next to the renamed primary file', () => {
+    const bundle = {
+      kind: 'fileset',
+      type: 'shapefile',
+      label: 'Shapefile',
+      root: '/dl/roads.shp',
+      name: 'roads',
+      members: ['/dl/roads.shp'],
+      files: ['/dl/roads.shp', '/dl/roads.dbf', '/dl/roads.shp.xml']
+    };
+    const ops = applyBundlesToOperations(
+      [{ type: 'move', source: '/dl/roads.shp', destination: '/org/GIS/city-roads.shp' }],
+      [bundle]
+    );
+
+    expect(ops.map((op) => op.destination)).toEqual([
+      path.join('/org/GIS', 'city-roads.shp'),
+      path.join('/org/GIS', 'city-roads.dbf'),
+      path.join('/org/GIS', 'city-roads.shp.xml')
+    ]);
+  });
+
+  test('crossDeviceMove copies a bundle folder and refuses to merge', async () => {
+    write('src/site/package.json', '{}');
+    write('src/site/lib/index.js', 'module.exports = 1;');
+    write('taken/site/keep.txt');
+    const source = path.join(tmpDir, 'src', 'site');
+
+    await expect(crossDeviceMove(source, path.join(tmpDir, 'taken', 'site'))).rejects.toThrow();
+    expect(fs.readdirSync(path.join(tmpDir, 'taken', 'site'))).toEqual(['keep.txt']);
+
+    const destination = path.join(tmpDir, 'moved-site');
+    await crossDeviceMove(source, destination, { verify: true });
+    expect(fs.existsSync(source)).toBe(false);
+    expect(fs.readFileSync(path.join(destination, 'lib', 'index.js'), 'utf8')).toBe(
+      'module.exports = 1;'
+    );
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for the structured search query grammar: field operators, quoted
+ * phrases, negation, date/size ranges and constraint matching.
+ */
+
+const {
+  parseSearchQuery,
+  parseDatePeriod,
+  parseSizeRange,
+  expandTypeValue,
+  matchesSearchConstraints,
+  getActiveToken
+} = require('../src/shared/searchQuerySyntax');
+
+describe('searchQuerySyntax', () => {
+  describe('parseSearchQuery', () => {
+    test('splits field operators from free text', () => {
+      const parsed = parseSearchQuery(
+        'invoice from:amazon type:pdf after:2024-03 size:>5mb folder:Finance tag:tax'
+      );
+
+      expect(parsed.text).toBe('invoice');
+      expect(parsed.hasConstraints).toBe(true);
+      expect(parsed.filters).toMatchObject({
+        from: ['amazon'],
+        type: ['pdf'],
+        folder: ['Finance'],
+        tag: ['tax'],
+        after: '2024-03-01',
+        before: null,
+        size: { min: 5 * 1024 * 1024 + 1, max: null }
+      });
+      expect(parsed.errors).toEqual([]);
+    });
+
+    test('parses quoted phrases, quoted values and negation', () => {
+      const parsed = parseSearchQuery('"net 30" -draft -"old copy" from:"Acme Corp" -tag:archived');
+
+      expect(parsed.phrases).toEqual(['net 30']);
+      expect(parsed.excludedTerms).toEqual(['draft', 'old copy']);
+      expect(parsed.filters.from).toEqual(['Acme Corp']);
+      expect(parsed.exclude.tag).toEqual(['archived']);
+      expect(parsed.filters.tag).toEqual([]);
+      expect(parsed.text).toBe('net 30');
+    });
+
+    test('resolves aliases and keeps unknown fields as text', () => {
+      const parsed = parseSearchQuery('vendor:acme cat:Finance year:2023 http://example.com');
+
+      expect(parsed.filters.from).toEqual(['acme']);
+      expect(parsed.filters.category).toEqual(['Finance']);
+      expect(parsed.filters.after).toBe('2023-01-01');
+      expect(parsed.filters.before).toBe('2024-01-01');
+      expect(parsed.text).toBe('http://example.com');
+    });
+
+    test('narrows repeated date and size filters', () => {
+      const parsed = parseSearchQuery(
+        'after:2023 date:2024-02 before:2024-02-20 size:>1kb size:<1mb'
+      );
+
+      expect(parsed.filters.after).toBe('2024-02-01');
+      expect(parsed.filters.before).toBe('2024-02-20');
+      expect(parsed.filters.size).toEqual({ min: 1025, max: 1024 * 1024 - 1 });
+    });
+
+    test('accepts amount comparisons with or without a colon', () => {
+      expect(parseSearchQuery('invoices amount > 500').filters.amount).toEqual({
+        min: 50001,
+        max: null
+      });
+      expect(parseSearchQuery('total<=99,99').filters.amount).toEqual({ min: null, max: 9999 });
+      expect(parseSearchQuery('amount:100..250.50 amount:>200').filters.amount).toEqual({
+        min: 20001,
+        max: 25050
+      });
+      expect(parseSearchQuery('invoices amount > 500').text).toBe('invoices');
+      expect(parseSearchQuery('size > 5mb').filters.size).toEqual({ min: 5242881, max: null });
+    });
+
+    test('reports unparseable values without adding constraints', () => {
+      const parsed = parseSearchQuery('report after:last-week size:huge');
+
+      expect(parsed.hasConstraints).toBe(false);
+      expect(parsed.errors).toHaveLength(2);
+      expect(parsed.text).toBe('report');
+    });
+
+    test('plain queries have no constraints', () => {
+      const parsed = parseSearchQuery('vacation photos 2024');
+      expect(parsed.hasConstraints).toBe(false);
+      expect(parsed.text).toBe('vacation photos 2024');
+    });
+  });
+
+  test('parseDatePeriod handles years, months and days', () => {
+    expect(parseDatePeriod('2024')).toEqual({ start: '2024-01-01', end: '2025-01-01' });
+    expect(parseDatePeriod('2024-12')).toEqual({ start: '2024-12-01', end: '2025-01-01' });
+    expect(parseDatePeriod('2024/02/29')).toEqual({ start: '2024-02-29', end: '2024-03-01' });
+    expect(parseDatePeriod('2023-02-29')).toBeNull();
+    expect(parseDatePeriod('2024-13')).toBeNull();
+  });
+
+  test('parseSizeRange handles comparisons and ranges', () => {
+    expect(parseSizeRange('>=2kb')).toEqual({ min: 2048, max: null });
+    expect(parseSizeRange('<=1.5mb')).toEqual({ min: null, max: 1572864 });
+    expect(parseSizeRange('1mb..10mb')).toEqual({ min: 1048576, max: 10485760 });
+    expect(parseSizeRange('10mb..1mb')).toBeNull();
+    expect(parseSizeRange('big')).toBeNull();
+  });
+
+  test('expandTypeValue maps kinds to extensions', () => {
+    expect(expandTypeValue('PDF')).toEqual(['.pdf']);
+    expect(expandTypeValue('images')).toContain('.jpg');
+    expect(expandTypeValue('audio')).toContain('.mp3');
+  });
+
+  describe('matchesSearchConstraints', () => {
+    const record = {
+      text: 'Amazon invoice for hosting, net 30 terms',
+      path: '/home/me/Documents/Finance/2024/amazon-invoice.pdf',
+      extension: '.pdf',
+      entity: 'Amazon Web Services',
+      documentType: 'Invoice',
+      category: 'Finance',
+      tags: ['Tax', 'hosting'],
+      project: 'Website',
+      language: 'de',
+      date: '2024-03-15',
+      size: 6 * 1024 * 1024,
+      amount: 742.5,
+      currency: 'EUR'
+    };
+    const matches = (query) => matchesSearchConstraints(record, parseSearchQuery(query));
+
+    test('matches every supported field', () => {
+      expect(
+        matches(
+          'invoice from:amazon type:pdf doctype:invoice category:finance tag:tax project:web folder:Finance after:2024-03 before:2024-04 size:>5mb "net 30"'
+        )
+      ).toBe(true);
+    });
+
+    test.each([
+      'from:google',
+      'type:image',
+      'tag:tax tag:travel',
+      'folder:Personal',
+      'after:2024-04',
+      'before:2024-03-15',
+      'size:<5mb',
+      'amount:>742.50',
+      'currency:usd',
+      '"net 60"',
+      '-hosting',
+      '-type:pdf',
+      '-tag:hosting'
+    ])('rejects %s', (query) => {
+      expect(matches(query)).toBe(false);
+    });
+
+    test('lang: accepts ISO codes, Tesseract codes and language names', () => {
+      expect(matches('lang:de')).toBe(true);
+      expect(matches('lang:deu')).toBe(true);
+      expect(matches('language:German')).toBe(true);
+      expect(matches('lang:fr')).toBe(false);
+      expect(matches('-lang:german')).toBe(false);
+    });
+
+    test('amount: compares totals to the cent and currency: accepts symbols', () => {
+      expect(matches('amount:>=742.50')).toBe(true);
+      expect(matches('amount:700..800 currency:€')).toBe(true);
+      expect(matches('amount:742,5')).toBe(true);
+      expect(matchesSearchConstraints({ text: 'notes' }, parseSearchQuery('amount:>0'))).toBe(
+        false
+      );
+    });
+
+    test('matches any of repeated single-valued fields', () => {
+      expect(matches('type:docx type:pdf')).toBe(true);
+    });
+
+    test('date and size filters exclude records without those values', () => {
+      const bare = { text: 'notes', extension: '.txt' };
+      expect(matchesSearchConstraints(bare, parseSearchQuery('after:2020'))).toBe(false);
+      expect(matchesSearchConstraints(bare, parseSearchQuery('size:<1mb'))).toBe(false);
+      expect(matchesSearchConstraints(bare, parseSearchQuery('notes'))).toBe(true);
+    });
+  });
+
+  test('getActiveToken finds the token being typed', () => {
+    expect(getActiveToken('invoice -tag:ta')).toMatchObject({
+      prefix: 'invoice ',
+      negated: true,
+      field: 'tag',
+      value: 'ta'
+    });
+    expect(getActiveToken('from:"Acme Co')).toMatchObject({ prefix: '', field: 'from' });
+    expect(getActiveToken('invoice fold')).toMatchObject({ field: null, value: 'fold' });
+  });
+});
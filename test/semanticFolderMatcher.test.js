@@ -337,4 +337,56 @@ describe('semanticFolderMatcher', () => {
     expect(analysis.category).toBe('Financial');
     expect(analysis.categorySource).toBe('llm_preserved');
   });
+
+  test('smart folder rule pins the category even when an embedding match is stronger', async () => {
+    const vectorDb = { initialize: jest.fn().mockResolvedValue(undefined) };
+    const matcher = {
+      embeddingCache: { initialized: true },
+      initialize: jest.fn(),
+      batchUpsertFolders: jest.fn().mockResolvedValue({ count: 1 }),
+      embedText: jest.fn().mockResolvedValue({ vector: [1, 2, 3], model: 'm' }),
+      matchVectorToFolders: jest
+        .fn()
+        .mockResolvedValue([{ name: 'Financial', path: 'C:\\Sorted\\Financial', score: 0.95 }])
+    };
+    container.tryResolve.mockReturnValueOnce(vectorDb).mockReturnValueOnce(matcher);
+    findContainingSmartFolder.mockReturnValue(null);
+
+    const analysis = { category: 'Documents', confidence: 0.2, entity: 'Acme Corp' };
+    await applySemanticFolderMatching({
+      analysis,
+      filePath: 'C:\\in\\site.dwg',
+      fileName: 'site.dwg',
+      fileExtension: '.dwg',
+      smartFolders: [
+        { name: 'Financial', path: 'C:\\Sorted\\Financial' },
+        {
+          id: 'cad',
+          name: 'Acme CAD',
+          path: 'C:\\Clients\\Acme\\CAD',
+          rules: [
+            {
+              id: 'r1',
+              name: 'Acme drawings',
+              conditions: [
+                { field: 'extension', operator: 'equals', value: 'dwg' },
+                { field: 'entity', operator: 'contains', value: 'acme' }
+              ]
+            }
+          ]
+        }
+      ]
+    });
+
+    expect(analysis.category).toBe('Acme CAD');
+    expect(analysis.categorySource).toBe('rule');
+    expect(analysis.llmOriginalCategory).toBe('Documents');
+    expect(analysis.destinationFolder).toBe('C:\\Clients\\Acme\\CAD');
+    expect(analysis.matchedRule).toEqual({
+      ruleId: 'r1',
+      ruleName: 'Acme drawings',
+      folderId: 'cad',
+      folderName: 'Acme CAD'
+    });
+  });
 });
@@ -0,0 +1,231 @@
+/**
+ * @jest-environment node
+ *
+ * Semantic IPC results and the file access policy.
+ *
+ * Files indexed before a privacy zone or exclusion pattern was added keep
+ * their embeddings, so similarity handlers must drop them from results.
+ */
+const { IPC_CHANNELS } = require('../src/shared/constants');
+
+const mockHandlerMap = new Map();
+const mockAccessSettings = { exclusionPatterns: [], privacyZones: [] };
+
+jest.mock('../src/shared/logger', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    setContext: jest.fn()
+  };
+  return { createLogger: jest.fn(() => logger) };
+});
+
+jest.mock('fs', () => {
+  const enoent = Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+  return {
+    promises: {
+      stat: jest.fn().mockResolvedValue({ size: 100 }),
+      access: jest.fn().mockResolvedValue(),
+      readFile: jest.fn().mockRejectedValue(enoent)
+    }
+  };
+});
+
+jest.mock('../src/main/ipc/ipcWrappers', () => ({
+  createHandler: jest.fn(({ handler }) => handler),
+  createErrorResponse: jest.fn((err) => ({ success: false, error: err.message })),
+  safeHandle: jest.fn((_ipcMain, channel, handler) => {
+    mockHandlerMap.set(channel, handler);
+  }),
+  withErrorLogging: jest.fn((_logger, fn) => fn),
+  z: null
+}));
+
+jest.mock('../src/main/services/FileAccessPolicy', () => {
+  const FileAccessPolicy = jest.requireActual('../src/main/services/FileAccessPolicy');
+  const policy = new FileAccessPolicy({
+    settingsService: { load: async () => mockAccessSettings }
+  });
+  return { getInstance: () => policy };
+});
+
+jest.mock('../src/main/services/LlamaService', () => ({
+  getInstance: jest.fn(() => ({
+    getConfig: jest.fn().mockResolvedValue({}),
+    listModels: jest.fn().mockResolvedValue([{ name: 'nomic-embed-text-v1.5-Q8_0.gguf' }])
+  }))
+}));
+
+beforeAll(() => {
+  jest.useFakeTimers({ doNotFake: ['Date', 'nextTick', 'setImmediate'] });
+});
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+const doc = (filePath) => ({
+  id: `file:${filePath}`,
+  score: 0.9,
+  metadata: { path: filePath, name: filePath.split('/').pop() }
+});
+
+describe('Semantic IPC – access policy on already-indexed files', () => {
+  let mockFolderMatcher;
+  let mockClustering;
+
+  function setupAndRegister() {
+    jest.resetModules();
+    mockHandlerMap.clear();
+    const { container, ServiceIds } = require('../src/main/services/ServiceContainer');
+
+    const mockVectorDb = {
+      initialize: jest.fn().mockResolvedValue(),
+      cleanup: jest.fn().mockResolvedValue(),
+      getStats: jest.fn().mockResolvedValue({ files: 5, folders: 2 }),
+      getFile: jest.fn().mockResolvedValue(null)
+    };
+    mockFolderMatcher = {
+      initialize: jest.fn().mockResolvedValue(),
+      findSimilarFiles: jest.fn().mockResolvedValue([]),
+      findMultiHopNeighbors: jest.fn().mockResolvedValue([])
+    };
+    mockClustering = {
+      getClusterMembers: jest.fn().mockResolvedValue([]),
+      findFileSimilarityEdges: jest.fn().mockResolvedValue([]),
+      findNearDuplicates: jest.fn().mockResolvedValue({ success: true, groups: [] })
+    };
+
+    container.resolve = jest.fn((id) => {
+      switch (id) {
+        case ServiceIds.ORAMA_VECTOR:
+          return mockVectorDb;
+        case ServiceIds.FOLDER_MATCHING:
+          return mockFolderMatcher;
+        case ServiceIds.CLUSTERING:
+          return mockClustering;
+        default:
+          return {};
+      }
+    });
+
+    const registerEmbeddingsIpc = require('../src/main/ipc/semantic');
+    registerEmbeddingsIpc({
+      ipcMain: { handle: jest.fn() },
+      IPC_CHANNELS,
+      logger: require('../src/shared/logger').createLogger(),
+      getCustomFolders: jest.fn(() => []),
+      getServiceIntegration: () => ({})
+    });
+  }
+
+  const invoke = (channel, payload) => mockHandlerMap.get(channel)({}, payload);
+
+  beforeEach(() => {
+    mockAccessSettings.privacyZones = ['/home/me/Private'];
+    mockAccessSettings.exclusionPatterns = ['*.secret'];
+    setupAndRegister();
+  });
+
+  test('FIND_SIMILAR drops neighbours in privacy zones and excluded files', async () => {
+    mockFolderMatcher.findSimilarFiles.mockResolvedValue([
+      doc('/home/me/Docs/plan.txt'),
+      doc('/home/me/Private/diary.txt'),
+      doc('/home/me/Docs/keys.secret')
+    ]);
+
+    const result = await invoke(IPC_CHANNELS.EMBEDDINGS.FIND_SIMILAR, {
+      fileId: 'file:/home/me/Docs/report.txt',
+      topK: 5
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.results.map((r) => r.metadata.path)).toEqual(['/home/me/Docs/plan.txt']);
+  });
+
+  test('FIND_SIMILAR returns nothing for a seed inside a privacy zone', async () => {
+    const result = await invoke(IPC_CHANNELS.EMBEDDINGS.FIND_SIMILAR, {
+      fileId: 'file:/home/me/Private/diary.txt',
+      topK: 5
+    });
+
+    expect(result).toEqual({ success: true, results: [] });
+    expect(mockFolderMatcher.findSimilarFiles).not.toHaveBeenCalled();
+  });
+
+  test('FIND_MULTI_HOP drops restricted files and what was only reached through them', async () => {
+    mockFolderMatcher.findMultiHopNeighbors.mockResolvedValue([
+      {
+        ...doc('/home/me/Docs/a.txt'),
+        path: ['file:/home/me/Docs/seed.txt', 'file:/home/me/Docs/a.txt']
+      },
+      {
+        ...doc('/home/me/Private/b.txt'),
+        path: ['file:/home/me/Docs/seed.txt', 'file:/home/me/Private/b.txt']
+      },
+      {
+        ...doc('/home/me/Docs/c.txt'),
+        path: [
+          'file:/home/me/Docs/seed.txt',
+          'file:/home/me/Private/b.txt',
+          'file:/home/me/Docs/c.txt'
+        ]
+      }
+    ]);
+
+    const result = await invoke(IPC_CHANNELS.EMBEDDINGS.FIND_MULTI_HOP, {
+      seedIds: ['file:/home/me/Docs/seed.txt', 'file:/home/me/Private/x.txt']
+    });
+
+    expect(mockFolderMatcher.findMultiHopNeighbors).toHaveBeenCalledWith(
+      ['file:/home/me/Docs/seed.txt'],
+      expect.any(Object)
+    );
+    expect(result.results.map((r) => r.id)).toEqual(['file:/home/me/Docs/a.txt']);
+  });
+
+  test('GET_CLUSTER_MEMBERS drops restricted members', async () => {
+    mockClustering.getClusterMembers.mockResolvedValue([
+      doc('/home/me/Docs/a.txt'),
+      doc('/home/me/Private/b.txt')
+    ]);
+
+    const result = await invoke(IPC_CHANNELS.EMBEDDINGS.GET_CLUSTER_MEMBERS, { clusterId: 1 });
+
+    expect(result.members.map((m) => m.id)).toEqual(['file:/home/me/Docs/a.txt']);
+  });
+
+  test('GET_SIMILARITY_EDGES only compares accessible files', async () => {
+    await invoke(IPC_CHANNELS.EMBEDDINGS.GET_SIMILARITY_EDGES, {
+      fileIds: ['file:/home/me/Docs/a.txt', 'file:/home/me/Docs/b.txt', 'file:/home/me/x.secret']
+    });
+
+    expect(mockClustering.findFileSimilarityEdges).toHaveBeenCalledWith(
+      ['file:/home/me/Docs/a.txt', 'file:/home/me/Docs/b.txt'],
+      expect.any(Object)
+    );
+  });
+
+  test('FIND_DUPLICATES drops groups left with a single accessible member', async () => {
+    mockClustering.findNearDuplicates.mockResolvedValue({
+      success: true,
+      groups: [
+        {
+          id: 'dup-group-0',
+          members: [
+            { id: 'file:/home/me/Docs/a.txt', path: '/home/me/Docs/a.txt' },
+            { id: 'file:/home/me/Private/a.txt', path: '/home/me/Private/a.txt' }
+          ],
+          memberCount: 2
+        }
+      ],
+      totalDuplicates: 2
+    });
+
+    const result = await invoke(IPC_CHANNELS.EMBEDDINGS.FIND_DUPLICATES, {});
+
+    expect(result.groups).toEqual([]);
+    expect(result.totalDuplicates).toBe(0);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for user-defined smart folder rules: validation, context building,
+ * operator semantics and first-match-wins folder resolution.
+ */
+
+const {
+  parseSizeValue,
+  validateRule,
+  sanitizeRules,
+  buildRuleContext,
+  evaluateRule,
+  findMatchingRule,
+  rulesNeedFileStats
+} = require('../src/shared/smartFolderRules');
+
+const NOW = Date.parse('2026-03-15T12:00:00Z');
+
+function rule(conditions, extra = {}) {
+  return { id: 'r', name: 'Rule', conditions, ...extra };
+}
+
+describe('smartFolderRules', () => {
+  test('parseSizeValue understands units', () => {
+    expect(parseSizeValue(2048)).toBe(2048);
+    expect(parseSizeValue('5mb')).toBe(5 * 1024 * 1024);
+    expect(parseSizeValue('1.5 GB')).toBe(Math.round(1.5 * 1024 ** 3));
+    expect(parseSizeValue('200k')).toBe(200 * 1024);
+    expect(parseSizeValue('lots')).toBeNull();
+  });
+
+  describe('validation', () => {
+    test('rejects unknown fields, bad operators, bad regex and bad dates', () => {
+      const { valid, errors } = validateRule(
+        rule([
+          { field: 'color', operator: 'equals', value: 'red' },
+          { field: 'size', operator: 'contains', value: '5mb' },
+          { field: 'fileName', operator: 'matches', value: '([' },
+          { field: 'date', operator: 'before', value: 'someday' }
+        ])
+      );
+      expect(valid).toBe(false);
+      expect(errors).toHaveLength(4);
+      expect(errors[2]).toMatch(/invalid regular expression/);
+    });
+
+    test.each(['(a+)+$', '/(\\w+\\s?)*$/', '(?:x*){2,}', '((a+){2})+'])(
+      'rejects nested repetition in %s',
+      (value) => {
+        const { valid, errors } = validateRule(
+          rule([{ field: 'fileName', operator: 'matches', value }])
+        );
+        expect(valid).toBe(false);
+        expect(errors[0]).toMatch(/nested repetition/);
+      }
+    );
+
+    test('accepts repeated alternations, fixed bodies, escaped parens and bounded groups', () => {
+      for (const value of [
+        '(a|b)+',
+        '^INV-\\d+',
+        '(final)+',
+        '\\(a+\\)+',
+        '[(a+)+]',
+        '(\\d+){1,3}'
+      ]) {
+        expect(validateRule(rule([{ field: 'fileName', operator: 'matches', value }])).valid).toBe(
+          true
+        );
+      }
+    });
+
+    test('sanitizeRules normalizes valid rules and reports invalid ones', () => {
+      const { rules, errors } = sanitizeRules([
+        { conditions: [{ field: 'extension', operator: 'equals', value: ' .dwg ' }] },
+        { name: 'Empty', conditions: [] }
+      ]);
+      expect(rules).toEqual([
+        {
+          id: 'rule-1',
+          name: 'Rule 1',
+          enabled: true,
+          match: 'all',
+          conditions: [{ field: 'extension', operator: 'equals', value: '.dwg' }]
+        }
+      ]);
+      expect(errors).toEqual(['Rule "Empty": Rule needs at least one condition']);
+      expect(sanitizeRules(undefined)).toEqual({ rules: [], errors: [] });
+    });
+  });
+
+  describe('evaluation', () => {
+    const context = buildRuleContext({
+      filePath: 'C:\\Users\\me\\Downloads\\INV-1042 Acme.PDF',
+      size: 3 * 1024 * 1024,
+      modified: '2026-03-10T08:00:00Z',
+      analysis: {
+        entity: 'Acme Corp',
+        type: 'Invoice',
+        date: '2026-02-28',
+        keywords: ['billing', 'Q1']
+      }
+    });
+
+    test('builds a platform-neutral context', () => {
+      expect(context).toMatchObject({
+        extension: '.pdf',
+        fileName: 'INV-1042 Acme.PDF',
+        path: 'C:/Users/me/Downloads/INV-1042 Acme.PDF',
+        entity: 'Acme Corp',
+        type: 'Invoice',
+        keywords: ['billing', 'Q1']
+      });
+    });
+
+    test.each([
+      [{ field: 'extension', operator: 'equals', value: 'pdf' }, true],
+      [{ field: 'extension', operator: 'in', value: '.dwg, .pdf' }, true],
+      [{ field: 'fileName', operator: 'matches', value: '^INV-\\d+' }, true],
+      [{ field: 'fileName', operator: 'matches', value: '/^inv-\\d+/' }, true],
+      [{ field: 'fileName', operator: 'matches', value: '^(inv|rcpt)+-' }, true],
+      [{ field: 'path', operator: 'contains', value: '/downloads/' }, true],
+      [{ field: 'entity', operator: 'contains', value: 'acme' }, true],
+      [{ field: 'entity', operator: 'notContains', value: 'acme' }, false],
+      [{ field: 'type', operator: 'equals', value: 'invoice' }, true],
+      [{ field: 'size', operator: 'gt', value: '2mb' }, true],
+      [{ field: 'size', operator: 'lte', value: '1mb' }, false],
+      [{ field: 'date', operator: 'before', value: '2026-03-01' }, true],
+      [{ field: 'date', operator: 'on', value: '2026-02-28' }, true],
+      [{ field: 'modified', operator: 'withinDays', value: '7' }, true],
+      [{ field: 'modified', operator: 'olderThanDays', value: 30 }, false],
+      [{ field: 'keywords', operator: 'contains', value: 'q1' }, true],
+      [{ field: 'created', operator: 'after', value: '2020-01-01' }, false]
+    ])('%o → %s', (condition, expected) => {
+      expect(evaluateRule(rule([condition]), context, NOW)).toBe(expected);
+    });
+
+    test('never runs a nested-repetition regex saved before validation', () => {
+      const stored = rule([{ field: 'fileName', operator: 'matches', value: '(a+)+$' }]);
+      const hostile = buildRuleContext({ filePath: `/tmp/${'a'.repeat(40)}!` });
+      expect(evaluateRule(stored, hostile, NOW)).toBe(false);
+    });
+
+    test('supports all/any matching and ignores disabled rules', () => {
+      const conditions = [
+        { field: 'extension', operator: 'equals', value: '.dwg' },
+        { field: 'entity', operator: 'contains', value: 'acme' }
+      ];
+      expect(evaluateRule(rule(conditions), context, NOW)).toBe(false);
+      expect(evaluateRule(rule(conditions, { match: 'any' }), context, NOW)).toBe(true);
+      expect(evaluateRule(rule(conditions, { match: 'any', enabled: false }), context, NOW)).toBe(
+        false
+      );
+    });
+  });
+
+  test('findMatchingRule returns the first matching folder and rule', () => {
+    const folders = [
+      {
+        id: 'a',
+        name: 'Archive',
+        rules: [rule([{ field: 'size', operator: 'gt', value: '1gb' }])]
+      },
+      {
+        id: 'f',
+        name: 'Invoices',
+        rules: [
+          {
+            id: 'x',
+            name: 'Never',
+            conditions: [{ field: 'type', operator: 'equals', value: 'x' }]
+          },
+          {
+            id: 'inv',
+            name: 'Invoice type',
+            conditions: [{ field: 'type', operator: 'equals', value: 'Invoice' }]
+          }
+        ]
+      },
+      {
+        id: 'g',
+        name: 'Later',
+        rules: [rule([{ field: 'extension', operator: 'equals', value: 'pdf' }])]
+      }
+    ];
+    const context = buildRuleContext({
+      filePath: '/tmp/a.pdf',
+      size: 10,
+      analysis: { type: 'Invoice' }
+    });
+
+    const match = findMatchingRule(folders, context, NOW);
+    expect(match.folder.id).toBe('f');
+    expect(match.matchedRule).toEqual({
+      ruleId: 'inv',
+      ruleName: 'Invoice type',
+      folderId: 'f',
+      folderName: 'Invoices'
+    });
+    expect(findMatchingRule([{ name: 'None' }], context, NOW)).toBeNull();
+  });
+
+  test('rulesNeedFileStats only flags enabled rules on size or file dates', () => {
+    const nameOnly = [{ rules: [rule([{ field: 'fileName', operator: 'contains', value: 'a' }])] }];
+    const sizeDisabled = [
+      { rules: [rule([{ field: 'size', operator: 'gt', value: 1 }], { enabled: false })] }
+    ];
+    const modified = [{ rules: [rule([{ field: 'modified', operator: 'withinDays', value: 1 }])] }];
+    expect(rulesNeedFileStats(nameOnly)).toBe(false);
+    expect(rulesNeedFileStats(sizeDisabled)).toBe(false);
+    expect(rulesNeedFileStats(modified)).toBe(true);
+  });
+});
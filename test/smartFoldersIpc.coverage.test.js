@@ -309,6 +309,22 @@ describe('Smart Folders IPC - extended coverage', () => {
       expect(result.fallback).toBe(true);
       expect(result.description).toContain('Finance');
     });
+
+    test('asks for the description in the configured output language', async () => {
+      const generateText = jest.fn().mockResolvedValue({ response: 'Contains financial files.' });
+      const { getInstance } = require('../src/main/services/LlamaService');
+      getInstance.mockReturnValue({
+        initialize: jest.fn().mockResolvedValue(undefined),
+        generateText
+      });
+      const handler = getHandler(IPC_CHANNELS.SMART_FOLDERS.GENERATE_DESCRIPTION);
+
+      const result = await handler({}, 'Finance');
+      getInstance.mockReset();
+
+      expect(result).toEqual({ success: true, description: 'Contains financial files.' });
+      expect(generateText.mock.calls[0][0].prompt).toContain('Write the description in English.');
+    });
   });
 
   describe('RESET_TO_DEFAULTS handler', () => {
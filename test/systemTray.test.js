@@ -46,12 +46,17 @@ const mockBrowserWindow = {
   getAllWindows: jest.fn().mockReturnValue([mockWindow])
 };
 
+const mockShell = {
+  showItemInFolder: jest.fn()
+};
+
 jest.mock('electron', () => ({
   Tray: jest.fn().mockImplementation(() => mockTrayInstance),
   Menu: mockMenu,
   app: mockApp,
   BrowserWindow: mockBrowserWindow,
-  nativeImage: mockNativeImage
+  nativeImage: mockNativeImage,
+  shell: mockShell
 }));
 
 jest.mock('../src/shared/platformUtils', () => ({
@@ -261,6 +266,31 @@ describe('systemTray', () => {
       expect(mockApp.quit).toHaveBeenCalled();
     });
 
+    test('lists upcoming deadlines in a submenu', () => {
+      systemTray.initializeTrayConfig({
+        getUpcomingReminders: () => [
+          { fileName: 'acme.pdf', filePath: '/docs/acme.pdf', description: 'due tomorrow' }
+        ]
+      });
+
+      systemTray.updateTrayMenu();
+
+      const upcoming = capturedMenuTemplate.find((item) => item.label === 'Upcoming Deadlines (1)');
+      expect(upcoming.submenu[0].label).toBe('acme.pdf - due tomorrow');
+      upcoming.submenu[0].click();
+      expect(mockShell.showItemInFolder).toHaveBeenCalledWith('/docs/acme.pdf');
+    });
+
+    test('omits the deadlines submenu when nothing is upcoming', () => {
+      systemTray.initializeTrayConfig({ getUpcomingReminders: () => [] });
+
+      systemTray.updateTrayMenu();
+
+      expect(capturedMenuTemplate.some((item) => String(item.label).startsWith('Upcoming'))).toBe(
+        false
+      );
+    });
+
     test('does nothing if tray is null', () => {
       systemTray.destroyTray();
       mockMenu.buildFromTemplate.mockClear();
@@ -0,0 +1,71 @@
+/**
+ * Tests for timeline calendar bucketing
+ */
+
+const {
+  bucketStart,
+  nextBucketStart,
+  formatBucketLabel,
+  countBuckets,
+  chooseZoom,
+  buildTimelineBuckets
+} = require('../src/shared/timeline');
+
+describe('shared timeline', () => {
+  test('bucketStart snaps days to the start of each zoom level', () => {
+    expect(bucketStart('2024-03-14', 'decade')).toBe('2020-01-01');
+    expect(bucketStart('2024-03-14', 'year')).toBe('2024-01-01');
+    expect(bucketStart('2024-03-14', 'month')).toBe('2024-03-01');
+    // 2024-03-14 is a Thursday; weeks start on Monday
+    expect(bucketStart('2024-03-14', 'week')).toBe('2024-03-11');
+    expect(bucketStart('2024-03-11', 'week')).toBe('2024-03-11');
+    expect(bucketStart('2024-03-17', 'week')).toBe('2024-03-11');
+    expect(bucketStart('2024-03-14T22:00:00Z', 'day')).toBe('2024-03-14');
+    expect(bucketStart('not a date', 'day')).toBeNull();
+  });
+
+  test('nextBucketStart rolls over months and years', () => {
+    expect(nextBucketStart('2024-12-01', 'month')).toBe('2025-01-01');
+    expect(nextBucketStart('2024-02-26', 'week')).toBe('2024-03-04');
+    expect(nextBucketStart('2024-02-29', 'day')).toBe('2024-03-01');
+    expect(nextBucketStart('2020-01-01', 'decade')).toBe('2030-01-01');
+  });
+
+  test('formatBucketLabel', () => {
+    expect(formatBucketLabel('2020-01-01', 'decade')).toBe('2020s');
+    expect(formatBucketLabel('2024-01-01', 'year')).toBe('2024');
+    expect(formatBucketLabel('2024-03-01', 'month')).toBe('Mar 2024');
+    expect(formatBucketLabel('2024-03-11', 'week')).toBe('Mar 11, 2024');
+  });
+
+  test('countBuckets and chooseZoom pick the finest level that fits', () => {
+    expect(countBuckets('2024-01-01', '2024-12-31', 'month')).toBe(12);
+    expect(countBuckets('1998-06-01', '2024-01-01', 'decade')).toBe(4);
+    expect(countBuckets('2024-01-10', '2024-01-01', 'day')).toBe(0);
+
+    expect(chooseZoom('2024-03-01', '2024-03-20')).toBe('day');
+    expect(chooseZoom('2024-01-01', '2024-12-31')).toBe('week');
+    expect(chooseZoom('2015-01-01', '2024-12-31')).toBe('year');
+    expect(chooseZoom('1500-01-01', '2024-12-31')).toBe('decade');
+  });
+
+  test('buildTimelineBuckets counts items and keeps empty buckets', () => {
+    const items = [
+      { date: '2024-01-05' },
+      { date: '2024-01-20' },
+      { date: '2024-03-02' },
+      { date: '2023-12-31' },
+      { date: null }
+    ];
+    const buckets = buildTimelineBuckets(items, 'month', { from: '2024-01-01', to: '2024-03-31' });
+
+    expect(buckets).toEqual([
+      { start: '2024-01-01', end: '2024-02-01', label: 'Jan 2024', count: 2 },
+      { start: '2024-02-01', end: '2024-03-01', label: 'Feb 2024', count: 0 },
+      { start: '2024-03-01', end: '2024-04-01', label: 'Mar 2024', count: 1 }
+    ]);
+    expect(buildTimelineBuckets(items, 'month', { from: '2024-05-01', to: '2024-01-01' })).toEqual(
+      []
+    );
+  });
+});
@@ -49,7 +49,8 @@ jest.mock('../src/main/ipc/ipcWrappers', () => ({
   }),
   safeHandle: (ipcMain, channel, handler) => {
     ipcMain.handle(channel, handler);
-  }
+  },
+  safeSend: jest.fn()
 }));
 
 describe('Undo/Redo IPC Handlers', () => {
@@ -81,7 +82,9 @@ describe('Undo/Redo IPC Handlers', () => {
       getFullState: jest.fn(),
       clearHistory: jest.fn(),
       canUndo: jest.fn(),
-      canRedo: jest.fn()
+      canRedo: jest.fn(),
+      previewSelectiveUndo: jest.fn(),
+      selectiveUndo: jest.fn()
     };
 
     handlers = {};
@@ -105,7 +108,10 @@ describe('Undo/Redo IPC Handlers', () => {
           GET_STATE: 'undo-redo:get-state',
           CLEAR_HISTORY: 'undo-redo:clear-history',
           CAN_UNDO: 'undo-redo:can-undo',
-          CAN_REDO: 'undo-redo:can-redo'
+          CAN_REDO: 'undo-redo:can-redo',
+          PREVIEW_SELECTIVE_UNDO: 'undo-redo:preview-selective-undo',
+          SELECTIVE_UNDO: 'undo-redo:selective-undo',
+          STATE_CHANGED: 'undo-redo:state-changed'
         }
       },
       logger: mockLogger,
@@ -117,7 +123,7 @@ describe('Undo/Redo IPC Handlers', () => {
     test('registers all handlers', () => {
       setupHandlers();
 
-      expect(mockIpcMain.handle).toHaveBeenCalledTimes(7);
+      expect(mockIpcMain.handle).toHaveBeenCalledTimes(9);
       expect(handlers['undo-redo:undo']).toBeDefined();
       expect(handlers['undo-redo:redo']).toBeDefined();
       expect(handlers['undo-redo:get-history']).toBeDefined();
@@ -125,6 +131,8 @@ describe('Undo/Redo IPC Handlers', () => {
       expect(handlers['undo-redo:clear-history']).toBeDefined();
       expect(handlers['undo-redo:can-undo']).toBeDefined();
       expect(handlers['undo-redo:can-redo']).toBeDefined();
+      expect(handlers['undo-redo:preview-selective-undo']).toBeDefined();
+      expect(handlers['undo-redo:selective-undo']).toBeDefined();
     });
   });
 
@@ -385,4 +393,48 @@ describe('Undo/Redo IPC Handlers', () => {
       expect(result).toBe(false);
     });
   });
+
+  describe('selective undo handlers', () => {
+    test('previews reversing one action', async () => {
+      setupHandlers();
+      mockUndoRedoService.previewSelectiveUndo.mockResolvedValue({ success: true, items: [] });
+
+      const handler = handlers['undo-redo:preview-selective-undo'];
+      const result = await handler({}, { actionId: 'a1', operationIndexes: [2] });
+
+      expect(result.success).toBe(true);
+      expect(mockUndoRedoService.previewSelectiveUndo).toHaveBeenCalledWith('a1', {
+        operationIndexes: [2]
+      });
+    });
+
+    test('runs selective undo and notifies the renderer', async () => {
+      setupHandlers();
+      mockUndoRedoService.selectiveUndo.mockResolvedValue({ success: true, results: [] });
+      const sender = { isDestroyed: () => false, send: jest.fn() };
+
+      const handler = handlers['undo-redo:selective-undo'];
+      const result = await handler({ sender }, { actionId: 'a1' });
+
+      expect(result.success).toBe(true);
+      expect(mockUndoRedoService.selectiveUndo).toHaveBeenCalledWith('a1', {
+        operationIndexes: undefined
+      });
+      expect(require('../src/main/ipc/ipcWrappers').safeSend).toHaveBeenCalledWith(
+        sender,
+        'undo-redo:state-changed',
+        { action: 'selective-undo', result }
+      );
+    });
+
+    test('handles selective undo error', async () => {
+      setupHandlers();
+      mockUndoRedoService.selectiveUndo.mockRejectedValue(new Error('Move failed'));
+
+      const handler = handlers['undo-redo:selective-undo'];
+      const result = await handler({}, { actionId: 'a1' });
+
+      expect(result).toEqual({ success: false, message: 'Move failed' });
+    });
+  });
 });
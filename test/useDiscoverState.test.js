@@ -269,7 +269,8 @@ describe('useDiscoverState', () => {
         convention: 'original',
         separator: '-',
         dateFormat: 'YYYY-MM-DD',
-        caseConvention: 'original'
+        caseConvention: 'original',
+        template: ''
       });
     });
   });
@@ -409,6 +409,192 @@ describe('useOrganization', () => {
         const dest = call.operations[0].destination;
         expect(dest).toBe('/Documents/Project Archive.tar.gz');
       });
+
+      test('places files into the smart folder subpath template', async () => {
+        const options = createMockOptions({
+          findSmartFolderForCategory: jest.fn(() => ({
+            name: 'Invoices',
+            path: '/Invoices',
+            subpathTemplate: '{entity}/{year}'
+          })),
+          unprocessedFiles: [
+            {
+              path: '/scan.pdf',
+              name: 'scan.pdf',
+              analysis: {
+                category: 'Invoices',
+                entity: 'Acme Corp',
+                date: '2025-11-02',
+                suggestedName: 'acme-invoice.pdf'
+              }
+            }
+          ]
+        });
+
+        const { result } = renderHook(() => useOrganization(options));
+        await act(async () => {
+          await result.current.handleOrganizeFiles();
+        });
+
+        const call = options.executeAction.mock.calls[0][0];
+        expect(call.operations[0].destination).toBe('/Invoices/Acme Corp/2025/acme-invoice.pdf');
+      });
+
+      test('names files from the smart folder naming template', async () => {
+        const options = createMockOptions({
+          findSmartFolderForCategory: jest.fn(() => ({
+            name: 'Invoices',
+            path: '/Invoices',
+            namingTemplate: '{entity}_{type}_{counter:2}'
+          })),
+          unprocessedFiles: [
+            {
+              path: '/scan.pdf',
+              name: 'scan.pdf',
+              analysis: {
+                category: 'Invoices',
+                entity: 'Acme Corp',
+                type: 'Invoice',
+                suggestedName: 'acme-invoice.pdf'
+              }
+            }
+          ]
+        });
+
+        const { result } = renderHook(() => useOrganization(options));
+        await act(async () => {
+          await result.current.handleOrganizeFiles();
+        });
+
+        const call = options.executeAction.mock.calls[0][0];
+        expect(call.operations[0].destination).toBe('/Invoices/Acme Corp_Invoice_01.pdf');
+      });
+
+      test('asks before moving a project folder that holds unselected files', async () => {
+        const { createOrganizeBatchAction } = require('../src/renderer/components/UndoRedoSystem');
+        const partial = {
+          root: '/proj',
+          name: 'proj',
+          kind: 'directory',
+          label: 'Node.js project',
+          destination: '/Docs/proj',
+          members: ['/proj/docs/a.pdf', '/proj/docs/b.pdf'],
+          fileCount: 5
+        };
+        mockElectronAPI.files.previewBundles = jest
+          .fn()
+          .mockResolvedValue({ success: true, bundles: [], partial: [partial] });
+        const files = ['a.pdf', 'b.pdf'].map((name) => ({
+          path: `/proj/docs/${name}`,
+          name,
+          analysis: { category: 'Docs', suggestedName: name }
+        }));
+
+        try {
+          for (const answer of [false, true]) {
+            createOrganizeBatchAction.mockClear();
+            const showConfirm = jest.fn().mockResolvedValue(answer);
+            const options = createMockOptions({
+              unprocessedFiles: files,
+              findSmartFolderForCategory: jest.fn(() => ({ name: 'Docs', path: '/Docs' })),
+              showConfirm
+            });
+            const { result } = renderHook(() => useOrganization(options));
+            await act(async () => {
+              await result.current.handleOrganizeFiles();
+            });
+
+            expect(showConfirm).toHaveBeenCalledWith(
+              expect.objectContaining({
+                title: 'Move the whole project folder?',
+                message: expect.stringContaining('"proj" (Node.js project) has 2 of 5 files')
+              })
+            );
+            expect(createOrganizeBatchAction.mock.calls[0][3]).toEqual({
+              confirmedBundles: answer ? ['/proj'] : []
+            });
+            expect(result.current.organizePreview[0]).toMatchObject(
+              answer
+                ? {
+                    destination: '/Docs/proj/docs/a.pdf',
+                    bundle: { name: 'proj', label: 'Node.js project' }
+                  }
+                : { destination: '/Docs/a.pdf' }
+            );
+          }
+        } finally {
+          delete mockElectronAPI.files.previewBundles;
+        }
+      });
+    });
+
+    describe('keep latest version', () => {
+      const reportFiles = [
+        {
+          path: '/inbox/report_v1.docx',
+          name: 'report_v1.docx',
+          analysis: { category: 'documents', suggestedName: 'Quarterly Report v1.docx' }
+        },
+        {
+          path: '/inbox/report_v2_final.docx',
+          name: 'report_v2_final.docx',
+          analysis: { category: 'documents', suggestedName: 'Quarterly Report.docx' }
+        }
+      ];
+      const versionChains = [
+        {
+          id: 'version-chain:report.docx',
+          members: [
+            { path: '/inbox/report_v2_final.docx', name: 'report_v2_final.docx', isLatest: true },
+            { path: '/inbox/report_v1.docx', name: 'report_v1.docx', isLatest: false }
+          ]
+        }
+      ];
+
+      test('archives older versions to _versions next to the latest one', async () => {
+        const options = createMockOptions({
+          unprocessedFiles: reportFiles,
+          versionChains,
+          keepLatestVersions: true
+        });
+
+        const { result } = renderHook(() => useOrganization(options));
+        await act(async () => {
+          await result.current.handleOrganizeFiles();
+        });
+
+        const call = options.executeAction.mock.calls[0][0];
+        expect(call.operations).toEqual([
+          {
+            type: 'move',
+            source: '/inbox/report_v1.docx',
+            destination: '/Documents/Uncategorized/_versions/report_v1.docx'
+          },
+          {
+            type: 'move',
+            source: '/inbox/report_v2_final.docx',
+            destination: '/Documents/Uncategorized/Quarterly Report.docx'
+          }
+        ]);
+        expect(result.current.organizePreview[0]).toMatchObject({
+          fileName: 'report_v1.docx',
+          archivedVersion: true
+        });
+      });
+
+      test('organizes every version normally when the mode is off', async () => {
+        const options = createMockOptions({ unprocessedFiles: reportFiles, versionChains });
+
+        const { result } = renderHook(() => useOrganization(options));
+        await act(async () => {
+          await result.current.handleOrganizeFiles();
+        });
+
+        const call = options.executeAction.mock.calls[0][0];
+        expect(call.operations[0].destination).toBe(
+          '/Documents/Uncategorized/Quarterly Report v1.docx'
+        );
+      });
     });
 
     describe('fallback operations builder', () => {
@@ -0,0 +1,80 @@
+/**
+ * Tests for version chain detection (report_v1, report_v2_final, report (3))
+ */
+
+const {
+  parseVersionedName,
+  getVersionChainKey,
+  detectVersionChains,
+  analysisSimilarity,
+  getVersionArchivePath
+} = require('../src/shared/versionChains');
+
+describe('versionChains', () => {
+  test.each([
+    ['report_v2_final.docx', 'report', '2', null, 'final', 'v2 final'],
+    ['report (3).docx', 'report', null, '3', null, '(3)'],
+    ['Budget rev 1.2.xlsx', 'Budget', '1.2', null, null, 'v1.2'],
+    ['Copy of plan - draft.pdf', 'plan', null, null, 'draft', 'draft copy'],
+    ['report.docx', 'report', null, null, null, null],
+    ['final.docx', 'final', null, null, null, null]
+  ])('parseVersionedName(%s)', (name, stem, version, copy, status, label) => {
+    expect(parseVersionedName(name)).toMatchObject({ stem, version, copy, status, label });
+  });
+
+  test('getVersionChainKey ignores case, separators and markers but keeps the extension', () => {
+    expect(getVersionChainKey('Quarterly-Report_v1.docx')).toBe('quarterly report.docx');
+    expect(getVersionChainKey('quarterly report (2).docx')).toBe('quarterly report.docx');
+    expect(getVersionChainKey('quarterly report (2).pdf')).toBe('quarterly report.pdf');
+  });
+
+  test('detectVersionChains orders by version, status and mtime, newest first', () => {
+    const chains = detectVersionChains([
+      { path: '/a/report_v1.docx', modified: '2026-01-01' },
+      { path: '/a/report_v2_final.docx', modified: '2026-01-03' },
+      { path: '/b/report (3).docx', modified: '2026-01-02' },
+      { path: '/a/report.docx', modified: '2025-12-01' },
+      { path: '/a/notes.txt', modified: '2026-01-01' }
+    ]);
+
+    expect(chains).toHaveLength(1);
+    expect(chains[0].baseName).toBe('report.docx');
+    expect(chains[0].members.map((m) => [m.name, m.versionLabel, m.isLatest])).toEqual([
+      ['report_v2_final.docx', 'v2 final', true],
+      ['report (3).docx', '(3)', false],
+      ['report_v1.docx', 'v1', false],
+      ['report.docx', 'original', false]
+    ]);
+    expect(chains[0].latest.path).toBe('/a/report_v2_final.docx');
+  });
+
+  test('same-named files without version markers are not a chain', () => {
+    expect(detectVersionChains([{ path: '/a/invoice.pdf' }, { path: '/b/invoice.pdf' }])).toEqual(
+      []
+    );
+  });
+
+  test('drops members whose content matches no other member', () => {
+    const analyses = {
+      '/a/plan_v1.md': { category: 'Work', keywords: ['roadmap', 'launch', 'pricing'] },
+      '/a/plan_v2.md': { category: 'Work', keywords: ['roadmap', 'launch', 'hiring'] },
+      '/a/plan_v3.md': { category: 'Recipes', keywords: ['lasagna'] }
+    };
+    const files = Object.entries(analyses).map(([path, analysis]) => ({ path, analysis }));
+
+    const [chain] = detectVersionChains(files, {
+      getSimilarity: analysisSimilarity,
+      minSimilarity: 0.2
+    });
+    expect(chain.members.map((m) => m.name)).toEqual(['plan_v2.md', 'plan_v1.md']);
+  });
+
+  test('getVersionArchivePath puts older versions next to the latest destination', () => {
+    expect(getVersionArchivePath('/Work/Reports/Q3 Report.docx', 'report_v1.docx')).toBe(
+      '/Work/Reports/_versions/report_v1.docx'
+    );
+    expect(getVersionArchivePath('C:\\Work\\Q3 Report.docx', 'report (2).docx')).toBe(
+      'C:\\Work\\_versions\\report (2).docx'
+    );
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * @jest-environment node
+ *
+ * Tests for video analysis: ffprobe parsing, subtitle extraction, keyframe
+ * vision analysis and the fallbacks when tooling or models are missing.
+ */
+
+const fs = require('fs');
+
+jest.mock('../src/shared/logger', () => ({
+  createLogger: () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  })
+}));
+
+jest.mock('../src/main/utils/mediaTools', () => ({
+  resolveMediaTool: jest.fn((tool) => `/usr/bin/${tool}`)
+}));
+
+jest.mock('../src/main/utils/asyncSpawnUtils', () => ({
+  asyncSpawn: jest.fn()
+}));
+
+jest.mock('../src/main/analysis/imageAnalysis', () => ({
+  analyzeImageWithLlama: jest.fn()
+}));
+
+jest.mock('../src/main/analysis/documentLlm', () => ({
+  analyzeTextWithLlama: jest.fn()
+}));
+
+jest.mock('../src/main/analysis/semanticFolderMatcher', () => ({
+  applySemanticFolderMatching: jest.fn()
+}));
+
+jest.mock('../src/main/analysis/utils', () => ({
+  normalizeAnalysisResult: jest.fn((raw) => raw)
+}));
+
+jest.mock('../src/main/analysis/fallbackUtils', () => ({
+  getIntelligentCategory: jest.fn(() => 'Videos'),
+  getIntelligentKeywords: jest.fn(() => ['video']),
+  safeSuggestedName: jest.fn((name) => name)
+}));
+
+const { resolveMediaTool } = require('../src/main/utils/mediaTools');
+const { asyncSpawn } = require('../src/main/utils/asyncSpawnUtils');
+const { analyzeImageWithLlama } = require('../src/main/analysis/imageAnalysis');
+const { analyzeTextWithLlama } = require('../src/main/analysis/documentLlm');
+const {
+  analyzeVideoFile,
+  parseProbeOutput,
+  subtitlesToText
+} = require('../src/main/analysis/videoAnalysis');
+
+const PROBE = {
+  format: {
+    duration: '120.04',
+    tags: { title: 'Sprint demo', creation_time: '2025-03-14T09:30:00.000000Z' }
+  },
+  streams: [
+    { index: 0, codec_type: 'video', codec_name: 'h264', width: 1920, height: 1080 },
+    { index: 1, codec_type: 'audio', codec_name: 'aac' },
+    { index: 2, codec_type: 'subtitle', codec_name: 'mov_text', tags: { language: 'eng' } },
+    { index: 3, codec_type: 'subtitle', codec_name: 'hdmv_pgs_subtitle' }
+  ],
+  chapters: [{ tags: { title: 'Intro' } }, { tags: { title: 'Roadmap' } }]
+};
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,000
+<i>Welcome to the sprint demo.</i>
+
+2
+00:00:03,000 --> 00:00:05,000
+Welcome to the sprint demo.
+
+3
+00:00:05,000 --> 00:00:09,000
+Today we ship the new billing dashboard.
+`;
+
+/**
+ * Simulate ffprobe/ffmpeg: write whatever output file the args point at.
+ */
+function mockMediaTools({ probe = PROBE, subtitles = SRT, framesFail = false } = {}) {
+  asyncSpawn.mockImplementation(async (cmd, args) => {
+    if (cmd.endsWith('ffprobe')) {
+      return { status: 0, stdout: JSON.stringify(probe), stderr: '' };
+    }
+    const outPath = args[args.length - 1];
+    if (args.includes('srt')) {
+      await fs.promises.writeFile(outPath, subtitles);
+      return { status: 0, stdout: '', stderr: '' };
+    }
+    if (framesFail) return { status: 1, stdout: '', stderr: 'decode error' };
+    await fs.promises.writeFile(outPath, Buffer.from('jpeg'));
+    return { status: 0, stdout: '', stderr: '' };
+  });
+}
+
+describe('videoAnalysis', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resolveMediaTool.mockImplementation((tool) => `/usr/bin/${tool}`);
+  });
+
+  describe('parseProbeOutput', () => {
+    test('extracts duration, dimensions, dates, chapters and subtitle tracks', () => {
+      const meta = parseProbeOutput(PROBE);
+      expect(meta).toMatchObject({
+        durationSec: 120,
+        width: 1920,
+        height: 1080,
+        codec: 'h264',
+        hasVideo: true,
+        hasAudio: true,
+        title: 'Sprint demo',
+        creationDate: '2025-03-14',
+        chapters: ['Intro', 'Roadmap']
+      });
+      expect(meta.subtitleStreams.map((s) => s.textBased)).toEqual([true, false]);
+    });
+
+    test('prefers the QuickTime creation date and ignores epoch placeholders', () => {
+      const meta = parseProbeOutput({
+        format: {
+          tags: {
+            'com.apple.quicktime.creationdate': '2024-07-04T18:00:00-0700',
+            creation_time: '1970-01-01T00:00:00Z'
+          }
+        },
+        streams: []
+      });
+      expect(meta.creationDate).toBe('2024-07-05');
+      const epoch = parseProbeOutput({ format: { tags: { creation_time: '1970-01-01' } } });
+      expect(epoch.creationDate).toBeNull();
+    });
+  });
+
+  test('subtitlesToText strips cue numbers, timings, markup and repeats', () => {
+    expect(subtitlesToText(SRT)).toBe(
+      'Welcome to the sprint demo.\nToday we ship the new billing dashboard.'
+    );
+  });
+
+  test('analyzes a keyframe sheet grounded with subtitles and metadata', async () => {
+    mockMediaTools();
+    analyzeImageWithLlama.mockResolvedValue({
+      category: 'Work',
+      suggestedName: 'sprint_demo_billing',
+      keywords: ['demo', 'billing'],
+      confidence: 85
+    });
+
+    const result = await analyzeVideoFile('/videos/demo.mp4', [{ name: 'Work' }], {
+      fileDate: '2025-04-01'
+    });
+
+    const [imageBase64, fileName, folders, grounding, , options] =
+      analyzeImageWithLlama.mock.calls[0];
+    expect(Buffer.from(imageBase64, 'base64').toString()).toBe('jpeg');
+    expect(fileName).toBe('demo.mp4');
+    expect(folders).toEqual([{ name: 'Work' }]);
+    expect(grounding).toContain('Title: Sprint demo');
+    expect(grounding).toContain('Chapters: Intro; Roadmap');
+    expect(grounding).toContain('Today we ship the new billing dashboard.');
+    expect(options).toMatchObject({ mediaKind: 'video' });
+
+    // Only the text-based subtitle track is extracted
+    const subtitleCalls = asyncSpawn.mock.calls.filter(([, args]) => args.includes('srt'));
+    expect(subtitleCalls).toHaveLength(1);
+    expect(subtitleCalls[0][1]).toContain('0:2');
+
+    expect(result).toMatchObject({
+      category: 'Work',
+      suggestedName: 'sprint_demo_billing',
+      date: '2025-03-14',
+      extractionMethod: 'video_keyframes',
+      video: {
+        durationSec: 120,
+        width: 1920,
+        height: 1080,
+        subtitleTracks: 2,
+        subtitleLanguages: ['eng'],
+        chapters: 2,
+        keyframeCount: 4
+      }
+    });
+    expect(result.extractedText).toContain('billing dashboard');
+  });
+
+  test('falls back to subtitle text analysis when vision fails', async () => {
+    const longSrt = `1\n00:00:01,000 --> 00:00:03,000\n${'Quarterly revenue review for the finance team. '.repeat(6)}\n`;
+    mockMediaTools({ subtitles: longSrt });
+    analyzeImageWithLlama.mockResolvedValue({ error: 'vision model unavailable', confidence: 0 });
+    analyzeTextWithLlama.mockResolvedValue({ category: 'Finance', confidence: 80 });
+
+    const result = await analyzeVideoFile('/videos/review.mkv', [], { fileDate: '2025-04-01' });
+
+    expect(analyzeTextWithLlama).toHaveBeenCalledWith(
+      expect.stringContaining('Quarterly revenue review'),
+      'review.mkv',
+      [],
+      '2025-03-14',
+      [],
+      expect.any(Object)
+    );
+    expect(result.category).toBe('Finance');
+    expect(result.extractionMethod).toBe('video_subtitles');
+  });
+
+  test('returns metadata fallback when no frames or AI analysis are available', async () => {
+    mockMediaTools({ subtitles: '', framesFail: true });
+
+    const result = await analyzeVideoFile('/videos/clip.mov', [], { fileDate: '2025-04-01' });
+
+    expect(analyzeImageWithLlama).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      category: 'Videos',
+      purpose: 'Video: Sprint demo',
+      date: '2025-03-14',
+      extractionMethod: 'video_metadata',
+      video: { keyframeCount: 0 }
+    });
+  });
+
+  test('uses the extension fallback when ffmpeg is not installed', async () => {
+    resolveMediaTool.mockReturnValue(null);
+
+    const result = await analyzeVideoFile('/videos/clip.mp4', [], { fileDate: '2025-04-01' });
+
+    expect(asyncSpawn).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      category: 'Videos',
+      date: '2025-04-01',
+      extractionMethod: 'extension_short_circuit'
+    });
+  });
+
+  test('uses the extension fallback when the container cannot be probed', async () => {
+    asyncSpawn.mockResolvedValue({ status: 1, stdout: '', stderr: 'Invalid data found' });
+
+    const result = await analyzeVideoFile('/videos/broken.mp4', [], { fileDate: '2025-04-01' });
+
+    expect(result.extractionMethod).toBe('extension_short_circuit');
+    expect(result.fallbackReason).toMatch(/Invalid data found/);
+    expect(result.error).toBeUndefined();
+  });
+});
@@ -91,6 +91,8 @@ module.exports = (env, argv) => {
         if (
           request === 'node-llama-cpp' ||
           request.startsWith('@node-llama-cpp/') ||
+          request === '@fugood/whisper.node' ||
+          request.startsWith('@fugood/node-whisper-') ||
           request === '@reflink/reflink' ||
           request.startsWith('@reflink/')
         ) {